@@ -4,6 +4,7 @@ import { VoiceComboCard } from './VoiceComboCard';
 import { PaymentPending } from './displays/PaymentPending';
 import { CheckoutSummaryDisplay } from './displays/CheckoutSummaryDisplay';
 import { OrderConfirmed } from './displays/OrderConfirmed';
+import { OrderCancelled } from './displays/OrderCancelled';
 import { AddressVerification as AddressVerificationDisplay } from './displays/AddressVerification';
 
 interface MultimodalDisplayProps {
@@ -58,6 +59,9 @@ export function MultimodalDisplay({ visualData, onAction }: MultimodalDisplayPro
     case 'order_confirmed':
       return <OrderConfirmed data={displayData} />;
 
+    case 'order_cancelled':
+      return <OrderCancelled data={displayData} />;
+
     case 'webpage':
       return <WebPage url={displayData?.url} />;
 
@@ -0,0 +1,59 @@
+'use client';
+
+import { XCircle, RotateCcw } from 'lucide-react';
+
+interface OrderCancelledProps {
+  data: {
+    orderId: string;
+    reason?: string | null;
+    refundAmount: number;
+    refundStatus: 'none' | 'pending' | 'processed' | 'failed';
+    message: string;
+  };
+}
+
+const REFUND_LABELS: Record<string, { label: string; className: string }> = {
+  pending: { label: 'Refund in progress', className: 'bg-orange-100 text-orange-700' },
+  processed: { label: '✓ Refund processed', className: 'bg-green-100 text-green-700' },
+  failed: { label: 'Refund being handled by the restaurant', className: 'bg-red-100 text-red-700' }
+};
+
+export function OrderCancelled({ data }: OrderCancelledProps) {
+  const refund = REFUND_LABELS[data.refundStatus];
+
+  return (
+    <div className="h-full flex items-center justify-center p-8 bg-gradient-to-b from-white/95 to-gray-50/95 backdrop-blur-xl">
+      <div className="max-w-md w-full space-y-6">
+        <div className="text-center">
+          <div className="bg-gradient-to-br from-gray-400 to-gray-500 w-20 h-20 rounded-full flex items-center justify-center mx-auto shadow-lg">
+            <XCircle className="w-10 h-10 text-white" />
+          </div>
+          <h2 className="text-2xl font-light neu-text mt-6 mb-2">Order Cancelled</h2>
+          <p className="text-gray-600">Order ID: {data.orderId}</p>
+        </div>
+
+        <div className="bg-white/60 backdrop-blur-sm rounded-2xl p-6 border border-gray-100/50 space-y-3">
+          <p className="text-gray-900">{data.message}</p>
+          {data.reason && (
+            <p className="text-sm text-gray-600">Reason: {data.reason}</p>
+          )}
+        </div>
+
+        {data.refundAmount > 0 && refund && (
+          <div className="bg-white/60 backdrop-blur-sm rounded-2xl p-5 border border-gray-100/50">
+            <h3 className="font-medium text-gray-900 mb-3 flex items-center gap-2">
+              <RotateCcw className="w-5 h-5" />
+              Refund
+            </h3>
+            <div className="flex items-center justify-between">
+              <span className={`inline-block px-3 py-1 rounded-full text-xs font-medium ${refund.className}`}>
+                {refund.label}
+              </span>
+              <span className="text-lg font-bold text-gray-900">₹{data.refundAmount.toFixed(2)}</span>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
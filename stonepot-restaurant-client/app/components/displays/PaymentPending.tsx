@@ -1,7 +1,8 @@
 'use client';
 
-import { CreditCard, Loader2 } from 'lucide-react';
+import { CreditCard, Loader2, QrCode, RefreshCw, Smartphone } from 'lucide-react';
 import { useEffect, useState } from 'react';
+import { API_URL } from '../../config/api';
 
 interface PaymentPendingProps {
   data: {
@@ -14,6 +15,13 @@ interface PaymentPendingProps {
       phone: string;
       email?: string;
     };
+    // UPI QR / intent link for the exact amount (UPI-first orders)
+    upi?: {
+      qrId: string;
+      imageUrl: string | null;
+      intentUrl: string | null;
+      expiresAt: string;
+    };
   };
 }
 
@@ -27,6 +35,39 @@ export function PaymentPending({ data }: PaymentPendingProps) {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [razorpayLoaded, setRazorpayLoaded] = useState(false);
+  const [upi, setUpi] = useState(data.upi || null);
+  const [upiExpired, setUpiExpired] = useState(false);
+
+  useEffect(() => {
+    setUpi(data.upi || null);
+  }, [data.upi]);
+
+  // The QR stops working once Razorpay closes it
+  useEffect(() => {
+    if (!upi) return;
+
+    const msLeft = new Date(upi.expiresAt).getTime() - Date.now();
+    setUpiExpired(msLeft <= 0);
+    if (msLeft <= 0) return;
+
+    const timer = setTimeout(() => setUpiExpired(true), msLeft);
+    return () => clearTimeout(timer);
+  }, [upi]);
+
+  const refreshUpi = async () => {
+    setError(null);
+    try {
+      const res = await fetch(`${API_URL}/api/restaurant/orders/${data.orderId}/upi`, { method: 'POST' });
+      const body = res.ok ? await res.json() : null;
+      if (!body?.success || !body.upi) {
+        setError('Could not get a new UPI code. Please pay another way.');
+        return;
+      }
+      setUpi(body.upi);
+    } catch {
+      setError('Could not get a new UPI code. Please pay another way.');
+    }
+  };
 
   useEffect(() => {
     // Load Razorpay script
@@ -69,8 +110,7 @@ export function PaymentPending({ data }: PaymentPendingProps) {
       handler: async function (response: any) {
         try {
           // Verify payment on backend
-          const backendUrl = process.env.NEXT_PUBLIC_API_URL || 'https://stonepot-restaurant-334610188311.us-central1.run.app';
-          const verifyRes = await fetch(`${backendUrl}/api/restaurant/payment/verify`, {
+          const verifyRes = await fetch(`${API_URL}/api/restaurant/payment/verify`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
@@ -129,6 +169,45 @@ export function PaymentPending({ data }: PaymentPendingProps) {
           <p className="text-4xl font-bold text-orange-600">₹{data.amount.toFixed(2)}</p>
         </div>
 
+        {/* UPI QR / intent link - payment status arrives from the backend */}
+        {upi && (
+          <div className="bg-white/60 backdrop-blur-sm rounded-2xl p-6 border border-gray-100/50 text-center space-y-4">
+            <h3 className="font-medium text-gray-900 flex items-center justify-center gap-2">
+              <QrCode className="w-5 h-5 text-orange-600" />
+              Scan to pay with any UPI app
+            </h3>
+
+            {upiExpired ? (
+              <button
+                onClick={refreshUpi}
+                className="mx-auto flex items-center gap-2 text-sm font-medium text-orange-600 hover:text-orange-700"
+              >
+                <RefreshCw className="w-4 h-4" />
+                Code expired - get a new one
+              </button>
+            ) : (
+              <>
+                {upi.imageUrl && (
+                  <img src={upi.imageUrl} alt="UPI QR code" className="w-48 h-48 mx-auto rounded-xl" />
+                )}
+                {upi.intentUrl && (
+                  <a
+                    href={upi.intentUrl}
+                    className="w-full bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 text-white font-semibold py-4 rounded-xl shadow-lg flex items-center justify-center gap-2"
+                  >
+                    <Smartphone className="w-5 h-5" />
+                    Pay with UPI app
+                  </a>
+                )}
+                <p className="text-xs text-gray-500 flex items-center justify-center gap-2">
+                  <Loader2 className="w-3 h-3 animate-spin" />
+                  Waiting for payment - this updates on its own
+                </p>
+              </>
+            )}
+          </div>
+        )}
+
         {/* Customer Info */}
         <div className="bg-white/60 backdrop-blur-sm rounded-2xl p-5 border border-gray-100/50">
           <h3 className="font-medium text-gray-900 mb-3">Payment Details</h3>
@@ -170,7 +249,7 @@ export function PaymentPending({ data }: PaymentPendingProps) {
           ) : (
             <>
               <CreditCard className="w-5 h-5" />
-              Pay ₹{data.amount.toFixed(2)}
+              {upi ? 'Pay another way' : `Pay ₹${data.amount.toFixed(2)}`}
             </>
           )}
         </button>
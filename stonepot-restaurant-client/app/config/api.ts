@@ -0,0 +1,11 @@
+/**
+ * Backend endpoints
+ * Set per deployment through NEXT_PUBLIC_API_URL and NEXT_PUBLIC_WORKER_URL;
+ * the fallbacks are the production services
+ */
+
+// Restaurant API (sessions, orders, payments)
+export const API_URL = process.env.NEXT_PUBLIC_API_URL || 'https://stonepot-restaurant-334610188311.us-central1.run.app';
+
+// Display worker the multimodal display connects to
+export const WORKER_URL = process.env.NEXT_PUBLIC_WORKER_URL || 'https://stonepot-restaurant-display.suyesh.workers.dev';
@@ -19,6 +19,7 @@ import { collaborativeOrderStore } from './stores/collaborativeOrderStore';
 import { menuItems } from './data/menuData';
 import { observer } from 'mobx-react-lite';
 import { VAD_CONFIG } from './config/vad';
+import { API_URL, WORKER_URL } from './config/api';
 
 const RestaurantOrderingApp = observer(function RestaurantOrderingApp() {
   // Session state
@@ -339,11 +340,8 @@ const RestaurantOrderingApp = observer(function RestaurantOrderingApp() {
       console.log('[Restaurant] Microphone access granted');
 
       // Create session with backend
-      const apiUrl = process.env.NEXT_PUBLIC_API_URL || 'https://stonepot-restaurant-334610188311.us-central1.run.app';
-      const workerUrl = process.env.NEXT_PUBLIC_WORKER_URL || 'https://stonepot-restaurant-display.suyesh.workers.dev';
-
       console.log('[Restaurant] Creating backend session...');
-      const response = await fetch(`${apiUrl}/api/restaurant/sessions`, {
+      const response = await fetch(`${API_URL}/api/restaurant/sessions`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -362,7 +360,7 @@ const RestaurantOrderingApp = observer(function RestaurantOrderingApp() {
       setSessionInfo(data);
 
       // Initialize Vertex AI Live service
-      let wsUrl = `${apiUrl.replace('https://', 'wss://').replace('http://', 'ws://')}${data.websocketUrl}`;
+      let wsUrl = `${API_URL.replace('https://', 'wss://').replace('http://', 'ws://')}${data.websocketUrl}`;
 
       // Add customerPhone to URL if available (for returning customers)
       if (customerPhone) {
@@ -406,7 +404,7 @@ const RestaurantOrderingApp = observer(function RestaurantOrderingApp() {
       console.log('[Restaurant] Connected to Vertex AI Live');
 
       // Initialize display service
-      const service = new DisplayWebSocketService(workerUrl);
+      const service = new DisplayWebSocketService(WORKER_URL);
       setDisplayService(service);
 
       // Connect to display WebSocket
@@ -1253,7 +1251,7 @@ const RestaurantOrderingApp = observer(function RestaurantOrderingApp() {
         isOpen={showOrderFlow}
         onClose={handleOrderFlowClose}
         sessionId={sessionInfo?.sessionId}
-        backendUrl={process.env.NEXT_PUBLIC_API_URL || 'https://stonepot-restaurant-334610188311.us-central1.run.app'}
+        backendUrl={API_URL}
       />
     </div>
   );
@@ -98,15 +98,24 @@ export const config = {
     keyId: process.env.RAZORPAY_KEY_ID,
     keySecret: process.env.RAZORPAY_KEY_SECRET,
     webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
-    useMock: process.env.USE_MOCK_PAYMENT === 'true' // Enable mock payment service
+    useMock: process.env.USE_MOCK_PAYMENT === 'true', // Enable mock payment service
+    mockUpiAutoPaySeconds: parseInt(process.env.MOCK_UPI_AUTO_PAY_SECONDS || '0') // Mock mode: pay UPI QRs on their own after this many seconds (0 = never)
   },
 
   // Tax configuration (Indian GST)
   tax: {
     gstRate: parseFloat(process.env.GST_RATE || '0.05'), // 5% GST for restaurants
+    stateCode: process.env.GST_STATE_CODE || null, // Restaurant's GST state code (e.g. 29 for Karnataka), decides CGST/SGST vs IGST
     enableInvoicePrinting: process.env.ENABLE_INVOICE_PRINTING !== 'false' // Enabled by default
   },
 
+  // GST invoice and credit note series (numbered per tenant per financial year)
+  invoice: {
+    prefix: process.env.INVOICE_PREFIX || 'INV', // INV/2627/000001 (tenant profile invoicePrefix overrides)
+    creditNotePrefix: process.env.CREDIT_NOTE_PREFIX || 'CN',
+    numberPadding: parseInt(process.env.INVOICE_NUMBER_PADDING || '6')
+  },
+
   // Delivery configuration
   delivery: {
     defaultRadius: parseFloat(process.env.DELIVERY_RADIUS || '10'), // km
@@ -117,6 +126,102 @@ export const config = {
     maxDeliveryFee: parseInt(process.env.MAX_DELIVERY_FEE || '200') // ₹200
   },
 
+  // Porter delivery partner
+  porter: {
+    apiKey: process.env.PORTER_API_KEY,
+    baseUrl: process.env.PORTER_BASE_URL || 'https://api.porter.in',
+    webhookSecret: process.env.PORTER_WEBHOOK_SECRET
+  },
+
+  // Courier selection (porter, self, mock)
+  courier: {
+    defaultCouriers: (process.env.DEFAULT_COURIERS || 'porter,self').split(',').map(c => c.trim()).filter(Boolean),
+    mockEnabled: process.env.COURIER_MOCK_ENABLED === 'true', // Deterministic offline courier for testing dispatch
+    mock: {
+      webhookSecret: process.env.COURIER_MOCK_WEBHOOK_SECRET // Sent as X-Mock-Courier-Secret; mock webhooks are rejected without it and in production
+    },
+    selfDelivery: {
+      baseCost: parseInt(process.env.SELF_DELIVERY_BASE_COST || '30'), // Internal cost per own-rider trip
+      perKmCost: parseInt(process.env.SELF_DELIVERY_PER_KM_COST || '5')
+    }
+  },
+
+  // Automatic courier dispatch for delivery orders
+  dispatch: {
+    mode: process.env.DISPATCH_MODE || 'ready', // 'ready': book when marked ready, 'eta': book ahead from prep ETA
+    riderLeadMinutes: parseInt(process.env.DISPATCH_RIDER_LEAD_MINUTES || '10'), // 'eta' mode: book this long before ready
+    maxAttempts: parseInt(process.env.DISPATCH_MAX_ATTEMPTS || '3'), // Bookings tried before escalating to staff
+    retryDelays: (process.env.DISPATCH_RETRY_DELAYS || '30,120,300').split(',').map(s => parseInt(s)) // Seconds
+  },
+
+  // Load-aware ETA (live kitchen queue + historical accept-to-ready times)
+  eta: {
+    kitchenCapacity: parseInt(process.env.ETA_KITCHEN_CAPACITY || '4'), // Orders cooked in parallel
+    defaultPrepTime: parseInt(process.env.ETA_DEFAULT_PREP_TIME || '20'), // Minutes, before items are known
+    minSamples: parseInt(process.env.ETA_MIN_SAMPLES || '5'), // Completed orders needed per hour of day
+    timezone: process.env.RESTAURANT_TIMEZONE || 'Asia/Kolkata'
+  },
+
+  // Scheduled orders: how often the scheduler looks for orders to send to the kitchen
+  scheduling: {
+    pollInterval: parseInt(process.env.SCHEDULING_POLL_INTERVAL || '60'), // Seconds
+    lookaheadMinutes: parseInt(process.env.SCHEDULING_LOOKAHEAD_MINUTES || '180') // Longest prep + travel lead expected
+  },
+
+  // Online payments: how often orders stuck waiting on payment are checked against Razorpay
+  paymentReconciliation: {
+    pollInterval: parseInt(process.env.PAYMENT_RECONCILE_INTERVAL || '300'), // Seconds
+    stuckAfterMinutes: parseInt(process.env.PAYMENT_RECONCILE_AFTER_MINUTES || '15'), // Left to the webhook until then
+    flagAfterMinutes: parseInt(process.env.PAYMENT_REVIEW_AFTER_MINUTES || '60') // Unpaid orders flagged for staff
+  },
+
+  // Online group orders paid in shares: reminders, and when the initiator is asked to cover the rest
+  splitPayments: {
+    timeoutMinutes: parseInt(process.env.SPLIT_PAYMENT_TIMEOUT_MINUTES || '20'), // Per round: shares, then the initiator's cover
+    reminderMinutes: parseInt(process.env.SPLIT_PAYMENT_REMINDER_MINUTES || '5'),
+    pollInterval: parseInt(process.env.SPLIT_PAYMENT_POLL_INTERVAL || '60') // Seconds
+  },
+
+  // UPI QR / intent collection for online orders
+  upiPayments: {
+    expiresInMinutes: parseInt(process.env.UPI_QR_EXPIRES_MINUTES || '15'),
+    pollInterval: parseInt(process.env.UPI_POLL_INTERVAL || '5') // Seconds between payment status checks
+  },
+
+  // Dine-in tables: where the table QR codes send customers
+  tables: {
+    qrBaseUrl: process.env.TABLE_QR_BASE_URL || 'http://localhost:3000' // Ordering app; ?tenant=&table= are appended
+  },
+
+  // Menu availability: daypart schedules and the live 86 list
+  availability: {
+    timezone: process.env.RESTAURANT_TIMEZONE || 'Asia/Kolkata', // Dayparts are restaurant local time
+    cacheTtl: parseInt(process.env.MENU_AVAILABILITY_CACHE_TTL || '30') // Seconds other servers may serve a stale 86 list
+  },
+
+  // Kitchen printer configuration (ESC/POS thermal printers)
+  kitchenPrinter: {
+    enabled: process.env.KITCHEN_PRINTER_ENABLED === 'true',
+    codePage: process.env.KITCHEN_PRINTER_CODE_PAGE || 'pc437', // pc437, wpc1252, utf8 (Indic-capable printers)
+    charsPerLine: parseInt(process.env.KITCHEN_PRINTER_CHARS_PER_LINE || '42'), // 42 for 80mm, 32 for 58mm paper
+    default: {
+      type: process.env.KITCHEN_PRINTER_TYPE || 'network', // network (raw TCP), file, spool
+      host: process.env.KITCHEN_PRINTER_IP,
+      port: parseInt(process.env.KITCHEN_PRINTER_PORT || '9100'),
+      path: process.env.KITCHEN_PRINTER_PATH, // e.g. /dev/usb/lp0
+      spoolDir: process.env.KITCHEN_PRINTER_SPOOL_DIR,
+      timeout: parseInt(process.env.KITCHEN_PRINTER_TIMEOUT || '5000')
+    },
+    // Per-station printers, e.g. {"Tandoor":{"type":"network","host":"192.168.1.101"}}
+    stations: process.env.KITCHEN_PRINTER_STATIONS ? JSON.parse(process.env.KITCHEN_PRINTER_STATIONS) : {}
+  },
+
+  // Kitchen Display System (KDS) colour aging, as a fraction of the KOT prep estimate
+  kds: {
+    amberRatio: parseFloat(process.env.KDS_AMBER_RATIO || '0.6'),
+    redRatio: parseFloat(process.env.KDS_RED_RATIO || '1.0')
+  },
+
   server: {
     port: parseInt(process.env.PORT || '3001'),
     host: process.env.HOST || '0.0.0.0',
@@ -9,9 +9,12 @@ import { body, query, param, validationResult } from 'express-validator';
 /**
  * Create order management routes
  * @param {OrderManagementService} orderManagementService - Instance of OrderManagementService
+ * @param {object} services - Optional related services ({ kitchenDisplayService, invoiceService, courierService })
  * @returns {express.Router} Express router with order management routes
  */
-export function createOrderManagementRoutes(orderManagementService) {
+export function createOrderManagementRoutes(orderManagementService, services = {}) {
+  const { kitchenDisplayService, invoiceService, courierService } = services;
+
   const router = express.Router();
 
   // Middleware to validate tenant authorization
@@ -51,7 +54,7 @@ export function createOrderManagementRoutes(orderManagementService) {
     '/orders',
     validateTenant,
     [
-      query('status').optional().isIn(['pending_payment', 'confirmed', 'preparing', 'ready', 'delivered', 'cancelled']),
+      query('status').optional().isIn(['pending_payment', 'scheduled', 'confirmed', 'preparing', 'ready', 'delivered', 'cancelled']),
       query('orderType').optional().isIn(['delivery', 'pickup', 'dine-in']),
       query('startDate').optional().isISO8601(),
       query('endDate').optional().isISO8601(),
@@ -191,22 +194,22 @@ export function createOrderManagementRoutes(orderManagementService) {
     handleValidationErrors,
     async (req, res) => {
       try {
-        const updates = {
-          status: req.body.status,
-          updatedBy: req.body.updatedBy
-        };
-
-        if (req.body.status === 'cancelled') {
-          updates.cancellationReason = req.body.cancellationReason;
-          updates.cancelledBy = req.body.updatedBy;
-          updates.cancelledAt = new Date().toISOString();
-        }
-
-        const order = await orderManagementService.updateOrderStatus(
-          req.params.orderId,
-          req.tenantId,
-          updates
-        );
+        // Cancellations go through the cancellation policy and its refund
+        const order = req.body.status === 'cancelled'
+          ? await orderManagementService.cancelOrder(
+            req.params.orderId,
+            req.tenantId,
+            req.body.cancellationReason,
+            req.body.updatedBy
+          )
+          : await orderManagementService.updateOrderStatus(
+            req.params.orderId,
+            req.tenantId,
+            {
+              status: req.body.status,
+              updatedBy: req.body.updatedBy
+            }
+          );
 
         res.json({
           success: true,
@@ -214,7 +217,9 @@ export function createOrderManagementRoutes(orderManagementService) {
         });
       } catch (error) {
         console.error('[OrderManagementRoutes] Failed to update order status:', error);
-        res.status(500).json({
+        const status = error.message === 'Order is already cancelled' ? 409
+          : error.message.startsWith('Cannot ') ? 400 : 500;
+        res.status(status).json({
           success: false,
           error: 'Failed to update order status',
           message: error.message
@@ -258,16 +263,69 @@ export function createOrderManagementRoutes(orderManagementService) {
     }
   );
 
+  /**
+   * Cash collection from a request body ({ collectedAmount, collectorType, collectorId, collectorName }), or null
+   */
+  const getCashCollection = (body) => (body.collectedAmount === undefined ? null : {
+    amount: Number(body.collectedAmount),
+    collectorType: body.collectorType,
+    collectorId: body.collectorId,
+    collectorName: body.collectorName
+  });
+
+  const cashCollectionValidators = [
+    body('collectedAmount').optional().isFloat({ min: 0 }),
+    body('collectorType').optional().isIn(['rider', 'counter']),
+    body('collectorId').optional().isString(),
+    body('collectorName').optional().isString()
+  ];
+
+  /**
+   * Send a cash settlement error with the right status code
+   */
+  const sendCashError = (res, error, action) => {
+    console.error(`[OrderManagementRoutes] Failed to ${action}:`, error);
+
+    if (['Order not found', 'Shift not found'].includes(error.message)) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.message.startsWith('Cannot ') || error.message.startsWith('Invalid ')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.message.includes('already')) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${action}`,
+      message: error.message
+    });
+  };
+
   /**
    * POST /api/restaurant/manage/orders/:orderId/delivered
-   * Mark order as delivered/completed (shortcut endpoint)
+   * Mark order as delivered/completed (shortcut endpoint). Cash orders take
+   * the cash collected on handover: { collectedAmount, collectorType, collectorId, collectorName }
    */
   router.post(
     '/orders/:orderId/delivered',
     validateTenant,
     [
       param('orderId').notEmpty().withMessage('Order ID is required'),
-      body('deliveredBy').notEmpty().withMessage('deliveredBy is required')
+      body('deliveredBy').notEmpty().withMessage('deliveredBy is required'),
+      ...cashCollectionValidators
     ],
     handleValidationErrors,
     async (req, res) => {
@@ -275,7 +333,8 @@ export function createOrderManagementRoutes(orderManagementService) {
         const order = await orderManagementService.markOrderDelivered(
           req.params.orderId,
           req.tenantId,
-          req.body.deliveredBy
+          req.body.deliveredBy,
+          getCashCollection(req.body)
         );
 
         res.json({
@@ -283,10 +342,211 @@ export function createOrderManagementRoutes(orderManagementService) {
           order
         });
       } catch (error) {
-        console.error('[OrderManagementRoutes] Failed to mark order delivered:', error);
-        res.status(500).json({
+        sendCashError(res, error, 'mark order as delivered');
+      }
+    }
+  );
+
+  /**
+   * POST /api/restaurant/manage/orders/:orderId/cash
+   * Record the cash collected for a cash order after it was handed over
+   */
+  router.post(
+    '/orders/:orderId/cash',
+    validateTenant,
+    [
+      param('orderId').notEmpty().withMessage('Order ID is required'),
+      body('collectedAmount').isFloat({ min: 0 }).withMessage('collectedAmount is required'),
+      ...cashCollectionValidators.slice(1),
+      body('collectedBy').optional().isString()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const order = await orderManagementService.recordCashCollection(req.params.orderId, req.tenantId, {
+          ...getCashCollection(req.body),
+          collectedBy: req.body.collectedBy
+        });
+
+        res.json({
+          success: true,
+          order,
+          cod: order.cod
+        });
+      } catch (error) {
+        sendCashError(res, error, 'record cash collection');
+      }
+    }
+  );
+
+  /**
+   * GET /api/restaurant/manage/cash/shifts
+   * Cash shifts, newest first
+   */
+  router.get(
+    '/cash/shifts',
+    validateTenant,
+    [
+      query('status').optional().isIn(['open', 'closed']),
+      query('collectorType').optional().isIn(['rider', 'counter'])
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const shifts = await orderManagementService.cashSettlementService.getShifts(req.tenantId, {
+          status: req.query.status,
+          collectorType: req.query.collectorType
+        });
+
+        res.json({
+          success: true,
+          shifts
+        });
+      } catch (error) {
+        sendCashError(res, error, 'get cash shifts');
+      }
+    }
+  );
+
+  /**
+   * POST /api/restaurant/manage/cash/shifts
+   * Open a cash shift for a rider or counter
+   */
+  router.post(
+    '/cash/shifts',
+    validateTenant,
+    [
+      body('collectorType').isIn(['rider', 'counter']).withMessage('collectorType must be rider or counter'),
+      body('collectorId').notEmpty().withMessage('collectorId is required'),
+      body('collectorName').optional().isString(),
+      body('openingFloat').optional().isFloat({ min: 0 }),
+      body('openedBy').optional().isString()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const shift = await orderManagementService.cashSettlementService.openShift(req.tenantId, {
+          collectorType: req.body.collectorType,
+          collectorId: req.body.collectorId,
+          collectorName: req.body.collectorName || null,
+          openingFloat: Number(req.body.openingFloat || 0),
+          openedBy: req.body.openedBy || 'dashboard'
+        });
+
+        res.status(201).json({
+          success: true,
+          shift
+        });
+      } catch (error) {
+        sendCashError(res, error, 'open cash shift');
+      }
+    }
+  );
+
+  /**
+   * GET /api/restaurant/manage/cash/shifts/:shiftId
+   * Reconciliation report for one shift
+   */
+  router.get(
+    '/cash/shifts/:shiftId',
+    validateTenant,
+    [param('shiftId').notEmpty().withMessage('Shift ID is required')],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const report = await orderManagementService.cashSettlementService.getShiftReport(req.tenantId, req.params.shiftId);
+
+        res.json({
+          success: true,
+          report
+        });
+      } catch (error) {
+        sendCashError(res, error, 'get cash shift');
+      }
+    }
+  );
+
+  /**
+   * POST /api/restaurant/manage/cash/shifts/:shiftId/close
+   * Close a shift with the cash handed in: { declaredAmount, closedBy }
+   */
+  router.post(
+    '/cash/shifts/:shiftId/close',
+    validateTenant,
+    [
+      param('shiftId').notEmpty().withMessage('Shift ID is required'),
+      body('declaredAmount').isFloat({ min: 0 }).withMessage('declaredAmount is required'),
+      body('closedBy').optional().isString()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const report = await orderManagementService.cashSettlementService.closeShift(req.tenantId, req.params.shiftId, {
+          declaredAmount: Number(req.body.declaredAmount),
+          closedBy: req.body.closedBy || 'dashboard'
+        });
+
+        res.json({
+          success: true,
+          report
+        });
+      } catch (error) {
+        sendCashError(res, error, 'close cash shift');
+      }
+    }
+  );
+
+  /**
+   * GET /api/restaurant/manage/cash/reconciliation
+   * Shift reports per rider and per counter for a period
+   */
+  router.get(
+    '/cash/reconciliation',
+    validateTenant,
+    [
+      query('period').optional().isIn(['today', 'yesterday', 'week', 'month'])
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const period = req.query.period || 'today';
+        const reconciliation = await orderManagementService.getCashReconciliation(req.tenantId, period);
+
+        res.json({
+          success: true,
+          reconciliation,
+          period
+        });
+      } catch (error) {
+        sendCashError(res, error, 'get cash reconciliation');
+      }
+    }
+  );
+
+  /**
+   * GET /api/restaurant/manage/orders/:orderId/cancellation-quote
+   * Refund the customer would get if the order were cancelled now
+   */
+  router.get(
+    '/orders/:orderId/cancellation-quote',
+    validateTenant,
+    [
+      param('orderId').notEmpty().withMessage('Order ID is required')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const quote = await orderManagementService.quoteCancellation(req.params.orderId, req.tenantId);
+
+        res.json({
+          success: true,
+          quote
+        });
+      } catch (error) {
+        console.error('[OrderManagementRoutes] Failed to quote cancellation:', error);
+        res.status(error.message === 'Order not found' ? 404 : 500).json({
           success: false,
-          error: 'Failed to mark order as delivered',
+          error: 'Failed to quote cancellation',
           message: error.message
         });
       }
@@ -321,7 +581,10 @@ export function createOrderManagementRoutes(orderManagementService) {
         });
       } catch (error) {
         console.error('[OrderManagementRoutes] Failed to cancel order:', error);
-        res.status(500).json({
+        const status = error.message === 'Order not found' ? 404
+          : error.message === 'Order is already cancelled' ? 409
+            : error.message.startsWith('Cannot ') ? 400 : 500;
+        res.status(status).json({
           success: false,
           error: 'Failed to cancel order',
           message: error.message
@@ -330,6 +593,131 @@ export function createOrderManagementRoutes(orderManagementService) {
     }
   );
 
+  /**
+   * Map order modification failures to HTTP responses
+   */
+  const sendModificationError = (res, error) => {
+    console.error('[OrderManagementRoutes] Failed to modify order:', error);
+
+    if (['Order not found', 'Order item not found', 'Menu item not found'].includes(error.message)) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.message.startsWith('Cannot ') ||
+        error.message.startsWith('Quantity') ||
+        error.message.startsWith('Item dish')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to modify order',
+      message: error.message
+    });
+  };
+
+  /**
+   * POST /api/restaurant/manage/orders/:orderId/items
+   * Add a menu item to a placed order (prints a -MOD ticket once accepted).
+   * The price and tax fields come from the menu item.
+   */
+  router.post(
+    '/orders/:orderId/items',
+    validateTenant,
+    [
+      param('orderId').notEmpty().withMessage('Order ID is required'),
+      body('dishId').notEmpty().withMessage('dishId is required'),
+      body('quantity').optional().isInt({ min: 1 }).withMessage('quantity must be at least 1'),
+      body('modifiers').optional().isArray().withMessage('modifiers must be an array'),
+      body('modifiedBy').notEmpty().withMessage('modifiedBy is required')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const { dishId, quantity, modifiers, customizations, reason, modifiedBy } = req.body;
+
+        const result = await orderManagementService.modifyOrder(req.params.orderId, req.tenantId, {
+          type: 'add',
+          item: { dishId, quantity, modifiers, customizations },
+          reason,
+          modifiedBy
+        });
+
+        res.json(result);
+      } catch (error) {
+        sendModificationError(res, error);
+      }
+    }
+  );
+
+  /**
+   * PUT /api/restaurant/manage/orders/:orderId/items/:itemId
+   * Change the quantity of an item on a placed order
+   */
+  router.put(
+    '/orders/:orderId/items/:itemId',
+    validateTenant,
+    [
+      param('orderId').notEmpty().withMessage('Order ID is required'),
+      param('itemId').notEmpty().withMessage('Item ID is required'),
+      body('quantity').isInt({ min: 0 }).withMessage('quantity must be a non-negative integer'),
+      body('modifiedBy').notEmpty().withMessage('modifiedBy is required')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const quantity = parseInt(req.body.quantity);
+
+        const result = await orderManagementService.modifyOrder(req.params.orderId, req.tenantId, {
+          type: quantity === 0 ? 'remove' : 'update_quantity',
+          itemId: req.params.itemId,
+          quantity,
+          reason: req.body.reason,
+          modifiedBy: req.body.modifiedBy
+        });
+
+        res.json(result);
+      } catch (error) {
+        sendModificationError(res, error);
+      }
+    }
+  );
+
+  /**
+   * DELETE /api/restaurant/manage/orders/:orderId/items/:itemId
+   * Remove an item from a placed order
+   */
+  router.delete(
+    '/orders/:orderId/items/:itemId',
+    validateTenant,
+    [
+      param('orderId').notEmpty().withMessage('Order ID is required'),
+      param('itemId').notEmpty().withMessage('Item ID is required'),
+      body('modifiedBy').notEmpty().withMessage('modifiedBy is required')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const result = await orderManagementService.modifyOrder(req.params.orderId, req.tenantId, {
+          type: 'remove',
+          itemId: req.params.itemId,
+          reason: req.body.reason,
+          modifiedBy: req.body.modifiedBy
+        });
+
+        res.json(result);
+      } catch (error) {
+        sendModificationError(res, error);
+      }
+    }
+  );
+
   /**
    * GET /api/restaurant/manage/statistics
    * Get order statistics for dashboard
@@ -446,37 +834,537 @@ export function createOrderManagementRoutes(orderManagementService) {
   );
 
   /**
-   * POST /api/restaurant/manage/orders/:orderId/sync
-   * Sync order data from Durable Object to Firestore (called by ActiveOrderSession DO)
+   * GET /api/restaurant/manage/kds
+   * Get the kitchen display board (optionally for one station)
    */
-  router.post(
-    '/orders/:orderId/sync',
+  router.get(
+    '/kds',
     validateTenant,
     [
-      param('orderId').notEmpty().withMessage('Order ID is required'),
-      body('orderData').notEmpty().withMessage('Order data is required')
+      query('station').optional().isString(),
+      query('includeCompleted').optional().isBoolean()
     ],
     handleValidationErrors,
     async (req, res) => {
       try {
-        const { orderData } = req.body;
-
-        // Persist order data to Firestore
-        await orderManagementService.syncOrderFromDO(
-          req.params.orderId,
-          req.tenantId,
-          orderData
-        );
+        const board = await kitchenDisplayService.getBoard(req.tenantId, {
+          station: req.query.station,
+          includeCompleted: req.query.includeCompleted === 'true'
+        });
 
         res.json({
           success: true,
-          message: 'Order synced to Firestore successfully'
+          board
         });
       } catch (error) {
-        console.error('[OrderManagementRoutes] Failed to sync order:', error);
+        console.error('[OrderManagementRoutes] Failed to get KDS board:', error);
         res.status(500).json({
           success: false,
-          error: 'Failed to sync order',
+          error: 'Failed to retrieve KDS board',
+          message: error.message
+        });
+      }
+    }
+  );
+
+  /**
+   * POST /api/restaurant/manage/kds/orders/:orderId/items/:itemKey/bump
+   * Bump an item off the kitchen display
+   */
+  router.post(
+    '/kds/orders/:orderId/items/:itemKey/bump',
+    validateTenant,
+    [
+      param('orderId').notEmpty().withMessage('Order ID is required'),
+      param('itemKey').notEmpty().withMessage('Item key is required'),
+      body('bumpedBy').notEmpty().withMessage('bumpedBy is required')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const result = await kitchenDisplayService.bumpItem(
+          req.tenantId,
+          req.params.orderId,
+          req.params.itemKey,
+          req.body.bumpedBy
+        );
+
+        res.json(result);
+      } catch (error) {
+        console.error('[OrderManagementRoutes] Failed to bump item:', error);
+
+        if (error.message === 'Order not found' || error.message === 'Order item not found') {
+          return res.status(404).json({
+            success: false,
+            error: error.message
+          });
+        }
+
+        if (error.message.includes('Cannot bump items')) {
+          return res.status(400).json({
+            success: false,
+            error: error.message
+          });
+        }
+
+        res.status(500).json({
+          success: false,
+          error: 'Failed to bump item',
+          message: error.message
+        });
+      }
+    }
+  );
+
+  /**
+   * POST /api/restaurant/manage/kds/orders/:orderId/items/:itemKey/recall
+   * Recall a bumped item back onto the kitchen display
+   */
+  router.post(
+    '/kds/orders/:orderId/items/:itemKey/recall',
+    validateTenant,
+    [
+      param('orderId').notEmpty().withMessage('Order ID is required'),
+      param('itemKey').notEmpty().withMessage('Item key is required'),
+      body('recalledBy').notEmpty().withMessage('recalledBy is required')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const result = await kitchenDisplayService.recallItem(
+          req.tenantId,
+          req.params.orderId,
+          req.params.itemKey,
+          req.body.recalledBy
+        );
+
+        res.json(result);
+      } catch (error) {
+        console.error('[OrderManagementRoutes] Failed to recall item:', error);
+
+        if (error.message === 'Order not found') {
+          return res.status(404).json({
+            success: false,
+            error: error.message
+          });
+        }
+
+        if (error.message.includes('Cannot recall items') || error.message === 'Order item is not bumped') {
+          return res.status(400).json({
+            success: false,
+            error: error.message
+          });
+        }
+
+        res.status(500).json({
+          success: false,
+          error: 'Failed to recall item',
+          message: error.message
+        });
+      }
+    }
+  );
+
+  /**
+   * Map delivery errors to 404/400/503
+   */
+  const sendDeliveryError = (res, error, action) => {
+    console.error(`[OrderManagementRoutes] Failed to ${action}:`, error);
+
+    if (['Order not found', 'Delivery not found', 'Rider not found'].includes(error.message)) {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.message.startsWith('Cannot ') ||
+        error.message.startsWith('Invalid delivery status') ||
+        error.message.startsWith('Courier not available') ||
+        ['Order has no delivery', 'Order has no active delivery', 'Order has no delivery address'].includes(error.message)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.message === 'Cash is already recorded for this order') {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.message.startsWith('No courier available') || error.message === 'Courier dispatch is not configured') {
+      return res.status(503).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${action}`,
+      message: error.message
+    });
+  };
+
+  /**
+   * GET /api/restaurant/manage/orders/:orderId/delivery/quotes
+   * Quote the delivery with each enabled courier (cheapest first)
+   */
+  router.get(
+    '/orders/:orderId/delivery/quotes',
+    validateTenant,
+    [param('orderId').notEmpty().withMessage('Order ID is required')],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const { quotes, unavailable } = await orderManagementService.getDeliveryQuotes(req.params.orderId, req.tenantId);
+
+        res.json({
+          success: true,
+          quotes,
+          unavailable
+        });
+      } catch (error) {
+        sendDeliveryError(res, error, 'get delivery quotes');
+      }
+    }
+  );
+
+  /**
+   * POST /api/restaurant/manage/orders/:orderId/delivery
+   * Book a courier (the given one, or the tenant's default choice by cost)
+   */
+  router.post(
+    '/orders/:orderId/delivery',
+    validateTenant,
+    [
+      param('orderId').notEmpty().withMessage('Order ID is required'),
+      body('courier').optional().isString(),
+      body('dispatchedBy').optional().isString()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const order = await orderManagementService.dispatchDelivery(req.params.orderId, req.tenantId, {
+          courier: req.body.courier || null,
+          dispatchedBy: req.body.dispatchedBy || 'dashboard'
+        });
+
+        res.json({
+          success: true,
+          order,
+          delivery: order.delivery
+        });
+      } catch (error) {
+        sendDeliveryError(res, error, 'dispatch delivery');
+      }
+    }
+  );
+
+  /**
+   * GET /api/restaurant/manage/orders/:orderId/delivery
+   * Refresh and return the delivery status from the courier
+   */
+  router.get(
+    '/orders/:orderId/delivery',
+    validateTenant,
+    [param('orderId').notEmpty().withMessage('Order ID is required')],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const order = await orderManagementService.refreshDelivery(req.params.orderId, req.tenantId);
+
+        res.json({
+          success: true,
+          delivery: order.delivery
+        });
+      } catch (error) {
+        sendDeliveryError(res, error, 'track delivery');
+      }
+    }
+  );
+
+  /**
+   * DELETE /api/restaurant/manage/orders/:orderId/delivery
+   * Cancel the courier booking (the order itself stays open)
+   */
+  router.delete(
+    '/orders/:orderId/delivery',
+    validateTenant,
+    [
+      param('orderId').notEmpty().withMessage('Order ID is required'),
+      body('reason').optional().isString(),
+      body('cancelledBy').optional().isString()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const order = await orderManagementService.cancelDelivery(req.params.orderId, req.tenantId, {
+          reason: req.body.reason,
+          cancelledBy: req.body.cancelledBy || 'dashboard'
+        });
+
+        res.json({
+          success: true,
+          order,
+          delivery: order.delivery
+        });
+      } catch (error) {
+        sendDeliveryError(res, error, 'cancel delivery');
+      }
+    }
+  );
+
+  /**
+   * Own-rider delivery on an order (throws when the order uses another courier)
+   */
+  const getSelfDelivery = async (orderId, tenantId) => {
+    const order = await orderManagementService.getOrderById(orderId, tenantId);
+    if (order.delivery?.courier !== 'self') {
+      throw new Error('Cannot manage riders: order is not on own-rider delivery');
+    }
+    return order.delivery;
+  };
+
+  /**
+   * POST /api/restaurant/manage/orders/:orderId/delivery/rider
+   * Assign one of the restaurant's riders to an own-rider delivery
+   */
+  router.post(
+    '/orders/:orderId/delivery/rider',
+    validateTenant,
+    [
+      param('orderId').notEmpty().withMessage('Order ID is required'),
+      body('riderId').notEmpty().withMessage('Rider ID is required'),
+      body('assignedBy').optional().isString()
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const delivery = await getSelfDelivery(req.params.orderId, req.tenantId);
+        await courierService.getAdapter('self').assignRider(
+          delivery.deliveryId,
+          req.body.riderId,
+          req.body.assignedBy || 'dashboard'
+        );
+
+        const order = await orderManagementService.getOrderById(req.params.orderId, req.tenantId);
+
+        res.json({
+          success: true,
+          order,
+          delivery: order.delivery
+        });
+      } catch (error) {
+        sendDeliveryError(res, error, 'assign rider');
+      }
+    }
+  );
+
+  /**
+   * POST /api/restaurant/manage/orders/:orderId/delivery/status
+   * Rider progress for an own-rider delivery (arrived_at_pickup, picked_up, in_transit, delivered, failed).
+   * A delivered cash order takes the cash the rider collected in collectedAmount.
+   */
+  router.post(
+    '/orders/:orderId/delivery/status',
+    validateTenant,
+    [
+      param('orderId').notEmpty().withMessage('Order ID is required'),
+      body('status').notEmpty().withMessage('Status is required'),
+      body('location').optional().isObject(),
+      body('reason').optional().isString(),
+      body('updatedBy').optional().isString(),
+      body('collectedAmount').optional().isFloat({ min: 0 })
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const delivery = await getSelfDelivery(req.params.orderId, req.tenantId);
+        await courierService.getAdapter('self').updateRiderStatus(delivery.deliveryId, req.body.status, {
+          location: req.body.location || null,
+          reason: req.body.reason || null,
+          updatedBy: req.body.updatedBy || 'rider'
+        });
+
+        // The rider on the delivery is the collector
+        if (req.body.status === 'delivered' && req.body.collectedAmount !== undefined) {
+          await orderManagementService.recordCashCollection(req.params.orderId, req.tenantId, {
+            amount: Number(req.body.collectedAmount),
+            collectorType: 'rider',
+            collectorId: delivery.driverDetails?.id,
+            collectorName: delivery.driverDetails?.name,
+            collectedBy: req.body.updatedBy || 'rider'
+          });
+        }
+
+        const order = await orderManagementService.getOrderById(req.params.orderId, req.tenantId);
+
+        res.json({
+          success: true,
+          order,
+          delivery: order.delivery
+        });
+      } catch (error) {
+        sendDeliveryError(res, error, 'update delivery status');
+      }
+    }
+  );
+
+  /**
+   * Send a stored invoice or credit note as JSON, PDF or plain text
+   */
+  const sendInvoiceDocument = (res, document, format, extra = {}) => {
+    const filename = document.documentNumber.replace(/\//g, '-');
+
+    if (format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      return res.send(invoiceService.renderPdf(document));
+    }
+
+    if (format === 'text' && document.documentType === 'invoice') {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      return res.send(invoiceService.renderText(document));
+    }
+
+    res.json({
+      success: true,
+      [document.documentType === 'credit_note' ? 'creditNote' : 'invoice']: document,
+      ...extra
+    });
+  };
+
+  /**
+   * GET /api/restaurant/manage/orders/:orderId/invoice
+   * Fetch (issuing on first request) the GST invoice for an order
+   * Query: format=json|pdf|text
+   */
+  router.get(
+    '/orders/:orderId/invoice',
+    validateTenant,
+    [
+      param('orderId').notEmpty().withMessage('Order ID is required'),
+      query('format').optional().isIn(['json', 'pdf', 'text'])
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const { invoice, creditNotes } = await invoiceService.getInvoiceForOrder(
+          req.tenantId,
+          req.params.orderId,
+          { issuedBy: 'dashboard' }
+        );
+
+        sendInvoiceDocument(res, invoice, req.query.format, { creditNotes });
+      } catch (error) {
+        console.error('[OrderManagementRoutes] Failed to get invoice:', error);
+
+        if (error.message === 'Order not found') {
+          return res.status(404).json({
+            success: false,
+            error: error.message
+          });
+        }
+
+        if (error.message.startsWith('Cannot invoice') || error.message === 'Invalid restaurant GSTIN') {
+          return res.status(400).json({
+            success: false,
+            error: error.message
+          });
+        }
+
+        res.status(500).json({
+          success: false,
+          error: 'Failed to get invoice',
+          message: error.message
+        });
+      }
+    }
+  );
+
+  /**
+   * GET /api/restaurant/manage/orders/:orderId/credit-notes/:creditNoteNumber
+   * Fetch a credit note issued against the order's invoice (number with '/' as '-', e.g. CN-2627-000001)
+   * Query: format=json|pdf
+   */
+  router.get(
+    '/orders/:orderId/credit-notes/:creditNoteNumber',
+    validateTenant,
+    [
+      param('orderId').notEmpty().withMessage('Order ID is required'),
+      param('creditNoteNumber').notEmpty().withMessage('Credit note number is required'),
+      query('format').optional().isIn(['json', 'pdf'])
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const { creditNotes } = await invoiceService.getInvoiceForOrder(req.tenantId, req.params.orderId);
+        const number = req.params.creditNoteNumber.replace(/-/g, '/');
+        const creditNote = creditNotes.find(note => note.documentNumber === number);
+
+        if (!creditNote) {
+          return res.status(404).json({
+            success: false,
+            error: 'Credit note not found'
+          });
+        }
+
+        sendInvoiceDocument(res, creditNote, req.query.format);
+      } catch (error) {
+        console.error('[OrderManagementRoutes] Failed to get credit note:', error);
+
+        if (error.message === 'Order not found') {
+          return res.status(404).json({
+            success: false,
+            error: error.message
+          });
+        }
+
+        res.status(500).json({
+          success: false,
+          error: 'Failed to get credit note',
+          message: error.message
+        });
+      }
+    }
+  );
+
+  /**
+   * POST /api/restaurant/manage/orders/:orderId/sync
+   * Sync order data from Durable Object to Firestore (called by ActiveOrderSession DO)
+   */
+  router.post(
+    '/orders/:orderId/sync',
+    validateTenant,
+    [
+      param('orderId').notEmpty().withMessage('Order ID is required'),
+      body('orderData').notEmpty().withMessage('Order data is required')
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const { orderData } = req.body;
+
+        // Persist order data to Firestore
+        await orderManagementService.syncOrderFromDO(
+          req.params.orderId,
+          req.tenantId,
+          orderData
+        );
+
+        res.json({
+          success: true,
+          message: 'Order synced to Firestore successfully'
+        });
+      } catch (error) {
+        console.error('[OrderManagementRoutes] Failed to sync order:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to sync order',
           message: error.message
         });
       }
@@ -488,32 +1376,67 @@ export function createOrderManagementRoutes(orderManagementService) {
 
 /**
  * Create WebSocket handler for restaurant dashboard real-time updates
+ * Connect with ?mode=kds[&station=Tandoor] for a kitchen display screen
  * @param {OrderManagementService} orderManagementService - Instance of OrderManagementService
+ * @param {object} services - Optional related services ({ kitchenDisplayService })
  * @returns {Function} WebSocket handler function
  */
-export function createRestaurantDashboardWebSocketHandler(orderManagementService) {
+export function createRestaurantDashboardWebSocketHandler(orderManagementService, services = {}) {
+  const { kitchenDisplayService } = services;
+
   return (ws, req) => {
     // Extract tenant ID from URL path: /ws/restaurant-dashboard/:tenantId
-    const pathParts = req.url.split('/');
+    const url = new URL(req.url, 'http://localhost');
+    const pathParts = url.pathname.split('/');
     const tenantId = pathParts[pathParts.length - 1];
+    const isKds = url.searchParams.get('mode') === 'kds' && !!kitchenDisplayService;
+    const station = url.searchParams.get('station');
 
     if (!tenantId) {
       ws.close(1008, 'Tenant ID is required');
       return;
     }
 
-    console.log(`[OrderManagementRoutes] Restaurant dashboard WebSocket connected for tenant: ${tenantId}`);
+    console.log(`[OrderManagementRoutes] Restaurant ${isKds ? 'KDS' : 'dashboard'} WebSocket connected for tenant: ${tenantId}`);
 
     // Register connection
-    orderManagementService.registerRestaurantConnection(tenantId, ws);
+    if (isKds) {
+      kitchenDisplayService.registerConnection(tenantId, ws, station);
+    } else {
+      orderManagementService.registerRestaurantConnection(tenantId, ws);
+    }
 
-    // Handle incoming messages (e.g., ping)
-    ws.on('message', (message) => {
+    // Handle incoming messages (e.g., ping, KDS bump/recall)
+    ws.on('message', async (message) => {
       try {
         const data = JSON.parse(message);
 
         if (data.type === 'ping') {
           ws.send(JSON.stringify({ type: 'pong', timestamp: new Date().toISOString() }));
+        } else if (isKds && (data.type === 'kds_bump' || data.type === 'kds_recall')) {
+          try {
+            const result = data.type === 'kds_bump'
+              ? await kitchenDisplayService.bumpItem(tenantId, data.orderId, data.itemKey, data.by || 'kds')
+              : await kitchenDisplayService.recallItem(tenantId, data.orderId, data.itemKey, data.by || 'kds');
+
+            ws.send(JSON.stringify({
+              type: `${data.type}_result`,
+              success: true,
+              orderId: data.orderId,
+              itemKey: data.itemKey,
+              orderCompleted: result.orderCompleted || false
+            }));
+          } catch (error) {
+            ws.send(JSON.stringify({
+              type: `${data.type}_result`,
+              success: false,
+              orderId: data.orderId,
+              itemKey: data.itemKey,
+              error: error.message
+            }));
+          }
+        } else if (isKds && data.type === 'kds_refresh') {
+          await kitchenDisplayService.sendBoard(tenantId, { ws, station });
         }
       } catch (error) {
         console.error('[OrderManagementRoutes] Error handling WebSocket message:', error);
@@ -524,6 +1447,8 @@ export function createRestaurantDashboardWebSocketHandler(orderManagementService
     ws.send(JSON.stringify({
       type: 'connected',
       tenantId,
+      mode: isKds ? 'kds' : 'dashboard',
+      station: isKds ? station : undefined,
       timestamp: new Date().toISOString()
     }));
   };
@@ -13,6 +13,18 @@ import { CloudflareImageService } from '../services/CloudflareImageService.js';
 import { MenuManagementService } from '../services/MenuManagementService.js';
 import { ExcelParserService } from '../services/ExcelParserService.js';
 import { OrderManagementService } from '../services/OrderManagementService.js';
+import { KitchenDisplayService } from '../services/KitchenDisplayService.js';
+import { InvoiceService } from '../services/InvoiceService.js';
+import { EtaService } from '../services/EtaService.js';
+import { CourierService } from '../services/CourierService.js';
+import { DispatchService } from '../services/DispatchService.js';
+import { PricingService } from '../services/PricingService.js';
+import { SchedulingService } from '../services/SchedulingService.js';
+import { PaymentReconciliationService } from '../services/PaymentReconciliationService.js';
+import { SplitPaymentService } from '../services/SplitPaymentService.js';
+import { OperatingHoursService } from '../services/OperatingHoursService.js';
+import { TableService } from '../services/TableService.js';
+import { UpiPaymentService } from '../services/UpiPaymentService.js';
 import { getCustomerService } from '../services/CustomerService.js';
 import { createOrderManagementRoutes, createRestaurantDashboardWebSocketHandler } from './orderManagementRoutes.js';
 import { config } from '../config/index.js';
@@ -42,16 +54,147 @@ await firebaseService.initialize();
 const cloudflareImageService = new CloudflareImageService(config);
 
 // Initialize Menu Management Service
-const menuService = new MenuManagementService(firebaseService, cloudflareImageService);
+const menuService = new MenuManagementService(config);
+const availabilityService = menuService.availabilityService;
 
 // Initialize Excel Parser Service
 const excelParserService = new ExcelParserService();
 
+// Initialize Courier Service (Porter, own riders, mock courier)
+const courierService = new CourierService(config, {
+  firebaseService,
+  deliveryService: vertexAIService.deliveryService
+});
+
+// Initialize Pricing Service (combo bundle prices and promotions on carts and orders)
+const pricingService = new PricingService(firebaseService, { availabilityService });
+const comboService = pricingService.comboService;
+const promotionService = pricingService.promotionService;
+const loyaltyService = pricingService.loyaltyService;
+vertexAIService.setPricingService(pricingService);
+
 // Initialize Order Management Service
 const orderManagementService = new OrderManagementService(firebaseService, {
   restaurantName: config.restaurant?.name || 'Stonepot Restaurant',
-  kitchenPrinterEnabled: config.kitchenPrinter?.enabled || false
+  kitchenPrinterEnabled: config.kitchenPrinter?.enabled || false,
+  kitchenPrinter: config.kitchenPrinter,
+  menuService,
+  taxService: vertexAIService.taxService,
+  paymentService: vertexAIService.paymentService,
+  courierService,
+  pricingService
+});
+const kitchenStationService = orderManagementService.kitchenStationService;
+
+// Initialize Kitchen Display Service (KDS boards over the dashboard WebSocket)
+const kitchenDisplayService = new KitchenDisplayService(orderManagementService, config.kds);
+
+// Let the voice agent place orders through order management
+vertexAIService.setOrderManagementService(orderManagementService);
+
+// Delivery zones are read from restaurant profiles
+vertexAIService.deliveryService.setFirebaseService(firebaseService);
+
+// Load-aware delivery ETAs for the voice agent
+const etaService = new EtaService(orderManagementService, vertexAIService.deliveryService, config.eta);
+vertexAIService.setEtaService(etaService);
+
+// Opening hours, holidays, busy mode and the open-order cap gate orders for now
+const operatingHoursService = new OperatingHoursService(firebaseService, orderManagementService, availabilityService);
+vertexAIService.setOperatingHoursService(operatingHoursService);
+operatingHoursService.onStatusChange((tenantId, status) =>
+  vertexAIService.handleStoreStatusChange(tenantId, status)
+);
+
+// Orders placed for later: slot booking, and release to the kitchen ahead of the slot
+const schedulingService = new SchedulingService(
+  firebaseService,
+  orderManagementService,
+  { availabilityService, etaService, operatingHoursService },
+  config.scheduling
+);
+vertexAIService.setSchedulingService(schedulingService);
+orderManagementService.onOrderEvent((tenantId, order) => schedulingService.handleOrderEvent(tenantId, order));
+schedulingService.start();
+
+// Initialize Invoice Service (invoices on delivery, credit notes on refunds)
+const invoiceService = new InvoiceService(firebaseService, vertexAIService.taxService, {
+  ...config.invoice,
+  restaurantName: config.restaurant?.name
 });
+orderManagementService.onOrderEvent((tenantId, order) => invoiceService.handleOrderEvent(tenantId, order));
+
+// Dine-in tables: QR-started sessions order rounds onto a running tab, billed once on close
+const tableService = new TableService(firebaseService, orderManagementService, invoiceService, config.tables);
+vertexAIService.setTableService(tableService);
+
+// Webhook event ledger, payment state machine, and the job that settles orders left waiting on payment
+const paymentReconciliationService = new PaymentReconciliationService(
+  firebaseService,
+  orderManagementService,
+  vertexAIService.paymentService,
+  config.paymentReconciliation
+);
+paymentReconciliationService.start();
+orderManagementService.onOrderEvent((tenantId, order) => paymentReconciliationService.handleOrderEvent(tenantId, order));
+
+// Customers hear about cancellations and their refunds on their display (and from the agent, mid-call)
+orderManagementService.onOrderEvent((tenantId, order, eventType) => {
+  vertexAIService.handleCancellationUpdate(tenantId, order, eventType)
+    .catch(error => console.error('[RestaurantRoutes] Failed to send cancellation update:', error));
+});
+
+// Online group orders: one payment per participant, reminders, and the initiator covering what is left unpaid
+const splitPaymentService = new SplitPaymentService(
+  firebaseService,
+  orderManagementService,
+  vertexAIService.paymentService,
+  {
+    circleService: vertexAIService.circleService,
+    paymentReconciliationService,
+    displayClient: vertexAIService.displayClient
+  },
+  config.splitPayments
+);
+paymentReconciliationService.setSplitPaymentService(splitPaymentService);
+vertexAIService.setSplitPaymentService(splitPaymentService);
+splitPaymentService.start();
+
+// UPI QR / intent links for online orders, watched until paid; live sessions hear about payments as they land
+const upiPaymentService = new UpiPaymentService(
+  firebaseService,
+  orderManagementService,
+  vertexAIService.paymentService,
+  paymentReconciliationService,
+  config.upiPayments
+);
+vertexAIService.setUpiPaymentService(upiPaymentService);
+orderManagementService.onOrderEvent((tenantId, order) => upiPaymentService.handleOrderEvent(tenantId, order));
+orderManagementService.onOrderEvent((tenantId, order, eventType) => {
+  vertexAIService.handlePaymentUpdate(tenantId, order, eventType)
+    .catch(error => console.error('[RestaurantRoutes] Failed to announce payment update:', error));
+});
+upiPaymentService.start();
+
+// Book couriers for delivery orders and push delivery progress to the customer display
+const dispatchService = new DispatchService(orderManagementService, config.dispatch, vertexAIService.displayClient);
+orderManagementService.onOrderEvent((tenantId, order, eventType) =>
+  dispatchService.handleOrderEvent(tenantId, order, eventType)
+);
+vertexAIService.paymentService.onRefund((refund) => invoiceService.handleRefund(refund));
+
+// Stock for cancelled orders goes back on the shelf; sold-out changes reach live voice sessions
+orderManagementService.onOrderEvent((tenantId, order) => availabilityService.handleOrderEvent(tenantId, order));
+vertexAIService.setAvailabilityService(availabilityService);
+
+// Coupon and offer uses on cancelled orders are given back
+orderManagementService.onOrderEvent((tenantId, order) => promotionService.handleOrderEvent(tenantId, order));
+
+// Loyalty points are earned on delivery and reversed on cancellation
+orderManagementService.onOrderEvent((tenantId, order) => loyaltyService.handleOrderEvent(tenantId, order));
+availabilityService.onAvailabilityChange((tenantId, change) =>
+  vertexAIService.handleAvailabilityChange(tenantId, change)
+);
 
 // Initialize Customer Service
 const customerService = getCustomerService(config);
@@ -62,12 +205,18 @@ const customerService = getCustomerService(config);
  */
 router.post('/sessions', async (req, res) => {
   try {
-    const { tenantId, userId, language = 'en' } = req.body;
+    const { tenantId, userId, language = 'en', tableId } = req.body;
 
     if (!tenantId) {
       return res.status(400).json({ error: 'tenantId is required' });
     }
 
+    // Sessions started from a table's QR code are bound to that table
+    const table = tableId ? await tableService.getTable(tenantId, tableId) : null;
+    if (tableId && !table) {
+      return res.status(404).json({ error: 'Table not found' });
+    }
+
     const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
     console.log('[RestaurantRoutes] Creating session', { sessionId, tenantId, userId, language });
@@ -85,6 +234,14 @@ router.post('/sessions', async (req, res) => {
     // Get the display UI URL
     const uiUrl = displayClient.getConversationUIUrl(sessionId, tenantId, 'restaurant');
 
+    // Let the client say up front when orders for now aren't being taken (non-critical)
+    let storeStatus = null;
+    try {
+      storeStatus = await operatingHoursService.getStatus(tenantId);
+    } catch (error) {
+      console.warn('[RestaurantRoutes] Store status check failed (non-critical):', error.message);
+    }
+
     console.log('[RestaurantRoutes] Session created successfully', { sessionId, uiUrl });
 
     res.json({
@@ -93,7 +250,11 @@ router.post('/sessions', async (req, res) => {
       displayUrl: uiUrl,
       websocketUrl: `/ws/restaurant/${sessionId}`,
       tenantId,
-      language
+      language,
+      acceptingOrders: storeStatus?.open ?? true,
+      storeStatus,
+      table,
+      tab: table ? await tableService.getOpenTab(tenantId, table.id) : null
     });
   } catch (error) {
     console.error('[RestaurantRoutes] Session creation failed:', error);
@@ -227,6 +388,7 @@ router.post('/sessions/:sessionId/actions', async (req, res) => {
         result = await vertexAIService.addItemToCart(session, {
           dishName: data.dishName,
           quantity: data.quantity || 1,
+          modifiers: data.modifiers || [],
           customizations: data.customizations || []
         }, 'ui');
 
@@ -278,6 +440,24 @@ router.post('/sessions/:sessionId/actions', async (req, res) => {
         });
         break;
 
+      case 'confirm_repeat_order':
+        // Customer tapped "add" on the repeat order preview
+        result = await vertexAIService.repeatOrder(session, { confirm: true });
+
+        session.ws.send(JSON.stringify({
+          toolResponse: {
+            functionResponses: [{
+              name: 'ui_action_notification',
+              response: {
+                action: 'confirm_repeat_order',
+                source: 'ui_button',
+                message: `Customer confirmed the repeat order via UI. ${result.message}`
+              }
+            }]
+          }
+        }));
+        break;
+
       default:
         return res.status(400).json({ error: 'Unknown action type' });
     }
@@ -365,6 +545,10 @@ router.put('/:tenantId/profile', async (req, res) => {
     const { tenantId } = req.params;
     const updates = req.body;
 
+    if (updates.gstin && !vertexAIService.taxService.isValidGSTIN(updates.gstin)) {
+      return res.status(400).json({ error: 'Invalid GSTIN' });
+    }
+
     console.log('[RestaurantRoutes] Updating restaurant profile', { tenantId });
 
     const profile = await firebaseService.updateRestaurantProfile(tenantId, updates);
@@ -382,351 +566,1573 @@ router.put('/:tenantId/profile', async (req, res) => {
   }
 });
 
-// ==================== MENU MANAGEMENT ENDPOINTS ====================
+// ==================== KITCHEN STATION ENDPOINTS ====================
 
 /**
- * Create menu item with optional image
- * POST /api/restaurant/:tenantId/menu/items
+ * Get kitchen stations (defaults when none configured)
+ * GET /api/restaurant/:tenantId/kitchen-stations
  */
-router.post('/:tenantId/menu/items', upload.single('image'), async (req, res) => {
+router.get('/:tenantId/kitchen-stations', async (req, res) => {
   try {
     const { tenantId } = req.params;
-    const itemData = req.body;
-    const imageBuffer = req.file?.buffer;
-
-    console.log('[RestaurantRoutes] Creating menu item', {
-      tenantId,
-      itemName: itemData.name,
-      hasImage: !!imageBuffer
-    });
-
-    // Parse JSON fields if they're strings
-    if (typeof itemData.allergens === 'string') {
-      itemData.allergens = JSON.parse(itemData.allergens);
-    }
-    if (typeof itemData.dietaryTags === 'string') {
-      itemData.dietaryTags = JSON.parse(itemData.dietaryTags);
-    }
 
-    const item = await menuService.createMenuItem(tenantId, itemData, imageBuffer);
+    const stations = await kitchenStationService.getStations(tenantId);
 
     res.json({
       success: true,
-      item
+      stations
     });
   } catch (error) {
-    console.error('[RestaurantRoutes] Failed to create menu item:', error);
+    console.error('[RestaurantRoutes] Failed to get kitchen stations:', error);
     res.status(500).json({
-      error: 'Failed to create menu item',
+      error: 'Failed to get kitchen stations',
       message: error.message
     });
   }
 });
 
 /**
- * List menu items with optional filters
- * GET /api/restaurant/:tenantId/menu/items
+ * Replace all kitchen stations
+ * PUT /api/restaurant/:tenantId/kitchen-stations
+ * Body: { stations: [{ name, isDefault, prepTime, priority, rules: { itemIds, categories, tags, keywords } }] }
  */
-router.get('/:tenantId/menu/items', async (req, res) => {
+router.put('/:tenantId/kitchen-stations', async (req, res) => {
   try {
     const { tenantId } = req.params;
-    const { category, available, search } = req.query;
-
-    console.log('[RestaurantRoutes] Listing menu items', { tenantId, category, available, search });
-
-    let items;
+    const { stations } = req.body;
 
-    if (search) {
-      items = await menuService.searchMenuItems(tenantId, search);
-    } else {
-      const filters = {};
-      if (category) filters.category = category;
-      if (available !== undefined) filters.available = available === 'true';
+    console.log('[RestaurantRoutes] Updating kitchen stations', { tenantId, count: stations?.length });
 
-      items = await menuService.listMenuItems(tenantId, filters);
-    }
+    const saved = await kitchenStationService.saveStations(tenantId, stations);
 
     res.json({
       success: true,
-      items,
-      count: items.length
+      stations: saved
     });
   } catch (error) {
-    console.error('[RestaurantRoutes] Failed to list menu items:', error);
-    res.status(500).json({
-      error: 'Failed to list menu items',
+    console.error('[RestaurantRoutes] Failed to update kitchen stations:', error);
+    res.status(error.message.startsWith('Invalid kitchen stations') ? 400 : 500).json({
+      error: 'Failed to update kitchen stations',
       message: error.message
     });
   }
 });
 
 /**
- * Get single menu item
- * GET /api/restaurant/:tenantId/menu/items/:itemId
+ * Add or update a single kitchen station
+ * POST /api/restaurant/:tenantId/kitchen-stations
  */
-router.get('/:tenantId/menu/items/:itemId', async (req, res) => {
+router.post('/:tenantId/kitchen-stations', async (req, res) => {
   try {
-    const { itemId } = req.params;
-
-    console.log('[RestaurantRoutes] Getting menu item', { itemId });
-
-    const item = await menuService.getMenuItem(itemId);
+    const { tenantId } = req.params;
 
-    if (!item) {
-      return res.status(404).json({ error: 'Menu item not found' });
+    if (!req.body.name) {
+      return res.status(400).json({ error: 'Station name is required' });
     }
 
+    const stations = await kitchenStationService.upsertStation(tenantId, req.body);
+
     res.json({
       success: true,
-      item
+      stations
     });
   } catch (error) {
-    console.error('[RestaurantRoutes] Failed to get menu item:', error);
-    res.status(500).json({
-      error: 'Failed to get menu item',
+    console.error('[RestaurantRoutes] Failed to save kitchen station:', error);
+    const status = error.message.startsWith('Invalid kitchen stations') ? 400
+      : error.message === 'Restaurant profile not found' ? 404 : 500;
+    res.status(status).json({
+      error: 'Failed to save kitchen station',
       message: error.message
     });
   }
 });
 
 /**
- * Update menu item with optional new image
- * PUT /api/restaurant/:tenantId/menu/items/:itemId
+ * Delete a kitchen station
+ * DELETE /api/restaurant/:tenantId/kitchen-stations/:stationId
  */
-router.put('/:tenantId/menu/items/:itemId', upload.single('image'), async (req, res) => {
+router.delete('/:tenantId/kitchen-stations/:stationId', async (req, res) => {
   try {
-    const { itemId } = req.params;
-    const updates = req.body;
-    const newImageBuffer = req.file?.buffer;
+    const { tenantId, stationId } = req.params;
 
-    console.log('[RestaurantRoutes] Updating menu item', {
-      itemId,
-      hasNewImage: !!newImageBuffer
+    const stations = await kitchenStationService.deleteStation(tenantId, stationId);
+
+    res.json({
+      success: true,
+      stations
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to delete kitchen station:', error);
+    const status = ['Kitchen station not found', 'Restaurant profile not found'].includes(error.message) ? 404 : 500;
+    res.status(status).json({
+      error: 'Failed to delete kitchen station',
+      message: error.message
     });
+  }
+});
 
-    // Parse JSON fields if they're strings
-    if (typeof updates.allergens === 'string') {
-      updates.allergens = JSON.parse(updates.allergens);
-    }
-    if (typeof updates.dietaryTags === 'string') {
-      updates.dietaryTags = JSON.parse(updates.dietaryTags);
-    }
+// ==================== COMBO ENDPOINTS ====================
 
-    const item = await menuService.updateMenuItem(itemId, updates, newImageBuffer);
+/**
+ * Get combos and meal deals
+ * GET /api/restaurant/:tenantId/combos
+ */
+router.get('/:tenantId/combos', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+
+    const combos = await comboService.getCombos(tenantId);
 
     res.json({
       success: true,
-      item
+      combos
     });
   } catch (error) {
-    console.error('[RestaurantRoutes] Failed to update menu item:', error);
+    console.error('[RestaurantRoutes] Failed to get combos:', error);
     res.status(500).json({
-      error: 'Failed to update menu item',
+      error: 'Failed to get combos',
       message: error.message
     });
   }
 });
 
 /**
- * Delete menu item
- * DELETE /api/restaurant/:tenantId/menu/items/:itemId
+ * Replace all combos
+ * PUT /api/restaurant/:tenantId/combos
+ * Body: { combos: [{ name, description, price, active, groups: [{ name, quantity, itemIds, categories }] }] }
  */
-router.delete('/:tenantId/menu/items/:itemId', async (req, res) => {
+router.put('/:tenantId/combos', async (req, res) => {
   try {
-    const { itemId } = req.params;
+    const { tenantId } = req.params;
+    const { combos } = req.body;
 
-    console.log('[RestaurantRoutes] Deleting menu item', { itemId });
+    console.log('[RestaurantRoutes] Updating combos', { tenantId, count: combos?.length });
 
-    const result = await menuService.deleteMenuItem(itemId);
+    const saved = await comboService.saveCombos(tenantId, combos);
 
-    res.json(result);
+    res.json({
+      success: true,
+      combos: saved
+    });
   } catch (error) {
-    console.error('[RestaurantRoutes] Failed to delete menu item:', error);
-    res.status(500).json({
-      error: 'Failed to delete menu item',
+    console.error('[RestaurantRoutes] Failed to update combos:', error);
+    res.status(error.message.startsWith('Invalid combos') ? 400 : 500).json({
+      error: 'Failed to update combos',
       message: error.message
     });
   }
 });
 
 /**
- * Import menu from Excel file
- * POST /api/restaurant/:tenantId/menu/import
+ * Add or update a single combo
+ * POST /api/restaurant/:tenantId/combos
  */
-router.post('/:tenantId/menu/import', upload.single('file'), async (req, res) => {
+router.post('/:tenantId/combos', async (req, res) => {
   try {
     const { tenantId } = req.params;
-    const excelBuffer = req.file?.buffer;
 
-    if (!excelBuffer) {
-      return res.status(400).json({ error: 'Excel file is required' });
+    if (!req.body.name) {
+      return res.status(400).json({ error: 'Combo name is required' });
     }
 
-    console.log('[RestaurantRoutes] Importing menu from Excel', {
-      tenantId,
-      fileSize: excelBuffer.length
+    const combos = await comboService.upsertCombo(tenantId, req.body);
+
+    res.json({
+      success: true,
+      combos
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to save combo:', error);
+    const status = error.message.startsWith('Invalid combos') ? 400
+      : error.message === 'Restaurant profile not found' ? 404 : 500;
+    res.status(status).json({
+      error: 'Failed to save combo',
+      message: error.message
     });
+  }
+});
 
-    const result = await menuService.importFromExcel(tenantId, excelBuffer);
+/**
+ * Delete a combo
+ * DELETE /api/restaurant/:tenantId/combos/:comboId
+ */
+router.delete('/:tenantId/combos/:comboId', async (req, res) => {
+  try {
+    const { tenantId, comboId } = req.params;
+
+    const combos = await comboService.deleteCombo(tenantId, comboId);
 
     res.json({
       success: true,
-      ...result
+      combos
     });
   } catch (error) {
-    console.error('[RestaurantRoutes] Failed to import menu:', error);
-    res.status(500).json({
-      error: 'Failed to import menu',
+    console.error('[RestaurantRoutes] Failed to delete combo:', error);
+    const status = ['Combo not found', 'Restaurant profile not found'].includes(error.message) ? 404 : 500;
+    res.status(status).json({
+      error: 'Failed to delete combo',
       message: error.message
     });
   }
 });
 
+// ==================== PROMOTION ENDPOINTS ====================
+
 /**
- * Get menu grouped by category
- * GET /api/restaurant/:tenantId/menu/by-category
+ * Get promotions and coupons
+ * GET /api/restaurant/:tenantId/promotions
  */
-router.get('/:tenantId/menu/by-category', async (req, res) => {
+router.get('/:tenantId/promotions', async (req, res) => {
   try {
     const { tenantId } = req.params;
 
-    console.log('[RestaurantRoutes] Getting menu by category', { tenantId });
-
-    const menuByCategory = await menuService.getMenuByCategory(tenantId);
+    const promotions = await promotionService.getPromotions(tenantId);
 
     res.json({
       success: true,
-      menu: menuByCategory
+      promotions
     });
   } catch (error) {
-    console.error('[RestaurantRoutes] Failed to get menu by category:', error);
+    console.error('[RestaurantRoutes] Failed to get promotions:', error);
     res.status(500).json({
-      error: 'Failed to get menu by category',
+      error: 'Failed to get promotions',
       message: error.message
     });
   }
 });
 
 /**
- * Get menu statistics
- * GET /api/restaurant/:tenantId/menu/stats
+ * Replace all promotions
+ * PUT /api/restaurant/:tenantId/promotions
+ * Body: { promotions: [{ name, code, type, value, maxDiscount, buyQuantity, getQuantity,
+ *   appliesTo: { itemIds, categories }, conditions: { minOrderValue, firstOrderOnly, groupOrderOnly,
+ *   orderTypes, schedule: { start, end, days } }, usageLimit, perCustomerLimit, startsAt, endsAt, active }] }
  */
-router.get('/:tenantId/menu/stats', async (req, res) => {
+router.put('/:tenantId/promotions', async (req, res) => {
   try {
     const { tenantId } = req.params;
+    const { promotions } = req.body;
 
-    console.log('[RestaurantRoutes] Getting menu stats', { tenantId });
+    console.log('[RestaurantRoutes] Updating promotions', { tenantId, count: promotions?.length });
 
-    const stats = await menuService.getMenuStats(tenantId);
+    const saved = await promotionService.savePromotions(tenantId, promotions);
 
     res.json({
       success: true,
-      stats
+      promotions: saved
     });
   } catch (error) {
-    console.error('[RestaurantRoutes] Failed to get menu stats:', error);
-    res.status(500).json({
-      error: 'Failed to get menu stats',
+    console.error('[RestaurantRoutes] Failed to update promotions:', error);
+    res.status(error.message.startsWith('Invalid promotions') ? 400 : 500).json({
+      error: 'Failed to update promotions',
       message: error.message
     });
   }
 });
 
-// ==================== IMAGE UPLOAD ENDPOINTS ====================
-
 /**
- * Upload dish image
- * POST /api/restaurant/:tenantId/images/upload
+ * Add or update a single promotion
+ * POST /api/restaurant/:tenantId/promotions
  */
-router.post('/:tenantId/images/upload', upload.single('image'), async (req, res) => {
+router.post('/:tenantId/promotions', async (req, res) => {
   try {
     const { tenantId } = req.params;
-    const imageBuffer = req.file?.buffer;
-    const metadata = {
-      filename: req.file?.originalname,
-      contentType: req.file?.mimetype,
-      tenantId
-    };
 
-    if (!imageBuffer) {
-      return res.status(400).json({ error: 'Image file is required' });
+    if (!req.body.name) {
+      return res.status(400).json({ error: 'Promotion name is required' });
     }
 
-    console.log('[RestaurantRoutes] Uploading image', {
-      tenantId,
-      filename: metadata.filename,
-      size: imageBuffer.length
+    const promotions = await promotionService.upsertPromotion(tenantId, req.body);
+
+    res.json({
+      success: true,
+      promotions
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to save promotion:', error);
+    const status = error.message.startsWith('Invalid promotions') ? 400
+      : error.message === 'Restaurant profile not found' ? 404 : 500;
+    res.status(status).json({
+      error: 'Failed to save promotion',
+      message: error.message
     });
+  }
+});
 
-    const result = await cloudflareImageService.uploadImage(imageBuffer, metadata);
+/**
+ * Delete a promotion
+ * DELETE /api/restaurant/:tenantId/promotions/:promotionId
+ */
+router.delete('/:tenantId/promotions/:promotionId', async (req, res) => {
+  try {
+    const { tenantId, promotionId } = req.params;
+
+    const promotions = await promotionService.deletePromotion(tenantId, promotionId);
 
     res.json({
       success: true,
-      image: result
+      promotions
     });
   } catch (error) {
-    console.error('[RestaurantRoutes] Failed to upload image:', error);
-    res.status(500).json({
-      error: 'Failed to upload image',
+    console.error('[RestaurantRoutes] Failed to delete promotion:', error);
+    const status = ['Promotion not found', 'Restaurant profile not found'].includes(error.message) ? 404 : 500;
+    res.status(status).json({
+      error: 'Failed to delete promotion',
       message: error.message
     });
   }
 });
 
+// ==================== LOYALTY ENDPOINTS ====================
+
 /**
- * Delete dish image
- * DELETE /api/restaurant/:tenantId/images/:imageId
+ * Get loyalty programme settings (null when not set up)
+ * GET /api/restaurant/:tenantId/loyalty
  */
-router.delete('/:tenantId/images/:imageId', async (req, res) => {
+router.get('/:tenantId/loyalty', async (req, res) => {
   try {
-    const { imageId } = req.params;
-
-    console.log('[RestaurantRoutes] Deleting image', { imageId });
+    const { tenantId } = req.params;
 
-    const result = await cloudflareImageService.deleteImage(imageId);
+    const settings = await loyaltyService.getConfiguredSettings(tenantId);
 
-    res.json(result);
+    res.json({
+      success: true,
+      loyalty: settings
+    });
   } catch (error) {
-    console.error('[RestaurantRoutes] Failed to delete image:', error);
-    res.status(500).json({
-      error: 'Failed to delete image',
+    console.error('[RestaurantRoutes] Failed to get loyalty settings:', error);
+    res.status(error.message === 'Restaurant profile not found' ? 404 : 500).json({
+      error: 'Failed to get loyalty settings',
       message: error.message
     });
   }
 });
 
 /**
- * Download Excel template for menu import
- * GET /api/restaurant/menu/template
+ * Replace loyalty programme settings
+ * PUT /api/restaurant/:tenantId/loyalty
+ * Body: { enabled, pointsPerRupee, pointValue, minRedeemPoints, maxRedeemPercent, expiryDays,
+ *   tiers: [{ name, minSpend, multiplier }] }
  */
-router.get('/menu/template', async (req, res) => {
+router.put('/:tenantId/loyalty', async (req, res) => {
   try {
-    console.log('[RestaurantRoutes] Generating Excel template');
+    const { tenantId } = req.params;
 
-    const templateBuffer = excelParserService.generateTemplate();
+    console.log('[RestaurantRoutes] Updating loyalty settings', { tenantId });
 
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', 'attachment; filename=menu-import-template.xlsx');
-    res.send(templateBuffer);
+    const saved = await loyaltyService.saveSettings(tenantId, req.body);
+
+    res.json({
+      success: true,
+      loyalty: saved
+    });
   } catch (error) {
-    console.error('[RestaurantRoutes] Failed to generate template:', error);
-    res.status(500).json({
-      error: 'Failed to generate template',
+    console.error('[RestaurantRoutes] Failed to update loyalty settings:', error);
+    res.status(error.message.startsWith('Invalid loyalty settings') ? 400 : 500).json({
+      error: 'Failed to update loyalty settings',
       message: error.message
     });
   }
 });
 
 /**
- * Provision restaurant from admin app onboarding
- * POST /api/restaurant/tenants/provision
+ * Get a customer's loyalty balance and transaction history
+ * GET /api/restaurant/:tenantId/customers/:phone/loyalty?limit=50
  */
-router.post('/tenants/provision', async (req, res) => {
+router.get('/:tenantId/customers/:phone/loyalty', async (req, res) => {
   try {
-    const {
-      tenantId,
-      companyName,
-      restaurantProfile,  // { cuisine, address, phone, hours, about }
+    const { tenantId, phone } = req.params;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const [account, transactions] = await Promise.all([
+      loyaltyService.getAccount(tenantId, phone),
+      loyaltyService.getTransactions(tenantId, phone, limit)
+    ]);
+
+    res.json({
+      success: true,
+      account,
+      transactions
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to get loyalty account:', error);
+    res.status(500).json({
+      error: 'Failed to get loyalty account',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Credit or debit a customer's points by hand
+ * POST /api/restaurant/:tenantId/customers/:phone/loyalty/adjustments
+ * Body: { points (negative to debit), reason, adjustedBy }
+ */
+router.post('/:tenantId/customers/:phone/loyalty/adjustments', async (req, res) => {
+  try {
+    const { tenantId, phone } = req.params;
+    const { points, reason, adjustedBy } = req.body;
+
+    const transaction = await loyaltyService.adjust(tenantId, phone, points, { reason, adjustedBy });
+
+    res.json({
+      success: true,
+      transaction
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to adjust loyalty points:', error);
+    const status = error.message.startsWith('Invalid adjustment') || error.message.startsWith('Not enough loyalty points') ? 400
+      : error.message === 'Customer not found' ? 404 : 500;
+    res.status(status).json({
+      error: 'Failed to adjust loyalty points',
+      message: error.message
+    });
+  }
+});
+
+// ==================== TABLE ENDPOINTS ====================
+
+/**
+ * Get dine-in tables and areas
+ * GET /api/restaurant/:tenantId/tables
+ */
+router.get('/:tenantId/tables', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+
+    const tables = await tableService.getConfiguredTables(tenantId);
+
+    res.json({
+      success: true,
+      ...tables
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to get tables:', error);
+    res.status(error.message === 'Restaurant profile not found' ? 404 : 500).json({
+      error: 'Failed to get tables',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Replace dine-in tables and areas
+ * PUT /api/restaurant/:tenantId/tables
+ * Body: { areas: [{ id, name }], tables: [{ id, name, areaId, seats }] }
+ */
+router.put('/:tenantId/tables', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+
+    console.log('[RestaurantRoutes] Updating tables', { tenantId, count: req.body.tables?.length });
+
+    const saved = await tableService.saveTables(tenantId, req.body);
+
+    res.json({
+      success: true,
+      ...saved
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to update tables:', error);
+    res.status(error.message.startsWith('Invalid tables') ? 400 : 500).json({
+      error: 'Failed to update tables',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Session start URL for every table, to print as QR codes
+ * GET /api/restaurant/:tenantId/tables/qr-codes
+ */
+router.get('/:tenantId/tables/qr-codes', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+
+    const qrCodes = await tableService.getQrCodes(tenantId);
+
+    res.json({
+      success: true,
+      qrCodes
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to get table QR codes:', error);
+    res.status(500).json({
+      error: 'Failed to get table QR codes',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Open tabs, oldest first (tables currently seated)
+ * GET /api/restaurant/:tenantId/tabs
+ */
+router.get('/:tenantId/tabs', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+
+    const tabs = await tableService.getOpenTabs(tenantId);
+
+    res.json({
+      success: true,
+      tabs
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to get open tabs:', error);
+    res.status(500).json({
+      error: 'Failed to get open tabs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * A tab's running bill: every round and the combined totals
+ * GET /api/restaurant/:tenantId/tabs/:tabId
+ */
+router.get('/:tenantId/tabs/:tabId', async (req, res) => {
+  try {
+    const { tenantId, tabId } = req.params;
+
+    const bill = await tableService.getTabBill(tenantId, tabId);
+
+    res.json({
+      success: true,
+      ...bill
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to get tab:', error);
+    res.status(error.message === 'Tab not found' ? 404 : 500).json({
+      error: 'Failed to get tab',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Settle and close a tab: one invoice for every round, and the table is free again
+ * POST /api/restaurant/:tenantId/tabs/:tabId/close
+ * Body: { paymentMethod: 'cash' | 'card' | 'upi', closedBy }
+ */
+router.post('/:tenantId/tabs/:tabId/close', async (req, res) => {
+  try {
+    const { tenantId, tabId } = req.params;
+    const { paymentMethod, closedBy } = req.body;
+
+    console.log('[RestaurantRoutes] Closing tab', { tenantId, tabId, paymentMethod });
+
+    const { tab, invoice, bill } = await tableService.closeTab(tenantId, tabId, { paymentMethod, closedBy });
+
+    res.json({
+      success: true,
+      tab,
+      bill,
+      invoice
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to close tab:', error);
+    const status = error.message.startsWith('Invalid payment method') ? 400
+      : error.message === 'Tab not found' ? 404
+        : error.message === 'Tab is already closed' || error.message.startsWith('Tab has rounds') ? 409 : 500;
+    res.status(status).json({
+      error: 'Failed to close tab',
+      message: error.message
+    });
+  }
+});
+
+// ==================== OPENING HOURS ENDPOINTS ====================
+
+/**
+ * Get opening hours (null when not set up: orders are taken around the clock)
+ * GET /api/restaurant/:tenantId/hours
+ */
+router.get('/:tenantId/hours', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+
+    const hours = await operatingHoursService.getConfiguredHours(tenantId);
+
+    res.json({
+      success: true,
+      hours
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to get opening hours:', error);
+    res.status(error.message === 'Restaurant profile not found' ? 404 : 500).json({
+      error: 'Failed to get opening hours',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Replace opening hours
+ * PUT /api/restaurant/:tenantId/hours
+ * Body: { weekly: [{ start: 'HH:MM', end: 'HH:MM', days }],
+ *   holidays: [{ date: 'YYYY-MM-DD', name, closed, start, end }], maxOpenOrders }
+ */
+router.put('/:tenantId/hours', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+
+    console.log('[RestaurantRoutes] Updating opening hours', { tenantId });
+
+    const saved = await operatingHoursService.saveHours(tenantId, req.body);
+
+    res.json({
+      success: true,
+      hours: saved
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to update opening hours:', error);
+    res.status(error.message.startsWith('Invalid opening hours') ? 400 : 500).json({
+      error: 'Failed to update opening hours',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Get the cancellation policy (the default when the tenant has not set one)
+ * GET /api/restaurant/:tenantId/cancellation-policy
+ */
+router.get('/:tenantId/cancellation-policy', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+    const policyService = orderManagementService.cancellationPolicyService;
+
+    const policy = await policyService.getPolicy(tenantId);
+
+    res.json({
+      success: true,
+      policy,
+      description: policyService.describePolicy(policy)
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to get cancellation policy:', error);
+    res.status(500).json({
+      error: 'Failed to get cancellation policy',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Replace the cancellation policy
+ * PUT /api/restaurant/:tenantId/cancellation-policy
+ * Body: { before_acceptance: { refundPercent }, preparing: { refundPercent }, dispatched: { refundPercent }, note }
+ */
+router.put('/:tenantId/cancellation-policy', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+    const policyService = orderManagementService.cancellationPolicyService;
+
+    console.log('[RestaurantRoutes] Updating cancellation policy', { tenantId });
+
+    const policy = await policyService.savePolicy(tenantId, req.body);
+
+    res.json({
+      success: true,
+      policy,
+      description: policyService.describePolicy(policy)
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to update cancellation policy:', error);
+    const status = error.message.startsWith('Invalid cancellation policy') ? 400
+      : error.message === 'Restaurant profile not found' ? 404 : 500;
+    res.status(status).json({
+      error: 'Failed to update cancellation policy',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Whether orders for now are being taken, and why not
+ * GET /api/restaurant/:tenantId/store-status
+ */
+router.get('/:tenantId/store-status', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+
+    const status = await operatingHoursService.getStatus(tenantId);
+
+    res.json({
+      success: true,
+      status
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to get store status:', error);
+    res.status(500).json({
+      error: 'Failed to get store status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Pause orders for now (busy mode); orders for later are still taken
+ * POST /api/restaurant/:tenantId/busy-mode
+ * Body: { minutes, reason, setBy }
+ */
+router.post('/:tenantId/busy-mode', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+    const { minutes, reason, setBy } = req.body;
+
+    console.log('[RestaurantRoutes] Turning on busy mode', { tenantId, minutes });
+
+    const busyMode = await operatingHoursService.setBusyMode(tenantId, { minutes, reason, setBy });
+
+    res.json({
+      success: true,
+      busyMode
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to turn on busy mode:', error);
+    res.status(error.message.startsWith('Invalid busy mode') ? 400 : 500).json({
+      error: 'Failed to turn on busy mode',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Resume orders for now before busy mode runs out
+ * DELETE /api/restaurant/:tenantId/busy-mode
+ */
+router.delete('/:tenantId/busy-mode', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+
+    console.log('[RestaurantRoutes] Turning off busy mode', { tenantId });
+
+    await operatingHoursService.clearBusyMode(tenantId);
+
+    res.json({
+      success: true,
+      busyMode: null
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to turn off busy mode:', error);
+    res.status(500).json({
+      error: 'Failed to turn off busy mode',
+      message: error.message
+    });
+  }
+});
+
+// ==================== SCHEDULED ORDER ENDPOINTS ====================
+
+/**
+ * Get scheduled order settings (null when not set up)
+ * GET /api/restaurant/:tenantId/scheduling
+ */
+router.get('/:tenantId/scheduling', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+
+    const settings = await schedulingService.getConfiguredSettings(tenantId);
+
+    res.json({
+      success: true,
+      scheduling: settings
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to get scheduling settings:', error);
+    res.status(error.message === 'Restaurant profile not found' ? 404 : 500).json({
+      error: 'Failed to get scheduling settings',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Replace scheduled order settings
+ * PUT /api/restaurant/:tenantId/scheduling
+ * Body: { enabled, hours: [{ start: 'HH:MM', end: 'HH:MM', days }], slotMinutes, slotCapacity,
+ *   minLeadMinutes, maxDaysAhead }
+ */
+router.put('/:tenantId/scheduling', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+
+    console.log('[RestaurantRoutes] Updating scheduling settings', { tenantId });
+
+    const saved = await schedulingService.saveSettings(tenantId, req.body);
+
+    res.json({
+      success: true,
+      scheduling: saved
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to update scheduling settings:', error);
+    res.status(error.message.startsWith('Invalid scheduling settings') ? 400 : 500).json({
+      error: 'Failed to update scheduling settings',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Slots that can still take a scheduled order
+ * GET /api/restaurant/:tenantId/scheduling/slots?date=tomorrow&limit=20
+ * date: 'today', 'tomorrow', a weekday or YYYY-MM-DD (every bookable day when omitted)
+ */
+router.get('/:tenantId/scheduling/slots', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+
+    const slots = await schedulingService.getAvailableSlots(tenantId, {
+      date: req.query.date || null,
+      limit: parseInt(req.query.limit) || null
+    });
+
+    res.json({
+      success: true,
+      slots
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to get available slots:', error);
+    res.status(500).json({
+      error: 'Failed to get available slots',
+      message: error.message
+    });
+  }
+});
+
+// ==================== DELIVERY ZONE ENDPOINTS ====================
+
+/**
+ * Get configured delivery zones (empty means the default delivery radius applies)
+ * GET /api/restaurant/:tenantId/delivery-zones
+ */
+router.get('/:tenantId/delivery-zones', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+
+    const zones = await vertexAIService.deliveryService.getConfiguredDeliveryZones(tenantId);
+
+    res.json({
+      success: true,
+      zones,
+      defaultRadius: vertexAIService.deliveryService.defaultRadius
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to get delivery zones:', error);
+    res.status(error.message === 'Restaurant profile not found' ? 404 : 500).json({
+      error: 'Failed to get delivery zones',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Replace all delivery zones
+ * PUT /api/restaurant/:tenantId/delivery-zones
+ * Body: { zones: [{ name, type: 'polygon'|'pincode'|'radius', polygon (GeoJSON), pincodes, radius,
+ *   feeSlabs: [{ minOrderValue, fee }], minOrderValue, etaBufferMinutes, priority, active }] }
+ */
+router.put('/:tenantId/delivery-zones', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+    const { zones } = req.body;
+
+    console.log('[RestaurantRoutes] Updating delivery zones', { tenantId, count: zones?.length });
+
+    const saved = await vertexAIService.deliveryService.saveDeliveryZones(tenantId, zones);
+
+    res.json({
+      success: true,
+      zones: saved
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to update delivery zones:', error);
+    const status = error.message.startsWith('Invalid delivery zones') ? 400
+      : error.message === 'Restaurant profile not found' ? 404 : 500;
+    res.status(status).json({
+      error: 'Failed to update delivery zones',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Check which zone an address falls in (for testing zone setups)
+ * POST /api/restaurant/:tenantId/delivery-zones/check
+ * Body: { coordinates: { lat, lng }, pincode, orderValue }
+ */
+router.post('/:tenantId/delivery-zones/check', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+    const { coordinates, pincode, orderValue = 0 } = req.body;
+
+    if (!coordinates || !coordinates.lat || !coordinates.lng) {
+      return res.status(400).json({ error: 'coordinates are required' });
+    }
+
+    const deliveryService = vertexAIService.deliveryService;
+    const restaurantLocation = {
+      lat: config.restaurant?.location?.lat || 12.9716,
+      lng: config.restaurant?.location?.lng || 77.5946
+    };
+
+    const deliveryCheck = await deliveryService.checkDeliveryZone(restaurantLocation, coordinates, {
+      tenantId,
+      pincode
+    });
+
+    res.json({
+      success: true,
+      eligible: deliveryCheck.eligible,
+      zone: deliveryCheck.zone,
+      distance: deliveryCheck.distance,
+      fee: deliveryCheck.eligible
+        ? deliveryService.calculateDeliveryFee(deliveryCheck.distance, orderValue, deliveryCheck.zone)
+        : null,
+      minimumOrder: deliveryCheck.eligible
+        ? deliveryService.checkMinimumOrder(deliveryCheck.zone, orderValue)
+        : null,
+      estimatedTime: deliveryCheck.eligible
+        ? deliveryService.calculateEstimatedDeliveryTime(deliveryCheck.distance, 20, deliveryCheck.zone)
+        : null,
+      message: deliveryCheck.message
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Delivery zone check failed:', error);
+    res.status(500).json({
+      error: 'Failed to check delivery zone',
+      message: error.message
+    });
+  }
+});
+
+// ==================== COURIER ENDPOINTS ====================
+
+/**
+ * Get courier settings and the couriers available on this server
+ * GET /api/restaurant/:tenantId/couriers
+ */
+router.get('/:tenantId/couriers', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+
+    const settings = await courierService.getSettings(tenantId);
+
+    res.json({
+      success: true,
+      settings,
+      couriers: courierService.listCouriers()
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to get courier settings:', error);
+    res.status(500).json({
+      error: 'Failed to get courier settings',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Update courier settings
+ * PUT /api/restaurant/:tenantId/couriers
+ * Body: { enabled: ['porter', 'self'], selection: 'cheapest' | 'preferred', preferred: 'self' }
+ */
+router.put('/:tenantId/couriers', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+
+    const settings = await courierService.saveSettings(tenantId, req.body);
+
+    res.json({
+      success: true,
+      settings
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to update courier settings:', error);
+    res.status(error.message.startsWith('Invalid courier settings') ? 400 : 500).json({
+      error: 'Failed to update courier settings',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Get the restaurant's own delivery riders
+ * GET /api/restaurant/:tenantId/delivery-riders
+ */
+router.get('/:tenantId/delivery-riders', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+
+    const riders = await courierService.getAdapter('self').getRiders(tenantId);
+
+    res.json({
+      success: true,
+      riders
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to get delivery riders:', error);
+    res.status(500).json({
+      error: 'Failed to get delivery riders',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Replace the restaurant's own delivery riders
+ * PUT /api/restaurant/:tenantId/delivery-riders
+ * Body: { riders: [{ name, phone, vehicleNumber, active }] }
+ */
+router.put('/:tenantId/delivery-riders', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+
+    const riders = await courierService.getAdapter('self').saveRiders(tenantId, req.body.riders);
+
+    res.json({
+      success: true,
+      riders
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to update delivery riders:', error);
+    res.status(error.message.startsWith('Invalid riders') ? 400 : 500).json({
+      error: 'Failed to update delivery riders',
+      message: error.message
+    });
+  }
+});
+
+// ==================== MENU MANAGEMENT ENDPOINTS ====================
+
+/**
+ * Create menu item with optional image
+ * POST /api/restaurant/:tenantId/menu/items
+ */
+router.post('/:tenantId/menu/items', upload.single('image'), async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+    const itemData = req.body;
+    const imageBuffer = req.file?.buffer;
+
+    console.log('[RestaurantRoutes] Creating menu item', {
+      tenantId,
+      itemName: itemData.name,
+      hasImage: !!imageBuffer
+    });
+
+    // Parse JSON fields if they're strings
+    if (typeof itemData.allergens === 'string') {
+      itemData.allergens = JSON.parse(itemData.allergens);
+    }
+    if (typeof itemData.dietaryTags === 'string') {
+      itemData.dietaryTags = JSON.parse(itemData.dietaryTags);
+    }
+    if (typeof itemData.synonyms === 'string') {
+      itemData.synonyms = JSON.parse(itemData.synonyms);
+    }
+    if (typeof itemData.modifierGroups === 'string') {
+      itemData.modifierGroups = JSON.parse(itemData.modifierGroups);
+    }
+    if (typeof itemData.schedule === 'string') {
+      itemData.schedule = JSON.parse(itemData.schedule);
+    }
+
+    const item = await menuService.createMenuItem(tenantId, itemData, imageBuffer);
+    kitchenStationService.invalidateMenu(tenantId);
+
+    res.json({
+      success: true,
+      item
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to create menu item:', error);
+    const invalid = ['Invalid modifier groups', 'Invalid schedule', 'Invalid GST'].some(prefix => error.message.startsWith(prefix));
+    res.status(invalid ? 400 : 500).json({
+      error: 'Failed to create menu item',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * List menu items with optional filters
+ * GET /api/restaurant/:tenantId/menu/items
+ * Search results leave out sold-out and off-schedule dishes unless includeUnavailable=true
+ */
+router.get('/:tenantId/menu/items', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+    const { category, available, search, includeUnavailable } = req.query;
+
+    console.log('[RestaurantRoutes] Listing menu items', { tenantId, category, available, search });
+
+    let items;
+
+    if (search) {
+      items = await menuService.searchMenuItems(tenantId, search, {
+        includeUnavailable: includeUnavailable === 'true'
+      });
+    } else {
+      const filters = {};
+      if (category) filters.category = category;
+      if (available !== undefined) filters.available = available === 'true';
+
+      items = await menuService.listMenuItems(tenantId, filters);
+    }
+
+    res.json({
+      success: true,
+      items,
+      count: items.length
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to list menu items:', error);
+    res.status(500).json({
+      error: 'Failed to list menu items',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Ranked dish search as the voice agent sees it (scores, confidence, suggestions)
+ * GET /api/restaurant/:tenantId/menu/search?q=pandhi+kari
+ */
+router.get('/:tenantId/menu/search', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+    const { q } = req.query;
+
+    if (!q) {
+      return res.status(400).json({ error: 'Query parameter q is required' });
+    }
+
+    const result = await menuService.rankMenuItems(tenantId, q);
+
+    res.json({
+      success: true,
+      query: result.query,
+      confidence: result.confidence,
+      ambiguous: result.ambiguous,
+      suggestions: result.suggestions,
+      matches: result.matches.map(match => ({
+        id: match.item.id,
+        name: match.item.name,
+        score: match.score,
+        matchedOn: match.matchedOn,
+        field: match.field
+      }))
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to search menu:', error);
+    res.status(500).json({
+      error: 'Failed to search menu',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Menu items with live availability (86 list, stock counts, schedules)
+ * GET /api/restaurant/:tenantId/menu/availability
+ */
+router.get('/:tenantId/menu/availability', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+
+    const [items, dayparts] = await Promise.all([
+      menuService.getMenuAvailability(tenantId),
+      availabilityService.getDayparts(tenantId)
+    ]);
+
+    res.json({
+      success: true,
+      dayparts,
+      items: items.map(item => ({
+        id: item.id,
+        name: item.name,
+        category: item.category,
+        schedule: item.schedule || null,
+        availability: item.availability
+      }))
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to get menu availability:', error);
+    res.status(500).json({
+      error: 'Failed to get menu availability',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * 86 a dish, put it back on, or set how many are left
+ * PUT /api/restaurant/:tenantId/menu/items/:itemId/availability
+ * Body: { soldOut: boolean, stock: number|null, reason, updatedBy }
+ */
+router.put('/:tenantId/menu/items/:itemId/availability', async (req, res) => {
+  try {
+    const { tenantId, itemId } = req.params;
+    const { soldOut, stock, reason, updatedBy } = req.body;
+
+    console.log('[RestaurantRoutes] Updating item availability', { tenantId, itemId, soldOut, stock });
+
+    const availability = await menuService.setItemAvailability(tenantId, itemId, {
+      soldOut,
+      stock,
+      reason,
+      updatedBy
+    });
+
+    res.json({
+      success: true,
+      availability
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to update item availability:', error);
+    const status = error.message.startsWith('Invalid availability') ? 400
+      : error.message === 'Menu item not found' ? 404 : 500;
+    res.status(status).json({
+      error: 'Failed to update item availability',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Get menu dayparts (defaults when none configured)
+ * GET /api/restaurant/:tenantId/menu/dayparts
+ */
+router.get('/:tenantId/menu/dayparts', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+
+    const dayparts = await availabilityService.getDayparts(tenantId);
+
+    res.json({
+      success: true,
+      dayparts
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to get dayparts:', error);
+    res.status(500).json({
+      error: 'Failed to get dayparts',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Replace menu dayparts
+ * PUT /api/restaurant/:tenantId/menu/dayparts
+ * Body: { dayparts: [{ id, name, start: 'HH:MM', end: 'HH:MM' }] }
+ */
+router.put('/:tenantId/menu/dayparts', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+    const { dayparts } = req.body;
+
+    console.log('[RestaurantRoutes] Updating dayparts', { tenantId, count: dayparts?.length });
+
+    const saved = await availabilityService.saveDayparts(tenantId, dayparts);
+
+    res.json({
+      success: true,
+      dayparts: saved
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to update dayparts:', error);
+    res.status(error.message.startsWith('Invalid dayparts') ? 400 : 500).json({
+      error: 'Failed to update dayparts',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Get single menu item
+ * GET /api/restaurant/:tenantId/menu/items/:itemId
+ */
+router.get('/:tenantId/menu/items/:itemId', async (req, res) => {
+  try {
+    const { itemId } = req.params;
+
+    console.log('[RestaurantRoutes] Getting menu item', { itemId });
+
+    const item = await menuService.getMenuItem(itemId);
+
+    if (!item) {
+      return res.status(404).json({ error: 'Menu item not found' });
+    }
+
+    res.json({
+      success: true,
+      item
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to get menu item:', error);
+    res.status(500).json({
+      error: 'Failed to get menu item',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Update menu item with optional new image
+ * PUT /api/restaurant/:tenantId/menu/items/:itemId
+ */
+router.put('/:tenantId/menu/items/:itemId', upload.single('image'), async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    const updates = req.body;
+    const newImageBuffer = req.file?.buffer;
+
+    console.log('[RestaurantRoutes] Updating menu item', {
+      itemId,
+      hasNewImage: !!newImageBuffer
+    });
+
+    // Parse JSON fields if they're strings
+    if (typeof updates.allergens === 'string') {
+      updates.allergens = JSON.parse(updates.allergens);
+    }
+    if (typeof updates.dietaryTags === 'string') {
+      updates.dietaryTags = JSON.parse(updates.dietaryTags);
+    }
+    if (typeof updates.synonyms === 'string') {
+      updates.synonyms = JSON.parse(updates.synonyms);
+    }
+    if (typeof updates.modifierGroups === 'string') {
+      updates.modifierGroups = JSON.parse(updates.modifierGroups);
+    }
+    if (typeof updates.schedule === 'string') {
+      updates.schedule = updates.schedule ? JSON.parse(updates.schedule) : null;
+    }
+
+    const item = await menuService.updateMenuItem(itemId, updates, newImageBuffer);
+    kitchenStationService.invalidateMenu(req.params.tenantId);
+
+    res.json({
+      success: true,
+      item
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to update menu item:', error);
+    const invalid = ['Invalid modifier groups', 'Invalid schedule', 'Invalid GST'].some(prefix => error.message.startsWith(prefix));
+    res.status(invalid ? 400 : 500).json({
+      error: 'Failed to update menu item',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Delete menu item
+ * DELETE /api/restaurant/:tenantId/menu/items/:itemId
+ */
+router.delete('/:tenantId/menu/items/:itemId', async (req, res) => {
+  try {
+    const { itemId } = req.params;
+
+    console.log('[RestaurantRoutes] Deleting menu item', { itemId });
+
+    const result = await menuService.deleteMenuItem(itemId);
+    kitchenStationService.invalidateMenu(req.params.tenantId);
+
+    res.json(result);
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to delete menu item:', error);
+    res.status(500).json({
+      error: 'Failed to delete menu item',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Import menu from Excel file
+ * POST /api/restaurant/:tenantId/menu/import
+ */
+router.post('/:tenantId/menu/import', upload.single('file'), async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+    const excelBuffer = req.file?.buffer;
+
+    if (!excelBuffer) {
+      return res.status(400).json({ error: 'Excel file is required' });
+    }
+
+    console.log('[RestaurantRoutes] Importing menu from Excel', {
+      tenantId,
+      fileSize: excelBuffer.length
+    });
+
+    const result = await menuService.importFromExcel(tenantId, excelBuffer);
+    kitchenStationService.invalidateMenu(tenantId);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to import menu:', error);
+    res.status(500).json({
+      error: 'Failed to import menu',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Get menu grouped by category
+ * GET /api/restaurant/:tenantId/menu/by-category
+ */
+router.get('/:tenantId/menu/by-category', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+
+    console.log('[RestaurantRoutes] Getting menu by category', { tenantId });
+
+    const menuByCategory = await menuService.getMenuByCategory(tenantId);
+
+    res.json({
+      success: true,
+      menu: menuByCategory
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to get menu by category:', error);
+    res.status(500).json({
+      error: 'Failed to get menu by category',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Get menu statistics
+ * GET /api/restaurant/:tenantId/menu/stats
+ */
+router.get('/:tenantId/menu/stats', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+
+    console.log('[RestaurantRoutes] Getting menu stats', { tenantId });
+
+    const stats = await menuService.getMenuStats(tenantId);
+
+    res.json({
+      success: true,
+      stats
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to get menu stats:', error);
+    res.status(500).json({
+      error: 'Failed to get menu stats',
+      message: error.message
+    });
+  }
+});
+
+// ==================== IMAGE UPLOAD ENDPOINTS ====================
+
+/**
+ * Upload dish image
+ * POST /api/restaurant/:tenantId/images/upload
+ */
+router.post('/:tenantId/images/upload', upload.single('image'), async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+    const imageBuffer = req.file?.buffer;
+    const metadata = {
+      filename: req.file?.originalname,
+      contentType: req.file?.mimetype,
+      tenantId
+    };
+
+    if (!imageBuffer) {
+      return res.status(400).json({ error: 'Image file is required' });
+    }
+
+    console.log('[RestaurantRoutes] Uploading image', {
+      tenantId,
+      filename: metadata.filename,
+      size: imageBuffer.length
+    });
+
+    const result = await cloudflareImageService.uploadImage(imageBuffer, metadata);
+
+    res.json({
+      success: true,
+      image: result
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to upload image:', error);
+    res.status(500).json({
+      error: 'Failed to upload image',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Delete dish image
+ * DELETE /api/restaurant/:tenantId/images/:imageId
+ */
+router.delete('/:tenantId/images/:imageId', async (req, res) => {
+  try {
+    const { imageId } = req.params;
+
+    console.log('[RestaurantRoutes] Deleting image', { imageId });
+
+    const result = await cloudflareImageService.deleteImage(imageId);
+
+    res.json(result);
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to delete image:', error);
+    res.status(500).json({
+      error: 'Failed to delete image',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Download Excel template for menu import
+ * GET /api/restaurant/menu/template
+ */
+router.get('/menu/template', async (req, res) => {
+  try {
+    console.log('[RestaurantRoutes] Generating Excel template');
+
+    const templateBuffer = excelParserService.generateTemplate();
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', 'attachment; filename=menu-import-template.xlsx');
+    res.send(templateBuffer);
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to generate template:', error);
+    res.status(500).json({
+      error: 'Failed to generate template',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Provision restaurant from admin app onboarding
+ * POST /api/restaurant/tenants/provision
+ */
+router.post('/tenants/provision', async (req, res) => {
+  try {
+    const {
+      tenantId,
+      companyName,
+      restaurantProfile,  // { cuisine, address, phone, hours, about }
       aiConfig,           // { voiceName, tone, responseLength, allowedLanguages }
       menuItems,          // array of menu items from manual entry or Excel
       brandIdentity,      // { primaryColor, logo, companyName, tagline }
@@ -984,20 +2390,29 @@ router.post('/sessions/:sessionId/migrate-address', async (req, res) => {
       lng: config.restaurant?.location?.lng || 77.5946
     };
 
-    // Check delivery eligibility
+    const session = vertexAIService.getSession(sessionId);
+
+    // Check delivery eligibility against the tenant's zones
     const deliveryCheck = await deliveryService.checkDeliveryZone(
       restaurantLocation,
-      coordinates
+      coordinates,
+      {
+        tenantId: session?.tenantId,
+        pincode: googleMapsService.extractPincode(reverseResult.addressComponents)
+      }
     );
 
     let feeResult = null;
     let estimatedTime = null;
     if (deliveryCheck.eligible) {
-      const session = vertexAIService.getSession(sessionId);
       const cartTotal = session?.orderState?.cart?.subtotal || 0;
 
-      feeResult = deliveryService.calculateDeliveryFee(deliveryCheck.distance, cartTotal);
-      estimatedTime = deliveryService.calculateEstimatedDeliveryTime(deliveryCheck.distance, 20);
+      feeResult = deliveryService.calculateDeliveryFee(deliveryCheck.distance, cartTotal, deliveryCheck.zone);
+      estimatedTime = deliveryService.calculateEstimatedDeliveryTime(deliveryCheck.distance, 20, deliveryCheck.zone);
+
+      if (session) {
+        deliveryService.applyToOrderState(session.orderState, deliveryCheck, feeResult, estimatedTime);
+      }
     }
 
     res.json({
@@ -1021,7 +2436,8 @@ router.post('/sessions/:sessionId/migrate-address', async (req, res) => {
         fee: feeResult.fee,
         feeBreakdown: feeResult.breakdown,
         isFreeDelivery: feeResult.isFree,
-        estimatedTime: estimatedTime.timeRange
+        estimatedTime: estimatedTime.timeRange,
+        zone: deliveryCheck.zone
       } : null,
       message: deliveryCheck.message,
       migrated: true
@@ -1069,10 +2485,14 @@ router.post('/sessions/:sessionId/quick-address', async (req, res) => {
       lng: config.restaurant?.location?.lng || 77.5946
     };
 
-    // Check delivery eligibility
+    // Check delivery eligibility against the tenant's zones
     const deliveryCheck = await deliveryService.checkDeliveryZone(
       restaurantLocation,
-      { lat: placeDetails.lat, lng: placeDetails.lng }
+      { lat: placeDetails.lat, lng: placeDetails.lng },
+      {
+        tenantId: session.tenantId,
+        pincode: googleMapsService.extractPincode(placeDetails.addressComponents)
+      }
     );
 
     // Calculate delivery fee if eligible
@@ -1083,13 +2503,17 @@ router.post('/sessions/:sessionId/quick-address', async (req, res) => {
 
       feeResult = deliveryService.calculateDeliveryFee(
         deliveryCheck.distance,
-        cartTotal
+        cartTotal,
+        deliveryCheck.zone
       );
 
       estimatedTime = deliveryService.calculateEstimatedDeliveryTime(
         deliveryCheck.distance,
-        20
+        20,
+        deliveryCheck.zone
       );
+
+      deliveryService.applyToOrderState(session.orderState, deliveryCheck, feeResult, estimatedTime);
     }
 
     const addressData = {
@@ -1133,7 +2557,8 @@ router.post('/sessions/:sessionId/quick-address', async (req, res) => {
         fee: feeResult.fee,
         feeBreakdown: feeResult.breakdown,
         isFreeDelivery: feeResult.isFree,
-        estimatedTime: estimatedTime.timeRange
+        estimatedTime: estimatedTime.timeRange,
+        zone: deliveryCheck.zone
       } : null,
       message: deliveryCheck.message,
       optimized: true // Flag to indicate this used the faster placeId lookup
@@ -1185,10 +2610,14 @@ router.post('/sessions/:sessionId/geocode-address', async (req, res) => {
       lng: config.restaurant?.location?.lng || 77.5946
     };
 
-    // Check delivery eligibility
+    // Check delivery eligibility against the tenant's zones
     const deliveryCheck = await deliveryService.checkDeliveryZone(
       restaurantLocation,
-      { lat: geocodeResult.lat, lng: geocodeResult.lng }
+      { lat: geocodeResult.lat, lng: geocodeResult.lng },
+      {
+        tenantId: session.tenantId,
+        pincode: googleMapsService.extractPincode(geocodeResult.addressComponents)
+      }
     );
 
     // Calculate delivery fee if eligible
@@ -1199,13 +2628,17 @@ router.post('/sessions/:sessionId/geocode-address', async (req, res) => {
 
       feeResult = deliveryService.calculateDeliveryFee(
         deliveryCheck.distance,
-        cartTotal
+        cartTotal,
+        deliveryCheck.zone
       );
 
       estimatedTime = deliveryService.calculateEstimatedDeliveryTime(
         deliveryCheck.distance,
-        20
+        20,
+        deliveryCheck.zone
       );
+
+      deliveryService.applyToOrderState(session.orderState, deliveryCheck, feeResult, estimatedTime);
     }
 
     const addressData = {
@@ -1249,7 +2682,8 @@ router.post('/sessions/:sessionId/geocode-address', async (req, res) => {
         fee: feeResult.fee,
         feeBreakdown: feeResult.breakdown,
         isFreeDelivery: feeResult.isFree,
-        estimatedTime: estimatedTime.timeRange
+        estimatedTime: estimatedTime.timeRange,
+        zone: deliveryCheck.zone
       } : null,
       message: deliveryCheck.message
     });
@@ -1335,6 +2769,75 @@ router.post('/sessions/:sessionId/customer', async (req, res) => {
   }
 });
 
+/**
+ * Apply or remove a coupon on the session's cart
+ * POST /api/restaurant/sessions/:sessionId/coupon
+ * Body: { couponCode, remove }
+ */
+router.post('/sessions/:sessionId/coupon', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { couponCode, remove } = req.body;
+
+    if (!couponCode && !remove) {
+      return res.status(400).json({ error: 'couponCode is required' });
+    }
+
+    const session = vertexAIService.getSession(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const result = await vertexAIService.applyCoupon(session, { couponCode, remove: remove === true });
+
+    res.status(result.success ? 200 : 400).json({
+      ...result,
+      coupon: session.orderState.cart.coupon || null,
+      cart: session.orderState.cart
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to apply coupon:', error);
+    res.status(500).json({
+      error: 'Failed to apply coupon',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Use (or stop using) loyalty points on the session's cart
+ * POST /api/restaurant/sessions/:sessionId/loyalty
+ * Body: { points (optional, as many as allowed when left out), remove }
+ */
+router.post('/sessions/:sessionId/loyalty', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { points, remove } = req.body;
+
+    const session = vertexAIService.getSession(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const result = await vertexAIService.redeemLoyaltyPoints(session, {
+      points: points !== undefined ? Number(points) : null,
+      remove: remove === true
+    });
+
+    res.status(result.success ? 200 : 400).json({
+      ...result,
+      loyalty: session.orderState.cart.loyalty || null,
+      cart: session.orderState.cart
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to redeem loyalty points:', error);
+    res.status(500).json({
+      error: 'Failed to redeem loyalty points',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Create and finalize an order
  * POST /api/restaurant/sessions/:sessionId/orders
@@ -1342,14 +2845,25 @@ router.post('/sessions/:sessionId/customer', async (req, res) => {
 router.post('/sessions/:sessionId/orders', async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const {
-      orderType,
-      paymentMethod,
+    const {
       deliveryAddress,
       deliveryTime,
-      specialInstructions
+      specialInstructions,
+      couponCode,
+      redeemPoints
     } = req.body;
 
+    const session = vertexAIService.getSession(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // At a table every order is a dine-in round for now, paid when the tab closes
+    const table = session.orderState.table;
+    const orderType = table ? 'dine-in' : req.body.orderType;
+    const paymentMethod = table ? 'tab' : req.body.paymentMethod;
+    const scheduledFor = table ? null : req.body.scheduledFor;
+
     if (!orderType) {
       return res.status(400).json({ error: 'orderType is required (delivery/pickup/dine-in)' });
     }
@@ -1359,11 +2873,6 @@ router.post('/sessions/:sessionId/orders', async (req, res) => {
 
     console.log('[RestaurantRoutes] Creating order', { sessionId, orderType, paymentMethod });
 
-    const session = vertexAIService.getSession(sessionId);
-    if (!session) {
-      return res.status(404).json({ error: 'Session not found' });
-    }
-
     // Validate cart
     if (!session.orderState.cart.items || session.orderState.cart.items.length === 0) {
       return res.status(400).json({ error: 'Cart is empty' });
@@ -1379,12 +2888,70 @@ router.post('/sessions/:sessionId/orders', async (req, res) => {
       return res.status(400).json({ error: 'Delivery address is required for delivery orders' });
     }
 
-    // Calculate totals
-    const subtotal = session.orderState.cart.subtotal || 0;
-    const deliveryFee = orderType === 'delivery' ? (session.orderState.deliveryFee || 0) : 0;
-    const taxRate = 0.05; // 5% GST
-    const tax = Math.round((subtotal + deliveryFee) * taxRate * 100) / 100;
-    const total = subtotal + deliveryFee + tax;
+    // Business customers can ask for a B2B invoice
+    if (req.body.customerGstin && !vertexAIService.taxService.isValidGSTIN(req.body.customerGstin)) {
+      return res.status(400).json({ error: 'Invalid customer GSTIN' });
+    }
+
+    // Orders for later need a free slot inside the restaurant's ordering hours
+    let slot = null;
+    if (scheduledFor) {
+      const check = await schedulingService.checkSlot(session.tenantId, scheduledFor);
+      if (!check.available) {
+        return res.status(409).json({ error: check.message, alternatives: check.alternatives || [] });
+      }
+      slot = check.slot;
+    }
+
+    // Orders for now need the restaurant open, not paused and under its order cap
+    if (!slot) {
+      const storeStatus = await operatingHoursService.getStatus(session.tenantId);
+      if (!storeStatus.open) {
+        return res.status(409).json({ error: storeStatus.message, storeStatus });
+      }
+    }
+
+    // Delivery fee from the zone matched when the address was verified
+    let deliveryFee = 0;
+    if (orderType === 'delivery') {
+      const deliveryCharge = vertexAIService.deliveryService.getOrderDeliveryCharge(
+        session.orderState,
+        session.orderState.cart.subtotal || 0
+      );
+
+      if (!deliveryCharge.minimumOrder.valid) {
+        return res.status(400).json({
+          error: deliveryCharge.minimumOrder.message,
+          minOrderValue: deliveryCharge.minimumOrder.minOrderValue,
+          shortfall: deliveryCharge.minimumOrder.shortfall
+        });
+      }
+
+      deliveryFee = deliveryCharge.fee;
+    }
+
+    // Re-price combos, promotions and loyalty points, then calculate totals with item-level GST
+    if (couponCode) {
+      session.orderState.couponCode = couponCode;
+    }
+    if (redeemPoints) {
+      // A number of points, or true to use as many as allowed
+      session.orderState.loyaltyPoints = typeof redeemPoints === 'number' ? redeemPoints : true;
+    }
+    const pricing = await vertexAIService.applyPricing(session, { orderType });
+    if (pricing?.coupon && !pricing.coupon.applied) {
+      return res.status(400).json({ error: pricing.coupon.message, coupon: pricing.coupon });
+    }
+    if (pricing?.loyalty && !pricing.loyalty.applied) {
+      return res.status(400).json({ error: pricing.loyalty.message, loyalty: pricing.loyalty });
+    }
+    const taxCalculation = vertexAIService.taxService.calculateCartTax(session.orderState.cart.items, {
+      deliveryFee,
+      orderType,
+      deliveryAddress,
+      customerGstin: req.body.customerGstin
+    });
+    const total = taxCalculation.totalWithTax;
 
     // Prepare order data
     const orderData = {
@@ -1397,31 +2964,71 @@ router.post('/sessions/:sessionId/orders', async (req, res) => {
       },
       cart: {
         items: session.orderState.cart.items,
-        subtotal,
-        tax,
-        deliveryFee,
-        total
+        combos: session.orderState.cart.combos || [],
+        promotions: session.orderState.cart.promotions || [],
+        coupon: session.orderState.cart.coupon || null,
+        loyalty: session.orderState.cart.loyalty || null,
+        ...vertexAIService.taxService.toCartTotals(taxCalculation)
       },
+      collaborativeOrderId: session.orderState.collaborativeOrderId || null,
+      customerGstin: req.body.customerGstin || null,
       orderType,
       paymentMethod,
       deliveryAddress: orderType === 'delivery' ? deliveryAddress : null,
-      deliveryTime: deliveryTime || null,
+      deliveryZone: orderType === 'delivery' ? (session.orderState.deliveryZone?.id || null) : null,
+      deliveryTime: slot?.label || deliveryTime || null,
+      scheduledFor: slot?.start || null,
       specialInstructions: specialInstructions || null,
       estimatedDeliveryTime: orderType === 'delivery' ? session.orderState.estimatedDeliveryTime : null,
-      status: paymentMethod === 'online' ? 'pending_payment' : 'confirmed',
+      status: paymentMethod === 'online' ? 'pending_payment' : (slot ? 'scheduled' : 'confirmed'),
       createdAt: Date.now()
     };
 
-    // Create order in Firebase
+    // Stock, offers, points and the slot are taken now; any that fail are given back
+    const { unavailable, exhausted, pointsError, slotError } = await vertexAIService.holdCart(session, orderData);
+
+    // Nothing in the cart may have sold out or gone off the menu since it was added
+    if (unavailable.length > 0) {
+      return res.status(409).json({ error: 'Some items are not available', unavailable });
+    }
+
+    // Coupons and offers with usage limits are counted now
+    if (exhausted.length > 0) {
+      return res.status(409).json({ error: 'Offer no longer available', exhausted, cart: session.orderState.cart });
+    }
+
+    // Loyalty points come off the customer's balance now
+    if (pointsError) {
+      return res.status(409).json({ error: pointsError, cart: session.orderState.cart });
+    }
+
+    // Scheduled orders take their place in the slot last
+    if (slotError) {
+      return res.status(409).json({ error: slotError });
+    }
+
+    // Table rounds go straight to the kitchen on the table's tab
+    if (table) {
+      const round = await vertexAIService.placeTableRound(session, orderData);
+      return res.json({
+        success: true,
+        order: round.order,
+        tab: round.tab,
+        nextStep: 'tab'
+      });
+    }
+
+    // Create order in Firebase and notify restaurant dashboards
+    let savedOrder;
     try {
-      const savedOrder = await firebaseService.createOrder(
-        session.tenantId,
-        session.orderState.customer.phone,
-        orderData
-      );
+      savedOrder = await vertexAIService.saveCartOrder(session, orderData);
       console.log('[RestaurantRoutes] Order saved to Firebase:', savedOrder.orderId);
     } catch (error) {
       console.error('[RestaurantRoutes] Error saving order to Firebase:', error);
+      return res.status(500).json({
+        error: 'Failed to create order',
+        message: error.message
+      });
     }
 
     // Store order in session
@@ -1433,6 +3040,21 @@ router.post('/sessions/:sessionId/orders', async (req, res) => {
       const paymentService = vertexAIService.paymentService;
 
       try {
+        // Group orders are paid in shares, one Razorpay order per participant
+        const splitPayment = savedOrder.collaborativeOrderId
+          ? await splitPaymentService.createSplitPayments(savedOrder)
+          : null;
+
+        if (splitPayment) {
+          return res.json({
+            success: true,
+            order: orderData,
+            splitPayment,
+            keyId: config.razorpay.keyId,
+            nextStep: 'split_payment'
+          });
+        }
+
         const razorpayOrder = await paymentService.createPaymentOrder({
           amount: total,
           orderId: orderData.orderId,
@@ -1443,6 +3065,23 @@ router.post('/sessions/:sessionId/orders', async (req, res) => {
         session.orderState.razorpayOrderId = razorpayOrder.id;
         await vertexAIService.persistSessionState(session);
 
+        // Webhooks and reconciliation find the payment through the Razorpay order
+        try {
+          await orderManagementService.updateOrderStatus(orderData.orderId, session.tenantId, {
+            razorpayOrderId: razorpayOrder.id
+          });
+        } catch (error) {
+          console.error('[RestaurantRoutes] Error saving Razorpay order on order:', error);
+        }
+
+        // UPI first, with checkout as the fallback
+        let upi = null;
+        try {
+          upi = await upiPaymentService.createUpiCollection(savedOrder);
+        } catch (error) {
+          console.error('[RestaurantRoutes] Error creating UPI payment:', error);
+        }
+
         res.json({
           success: true,
           order: orderData,
@@ -1452,7 +3091,8 @@ router.post('/sessions/:sessionId/orders', async (req, res) => {
             currency: razorpayOrder.currency,
             keyId: config.razorpay.keyId
           },
-          nextStep: 'payment'
+          upi,
+          nextStep: upi ? 'upi_payment' : 'payment'
         });
       } catch (error) {
         console.error('[RestaurantRoutes] Razorpay order creation error:', error);
@@ -1462,11 +3102,13 @@ router.post('/sessions/:sessionId/orders', async (req, res) => {
         });
       }
     } else {
-      // Cash payment - order is confirmed immediately
+      // Cash payment - order is confirmed immediately (or waits for its slot);
+      // the rider or counter collects cod.expectedAmount on handover
       res.json({
         success: true,
         order: orderData,
-        nextStep: 'confirmed'
+        cod: savedOrder.cod || null,
+        nextStep: slot ? 'scheduled' : 'confirmed'
       });
     }
   } catch (error) {
@@ -1478,6 +3120,187 @@ router.post('/sessions/:sessionId/orders', async (req, res) => {
   }
 });
 
+/**
+ * Finalize a collaborative order with the PartyKit room's final state;
+ * each participant's share is worked out from it
+ * POST /api/restaurant/collaborative-orders/:collaborativeOrderId/finalize
+ * Body: { splitType, participants: [{ id, name, phone }], items: [{ ..., addedBy }], customSplits: [{ participantId, amount }] }
+ */
+router.post('/collaborative-orders/:collaborativeOrderId/finalize', async (req, res) => {
+  try {
+    const { collaborativeOrderId } = req.params;
+
+    console.log('[RestaurantRoutes] Finalizing collaborative order', { collaborativeOrderId, splitType: req.body.splitType });
+
+    const { order } = await vertexAIService.circleService.finalizeCollaborativeOrder(collaborativeOrderId, req.body);
+    const { shares } = vertexAIService.circleService.calculateSplit(order, order.splitDetails?.customSplits);
+
+    res.json({
+      success: true,
+      collaborativeOrder: order,
+      shares
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to finalize collaborative order:', error);
+    const status = error.message.startsWith('Invalid split') ? 400
+      : error.message === 'Collaborative order not found' ? 404
+        : error.message === 'Collaborative order has already been placed' ? 409 : 500;
+    res.status(status).json({
+      error: 'Failed to finalize collaborative order',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Shares of a group order paid online, and who has paid
+ * GET /api/restaurant/orders/:orderId/split-payments
+ */
+router.get('/orders/:orderId/split-payments', async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const splitPayment = await splitPaymentService.getSplitPayment(orderId);
+
+    res.json({
+      success: true,
+      splitPayment,
+      keyId: config.razorpay.keyId
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to get split payments:', error);
+    const status = error.message === 'Order not found' || error.message === 'Order is not paid in shares' ? 404 : 500;
+    res.status(status).json({
+      error: 'Failed to get split payments',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Initiator pays every share still unpaid in one payment
+ * POST /api/restaurant/orders/:orderId/split-payments/cover
+ * Body: { coveredBy }
+ */
+router.post('/orders/:orderId/split-payments/cover', async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    console.log('[RestaurantRoutes] Covering unpaid shares', { orderId });
+
+    const splitPayment = await splitPaymentService.coverRemainder(orderId, {
+      coveredBy: req.body.coveredBy || 'initiator'
+    });
+
+    res.json({
+      success: true,
+      splitPayment,
+      keyId: config.razorpay.keyId
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to cover unpaid shares:', error);
+    const status = error.message === 'Order not found' || error.message === 'Order is not paid in shares' ? 404
+      : error.message.startsWith('Split payment is already') ? 409 : 500;
+    res.status(status).json({
+      error: 'Failed to cover unpaid shares',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Show a UPI QR / intent link for an order waiting on payment; returns the
+ * open one while it is still good, else a fresh one
+ * POST /api/restaurant/orders/:orderId/upi
+ */
+router.post('/orders/:orderId/upi', async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const order = await firebaseService.getDocument('orders', orderId);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    console.log('[RestaurantRoutes] Creating UPI payment', { orderId });
+
+    const upi = await upiPaymentService.createUpiCollection(order);
+
+    res.json({
+      success: true,
+      orderId,
+      upi
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to create UPI payment:', error);
+    const status = ['Order is already paid', 'Order is not waiting on payment', 'Order is paid in shares'].includes(error.message) ? 409 : 500;
+    res.status(status).json({
+      error: 'Failed to create UPI payment',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * UPI payment status for an order
+ * GET /api/restaurant/orders/:orderId/upi
+ */
+router.get('/orders/:orderId/upi', async (req, res) => {
+  try {
+    const collection = await upiPaymentService.getUpiCollection(req.params.orderId);
+
+    res.json({
+      success: true,
+      ...collection
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to get UPI payment:', error);
+    const status = ['Order not found', 'Order has no UPI payment'].includes(error.message) ? 404 : 500;
+    res.status(status).json({
+      error: 'Failed to get UPI payment',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Mock payments only: pay (or fail) an order's UPI QR as the customer would.
+ * A captured payment goes through the webhook ledger like Razorpay's own.
+ * POST /api/restaurant/orders/:orderId/upi/simulate
+ * Body: { status: 'captured' | 'failed' }
+ */
+router.post('/orders/:orderId/upi/simulate', async (req, res) => {
+  try {
+    if (!config.razorpay.useMock) {
+      return res.status(404).json({ error: 'UPI simulation is only available with mock payments' });
+    }
+
+    const { orderId } = req.params;
+    const { status = 'captured' } = req.body;
+    if (!['captured', 'failed'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status: must be captured or failed' });
+    }
+
+    const { upi } = await upiPaymentService.getUpiCollection(orderId);
+    const { payment, event } = vertexAIService.paymentService.simulateUpiPayment(upi.qrId, { status });
+    const webhook = event ? await paymentReconciliationService.handleWebhook(event) : null;
+
+    res.json({
+      success: true,
+      payment,
+      outcome: webhook?.outcome || null
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to simulate UPI payment:', error);
+    const status = ['Order not found', 'Order has no UPI payment', 'UPI QR not found'].includes(error.message) ? 404
+      : error.message.startsWith('UPI QR is') ? 409 : 500;
+    res.status(status).json({
+      error: 'Failed to simulate UPI payment',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Verify Razorpay payment signature
  * POST /api/restaurant/orders/:orderId/verify-payment
@@ -1515,15 +3338,53 @@ router.post('/orders/:orderId/verify-payment', async (req, res) => {
 
     // Update order status in Firebase
     try {
-      await firebaseService.updateOrderStatus(orderId, {
-        status: 'confirmed',
+      // Top-up payments for modified orders settle the top-up without touching status
+      const existingOrder = await firebaseService.getDocument('orders', orderId);
+      if (existingOrder?.pendingTopUp?.razorpayOrderId === razorpayOrderId) {
+        await orderManagementService.settleTopUp(orderId, existingOrder.tenantId, {
+          razorpayOrderId,
+          razorpayPaymentId
+        });
+
+        return res.json({
+          success: true,
+          verified: true,
+          orderId,
+          topUp: true,
+          paymentDetails,
+          message: 'Top-up payment verified successfully'
+        });
+      }
+
+      // A participant paying their share of a group order
+      if (existingOrder?.splitPayment?.shares.some(share => share.razorpayOrderId === razorpayOrderId)) {
+        const outcome = await splitPaymentService.applyShareResult(orderId, {
+          paymentStatus: 'paid',
+          razorpayOrderId,
+          razorpayPaymentId,
+          source: 'checkout'
+        });
+
+        return res.json({
+          success: true,
+          verified: true,
+          orderId,
+          share: outcome.share || null,
+          splitPayment: outcome.splitPayment || existingOrder.splitPayment,
+          paymentDetails,
+          message: 'Share payment verified successfully'
+        });
+      }
+
+      // The webhook may have confirmed the order already; the state machine keeps this idempotent
+      const outcome = await paymentReconciliationService.applyPaymentResult(orderId, {
         paymentStatus: 'paid',
         razorpayOrderId,
         razorpayPaymentId,
         paymentDetails,
-        paidAt: Date.now()
+        source: 'checkout'
       });
-      console.log('[RestaurantRoutes] Order payment confirmed:', orderId);
+      console.log('[RestaurantRoutes] Order payment confirmed:', orderId, { applied: outcome.applied });
     } catch (error) {
       console.error('[RestaurantRoutes] Error updating order status:', error);
     }
@@ -1564,26 +3425,13 @@ router.post('/webhooks/razorpay', async (req, res) => {
       return res.status(400).json({ error: 'Invalid signature' });
     }
 
-    // Process webhook event
-    const result = await paymentService.handleWebhookEvent(req.body);
-
-    // Update order in Firebase based on result
-    if (result.processed && result.orderId) {
-      try {
-        await firebaseService.updateOrderStatus(result.orderId, {
-          status: result.status,
-          razorpayPaymentId: result.razorpayPaymentId,
-          webhookProcessedAt: Date.now()
-        });
-        console.log('[RestaurantRoutes] Order status updated from webhook:', result.orderId);
-      } catch (error) {
-        console.error('[RestaurantRoutes] Error updating order from webhook:', error);
-      }
-    }
+    // Record the event in the ledger and apply it once; redeliveries are acknowledged
+    const result = await paymentReconciliationService.handleWebhook(req.body, req.headers);
 
     res.json({
       success: true,
-      processed: result.processed
+      processed: result.processed,
+      duplicate: result.duplicate
     });
   } catch (error) {
     console.error('[RestaurantRoutes] Webhook processing failed:', error);
@@ -1594,9 +3442,124 @@ router.post('/webhooks/razorpay', async (req, res) => {
   }
 });
 
+/**
+ * Orders flagged for payment review (paid after cancel, stuck unpaid...)
+ * GET /api/restaurant/:tenantId/payments/review
+ */
+router.get('/:tenantId/payments/review', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+
+    const orders = await paymentReconciliationService.getFlaggedOrders(tenantId);
+
+    res.json({
+      success: true,
+      orders
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to get payment review:', error);
+    res.status(500).json({
+      error: 'Failed to get payment review',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Close an order's payment review
+ * POST /api/restaurant/:tenantId/payments/review/:orderId/resolve
+ * Body: { resolvedBy, note }
+ */
+router.post('/:tenantId/payments/review/:orderId/resolve', async (req, res) => {
+  try {
+    const { tenantId, orderId } = req.params;
+    const { resolvedBy, note } = req.body;
+
+    console.log('[RestaurantRoutes] Resolving payment review', { tenantId, orderId });
+
+    const order = await paymentReconciliationService.resolveReview(orderId, tenantId, { resolvedBy, note });
+
+    res.json({
+      success: true,
+      order
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to resolve payment review:', error);
+    const status = error.message === 'Order not found' ? 404
+      : error.message === 'Order has no open payment review' ? 409 : 500;
+    res.status(status).json({
+      error: 'Failed to resolve payment review',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Check this restaurant's orders waiting on payment against Razorpay now
+ * instead of waiting for the next reconciliation run
+ * POST /api/restaurant/:tenantId/payments/reconcile
+ */
+router.post('/:tenantId/payments/reconcile', async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+
+    console.log('[RestaurantRoutes] Reconciling pending payments', { tenantId });
+
+    const results = await paymentReconciliationService.reconcilePendingPayments({ tenantId });
+
+    res.json({
+      success: true,
+      results
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Failed to reconcile payments:', error);
+    res.status(500).json({
+      error: 'Failed to reconcile payments',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Courier webhook handler (delivery status, rider assignment, location)
+ * POST /api/webhooks/couriers/:courier
+ */
+router.post('/webhooks/couriers/:courier', async (req, res) => {
+  try {
+    const { courier } = req.params;
+    const webhookBody = JSON.stringify(req.body);
+
+    console.log('[RestaurantRoutes] Courier webhook received:', courier);
+
+    if (!courierService.verifyWebhook(courier, webhookBody, req.headers)) {
+      console.error('[RestaurantRoutes] Invalid courier webhook signature:', courier);
+      return res.status(400).json({ error: 'Invalid signature' });
+    }
+
+    // Stored on the order by OrderManagementService, which notifies dashboards and dispatch
+    const update = await courierService.handleWebhook(courier, req.body);
+
+    res.json({
+      success: true,
+      processed: Boolean(update),
+      status: update?.status || null
+    });
+  } catch (error) {
+    console.error('[RestaurantRoutes] Courier webhook processing failed:', error);
+    res.status(error.message.startsWith('Courier not available') ? 404 : 500).json({
+      error: 'Failed to process webhook',
+      message: error.message
+    });
+  }
+});
+
 // ==================== ORDER MANAGEMENT ENDPOINTS ====================
 // Mount order management routes at /manage
-router.use('/manage', createOrderManagementRoutes(orderManagementService));
+router.use('/manage', createOrderManagementRoutes(orderManagementService, {
+  kitchenDisplayService,
+  invoiceService,
+  courierService
+}));
 
 /**
  * Setup WebSocket handler for audio streaming
@@ -1607,7 +3570,7 @@ export function setupWebSocketServer(server) {
   });
 
   // Create WebSocket handler for restaurant dashboard
-  const dashboardWebSocketHandler = createRestaurantDashboardWebSocketHandler(orderManagementService);
+  const dashboardWebSocketHandler = createRestaurantDashboardWebSocketHandler(orderManagementService, { kitchenDisplayService });
 
   // Handle upgrade requests manually
   server.on('upgrade', (request, socket, head) => {
@@ -1654,6 +3617,7 @@ export function setupWebSocketServer(server) {
         const language = url.searchParams.get('language') || 'en';
         const userId = url.searchParams.get('userId') || 'demo-user';
         const customerPhone = url.searchParams.get('customerPhone'); // For returning customers
+        const tableId = url.searchParams.get('tableId'); // Sessions started from a table's QR code
 
         // Pre-load customer context if phone provided (returning customer)
         let customerContext = null;
@@ -1671,14 +3635,19 @@ export function setupWebSocketServer(server) {
                 5 // last 5 orders
               );
 
+              // Loyalty balance so the agent can mention it in the greeting
+              const loyalty = await loyaltyService.getAccount(tenantId, customerPhone);
+
               customerContext = {
                 customer,
-                orderHistory
+                orderHistory,
+                loyalty
               };
 
               console.log('[WebSocket] Customer context loaded', {
                 name: customer.name,
-                orderCount: orderHistory.length
+                orderCount: orderHistory.length,
+                loyaltyPoints: loyalty.balance
               });
             }
           } catch (error) {
@@ -1691,16 +3660,36 @@ export function setupWebSocketServer(server) {
 
         // Load menu items for AI context
         console.log('[WebSocket] Loading menu items for AI context', { tenantId });
-        const menuItems = await menuService.listMenuItems(tenantId);
+        const menuItems = await menuService.getMenuAvailability(tenantId);
         console.log('[WebSocket] Loaded menu items', { count: menuItems.length });
 
+        // Closed, on holiday, paused or at capacity: the agent explains instead of taking orders for now
+        let storeStatus = null;
+        try {
+          storeStatus = await operatingHoursService.getStatus(tenantId);
+        } catch (error) {
+          console.warn('[WebSocket] Could not load store status:', error.message);
+        }
+
+        // Dine-in: rounds go on the table's running tab
+        let table = null;
+        if (tableId) {
+          try {
+            table = await tableService.getTable(tenantId, tableId);
+          } catch (error) {
+            console.warn('[WebSocket] Could not load table:', error.message);
+          }
+        }
+
         // Create Vertex AI session with menu context and customer context
         session = await vertexAIService.createSession(sessionId, {
           tenantId,
           language,
           userId,
           menuItems,  // Include menu in context
-          customerContext  // Include returning customer context
+          customerContext,  // Include returning customer context
+          storeStatus,
+          table
         });
 
         // CRITICAL: Store client WebSocket reference for broadcasting messages
@@ -1840,6 +3829,7 @@ export function setupWebSocketServer(server) {
   console.log('[WebSocket] Server initialized for:');
   console.log('  - Restaurant audio streaming (/ws/restaurant/:sessionId)');
   console.log('  - Restaurant dashboard real-time updates (/ws/restaurant-dashboard/:tenantId)');
+  console.log('  - Kitchen display boards (/ws/restaurant-dashboard/:tenantId?mode=kds&station=...)');
 
   return wss;
 }
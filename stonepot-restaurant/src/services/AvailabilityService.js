@@ -0,0 +1,747 @@
+/**
+ * Availability Service
+ * Decides whether a menu item can be ordered right now: the item's own
+ * `available` flag, its daypart and weekday schedule, and the kitchen's live
+ * 86 list with optional stock counts that run down as orders are placed
+ */
+
+import NodeCache from 'node-cache';
+
+/**
+ * Dayparts for tenants that have not configured any (restaurant local time)
+ */
+export const DEFAULT_DAYPARTS = [
+  { id: 'breakfast', name: 'Breakfast', start: '07:00', end: '11:00' },
+  { id: 'lunch', name: 'Lunch', start: '12:00', end: '15:30' },
+  { id: 'dinner', name: 'Dinner', start: '19:00', end: '23:00' }
+];
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DAY_ALIASES = {
+  weekdays: ['mon', 'tue', 'wed', 'thu', 'fri'],
+  weekends: ['sat', 'sun'],
+  daily: WEEKDAYS,
+  all: WEEKDAYS
+};
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+export class AvailabilityService {
+  constructor(firebaseService, config = {}) {
+    this.firebaseService = firebaseService;
+    this.timezone = config.timezone || 'Asia/Kolkata';
+
+    // 86 list and dayparts per tenant; writes on this server update it in place
+    this.cache = new NodeCache({
+      stdTTL: config.cacheTtl || 30,
+      checkperiod: 60,
+      useClones: false
+    });
+
+    this.clockFormatter = new Intl.DateTimeFormat('en-GB', {
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+      timeZone: this.timezone
+    });
+
+    // In-process listeners for sold-out / back-on changes (voice sessions, etc.)
+    this.changeListeners = new Set();
+  }
+
+  // ==================== SCHEDULES ====================
+
+  /**
+   * Configured dayparts for a tenant (defaults when none configured)
+   */
+  async getDayparts(tenantId) {
+    const cacheKey = `dayparts_${tenantId}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      const profile = await this.firebaseService.getRestaurantProfile(tenantId);
+      const dayparts = Array.isArray(profile?.menuDayparts) && profile.menuDayparts.length > 0
+        ? profile.menuDayparts
+        : DEFAULT_DAYPARTS;
+
+      this.cache.set(cacheKey, dayparts);
+      return dayparts;
+    } catch (error) {
+      console.error('[Availability] Failed to get dayparts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the tenant's dayparts
+   */
+  async saveDayparts(tenantId, dayparts) {
+    const validation = this.validateDayparts(dayparts);
+    if (!validation.valid) {
+      throw new Error(`Invalid dayparts: ${validation.errors.join(', ')}`);
+    }
+
+    try {
+      const normalized = dayparts.map(daypart => ({
+        id: daypart.id || daypart.name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-'),
+        name: daypart.name.trim(),
+        start: daypart.start,
+        end: daypart.end
+      }));
+
+      await this.firebaseService.updateRestaurantProfile(tenantId, { menuDayparts: normalized });
+      this.cache.set(`dayparts_${tenantId}`, normalized);
+
+      console.log('[Availability] Saved dayparts', { tenantId, dayparts: normalized.map(d => d.id) });
+
+      return normalized;
+    } catch (error) {
+      console.error('[Availability] Failed to save dayparts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate dayparts before saving them
+   */
+  validateDayparts(dayparts) {
+    const errors = [];
+
+    if (!Array.isArray(dayparts) || dayparts.length === 0) {
+      return { valid: false, errors: ['dayparts must be a non-empty array'] };
+    }
+
+    dayparts.forEach((daypart, index) => {
+      const label = daypart?.name || `Daypart ${index + 1}`;
+
+      if (!daypart?.name) {
+        errors.push(`Daypart ${index + 1}: name is required`);
+      }
+      if (!TIME_PATTERN.test(daypart?.start || '') || !TIME_PATTERN.test(daypart?.end || '')) {
+        errors.push(`${label}: start and end must be HH:MM`);
+      } else if (daypart.start === daypart.end) {
+        errors.push(`${label}: start and end can't be the same`);
+      }
+    });
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Validate and normalize an item's schedule for storage
+   * @param {Object} schedule - { dayparts: ['breakfast'], days: ['mon', ...] or ['weekdays'] }
+   * @returns {Object|null} Normalized schedule, or null for "always"
+   */
+  normalizeSchedule(schedule) {
+    if (!schedule) {
+      return null;
+    }
+
+    const errors = [];
+    const dayparts = (schedule.dayparts || []).map(id => String(id).toLowerCase().trim()).filter(Boolean);
+    const days = [];
+
+    (schedule.days || []).forEach(day => {
+      const expanded = this.expandDays(String(day).toLowerCase().trim());
+
+      if (!expanded) {
+        errors.push(`unknown day "${day}"`);
+      } else {
+        expanded.forEach(d => !days.includes(d) && days.push(d));
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid schedule: ${errors.join(', ')}`);
+    }
+
+    if (dayparts.length === 0 && (days.length === 0 || days.length === WEEKDAYS.length)) {
+      return null;
+    }
+
+    return {
+      dayparts,
+      days: days.length === WEEKDAYS.length ? [] : WEEKDAYS.filter(day => days.includes(day))
+    };
+  }
+
+  /**
+   * Weekdays for "mon", "Monday", "weekends" or a range like "mon-fri" (may wrap)
+   * @returns {Array|null} Day keys, or null when not recognised
+   */
+  expandDays(text) {
+    if (DAY_ALIASES[text]) {
+      return DAY_ALIASES[text];
+    }
+
+    const toIndex = (name) => name.length >= 3 ? DAY_NAMES.findIndex(day => day.startsWith(name)) : -1;
+    const [from, to] = text.split(/\s*(?:-|to)\s*/);
+    const start = toIndex(from);
+    const end = to === undefined ? start : toIndex(to);
+
+    if (start === -1 || end === -1) {
+      return null;
+    }
+
+    const days = [WEEKDAYS[start]];
+    for (let index = start; index !== end; index = (index + 1) % 7) {
+      days.push(WEEKDAYS[(index + 1) % 7]);
+    }
+    return days;
+  }
+
+  /**
+   * Date (YYYY-MM-DD), weekday and minute of day in the restaurant's timezone
+   */
+  getLocalClock(date) {
+    const parts = Object.fromEntries(
+      this.clockFormatter.formatToParts(date).map(part => [part.type, part.value])
+    );
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      day: parts.weekday.toLowerCase().slice(0, 3),
+      minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+    };
+  }
+
+  /**
+   * Whether a local minute of day falls in a daypart (which may run past midnight)
+   */
+  isInDaypart(daypart, minutes) {
+    const start = toMinutes(daypart.start);
+    const end = toMinutes(daypart.end);
+
+    return start < end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+  }
+
+  // ==================== 86 LIST AND STOCK ====================
+
+  /**
+   * Sold-out flags and stock counts for a tenant
+   * @returns {Promise<Map>} itemId -> { soldOut, stock, reason, autoSoldOut, updatedAt }
+   */
+  async getOverrides(tenantId) {
+    const cacheKey = `overrides_${tenantId}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      const documents = await this.firebaseService.queryDocuments('menu_availability', { tenantId });
+      const overrides = new Map(documents.map(doc => [doc.itemId, doc]));
+
+      this.cache.set(cacheKey, overrides);
+      return overrides;
+    } catch (error) {
+      console.error('[Availability] Failed to get overrides:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an item sold out / back on, or set its remaining stock
+   * @param {string} tenantId - Restaurant/tenant ID
+   * @param {Object} item - Menu item
+   * @param {Object} updates - { soldOut, stock (number, or null to stop counting), reason, updatedBy }
+   * @returns {Promise<Object>} Stored override
+   */
+  async setItemAvailability(tenantId, item, updates = {}) {
+    const errors = [];
+    if (updates.soldOut !== undefined && typeof updates.soldOut !== 'boolean') {
+      errors.push('soldOut must be true or false');
+    }
+    if (updates.stock !== undefined && updates.stock !== null &&
+      (!Number.isInteger(updates.stock) || updates.stock < 0)) {
+      errors.push('stock must be a whole number of 0 or more, or null');
+    }
+    if (errors.length > 0) {
+      throw new Error(`Invalid availability: ${errors.join(', ')}`);
+    }
+
+    try {
+      const overrides = await this.getOverrides(tenantId);
+      const existing = overrides.get(item.id) || {};
+
+      const stock = updates.stock !== undefined ? updates.stock : (existing.stock ?? null);
+      // 86'd by staff, as opposed to sold out because the count reached zero.
+      // A new count puts the dish back on unless it's also being 86'd.
+      const staffSoldOut = updates.soldOut !== undefined
+        ? updates.soldOut
+        : updates.stock !== undefined && updates.stock !== null
+          ? false
+          : Boolean(existing.soldOut && !existing.autoSoldOut);
+
+      const override = {
+        tenantId,
+        itemId: item.id,
+        itemName: item.name,
+        soldOut: staffSoldOut || stock === 0,
+        autoSoldOut: !staffSoldOut && stock === 0,
+        stock,
+        reason: staffSoldOut ? (updates.reason || existing.reason || null) : null,
+        updatedBy: updates.updatedBy || 'staff',
+        updatedAt: new Date().toISOString()
+      };
+
+      await this.firebaseService.createDocument('menu_availability', override, this.getDocumentId(tenantId, item.id));
+      overrides.set(item.id, override);
+
+      console.log('[Availability] Item availability updated', {
+        tenantId,
+        itemId: item.id,
+        soldOut: override.soldOut,
+        stock: override.stock
+      });
+
+      this.emitChange(tenantId, existing, override);
+
+      return override;
+    } catch (error) {
+      console.error('[Availability] Failed to update item availability:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take stock for an order's items. Items without a stock count are not
+   * touched. Safe to call twice for the same order.
+   * @param {string} tenantId - Restaurant/tenant ID
+   * @param {string} orderId - Order ID
+   * @param {Array} items - Cart items ({ dishId, dishName, quantity })
+   * @throws {Error} "Not enough stock: ..." when a counted item has run low
+   */
+  async reserveStock(tenantId, orderId, items) {
+    const quantities = this.sumQuantities(items);
+    const overrides = await this.getOverrides(tenantId);
+    const counted = Array.from(quantities.keys()).filter(itemId => overrides.has(itemId));
+
+    if (counted.length === 0) {
+      return [];
+    }
+
+    try {
+      const changes = await this.firebaseService.runTransaction(async (tx) => {
+        const reservationId = this.getDocumentId(tenantId, orderId);
+        if (await tx.get('stock_reservations', reservationId)) {
+          return [];
+        }
+
+        const current = await Promise.all(
+          counted.map(itemId => tx.get('menu_availability', this.getDocumentId(tenantId, itemId)))
+        );
+
+        const shortages = [];
+        const reserved = [];
+        current.forEach((override, index) => {
+          const quantity = quantities.get(counted[index]).quantity;
+          if (!override || override.stock === null || override.stock === undefined) return;
+
+          if (override.stock < quantity) {
+            shortages.push(override.stock === 0
+              ? `${override.itemName} is sold out`
+              : `only ${override.stock} ${override.itemName} left`);
+          } else {
+            reserved.push({ override, quantity });
+          }
+        });
+
+        if (shortages.length > 0) {
+          throw new Error(`Not enough stock: ${shortages.join(', ')}`);
+        }
+
+        const now = new Date().toISOString();
+        const updated = reserved.map(({ override, quantity }) => {
+          const stock = override.stock - quantity;
+          const next = {
+            ...override,
+            stock,
+            soldOut: override.soldOut || stock === 0,
+            autoSoldOut: override.autoSoldOut || (!override.soldOut && stock === 0),
+            updatedBy: 'order',
+            updatedAt: now
+          };
+          delete next.id;
+
+          tx.set('menu_availability', this.getDocumentId(tenantId, override.itemId), next);
+          return { previous: override, next, quantity };
+        });
+
+        tx.create('stock_reservations', reservationId, {
+          tenantId,
+          orderId,
+          items: updated.map(({ next, quantity }) => ({ itemId: next.itemId, quantity })),
+          status: 'reserved',
+          createdAt: now
+        });
+
+        return updated;
+      });
+
+      this.applyChanges(tenantId, changes);
+
+      if (changes.length > 0) {
+        console.log('[Availability] Stock reserved', {
+          tenantId,
+          orderId,
+          items: changes.map(({ next, quantity }) => `${next.itemId}:-${quantity}`)
+        });
+      }
+
+      return changes.map(({ next }) => next);
+    } catch (error) {
+      // Stale cache is the likely cause of a shortage; re-read next time
+      this.cache.del(`overrides_${tenantId}`);
+      console.error('[Availability] Failed to reserve stock:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Return an order's reserved stock (cancelled orders). Safe to call twice.
+   */
+  async releaseStock(tenantId, orderId) {
+    try {
+      const changes = await this.firebaseService.runTransaction(async (tx) => {
+        const reservationId = this.getDocumentId(tenantId, orderId);
+        const reservation = await tx.get('stock_reservations', reservationId);
+        if (!reservation || reservation.status !== 'reserved') {
+          return [];
+        }
+
+        const current = await Promise.all(
+          reservation.items.map(entry => tx.get('menu_availability', this.getDocumentId(tenantId, entry.itemId)))
+        );
+
+        const now = new Date().toISOString();
+        const updated = [];
+        current.forEach((override, index) => {
+          // Stopped counting since the order was placed
+          if (!override || override.stock === null || override.stock === undefined) return;
+
+          const quantity = reservation.items[index].quantity;
+          const next = {
+            ...override,
+            stock: override.stock + quantity,
+            // Only undo a sell-out the count caused, not a staff 86
+            soldOut: override.autoSoldOut ? false : override.soldOut,
+            autoSoldOut: false,
+            updatedBy: 'order',
+            updatedAt: now
+          };
+          delete next.id;
+
+          tx.set('menu_availability', this.getDocumentId(tenantId, override.itemId), next);
+          updated.push({ previous: override, next, quantity });
+        });
+
+        tx.update('stock_reservations', reservationId, { status: 'released', releasedAt: now });
+
+        return updated;
+      });
+
+      this.applyChanges(tenantId, changes);
+
+      if (changes.length > 0) {
+        console.log('[Availability] Stock released', {
+          tenantId,
+          orderId,
+          items: changes.map(({ next, quantity }) => `${next.itemId}:+${quantity}`)
+        });
+      }
+
+      return changes.map(({ next }) => next);
+    } catch (error) {
+      console.error('[Availability] Failed to release stock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Return part of an order's stock (a line lowered or removed after it was
+   * placed). Comes off the latest reservation first and shrinks it, so a
+   * later cancellation only gives back what is still held.
+   * @param {string} tenantId - Restaurant/tenant ID
+   * @param {Array} orderIds - The order's reservation IDs, oldest first
+   * @param {Array} items - Cart items ({ dishId, quantity }) to give back
+   */
+  async releaseStockItems(tenantId, orderIds, items) {
+    const quantities = this.sumQuantities(items);
+
+    try {
+      const changes = await this.firebaseService.runTransaction(async (tx) => {
+        const reservationIds = orderIds.map(orderId => this.getDocumentId(tenantId, orderId));
+        const reservations = await Promise.all(reservationIds.map(id => tx.get('stock_reservations', id)));
+
+        const returned = new Map();
+        const shrunk = new Map();
+        for (let index = reservations.length - 1; index >= 0; index--) {
+          const reservation = reservations[index];
+          if (!reservation || reservation.status !== 'reserved') continue;
+
+          const remaining = reservation.items.map(entry => {
+            const wanted = (quantities.get(entry.itemId)?.quantity || 0) - (returned.get(entry.itemId) || 0);
+            const quantity = Math.min(entry.quantity, Math.max(wanted, 0));
+            if (quantity === 0) return entry;
+
+            returned.set(entry.itemId, (returned.get(entry.itemId) || 0) + quantity);
+            return { ...entry, quantity: entry.quantity - quantity };
+          });
+          if (remaining.some((entry, i) => entry !== reservation.items[i])) {
+            shrunk.set(reservationIds[index], remaining.filter(entry => entry.quantity > 0));
+          }
+        }
+
+        const itemIds = Array.from(returned.keys());
+        const current = await Promise.all(
+          itemIds.map(itemId => tx.get('menu_availability', this.getDocumentId(tenantId, itemId)))
+        );
+
+        const now = new Date().toISOString();
+        const updated = [];
+        current.forEach((override, index) => {
+          // Stopped counting since the order was placed
+          if (!override || override.stock === null || override.stock === undefined) return;
+
+          const quantity = returned.get(itemIds[index]);
+          const next = {
+            ...override,
+            stock: override.stock + quantity,
+            soldOut: override.autoSoldOut ? false : override.soldOut,
+            autoSoldOut: false,
+            updatedBy: 'order',
+            updatedAt: now
+          };
+          delete next.id;
+
+          tx.set('menu_availability', this.getDocumentId(tenantId, override.itemId), next);
+          updated.push({ previous: override, next, quantity });
+        });
+
+        shrunk.forEach((remaining, reservationId) => {
+          tx.update('stock_reservations', reservationId, remaining.length > 0
+            ? { items: remaining, updatedAt: now }
+            : { items: remaining, status: 'released', releasedAt: now });
+        });
+
+        return updated;
+      });
+
+      this.applyChanges(tenantId, changes);
+
+      if (changes.length > 0) {
+        console.log('[Availability] Stock released', {
+          tenantId,
+          orderId: orderIds[0],
+          items: changes.map(({ next, quantity }) => `${next.itemId}:+${quantity}`)
+        });
+      }
+
+      return changes.map(({ next }) => next);
+    } catch (error) {
+      console.error('[Availability] Failed to release stock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Order event listener: put stock back when an order is cancelled,
+   * including stock taken for items added after it was placed
+   */
+  async handleOrderEvent(tenantId, order) {
+    if (order?.status !== 'cancelled') {
+      return;
+    }
+
+    try {
+      await this.releaseStock(tenantId, order.orderId);
+      for (const modification of order.modifications || []) {
+        if (modification.stockReservationId) {
+          await this.releaseStock(tenantId, modification.stockReservationId);
+        }
+      }
+    } catch (error) {
+      console.error('[Availability] Failed to handle order event:', error);
+    }
+  }
+
+  // ==================== STATUS ====================
+
+  /**
+   * Everything needed to check items for a tenant at one point in time
+   */
+  async getContext(tenantId, now = new Date()) {
+    const [overrides, dayparts] = await Promise.all([
+      this.getOverrides(tenantId),
+      this.getDayparts(tenantId)
+    ]);
+
+    return { overrides, dayparts, now, clock: this.getLocalClock(now) };
+  }
+
+  /**
+   * Whether an item can be ordered at the context's time
+   * @returns {Object} { available, reason: null|'unavailable'|'sold_out'|'off_schedule', message, stock }
+   */
+  getItemStatus(item, context) {
+    const override = context.overrides.get(item.id);
+    const stock = override?.stock ?? null;
+    const status = (reason, message) => ({ available: !reason, reason, message, stock });
+
+    if (item.available === false) {
+      return status('unavailable', `${item.name} is not on the menu right now`);
+    }
+
+    if (override?.soldOut || stock === 0) {
+      return status('sold_out', `${item.name} is sold out${override?.reason ? ` (${override.reason})` : ''}`);
+    }
+
+    const schedule = item.schedule;
+    if (schedule?.days?.length > 0 && !schedule.days.includes(context.clock.day)) {
+      const days = schedule.days
+        .map(day => DAY_NAMES[WEEKDAYS.indexOf(day)])
+        .map(name => name[0].toUpperCase() + name.slice(1))
+        .join(', ');
+      return status('off_schedule', `${item.name} is only served on ${days}`);
+    }
+
+    // Daypart IDs the tenant no longer has are ignored
+    const dayparts = context.dayparts.filter(daypart => schedule?.dayparts?.includes(daypart.id));
+    if (dayparts.length > 0 && !dayparts.some(daypart => this.isInDaypart(daypart, context.clock.minutes))) {
+      const windows = dayparts.map(daypart => `${daypart.name.toLowerCase()} (${daypart.start}-${daypart.end})`);
+      return status('off_schedule', `${item.name} is only served at ${windows.join(' and ')}`);
+    }
+
+    return status(null, null);
+  }
+
+  /**
+   * Copy of each item with its current `availability`
+   */
+  async annotateItems(tenantId, items, now = new Date()) {
+    const context = await this.getContext(tenantId, now);
+    return items.map(item => ({ ...item, availability: this.getItemStatus(item, context) }));
+  }
+
+  /**
+   * Cart lines that can't be ordered right now
+   * @param {string} tenantId - Restaurant/tenant ID
+   * @param {Array} cartItems - Cart items ({ dishId, dishName, quantity })
+   * @param {Array} menuItems - The tenant's menu, for each dish's flag and schedule
+   * @returns {Promise<Array>} [{ dishId, dishName, reason, message }]
+   */
+  async checkCart(tenantId, cartItems, menuItems = [], now = new Date()) {
+    const context = await this.getContext(tenantId, now);
+    const quantities = this.sumQuantities(cartItems);
+
+    return Array.from(quantities.values()).flatMap(({ item, quantity }) => {
+      const menuItem = menuItems.find(menu => menu.id === item.dishId) || { id: item.dishId };
+      const status = this.getItemStatus({ ...menuItem, name: item.dishName }, context);
+
+      if (!status.available) {
+        return [{ dishId: item.dishId, dishName: item.dishName, reason: status.reason, message: status.message }];
+      }
+      if (status.stock !== null && status.stock < quantity) {
+        return [{
+          dishId: item.dishId,
+          dishName: item.dishName,
+          reason: 'low_stock',
+          message: `Only ${status.stock} ${item.dishName} left`
+        }];
+      }
+      return [];
+    });
+  }
+
+  // ==================== CHANGE EVENTS ====================
+
+  /**
+   * Subscribe to items going sold out or coming back
+   * @param {Function} listener - (tenantId, change) => void, change: { itemId, itemName, available, stock, reason }
+   * @returns {Function} Unsubscribe function
+   */
+  onAvailabilityChange(listener) {
+    this.changeListeners.add(listener);
+    return () => this.changeListeners.delete(listener);
+  }
+
+  /**
+   * Notify listeners when an override flips an item between sold out and available
+   */
+  emitChange(tenantId, previous, next) {
+    if (Boolean(previous.soldOut) === Boolean(next.soldOut)) {
+      return;
+    }
+
+    const change = {
+      itemId: next.itemId,
+      itemName: next.itemName,
+      available: !next.soldOut,
+      stock: next.stock,
+      reason: next.reason
+    };
+
+    this.changeListeners.forEach(listener => {
+      try {
+        listener(tenantId, change);
+      } catch (error) {
+        console.error('[Availability] Change listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Write committed stock changes through to the cache and notify listeners
+   */
+  applyChanges(tenantId, changes) {
+    const overrides = this.cache.get(`overrides_${tenantId}`);
+
+    changes.forEach(({ previous, next }) => {
+      overrides?.set(next.itemId, next);
+      this.emitChange(tenantId, previous, next);
+    });
+  }
+
+  /**
+   * Total quantity per dish across cart lines (one dish can be on several lines)
+   * @returns {Map} dishId -> { item, quantity }
+   */
+  sumQuantities(items = []) {
+    const quantities = new Map();
+
+    items.forEach(item => {
+      const entry = quantities.get(item.dishId) || { item, quantity: 0 };
+      entry.quantity += item.quantity || 1;
+      quantities.set(item.dishId, entry);
+    });
+
+    return quantities;
+  }
+
+  getDocumentId(tenantId, id) {
+    return `${tenantId}_${id}`;
+  }
+}
+
+export default AvailabilityService;
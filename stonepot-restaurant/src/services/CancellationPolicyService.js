@@ -0,0 +1,213 @@
+/**
+ * Cancellation Policy Service
+ * How much of what a customer paid online comes back when their order is
+ * cancelled, by how far the order had got: before the kitchen accepted it,
+ * once preparation started, or once it left with a rider. Delivered orders
+ * cannot be cancelled. Tenants set a refund percentage per stage on their restaurant
+ * profile; tenants without one get DEFAULT_CANCELLATION_POLICY.
+ */
+
+/**
+ * Cancellation stages, in the order an order moves through them
+ */
+export const CANCELLATION_STAGES = ['before_acceptance', 'preparing', 'dispatched'];
+
+export const DEFAULT_CANCELLATION_POLICY = {
+  before_acceptance: { refundPercent: 100 },
+  preparing: { refundPercent: 50 },
+  dispatched: { refundPercent: 0 }
+};
+
+// Delivery statuses from which the food is out of the kitchen's hands
+const DISPATCHED_DELIVERY_STATUSES = ['picked_up', 'in_transit'];
+
+const STAGE_LABELS = {
+  before_acceptance: 'before the restaurant accepts the order',
+  preparing: 'once the kitchen has started preparing it',
+  dispatched: 'once it is out for delivery'
+};
+
+const roundRupees = (amount) => Math.round(amount * 100) / 100;
+
+export class CancellationPolicyService {
+  constructor(firebaseService) {
+    this.firebaseService = firebaseService;
+  }
+
+  // ==================== CONFIGURATION ====================
+
+  /**
+   * Get the tenant's cancellation policy, or the default when none is set
+   */
+  async getPolicy(tenantId) {
+    try {
+      const profile = await this.firebaseService.getRestaurantProfile(tenantId);
+      return this.normalizePolicy(profile?.cancellationPolicy || DEFAULT_CANCELLATION_POLICY);
+    } catch (error) {
+      console.error('[CancellationPolicy] Failed to get policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the tenant's cancellation policy
+   */
+  async savePolicy(tenantId, policy) {
+    const validation = this.validatePolicy(policy);
+    if (!validation.valid) {
+      throw new Error(`Invalid cancellation policy: ${validation.errors.join(', ')}`);
+    }
+
+    try {
+      const profile = await this.firebaseService.getRestaurantProfile(tenantId);
+      if (!profile) {
+        throw new Error('Restaurant profile not found');
+      }
+
+      const normalized = this.normalizePolicy(policy);
+      await this.firebaseService.updateRestaurantProfile(tenantId, {
+        cancellationPolicy: normalized
+      });
+
+      console.log('[CancellationPolicy] Saved policy', { tenantId, policy: normalized });
+
+      return normalized;
+    } catch (error) {
+      console.error('[CancellationPolicy] Failed to save policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stages left out keep their default refund
+   */
+  normalizePolicy(policy) {
+    return {
+      ...Object.fromEntries(CANCELLATION_STAGES.map(stage => [stage, {
+        refundPercent: Number(policy[stage]?.refundPercent ?? DEFAULT_CANCELLATION_POLICY[stage].refundPercent)
+      }])),
+      note: policy.note ? String(policy.note).trim() : null
+    };
+  }
+
+  validatePolicy(policy) {
+    const errors = [];
+
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+      return { valid: false, errors: ['policy must be an object'] };
+    }
+
+    for (const stage of CANCELLATION_STAGES) {
+      const refundPercent = policy[stage]?.refundPercent;
+      if (refundPercent === undefined) {
+        continue;
+      }
+      if (typeof refundPercent !== 'number' || refundPercent < 0 || refundPercent > 100) {
+        errors.push(`${stage}.refundPercent must be a number from 0 to 100`);
+      }
+    }
+
+    const unknown = Object.keys(policy).filter(key => !CANCELLATION_STAGES.includes(key) && key !== 'note');
+    if (unknown.length > 0) {
+      errors.push(`unknown stages: ${unknown.join(', ')}`);
+    }
+
+    // A later stage refunding more than an earlier one is almost certainly a typo
+    const percents = CANCELLATION_STAGES.map(stage =>
+      policy[stage]?.refundPercent ?? DEFAULT_CANCELLATION_POLICY[stage].refundPercent
+    );
+    if (percents.some((percent, index) => index > 0 && percent > percents[index - 1])) {
+      errors.push('refundPercent cannot go up at a later stage');
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  // ==================== REFUNDS ====================
+
+  /**
+   * How far an order had got, for the policy (orders that are not yet delivered)
+   */
+  getStage(order) {
+    if (DISPATCHED_DELIVERY_STATUSES.includes(order.delivery?.status)) {
+      return 'dispatched';
+    }
+    if (order.acceptedAt || ['preparing', 'ready'].includes(order.status)) {
+      return 'preparing';
+    }
+    return 'before_acceptance';
+  }
+
+  /**
+   * What cancelling the order now would refund, and from which payments
+   * @param {Object} order - Order before cancellation
+   * @param {Object} policy - Tenant policy from getPolicy
+   * @returns {Object} { stage, refundPercent, paidAmount, refundAmount, refunds: [{ paymentId, amount }] }
+   */
+  evaluate(order, policy) {
+    const stage = this.getStage(order);
+    const refundPercent = policy[stage].refundPercent;
+    const payments = this.getPaidPayments(order);
+    const paidAmount = roundRupees(payments.reduce((sum, payment) => sum + payment.amount, 0));
+
+    // Each payment (a group order's shares, a top-up) gets back the same share of itself
+    const refundAmount = roundRupees(paidAmount * refundPercent / 100);
+    const refunds = payments
+      .map(payment => ({ paymentId: payment.paymentId, amount: roundRupees(payment.amount * refundPercent / 100) }))
+      .filter(refund => refund.amount > 0);
+    const rounding = roundRupees(refundAmount - refunds.reduce((sum, refund) => sum + refund.amount, 0));
+    if (refunds.length > 0 && rounding !== 0) {
+      refunds[0].amount = roundRupees(refunds[0].amount + rounding);
+    }
+
+    return { stage, refundPercent, paidAmount, refundAmount, refunds };
+  }
+
+  /**
+   * Online payments the order still holds: every paid share of a group
+   * order, else the order's payment (net of modification refunds) plus any
+   * paid top-ups
+   */
+  getPaidPayments(order) {
+    if (order.paymentMethod !== 'online') {
+      return [];
+    }
+
+    if (order.splitPayment) {
+      return order.splitPayment.shares
+        .filter(share => share.status === 'paid' && share.razorpayPaymentId)
+        .map(share => ({ paymentId: share.razorpayPaymentId, amount: share.amount }));
+    }
+
+    if (order.paymentStatus !== 'paid' || !order.razorpayPaymentId) {
+      return [];
+    }
+
+    const topUps = (order.topUpPayments || []).filter(topUp => topUp.razorpayPaymentId);
+    const topUpTotal = topUps.reduce((sum, topUp) => sum + topUp.amount, 0);
+    const paid = (order.cart?.total || 0) - (order.pendingTopUp?.amount || 0);
+
+    return [
+      { paymentId: order.razorpayPaymentId, amount: roundRupees(Math.max(paid - topUpTotal, 0)) },
+      ...topUps.map(topUp => ({ paymentId: topUp.razorpayPaymentId, amount: topUp.amount }))
+    ].filter(payment => payment.amount > 0);
+  }
+
+  /**
+   * The policy in a sentence, for the voice agent and the customer display
+   */
+  describePolicy(policy) {
+    const parts = CANCELLATION_STAGES.map(stage => {
+      const { refundPercent } = policy[stage];
+      const refund = refundPercent === 100 ? 'a full refund'
+        : refundPercent === 0 ? 'no refund'
+          : `a ${refundPercent}% refund`;
+      return `${refund} ${STAGE_LABELS[stage]}`;
+    });
+
+    const sentence = `Online payments get ${parts.slice(0, -1).join(', ')}, and ${parts.at(-1)}.`;
+    return policy.note ? `${sentence} ${policy.note}` : sentence;
+  }
+}
+
+export default CancellationPolicyService;
@@ -0,0 +1,432 @@
+/**
+ * Cash Settlement Service
+ * Cash-on-delivery tracking. Every cash order carries the amount to collect;
+ * when a rider or the counter hands the order over they enter what they
+ * actually took, and the collection lands on that collector's open cash
+ * shift (opened on their first collection if they did not open one). Closing
+ * a shift compares the cash handed in with the opening float plus everything
+ * collected on it.
+ */
+
+export const COLLECTOR_TYPES = ['rider', 'counter'];
+
+// Counter collections without a counter ID go to the restaurant's only till
+const DEFAULT_COUNTER_ID = 'main';
+
+const roundRupees = (amount) => Math.round(amount * 100) / 100;
+
+export class CashSettlementService {
+  constructor(firebaseService) {
+    this.firebaseService = firebaseService;
+  }
+
+  // ==================== COLLECTIONS ====================
+
+  /**
+   * `cod` block for a new cash order
+   */
+  createCodRecord(order) {
+    return {
+      expectedAmount: order.cart?.total || 0,
+      collectedAmount: null,
+      status: 'pending'
+    };
+  }
+
+  /**
+   * Record the cash collected for an order on the collector's open shift
+   * @param {Object} order - Cash order
+   * @param {Object} collection - { amount, collectorType, collectorId, collectorName, collectedBy }
+   * @returns {Promise<Object>} The order's new `cod` block
+   */
+  async recordCollection(order, collection, now = new Date()) {
+    if (order.paymentMethod !== 'cash') {
+      throw new Error('Cannot record cash: order is not cash on delivery');
+    }
+    if (order.status === 'cancelled') {
+      throw new Error('Cannot record cash: order is cancelled');
+    }
+    if (order.cod && order.cod.status !== 'pending') {
+      throw new Error('Cash is already recorded for this order');
+    }
+    if (typeof collection.amount !== 'number' || collection.amount < 0) {
+      throw new Error('Invalid cash collection: amount must be a number of 0 or more');
+    }
+
+    try {
+      const collector = this.resolveCollector(order, collection);
+      const shift = await this.getOrOpenShift(order.tenantId, collector, collection.collectedBy, now);
+
+      const expectedAmount = order.cart?.total || 0;
+      const collectedAmount = roundRupees(collection.amount);
+      const difference = roundRupees(collectedAmount - expectedAmount);
+
+      const cod = {
+        expectedAmount,
+        collectedAmount,
+        difference,
+        status: difference === 0 ? 'collected' : difference < 0 ? 'short' : 'excess',
+        collector,
+        shiftId: shift.shiftId,
+        collectedBy: collection.collectedBy || collector.name || collector.id,
+        collectedAt: now.toISOString()
+      };
+
+      console.log('[CashSettlement] Cash collected', {
+        orderId: order.orderId,
+        collector: `${collector.type}:${collector.id}`,
+        shiftId: shift.shiftId,
+        expectedAmount,
+        collectedAmount
+      });
+
+      return cod;
+    } catch (error) {
+      console.error('[CashSettlement] Failed to record collection:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Who took the cash: the given collector, else the own rider on the
+   * delivery, else the counter
+   */
+  resolveCollector(order, { collectorType, collectorId, collectorName }) {
+    if (collectorType && !COLLECTOR_TYPES.includes(collectorType)) {
+      throw new Error(`Invalid cash collection: collectorType must be one of ${COLLECTOR_TYPES.join(', ')}`);
+    }
+
+    const rider = order.delivery?.courier === 'self' ? order.delivery.driverDetails : null;
+    if (collectorType === 'rider' || (!collectorType && rider?.id)) {
+      const id = collectorId || rider?.id;
+      if (!id) {
+        throw new Error('Invalid cash collection: collectorId is required for a rider');
+      }
+      return { type: 'rider', id, name: collectorName || (rider?.id === id ? rider.name : null) || null };
+    }
+
+    return { type: 'counter', id: collectorId || DEFAULT_COUNTER_ID, name: collectorName || null };
+  }
+
+  // ==================== SHIFTS ====================
+
+  /**
+   * Start a cash shift for a rider or counter
+   * @param {Object} options - { collectorType, collectorId, collectorName, openingFloat, openedBy }
+   */
+  async openShift(tenantId, { collectorType, collectorId, collectorName = null, openingFloat = 0, openedBy = 'staff' }, now = new Date()) {
+    if (!COLLECTOR_TYPES.includes(collectorType)) {
+      throw new Error(`Invalid cash shift: collectorType must be one of ${COLLECTOR_TYPES.join(', ')}`);
+    }
+    if (!collectorId) {
+      throw new Error('Invalid cash shift: collectorId is required');
+    }
+    if (typeof openingFloat !== 'number' || openingFloat < 0) {
+      throw new Error('Invalid cash shift: openingFloat must be a number of 0 or more');
+    }
+
+    try {
+      const collector = { type: collectorType, id: collectorId, name: collectorName };
+      const shift = await this.firebaseService.runTransaction(async (tx) => {
+        const pointer = await tx.get('cash_collectors', this.getCollectorId(tenantId, collector));
+        if (pointer?.shiftId) {
+          throw new Error('Collector already has an open shift');
+        }
+        return this.createShift(tx, tenantId, collector, { openingFloat, openedBy }, now);
+      });
+
+      console.log('[CashSettlement] Shift opened', {
+        tenantId,
+        shiftId: shift.shiftId,
+        collector: `${collectorType}:${collectorId}`,
+        openingFloat
+      });
+
+      return shift;
+    } catch (error) {
+      console.error('[CashSettlement] Failed to open shift:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The collector's open shift, opening one with no float when they have none
+   */
+  async getOrOpenShift(tenantId, collector, openedBy, now = new Date()) {
+    return this.firebaseService.runTransaction(async (tx) => {
+      const pointer = await tx.get('cash_collectors', this.getCollectorId(tenantId, collector));
+      if (pointer?.shiftId) {
+        return tx.get('cash_shifts', pointer.shiftId);
+      }
+      return this.createShift(tx, tenantId, collector, { openingFloat: 0, openedBy: openedBy || 'system' }, now);
+    });
+  }
+
+  createShift(tx, tenantId, collector, { openingFloat, openedBy }, now) {
+    const shiftId = `SHIFT-${Date.now()}-${Math.random().toString(36).substring(2, 7).toUpperCase()}`;
+    const shift = {
+      shiftId,
+      tenantId,
+      collector,
+      status: 'open',
+      openingFloat,
+      openedBy,
+      openedAt: now.toISOString(),
+      declaredAmount: null,
+      closedBy: null,
+      closedAt: null,
+      updatedAt: now.toISOString()
+    };
+
+    tx.create('cash_shifts', shiftId, shift);
+    tx.set('cash_collectors', this.getCollectorId(tenantId, collector), {
+      tenantId,
+      collector,
+      shiftId,
+      updatedAt: now.toISOString()
+    });
+
+    return shift;
+  }
+
+  /**
+   * Close a shift with the cash the collector handed in
+   * @param {Object} options - { declaredAmount, closedBy }
+   * @returns {Promise<Object>} Shift report (see buildShiftReport)
+   */
+  async closeShift(tenantId, shiftId, { declaredAmount, closedBy = 'staff' }, now = new Date()) {
+    if (typeof declaredAmount !== 'number' || declaredAmount < 0) {
+      throw new Error('Invalid cash shift: declaredAmount must be a number of 0 or more');
+    }
+
+    try {
+      const shift = await this.getShift(tenantId, shiftId);
+      if (shift.status !== 'open') {
+        throw new Error('Shift is already closed');
+      }
+
+      const orders = await this.getShiftOrders(tenantId, shiftId);
+      const closed = {
+        ...shift,
+        status: 'closed',
+        declaredAmount: roundRupees(declaredAmount),
+        closedBy,
+        closedAt: now.toISOString()
+      };
+      const report = this.buildShiftReport(closed, orders);
+
+      const updates = {
+        status: 'closed',
+        declaredAmount: closed.declaredAmount,
+        closedBy,
+        closedAt: closed.closedAt,
+        summary: {
+          orderCount: report.orderCount,
+          expectedAmount: report.expectedAmount,
+          collectedAmount: report.collectedAmount,
+          expectedCash: report.expectedCash,
+          cashVariance: report.cashVariance,
+          discrepancyCount: report.discrepancies.length
+        },
+        updatedAt: now.toISOString()
+      };
+
+      const collectorId = this.getCollectorId(tenantId, shift.collector);
+      await this.firebaseService.runTransaction(async (tx) => {
+        const pointer = await tx.get('cash_collectors', collectorId);
+        tx.update('cash_shifts', shiftId, updates);
+        if (pointer?.shiftId === shiftId) {
+          tx.update('cash_collectors', collectorId, { shiftId: null, updatedAt: now.toISOString() });
+        }
+      });
+
+      console.log('[CashSettlement] Shift closed', {
+        tenantId,
+        shiftId,
+        collector: `${shift.collector.type}:${shift.collector.id}`,
+        expectedCash: report.expectedCash,
+        declaredAmount: closed.declaredAmount,
+        cashVariance: report.cashVariance
+      });
+
+      return report;
+    } catch (error) {
+      console.error('[CashSettlement] Failed to close shift:', error);
+      throw error;
+    }
+  }
+
+  async getShift(tenantId, shiftId) {
+    const shift = await this.firebaseService.getDocument('cash_shifts', shiftId);
+    if (!shift || shift.tenantId !== tenantId) {
+      throw new Error('Shift not found');
+    }
+    return shift;
+  }
+
+  /**
+   * Shifts for a tenant, newest first
+   * @param {Object} filters - { status, collectorType, startDate, endDate } (dates bound openedAt)
+   */
+  async getShifts(tenantId, { status, collectorType, startDate, endDate } = {}) {
+    try {
+      const query = { tenantId };
+      if (status) query.status = status;
+      if (collectorType) query['collector.type'] = collectorType;
+
+      const shifts = await this.firebaseService.queryDocuments('cash_shifts', query);
+      return shifts
+        .filter(shift => (!startDate || new Date(shift.openedAt) >= new Date(startDate)) &&
+          (!endDate || new Date(shift.openedAt) <= new Date(endDate)))
+        .sort((a, b) => b.openedAt.localeCompare(a.openedAt));
+    } catch (error) {
+      console.error('[CashSettlement] Failed to get shifts:', error);
+      throw error;
+    }
+  }
+
+  async getShiftOrders(tenantId, shiftId) {
+    return this.firebaseService.queryDocuments('orders', { tenantId, 'cod.shiftId': shiftId });
+  }
+
+  // ==================== REPORTS ====================
+
+  /**
+   * Reconciliation report for one shift
+   */
+  async getShiftReport(tenantId, shiftId) {
+    try {
+      const shift = await this.getShift(tenantId, shiftId);
+      const orders = await this.getShiftOrders(tenantId, shiftId);
+      return this.buildShiftReport(shift, orders);
+    } catch (error) {
+      console.error('[CashSettlement] Failed to get shift report:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Shift reports for a period, per rider and per counter
+   * @returns {Promise<Object>} { riders: [report], counters: [report], totals }
+   */
+  async getReconciliation(tenantId, { startDate, endDate } = {}) {
+    try {
+      const shifts = await this.getShifts(tenantId, { startDate, endDate });
+      const reports = [];
+      for (const shift of shifts) {
+        reports.push(this.buildShiftReport(shift, await this.getShiftOrders(tenantId, shift.shiftId)));
+      }
+
+      const sum = (field) => roundRupees(reports.reduce((total, report) => total + (report[field] || 0), 0));
+
+      return {
+        riders: reports.filter(report => report.collector.type === 'rider'),
+        counters: reports.filter(report => report.collector.type === 'counter'),
+        totals: {
+          shifts: reports.length,
+          openShifts: reports.filter(report => report.status === 'open').length,
+          orderCount: reports.reduce((total, report) => total + report.orderCount, 0),
+          expectedAmount: sum('expectedAmount'),
+          collectedAmount: sum('collectedAmount'),
+          difference: sum('difference'),
+          cashVariance: sum('cashVariance'),
+          flaggedShifts: reports.filter(report => report.flagged).length
+        }
+      };
+    } catch (error) {
+      console.error('[CashSettlement] Failed to get reconciliation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * What a shift collected against what it should have, and (once closed)
+   * the cash handed in against the float plus collections
+   */
+  buildShiftReport(shift, orders) {
+    const collected = orders.filter(order => order.cod?.shiftId === shift.shiftId);
+    const expectedAmount = roundRupees(collected.reduce((sum, order) => sum + order.cod.expectedAmount, 0));
+    const collectedAmount = roundRupees(collected.reduce((sum, order) => sum + order.cod.collectedAmount, 0));
+    const expectedCash = roundRupees(shift.openingFloat + collectedAmount);
+    const cashVariance = shift.declaredAmount === null || shift.declaredAmount === undefined
+      ? null
+      : roundRupees(shift.declaredAmount - expectedCash);
+    const discrepancies = collected
+      .filter(order => order.cod.difference !== 0)
+      .map(order => this.toDiscrepancy(order));
+
+    return {
+      shiftId: shift.shiftId,
+      collector: shift.collector,
+      status: shift.status,
+      openedAt: shift.openedAt,
+      closedAt: shift.closedAt || null,
+      openingFloat: shift.openingFloat,
+      orderCount: collected.length,
+      expectedAmount,
+      collectedAmount,
+      difference: roundRupees(collectedAmount - expectedAmount),
+      expectedCash,
+      declaredAmount: shift.declaredAmount ?? null,
+      cashVariance,
+      discrepancies,
+      flagged: discrepancies.length > 0 || (cashVariance !== null && cashVariance !== 0)
+    };
+  }
+
+  /**
+   * Cash-on-delivery figures for a set of orders, for the dashboard
+   * statistics. Orders handed over with the wrong amount, and orders
+   * delivered with no cash recorded, are listed as discrepancies.
+   */
+  summarize(orders) {
+    const cashOrders = orders
+      .filter(order => order.paymentMethod === 'cash')
+      .map(order => ({ order, cod: order.cod || this.createCodRecord(order) }))
+      .filter(({ order, cod }) => order.status !== 'cancelled' || cod.collectedAmount !== null);
+
+    const recorded = cashOrders.filter(({ cod }) => cod.collectedAmount !== null);
+    const discrepancies = cashOrders
+      .filter(({ order, cod }) => ['short', 'excess'].includes(cod.status) ||
+        (order.status === 'delivered' && cod.status === 'pending'))
+      .map(({ order, cod }) => this.toDiscrepancy({ ...order, cod }));
+
+    return {
+      orders: cashOrders.length,
+      expectedAmount: roundRupees(cashOrders.reduce((sum, { cod }) => sum + cod.expectedAmount, 0)),
+      collectedAmount: roundRupees(recorded.reduce((sum, { cod }) => sum + cod.collectedAmount, 0)),
+      pendingAmount: roundRupees(cashOrders
+        .filter(({ cod }) => cod.status === 'pending')
+        .reduce((sum, { cod }) => sum + cod.expectedAmount, 0)),
+      shortAmount: roundRupees(recorded
+        .filter(({ cod }) => cod.difference < 0)
+        .reduce((sum, { cod }) => sum - cod.difference, 0)),
+      excessAmount: roundRupees(recorded
+        .filter(({ cod }) => cod.difference > 0)
+        .reduce((sum, { cod }) => sum + cod.difference, 0)),
+      discrepancyCount: discrepancies.length,
+      discrepancies
+    };
+  }
+
+  toDiscrepancy(order) {
+    return {
+      orderId: order.orderId,
+      status: order.cod.status === 'pending' ? 'not_recorded' : order.cod.status,
+      expectedAmount: order.cod.expectedAmount,
+      collectedAmount: order.cod.collectedAmount,
+      difference: order.cod.difference ?? null,
+      collector: order.cod.collector || null,
+      shiftId: order.cod.shiftId || null
+    };
+  }
+
+  /**
+   * `cash_collectors` document ID: points at the collector's open shift
+   */
+  getCollectorId(tenantId, collector) {
+    return `${tenantId}_${collector.type}_${collector.id}`;
+  }
+}
+
+export default CashSettlementService;
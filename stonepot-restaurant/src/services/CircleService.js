@@ -6,6 +6,8 @@
 import { getFirebaseService } from './FirebaseService.js';
 import { getCustomerService } from './CustomerService.js';
 
+export const SPLIT_TYPES = ['equal', 'itemized', 'custom'];
+
 class CircleService {
   constructor(config) {
     this.config = config;
@@ -383,9 +385,13 @@ class CircleService {
   }
 
   /**
-   * Finalize collaborative order
+   * Finalize collaborative order. The PartyKit room holds the live state, so
+   * the room's participants, items, split type and custom amounts can be
+   * passed in; each participant's share is worked out from them.
+   * @param {string} collaborativeOrderId - Collaborative order ID
+   * @param {Object} [roomState] - { splitType, participants, items, customSplits } from the room
    */
-  async finalizeCollaborativeOrder(collaborativeOrderId) {
+  async finalizeCollaborativeOrder(collaborativeOrderId, roomState = {}) {
     await this.firebaseService.initialize();
 
     try {
@@ -398,8 +404,20 @@ class CircleService {
         throw new Error('Collaborative order not found');
       }
 
+      if (order.orderId) {
+        throw new Error('Collaborative order has already been placed');
+      }
+
+      const finalState = this.applyRoomState(order, roomState);
+      const { splitDetails } = this.calculateSplit(finalState, roomState.customSplits || order.splitDetails?.customSplits);
+
       // Update status
       await this.firebaseService.updateDocument('collaborative_orders', collaborativeOrderId, {
+        participants: finalState.participants,
+        items: finalState.items,
+        total: finalState.total,
+        splitType: finalState.splitType,
+        splitDetails,
         status: 'finalized',
         finalizedAt: new Date().toISOString()
       });
@@ -427,6 +445,119 @@ class CircleService {
       throw error;
     }
   }
+
+  /**
+   * Merge the PartyKit room state into the stored order. Room participants
+   * and items are keyed by participant ID; they are stored by customer ID.
+   */
+  applyRoomState(order, roomState) {
+    const splitType = roomState.splitType || order.splitType || 'equal';
+    if (!SPLIT_TYPES.includes(splitType)) {
+      throw new Error(`Invalid split: unknown split type "${splitType}"`);
+    }
+
+    if (!Array.isArray(roomState.participants)) {
+      return { ...order, splitType };
+    }
+
+    const customerIds = new Map(
+      roomState.participants.map(p => [p.id, `${order.tenantId}_${p.phone}`])
+    );
+
+    const participants = roomState.participants.map(p => ({
+      customerId: customerIds.get(p.id),
+      participantId: p.id,
+      phone: p.phone,
+      name: p.name,
+      joinedAt: p.joinedAt ? new Date(p.joinedAt).toISOString() : new Date().toISOString()
+    }));
+
+    const items = (roomState.items || order.items || []).map(item => ({
+      ...item,
+      addedBy: customerIds.get(item.addedBy) || item.addedBy,
+      addedAt: item.addedAt ? new Date(item.addedAt).toISOString() : new Date().toISOString()
+    }));
+
+    return {
+      ...order,
+      participants,
+      items,
+      total: Math.round(items.reduce((sum, item) => sum + (item.itemTotal ?? item.price * item.quantity), 0) * 100) / 100,
+      splitType
+    };
+  }
+
+  /**
+   * Each participant's share of the room total
+   * @param {Object} order - Collaborative order (participants, items, total, splitType, initiatedBy)
+   * @param {Array} [customSplits] - [{ participantId | customerId, amount }] for 'custom'
+   * @returns {Object} { splitDetails, shares: [{ customerId, phone, name, amount }] }
+   */
+  calculateSplit(order, customSplits = []) {
+    const participants = order.participants || [];
+    const total = order.total || 0;
+    const round = (amount) => Math.round(amount * 100) / 100;
+
+    if (participants.length === 0) {
+      throw new Error('Invalid split: the order has no participants');
+    }
+
+    const shareFor = (amounts) => participants.map(p => ({
+      customerId: p.customerId,
+      phone: p.phone,
+      name: p.name || p.phone,
+      amount: round(amounts.get(p.customerId) || 0)
+    }));
+
+    if (order.splitType === 'itemized') {
+      // Items added by someone who has since left go on the initiator's share
+      const known = new Set(participants.map(p => p.customerId));
+      const byCustomer = {};
+      for (const item of order.items || []) {
+        const customerId = known.has(item.addedBy) ? item.addedBy : order.initiatedBy;
+        byCustomer[customerId] = byCustomer[customerId] || { items: [], subtotal: 0 };
+        byCustomer[customerId].items.push(item.id);
+        byCustomer[customerId].subtotal = round(byCustomer[customerId].subtotal + (item.itemTotal ?? item.price * item.quantity));
+      }
+
+      return {
+        splitDetails: { byCustomer },
+        shares: shareFor(new Map(Object.entries(byCustomer).map(([id, entry]) => [id, entry.subtotal])))
+      };
+    }
+
+    if (order.splitType === 'custom') {
+      const amounts = new Map();
+      for (const split of customSplits || []) {
+        const participant = participants.find(p =>
+          p.customerId === split.customerId || (split.participantId && p.participantId === split.participantId)
+        );
+        const amount = Number(split.amount);
+        if (!participant || !Number.isFinite(amount) || amount < 0) {
+          throw new Error('Invalid split: custom amounts must be for participants and not negative');
+        }
+        amounts.set(participant.customerId, amount);
+      }
+
+      const assigned = [...amounts.values()].reduce((sum, amount) => sum + amount, 0);
+      if (Math.abs(assigned - total) >= 0.01) {
+        throw new Error(`Invalid split: custom amounts must add up to ₹${total}`);
+      }
+
+      return {
+        splitDetails: {
+          customSplits: [...amounts].map(([customerId, amount]) => ({ customerId, amount: round(amount) }))
+        },
+        shares: shareFor(amounts)
+      };
+    }
+
+    const perPerson = round(total / participants.length);
+    return {
+      splitDetails: { perPerson },
+      shares: shareFor(new Map(participants.map(p => [p.customerId, perPerson])))
+    };
+  }
 }
 
 // Singleton instance
@@ -0,0 +1,330 @@
+/**
+ * Combo Service
+ * Tenant-defined combos and meal deals stored on the restaurant profile.
+ * A combo is a set of groups the customer fills from: a fixed bundle has one
+ * dish per group, a meal deal lets the customer pick one (or more) from each.
+ */
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const slugify = (text) => normalize(text).replace(/ /g, '-');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+export class ComboService {
+  constructor(firebaseService) {
+    this.firebaseService = firebaseService;
+  }
+
+  /**
+   * Get the tenant's combos (empty when none configured)
+   */
+  async getCombos(tenantId) {
+    try {
+      const profile = await this.firebaseService.getRestaurantProfile(tenantId);
+      return Array.isArray(profile?.combos) ? profile.combos : [];
+    } catch (error) {
+      console.error('[Combo] Failed to get combos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Combos currently offered to customers
+   */
+  async getActiveCombos(tenantId) {
+    const combos = await this.getCombos(tenantId);
+    return combos.filter(combo => combo.active !== false);
+  }
+
+  /**
+   * Replace the tenant's combos
+   */
+  async saveCombos(tenantId, combos) {
+    const validation = this.validateCombos(combos);
+    if (!validation.valid) {
+      throw new Error(`Invalid combos: ${validation.errors.join(', ')}`);
+    }
+
+    try {
+      const normalized = combos.map(combo => this.normalizeCombo(combo));
+
+      await this.firebaseService.updateRestaurantProfile(tenantId, {
+        combos: normalized
+      });
+
+      console.log('[Combo] Saved combos', { tenantId, count: normalized.length });
+
+      return normalized;
+    } catch (error) {
+      console.error('[Combo] Failed to save combos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add or replace a single combo (matched by id)
+   */
+  async upsertCombo(tenantId, combo) {
+    const current = await this.getConfiguredCombos(tenantId);
+    const normalized = this.normalizeCombo(combo);
+    const index = current.findIndex(c => c.id === normalized.id);
+
+    if (index >= 0) {
+      current[index] = normalized;
+    } else {
+      current.push(normalized);
+    }
+
+    return this.saveCombos(tenantId, current);
+  }
+
+  /**
+   * Remove a combo by id
+   */
+  async deleteCombo(tenantId, comboId) {
+    const current = await this.getConfiguredCombos(tenantId);
+    const remaining = current.filter(c => c.id !== comboId);
+
+    if (remaining.length === current.length) {
+      throw new Error('Combo not found');
+    }
+
+    return this.saveCombos(tenantId, remaining);
+  }
+
+  /**
+   * Combos stored on the profile, for editing
+   */
+  async getConfiguredCombos(tenantId) {
+    const profile = await this.firebaseService.getRestaurantProfile(tenantId);
+    if (!profile) {
+      throw new Error('Restaurant profile not found');
+    }
+    return Array.isArray(profile.combos) ? [...profile.combos] : [];
+  }
+
+  /**
+   * Normalize a combo definition
+   */
+  normalizeCombo(combo) {
+    const toList = (value) => (Array.isArray(value) ? value : [])
+      .map(v => String(v).trim())
+      .filter(Boolean);
+
+    return {
+      id: combo.id || slugify(combo.name),
+      name: combo.name.trim(),
+      description: combo.description || null,
+      imageUrl: combo.imageUrl || null,
+      price: round2(Number(combo.price)),
+      active: combo.active !== false,
+      groups: combo.groups.map((group, index) => ({
+        id: group.id || slugify(group.name) || `group-${index + 1}`,
+        name: String(group.name || `Item ${index + 1}`).trim(),
+        quantity: Math.max(1, parseInt(group.quantity) || 1),
+        itemIds: toList(group.itemIds),
+        categories: toList(group.categories)
+      }))
+    };
+  }
+
+  /**
+   * Validate a list of combo definitions
+   */
+  validateCombos(combos) {
+    const errors = [];
+
+    if (!Array.isArray(combos)) {
+      return { valid: false, errors: ['combos must be an array'] };
+    }
+
+    const names = new Set();
+    combos.forEach((combo, index) => {
+      if (!combo?.name || typeof combo.name !== 'string') {
+        errors.push(`Combo ${index + 1}: name is required`);
+        return;
+      }
+
+      const key = normalize(combo.name);
+      if (names.has(key)) {
+        errors.push(`Combo ${index + 1}: duplicate name "${combo.name}"`);
+      }
+      names.add(key);
+
+      if (isNaN(Number(combo.price)) || Number(combo.price) <= 0) {
+        errors.push(`${combo.name}: price must be a positive number`);
+      }
+
+      if (!Array.isArray(combo.groups) || combo.groups.length === 0) {
+        errors.push(`${combo.name}: at least one group is required`);
+        return;
+      }
+
+      combo.groups.forEach((group, groupIndex) => {
+        const label = `${combo.name} group ${group?.name || groupIndex + 1}`;
+
+        ['itemIds', 'categories'].forEach(field => {
+          if (group?.[field] !== undefined && !Array.isArray(group[field])) {
+            errors.push(`${label}: ${field} must be an array`);
+          }
+        });
+
+        const hasItems = Array.isArray(group?.itemIds) && group.itemIds.length > 0;
+        const hasCategories = Array.isArray(group?.categories) && group.categories.length > 0;
+        if (!hasItems && !hasCategories) {
+          errors.push(`${label}: needs itemIds or categories`);
+        }
+
+        if (group?.quantity !== undefined && (isNaN(group.quantity) || group.quantity < 1)) {
+          errors.push(`${label}: quantity must be at least 1`);
+        }
+      });
+    });
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Find a combo by the name the customer used.
+   * Exact names win over partial matches ("thali" vs "mini thali").
+   */
+  findCombo(combos, name) {
+    const wanted = normalize(name);
+    if (!wanted) return null;
+
+    return combos.find(combo => normalize(combo.name) === wanted || combo.id === wanted) ||
+      combos.find(combo => {
+        const comboName = normalize(combo.name);
+        return comboName.includes(wanted) || wanted.includes(comboName);
+      }) ||
+      null;
+  }
+
+  /**
+   * Whether a cart line or menu item can fill a combo group
+   */
+  matchesGroup(group, { id, category }) {
+    if (group.itemIds?.includes(id)) {
+      return true;
+    }
+    const wanted = normalize(category);
+    return Boolean(wanted) && (group.categories || []).some(c => normalize(c) === wanted);
+  }
+
+  /**
+   * Menu items that can fill a combo group
+   */
+  getEligibleItems(group, menuItems) {
+    return menuItems.filter(item => this.matchesGroup(group, item));
+  }
+
+  /**
+   * Find the combos a cart qualifies for. Each step takes the combo that saves
+   * the most on the units still free, filling its most specific groups first
+   * with the most expensive eligible units, until no combo saves anything.
+   * Only base prices are bundled; option upcharges are still charged.
+   * @param {Array} combos - Active combos
+   * @param {Array} items - Cart lines
+   * @returns {Array} [{ combo, units: [{ lineIndex, price }], regularPrice, savings }]
+   */
+  detectCombos(combos, items) {
+    const units = items.flatMap((line, lineIndex) => {
+      const price = Number(line.basePrice ?? line.price) || 0;
+      return Array.from({ length: line.quantity || 1 }, () => ({
+        lineIndex,
+        line: { id: line.dishId, category: line.category },
+        price,
+        used: false
+      }));
+    });
+
+    const applied = [];
+    for (;;) {
+      let best = null;
+
+      combos.forEach(combo => {
+        const instance = this.buildInstance(combo, units);
+        if (instance && instance.savings > 0 && (!best || instance.savings > best.savings)) {
+          best = instance;
+        }
+      });
+
+      if (!best) break;
+
+      best.picked.forEach(unit => { unit.used = true; });
+      applied.push({
+        combo: best.combo,
+        units: best.picked.map(unit => ({ lineIndex: unit.lineIndex, price: unit.price })),
+        regularPrice: best.regularPrice,
+        savings: best.savings
+      });
+    }
+
+    return applied;
+  }
+
+  /**
+   * Fill one instance of a combo from the free units, or null when it can't be filled
+   */
+  buildInstance(combo, units) {
+    const free = units.filter(unit => !unit.used);
+    const groups = combo.groups
+      .map(group => ({ group, eligible: free.filter(unit => this.matchesGroup(group, unit.line)) }))
+      .sort((a, b) => a.eligible.length - b.eligible.length);
+
+    const picked = [];
+    for (const { group, eligible } of groups) {
+      const candidates = eligible
+        .filter(unit => !picked.includes(unit))
+        .sort((a, b) => b.price - a.price)
+        .slice(0, group.quantity);
+
+      if (candidates.length < group.quantity) {
+        return null;
+      }
+      picked.push(...candidates);
+    }
+
+    const regularPrice = round2(picked.reduce((sum, unit) => sum + unit.price, 0));
+
+    return {
+      combo,
+      picked,
+      regularPrice,
+      savings: round2(regularPrice - combo.price)
+    };
+  }
+
+  /**
+   * Combo as the voice agent reads it out and the display shows it
+   * @param {Object} combo
+   * @param {Array} menuItems - Menu items that are available right now
+   */
+  summarizeCombo(combo, menuItems) {
+    const groups = combo.groups.map(group => {
+      const options = this.getEligibleItems(group, menuItems).map(item => item.name);
+      return {
+        name: group.name,
+        quantity: group.quantity,
+        fixed: options.length <= group.quantity,
+        options
+      };
+    });
+
+    return {
+      id: combo.id,
+      name: combo.name,
+      description: combo.description,
+      imageUrl: combo.imageUrl,
+      price: combo.price,
+      groups,
+      available: groups.every(group => group.options.length > 0)
+    };
+  }
+}
+
+export default ComboService;
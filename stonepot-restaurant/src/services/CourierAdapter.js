@@ -0,0 +1,126 @@
+/**
+ * Courier Adapter
+ * Common interface for delivery partners (Porter, own riders, mock) so orders
+ * can be quoted, dispatched, tracked and cancelled the same way for every courier
+ */
+
+/**
+ * Normalized delivery statuses, in the order a delivery moves through them
+ */
+export const DELIVERY_STATUSES = [
+  'requested', // Courier asked for a rider
+  'assigned', // Rider assigned
+  'arrived_at_pickup',
+  'picked_up',
+  'in_transit',
+  'delivered',
+  'cancelled',
+  'failed'
+];
+
+export const TERMINAL_DELIVERY_STATUSES = ['delivered', 'cancelled', 'failed'];
+
+/**
+ * Base class for courier adapters.
+ *
+ * Delivery requests use the shape built by DeliveryService.prepareCourierRequest:
+ * { tenantId, requestId, pickup, drop, orderDetails, vehicleType, fareQuoteId }.
+ * Every method resolves to courier-neutral results carrying `courier` and a
+ * normalized `status` from DELIVERY_STATUSES.
+ */
+export class CourierAdapter {
+  constructor(name, displayName) {
+    this.name = name;
+    this.displayName = displayName;
+    this.enabled = true;
+    this.updateListeners = new Set();
+  }
+
+  /**
+   * Quote a delivery
+   * @returns {Promise<{success, courier, fareQuoteId, estimatedFare, estimatedDistance, estimatedDuration, currency}>}
+   */
+  async getFareEstimate(request) {
+    throw new Error(`${this.displayName} does not support fare estimates`);
+  }
+
+  /**
+   * Book a delivery
+   * @returns {Promise<{success, courier, deliveryId, status, trackingUrl, driverDetails, estimatedDeliveryTime, fare}>}
+   */
+  async createDelivery(request) {
+    throw new Error(`${this.displayName} does not support creating deliveries`);
+  }
+
+  /**
+   * Current state of a delivery
+   * @returns {Promise<{success, courier, deliveryId, status, currentLocation, driverDetails, estimatedDeliveryTime}>}
+   */
+  async trackDelivery(deliveryId) {
+    throw new Error(`${this.displayName} does not support tracking`);
+  }
+
+  /**
+   * Cancel a delivery
+   * @returns {Promise<{success, courier, deliveryId, status, cancellationFee}>}
+   */
+  async cancelDelivery(deliveryId, reason) {
+    throw new Error(`${this.displayName} does not support cancellation`);
+  }
+
+  /**
+   * Check a webhook really came from this courier. Couriers that don't
+   * send webhooks reject them.
+   * @param {string} rawBody - Webhook body as received
+   * @param {Object} headers - Request headers
+   * @returns {boolean} True if the webhook should be processed
+   */
+  verifyWebhook(rawBody, headers) {
+    return false;
+  }
+
+  /**
+   * Turn a courier webhook payload into a delivery update
+   * @returns {Object|null} { courier, deliveryId, event, status, driverDetails, location, reason, occurredAt } or null if not a delivery event
+   */
+  normalizeWebhook(payload) {
+    return null;
+  }
+
+  /**
+   * Subscribe to delivery updates that don't arrive by webhook (e.g. own riders)
+   * @returns {Function} Unsubscribe function
+   */
+  onUpdate(listener) {
+    this.updateListeners.add(listener);
+    return () => this.updateListeners.delete(listener);
+  }
+
+  /**
+   * Notify update listeners without letting them fail the caller
+   */
+  async emitUpdate(update) {
+    for (const listener of this.updateListeners) {
+      try {
+        await listener(update);
+      } catch (error) {
+        console.error(`[Courier] ${this.displayName} update listener failed:`, error);
+      }
+    }
+  }
+
+  /**
+   * Straight-line distance in km between two {lat, lng} points
+   */
+  estimateDistance(from, to) {
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(to.lat - from.lat);
+    const dLng = toRad(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+    return Math.round(6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)) * 10) / 10;
+  }
+}
+
+export default CourierAdapter;
@@ -0,0 +1,295 @@
+/**
+ * Courier Service
+ * Registry of courier adapters. Quotes a delivery with every courier the tenant
+ * has enabled and books it with the chosen (by default the cheapest) one.
+ */
+
+import { PorterService } from './PorterService.js';
+import { SelfDeliveryAdapter } from './SelfDeliveryAdapter.js';
+import { MockCourierAdapter } from './MockCourierAdapter.js';
+
+export const COURIER_SELECTION_STRATEGIES = ['cheapest', 'preferred'];
+
+export class CourierService {
+  constructor(config, { firebaseService, deliveryService }) {
+    this.config = config.courier || {};
+    this.firebaseService = firebaseService;
+    this.deliveryService = deliveryService;
+    this.restaurantConfig = config.restaurant || {};
+
+    this.adapters = new Map();
+    this.registerAdapter(new PorterService(config));
+    this.registerAdapter(new SelfDeliveryAdapter(firebaseService, this.config.selfDelivery));
+    if (this.config.mockEnabled) {
+      this.registerAdapter(new MockCourierAdapter({
+        ...this.config.mock,
+        production: config.server?.env === 'production'
+      }));
+    }
+
+    // Couriers tried for tenants that haven't chosen any
+    this.defaultCouriers = this.config.defaultCouriers || ['porter', 'self'];
+  }
+
+  /**
+   * Add (or replace) a courier adapter
+   */
+  registerAdapter(adapter) {
+    this.adapters.set(adapter.name, adapter);
+  }
+
+  getAdapter(name) {
+    const adapter = this.adapters.get(name);
+    if (!adapter || !adapter.enabled) {
+      throw new Error(`Courier not available: ${name}`);
+    }
+    return adapter;
+  }
+
+  /**
+   * Subscribe to delivery updates from every courier (webhooks and own riders)
+   * @returns {Function} Unsubscribe function
+   */
+  onDeliveryUpdate(listener) {
+    const unsubscribers = Array.from(this.adapters.values()).map(adapter => adapter.onUpdate(listener));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+
+  /**
+   * Tenant courier settings from the restaurant profile
+   * @returns {Promise<{enabled: string[], selection: string, preferred: string|null}>}
+   */
+  async getSettings(tenantId) {
+    const profile = await this.firebaseService.getRestaurantProfile(tenantId);
+    const settings = profile?.courierSettings || {};
+    const enabled = (Array.isArray(settings.enabled) && settings.enabled.length > 0
+      ? settings.enabled
+      : this.defaultCouriers
+    ).filter(name => this.adapters.get(name)?.enabled);
+
+    return {
+      enabled,
+      selection: COURIER_SELECTION_STRATEGIES.includes(settings.selection) ? settings.selection : 'cheapest',
+      preferred: settings.preferred || null
+    };
+  }
+
+  /**
+   * Save tenant courier settings
+   */
+  async saveSettings(tenantId, settings) {
+    const errors = [];
+    const enabled = settings.enabled || [];
+
+    if (!Array.isArray(enabled)) {
+      errors.push('enabled must be an array');
+    } else {
+      enabled.filter(name => !this.adapters.has(name)).forEach(name => errors.push(`unknown courier "${name}"`));
+    }
+    if (settings.selection && !COURIER_SELECTION_STRATEGIES.includes(settings.selection)) {
+      errors.push(`selection must be one of ${COURIER_SELECTION_STRATEGIES.join(', ')}`);
+    }
+    if (settings.preferred && !this.adapters.has(settings.preferred)) {
+      errors.push(`unknown courier "${settings.preferred}"`);
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid courier settings: ${errors.join(', ')}`);
+    }
+
+    const courierSettings = {
+      enabled,
+      selection: settings.selection || 'cheapest',
+      preferred: settings.preferred || null
+    };
+
+    await this.firebaseService.updateRestaurantProfile(tenantId, { courierSettings });
+
+    console.log('[Courier] Saved courier settings', { tenantId, ...courierSettings });
+
+    return courierSettings;
+  }
+
+  /**
+   * Build the courier request for a stored order
+   */
+  async buildRequest(tenantId, order) {
+    if (order.orderType !== 'delivery' || !order.deliveryAddress?.coordinates) {
+      throw new Error('Order has no delivery address');
+    }
+
+    const profile = await this.firebaseService.getRestaurantProfile(tenantId) || {};
+    const coordinates = profile.coordinates || profile.location || this.restaurantConfig.location || {
+      lat: 12.9716,
+      lng: 77.5946
+    };
+
+    return this.deliveryService.prepareCourierRequest(
+      { ...order, tenantId },
+      order.deliveryAddress,
+      {
+        name: profile.name || profile.restaurantName || 'Restaurant',
+        phone: profile.phone || '',
+        address: (typeof profile.address === 'object' ? profile.address?.formatted : profile.address) || '',
+        city: profile.city || null,
+        pincode: profile.pincode || null,
+        coordinates
+      }
+    );
+  }
+
+  /**
+   * Quote a delivery with each enabled courier
+   * @param {string} tenantId - Restaurant/tenant ID
+   * @param {Object} request - Courier request (prepareCourierRequest)
+   * @param {Object} options - { couriers } to limit which couriers are asked
+   * @returns {Promise<{quotes: Array, unavailable: Array}>} Quotes sorted cheapest first
+   */
+  async getQuotes(tenantId, request, options = {}) {
+    const settings = await this.getSettings(tenantId);
+    const couriers = options.couriers || settings.enabled;
+
+    const results = await Promise.allSettled(
+      couriers.map(async name => this.getAdapter(name).getFareEstimate(request))
+    );
+
+    const quotes = [];
+    const unavailable = [];
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        quotes.push({ ...result.value, courier: couriers[index] });
+      } else {
+        unavailable.push({ courier: couriers[index], reason: result.reason.message });
+      }
+    });
+
+    quotes.sort((a, b) => a.estimatedFare - b.estimatedFare);
+
+    console.log('[Courier] Quotes', {
+      tenantId,
+      quotes: quotes.map(q => `${q.courier}:${q.estimatedFare}`),
+      unavailable: unavailable.map(u => u.courier)
+    });
+
+    return { quotes, unavailable };
+  }
+
+  /**
+   * Choose a quote: the requested courier, else the tenant's preferred
+   * courier when it can deliver, else the cheapest
+   */
+  selectQuote(quotes, settings, requestedCourier = null) {
+    if (requestedCourier) {
+      return quotes.find(q => q.courier === requestedCourier) || null;
+    }
+
+    if (settings.selection === 'preferred' && settings.preferred) {
+      const preferred = quotes.find(q => q.courier === settings.preferred);
+      if (preferred) return preferred;
+    }
+
+    return quotes[0] || null;
+  }
+
+  /**
+   * Quote and book a delivery for an order
+   * @param {string} tenantId - Restaurant/tenant ID
+   * @param {Object} order - Stored order
+   * @param {Object} options - { courier } to book with a specific courier, { exclude } couriers to skip
+   * @returns {Promise<Object>} Delivery record to store on the order
+   */
+  async createDelivery(tenantId, order, options = {}) {
+    try {
+      const request = await this.buildRequest(tenantId, order);
+      const settings = await this.getSettings(tenantId);
+      const couriers = options.courier
+        ? [options.courier]
+        : settings.enabled.filter(name => !(options.exclude || []).includes(name));
+
+      const { quotes, unavailable } = await this.getQuotes(tenantId, request, { couriers });
+      const quote = this.selectQuote(quotes, settings, options.courier);
+
+      if (!quote) {
+        const reasons = unavailable.map(u => `${u.courier}: ${u.reason}`).join('; ');
+        throw new Error(`No courier available${reasons ? ` (${reasons})` : ''}`);
+      }
+
+      const delivery = await this.getAdapter(quote.courier).createDelivery({
+        ...request,
+        fareQuoteId: quote.fareQuoteId
+      });
+
+      const now = new Date().toISOString();
+
+      console.log('[Courier] Delivery booked', {
+        tenantId,
+        orderId: order.orderId,
+        courier: quote.courier,
+        deliveryId: delivery.deliveryId,
+        fare: quote.estimatedFare
+      });
+
+      return {
+        courier: quote.courier,
+        deliveryId: delivery.deliveryId,
+        status: delivery.status,
+        quotedFare: quote.estimatedFare,
+        fare: delivery.fare ?? quote.estimatedFare,
+        trackingUrl: delivery.trackingUrl || null,
+        driverDetails: delivery.driverDetails || null,
+        estimatedDeliveryTime: delivery.estimatedDeliveryTime || null,
+        alternatives: quotes
+          .filter(q => q.courier !== quote.courier)
+          .map(q => ({ courier: q.courier, estimatedFare: q.estimatedFare })),
+        requestedAt: now,
+        updatedAt: now
+      };
+    } catch (error) {
+      console.error('[Courier] Failed to create delivery:', error);
+      throw error;
+    }
+  }
+
+  async trackDelivery(courier, deliveryId) {
+    return this.getAdapter(courier).trackDelivery(deliveryId);
+  }
+
+  async cancelDelivery(courier, deliveryId, reason) {
+    return this.getAdapter(courier).cancelDelivery(deliveryId, reason);
+  }
+
+  /**
+   * Verify a courier webhook's signature
+   */
+  verifyWebhook(courier, rawBody, headers) {
+    return this.getAdapter(courier).verifyWebhook(rawBody, headers);
+  }
+
+  /**
+   * Normalize a courier webhook and emit it to delivery update listeners
+   * @returns {Promise<Object|null>} Normalized update, or null when ignored
+   */
+  async handleWebhook(courier, payload) {
+    const adapter = this.getAdapter(courier);
+    const update = adapter.normalizeWebhook(payload);
+
+    if (update) {
+      await adapter.emitUpdate(update);
+    }
+
+    return update;
+  }
+
+  /**
+   * Couriers available on this server
+   */
+  listCouriers() {
+    return Array.from(this.adapters.values()).map(adapter => ({
+      name: adapter.name,
+      displayName: adapter.displayName,
+      enabled: adapter.enabled
+    }));
+  }
+}
+
+export default CourierService;
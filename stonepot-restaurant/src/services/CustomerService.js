@@ -285,6 +285,65 @@ class CustomerService {
     }
   }
 
+  /**
+   * Find a past order to repeat: the most recent one, or the customer's
+   * "usual" (the same dishes, options and quantities ordered most often,
+   * most recent on a tie). Cancelled orders are skipped.
+   * @param {string} which - 'last' or 'usual'
+   * @returns {Promise<Object|null>} { order, items, timesOrdered }
+   */
+  async getRepeatableOrder(tenantId, phone, which = 'last') {
+    try {
+      const orders = (await this.getCustomerOrders(tenantId, phone, 20))
+        .filter(order => order.status !== 'cancelled' && this.getOrderItems(order).length > 0);
+
+      if (orders.length === 0) {
+        return null;
+      }
+
+      const counts = new Map();
+      orders.forEach(order => {
+        const signature = this.getOrderSignature(order);
+        counts.set(signature, (counts.get(signature) || 0) + 1);
+      });
+
+      // Orders come newest first, so the first with the top count is the latest of them
+      const order = which === 'usual'
+        ? orders.reduce((best, candidate) =>
+          counts.get(this.getOrderSignature(candidate)) > counts.get(this.getOrderSignature(best)) ? candidate : best)
+        : orders[0];
+
+      return {
+        order,
+        items: this.getOrderItems(order),
+        timesOrdered: counts.get(this.getOrderSignature(order))
+      };
+    } catch (error) {
+      console.error('[CustomerService] Error finding order to repeat:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lines of a stored order (order management keeps them on the cart)
+   */
+  getOrderItems(order) {
+    return order.cart?.items || order.items || [];
+  }
+
+  /**
+   * What was ordered, ignoring prices, so the same basket matches across orders
+   */
+  getOrderSignature(order) {
+    return this.getOrderItems(order)
+      .map(item => {
+        const options = (item.modifiers || []).map(modifier => modifier.optionId || modifier.name).sort().join('+');
+        return `${item.dishId || item.dishName}:${options}x${item.quantity || 1}`;
+      })
+      .sort()
+      .join('|');
+  }
+
   /**
    * Create a new order
    */
@@ -3,10 +3,13 @@
  * Handles delivery zone checking, fee calculation, and Porter integration preparation
  */
 
+export const DELIVERY_ZONE_TYPES = ['polygon', 'pincode', 'radius'];
+
 export class DeliveryService {
-  constructor(config, googleMapsService) {
+  constructor(config, googleMapsService, firebaseService = null) {
     this.config = config.delivery || {};
     this.googleMapsService = googleMapsService;
+    this.firebaseService = firebaseService;
 
     // Default delivery configuration
     this.defaultRadius = this.config.defaultRadius || 10; // km
@@ -17,35 +20,47 @@ export class DeliveryService {
     this.maxDeliveryFee = this.config.maxDeliveryFee || 200; // ₹200
   }
 
+  /**
+   * Set the Firestore service used to load tenant delivery zones
+   */
+  setFirebaseService(firebaseService) {
+    this.firebaseService = firebaseService;
+  }
+
   /**
    * Check if delivery is available to given coordinates
    * @param {Object} restaurantLocation - {lat, lng} of restaurant
    * @param {Object} customerLocation - {lat, lng} of customer
-   * @param {number} [customRadius] - Override default delivery radius
-   * @returns {Promise<{eligible: boolean, distance: number, distanceText: string, message: string}>}
+   * @param {Object} [options] - { tenantId, pincode, radius }. Zones are loaded for tenantId;
+   *   without one (or when none are configured) the default radius zone is used
+   * @returns {Promise<{eligible: boolean, distance: number, distanceText: string, zone: Object|null, message: string}>}
    */
-  async checkDeliveryZone(restaurantLocation, customerLocation, customRadius = null) {
+  async checkDeliveryZone(restaurantLocation, customerLocation, options = {}) {
     try {
-      const radius = customRadius || this.defaultRadius;
+      const zones = options.tenantId
+        ? await this.getRestaurantDeliveryZones(options.tenantId)
+        : this.getDefaultZones(options.radius);
 
       console.log('[Delivery] Checking delivery zone:', {
         restaurant: restaurantLocation,
         customer: customerLocation,
-        radius
+        pincode: options.pincode,
+        zones: zones.length
       });
 
-      // Calculate distance using Google Maps Distance Matrix API
-      const distanceResult = await this.googleMapsService.calculateDistance(
-        restaurantLocation,
-        customerLocation
-      );
-
+      const distanceResult = await this.getDistance(restaurantLocation, customerLocation, zones);
       const distance = distanceResult.distance; // in km
-      const eligible = distance <= radius;
+
+      const zone = this.findDeliveryZone(zones, {
+        coordinates: customerLocation,
+        pincode: options.pincode,
+        distance
+      });
+      const eligible = !!zone;
 
       console.log('[Delivery] Zone check result:', {
         distance,
-        radius,
+        zone: zone?.id || null,
         eligible,
         distanceText: distanceResult.distanceText
       });
@@ -56,9 +71,10 @@ export class DeliveryService {
         distanceText: distanceResult.distanceText,
         durationText: distanceResult.durationText,
         durationMinutes: Math.round(distanceResult.duration),
+        zone: zone ? this.summarizeZone(zone) : null,
         message: eligible
-          ? `Delivery available (${distanceResult.distanceText})`
-          : `Sorry, we don't deliver beyond ${radius}km. You're ${distanceResult.distanceText} away.`
+          ? `Delivery available${zone.name ? ` in ${zone.name}` : ''} (${distanceResult.distanceText})`
+          : this.getOutOfZoneMessage(zones, distanceResult.distanceText)
       };
     } catch (error) {
       console.error('[Delivery] Zone check error:', error);
@@ -67,13 +83,197 @@ export class DeliveryService {
   }
 
   /**
-   * Calculate delivery fee based on distance and order value
+   * Road distance from Google Maps. Polygon and pincode zones don't depend on
+   * it, so for those a straight-line estimate is used if the lookup fails.
+   */
+  async getDistance(restaurantLocation, customerLocation, zones) {
+    try {
+      return await this.googleMapsService.calculateDistance(restaurantLocation, customerLocation);
+    } catch (error) {
+      if (zones.some(zone => zone.type === 'radius')) {
+        throw error;
+      }
+
+      console.warn('[Delivery] Distance lookup failed, using straight-line distance:', error.message);
+
+      const distance = Math.round(this.getStraightLineDistance(restaurantLocation, customerLocation) * 10) / 10;
+      const duration = (distance / 20) * 60;
+
+      return {
+        distance,
+        duration,
+        distanceText: `${distance} km`,
+        durationText: `${Math.round(duration)} mins`
+      };
+    }
+  }
+
+  /**
+   * Haversine distance in km
+   */
+  getStraightLineDistance(from, to) {
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(to.lat - from.lat);
+    const dLng = toRad(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  /**
+   * Message for an address outside every zone
+   */
+  getOutOfZoneMessage(zones, distanceText) {
+    const radiusOnly = zones.every(zone => zone.type === 'radius');
+
+    if (radiusOnly && zones.length > 0) {
+      const radius = Math.max(...zones.map(zone => zone.radius));
+      return `Sorry, we don't deliver beyond ${radius}km. You're ${distanceText} away.`;
+    }
+
+    return "Sorry, we don't deliver to this area yet.";
+  }
+
+  /**
+   * Find the zone an address falls in. Zones are checked by priority (highest
+   * first), then in the order they were configured.
+   * @param {Array} zones - Active delivery zones
+   * @param {Object} location - { coordinates: {lat, lng}, pincode, distance }
+   * @returns {Object|null} Matched zone
+   */
+  findDeliveryZone(zones, { coordinates, pincode, distance }) {
+    const ordered = zones
+      .map((zone, index) => ({ zone, index }))
+      .sort((a, b) => (b.zone.priority || 0) - (a.zone.priority || 0) || a.index - b.index)
+      .map(({ zone }) => zone);
+
+    const normalizedPincode = pincode ? String(pincode).replace(/\s+/g, '') : null;
+
+    return ordered.find(zone => {
+      switch (zone.type) {
+        case 'polygon':
+          return !!coordinates && this.isPointInPolygon(coordinates, zone.polygon);
+        case 'pincode':
+          return !!normalizedPincode && (zone.pincodes || []).includes(normalizedPincode);
+        case 'radius':
+          return typeof distance === 'number' && distance <= zone.radius;
+        default:
+          return false;
+      }
+    }) || null;
+  }
+
+  /**
+   * Point-in-polygon test (ray casting) against a GeoJSON Polygon or
+   * MultiPolygon. Coordinates are GeoJSON [lng, lat]; holes are excluded.
+   * @param {Object} point - {lat, lng}
+   * @param {Object} geometry - GeoJSON geometry (or Feature wrapping one)
+   * @returns {boolean}
+   */
+  isPointInPolygon(point, geometry) {
+    const shape = geometry?.type === 'Feature' ? geometry.geometry : geometry;
+    if (!shape || !Array.isArray(shape.coordinates)) {
+      return false;
+    }
+
+    const polygons = shape.type === 'MultiPolygon' ? shape.coordinates : [shape.coordinates];
+
+    const inRing = (ring) => {
+      let inside = false;
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        const crosses = (yi > point.lat) !== (yj > point.lat) &&
+          point.lng < ((xj - xi) * (point.lat - yi)) / (yj - yi) + xi;
+        if (crosses) inside = !inside;
+      }
+      return inside;
+    };
+
+    return polygons.some(([outer, ...holes]) =>
+      Array.isArray(outer) && inRing(outer) && !holes.some(inRing)
+    );
+  }
+
+  /**
+   * Zone fields callers need after a match (no geometry)
+   */
+  summarizeZone(zone) {
+    return {
+      id: zone.id,
+      name: zone.name || null,
+      type: zone.type,
+      feeSlabs: zone.feeSlabs || [],
+      minOrderValue: zone.minOrderValue || 0,
+      etaBufferMinutes: zone.etaBufferMinutes ?? null
+    };
+  }
+
+  /**
+   * Check an order value against the matched zone's minimum
+   * @returns {Object} { valid, minOrderValue, shortfall, message }
+   */
+  checkMinimumOrder(zone, orderValue) {
+    const minOrderValue = zone?.minOrderValue || 0;
+    const shortfall = Math.max(0, Math.round((minOrderValue - orderValue) * 100) / 100);
+
+    return {
+      valid: shortfall === 0,
+      minOrderValue,
+      shortfall,
+      message: shortfall === 0
+        ? null
+        : `Minimum order for delivery${zone.name ? ` to ${zone.name}` : ''} is ₹${minOrderValue}. Add ₹${shortfall} more.`
+    };
+  }
+
+  /**
+   * Remember the verified address's zone on a session's order state so the
+   * order is charged the quoted zone fee
+   */
+  applyToOrderState(orderState, deliveryCheck, feeResult, estimatedTime) {
+    orderState.deliveryZone = deliveryCheck.zone;
+    orderState.deliveryDistance = deliveryCheck.distance;
+    orderState.deliveryFee = feeResult.fee;
+    orderState.estimatedDeliveryTime = estimatedTime;
+  }
+
+  /**
+   * Delivery fee and minimum order check for the current cart value, using the
+   * zone stored by applyToOrderState (the fee can change with the order value)
+   * @returns {Object} { fee, minimumOrder }
+   */
+  getOrderDeliveryCharge(orderState, orderValue) {
+    const zone = orderState.deliveryZone;
+
+    if (!zone) {
+      return {
+        fee: orderState.deliveryFee || 0,
+        minimumOrder: { valid: true, minOrderValue: 0, shortfall: 0, message: null }
+      };
+    }
+
+    return {
+      fee: this.calculateDeliveryFee(orderState.deliveryDistance || 0, orderValue, zone).fee,
+      minimumOrder: this.checkMinimumOrder(zone, orderValue)
+    };
+  }
+
+  /**
+   * Calculate delivery fee. With a matched zone that has fee slabs the fee comes
+   * from the slab for the order value; otherwise the global base/per-km rates apply.
    * @param {number} distance - Distance in km
    * @param {number} orderValue - Total order value in ₹
+   * @param {Object} [zone] - Matched delivery zone
    * @returns {Object} {fee: number, breakdown: string, isFree: boolean}
    */
-  calculateDeliveryFee(distance, orderValue) {
-    console.log('[Delivery] Calculating fee:', { distance, orderValue });
+  calculateDeliveryFee(distance, orderValue, zone = null) {
+    console.log('[Delivery] Calculating fee:', { distance, orderValue, zone: zone?.id || null });
+
+    if (zone?.feeSlabs?.length > 0) {
+      return this.calculateZoneFee(zone, orderValue);
+    }
 
     // Free delivery for orders above threshold
     if (orderValue >= this.freeDeliveryAbove) {
@@ -105,19 +305,56 @@ export class DeliveryService {
     };
   }
 
+  /**
+   * Fee from a zone's slabs: the slab with the highest minOrderValue the order reaches
+   */
+  calculateZoneFee(zone, orderValue) {
+    const slab = [...zone.feeSlabs]
+      .sort((a, b) => (b.minOrderValue || 0) - (a.minOrderValue || 0))
+      .find(s => orderValue >= (s.minOrderValue || 0));
+
+    if (!slab) {
+      // Below every slab: charge the lowest slab's fee
+      const lowest = zone.feeSlabs.reduce((min, s) => ((s.minOrderValue || 0) < (min.minOrderValue || 0) ? s : min));
+      return {
+        fee: lowest.fee,
+        breakdown: `${zone.name || 'Zone'} delivery fee`,
+        isFree: lowest.fee === 0
+      };
+    }
+
+    const nextSlab = zone.feeSlabs
+      .filter(s => (s.minOrderValue || 0) > orderValue && s.fee < slab.fee)
+      .sort((a, b) => a.minOrderValue - b.minOrderValue)[0];
+
+    let breakdown = slab.fee === 0
+      ? `Free delivery${zone.name ? ` in ${zone.name}` : ''} on orders above ₹${slab.minOrderValue || 0}`
+      : `${zone.name || 'Zone'} delivery fee`;
+    if (nextSlab) {
+      breakdown += ` (${nextSlab.fee === 0 ? 'free' : `₹${nextSlab.fee}`} on orders above ₹${nextSlab.minOrderValue})`;
+    }
+
+    return {
+      fee: slab.fee,
+      breakdown,
+      isFree: slab.fee === 0
+    };
+  }
+
   /**
    * Get estimated delivery time based on distance and current load
    * @param {number} distance - Distance in km
    * @param {number} preparationTime - Food preparation time in minutes
+   * @param {Object} [zone] - Matched delivery zone (its ETA buffer replaces the distance-based one)
    * @returns {Object} {estimatedMinutes: number, estimatedTime: string}
    */
-  calculateEstimatedDeliveryTime(distance, preparationTime = 20) {
+  calculateEstimatedDeliveryTime(distance, preparationTime = 20, zone = null) {
     // Base calculation: preparation time + travel time (assuming ~20km/hr avg speed)
     const travelTime = Math.ceil((distance / 20) * 60); // Convert to minutes
     const totalMinutes = preparationTime + travelTime;
 
-    // Add buffer time based on distance
-    const bufferMinutes = distance > 5 ? 10 : 5;
+    // Add buffer time from the zone, or based on distance
+    const bufferMinutes = zone?.etaBufferMinutes ?? (distance > 5 ? 10 : 5);
     const estimatedMinutes = totalMinutes + bufferMinutes;
 
     // Format as time range
@@ -134,21 +371,23 @@ export class DeliveryService {
   }
 
   /**
-   * Prepare data structure for Porter API integration (to be implemented)
+   * Build a courier-neutral delivery request (see CourierAdapter)
    * @param {Object} order - Order object
    * @param {Object} address - Delivery address with coordinates
-   * @param {Object} restaurant - Restaurant details
-   * @returns {Object} Data ready for Porter API call
+   * @param {Object} restaurant - Restaurant details ({ name, phone, address, coordinates, city, pincode })
+   * @returns {Object} Request accepted by every courier adapter
    */
-  preparePorterData(order, address, restaurant) {
-    console.log('[Delivery] Preparing Porter integration data');
+  prepareCourierRequest(order, address, restaurant) {
+    console.log('[Delivery] Preparing courier request', { orderId: order.orderId });
 
     return {
-      // Porter API expects these fields (placeholder for future implementation)
+      tenantId: order.tenantId,
       pickup: {
         name: restaurant.name,
         phone: restaurant.phone,
         address: restaurant.address,
+        city: restaurant.city || null,
+        pincode: restaurant.pincode || null,
         lat: restaurant.coordinates.lat,
         lng: restaurant.coordinates.lng,
         instructions: 'Restaurant pickup'
@@ -157,13 +396,15 @@ export class DeliveryService {
         name: order.customer.name,
         phone: order.customer.phone,
         address: address.formatted,
+        city: address.city || null,
+        pincode: address.pincode || null,
         lat: address.coordinates.lat,
         lng: address.coordinates.lng,
         instructions: address.instructions || order.specialInstructions || ''
       },
       orderDetails: {
         orderId: order.orderId,
-        amount: order.total,
+        amount: order.cart?.total ?? order.total,
         items: order.cart.items.map(item => ({
           name: item.dishName,
           quantity: item.quantity,
@@ -173,7 +414,7 @@ export class DeliveryService {
       },
       vehicleType: 'bike', // or 'bicycle' for shorter distances
       requestId: `${order.orderId}_${Date.now()}`,
-      deliveryFee: order.deliveryFee || 0
+      deliveryFee: order.cart?.deliveryFee ?? order.deliveryFee ?? 0
     };
   }
 
@@ -230,23 +471,226 @@ export class DeliveryService {
   }
 
   /**
-   * Get delivery zones for a restaurant (placeholder for future implementation)
-   * @param {string} restaurantId - Restaurant ID
+   * Get active delivery zones for a restaurant from its profile
+   * (the default radius zone when none are configured)
+   * @param {string} tenantId - Restaurant/tenant ID
    * @returns {Promise<Array>} Array of delivery zones
    */
-  async getRestaurantDeliveryZones(restaurantId) {
-    // Future: Fetch from database
-    // For now, return default zone based on config
+  async getRestaurantDeliveryZones(tenantId) {
+    if (!this.firebaseService) {
+      return this.getDefaultZones();
+    }
+
+    try {
+      const profile = await this.firebaseService.getRestaurantProfile(tenantId);
+      const zones = Array.isArray(profile?.deliveryZones)
+        ? profile.deliveryZones.filter(zone => zone.active !== false).map(zone => this.parseZone(zone))
+        : [];
+
+      return zones.length > 0 ? zones : this.getDefaultZones();
+    } catch (error) {
+      console.error('[Delivery] Failed to get delivery zones:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * All configured zones (including inactive ones) with polygons parsed, for admin screens
+   */
+  async getConfiguredDeliveryZones(tenantId) {
+    const profile = await this.firebaseService.getRestaurantProfile(tenantId);
+    if (!profile) {
+      throw new Error('Restaurant profile not found');
+    }
+    return Array.isArray(profile.deliveryZones) ? profile.deliveryZones.map(zone => this.parseZone(zone)) : [];
+  }
+
+  /**
+   * Parse a stored zone's GeoJSON string back into a geometry object
+   */
+  parseZone(zone) {
+    if (zone.type !== 'polygon' || typeof zone.polygon !== 'string') {
+      return zone;
+    }
+
+    try {
+      return { ...zone, polygon: JSON.parse(zone.polygon) };
+    } catch (error) {
+      console.warn('[Delivery] Ignoring zone with unreadable polygon:', zone.id);
+      return { ...zone, polygon: null };
+    }
+  }
+
+  /**
+   * Zone built from the global radius setting
+   */
+  getDefaultZones(radius = null) {
     return [
       {
         id: 'default',
-        radius: this.defaultRadius,
-        baseFee: this.baseFee,
-        perKmCharge: this.perKmCharge,
+        type: 'radius',
+        radius: radius || this.defaultRadius,
+        feeSlabs: [],
+        minOrderValue: 0,
+        etaBufferMinutes: null,
         active: true
       }
     ];
   }
+
+  /**
+   * Replace the tenant's delivery zones
+   */
+  async saveDeliveryZones(tenantId, zones) {
+    const profile = await this.firebaseService.getRestaurantProfile(tenantId);
+    if (!profile) {
+      throw new Error('Restaurant profile not found');
+    }
+
+    const validation = this.validateDeliveryZones(zones);
+    if (!validation.valid) {
+      throw new Error(`Invalid delivery zones: ${validation.errors.join(', ')}`);
+    }
+
+    try {
+      const normalized = zones.map(zone => this.normalizeZone(zone));
+
+      await this.firebaseService.updateRestaurantProfile(tenantId, {
+        deliveryZones: normalized
+      });
+
+      console.log('[Delivery] Saved delivery zones', { tenantId, count: normalized.length });
+
+      return normalized.map(zone => this.parseZone(zone));
+    } catch (error) {
+      console.error('[Delivery] Failed to save delivery zones:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Normalize a zone definition
+   */
+  normalizeZone(zone) {
+    const normalized = {
+      id: zone.id || zone.name.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+      name: zone.name.trim(),
+      type: zone.type,
+      active: zone.active !== false,
+      priority: zone.priority ? parseInt(zone.priority) : 0,
+      feeSlabs: (zone.feeSlabs || [])
+        .map(slab => ({
+          minOrderValue: parseFloat(slab.minOrderValue || 0),
+          fee: parseFloat(slab.fee)
+        }))
+        .sort((a, b) => a.minOrderValue - b.minOrderValue),
+      minOrderValue: zone.minOrderValue ? parseFloat(zone.minOrderValue) : 0,
+      etaBufferMinutes: zone.etaBufferMinutes !== undefined && zone.etaBufferMinutes !== null
+        ? parseInt(zone.etaBufferMinutes)
+        : null
+    };
+
+    if (zone.type === 'polygon') {
+      const geometry = zone.polygon.type === 'Feature' ? zone.polygon.geometry : zone.polygon;
+      // Firestore can't store nested arrays, so the GeoJSON is kept as a string
+      normalized.polygon = JSON.stringify({ type: geometry.type, coordinates: geometry.coordinates });
+    } else if (zone.type === 'pincode') {
+      normalized.pincodes = [...new Set(zone.pincodes.map(p => String(p).replace(/\s+/g, '')))];
+    } else {
+      normalized.radius = parseFloat(zone.radius);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Validate a list of zone definitions
+   */
+  validateDeliveryZones(zones) {
+    const errors = [];
+
+    if (!Array.isArray(zones)) {
+      return { valid: false, errors: ['zones must be an array'] };
+    }
+
+    const names = new Set();
+    zones.forEach((zone, index) => {
+      const label = `Zone ${index + 1}`;
+
+      if (!zone?.name || typeof zone.name !== 'string') {
+        errors.push(`${label}: name is required`);
+        return;
+      }
+
+      const key = zone.name.trim().toLowerCase();
+      if (names.has(key)) {
+        errors.push(`${label}: duplicate name "${zone.name}"`);
+      }
+      names.add(key);
+
+      if (!DELIVERY_ZONE_TYPES.includes(zone.type)) {
+        errors.push(`${label}: type must be one of ${DELIVERY_ZONE_TYPES.join(', ')}`);
+      } else if (zone.type === 'polygon' && !this.isValidPolygon(zone.polygon)) {
+        errors.push(`${label}: polygon must be a GeoJSON Polygon or MultiPolygon with closed [lng, lat] rings`);
+      } else if (zone.type === 'pincode' &&
+                 (!Array.isArray(zone.pincodes) || zone.pincodes.length === 0 ||
+                  zone.pincodes.some(p => !/^\d{6}$/.test(String(p).replace(/\s+/g, ''))))) {
+        errors.push(`${label}: pincodes must be a non-empty list of 6-digit pincodes`);
+      } else if (zone.type === 'radius' && !(parseFloat(zone.radius) > 0)) {
+        errors.push(`${label}: radius must be a positive number of km`);
+      }
+
+      if (zone.feeSlabs !== undefined) {
+        if (!Array.isArray(zone.feeSlabs)) {
+          errors.push(`${label}: feeSlabs must be an array`);
+        } else if (zone.feeSlabs.some(slab => isNaN(parseFloat(slab?.fee)) || slab.fee < 0 ||
+                   (slab.minOrderValue !== undefined && (isNaN(slab.minOrderValue) || slab.minOrderValue < 0)))) {
+          errors.push(`${label}: each fee slab needs a non-negative fee and minOrderValue`);
+        }
+      }
+
+      if (zone.minOrderValue !== undefined && zone.minOrderValue !== null &&
+          (isNaN(zone.minOrderValue) || zone.minOrderValue < 0)) {
+        errors.push(`${label}: minOrderValue must be a non-negative amount`);
+      }
+
+      if (zone.etaBufferMinutes !== undefined && zone.etaBufferMinutes !== null &&
+          (isNaN(zone.etaBufferMinutes) || zone.etaBufferMinutes < 0)) {
+        errors.push(`${label}: etaBufferMinutes must be a non-negative number of minutes`);
+      }
+    });
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * GeoJSON polygon shape check: rings of at least 4 [lng, lat] positions, closed
+   */
+  isValidPolygon(polygon) {
+    const geometry = polygon?.type === 'Feature' ? polygon.geometry : polygon;
+    if (!geometry || !Array.isArray(geometry.coordinates)) {
+      return false;
+    }
+
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+      : geometry.type === 'MultiPolygon' ? geometry.coordinates : null;
+    if (!polygons || polygons.length === 0) {
+      return false;
+    }
+
+    const isPosition = (p) => Array.isArray(p) && p.length >= 2 &&
+      Math.abs(p[0]) <= 180 && Math.abs(p[1]) <= 90;
+
+    return polygons.every(rings => Array.isArray(rings) && rings.length > 0 && rings.every(ring => {
+      if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isPosition)) return false;
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      return first[0] === last[0] && first[1] === last[1];
+    }));
+  }
 }
 
 export default DeliveryService;
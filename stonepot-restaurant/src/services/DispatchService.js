@@ -0,0 +1,286 @@
+/**
+ * Dispatch Service
+ * Books couriers for delivery orders automatically — when the order is marked
+ * ready, or earlier from the prep ETA — retries failed bookings, re-dispatches
+ * when a courier drops the order and pushes delivery progress to the customer
+ */
+
+import { TERMINAL_DELIVERY_STATUSES } from './CourierAdapter.js';
+
+export const DISPATCH_MODES = ['ready', 'eta'];
+
+const CUSTOMER_MESSAGES = {
+  requested: 'Looking for a delivery partner for your order.',
+  assigned: 'A delivery partner has been assigned to your order.',
+  arrived_at_pickup: 'Your delivery partner has reached the restaurant.',
+  picked_up: 'Your order has been picked up and is on its way.',
+  in_transit: 'Your order is on its way.',
+  delivered: 'Your order has been delivered. Enjoy your meal!'
+};
+
+export class DispatchService {
+  constructor(orderManagementService, config = {}, displayClient = null) {
+    this.orderManagementService = orderManagementService;
+    this.displayClient = displayClient;
+
+    this.mode = DISPATCH_MODES.includes(config.mode) ? config.mode : 'ready';
+    this.riderLeadMinutes = config.riderLeadMinutes ?? 10; // 'eta' mode: book this long before the food is ready
+    this.maxAttempts = config.maxAttempts || 3;
+    this.retryDelays = config.retryDelays || [30, 120, 300]; // Seconds before each retry
+
+    // Pending early dispatches and retries, keyed by tenant and order
+    this.timers = new Map();
+    // Orders with a booking in progress
+    this.inFlight = new Set();
+  }
+
+  /**
+   * Order event listener: book, re-book or cancel couriers as delivery orders change
+   */
+  async handleOrderEvent(tenantId, order, eventType) {
+    if (order?.orderType !== 'delivery' || !this.orderManagementService.courierService) {
+      return;
+    }
+
+    try {
+      await this.processOrderEvent(tenantId, order, eventType);
+    } catch (error) {
+      console.error('[Dispatch] Failed to handle order event:', error);
+    }
+  }
+
+  async processOrderEvent(tenantId, order, eventType) {
+    const key = this.getKey(tenantId, order.orderId);
+
+    if (eventType === 'delivery_dispatched' || eventType === 'delivery_updated') {
+      await this.notifyCustomer(order);
+    }
+
+    if (order.status === 'cancelled') {
+      this.clearTimer(key);
+      if (this.hasActiveDelivery(order)) {
+        await this.orderManagementService.cancelDelivery(order.orderId, tenantId, {
+          reason: 'Order cancelled',
+          cancelledBy: 'system'
+        });
+      }
+      return;
+    }
+
+    if (order.status === 'delivered') {
+      this.clearTimer(key);
+      return;
+    }
+
+    if (eventType === 'delivery_updated' && this.wasDroppedByCourier(order) &&
+      order.dispatch?.droppedDeliveryId !== order.delivery.deliveryId) {
+      return this.handleFailure(tenantId, order, `${order.delivery.courier} delivery ${order.delivery.status}`, {
+        droppedDeliveryId: order.delivery.deliveryId
+      });
+    }
+
+    if (this.hasActiveDelivery(order) || order.dispatch?.escalated || this.inFlight.has(key)) {
+      return;
+    }
+
+    if (order.status === 'ready') {
+      // A retry already waiting keeps its backoff
+      if (this.timers.get(key)?.type === 'retry') return;
+      this.clearTimer(key);
+      return this.dispatch(tenantId, order.orderId);
+    }
+
+    if (this.mode === 'eta' && order.status === 'preparing' && !this.timers.has(key)) {
+      this.scheduleEarlyDispatch(tenantId, order);
+    }
+  }
+
+  /**
+   * 'eta' mode: book the rider so they arrive as the food comes off the pass
+   */
+  scheduleEarlyDispatch(tenantId, order) {
+    const prepMinutes = order.kot?.estimatedPrepTime;
+    if (!prepMinutes || !order.acceptedAt) {
+      return;
+    }
+
+    const dispatchAt = new Date(order.acceptedAt).getTime() + (prepMinutes - this.riderLeadMinutes) * 60000;
+    const delay = Math.max(0, dispatchAt - Date.now());
+
+    console.log('[Dispatch] Early dispatch scheduled', {
+      tenantId,
+      orderId: order.orderId,
+      dispatchAt: new Date(Date.now() + delay).toISOString()
+    });
+
+    this.setTimer(this.getKey(tenantId, order.orderId), 'scheduled', delay, () =>
+      this.dispatch(tenantId, order.orderId)
+    );
+  }
+
+  /**
+   * Book a courier for an order, scheduling a retry when no courier takes it
+   * @returns {Promise<Object|null>} Updated order, or null when not dispatched
+   */
+  async dispatch(tenantId, orderId) {
+    const key = this.getKey(tenantId, orderId);
+    if (this.inFlight.has(key)) {
+      return null;
+    }
+
+    this.inFlight.add(key);
+    let order;
+    try {
+      order = await this.orderManagementService.getOrderById(orderId, tenantId);
+
+      // The order may have moved on while a timer was waiting
+      if (!['preparing', 'ready'].includes(order.status) || this.hasActiveDelivery(order)) {
+        return null;
+      }
+
+      const attempts = (order.dispatch?.attempts || 0) + 1;
+      const updatedOrder = await this.orderManagementService.dispatchDelivery(orderId, tenantId, {
+        dispatchedBy: 'auto_dispatch',
+        attempts
+      });
+
+      console.log('[Dispatch] Courier booked', {
+        tenantId,
+        orderId,
+        courier: updatedOrder.delivery.courier,
+        attempt: attempts
+      });
+
+      return updatedOrder;
+    } catch (error) {
+      console.error('[Dispatch] Failed to book courier:', error.message);
+      if (order) {
+        await this.handleFailure(tenantId, order, error.message);
+      }
+      return null;
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  /**
+   * Record a failed booking (or a booking the courier dropped) and either
+   * schedule the next attempt or escalate to the restaurant
+   * @param {Object} options - { droppedDeliveryId } when the courier dropped a booking
+   */
+  async handleFailure(tenantId, order, reason, { droppedDeliveryId = null } = {}) {
+    const key = this.getKey(tenantId, order.orderId);
+    const dispatch = {
+      ...(order.dispatch || {}),
+      ...(droppedDeliveryId && { droppedDeliveryId })
+    };
+
+    // A dropped booking was already counted when it was made
+    const attempts = droppedDeliveryId ? (dispatch.attempts || 1) : (dispatch.attempts || 0) + 1;
+    const now = new Date();
+
+    if (attempts >= this.maxAttempts) {
+      this.clearTimer(key);
+
+      console.error('[Dispatch] Escalating order to restaurant', { tenantId, orderId: order.orderId, attempts, reason });
+
+      return this.orderManagementService.updateOrderStatus(order.orderId, tenantId, {
+        dispatch: {
+          ...dispatch,
+          attempts,
+          lastError: reason,
+          lastFailedAt: now.toISOString(),
+          nextRetryAt: null,
+          escalated: true,
+          escalatedAt: now.toISOString()
+        }
+      }, 'delivery_dispatch_failed');
+    }
+
+    const delaySeconds = this.retryDelays[Math.min(attempts - 1, this.retryDelays.length - 1)];
+    const nextRetryAt = new Date(now.getTime() + delaySeconds * 1000);
+
+    // Timer first, so the update below doesn't trigger an immediate dispatch
+    this.setTimer(key, 'retry', delaySeconds * 1000, () => this.dispatch(tenantId, order.orderId));
+
+    console.log('[Dispatch] Retry scheduled', { tenantId, orderId: order.orderId, attempts, nextRetryAt: nextRetryAt.toISOString() });
+
+    return this.orderManagementService.updateOrderStatus(order.orderId, tenantId, {
+      dispatch: {
+        ...dispatch,
+        attempts,
+        lastError: reason,
+        lastFailedAt: now.toISOString(),
+        nextRetryAt: nextRetryAt.toISOString(),
+        escalated: false
+      }
+    }, 'delivery_dispatch_retry');
+  }
+
+  /**
+   * Push the order's delivery progress to the customer's display session
+   */
+  async notifyCustomer(order) {
+    const delivery = order.delivery;
+    const message = delivery && CUSTOMER_MESSAGES[delivery.status];
+    if (!this.displayClient || !order.sessionId || !message) {
+      return;
+    }
+
+    try {
+      await this.displayClient.sendDeliveryStatus(order.sessionId, {
+        orderId: order.orderId,
+        status: delivery.status,
+        courier: delivery.courier,
+        rider: delivery.driverDetails
+          ? { name: delivery.driverDetails.name || null, phone: delivery.driverDetails.phone || null }
+          : null,
+        trackingUrl: delivery.trackingUrl || null,
+        message
+      });
+    } catch (error) {
+      console.warn('[Dispatch] Could not update customer display:', error.message);
+    }
+  }
+
+  hasActiveDelivery(order) {
+    return Boolean(order.delivery) && !TERMINAL_DELIVERY_STATUSES.includes(order.delivery.status);
+  }
+
+  /**
+   * Courier cancelled or failed the booking itself (not the restaurant)
+   */
+  wasDroppedByCourier(order) {
+    const delivery = order.delivery;
+    if (!delivery || !['cancelled', 'failed'].includes(delivery.status)) {
+      return false;
+    }
+
+    const lastEvent = delivery.history?.[delivery.history.length - 1];
+    return lastEvent?.event !== 'cancelled_by_restaurant';
+  }
+
+  setTimer(key, type, delay, callback) {
+    this.clearTimer(key);
+    const timeout = setTimeout(() => {
+      this.timers.delete(key);
+      callback().catch(error => console.error('[Dispatch] Scheduled dispatch failed:', error));
+    }, delay);
+    timeout.unref?.();
+    this.timers.set(key, { type, timeout });
+  }
+
+  clearTimer(key) {
+    const timer = this.timers.get(key);
+    if (timer) {
+      clearTimeout(timer.timeout);
+      this.timers.delete(key);
+    }
+  }
+
+  getKey(tenantId, orderId) {
+    return `${tenantId}:${orderId}`;
+  }
+}
+
+export default DispatchService;
@@ -99,6 +99,29 @@ export class DisplayApiClient {
     });
   }
 
+  /**
+   * Send a combo card display update
+   */
+  async sendComboCard(sessionId, combo) {
+    // The card offers the picks of the combo's first real choice
+    const choiceGroup = combo.groups.find(group => !group.fixed);
+
+    return this.sendUpdate(sessionId, {
+      type: 'combo_item',
+      data: {
+        comboId: combo.id,
+        name: combo.name,
+        description: combo.description,
+        price: combo.price,
+        imageUrl: combo.imageUrl,
+        category: 'combos',
+        available: combo.available,
+        choices: choiceGroup?.options,
+        groups: combo.groups
+      }
+    });
+  }
+
   /**
    * Send a menu section display update
    */
@@ -129,6 +152,30 @@ export class DisplayApiClient {
     });
   }
 
+  /**
+   * Show a past order, re-priced against today's menu, as a cart awaiting
+   * the customer's yes
+   */
+  async sendRepeatOrderPreview(sessionId, preview) {
+    return this.sendUpdate(sessionId, {
+      type: 'order_summary',
+      data: {
+        title: preview.title,
+        items: preview.items,
+        subtotal: preview.subtotal,
+        tax: preview.tax,
+        total: preview.total,
+        repeatOrder: {
+          orderId: preview.orderId,
+          placedAt: preview.placedAt,
+          unavailable: preview.unavailable,
+          priceChanges: preview.priceChanges,
+          awaitingConfirmation: true
+        }
+      }
+    });
+  }
+
   /**
    * Send an order update (item added/removed/modified)
    */
@@ -158,6 +205,38 @@ export class DisplayApiClient {
     });
   }
 
+  /**
+   * Send a delivery status display update (rider assigned, picked up...)
+   */
+  async sendDeliveryStatus(sessionId, delivery) {
+    return this.sendUpdate(sessionId, {
+      type: 'delivery_status',
+      data: {
+        orderId: delivery.orderId,
+        status: delivery.status,
+        courier: delivery.courier,
+        rider: delivery.rider,
+        trackingUrl: delivery.trackingUrl,
+        message: delivery.message
+      }
+    });
+  }
+
+  /**
+   * Send a menu availability update (dish sold out or back on)
+   */
+  async sendMenuAvailability(sessionId, change) {
+    return this.sendUpdate(sessionId, {
+      type: 'menu_availability',
+      data: {
+        itemId: change.itemId,
+        itemName: change.itemName,
+        available: change.available,
+        inCart: change.inCart || false
+      }
+    });
+  }
+
   /**
    * Send an advice card display update
    */
@@ -0,0 +1,227 @@
+/**
+ * ESC/POS Encoder
+ * Builds raw ESC/POS byte streams for thermal kitchen/receipt printers
+ */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const FS = 0x1c;
+
+/**
+ * Supported character code pages.
+ * `escT` is the ESC t table number used by Epson-compatible printers.
+ * `utf8` printers (e.g. Epson TM-T88VI/TM-m30) can print Indic scripts natively.
+ */
+export const CODE_PAGES = {
+  pc437: { escT: 0, maxCharCode: 0x7f },
+  wpc1252: { escT: 16, maxCharCode: 0xff },
+  utf8: { utf8: true }
+};
+
+// Characters most printers cannot print in single-byte mode
+const SUBSTITUTIONS = {
+  '₹': 'Rs.', // ₹
+  '‘': "'",
+  '’': "'",
+  '“': '"',
+  '”': '"',
+  '–': '-',
+  '—': '-',
+  '•': '*',
+  '…': '...',
+  '★': '*', // ★
+  '☆': '.' // ☆
+};
+
+// Windows-1252 bytes 0x80-0x9F that differ from Latin-1
+const WPC1252_EXTRAS = {
+  '€': 0x80, // €
+  '‚': 0x82,
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94,
+  '•': 0x95,
+  '–': 0x96,
+  '—': 0x97
+};
+
+const INDIC_SCRIPT_PATTERN = /[ऀ-෿]/;
+
+export class EscPosEncoder {
+  constructor(options = {}) {
+    this.codePage = CODE_PAGES[options.codePage] ? options.codePage : 'pc437';
+    this.charsPerLine = options.charsPerLine || 42;
+    this.chunks = [];
+  }
+
+  /**
+   * Whether the selected code page can print Indic dish names
+   */
+  supportsIndic() {
+    return CODE_PAGES[this.codePage].utf8 === true;
+  }
+
+  /**
+   * Check if text contains Indic script characters
+   */
+  static containsIndic(text) {
+    return INDIC_SCRIPT_PATTERN.test(text || '');
+  }
+
+  /**
+   * Reset printer and select the configured code page
+   */
+  initialize() {
+    this.raw([ESC, 0x40]);
+
+    const page = CODE_PAGES[this.codePage];
+    if (page.utf8) {
+      // FS ( C - select character encoding system: UTF-8
+      this.raw([FS, 0x28, 0x43, 0x02, 0x00, 0x30, 0x02]);
+    } else {
+      this.raw([ESC, 0x74, page.escT]);
+    }
+    return this;
+  }
+
+  /**
+   * Left, center or right alignment
+   */
+  align(position = 'left') {
+    const values = { left: 0, center: 1, right: 2 };
+    this.raw([ESC, 0x61, values[position] ?? 0]);
+    return this;
+  }
+
+  /**
+   * Toggle emphasized (bold) mode
+   */
+  bold(enabled = true) {
+    this.raw([ESC, 0x45, enabled ? 1 : 0]);
+    return this;
+  }
+
+  /**
+   * Set character size multipliers (1-8)
+   */
+  size(width = 1, height = 1) {
+    const w = Math.min(Math.max(width, 1), 8) - 1;
+    const h = Math.min(Math.max(height, 1), 8) - 1;
+    this.raw([GS, 0x21, (w << 4) | h]);
+    return this;
+  }
+
+  /**
+   * Shortcut for double-height text (normal width)
+   */
+  doubleHeight(enabled = true) {
+    return this.size(1, enabled ? 2 : 1);
+  }
+
+  /**
+   * Append text without a line break
+   */
+  text(value) {
+    this.chunks.push(this.encodeText(String(value ?? '')));
+    return this;
+  }
+
+  /**
+   * Append a line of text followed by LF
+   */
+  line(value = '') {
+    return this.text(value).newline();
+  }
+
+  /**
+   * Append line feeds
+   */
+  newline(count = 1) {
+    this.raw(new Array(count).fill(0x0a));
+    return this;
+  }
+
+  /**
+   * Horizontal rule across the paper width
+   */
+  rule(char = '-') {
+    return this.line(char.repeat(this.charsPerLine));
+  }
+
+  /**
+   * Print buffer and feed n lines
+   */
+  feed(lines = 3) {
+    this.raw([ESC, 0x64, Math.min(lines, 255)]);
+    return this;
+  }
+
+  /**
+   * Feed paper to the cutter and cut
+   */
+  cut(partial = false) {
+    // GS V m n - function B: feed n dots then cut
+    this.raw([GS, 0x56, partial ? 0x42 : 0x41, 0x03]);
+    return this;
+  }
+
+  /**
+   * Append raw bytes
+   */
+  raw(bytes) {
+    this.chunks.push(Buffer.from(bytes));
+    return this;
+  }
+
+  /**
+   * Encode text for the selected code page.
+   * Characters the code page cannot represent are substituted (₹ -> Rs.)
+   * or replaced with '?', collapsing unprintable runs such as Indic words.
+   */
+  encodeText(value) {
+    const page = CODE_PAGES[this.codePage];
+
+    if (page.utf8) {
+      return Buffer.from(value, 'utf8');
+    }
+
+    const bytes = [];
+    let lastWasUnknown = false;
+
+    for (const char of value) {
+      const substitute = SUBSTITUTIONS[char];
+      const code = char.codePointAt(0);
+
+      if (this.codePage === 'wpc1252' && WPC1252_EXTRAS[char] !== undefined) {
+        bytes.push(WPC1252_EXTRAS[char]);
+        lastWasUnknown = false;
+      } else if (code <= page.maxCharCode && !(code >= 0x80 && code <= 0x9f)) {
+        bytes.push(code);
+        lastWasUnknown = false;
+      } else if (substitute !== undefined) {
+        for (const c of substitute) {
+          bytes.push(c.charCodeAt(0));
+        }
+        lastWasUnknown = false;
+      } else if (/\p{M}/u.test(char)) {
+        // Combining marks (matras, variation selectors) belong to the previous glyph
+        continue;
+      } else if (!lastWasUnknown) {
+        bytes.push(0x3f); // '?'
+        lastWasUnknown = true;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Return the accumulated byte stream
+   */
+  encode() {
+    return Buffer.concat(this.chunks);
+  }
+}
+
+export default EscPosEncoder;
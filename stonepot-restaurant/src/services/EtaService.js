@@ -0,0 +1,229 @@
+/**
+ * ETA Service
+ * Load-aware prep and delivery time estimates from the live kitchen queue
+ * and each tenant's historical accept-to-ready times
+ */
+
+import NodeCache from 'node-cache';
+
+const OPEN_STATUSES = ['confirmed', 'preparing'];
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+export class EtaService {
+  constructor(orderManagementService, deliveryService, config = {}) {
+    this.orderManagementService = orderManagementService;
+    this.kotService = orderManagementService.kotService;
+    this.kitchenStationService = orderManagementService.kitchenStationService;
+    this.deliveryService = deliveryService;
+
+    this.kitchenCapacity = config.kitchenCapacity || 4; // Orders the kitchen works on in parallel
+    this.defaultPrepTime = config.defaultPrepTime || 20; // Minutes, when there is no cart yet
+    this.historyLimit = config.historyLimit || 300; // Recent completed orders sampled
+    this.minSamples = config.minSamples || 5; // Samples needed before history is trusted
+    this.timezone = config.timezone || 'Asia/Kolkata';
+
+    // Historical calibration per tenant, refreshed every 30 minutes
+    this.historyCache = new NodeCache({
+      stdTTL: config.historyTtl || 1800,
+      checkperiod: 600,
+      useClones: false
+    });
+
+    this.hourFormatter = new Intl.DateTimeFormat('en-GB', {
+      hour: '2-digit',
+      hourCycle: 'h23',
+      timeZone: this.timezone
+    });
+  }
+
+  /**
+   * Estimate how long until a new order would be ready
+   * @param {string} tenantId - Restaurant/tenant ID
+   * @param {Array} items - Cart items of the new order (may be empty)
+   * @param {Date} now - Reference time (defaults to now)
+   * @returns {Promise<Object>} { prepMinutes, basePrepMinutes, queueMinutes, openOrders, historicalFactor, samples }
+   */
+  async estimatePrepTime(tenantId, items = [], now = new Date()) {
+    try {
+      const routing = await this.kitchenStationService.getRouting(tenantId);
+      const basePrepMinutes = items.length > 0
+        ? this.kotService.estimatePreparationTime(items, routing)
+        : this.defaultPrepTime;
+
+      const [queue, history] = await Promise.all([
+        this.getQueueLoad(tenantId, routing, now),
+        this.getHistoricalFactor(tenantId, now)
+      ]);
+
+      const prepMinutes = Math.round(basePrepMinutes * history.factor) + queue.queueMinutes;
+
+      console.log('[ETA] Prep estimate', {
+        tenantId,
+        basePrepMinutes,
+        factor: history.factor,
+        openOrders: queue.openOrders,
+        queueMinutes: queue.queueMinutes,
+        prepMinutes
+      });
+
+      return {
+        prepMinutes,
+        basePrepMinutes,
+        queueMinutes: queue.queueMinutes,
+        openOrders: queue.openOrders,
+        historicalFactor: history.factor,
+        samples: history.samples
+      };
+    } catch (error) {
+      console.error('[ETA] Failed to estimate prep time:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Estimate delivery time for a new order, falling back to the static estimate
+   * when the kitchen data can't be read
+   * @param {string} tenantId - Restaurant/tenant ID
+   * @param {Object} params - { items, distance (km), zone }
+   * @returns {Promise<Object>} DeliveryService ETA plus a `load` summary
+   */
+  async estimateDeliveryTime(tenantId, { items = [], distance = 0, zone = null } = {}) {
+    try {
+      const prep = await this.estimatePrepTime(tenantId, items);
+
+      return {
+        ...this.deliveryService.calculateEstimatedDeliveryTime(distance, prep.prepMinutes, zone),
+        load: {
+          openOrders: prep.openOrders,
+          queueMinutes: prep.queueMinutes,
+          historicalFactor: prep.historicalFactor
+        }
+      };
+    } catch (error) {
+      console.warn('[ETA] Using static delivery estimate:', error.message);
+      return this.deliveryService.calculateEstimatedDeliveryTime(distance, this.defaultPrepTime, zone);
+    }
+  }
+
+  /**
+   * Outstanding kitchen work from open orders, spread across the kitchen's capacity.
+   * Preparing orders count their remaining KOT estimate, confirmed orders their full estimate.
+   */
+  async getQueueLoad(tenantId, routing, now = new Date()) {
+    const results = await Promise.all(
+      OPEN_STATUSES.map(status => this.orderManagementService.getOrders(tenantId, { status, limit: 200 }))
+    );
+    const openOrders = results.flat();
+
+    const outstandingMinutes = openOrders.reduce((total, order) => {
+      const estimate = order.kot?.estimatedPrepTime ||
+        this.kotService.estimatePreparationTime(order.cart?.items || [], routing);
+
+      if (order.status === 'preparing' && order.acceptedAt) {
+        const elapsed = (now - new Date(order.acceptedAt)) / 60000;
+        return total + Math.max(0, estimate - elapsed);
+      }
+
+      return total + estimate;
+    }, 0);
+
+    return {
+      openOrders: openOrders.length,
+      outstandingMinutes: Math.round(outstandingMinutes),
+      queueMinutes: Math.ceil(outstandingMinutes / this.kitchenCapacity)
+    };
+  }
+
+  /**
+   * How actual accept-to-ready times compare with KOT estimates for this tenant
+   * at this hour of day (falls back to all hours, then 1 when history is thin)
+   * @returns {Promise<{factor: number, samples: number, hour: number}>}
+   */
+  async getHistoricalFactor(tenantId, now = new Date()) {
+    const hour = this.getHour(now);
+    const history = await this.getHistory(tenantId);
+    const hourly = history.byHour[hour];
+
+    if (hourly && hourly.samples >= this.minSamples) {
+      return { factor: hourly.factor, samples: hourly.samples, hour };
+    }
+
+    if (history.overall.samples >= this.minSamples) {
+      return { factor: history.overall.factor, samples: history.overall.samples, hour: null };
+    }
+
+    return { factor: 1, samples: history.overall.samples, hour: null };
+  }
+
+  /**
+   * Per-hour ratios of actual to estimated prep time from recent completed orders (cached)
+   */
+  async getHistory(tenantId) {
+    const cached = this.historyCache.get(tenantId);
+    if (cached) {
+      return cached;
+    }
+
+    const results = await Promise.all(
+      ['ready', 'delivered'].map(status =>
+        this.orderManagementService.getOrders(tenantId, { status, limit: this.historyLimit })
+      )
+    );
+
+    const ratiosByHour = {};
+    const allRatios = [];
+
+    results.flat().forEach(order => {
+      const estimate = order.kot?.estimatedPrepTime;
+      if (!order.acceptedAt || !order.readyAt || !estimate) return;
+
+      const actual = (new Date(order.readyAt) - new Date(order.acceptedAt)) / 60000;
+      // Ignore orders bumped immediately or left open for hours
+      if (actual <= 0 || actual > estimate * 6) return;
+
+      const ratio = actual / estimate;
+      const hour = this.getHour(new Date(order.acceptedAt));
+
+      (ratiosByHour[hour] ||= []).push(ratio);
+      allRatios.push(ratio);
+    });
+
+    const summarize = (ratios) => ({
+      factor: this.clampFactor(median(ratios) ?? 1),
+      samples: ratios.length
+    });
+
+    const history = {
+      byHour: Object.fromEntries(
+        Object.entries(ratiosByHour).map(([hour, ratios]) => [hour, summarize(ratios)])
+      ),
+      overall: summarize(allRatios)
+    };
+
+    this.historyCache.set(tenantId, history);
+
+    return history;
+  }
+
+  /**
+   * Keep a bad run of data from producing absurd quotes
+   */
+  clampFactor(factor) {
+    return Math.round(Math.min(2, Math.max(0.7, factor)) * 100) / 100;
+  }
+
+  /**
+   * Hour of day (0-23) in the restaurant's timezone
+   */
+  getHour(date) {
+    return parseInt(this.hourFormatter.format(date));
+  }
+}
+
+export default EtaService;
@@ -56,6 +56,10 @@ export class ExcelParserService {
       return row['Name (Local Script)'] || row['Name Local'] || row.nameLocal || null;
     };
 
+    const getSynonyms = () => {
+      return this.parseArray(row['Synonyms'] || row['Aliases'] || row['Also Known As'] || row.synonyms);
+    };
+
     const getDescription = () => {
       return row['Description'] || row.description || row['Dish Description'] || '';
     };
@@ -189,6 +193,17 @@ export class ExcelParserService {
       }
     };
 
+    // JSON: [{ "name": "Portion", "minSelections": 1, "maxSelections": 1, "options": [{ "name": "Half", "price": 0 }, { "name": "Full", "price": 120 }] }]
+    const getModifierGroups = () => {
+      const groups = row['Modifier Groups'] || row['Modifiers'] || row.modifierGroups || '';
+      if (!groups) return [];
+      try {
+        return typeof groups === 'string' ? JSON.parse(groups) : groups;
+      } catch (e) {
+        return [];
+      }
+    };
+
     const getIsPopular = () => {
       const popular = row['Popular'] || row['Is Popular'] || row.isPopular || '';
       return popular === 'Yes' || popular === 'yes' || popular === true || popular === 'TRUE';
@@ -204,6 +219,33 @@ export class ExcelParserService {
       return available !== 'No' && available !== false && available !== '0';
     };
 
+    // Schedule: "Breakfast, Lunch" and "Mon-Fri" style lists, or "Weekdays"/"Weekends"
+    const getSchedule = () => {
+      const dayparts = this.parseArray(row['Dayparts'] || row['Served At'] || row.dayparts);
+      const days = this.parseArray(row['Available Days'] || row['Days'] || row.days);
+      if (dayparts.length === 0 && days.length === 0) return null;
+      return { dayparts, days };
+    };
+
+    // GST: tax category (restaurant, outdoor_catering, packaged_beverage,
+    // packaged_beverage_12, alcohol), HSN/SAC code and an optional rate override
+    const getTaxCategory = () => {
+      const category = row['Tax Category'] || row['GST Category'] || row.taxCategory || '';
+      return category ? String(category).toLowerCase().trim().replace(/\s+/g, '_') : null;
+    };
+
+    const getHsnCode = () => {
+      const code = row['HSN/SAC'] || row['HSN Code'] || row['SAC Code'] || row.hsnCode || '';
+      return code ? String(code).trim() : null;
+    };
+
+    const getGstRate = () => {
+      const rate = row['GST Rate (%)'] || row['GST Rate'] || row.gstRate;
+      if (rate === undefined || rate === null || rate === '') return null;
+      const value = parseFloat(String(rate).replace('%', ''));
+      return isNaN(value) ? null : value;
+    };
+
     const getImageUrl = () => {
       return row['Image URL'] || row.imageUrl || row['Image'] || null;
     };
@@ -225,6 +267,7 @@ export class ExcelParserService {
       // Core fields
       name: name.trim(),
       nameLocal: getNameLocal(),
+      synonyms: getSynonyms(),
       description: getDescription().trim(),
       descriptionLocal: getDescriptionLocal(),
       price: price,
@@ -251,11 +294,18 @@ export class ExcelParserService {
       calories: getCalories(),
       variants: getVariants(),
       addons: getAddons(),
+      modifierGroups: getModifierGroups(),
       isPopular: getIsPopular(),
       isChefSpecial: getIsChefSpecial(),
 
+      // GST
+      taxCategory: getTaxCategory(),
+      hsnCode: getHsnCode(),
+      gstRate: getGstRate(),
+
       // Availability
       available: getAvailable(),
+      schedule: getSchedule(),
       imageUrl: getImageUrl()
     };
   }
@@ -363,7 +413,12 @@ export class ExcelParserService {
       'Addons',
       'Popular',
       'Chef Special',
-      'Available'
+      'Available',
+      'Dayparts',
+      'Available Days',
+      'Tax Category',
+      'HSN/SAC',
+      'GST Rate (%)'
     ];
 
     const sampleData = [
@@ -394,7 +449,12 @@ export class ExcelParserService {
         'Extra Cheese:1.50',
         'Yes',
         'Yes',
-        'Yes'
+        'Yes',
+        '',
+        '',
+        'restaurant',
+        '996331',
+        ''
       ],
       [
         'Pandi Curry',
@@ -423,7 +483,12 @@ export class ExcelParserService {
         'Raita:50',
         'Yes',
         'Yes',
-        'Yes'
+        'Yes',
+        'Lunch, Dinner',
+        '',
+        'restaurant',
+        '996331',
+        ''
       ],
       [
         'Tonkotsu Ramen',
@@ -452,7 +517,12 @@ export class ExcelParserService {
         'Extra Noodles:+200, Chashu:+300',
         'Yes',
         'Yes',
-        'Yes'
+        'Yes',
+        'Dinner',
+        'Weekends',
+        'restaurant',
+        '996331',
+        ''
       ]
     ];
 
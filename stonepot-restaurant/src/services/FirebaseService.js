@@ -188,6 +188,35 @@ class FirebaseService {
     }
   }
 
+  /**
+   * Run reads and writes atomically. The callback receives get/set/update/create
+   * helpers keyed by collection and document ID; all reads must happen before
+   * writes, and the callback may be retried on contention so it must not have
+   * side effects outside the transaction.
+   */
+  async runTransaction(updateFunction) {
+    if (!this.initialized) await this.initialize();
+
+    try {
+      return await this.firestore.runTransaction(async (transaction) => {
+        const ref = (collection, documentId) => this.firestore.collection(collection).doc(documentId);
+
+        return updateFunction({
+          get: async (collection, documentId) => {
+            const doc = await transaction.get(ref(collection, documentId));
+            return doc.exists ? { id: doc.id, ...doc.data() } : null;
+          },
+          set: (collection, documentId, data) => transaction.set(ref(collection, documentId), data),
+          update: (collection, documentId, updates) => transaction.update(ref(collection, documentId), updates),
+          create: (collection, documentId, data) => transaction.create(ref(collection, documentId), data)
+        });
+      });
+    } catch (error) {
+      console.error('[FirebaseService] Transaction failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Check if document exists
    */
@@ -301,6 +330,32 @@ class FirebaseService {
     return this.createDocument('tenant_content', data);
   }
 
+  /**
+   * Create an order (document ID is the order ID)
+   */
+  async createOrder(tenantId, customerPhone, orderData) {
+    const data = {
+      ...orderData,
+      tenantId,
+      customerId: `${tenantId}_${customerPhone}`,
+      statusTimeline: orderData.statusTimeline || [{
+        status: orderData.status,
+        timestamp: new Date().toISOString(),
+        updatedBy: 'system'
+      }],
+      updatedAt: new Date().toISOString()
+    };
+
+    return this.createDocument('orders', data, orderData.orderId);
+  }
+
+  /**
+   * Update order fields (status, payment details, etc.)
+   */
+  async updateOrderStatus(orderId, updates) {
+    return this.updateDocument('orders', orderId, updates);
+  }
+
   /**
    * Get AI configuration for a tenant
    */
@@ -0,0 +1,303 @@
+/**
+ * Invoice PDF Renderer
+ * Writes tax invoices and credit notes as plain PDF 1.4 (built-in Courier fonts, no external services)
+ */
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const FONT_SIZE = 9;
+const LINE_HEIGHT = 12;
+const CHARS_PER_LINE = 94; // Courier is 0.6em wide: (595 - 2 * 40) / (0.6 * 9)
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LINE_HEIGHT);
+
+// Characters outside WinAnsi that show up on bills
+const SUBSTITUTIONS = {
+  '₹': 'Rs.',
+  '–': '-',
+  '—': '-',
+  '‘': "'",
+  '’': "'",
+  '“': '"',
+  '”': '"',
+  '•': '*'
+};
+
+export class InvoicePdfRenderer {
+  /**
+   * Render an invoice or credit note document to a PDF buffer
+   * @param {object} document - Stored invoice/credit note from InvoiceService
+   * @returns {Buffer}
+   */
+  render(document) {
+    const lines = document.documentType === 'credit_note'
+      ? this.layoutCreditNote(document)
+      : this.layoutInvoice(document);
+
+    return this.buildPdf(lines, `${document.documentNumber}`);
+  }
+
+  /**
+   * Text layout for a tax invoice. Each entry is { text, bold }.
+   */
+  layoutInvoice(document) {
+    const { seller, buyer, invoice } = document;
+    const out = [];
+    const money = (value) => this.money(value);
+
+    this.header(out, seller, 'TAX INVOICE');
+
+    out.push({ text: this.columns([`Invoice No: ${document.documentNumber}`, `Date: ${this.date(document.issuedAt)}`]) });
+    out.push({ text: this.columns([`Order: ${document.orderId}`, `Place of Supply: ${invoice.taxDetails.placeOfSupply || '-'}`]) });
+    out.push({ text: '' });
+    out.push({ text: 'BILL TO', bold: true });
+    out.push({ text: buyer.name || 'Guest' });
+    if (buyer.phone) out.push({ text: buyer.phone });
+    if (buyer.address && buyer.address !== 'N/A') out.push(...this.wrap(buyer.address).map(text => ({ text })));
+    if (buyer.gstin) out.push({ text: `GSTIN: ${buyer.gstin}` });
+
+    this.rule(out, '=');
+    out.push({ text: this.itemRow(['#', 'Description', 'HSN/SAC', 'Qty', 'Rate', 'Taxable', 'GST%', 'Tax']), bold: true });
+    this.rule(out, '-');
+
+    invoice.items.forEach((item, index) => {
+      const tax = (item.cgst || 0) + (item.sgst || 0) + (item.igst || 0);
+      out.push({
+        text: this.itemRow([
+          String(index + 1),
+          item.description,
+          item.hsnCode || '',
+          String(item.quantity),
+          money(item.rate),
+          money(item.taxableValue),
+          item.taxRate === 'Exempt' ? 'Exempt' : `${item.taxRate}`,
+          money(tax)
+        ])
+      });
+      if (item.discount > 0) {
+        out.push({ text: `     Discount: -${money(item.discount)}` });
+      }
+    });
+
+    this.rule(out, '-');
+    const { charges, taxDetails } = invoice;
+    out.push({ text: this.total('Subtotal', charges.subtotal) });
+    if (invoice.discounts?.length > 0) {
+      invoice.discounts.forEach(discount => out.push({ text: this.total(discount.description, -discount.amount) }));
+    } else if (charges.discount > 0) {
+      out.push({ text: this.total('Discount', -charges.discount) });
+    }
+    if (charges.deliveryFee > 0) out.push({ text: this.total('Delivery Charges', charges.deliveryFee) });
+
+    taxDetails.slabs.forEach(slab => {
+      if (slab.exempt) {
+        out.push({ text: this.total('Exempt / non-GST supply', slab.taxableValue) });
+      } else if (taxDetails.interState) {
+        out.push({ text: this.total(`IGST @ ${slab.gstPercentage}% on ${money(slab.taxableValue)}`, slab.igst) });
+      } else {
+        out.push({ text: this.total(`CGST @ ${slab.gstPercentage / 2}% on ${money(slab.taxableValue)}`, slab.cgst) });
+        out.push({ text: this.total(`SGST @ ${slab.gstPercentage / 2}% on ${money(slab.taxableValue)}`, slab.sgst) });
+      }
+    });
+
+    this.rule(out, '=');
+    out.push({ text: this.total('GRAND TOTAL (Rs.)', charges.grandTotal), bold: true });
+    this.rule(out, '=');
+
+    out.push({ text: `Payment: ${(invoice.payment?.method || '').toUpperCase()}${invoice.payment?.transactionId && invoice.payment.transactionId !== 'N/A' ? `  Ref: ${invoice.payment.transactionId}` : ''}` });
+    out.push({ text: '' });
+    out.push({ text: 'This is a computer generated invoice.' });
+
+    return out;
+  }
+
+  /**
+   * Text layout for a credit note
+   */
+  layoutCreditNote(document) {
+    const { seller, buyer, creditNote } = document;
+    const out = [];
+
+    this.header(out, seller, 'CREDIT NOTE');
+
+    out.push({ text: this.columns([`Credit Note No: ${document.documentNumber}`, `Date: ${this.date(document.issuedAt)}`]) });
+    out.push({ text: this.columns([`Against Invoice: ${creditNote.originalInvoiceNumber}`, `Invoice Date: ${this.date(creditNote.originalInvoiceDate)}`]) });
+    out.push({ text: this.columns([`Order: ${document.orderId}`, `Place of Supply: ${creditNote.placeOfSupply || '-'}`]) });
+    out.push({ text: '' });
+    out.push({ text: 'ISSUED TO', bold: true });
+    out.push({ text: buyer.name || 'Guest' });
+    if (buyer.phone) out.push({ text: buyer.phone });
+    if (buyer.gstin) out.push({ text: `GSTIN: ${buyer.gstin}` });
+
+    this.rule(out, '=');
+    out.push({ text: `Reason: ${creditNote.reason || 'Refund'}` });
+    if (creditNote.refundId) out.push({ text: `Refund Ref: ${creditNote.refundId}` });
+    this.rule(out, '-');
+
+    creditNote.slabs.forEach(slab => {
+      if (slab.exempt) {
+        out.push({ text: this.total('Exempt / non-GST supply', slab.taxableValue) });
+      } else {
+        out.push({ text: this.total(`Taxable value @ ${slab.gstPercentage}%`, slab.taxableValue) });
+        if (creditNote.interState) {
+          out.push({ text: this.total(`IGST @ ${slab.gstPercentage}%`, slab.igst) });
+        } else {
+          out.push({ text: this.total(`CGST @ ${slab.gstPercentage / 2}%`, slab.cgst) });
+          out.push({ text: this.total(`SGST @ ${slab.gstPercentage / 2}%`, slab.sgst) });
+        }
+      }
+    });
+
+    this.rule(out, '=');
+    out.push({ text: this.total('TOTAL CREDIT (Rs.)', creditNote.amount), bold: true });
+    this.rule(out, '=');
+    out.push({ text: 'This is a computer generated credit note.' });
+
+    return out;
+  }
+
+  header(out, seller, title) {
+    out.push({ text: this.center(seller.name || ''), bold: true });
+    this.wrap(seller.address || '').forEach(text => out.push({ text: this.center(text) }));
+    if (seller.phone) out.push({ text: this.center(`Phone: ${seller.phone}`) });
+    out.push({ text: this.center(`GSTIN: ${seller.gstin || 'Unregistered'}`) });
+    out.push({ text: '' });
+    out.push({ text: this.center(title), bold: true });
+    this.rule(out, '=');
+  }
+
+  rule(out, char) {
+    out.push({ text: char.repeat(CHARS_PER_LINE) });
+  }
+
+  center(text) {
+    const padding = Math.max(0, Math.floor((CHARS_PER_LINE - text.length) / 2));
+    return ' '.repeat(padding) + text;
+  }
+
+  columns([left, right]) {
+    const gap = Math.max(1, CHARS_PER_LINE - left.length - right.length);
+    return left + ' '.repeat(gap) + right;
+  }
+
+  itemRow([index, description, hsn, qty, rate, taxable, gst, tax]) {
+    return [
+      index.padEnd(3),
+      description.slice(0, 34).padEnd(35),
+      hsn.slice(0, 9).padEnd(10),
+      qty.padStart(4),
+      rate.padStart(10),
+      taxable.padStart(11),
+      gst.padStart(7),
+      tax.padStart(10)
+    ].join(' ').slice(0, CHARS_PER_LINE);
+  }
+
+  total(label, value) {
+    const amount = this.money(value);
+    return `${label.padStart(CHARS_PER_LINE - 14)}${amount.padStart(14)}`;
+  }
+
+  wrap(text) {
+    const lines = [];
+    let current = '';
+    String(text).split(/\s+/).filter(Boolean).forEach(word => {
+      if ((current + ' ' + word).trim().length > CHARS_PER_LINE) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = (current + ' ' + word).trim();
+      }
+    });
+    if (current) lines.push(current);
+    return lines;
+  }
+
+  money(value) {
+    return (Number(value) || 0).toFixed(2);
+  }
+
+  date(value) {
+    if (!value) return '-';
+    const date = new Date(value);
+    return date.toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+  }
+
+  /**
+   * Escape a line for a PDF string literal (WinAnsi, unsupported characters become '?')
+   */
+  escape(text) {
+    return Array.from(String(text)).map(char => {
+      if (SUBSTITUTIONS[char]) return SUBSTITUTIONS[char];
+      const code = char.charCodeAt(0);
+      if (code < 32 || code > 255) return '?';
+      if (char === '(' || char === ')' || char === '\\') return `\\${char}`;
+      return char;
+    }).join('');
+  }
+
+  /**
+   * Assemble pages, fonts and the cross-reference table
+   */
+  buildPdf(lines, title) {
+    const pages = [];
+    for (let i = 0; i < lines.length; i += LINES_PER_PAGE) {
+      pages.push(lines.slice(i, i + LINES_PER_PAGE));
+    }
+    if (pages.length === 0) pages.push([]);
+
+    // Object numbers: 1 catalog, 2 pages, 3 regular font, 4 bold font, 5 info, then page/content pairs
+    const objects = [];
+    const pageIds = pages.map((_, index) => 6 + index * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>';
+    objects[5] = `<< /Title (${this.escape(title)}) /Producer (Stonepot) >>`;
+
+    pages.forEach((pageLines, index) => {
+      const pageId = pageIds[index];
+      const contentId = pageId + 1;
+
+      const stream = ['BT', `${LINE_HEIGHT} TL`, `${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`];
+      pageLines.forEach(line => {
+        stream.push(`/${line.bold ? 'F2' : 'F1'} ${FONT_SIZE} Tf`);
+        stream.push(`(${this.escape(line.text)}) Tj T*`);
+      });
+      if (pages.length > 1) {
+        stream.push('/F1 8 Tf', `(${this.escape(`Page ${index + 1} of ${pages.length}`)}) Tj`);
+      }
+      stream.push('ET');
+      const content = stream.join('\n');
+
+      objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentId} 0 R >>`;
+      objects[contentId] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+    });
+
+    const chunks = ['%PDF-1.4\n%\xE2\xE3\xCF\xD3\n'];
+    const offsets = [];
+    let length = Buffer.byteLength(chunks[0], 'latin1');
+
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = length;
+      const chunk = `${id} 0 obj\n${objects[id]}\nendobj\n`;
+      chunks.push(chunk);
+      length += Buffer.byteLength(chunk, 'latin1');
+    }
+
+    const xref = [
+      'xref',
+      `0 ${objects.length}`,
+      '0000000000 65535 f ',
+      ...offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n `)
+    ].join('\n');
+
+    chunks.push(`${xref}\ntrailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${length}\n%%EOF\n`);
+
+    return Buffer.from(chunks.join(''), 'latin1');
+  }
+}
+
+export default InvoicePdfRenderer;
@@ -0,0 +1,424 @@
+/**
+ * Invoice Service
+ * Issues GST tax invoices and credit notes with gap-free numbering per tenant per financial year
+ */
+
+import { InvoicePdfRenderer } from './InvoicePdfRenderer.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// GST financial years run April to March in Indian time, whatever the server's timezone
+const financialYearFormatter = new Intl.DateTimeFormat('en-GB', {
+  year: 'numeric',
+  month: '2-digit',
+  timeZone: 'Asia/Kolkata'
+});
+
+export class InvoiceService {
+  constructor(firebaseService, taxService, config = {}) {
+    this.firebaseService = firebaseService;
+    this.taxService = taxService;
+    this.renderer = new InvoicePdfRenderer();
+
+    this.prefix = config.prefix || 'INV';
+    this.creditNotePrefix = config.creditNotePrefix || 'CN';
+    this.numberPadding = config.numberPadding || 6;
+    this.defaultSellerName = config.restaurantName || 'Stonepot Restaurant';
+  }
+
+  /**
+   * Indian financial year (April to March, in IST) for a date
+   * @returns {{ label: string, code: string, endYear: number }} e.g. { label: '2026-27', code: '2627' }
+   */
+  getFinancialYear(date = new Date()) {
+    const parts = Object.fromEntries(
+      financialYearFormatter.formatToParts(new Date(date)).map(part => [part.type, part.value])
+    );
+    const year = parseInt(parts.year);
+    const startYear = parseInt(parts.month) >= 4 ? year : year - 1;
+    const endYear = startYear + 1;
+
+    return {
+      label: `${startYear}-${String(endYear).slice(-2)}`,
+      code: `${String(startYear).slice(-2)}${String(endYear).slice(-2)}`,
+      endYear
+    };
+  }
+
+  /**
+   * Retention end date: 72 months from the annual return due date
+   * (31 December after the financial year ends)
+   */
+  getRetainUntil(financialYear) {
+    return new Date(Date.UTC(financialYear.endYear + 6, 11, 31)).toISOString();
+  }
+
+  /**
+   * Seller details from the restaurant profile
+   */
+  async getSeller(tenantId) {
+    const profile = await this.firebaseService.getRestaurantProfile(tenantId) || {};
+    const gstin = profile.gstin ? String(profile.gstin).trim().toUpperCase() : null;
+
+    if (gstin && !this.taxService.isValidGSTIN(gstin)) {
+      throw new Error('Invalid restaurant GSTIN');
+    }
+
+    const address = typeof profile.address === 'object' && profile.address !== null
+      ? profile.address.formatted || Object.values(profile.address).filter(Boolean).join(', ')
+      : profile.address;
+
+    return {
+      name: profile.legalName || profile.name || profile.restaurantName || this.defaultSellerName,
+      gstin,
+      address: address || '',
+      phone: profile.phone || null,
+      email: profile.email || null,
+      stateCode: this.taxService.resolveStateCode(gstin || profile.stateCode),
+      invoicePrefix: profile.invoicePrefix || null
+    };
+  }
+
+  /**
+   * Issue (or return the already issued) tax invoice for an order.
+   * The counter increment, invoice document and order back-reference are
+   * written in one transaction so numbers are never skipped or reused.
+   * @param {object} order - Order document (orderId, tenantId, cart, customer...)
+   * @param {object} options - { issuedBy }
+   * @returns {Promise<object>} Stored invoice document
+   */
+  async issueInvoice(order, options = {}) {
+    try {
+      const tenantId = order.tenantId;
+      const invoiceId = `${tenantId}_${order.orderId}`;
+
+      const existing = await this.firebaseService.getDocument('invoices', invoiceId);
+      if (existing) {
+        return existing;
+      }
+
+      const seller = await this.getSeller(tenantId);
+      const issuedAt = new Date();
+      const financialYear = this.getFinancialYear(issuedAt);
+      const series = seller.invoicePrefix || this.prefix;
+      const invoice = this.taxService.generateInvoice(order, seller);
+
+      const document = await this.firebaseService.runTransaction(async (tx) => {
+        const issued = await tx.get('invoices', invoiceId);
+        if (issued) {
+          return issued;
+        }
+
+        const counterId = `${tenantId}_${series}_${financialYear.code}`;
+        const counter = await tx.get('invoice_counters', counterId);
+        const sequence = (counter?.lastNumber || 0) + 1;
+        const documentNumber = `${series}/${financialYear.code}/${String(sequence).padStart(this.numberPadding, '0')}`;
+
+        const data = {
+          documentType: 'invoice',
+          documentNumber,
+          tenantId,
+          orderId: order.orderId,
+          series,
+          financialYear: financialYear.label,
+          sequence,
+          issuedAt: issuedAt.toISOString(),
+          issuedBy: options.issuedBy || 'system',
+          retainUntil: this.getRetainUntil(financialYear),
+          seller,
+          buyer: invoice.billTo,
+          invoice: {
+            ...invoice,
+            invoiceNumber: documentNumber,
+            invoiceDate: issuedAt.toISOString()
+          },
+          total: invoice.charges.grandTotal,
+          creditedAmount: 0,
+          creditNotes: []
+        };
+
+        tx.set('invoice_counters', counterId, {
+          tenantId,
+          series,
+          financialYear: financialYear.label,
+          lastNumber: sequence,
+          updatedAt: issuedAt.toISOString()
+        });
+        tx.create('invoices', invoiceId, data);
+        if (order.id) {
+          tx.update('orders', order.id, {
+            invoiceNumber: documentNumber,
+            invoicedAt: issuedAt.toISOString()
+          });
+        }
+
+        return { id: invoiceId, ...data };
+      });
+
+      console.log('[Invoice] Invoice issued', {
+        tenantId,
+        orderId: order.orderId,
+        invoiceNumber: document.documentNumber
+      });
+
+      return document;
+    } catch (error) {
+      console.error('[Invoice] Failed to issue invoice:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue (or return) the single invoice for a table tab: every round that
+   * wasn't cancelled, numbered under the tab ID
+   * @param {object} tab - Tab document (tabId, tenantId, tableName, customer, openedAt)
+   * @param {Array} orders - The tab's round orders
+   * @param {object} options - { issuedBy }
+   */
+  async issueTabInvoice(tab, orders, options = {}) {
+    const carts = orders.map(order => order.cart);
+    const loyalty = carts.filter(cart => cart.loyalty?.applied);
+
+    return this.issueInvoice({
+      orderId: tab.tabId,
+      tenantId: tab.tenantId,
+      orderType: 'dine-in',
+      customer: tab.customer || { name: `Table ${tab.tableName}`, phone: null },
+      cart: {
+        items: carts.flatMap(cart => cart.items),
+        combos: carts.flatMap(cart => cart.combos || []),
+        promotions: carts.flatMap(cart => cart.promotions || []),
+        loyalty: loyalty.length > 0 ? {
+          applied: true,
+          points: loyalty.reduce((sum, cart) => sum + cart.loyalty.points, 0),
+          amount: round2(loyalty.reduce((sum, cart) => sum + cart.loyalty.amount, 0))
+        } : null,
+        deliveryFee: 0
+      },
+      createdAt: tab.openedAt
+    }, options);
+  }
+
+  /**
+   * Get the invoice for an order, issuing it if the order is billable
+   * @returns {Promise<object>} { invoice, creditNotes }
+   */
+  async getInvoiceForOrder(tenantId, orderId, options = {}) {
+    try {
+      let invoice = await this.firebaseService.getDocument('invoices', `${tenantId}_${orderId}`);
+
+      if (!invoice) {
+        const orders = await this.firebaseService.queryDocuments('orders', { orderId, tenantId });
+        if (orders.length === 0) {
+          throw new Error('Order not found');
+        }
+
+        const order = orders[0];
+        if (order.tabId) {
+          throw new Error(`Cannot invoice a table round on its own: it is billed on tab ${order.tabId}`);
+        }
+        if (order.status === 'pending_payment' || order.status === 'cancelled') {
+          throw new Error(`Cannot invoice order with status: ${order.status}`);
+        }
+
+        invoice = await this.issueInvoice(order, options);
+      }
+
+      const creditNotes = await this.firebaseService.queryDocuments('credit_notes', { tenantId, orderId });
+
+      return { invoice, creditNotes };
+    } catch (error) {
+      console.error('[Invoice] Failed to get invoice:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a credit note against an order's invoice for a refund.
+   * Tax is reversed in proportion to the invoice's GST slabs.
+   * @param {object} params - { tenantId, orderId, refundId, amount, reason }
+   * @returns {Promise<object|null>} Credit note, or null when the order was never invoiced
+   */
+  async issueCreditNote({ tenantId, orderId, refundId, amount, reason }) {
+    try {
+      const invoiceId = `${tenantId}_${orderId}`;
+      const creditNoteId = `${tenantId}_${refundId}`;
+
+      const existingInvoice = await this.firebaseService.getDocument('invoices', invoiceId);
+      if (!existingInvoice) {
+        // Refunds before invoicing are reflected in the invoice itself
+        console.log('[Invoice] No invoice for refunded order, credit note not needed', { orderId, refundId });
+        return null;
+      }
+
+      const seller = existingInvoice.seller;
+      const issuedAt = new Date();
+      const financialYear = this.getFinancialYear(issuedAt);
+      const series = this.creditNotePrefix;
+
+      const document = await this.firebaseService.runTransaction(async (tx) => {
+        const issued = await tx.get('credit_notes', creditNoteId);
+        if (issued) {
+          return issued;
+        }
+
+        const invoice = await tx.get('invoices', invoiceId);
+        const remaining = round2(invoice.total - (invoice.creditedAmount || 0));
+        const creditAmount = round2(Math.min(amount, remaining));
+        if (creditAmount <= 0) {
+          throw new Error('Invoice has already been fully credited');
+        }
+
+        const counterId = `${tenantId}_${series}_${financialYear.code}`;
+        const counter = await tx.get('invoice_counters', counterId);
+        const sequence = (counter?.lastNumber || 0) + 1;
+        const documentNumber = `${series}/${financialYear.code}/${String(sequence).padStart(this.numberPadding, '0')}`;
+
+        const data = {
+          documentType: 'credit_note',
+          documentNumber,
+          tenantId,
+          orderId,
+          refundId,
+          series,
+          financialYear: financialYear.label,
+          sequence,
+          issuedAt: issuedAt.toISOString(),
+          retainUntil: this.getRetainUntil(financialYear),
+          seller,
+          buyer: invoice.buyer,
+          creditNote: this.buildCreditNote(invoice, creditAmount, { refundId, reason }),
+          total: creditAmount
+        };
+
+        tx.set('invoice_counters', counterId, {
+          tenantId,
+          series,
+          financialYear: financialYear.label,
+          lastNumber: sequence,
+          updatedAt: issuedAt.toISOString()
+        });
+        tx.create('credit_notes', creditNoteId, data);
+        tx.update('invoices', invoiceId, {
+          creditedAmount: round2((invoice.creditedAmount || 0) + creditAmount),
+          creditNotes: [...(invoice.creditNotes || []), documentNumber]
+        });
+
+        return { id: creditNoteId, ...data };
+      });
+
+      console.log('[Invoice] Credit note issued', {
+        tenantId,
+        orderId,
+        creditNoteNumber: document.documentNumber,
+        amount: document.total
+      });
+
+      return document;
+    } catch (error) {
+      console.error('[Invoice] Failed to issue credit note:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Split a credit amount across the invoice's GST slabs
+   */
+  buildCreditNote(invoice, amount, { refundId, reason }) {
+    const { taxDetails, charges } = invoice.invoice;
+    const ratio = charges.grandTotal > 0 ? amount / charges.grandTotal : 0;
+
+    const slabs = taxDetails.slabs.map(slab => ({
+      gstRate: slab.gstRate,
+      gstPercentage: slab.gstPercentage,
+      exempt: slab.exempt,
+      taxableValue: round2(slab.taxableValue * ratio),
+      cgst: round2(slab.cgst * ratio),
+      sgst: round2(slab.sgst * ratio),
+      igst: round2(slab.igst * ratio)
+    }));
+
+    // Put any rounding difference on the largest slab's taxable value
+    const computed = round2(slabs.reduce((sum, slab) => sum + slab.taxableValue + slab.cgst + slab.sgst + slab.igst, 0));
+    const difference = round2(amount - computed);
+    if (difference !== 0 && slabs.length > 0) {
+      const largest = slabs.reduce((max, slab) => (slab.taxableValue > max.taxableValue ? slab : max), slabs[0]);
+      largest.taxableValue = round2(largest.taxableValue + difference);
+    }
+
+    slabs.forEach(slab => {
+      slab.gstAmount = round2(slab.cgst + slab.sgst + slab.igst);
+    });
+
+    return {
+      originalInvoiceNumber: invoice.documentNumber,
+      originalInvoiceDate: invoice.issuedAt,
+      refundId,
+      reason: reason || 'Refund',
+      interState: taxDetails.interState,
+      placeOfSupply: taxDetails.placeOfSupply,
+      slabs,
+      taxableAmount: round2(slabs.filter(s => !s.exempt).reduce((sum, s) => sum + s.taxableValue, 0)),
+      cgst: round2(slabs.reduce((sum, s) => sum + s.cgst, 0)),
+      sgst: round2(slabs.reduce((sum, s) => sum + s.sgst, 0)),
+      igst: round2(slabs.reduce((sum, s) => sum + s.igst, 0)),
+      amount
+    };
+  }
+
+  /**
+   * Refund listener for PaymentService.onRefund
+   */
+  async handleRefund(refund) {
+    const { tenantId, orderId } = refund.notes || {};
+    if (!tenantId || !orderId) {
+      console.warn('[Invoice] Refund without tenant/order notes, no credit note:', refund.id);
+      return null;
+    }
+
+    try {
+      return await this.issueCreditNote({
+        tenantId,
+        orderId,
+        refundId: refund.id,
+        amount: refund.amount,
+        reason: refund.notes.reason
+      });
+    } catch (error) {
+      // Logged in issueCreditNote; a failed credit note must not fail the refund
+      return null;
+    }
+  }
+
+  /**
+   * Order event listener: invoice orders once they are delivered/served.
+   * Table rounds are invoiced together when their tab closes.
+   */
+  async handleOrderEvent(tenantId, order) {
+    if (order?.status !== 'delivered' || order.invoiceNumber || order.tabId) {
+      return;
+    }
+
+    try {
+      await this.issueInvoice(order, { issuedBy: 'system' });
+    } catch (error) {
+      // Logged in issueInvoice; the invoice can be issued later via the invoice endpoint
+    }
+  }
+
+  /**
+   * Render a stored invoice or credit note as a PDF
+   */
+  renderPdf(document) {
+    return this.renderer.render(document);
+  }
+
+  /**
+   * Render a stored invoice as plain text (thermal printers, chat)
+   */
+  renderText(document) {
+    return this.taxService.formatInvoiceText(document.invoice);
+  }
+}
+
+export default InvoiceService;
@@ -3,23 +3,31 @@
  * Generates KOT for kitchen staff with order details and preparation instructions
  */
 
+import { EscPosEncoder } from './EscPosEncoder.js';
+import { createPrinterTransport } from './PrinterTransport.js';
+import { DEFAULT_KITCHEN_STATIONS, FALLBACK_STATION_NAME } from './KitchenStationService.js';
+
 export class KOTService {
   constructor(config = {}) {
     this.restaurantName = config.restaurantName || 'Stonepot Restaurant';
     this.kitchenPrinterEnabled = config.kitchenPrinterEnabled || false;
+
+    // Printer routing: { default: {...}, stations: { 'Tandoor': {...} }, codePage, charsPerLine }
+    this.printerConfig = config.kitchenPrinter || {};
   }
 
   /**
    * Generate KOT for an order
    * @param {object} order - Order object
+   * @param {object} [routing] - Station routing from KitchenStationService.getRouting
    * @returns {object} KOT data
    */
-  generateKOT(order) {
+  generateKOT(order, routing = null) {
     const kotNumber = this.generateKOTNumber(order.orderId);
     const timestamp = new Date();
 
     // Group items by preparation station/type
-    const groupedItems = this.groupItemsByStation(order.cart.items);
+    const groupedItems = this.groupItemsByStation(order.cart.items, routing);
 
     return {
       kotNumber,
@@ -28,6 +36,7 @@ export class KOTService {
       timestamp,
       formattedTime: this.formatTime(timestamp),
       table: order.tableNumber || null,
+      round: order.tabRound || null, // Rounds on a table's running tab
       customer: {
         name: order.customer?.name || 'Guest',
         phone: order.customer?.phone || ''
@@ -35,16 +44,17 @@ export class KOTService {
       items: order.cart.items.map(item => ({
         dishName: item.dishName,
         quantity: item.quantity,
+        modifiers: (item.modifiers || []).map(modifier => modifier.name),
         customizations: item.customizations || [],
         spiceLevel: item.spiceLevel,
         specialInstructions: item.specialInstructions,
-        station: this.getPreparationStation(item)
+        station: this.getPreparationStation(item, routing)
       })),
       groupedItems,
       totalItems: order.cart.items.reduce((sum, item) => sum + item.quantity, 0),
       specialInstructions: order.specialInstructions,
       priority: this.calculatePriority(order),
-      estimatedPrepTime: this.estimatePreparationTime(order.cart.items),
+      estimatedPrepTime: this.estimatePreparationTime(order.cart.items, routing),
       deliveryTime: order.deliveryTime,
       printedAt: timestamp,
       status: 'pending' // pending, preparing, ready, served
@@ -68,17 +78,19 @@ export class KOTService {
   /**
    * Group items by preparation station (e.g., Tandoor, Wok, Grill, Cold Station)
    */
-  groupItemsByStation(items) {
+  groupItemsByStation(items, routing = null) {
     const stations = {};
 
     items.forEach(item => {
-      const station = this.getPreparationStation(item);
+      const station = this.getPreparationStation(item, routing);
       if (!stations[station]) {
         stations[station] = [];
       }
       stations[station].push({
         dishName: item.dishName,
+        nameLocal: item.nameLocal || null,
         quantity: item.quantity,
+        modifiers: (item.modifiers || []).map(modifier => modifier.name),
         customizations: item.customizations || [],
         spiceLevel: item.spiceLevel
       });
@@ -88,31 +100,51 @@ export class KOTService {
   }
 
   /**
-   * Determine preparation station based on dish name and type
+   * Determine preparation station name for a cart item
    */
-  getPreparationStation(item) {
-    const dishName = item.dishName.toLowerCase();
-
-    // Tandoor station
-    if (dishName.includes('tandoori') || dishName.includes('naan') ||
-        dishName.includes('kebab') || dishName.includes('tikka')) {
-      return 'Tandoor';
-    }
-
-    // Grill station
-    if (dishName.includes('grill') || dishName.includes('bbq')) {
-      return 'Grill';
-    }
+  getPreparationStation(item, routing = null) {
+    return this.resolveStation(item, routing)?.name || FALLBACK_STATION_NAME;
+  }
 
-    // Cold station (salads, drinks, desserts)
-    if (dishName.includes('salad') || dishName.includes('raita') ||
-        dishName.includes('lassi') || dishName.includes('juice') ||
-        dishName.includes('ice cream') || dishName.includes('kulfi')) {
-      return 'Cold Station';
+  /**
+   * Resolve the station for a cart item using the tenant's routing rules.
+   * Precedence: explicit item IDs, then category, then tags, then dish-name
+   * keywords, then the default station.
+   * @param {object} item - Cart item (dishId, dishName, category, tags)
+   * @param {object} [routing] - { stations, menuItemsById }
+   * @returns {object|null} Station definition
+   */
+  resolveStation(item, routing = null) {
+    const stations = [...(routing?.stations || DEFAULT_KITCHEN_STATIONS)]
+      .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+    const menuItem = routing?.menuItemsById?.get(item.dishId) || {};
+
+    const normalize = (value) => String(value).trim().toLowerCase();
+    const category = normalize(item.category || menuItem.category || '');
+    const tags = new Set([
+      ...(item.tags || []),
+      ...(menuItem.tags || []),
+      ...(menuItem.dietaryTags || []),
+      menuItem.tag,
+      menuItem.type
+    ].filter(Boolean).map(normalize));
+    const dishName = normalize(item.dishName || menuItem.name || '');
+
+    const matchers = [
+      station => (station.rules?.itemIds || []).includes(item.dishId),
+      station => category && (station.rules?.categories || []).some(c => normalize(c) === category),
+      station => (station.rules?.tags || []).some(tag => tags.has(normalize(tag))),
+      station => (station.rules?.keywords || []).some(keyword => dishName.includes(normalize(keyword)))
+    ];
+
+    for (const matches of matchers) {
+      const station = stations.find(matches);
+      if (station) {
+        return station;
+      }
     }
 
-    // Wok/Main kitchen (default)
-    return 'Main Kitchen';
+    return stations.find(station => station.isDefault) || null;
   }
 
   /**
@@ -151,12 +183,16 @@ export class KOTService {
   /**
    * Estimate total preparation time in minutes
    */
-  estimatePreparationTime(items) {
+  estimatePreparationTime(items, routing = null) {
     let maxPrepTime = 0;
 
     items.forEach(item => {
-      // Get preparation time based on dish type
-      let prepTime = item.preparationTime || 15; // Default 15 minutes
+      // Item prep time, then menu item prep time ("15-20 minutes"), then station default
+      const menuItem = routing?.menuItemsById?.get(item.dishId);
+      let prepTime = parseInt(item.preparationTime) ||
+        parseInt(menuItem?.preparationTime) ||
+        this.resolveStation(item, routing)?.prepTime ||
+        15; // Default 15 minutes
 
       // Adjust for quantity (but not linearly)
       if (item.quantity > 1) {
@@ -189,7 +225,7 @@ export class KOTService {
     lines.push(`Time: ${kot.formattedTime}`);
     lines.push(`Type: ${kot.orderType.toUpperCase()}`);
     if (kot.table) {
-      lines.push(`Table: ${kot.table}`);
+      lines.push(`Table: ${kot.table}${kot.round ? ` (Round ${kot.round})` : ''}`);
     }
     lines.push(`Priority: ${'★'.repeat(kot.priority)}${'☆'.repeat(5 - kot.priority)}`);
     lines.push('');
@@ -216,6 +252,11 @@ export class KOTService {
         // Item name and quantity
         lines.push(`${item.quantity}x  ${item.dishName}`);
 
+        // Modifiers (portion, choices, add-ons)
+        (item.modifiers || []).forEach(modifier => {
+          lines.push(`     + ${modifier}`);
+        });
+
         // Customizations
         if (item.customizations && item.customizations.length > 0) {
           item.customizations.forEach(custom => {
@@ -276,41 +317,267 @@ export class KOTService {
   }
 
   /**
-   * Print KOT to thermal printer (placeholder for actual printer integration)
+   * Resolve printer config for a station (falls back to the default printer)
+   */
+  getStationPrinter(station) {
+    const printer = this.printerConfig.stations?.[station] || this.printerConfig.default;
+    if (!printer || (!printer.host && !printer.path && !printer.spoolDir)) {
+      return null;
+    }
+    return printer;
+  }
+
+  /**
+   * Build the ESC/POS byte stream for one station's share of a KOT
+   * @param {object} kot - KOT from generateKOT
+   * @param {string} station - Station name
+   * @param {Array} items - Items from groupItemsByStation for this station
+   * @param {object} printer - Printer config (codePage, charsPerLine overrides)
+   * @returns {Buffer}
+   */
+  buildStationTicket(kot, station, items, printer = {}) {
+    const encoder = new EscPosEncoder({
+      codePage: printer.codePage || this.printerConfig.codePage,
+      charsPerLine: printer.charsPerLine || this.printerConfig.charsPerLine || 42
+    });
+
+    encoder.initialize()
+      .align('center')
+      .bold(true)
+      .line(this.restaurantName)
+      .size(2, 2)
+      .line(station.toUpperCase())
+      .size(1, 1)
+      .line('KITCHEN ORDER TICKET')
+      .bold(false)
+      .align('left')
+      .rule('=');
+
+    encoder
+      .bold(true).text('KOT #: ').bold(false).line(kot.kotNumber)
+      .line(`Order #: ${kot.orderId}`)
+      .line(`Time: ${kot.formattedTime}`)
+      .line(`Type: ${(kot.orderType || '').toUpperCase()}`);
+
+    if (kot.table) {
+      encoder.bold(true).line(`Table: ${kot.table}${kot.round ? ` (Round ${kot.round})` : ''}`).bold(false);
+    }
+    encoder.line(`Priority: ${'*'.repeat(kot.priority || 0)}`);
+    encoder.rule('-');
+
+    items.forEach(item => {
+      encoder.bold(true).doubleHeight(true)
+        .line(`${item.quantity} x ${item.dishName}`)
+        .doubleHeight(false).bold(false);
+
+      if (item.nameLocal && encoder.supportsIndic()) {
+        encoder.line(`    ${item.nameLocal}`);
+      }
+
+      (item.modifiers || []).forEach(modifier => {
+        encoder.line(`    + ${modifier}`);
+      });
+
+      (item.customizations || []).forEach(custom => {
+        encoder.line(`    * ${custom}`);
+      });
+
+      if (item.spiceLevel) {
+        encoder.line(`    Spice: ${item.spiceLevel}`);
+      }
+    });
+
+    encoder.rule('-');
+
+    if (kot.specialInstructions) {
+      encoder.bold(true).line('SPECIAL INSTRUCTIONS:').bold(false)
+        .line(kot.specialInstructions)
+        .rule('-');
+    }
+
+    encoder
+      .line(`Items: ${items.reduce((sum, item) => sum + item.quantity, 0)} of ${kot.totalItems}`)
+      .line(`Est. Prep Time: ${kot.estimatedPrepTime} mins`);
+
+    if (kot.deliveryTime) {
+      encoder.line(`Delivery Time: ${kot.deliveryTime}`);
+    }
+
+    return encoder.feed(3).cut().encode();
+  }
+
+  /**
+   * Print KOT to kitchen thermal printers, one ticket per station
    */
   async printKOT(kot) {
+    return this.printStationTickets(kot, kot.groupedItems,
+      (station, items, printer) => this.buildStationTicket(kot, station, items, printer));
+  }
+
+  /**
+   * Print a modification ticket to the affected stations only
+   */
+  async printModificationKOT(modificationKOT) {
+    return this.printStationTickets(modificationKOT, modificationKOT.groupedChanges,
+      (station, changes, printer) => this.buildModificationTicket(modificationKOT, station, changes, printer));
+  }
+
+  /**
+   * Send one ticket per station group to that station's printer
+   * @param {object} kot - KOT or modification KOT (kotNumber, printedAt)
+   * @param {object} groups - { [station]: entries }
+   * @param {Function} buildTicket - (station, entries, printer) => Buffer
+   */
+  async printStationTickets(kot, groups, buildTicket) {
     if (!this.kitchenPrinterEnabled) {
       console.log('[KOT] Printer not enabled, KOT not printed');
       return { success: false, reason: 'Printer not enabled' };
     }
 
-    const kotText = this.formatKOTText(kot);
+    const jobs = [];
+
+    for (const [station, entries] of Object.entries(groups)) {
+      const printer = this.getStationPrinter(station);
+
+      if (!printer) {
+        console.warn('[KOT] No printer configured for station:', station);
+        jobs.push({ station, success: false, error: 'No printer configured' });
+        continue;
+      }
+
+      let transport = null;
+
+      try {
+        transport = createPrinterTransport(printer);
+        const data = buildTicket(station, entries, printer);
+        await transport.send(data);
 
-    // TODO: Integrate with actual thermal printer
-    // Example printers: Epson TM-T82, Star TSP100
-    // Can use libraries like: node-thermal-printer, escpos
+        console.log('[KOT] Printed ticket', {
+          kotNumber: kot.kotNumber,
+          station,
+          printer: transport.describe(),
+          bytes: data.length
+        });
 
-    console.log('[KOT] Would print to kitchen printer:');
-    console.log(kotText);
+        jobs.push({ station, printer: transport.describe(), bytes: data.length, success: true });
+      } catch (error) {
+        console.error('[KOT] Failed to print ticket:', { station, printer: transport?.describe(), error: error.message });
+        jobs.push({ station, printer: transport?.describe() || null, success: false, error: error.message });
+      }
+    }
 
     return {
-      success: true,
+      success: jobs.length > 0 && jobs.every(job => job.success),
       kotNumber: kot.kotNumber,
-      printedAt: kot.printedAt
+      printedAt: kot.printedAt,
+      jobs
     };
   }
 
   /**
    * Generate KOT modification ticket (for order updates)
+   * @param {object} originalKOT - KOT stored on the order ({ kotNumber })
+   * @param {object} modifications - { type, changes, reason, sequence, order }
+   *   where each change is { dishName, quantityBefore, quantityAfter, station, ... }
+   * @returns {object} Modification KOT with changes grouped by station
    */
   generateModificationKOT(originalKOT, modifications) {
+    const timestamp = new Date();
+    const sequence = modifications.sequence || 1;
+    const changes = modifications.changes || [];
+    const order = modifications.order || {};
+
+    const groupedChanges = {};
+    changes.forEach(change => {
+      const station = change.station || FALLBACK_STATION_NAME;
+      if (!groupedChanges[station]) {
+        groupedChanges[station] = [];
+      }
+      groupedChanges[station].push(change);
+    });
+
     return {
-      kotNumber: `${originalKOT.kotNumber}-MOD`,
-      modificationType: modifications.type, // 'add', 'remove', 'update'
+      kotNumber: `${originalKOT.kotNumber}-MOD${sequence > 1 ? sequence : ''}`,
+      modificationType: modifications.type, // 'add', 'remove', 'update_quantity'
       originalKOTNumber: originalKOT.kotNumber,
-      timestamp: new Date(),
-      changes: modifications.changes,
-      reason: modifications.reason
+      orderId: order.orderId || null,
+      orderType: order.orderType || null,
+      table: order.tableNumber || null,
+      timestamp,
+      formattedTime: this.formatTime(timestamp),
+      changes,
+      groupedChanges,
+      affectedStations: Object.keys(groupedChanges),
+      reason: modifications.reason,
+      printedAt: timestamp
     };
   }
+
+  /**
+   * Build the ESC/POS byte stream for one station's share of a modification
+   */
+  buildModificationTicket(modificationKOT, station, changes, printer = {}) {
+    const encoder = new EscPosEncoder({
+      codePage: printer.codePage || this.printerConfig.codePage,
+      charsPerLine: printer.charsPerLine || this.printerConfig.charsPerLine || 42
+    });
+
+    encoder.initialize()
+      .align('center')
+      .bold(true)
+      .line(this.restaurantName)
+      .size(2, 2)
+      .line(station.toUpperCase())
+      .line('** MODIFIED **')
+      .size(1, 1)
+      .bold(false)
+      .align('left')
+      .rule('=');
+
+    encoder
+      .bold(true).text('KOT #: ').bold(false).line(modificationKOT.kotNumber)
+      .line(`Original KOT: ${modificationKOT.originalKOTNumber}`)
+      .line(`Order #: ${modificationKOT.orderId || ''}`)
+      .line(`Time: ${modificationKOT.formattedTime}`);
+
+    if (modificationKOT.table) {
+      encoder.bold(true).line(`Table: ${modificationKOT.table}`).bold(false);
+    }
+    encoder.rule('-');
+
+    changes.forEach(change => {
+      let label;
+      if (!change.quantityBefore) {
+        label = `ADD ${change.quantityAfter} x ${change.dishName}`;
+      } else if (!change.quantityAfter) {
+        label = `CANCEL ${change.quantityBefore} x ${change.dishName}`;
+      } else {
+        label = `${change.dishName}: ${change.quantityBefore} -> ${change.quantityAfter}`;
+      }
+
+      encoder.bold(true).doubleHeight(true)
+        .line(label)
+        .doubleHeight(false).bold(false);
+
+      if (change.nameLocal && encoder.supportsIndic()) {
+        encoder.line(`    ${change.nameLocal}`);
+      }
+
+      (change.modifiers || []).forEach(modifier => {
+        encoder.line(`    + ${modifier}`);
+      });
+
+      (change.customizations || []).forEach(custom => {
+        encoder.line(`    * ${custom}`);
+      });
+    });
+
+    encoder.rule('-');
+
+    if (modificationKOT.reason) {
+      encoder.line(`Reason: ${modificationKOT.reason}`);
+    }
+
+    return encoder.feed(3).cut().encode();
+  }
 }
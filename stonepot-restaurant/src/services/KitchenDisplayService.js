@@ -0,0 +1,325 @@
+/**
+ * Kitchen Display Service (KDS)
+ * Builds per-station live boards from accepted orders and handles item bump/recall
+ */
+
+import { TERMINAL_DELIVERY_STATUSES } from './CourierAdapter.js';
+
+export class KitchenDisplayService {
+  constructor(orderManagementService, config = {}) {
+    this.orderManagementService = orderManagementService;
+    this.kotService = orderManagementService.kotService;
+    this.kitchenStationService = orderManagementService.kitchenStationService;
+
+    // Aging thresholds as a fraction of the KOT's estimated prep time
+    this.amberRatio = config.amberRatio || 0.6;
+    this.redRatio = config.redRatio || 1.0;
+
+    this.connections = new Map(); // tenantId -> Set of { ws, station }
+    this.pendingPushes = new Map(); // tenantId -> timeout (coalesces bursts of order events)
+
+    this.orderManagementService.onOrderEvent((tenantId) => this.scheduleBoardPush(tenantId));
+  }
+
+  /**
+   * Build the KDS board for a tenant
+   * @param {string} tenantId - Restaurant/tenant ID
+   * @param {object} options - { station } to limit the board to one station,
+   *   { includeCompleted } to keep fully bumped station tickets (for recall)
+   * @returns {Promise<object>} Board with per-station tickets and all-day counts
+   */
+  async getBoard(tenantId, options = {}) {
+    try {
+      const [orders, routing] = await Promise.all([
+        this.orderManagementService.getOrders(tenantId, { status: 'preparing', limit: 200 }),
+        this.kitchenStationService.getRouting(tenantId)
+      ]);
+
+      const stations = {};
+
+      orders
+        .sort((a, b) => new Date(a.acceptedAt || a.createdAt) - new Date(b.acceptedAt || b.createdAt))
+        .forEach(order => {
+          const aging = this.getAging(order);
+
+          Object.entries(this.groupOrderItems(order, routing)).forEach(([station, items]) => {
+            if (options.station && station !== options.station) return;
+
+            const completed = items.every(item => item.bumped);
+            if (completed && !options.includeCompleted) return;
+
+            if (!stations[station]) {
+              stations[station] = { tickets: [], allDay: [] };
+            }
+
+            stations[station].tickets.push({
+              orderId: order.orderId,
+              kotNumber: order.kot?.kotNumber || null,
+              orderType: order.orderType,
+              table: order.tableNumber || null,
+              customerName: order.customer?.name || 'Guest',
+              specialInstructions: order.specialInstructions || null,
+              acceptedAt: order.acceptedAt || null,
+              elapsedTime: aging.elapsedTime,
+              elapsedMinutes: aging.elapsedMinutes,
+              color: aging.color,
+              isUrgent: aging.isUrgent,
+              estimatedPrepTime: order.kot?.estimatedPrepTime || null,
+              completed,
+              items
+            });
+          });
+        });
+
+      Object.values(stations).forEach(station => {
+        station.allDay = this.countAllDay(station.tickets);
+      });
+
+      return {
+        tenantId,
+        station: options.station || null,
+        generatedAt: new Date().toISOString(),
+        stations,
+        allDay: this.countAllDay(Object.values(stations).flatMap(s => s.tickets))
+      };
+    } catch (error) {
+      console.error('[KDS] Failed to build board:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Group an order's cart lines by station with their bump state
+   */
+  groupOrderItems(order, routing) {
+    const grouped = {};
+    const itemStations = order.kot?.itemStations || {};
+    const bumps = order.kds?.items || {};
+
+    (order.cart?.items || []).forEach((item, index) => {
+      const itemKey = this.orderManagementService.getItemKey(item, index);
+      const station = itemStations[itemKey] || this.kotService.getPreparationStation(item, routing);
+
+      if (!grouped[station]) {
+        grouped[station] = [];
+      }
+
+      grouped[station].push({
+        itemKey,
+        dishName: item.dishName,
+        quantity: item.quantity,
+        modifiers: (item.modifiers || []).map(modifier => modifier.name),
+        customizations: item.customizations || [],
+        spiceLevel: item.spiceLevel || null,
+        specialInstructions: item.specialInstructions || null,
+        bumped: !!bumps[itemKey]?.bumpedAt,
+        bumpedAt: bumps[itemKey]?.bumpedAt || null
+      });
+    });
+
+    return grouped;
+  }
+
+  /**
+   * Colour aging: green while within the first part of the prep estimate,
+   * amber as it approaches, red once overdue or urgent
+   */
+  getAging(order) {
+    const since = order.acceptedAt || order.createdAt;
+    const elapsedMinutes = this.orderManagementService.getElapsedMinutes(since);
+    const target = order.kot?.estimatedPrepTime || 20;
+    const isUrgent = this.orderManagementService.isOrderUrgent(order);
+
+    let color = 'green';
+    if (isUrgent || elapsedMinutes >= target * this.redRatio) {
+      color = 'red';
+    } else if (elapsedMinutes >= target * this.amberRatio) {
+      color = 'amber';
+    }
+
+    return {
+      elapsedMinutes,
+      elapsedTime: this.orderManagementService.calculateElapsedTime(since),
+      color,
+      isUrgent
+    };
+  }
+
+  /**
+   * All-day counts: outstanding quantity per dish across tickets
+   */
+  countAllDay(tickets) {
+    const counts = new Map();
+
+    tickets.forEach(ticket => {
+      ticket.items.filter(item => !item.bumped).forEach(item => {
+        counts.set(item.dishName, (counts.get(item.dishName) || 0) + item.quantity);
+      });
+    });
+
+    return Array.from(counts, ([dishName, quantity]) => ({ dishName, quantity }))
+      .sort((a, b) => b.quantity - a.quantity);
+  }
+
+  /**
+   * Bump an item off the board. When no items remain outstanding the order
+   * is moved to ready through OrderManagementService.markOrderReady.
+   */
+  async bumpItem(tenantId, orderId, itemKey, bumpedBy) {
+    try {
+      const order = await this.orderManagementService.getOrderById(orderId, tenantId);
+
+      if (order.status !== 'preparing') {
+        throw new Error(`Cannot bump items on order with status: ${order.status}`);
+      }
+
+      const routing = await this.kitchenStationService.getRouting(tenantId);
+      const grouped = this.groupOrderItems(order, routing);
+      const station = Object.keys(grouped).find(name => grouped[name].some(i => i.itemKey === itemKey));
+
+      if (!station) {
+        throw new Error('Order item not found');
+      }
+
+      const kdsItems = {
+        ...(order.kds?.items || {}),
+        [itemKey]: { station, bumpedAt: new Date().toISOString(), bumpedBy }
+      };
+
+      const isBumped = (item) => !!kdsItems[item.itemKey]?.bumpedAt;
+      const stationCompleted = grouped[station].every(isBumped);
+      const orderCompleted = Object.values(grouped).flat().every(isBumped);
+
+      let updatedOrder = await this.orderManagementService.updateOrderStatus(orderId, tenantId, {
+        kds: { ...(order.kds || {}), items: kdsItems },
+        updatedBy: bumpedBy
+      });
+
+      console.log('[KDS] Item bumped', { orderId, itemKey, station, stationCompleted, orderCompleted });
+
+      if (orderCompleted) {
+        updatedOrder = await this.orderManagementService.markOrderReady(orderId, tenantId, bumpedBy);
+      } else if (stationCompleted) {
+        this.orderManagementService.broadcastOrderUpdate(tenantId, updatedOrder, 'kds_station_completed');
+      }
+
+      return {
+        success: true,
+        order: updatedOrder,
+        station,
+        stationCompleted,
+        orderCompleted
+      };
+    } catch (error) {
+      console.error('[KDS] Failed to bump item:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recall a bumped item back onto the board (reopens a ready order).
+   * Refused while a courier delivery is booked for the order.
+   */
+  async recallItem(tenantId, orderId, itemKey, recalledBy) {
+    try {
+      const order = await this.orderManagementService.getOrderById(orderId, tenantId);
+
+      if (order.status !== 'preparing' && order.status !== 'ready') {
+        throw new Error(`Cannot recall items on order with status: ${order.status}`);
+      }
+
+      // The courier was booked for the food as it is; cancel the delivery to remake it
+      if (order.delivery && !TERMINAL_DELIVERY_STATUSES.includes(order.delivery.status)) {
+        throw new Error(`Cannot recall items: delivery already ${order.delivery.status} with ${order.delivery.courier}`);
+      }
+
+      const kdsItems = { ...(order.kds?.items || {}) };
+      if (!kdsItems[itemKey]?.bumpedAt) {
+        throw new Error('Order item is not bumped');
+      }
+      delete kdsItems[itemKey];
+
+      const updates = {
+        kds: { ...(order.kds || {}), items: kdsItems },
+        updatedBy: recalledBy
+      };
+
+      if (order.status === 'ready') {
+        updates.status = 'preparing';
+        updates.readyAt = null;
+      }
+
+      const updatedOrder = await this.orderManagementService.updateOrderStatus(orderId, tenantId, updates);
+
+      console.log('[KDS] Item recalled', { orderId, itemKey, reopened: order.status === 'ready' });
+
+      return {
+        success: true,
+        order: updatedOrder
+      };
+    } catch (error) {
+      console.error('[KDS] Failed to recall item:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register a KDS screen WebSocket (optionally for a single station)
+   */
+  registerConnection(tenantId, ws, station = null) {
+    if (!this.connections.has(tenantId)) {
+      this.connections.set(tenantId, new Set());
+    }
+
+    const connection = { ws, station };
+    this.connections.get(tenantId).add(connection);
+
+    console.log('[KDS] Screen connected', { tenantId, station: station || 'all' });
+
+    ws.on('close', () => {
+      const connections = this.connections.get(tenantId);
+      if (connections) {
+        connections.delete(connection);
+        if (connections.size === 0) {
+          this.connections.delete(tenantId);
+        }
+      }
+      console.log('[KDS] Screen disconnected', { tenantId, station: station || 'all' });
+    });
+
+    return this.sendBoard(tenantId, connection);
+  }
+
+  /**
+   * Push a fresh board to one screen
+   */
+  async sendBoard(tenantId, connection) {
+    try {
+      const board = await this.getBoard(tenantId, { station: connection.station });
+      if (connection.ws.readyState === 1) { // WebSocket.OPEN
+        connection.ws.send(JSON.stringify({ type: 'kds_board', board }));
+      }
+    } catch (error) {
+      console.error('[KDS] Failed to send board:', error);
+    }
+  }
+
+  /**
+   * Debounce board pushes so a burst of order events sends one update
+   */
+  scheduleBoardPush(tenantId) {
+    if (!this.connections.has(tenantId) || this.pendingPushes.has(tenantId)) {
+      return;
+    }
+
+    this.pendingPushes.set(tenantId, setTimeout(async () => {
+      this.pendingPushes.delete(tenantId);
+      const connections = this.connections.get(tenantId);
+      if (!connections) return;
+
+      await Promise.all(Array.from(connections).map(connection => this.sendBoard(tenantId, connection)));
+    }, 250));
+  }
+}
+
+export default KitchenDisplayService;
@@ -0,0 +1,264 @@
+/**
+ * Kitchen Station Service
+ * Manages per-tenant kitchen station routing rules stored on the restaurant profile
+ */
+
+import NodeCache from 'node-cache';
+
+/**
+ * Fallback stations for tenants that have not configured any.
+ * Keyword rules keep the behaviour KOTs had before stations became configurable.
+ */
+export const DEFAULT_KITCHEN_STATIONS = [
+  {
+    id: 'tandoor',
+    name: 'Tandoor',
+    rules: { keywords: ['tandoori', 'naan', 'kebab', 'tikka'] }
+  },
+  {
+    id: 'grill',
+    name: 'Grill',
+    rules: { keywords: ['grill', 'bbq'] }
+  },
+  {
+    id: 'cold-station',
+    name: 'Cold Station',
+    rules: { keywords: ['salad', 'raita', 'lassi', 'juice', 'ice cream', 'kulfi'] }
+  },
+  {
+    id: 'main-kitchen',
+    name: 'Main Kitchen',
+    isDefault: true,
+    rules: {}
+  }
+];
+
+export const FALLBACK_STATION_NAME = 'Main Kitchen';
+
+export class KitchenStationService {
+  constructor(firebaseService, menuService = null, config = {}) {
+    this.firebaseService = firebaseService;
+    this.menuService = menuService;
+
+    // Menu items by ID per tenant for routing; menu writes through the API drop it
+    this.menuCache = new NodeCache({
+      stdTTL: config.menuCacheTtl || 60,
+      checkperiod: 120,
+      useClones: false
+    });
+  }
+
+  /**
+   * Get configured stations for a tenant (defaults when none configured)
+   */
+  async getStations(tenantId) {
+    try {
+      const profile = await this.firebaseService.getRestaurantProfile(tenantId);
+      const stations = profile?.kitchenStations;
+
+      if (!Array.isArray(stations) || stations.length === 0) {
+        return DEFAULT_KITCHEN_STATIONS;
+      }
+
+      return stations;
+    } catch (error) {
+      console.error('[KitchenStation] Failed to get stations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the tenant's station configuration
+   */
+  async saveStations(tenantId, stations) {
+    const validation = this.validateStations(stations);
+    if (!validation.valid) {
+      throw new Error(`Invalid kitchen stations: ${validation.errors.join(', ')}`);
+    }
+
+    try {
+      const normalized = stations.map(station => this.normalizeStation(station));
+
+      await this.firebaseService.updateRestaurantProfile(tenantId, {
+        kitchenStations: normalized
+      });
+
+      console.log('[KitchenStation] Saved stations', { tenantId, count: normalized.length });
+
+      return normalized;
+    } catch (error) {
+      console.error('[KitchenStation] Failed to save stations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add or replace a single station (matched by id)
+   */
+  async upsertStation(tenantId, station) {
+    const validation = this.validateStations([station]);
+    if (!validation.valid) {
+      throw new Error(`Invalid kitchen stations: ${validation.errors.join(', ')}`);
+    }
+
+    const current = await this.getConfiguredStations(tenantId);
+    const normalized = this.normalizeStation(station);
+    const index = current.findIndex(s => s.id === normalized.id);
+
+    if (index >= 0) {
+      current[index] = normalized;
+    } else {
+      current.push(normalized);
+    }
+
+    return this.saveStations(tenantId, current);
+  }
+
+  /**
+   * Remove a station by id
+   */
+  async deleteStation(tenantId, stationId) {
+    const current = await this.getConfiguredStations(tenantId);
+    const remaining = current.filter(s => s.id !== stationId);
+
+    if (remaining.length === current.length) {
+      throw new Error('Kitchen station not found');
+    }
+
+    if (remaining.length === 0) {
+      await this.firebaseService.updateRestaurantProfile(tenantId, { kitchenStations: [] });
+      return DEFAULT_KITCHEN_STATIONS;
+    }
+
+    return this.saveStations(tenantId, remaining);
+  }
+
+  /**
+   * Stations explicitly stored on the profile (no defaults)
+   */
+  async getConfiguredStations(tenantId) {
+    const profile = await this.firebaseService.getRestaurantProfile(tenantId);
+    if (!profile) {
+      throw new Error('Restaurant profile not found');
+    }
+    return Array.isArray(profile.kitchenStations) ? [...profile.kitchenStations] : [];
+  }
+
+  /**
+   * Build the routing context KOTService uses to resolve stations
+   * @returns {Promise<{stations: Array, menuItemsById: Map}>}
+   */
+  async getRouting(tenantId) {
+    const [stations, menuItemsById] = await Promise.all([
+      this.getStations(tenantId),
+      this.getMenuItemsById(tenantId)
+    ]);
+
+    return { stations, menuItemsById };
+  }
+
+  /**
+   * The tenant's menu items by ID, cached between KOTs and board refreshes
+   */
+  async getMenuItemsById(tenantId) {
+    const cached = this.menuCache.get(tenantId);
+    if (cached) {
+      return cached;
+    }
+
+    const menuItemsById = new Map();
+    if (!this.menuService) {
+      return menuItemsById;
+    }
+
+    try {
+      const items = await this.menuService.listMenuItems(tenantId);
+      items.forEach(item => menuItemsById.set(item.id, item));
+      this.menuCache.set(tenantId, menuItemsById);
+    } catch (error) {
+      console.warn('[KitchenStation] Menu lookup failed, routing on cart data only:', error.message);
+    }
+
+    return menuItemsById;
+  }
+
+  /**
+   * Drop a tenant's cached menu after its items change
+   */
+  invalidateMenu(tenantId) {
+    this.menuCache.del(tenantId);
+  }
+
+  /**
+   * Normalize a station definition (validated with validateStations first)
+   */
+  normalizeStation(station) {
+    const name = station.name.trim();
+    const rules = station.rules || {};
+    const toList = (value) => (Array.isArray(value) ? value : [])
+      .map(v => String(v).trim())
+      .filter(Boolean);
+
+    return {
+      id: station.id || name.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+      name,
+      isDefault: station.isDefault === true,
+      prepTime: station.prepTime ? parseInt(station.prepTime) : null,
+      priority: station.priority ? parseInt(station.priority) : 0,
+      rules: {
+        itemIds: toList(rules.itemIds),
+        categories: toList(rules.categories),
+        tags: toList(rules.tags),
+        keywords: toList(rules.keywords)
+      }
+    };
+  }
+
+  /**
+   * Validate a list of station definitions
+   */
+  validateStations(stations) {
+    const errors = [];
+
+    if (!Array.isArray(stations) || stations.length === 0) {
+      return { valid: false, errors: ['At least one station is required'] };
+    }
+
+    const names = new Set();
+    stations.forEach((station, index) => {
+      if (!station?.name || typeof station.name !== 'string') {
+        errors.push(`Station ${index + 1}: name is required`);
+        return;
+      }
+
+      const key = station.name.trim().toLowerCase();
+      if (names.has(key)) {
+        errors.push(`Station ${index + 1}: duplicate name "${station.name}"`);
+      }
+      names.add(key);
+
+      if (station.prepTime !== undefined && station.prepTime !== null &&
+          (isNaN(station.prepTime) || station.prepTime <= 0)) {
+        errors.push(`Station ${index + 1}: prepTime must be a positive number of minutes`);
+      }
+
+      ['itemIds', 'categories', 'tags', 'keywords'].forEach(field => {
+        const value = station.rules?.[field];
+        if (value !== undefined && !Array.isArray(value)) {
+          errors.push(`Station ${index + 1}: rules.${field} must be an array`);
+        }
+      });
+    });
+
+    if (stations.filter(s => s?.isDefault === true).length > 1) {
+      errors.push('Only one station can be the default');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+export default KitchenStationService;
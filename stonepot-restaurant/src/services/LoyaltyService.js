@@ -0,0 +1,701 @@
+/**
+ * Loyalty Service
+ * Per-tenant loyalty points kept on the customer profile (`customers`,
+ * keyed by `${tenantId}_${phone}` like CustomerService). Points are earned
+ * per rupee on delivered orders, multiplied by the customer's tier, redeemed
+ * as a discount at checkout and expire a set number of days after they were
+ * earned. Every change is written to the `loyalty_transactions` ledger.
+ */
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Points expiring within this window are called out to the customer
+const EXPIRING_SOON_DAYS = 30;
+
+export class LoyaltyService {
+  constructor(firebaseService) {
+    this.firebaseService = firebaseService;
+  }
+
+  // ==================== CONFIGURATION ====================
+
+  /**
+   * Get the tenant's loyalty settings, or null when the programme is off
+   */
+  async getSettings(tenantId) {
+    try {
+      const profile = await this.firebaseService.getRestaurantProfile(tenantId);
+      const settings = profile?.loyalty;
+      return settings && settings.enabled !== false ? this.normalizeSettings(settings) : null;
+    } catch (error) {
+      console.error('[Loyalty] Failed to get settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Settings stored on the profile, for editing
+   */
+  async getConfiguredSettings(tenantId) {
+    const profile = await this.firebaseService.getRestaurantProfile(tenantId);
+    if (!profile) {
+      throw new Error('Restaurant profile not found');
+    }
+    return profile.loyalty ? this.normalizeSettings(profile.loyalty) : null;
+  }
+
+  /**
+   * Replace the tenant's loyalty settings
+   */
+  async saveSettings(tenantId, settings) {
+    const validation = this.validateSettings(settings);
+    if (!validation.valid) {
+      throw new Error(`Invalid loyalty settings: ${validation.errors.join(', ')}`);
+    }
+
+    try {
+      const normalized = this.normalizeSettings(settings);
+
+      await this.firebaseService.updateRestaurantProfile(tenantId, {
+        loyalty: normalized
+      });
+
+      console.log('[Loyalty] Saved settings', { tenantId, enabled: normalized.enabled, tiers: normalized.tiers.length });
+
+      return normalized;
+    } catch (error) {
+      console.error('[Loyalty] Failed to save settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Normalize loyalty settings. Tiers are sorted by the lifetime spend that unlocks them.
+   */
+  normalizeSettings(settings) {
+    const number = (value, fallback) => (value === undefined || value === null || value === ''
+      ? fallback
+      : Number(value));
+
+    return {
+      enabled: settings.enabled !== false,
+      pointsPerRupee: number(settings.pointsPerRupee, 0.1),
+      pointValue: number(settings.pointValue, 1),
+      minRedeemPoints: Math.max(0, parseInt(settings.minRedeemPoints) || 0),
+      maxRedeemPercent: number(settings.maxRedeemPercent, 100),
+      expiryDays: settings.expiryDays ? parseInt(settings.expiryDays) : null,
+      tiers: (Array.isArray(settings.tiers) ? settings.tiers : [])
+        .map(tier => ({
+          name: String(tier.name).trim(),
+          minSpend: round2(Number(tier.minSpend) || 0),
+          multiplier: Number(tier.multiplier) || 1
+        }))
+        .sort((a, b) => a.minSpend - b.minSpend)
+    };
+  }
+
+  /**
+   * Validate loyalty settings
+   */
+  validateSettings(settings) {
+    const errors = [];
+
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      return { valid: false, errors: ['settings must be an object'] };
+    }
+
+    const positive = (field) => {
+      if (settings[field] !== undefined && (isNaN(Number(settings[field])) || Number(settings[field]) <= 0)) {
+        errors.push(`${field} must be a positive number`);
+      }
+    };
+    positive('pointsPerRupee');
+    positive('pointValue');
+
+    if (settings.minRedeemPoints !== undefined && (isNaN(settings.minRedeemPoints) || settings.minRedeemPoints < 0)) {
+      errors.push('minRedeemPoints cannot be negative');
+    }
+
+    if (settings.maxRedeemPercent !== undefined &&
+      (isNaN(settings.maxRedeemPercent) || settings.maxRedeemPercent <= 0 || settings.maxRedeemPercent > 100)) {
+      errors.push('maxRedeemPercent must be between 1 and 100');
+    }
+
+    if (settings.expiryDays !== undefined && settings.expiryDays !== null &&
+      (isNaN(settings.expiryDays) || settings.expiryDays < 1)) {
+      errors.push('expiryDays must be at least 1 (or null for points that never expire)');
+    }
+
+    if (settings.tiers !== undefined) {
+      if (!Array.isArray(settings.tiers)) {
+        errors.push('tiers must be an array');
+      } else {
+        const names = new Set();
+        settings.tiers.forEach((tier, index) => {
+          if (!tier?.name || typeof tier.name !== 'string') {
+            errors.push(`Tier ${index + 1}: name is required`);
+            return;
+          }
+          if (names.has(tier.name.trim().toLowerCase())) {
+            errors.push(`Tier ${index + 1}: duplicate name "${tier.name}"`);
+          }
+          names.add(tier.name.trim().toLowerCase());
+
+          if (isNaN(Number(tier.minSpend)) || Number(tier.minSpend) < 0) {
+            errors.push(`${tier.name}: minSpend must be zero or more`);
+          }
+          if (tier.multiplier !== undefined && (isNaN(Number(tier.multiplier)) || Number(tier.multiplier) <= 0)) {
+            errors.push(`${tier.name}: multiplier must be a positive number`);
+          }
+        });
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  // ==================== ACCOUNTS ====================
+
+  /**
+   * Customer's loyalty account as of now, with expired points left out
+   * @returns {Promise<Object>} { phone, balance, value, lifetimePoints, lifetimeSpend, tier, nextTier, expiringSoon }
+   */
+  async getAccount(tenantId, phone, now = new Date()) {
+    try {
+      const [settings, customer] = await Promise.all([
+        this.getSettings(tenantId),
+        this.firebaseService.getDocument('customers', this.getCustomerId(tenantId, phone))
+      ]);
+
+      return this.summarizeAccount(settings, phone, customer?.loyalty, now);
+    } catch (error) {
+      console.error('[Loyalty] Failed to get account:', error);
+      throw error;
+    }
+  }
+
+  summarizeAccount(settings, phone, loyalty, now = new Date()) {
+    const account = this.expireLots(loyalty, now).account;
+    const soon = new Date(now.getTime() + EXPIRING_SOON_DAYS * DAY_MS);
+    const expiring = account.lots.filter(lot => lot.expiresAt && new Date(lot.expiresAt) <= soon);
+    const tier = this.getTier(settings, account.lifetimeSpend);
+    const nextTier = settings?.tiers.find(t => t.minSpend > account.lifetimeSpend) || null;
+
+    return {
+      enabled: Boolean(settings),
+      phone,
+      balance: account.balance,
+      value: settings ? round2(account.balance * settings.pointValue) : 0,
+      lifetimePoints: account.lifetimePoints,
+      lifetimeSpend: account.lifetimeSpend,
+      tier: tier ? { name: tier.name, multiplier: tier.multiplier } : null,
+      nextTier: nextTier ? {
+        name: nextTier.name,
+        spendNeeded: round2(nextTier.minSpend - account.lifetimeSpend)
+      } : null,
+      expiringSoon: expiring.length > 0 ? {
+        points: expiring.reduce((sum, lot) => sum + lot.remaining, 0),
+        expiresAt: expiring[0].expiresAt
+      } : null
+    };
+  }
+
+  /**
+   * Ledger entries for a customer, newest first
+   */
+  async getTransactions(tenantId, phone, limit = 50) {
+    try {
+      return await this.firebaseService.queryDocuments(
+        'loyalty_transactions',
+        { tenantId, phone },
+        { orderBy: 'createdAt', order: 'desc', limit }
+      );
+    } catch (error) {
+      console.error('[Loyalty] Failed to get transactions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tier a lifetime spend qualifies for, or null
+   */
+  getTier(settings, lifetimeSpend) {
+    const tiers = settings?.tiers || [];
+    return [...tiers].reverse().find(tier => lifetimeSpend >= tier.minSpend) || null;
+  }
+
+  // ==================== REDEMPTION ====================
+
+  /**
+   * Work out how many of the requested points can go against a cart.
+   * Capped by the balance and by maxRedeemPercent of what is left to pay.
+   * @param {number} points - Points asked for (the whole balance when not a number)
+   * @param {number} payable - Cart value after combos and promotions
+   * @returns {Promise<Object>} { points, amount, applied, message }
+   */
+  async quoteRedemption(tenantId, phone, points, payable, now = new Date()) {
+    const settings = await this.getSettings(tenantId);
+    if (!settings) {
+      return { points: 0, amount: 0, applied: false, message: 'This restaurant doesn\'t have a loyalty programme' };
+    }
+    if (!phone) {
+      return { points: 0, amount: 0, applied: false, message: 'Loyalty points need the customer\'s phone number' };
+    }
+
+    const account = await this.getAccount(tenantId, phone, now);
+    const requested = typeof points === 'number' && points > 0 ? Math.floor(points) : account.balance;
+    const cap = Math.floor(payable * settings.maxRedeemPercent / 100 / settings.pointValue);
+    const usable = Math.min(requested, account.balance, cap);
+
+    if (account.balance === 0) {
+      return { points: 0, amount: 0, applied: false, message: 'No loyalty points to redeem' };
+    }
+    if (usable < Math.max(settings.minRedeemPoints, 1)) {
+      return {
+        points: 0,
+        amount: 0,
+        applied: false,
+        message: settings.minRedeemPoints > account.balance
+          ? `At least ${settings.minRedeemPoints} points are needed to redeem (balance is ${account.balance})`
+          : 'The cart is too small to redeem points against'
+      };
+    }
+
+    const amount = round2(usable * settings.pointValue);
+    return {
+      points: usable,
+      amount,
+      applied: true,
+      message: `${usable} points redeemed: ₹${amount} off`
+    };
+  }
+
+  /**
+   * Take the points for an order off the customer's balance, oldest-expiring
+   * first. Idempotent per order.
+   * @throws {Error} 'Not enough loyalty points: ...' when the balance dropped since the cart was priced
+   */
+  async redeem(tenantId, orderId, phone, points) {
+    if (!points || points <= 0) {
+      return null;
+    }
+
+    try {
+      const entry = await this.firebaseService.runTransaction(async (tx) => {
+        const entryId = this.getEntryId(tenantId, orderId, 'redeem');
+        const existing = await tx.get('loyalty_transactions', entryId);
+        if (existing) {
+          return existing;
+        }
+
+        const customerId = this.getCustomerId(tenantId, phone);
+        const customer = await tx.get('customers', customerId);
+        const now = new Date();
+        const { account, expiry } = this.expireLots(customer?.loyalty, now);
+
+        if (account.balance < points) {
+          throw new Error(`Not enough loyalty points: balance is ${account.balance}`);
+        }
+
+        const consumed = this.consumeLots(account, points);
+        account.balance -= points;
+
+        this.writeExpiry(tx, tenantId, phone, expiry, now);
+        const record = this.writeEntry(tx, entryId, {
+          tenantId,
+          phone,
+          orderId,
+          type: 'redeem',
+          points: -points,
+          balanceAfter: account.balance,
+          lots: consumed,
+          createdAt: now.toISOString()
+        });
+        this.writeAccount(tx, customer, customerId, tenantId, phone, account, now);
+
+        return record;
+      });
+
+      console.log('[Loyalty] Points redeemed', { tenantId, orderId, points });
+
+      return entry;
+    } catch (error) {
+      console.error('[Loyalty] Failed to redeem points:', error);
+      throw error;
+    }
+  }
+
+  // ==================== EARNING ====================
+
+  /**
+   * Credit points for a delivered order: what the customer paid for food
+   * (after discounts, before delivery and GST) times pointsPerRupee and the
+   * tier multiplier. Idempotent per order.
+   */
+  async earn(tenantId, order) {
+    const phone = order.customer?.phone;
+    if (!phone) {
+      return null;
+    }
+
+    try {
+      const settings = await this.getSettings(tenantId);
+      if (!settings) {
+        return null;
+      }
+
+      const spend = round2(Math.max(0, (order.cart?.subtotal || 0) - (order.cart?.discount || 0)));
+
+      const entry = await this.firebaseService.runTransaction(async (tx) => {
+        const entryId = this.getEntryId(tenantId, order.orderId, 'earn');
+        const existing = await tx.get('loyalty_transactions', entryId);
+        if (existing) {
+          return null;
+        }
+
+        const customerId = this.getCustomerId(tenantId, phone);
+        const customer = await tx.get('customers', customerId);
+        const now = new Date();
+        const { account, expiry } = this.expireLots(customer?.loyalty, now);
+
+        // The tier the customer was in when they placed the order sets the multiplier
+        const tier = this.getTier(settings, account.lifetimeSpend);
+        const multiplier = tier?.multiplier || 1;
+        const points = Math.floor(spend * settings.pointsPerRupee * multiplier);
+        const expiresAt = settings.expiryDays
+          ? new Date(now.getTime() + settings.expiryDays * DAY_MS).toISOString()
+          : null;
+
+        account.lifetimeSpend = round2(account.lifetimeSpend + spend);
+        if (points > 0) {
+          account.balance += points;
+          account.lifetimePoints += points;
+          account.lots.push({ id: entryId, points, remaining: points, expiresAt });
+        }
+        account.tier = this.getTier(settings, account.lifetimeSpend)?.name || null;
+
+        this.writeExpiry(tx, tenantId, phone, expiry, now);
+        const record = this.writeEntry(tx, entryId, {
+          tenantId,
+          phone,
+          orderId: order.orderId,
+          type: 'earn',
+          points,
+          balanceAfter: account.balance,
+          spend,
+          tier: tier?.name || null,
+          multiplier,
+          expiresAt,
+          createdAt: now.toISOString()
+        });
+        this.writeAccount(tx, customer, customerId, tenantId, phone, account, now);
+
+        return record;
+      });
+
+      if (entry) {
+        console.log('[Loyalty] Points earned', { tenantId, orderId: order.orderId, points: entry.points });
+      }
+
+      return entry;
+    } catch (error) {
+      console.error('[Loyalty] Failed to earn points:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Undo an order's loyalty activity when it is cancelled: redeemed points
+   * go back (with their original expiry) and earned points are taken off.
+   * Idempotent per order.
+   */
+  async reverse(tenantId, orderId) {
+    try {
+      const settings = await this.getSettings(tenantId);
+
+      const reversed = await this.firebaseService.runTransaction(async (tx) => {
+        const redeemId = this.getEntryId(tenantId, orderId, 'redeem');
+        const earnId = this.getEntryId(tenantId, orderId, 'earn');
+        const [redemption, earning] = await Promise.all([
+          tx.get('loyalty_transactions', redeemId),
+          tx.get('loyalty_transactions', earnId)
+        ]);
+        const pending = [redemption, earning].filter(entry => entry && !entry.reversedAt);
+        if (pending.length === 0) {
+          return [];
+        }
+
+        const phone = pending[0].phone;
+        const customerId = this.getCustomerId(tenantId, phone);
+        const customer = await tx.get('customers', customerId);
+        const now = new Date();
+        const { account, expiry } = this.expireLots(customer?.loyalty, now);
+        const entries = [];
+
+        if (redemption && !redemption.reversedAt) {
+          // Points go back into the lots they came from; any that have expired since are gone
+          let points = 0;
+          (redemption.lots || []).forEach(consumed => {
+            if (consumed.expiresAt && new Date(consumed.expiresAt) <= now) {
+              return;
+            }
+            const lot = account.lots.find(l => l.id === consumed.id);
+            if (lot) {
+              lot.remaining += consumed.points;
+            } else {
+              account.lots.push({ id: consumed.id, points: consumed.points, remaining: consumed.points, expiresAt: consumed.expiresAt });
+            }
+            points += consumed.points;
+          });
+          account.balance += points;
+          this.sortLots(account);
+          entries.push({ id: `${redeemId}_refund`, type: 'refund', points, source: redemption });
+        }
+
+        if (earning && !earning.reversedAt) {
+          // Taken from the order's own lot first; if those were spent, from the rest of the balance
+          const points = Math.min(earning.points, account.balance);
+          const own = account.lots.find(lot => lot.id === earnId);
+          const fromOwn = Math.min(own?.remaining || 0, points);
+          if (own) {
+            own.remaining -= fromOwn;
+          }
+          this.consumeLots(account, points - fromOwn);
+          account.balance -= points;
+          account.lifetimePoints = Math.max(0, account.lifetimePoints - earning.points);
+          account.lifetimeSpend = round2(Math.max(0, account.lifetimeSpend - (earning.spend || 0)));
+          account.tier = this.getTier(settings, account.lifetimeSpend)?.name || null;
+          entries.push({ id: `${earnId}_reversal`, type: 'reversal', points: -points, source: earning });
+        }
+
+        this.writeExpiry(tx, tenantId, phone, expiry, now);
+        entries.forEach(({ id, type, points, source }) => {
+          this.writeEntry(tx, id, {
+            tenantId,
+            phone,
+            orderId,
+            type,
+            points,
+            balanceAfter: account.balance,
+            createdAt: now.toISOString()
+          });
+          tx.update('loyalty_transactions', source.id, { reversedAt: now.toISOString() });
+        });
+        this.writeAccount(tx, customer, customerId, tenantId, phone, account, now);
+
+        return entries.map(({ type, points }) => ({ type, points }));
+      });
+
+      if (reversed.length > 0) {
+        console.log('[Loyalty] Order points reversed', { tenantId, orderId, reversed });
+      }
+
+      return reversed;
+    } catch (error) {
+      console.error('[Loyalty] Failed to reverse points:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Manual credit or debit by restaurant staff, recorded with a reason
+   * @param {number} points - Positive to credit, negative to debit
+   */
+  async adjust(tenantId, phone, points, { reason, adjustedBy = 'system' } = {}) {
+    points = parseInt(points);
+    if (!points || !reason) {
+      throw new Error('Invalid adjustment: points (non-zero) and reason are required');
+    }
+
+    try {
+      const settings = await this.getSettings(tenantId);
+
+      const entry = await this.firebaseService.runTransaction(async (tx) => {
+        const customerId = this.getCustomerId(tenantId, phone);
+        const customer = await tx.get('customers', customerId);
+        if (!customer) {
+          throw new Error('Customer not found');
+        }
+
+        const now = new Date();
+        const { account, expiry } = this.expireLots(customer.loyalty, now);
+        const entryId = this.newEntryId(tenantId, phone);
+
+        if (points > 0) {
+          const expiresAt = settings?.expiryDays
+            ? new Date(now.getTime() + settings.expiryDays * DAY_MS).toISOString()
+            : null;
+          account.lots.push({ id: entryId, points, remaining: points, expiresAt });
+          account.balance += points;
+        } else {
+          if (account.balance < -points) {
+            throw new Error(`Not enough loyalty points: balance is ${account.balance}`);
+          }
+          this.consumeLots(account, -points);
+          account.balance += points;
+        }
+
+        this.writeExpiry(tx, tenantId, phone, expiry, now);
+        const record = this.writeEntry(tx, entryId, {
+          tenantId,
+          phone,
+          orderId: null,
+          type: 'adjustment',
+          points,
+          balanceAfter: account.balance,
+          reason,
+          adjustedBy,
+          createdAt: now.toISOString()
+        });
+        this.writeAccount(tx, customer, customerId, tenantId, phone, account, now);
+
+        return record;
+      });
+
+      console.log('[Loyalty] Points adjusted', { tenantId, phone, points, adjustedBy });
+
+      return entry;
+    } catch (error) {
+      console.error('[Loyalty] Failed to adjust points:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Order event listener: points are earned on delivery and reversed on cancellation
+   */
+  async handleOrderEvent(tenantId, order) {
+    try {
+      if (order?.status === 'delivered') {
+        await this.earn(tenantId, order);
+      } else if (order?.status === 'cancelled') {
+        await this.reverse(tenantId, order.orderId);
+      }
+    } catch (error) {
+      console.error('[Loyalty] Failed to handle order event:', error);
+    }
+  }
+
+  // ==================== LEDGER ====================
+
+  /**
+   * Copy of the stored account with lots past their expiry dropped
+   * @returns {Object} { account, expiry: { points, lots, balanceAfter } | null }
+   */
+  expireLots(loyalty, now) {
+    const account = {
+      balance: loyalty?.balance || 0,
+      lifetimePoints: loyalty?.lifetimePoints || 0,
+      lifetimeSpend: loyalty?.lifetimeSpend || 0,
+      tier: loyalty?.tier || null,
+      lots: (loyalty?.lots || []).map(lot => ({ ...lot }))
+    };
+
+    const expired = account.lots.filter(lot => lot.expiresAt && new Date(lot.expiresAt) <= now);
+    const points = expired.reduce((sum, lot) => sum + lot.remaining, 0);
+    account.balance -= points;
+    account.lots = account.lots.filter(lot => !expired.includes(lot));
+    this.sortLots(account);
+
+    return {
+      account,
+      expiry: points > 0 ? {
+        points,
+        lots: expired.map(lot => ({ id: lot.id, points: lot.remaining })),
+        balanceAfter: account.balance
+      } : null
+    };
+  }
+
+  /**
+   * Soonest expiry first; points that never expire last
+   */
+  sortLots(account) {
+    account.lots.sort((a, b) => {
+      if (!a.expiresAt || !b.expiresAt) {
+        return (a.expiresAt ? 0 : 1) - (b.expiresAt ? 0 : 1);
+      }
+      return new Date(a.expiresAt) - new Date(b.expiresAt);
+    });
+  }
+
+  /**
+   * Spend points from the lots that expire first
+   * @returns {Array} [{ id, points, expiresAt }] taken from each lot
+   */
+  consumeLots(account, points) {
+    const consumed = [];
+    let remaining = points;
+
+    for (const lot of account.lots) {
+      if (remaining <= 0) break;
+      const take = Math.min(lot.remaining, remaining);
+      if (take > 0) {
+        lot.remaining -= take;
+        remaining -= take;
+        consumed.push({ id: lot.id, points: take, expiresAt: lot.expiresAt });
+      }
+    }
+
+    account.lots = account.lots.filter(lot => lot.remaining > 0);
+    return consumed;
+  }
+
+  writeExpiry(tx, tenantId, phone, expiry, now) {
+    if (!expiry) {
+      return;
+    }
+
+    this.writeEntry(tx, this.newEntryId(tenantId, phone), {
+      tenantId,
+      phone,
+      orderId: null,
+      type: 'expiry',
+      points: -expiry.points,
+      balanceAfter: expiry.balanceAfter,
+      lots: expiry.lots,
+      createdAt: now.toISOString()
+    });
+  }
+
+  writeEntry(tx, entryId, record) {
+    tx.create('loyalty_transactions', entryId, record);
+    return { id: entryId, ...record };
+  }
+
+  writeAccount(tx, customer, customerId, tenantId, phone, account, now) {
+    const loyalty = { ...account, updatedAt: now.toISOString() };
+
+    if (customer) {
+      tx.update('customers', customerId, { loyalty });
+    } else {
+      // Orders can be placed before the profile write from capture_customer_info lands
+      tx.set('customers', customerId, {
+        tenantId,
+        phone,
+        loyalty,
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString()
+      });
+    }
+  }
+
+  getCustomerId(tenantId, phone) {
+    return `${tenantId}_${phone}`;
+  }
+
+  getEntryId(tenantId, orderId, type) {
+    return `${tenantId}_${orderId}_${type}`;
+  }
+
+  newEntryId(tenantId, phone) {
+    return `${tenantId}_${phone}_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+  }
+}
+
+export default LoyaltyService;
@@ -5,6 +5,10 @@
 
 import { CloudflareImageService } from './CloudflareImageService.js';
 import { ExcelParserService } from './ExcelParserService.js';
+import { MenuSearchService } from './MenuSearchService.js';
+import { ModifierService } from './ModifierService.js';
+import { AvailabilityService } from './AvailabilityService.js';
+import { TaxService } from './TaxService.js';
 import { getFirebaseService } from './FirebaseService.js';
 import { STATIC_MENU_ITEMS } from '../data/staticMenu.js';
 
@@ -15,6 +19,10 @@ export class MenuManagementService {
     this.excelParser = new ExcelParserService();
     this.firebase = getFirebaseService(config);
     this.useStaticMenu = config.useStaticMenu !== false; // Default to true
+    this.searchService = new MenuSearchService(config.menuSearch);
+    this.modifierService = new ModifierService();
+    this.availabilityService = new AvailabilityService(this.firebase, config.availability);
+    this.taxService = new TaxService(config.tax);
   }
 
   /**
@@ -22,6 +30,10 @@ export class MenuManagementService {
    */
   async createMenuItem(tenantId, itemData, imageBuffer = null) {
     try {
+      const modifierGroups = this.prepareModifierGroups(itemData.modifierGroups);
+      const schedule = this.availabilityService.normalizeSchedule(itemData.schedule);
+      const gst = this.prepareGstFields(itemData);
+
       let imageUrl = null;
       let imageId = null;
 
@@ -49,6 +61,8 @@ export class MenuManagementService {
       // Create menu item document
       const menuItem = {
         name: itemData.name,
+        nameLocal: itemData.nameLocal || null,
+        synonyms: itemData.synonyms || [],
         description: itemData.description || '',
         price: itemData.price,
         category: itemData.category,
@@ -57,8 +71,15 @@ export class MenuManagementService {
         dietaryTags: itemData.dietaryTags || [],
         spiceLevel: itemData.spiceLevel || 'medium',
         available: itemData.available !== false,
+        schedule,
         preparationTime: itemData.preparationTime || '15-20 minutes',
         servingSize: itemData.servingSize || 'Serves 1',
+        taxCategory: gst.taxCategory,
+        hsnCode: itemData.hsnCode || null,
+        gstRate: gst.gstRate,
+        modifierGroups,
+        variants: itemData.variants || [],
+        addons: itemData.addons || [],
         imageUrl,
         imageId
       };
@@ -68,6 +89,8 @@ export class MenuManagementService {
 
       console.log('[MenuManagementService] Menu item created', { id: created.id, name: created.name });
 
+      this.searchService.invalidate(tenantId);
+
       // TODO: Sync to Google File Search for RAG
       // await this.syncToFileSearch(tenantId, created);
 
@@ -146,6 +169,19 @@ export class MenuManagementService {
       // Get existing item
       const existingItem = await this.getMenuItem(itemId);
 
+      if (updates.modifierGroups !== undefined) {
+        updates.modifierGroups = this.prepareModifierGroups(updates.modifierGroups);
+      }
+      if (updates.schedule !== undefined) {
+        updates.schedule = this.availabilityService.normalizeSchedule(updates.schedule);
+      }
+      if (updates.taxCategory !== undefined || updates.gstRate !== undefined) {
+        Object.assign(updates, this.prepareGstFields({
+          taxCategory: updates.taxCategory !== undefined ? updates.taxCategory : existingItem.taxCategory,
+          gstRate: updates.gstRate !== undefined ? updates.gstRate : existingItem.gstRate
+        }));
+      }
+
       // Handle new image upload
       if (newImageBuffer && this.imageService.isConfigured()) {
         console.log('[MenuManagementService] Uploading new image...');
@@ -178,6 +214,8 @@ export class MenuManagementService {
 
       console.log('[MenuManagementService] Menu item updated', { id: itemId });
 
+      this.searchService.invalidate(existingItem.tenantId);
+
       // TODO: Re-sync to Google File Search
       // await this.syncToFileSearch(updated.tenantId, updated);
 
@@ -188,6 +226,37 @@ export class MenuManagementService {
     }
   }
 
+  /**
+   * Validate and normalize modifier groups for storage
+   */
+  prepareModifierGroups(groups) {
+    if (!groups || (Array.isArray(groups) && groups.length === 0)) {
+      return [];
+    }
+
+    const validation = this.modifierService.validateGroups(groups);
+    if (!validation.valid) {
+      throw new Error(`Invalid modifier groups: ${validation.errors.join(', ')}`);
+    }
+
+    return groups.map(group => this.modifierService.normalizeGroup(group));
+  }
+
+  /**
+   * Validate an item's tax category and GST rate (percent) for storage
+   */
+  prepareGstFields({ taxCategory, gstRate }) {
+    const validation = this.taxService.validateItemTax({ taxCategory, gstRate });
+    if (!validation.valid) {
+      throw new Error(`Invalid GST: ${validation.errors.join(', ')}`);
+    }
+
+    return {
+      taxCategory: taxCategory || null,
+      gstRate: gstRate === undefined || gstRate === null || gstRate === '' ? null : Number(gstRate)
+    };
+  }
+
   /**
    * Delete a menu item and its image
    */
@@ -211,6 +280,8 @@ export class MenuManagementService {
 
       console.log('[MenuManagementService] Menu item deleted', { id: itemId });
 
+      this.searchService.invalidate(item.tenantId);
+
       // TODO: Remove from Google File Search
       // await this.removeFromFileSearch(item.tenantId, itemId);
 
@@ -302,16 +373,23 @@ export class MenuManagementService {
   }
 
   /**
-   * Search menu items
+   * Search menu items. Items that can't be ordered right now (sold out, off
+   * schedule) are left out unless `includeUnavailable` is set; every result
+   * carries its `availability`.
    */
-  async searchMenuItems(tenantId, query) {
+  async searchMenuItems(tenantId, query, options = {}) {
     try {
       const items = await this.listMenuItems(tenantId);
       const queryLower = query.toLowerCase();
 
-      // Simple text search in name and description
-      const results = items.filter(item => {
-        return (
+      // Fuzzy name matches, best first
+      const ranked = this.searchService.search(tenantId, items, query, { limit: items.length })
+        .matches.map(match => match.item);
+      const rankedIds = new Set(ranked.map(item => item.id));
+
+      // Then plain text hits in descriptions, categories and dietary tags
+      const textMatches = items.filter(item => {
+        return !rankedIds.has(item.id) && (
           item.name.toLowerCase().includes(queryLower) ||
           item.description.toLowerCase().includes(queryLower) ||
           item.category?.toLowerCase().includes(queryLower) ||
@@ -320,6 +398,8 @@ export class MenuManagementService {
           item.dietaryTags?.some(tag => tag.toLowerCase().includes(queryLower))
         );
       });
+      const results = (await this.availabilityService.annotateItems(tenantId, [...ranked, ...textMatches]))
+        .filter(item => options.includeUnavailable || item.availability.available);
 
       console.log('[MenuManagementService] Search results', {
         query,
@@ -333,6 +413,69 @@ export class MenuManagementService {
     }
   }
 
+  /**
+   * Rank menu items against a spoken dish name, with a confidence the voice
+   * agent uses to decide between adding the dish and asking "did you mean...?"
+   * @returns {Promise<Object>} { query, matches: [{ item, score, matchedOn, field }], confidence, ambiguous, suggestions }
+   */
+  async rankMenuItems(tenantId, query) {
+    try {
+      const items = await this.listMenuItems(tenantId);
+      const result = this.searchService.search(tenantId, items, query);
+
+      // Sold-out dishes still match, so the agent can say so instead of guessing another dish
+      const context = await this.availabilityService.getContext(tenantId);
+      result.matches = result.matches.map(match => ({
+        ...match,
+        item: { ...match.item, availability: this.availabilityService.getItemStatus(match.item, context) }
+      }));
+
+      console.log('[MenuManagementService] Ranked search', {
+        query,
+        confidence: result.confidence,
+        top: result.matches.slice(0, 3).map(match => `${match.item.name}:${match.score}`)
+      });
+
+      return result;
+    } catch (error) {
+      console.error('[MenuManagementService] Ranked search error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Menu items with their current availability (86 list, stock and schedule)
+   */
+  async getMenuAvailability(tenantId) {
+    try {
+      const items = await this.listMenuItems(tenantId);
+      return this.availabilityService.annotateItems(tenantId, items);
+    } catch (error) {
+      console.error('[MenuManagementService] Get availability error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 86 an item, put it back on, or set its remaining stock
+   * @param {Object} updates - { soldOut, stock, reason, updatedBy }
+   */
+  async setItemAvailability(tenantId, itemId, updates) {
+    try {
+      const items = await this.listMenuItems(tenantId);
+      const item = items.find(menuItem => menuItem.id === itemId);
+
+      if (!item) {
+        throw new Error('Menu item not found');
+      }
+
+      return await this.availabilityService.setItemAvailability(tenantId, item, updates);
+    } catch (error) {
+      console.error('[MenuManagementService] Set availability error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get menu statistics
    */
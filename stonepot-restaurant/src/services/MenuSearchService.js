@@ -0,0 +1,412 @@
+/**
+ * Menu Search Service
+ * Ranked, voice-tolerant dish search. Matches misheard and misspelt names with
+ * edit distance and Indian-English phonetic keys, local-script names through
+ * transliteration, and regional names through synonym lists.
+ */
+
+import NodeCache from 'node-cache';
+
+/**
+ * Words that carry no dish identity ("one plate of the ...")
+ */
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'and', 'with', 'some', 'please', 'plate', 'plates',
+  'one', 'two', 'three', 'four', 'serves', 'serve', 'ps', 'pcs', 'pc'
+]);
+
+/**
+ * Regional and English names for the same thing. Every word in a group
+ * matches every other word in it.
+ */
+const DEFAULT_SYNONYMS = [
+  ['chicken', 'koli', 'kozhi', 'murgh', 'murg', 'kodi'],
+  ['pork', 'pandi', 'panni'],
+  ['mutton', 'gosht', 'yerachi', 'erachi', 'kuri', 'mamsa'],
+  ['fish', 'meen', 'machli', 'meenu', 'macchi'],
+  ['prawn', 'prawns', 'shrimp', 'chemmeen', 'jhinga', 'yetti'],
+  ['egg', 'anda', 'motte', 'mutta', 'kodimotte'],
+  ['curry', 'kari', 'saaru', 'masala', 'gravy'],
+  ['rice', 'chawal', 'anna', 'choru', 'bhaat'],
+  ['ghee', 'ney', 'tuppa', 'nei'],
+  ['roti', 'otti', 'rotti'],
+  ['mushroom', 'kumbh', 'kummu', 'koon'],
+  ['jackfruit', 'chakka', 'halasu', 'kathal'],
+  ['bamboo', 'bimballe', 'bembla', 'kanile'],
+  ['fry', 'fried', 'varuval', 'porichathu'],
+  ['veg', 'vegetable', 'vegetarian', 'sabzi']
+];
+
+/**
+ * Latin letters for the Indic Unicode blocks. The blocks share one layout, so
+ * offsets from the block start mean the same letter in every script.
+ */
+const INDIC_BLOCKS = [
+  0x0900, // Devanagari
+  0x0980, // Bengali
+  0x0A00, // Gurmukhi
+  0x0A80, // Gujarati
+  0x0B00, // Oriya
+  0x0B80, // Tamil
+  0x0C00, // Telugu
+  0x0C80, // Kannada
+  0x0D00 // Malayalam
+];
+
+const INDIC_VOWELS = {
+  0x05: 'a', 0x06: 'aa', 0x07: 'i', 0x08: 'ii', 0x09: 'u', 0x0A: 'uu', 0x0B: 'ri',
+  0x0E: 'e', 0x0F: 'e', 0x10: 'ai', 0x12: 'o', 0x13: 'o', 0x14: 'au'
+};
+
+const INDIC_CONSONANTS = {
+  0x15: 'k', 0x16: 'kh', 0x17: 'g', 0x18: 'gh', 0x19: 'ng',
+  0x1A: 'ch', 0x1B: 'chh', 0x1C: 'j', 0x1D: 'jh', 0x1E: 'ny',
+  0x1F: 't', 0x20: 'th', 0x21: 'd', 0x22: 'dh', 0x23: 'n',
+  0x24: 't', 0x25: 'th', 0x26: 'd', 0x27: 'dh', 0x28: 'n', 0x29: 'n',
+  0x2A: 'p', 0x2B: 'ph', 0x2C: 'b', 0x2D: 'bh', 0x2E: 'm',
+  0x2F: 'y', 0x30: 'r', 0x31: 'r', 0x32: 'l', 0x33: 'l', 0x34: 'zh', 0x35: 'v',
+  0x36: 'sh', 0x37: 'sh', 0x38: 's', 0x39: 'h'
+};
+
+const INDIC_VOWEL_SIGNS = {
+  0x3E: 'aa', 0x3F: 'i', 0x40: 'ii', 0x41: 'u', 0x42: 'uu', 0x43: 'ri',
+  0x46: 'e', 0x47: 'e', 0x48: 'ai', 0x4A: 'o', 0x4B: 'o', 0x4C: 'au'
+};
+
+const INDIC_VIRAMA = 0x4D;
+const ANUSVARA = '\u0001'; // Placeholder until the next letter is known: m before p/b/m, else n
+const INDIC_NUKTA = 0x3C;
+const INDIC_SIGNS = { 0x01: 'n', 0x02: ANUSVARA, 0x03: 'h' }; // Candrabindu, anusvara, visarga
+
+/**
+ * Spellings that sound alike in Indian English, folded before building
+ * phonetic keys (applied in order)
+ */
+const PHONETIC_RULES = [
+  [/ph/g, 'f'], [/zh/g, 'l'], [/chh?/g, 'c'], [/sh/g, 's'],
+  [/([kgtdbj])h/g, '$1'], [/q/g, 'k'], [/ck/g, 'k'], [/x/g, 'ks'],
+  [/w/g, 'v'], [/z/g, 'j'], [/c(?=[eiy])/g, 's'], [/c/g, 'k'], [/y/g, 'i'],
+  [/ee/g, 'i'], [/oo/g, 'u'], [/ou/g, 'u'], [/aa/g, 'a'], [/ii/g, 'i'], [/uu/g, 'u'],
+  [/(.)\1+/g, '$1']
+];
+
+export class MenuSearchService {
+  constructor(config = {}) {
+    this.minScore = config.minScore ?? 0.55; // Below this an item is not a match
+    this.confidentScore = config.confidentScore ?? 0.8; // Top hit safe to use without asking
+    this.ambiguityMargin = config.ambiguityMargin ?? 0.08; // Runners-up this close make the top hit ambiguous
+    this.maxResults = config.maxResults || 5;
+
+    this.synonymGroups = new Map();
+    [...DEFAULT_SYNONYMS, ...(config.synonyms || [])].forEach(group => this.addSynonyms(group));
+
+    // Search index per tenant, rebuilt when the menu changes or after the TTL
+    this.indexCache = new NodeCache({
+      stdTTL: config.indexTtl || 300,
+      checkperiod: 120,
+      useClones: false
+    });
+  }
+
+  /**
+   * Register words that mean the same dish or ingredient
+   */
+  addSynonyms(words) {
+    const normalized = words.map(word => this.normalize(word)).filter(Boolean);
+    if (normalized.length < 2) return;
+
+    // Join any group one of the words already belongs to
+    const groupId = normalized.map(word => this.synonymGroups.get(word)).find(Boolean) || normalized[0];
+    normalized.forEach(word => this.synonymGroups.set(word, groupId));
+  }
+
+  /**
+   * Rank menu items against a spoken or typed dish name
+   * @param {string} tenantId - Restaurant/tenant ID (index cache key)
+   * @param {Array} items - Menu items
+   * @param {string} query - Dish name as heard
+   * @param {Object} options - { limit } (defaults to maxResults)
+   * @returns {Object} { query, matches: [{ item, score, matchedOn, field }], confidence, ambiguous, suggestions }
+   */
+  search(tenantId, items, query, { limit = this.maxResults } = {}) {
+    const queryTokens = this.tokenize(query);
+
+    if (queryTokens.length === 0) {
+      return { query, matches: [], confidence: 'none', ambiguous: false, suggestions: [] };
+    }
+
+    const index = this.getIndex(tenantId, items);
+
+    const matches = index
+      .map(entry => ({ entry, ...this.scoreEntry(entry, queryTokens) }))
+      .filter(match => match.score >= this.minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ entry, score, matchedOn, field }) => ({
+        item: entry.item,
+        score: Math.round(score * 100) / 100,
+        matchedOn,
+        field
+      }));
+
+    const top = matches[0];
+    const closeCalls = top
+      ? matches.filter(match => match.item !== top.item && top.score - match.score <= this.ambiguityMargin)
+      : [];
+    const ambiguous = Boolean(top) && top.score < 1 && closeCalls.length > 0;
+
+    let confidence = 'none';
+    if (top) {
+      confidence = top.score >= this.confidentScore && !ambiguous ? 'high' : 'low';
+    }
+
+    return {
+      query,
+      matches,
+      confidence,
+      ambiguous,
+      suggestions: top && confidence !== 'high'
+        ? [...new Set([top, ...closeCalls].map(match => match.item.name))].slice(0, 3)
+        : []
+    };
+  }
+
+  /**
+   * Drop a tenant's index (menu item created, updated or deleted)
+   */
+  invalidate(tenantId = null) {
+    if (tenantId) {
+      this.indexCache.del(tenantId);
+    } else {
+      this.indexCache.flushAll();
+    }
+  }
+
+  /**
+   * Searchable terms for each menu item (cached per tenant)
+   */
+  getIndex(tenantId, items) {
+    const signature = items.map(item => `${item.id}:${item.updatedAt || ''}:${item.available}`).join('|');
+    const cached = this.indexCache.get(tenantId);
+    if (cached && cached.signature === signature) {
+      return cached.index;
+    }
+
+    const index = items.map(item => {
+      const terms = [
+        { field: 'name', text: item.name, weight: 1 },
+        { field: 'nameLocal', text: item.nameLocal, weight: 1 },
+        ...(item.synonyms || []).map(text => ({ field: 'synonym', text, weight: 0.95 })),
+        { field: 'category', text: item.category, weight: 0.6 },
+        { field: 'subcategory', text: item.subcategory, weight: 0.6 },
+        { field: 'description', text: item.description, weight: 0.5 }
+      ];
+
+      return {
+        item,
+        terms: terms
+          .filter(term => term.text)
+          .map(term => ({ ...term, tokens: this.tokenize(term.text) }))
+          .filter(term => term.tokens.length > 0)
+      };
+    });
+
+    this.indexCache.set(tenantId, { signature, index });
+
+    return index;
+  }
+
+  /**
+   * Best score for an item over all its terms
+   */
+  scoreEntry(entry, queryTokens) {
+    let best = { score: 0, matchedOn: null, field: null };
+
+    for (const term of entry.terms) {
+      const score = this.scoreTerm(queryTokens, term.tokens) * term.weight;
+      if (score > best.score) {
+        best = { score, matchedOn: term.text, field: term.field };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * How well the query words match one term: each query word against its
+   * closest term word, scaled by how much of the term was covered. Both sides
+   * are also compared run together, for "akki otti" against "akkiotti".
+   */
+  scoreTerm(queryTokens, termTokens) {
+    const matched = new Set();
+    let total = 0;
+
+    queryTokens.forEach(queryToken => {
+      let bestScore = 0;
+      let bestIndex = -1;
+      termTokens.forEach((termToken, index) => {
+        const score = this.tokenSimilarity(queryToken, termToken);
+        if (score > bestScore) {
+          bestScore = score;
+          bestIndex = index;
+        }
+      });
+      total += bestScore;
+      if (bestScore >= 0.7) matched.add(bestIndex);
+    });
+
+    const wordScore = (total / queryTokens.length) * (0.75 + 0.25 * (matched.size / termTokens.length));
+    const joinedScore = this.stringSimilarity(
+      queryTokens.map(t => t.word).join(''),
+      termTokens.map(t => t.word).join('')
+    ) * 0.95;
+
+    return Math.max(wordScore, joinedScore);
+  }
+
+  /**
+   * Similarity of two words: spelling, phonetic key, synonyms and prefixes
+   */
+  tokenSimilarity(a, b) {
+    if (a.word === b.word) return 1;
+    if (a.group && a.group === b.group) return 0.9;
+
+    let score = this.stringSimilarity(a.word, b.word);
+    if (a.key.length >= 2 && a.key === b.key) {
+      score = Math.max(score, 0.9);
+    } else {
+      score = Math.max(score, this.stringSimilarity(a.key, b.key) * 0.85);
+    }
+
+    // Partial words ("bimb" for "bimballe")
+    if (a.word.length >= 3 && b.word.startsWith(a.word)) {
+      score = Math.max(score, 0.8);
+    }
+
+    return score;
+  }
+
+  /**
+   * 1 - normalized Levenshtein distance
+   */
+  stringSimilarity(a, b) {
+    if (a === b) return 1;
+    const longest = Math.max(a.length, b.length);
+    if (longest === 0) return 1;
+    return 1 - this.editDistance(a, b) / longest;
+  }
+
+  editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Split text into normalized words with phonetic keys and synonym groups
+   */
+  tokenize(text) {
+    return this.normalize(text)
+      .split(' ')
+      .filter(word => word && !STOP_WORDS.has(word) && !/^\d+$/.test(word))
+      .map(word => ({
+        word,
+        key: this.phoneticKey(word),
+        group: this.synonymGroups.get(word) || null
+      }));
+  }
+
+  /**
+   * Lowercase Latin text: local scripts transliterated, accents and punctuation removed
+   */
+  normalize(text) {
+    return this.transliterate(String(text || ''))
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Romanize Indic-script text (Kannada, Devanagari, Tamil, Malayalam...)
+   */
+  transliterate(text) {
+    let output = '';
+    let pendingVowel = false; // Consonant written, inherent "a" not yet decided
+    let devanagari = false;
+
+    const flush = () => {
+      if (pendingVowel) output += 'a';
+      pendingVowel = false;
+    };
+
+    for (const char of text) {
+      const code = char.codePointAt(0);
+      const block = INDIC_BLOCKS.find(start => code >= start && code < start + 0x80);
+
+      if (block === undefined) {
+        // Hindi drops the inherent vowel at the end of a word (पनीर = paneer)
+        if (pendingVowel && devanagari) pendingVowel = false;
+        flush();
+        output += char;
+        continue;
+      }
+
+      const offset = code - block;
+      devanagari = block === 0x0900;
+
+      if (INDIC_CONSONANTS[offset]) {
+        flush();
+        output += INDIC_CONSONANTS[offset];
+        pendingVowel = true;
+      } else if (INDIC_VOWEL_SIGNS[offset]) {
+        output += INDIC_VOWEL_SIGNS[offset];
+        pendingVowel = false;
+      } else if (offset === INDIC_VIRAMA) {
+        pendingVowel = false;
+      } else if (offset === INDIC_NUKTA) {
+        continue;
+      } else if (INDIC_VOWELS[offset]) {
+        flush();
+        output += INDIC_VOWELS[offset];
+      } else if (INDIC_SIGNS[offset]) {
+        flush();
+        output += INDIC_SIGNS[offset];
+      } else if (offset >= 0x66 && offset <= 0x6F) {
+        flush();
+        output += String(offset - 0x66);
+      }
+    }
+
+    if (pendingVowel && devanagari) pendingVowel = false;
+    flush();
+
+    return output
+      .replace(new RegExp(`${ANUSVARA}(?=[pbm])`, 'g'), 'm')
+      .replaceAll(ANUSVARA, 'n');
+  }
+
+  /**
+   * Phonetic key: sound-alike spellings folded, then vowels dropped after the
+   * first letter ("pandhi kari" and "pandi curry" share keys)
+   */
+  phoneticKey(word) {
+    const folded = PHONETIC_RULES.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), word);
+    return folded[0] + folded.slice(1).replace(/[aeiou]/g, '');
+  }
+}
+
+export default MenuSearchService;
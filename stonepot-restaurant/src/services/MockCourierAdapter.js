@@ -0,0 +1,177 @@
+/**
+ * Mock Courier Adapter
+ * Deterministic in-memory courier for running the dispatch path offline.
+ * Fares depend only on distance, IDs on the request, and deliveries only move
+ * when advanced explicitly (or by a webhook built with buildWebhookPayload).
+ */
+
+import crypto from 'crypto';
+import { CourierAdapter, TERMINAL_DELIVERY_STATUSES } from './CourierAdapter.js';
+
+const PROGRESSION = ['requested', 'assigned', 'arrived_at_pickup', 'picked_up', 'in_transit', 'delivered'];
+
+export class MockCourierAdapter extends CourierAdapter {
+  constructor(config = {}) {
+    super('mock', 'Mock courier');
+
+    this.baseFare = config.baseFare ?? 25;
+    this.perKmFare = config.perKmFare ?? 8;
+    this.webhookSecret = config.webhookSecret || null;
+    this.production = config.production || false;
+    this.deliveries = new Map();
+  }
+
+  async getFareEstimate(request) {
+    const distance = this.estimateDistance(request.pickup, request.drop);
+
+    return {
+      success: true,
+      courier: this.name,
+      fareQuoteId: `MOCKQ-${request.requestId}`,
+      estimatedFare: this.baseFare + Math.ceil(distance) * this.perKmFare,
+      estimatedDistance: distance,
+      estimatedDuration: 10 + Math.ceil(distance * 3),
+      currency: 'INR'
+    };
+  }
+
+  async createDelivery(request) {
+    const quote = await this.getFareEstimate(request);
+    const deliveryId = `MOCK-${request.requestId}`;
+
+    this.deliveries.set(deliveryId, {
+      deliveryId,
+      tenantId: request.tenantId,
+      orderId: request.orderDetails.orderId,
+      status: 'requested',
+      fare: quote.estimatedFare,
+      driverDetails: null
+    });
+
+    console.log('[MockCourier] Delivery created', { deliveryId });
+
+    return {
+      success: true,
+      courier: this.name,
+      deliveryId,
+      status: 'requested',
+      trackingUrl: `https://mock-courier.local/track/${deliveryId}`,
+      driverDetails: null,
+      estimatedDeliveryTime: null,
+      fare: quote.estimatedFare
+    };
+  }
+
+  async trackDelivery(deliveryId) {
+    const delivery = this.getDelivery(deliveryId);
+
+    return {
+      success: true,
+      courier: this.name,
+      deliveryId,
+      status: delivery.status,
+      currentLocation: null,
+      driverDetails: delivery.driverDetails,
+      estimatedDeliveryTime: null
+    };
+  }
+
+  async cancelDelivery(deliveryId, reason) {
+    const delivery = this.getDelivery(deliveryId);
+
+    if (TERMINAL_DELIVERY_STATUSES.includes(delivery.status)) {
+      throw new Error(`Cannot cancel delivery with status: ${delivery.status}`);
+    }
+    delivery.status = 'cancelled';
+
+    return {
+      success: true,
+      courier: this.name,
+      deliveryId,
+      status: 'cancelled',
+      cancellationFee: 0
+    };
+  }
+
+  /**
+   * Webhook payload in the mock courier's own format
+   */
+  buildWebhookPayload(deliveryId, status, extra = {}) {
+    return {
+      delivery_id: deliveryId,
+      status,
+      rider: status === 'requested' ? null : { name: 'Mock Rider', phone: '9000000000' },
+      timestamp: extra.timestamp || new Date().toISOString(),
+      reason: extra.reason || null
+    };
+  }
+
+  /**
+   * Mock webhooks can move any mock delivery, so they need the shared secret
+   * in X-Mock-Courier-Secret and are never accepted in production
+   */
+  verifyWebhook(rawBody, headers) {
+    if (this.production) {
+      console.warn('[MockCourier] Webhook rejected: mock courier webhooks are disabled in production');
+      return false;
+    }
+    if (!this.webhookSecret) {
+      console.warn('[MockCourier] Webhook rejected: COURIER_MOCK_WEBHOOK_SECRET not configured');
+      return false;
+    }
+
+    const expected = Buffer.from(this.webhookSecret);
+    const received = Buffer.from(String(headers?.['x-mock-courier-secret'] || ''));
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  normalizeWebhook(payload) {
+    if (!payload?.delivery_id || !payload.status) {
+      return null;
+    }
+
+    const delivery = this.deliveries.get(payload.delivery_id);
+    if (delivery) {
+      delivery.status = payload.status;
+      delivery.driverDetails = payload.rider || delivery.driverDetails;
+    }
+
+    return {
+      courier: this.name,
+      deliveryId: payload.delivery_id,
+      event: `mock.${payload.status}`,
+      status: payload.status,
+      driverDetails: payload.rider || null,
+      location: null,
+      reason: payload.reason || null,
+      occurredAt: payload.timestamp
+    };
+  }
+
+  /**
+   * Move a delivery to its next status and emit the update
+   */
+  async advance(deliveryId) {
+    const delivery = this.getDelivery(deliveryId);
+    const next = PROGRESSION[PROGRESSION.indexOf(delivery.status) + 1];
+
+    if (!next) {
+      throw new Error(`Cannot advance delivery with status: ${delivery.status}`);
+    }
+
+    const update = this.normalizeWebhook(this.buildWebhookPayload(deliveryId, next));
+    await this.emitUpdate({ ...update, orderId: delivery.orderId, tenantId: delivery.tenantId });
+
+    return update;
+  }
+
+  getDelivery(deliveryId) {
+    const delivery = this.deliveries.get(deliveryId);
+    if (!delivery) {
+      throw new Error('Delivery not found');
+    }
+    return delivery;
+  }
+}
+
+export default MockCourierAdapter;
@@ -4,11 +4,29 @@
  */
 
 export class MockPaymentService {
-  constructor() {
+  constructor(config = {}) {
     this.enabled = true;
+    this.refundListeners = new Set();
+    // Mock UPI QR codes and the payments made to them, by QR code ID
+    this.upiQrs = new Map();
+    // Amounts (paise) of mock Razorpay orders, and of captured payments with what was refunded from them
+    this.paymentOrders = new Map();
+    this.payments = new Map();
+    // Pay each UPI QR on its own after this many seconds (0 = only through simulateUpiPayment)
+    this.upiAutoPaySeconds = config.mockUpiAutoPaySeconds || 0;
     console.log('[MockPayment] Service initialized (TEST MODE)');
   }
 
+  /**
+   * Subscribe to refunds created through refundPayment
+   * @param {Function} listener - (refund) => void
+   * @returns {Function} Unsubscribe function
+   */
+  onRefund(listener) {
+    this.refundListeners.add(listener);
+    return () => this.refundListeners.delete(listener);
+  }
+
   /**
    * Create a mock payment order
    * @param {Object} params - Order parameters
@@ -48,6 +66,8 @@ export class MockPaymentService {
       created_at: Math.floor(Date.now() / 1000)
     };
 
+    this.paymentOrders.set(mockOrder.id, amountInPaise);
+
     console.log('[MockPayment] Mock order created:', mockOrder.id);
 
     return mockOrder;
@@ -64,7 +84,10 @@ export class MockPaymentService {
       paymentId
     });
 
-    // In mock mode, always verify successfully
+    // In mock mode, always verify successfully; the payment is for the whole order
+    if (this.paymentOrders.has(orderId)) {
+      this.recordCapture(paymentId, this.paymentOrders.get(orderId));
+    }
     return true;
   }
 
@@ -79,6 +102,8 @@ export class MockPaymentService {
 
     await new Promise(resolve => setTimeout(resolve, 300));
 
+    this.recordCapture(paymentId, Math.round(amount * 100));
+
     return {
       id: paymentId,
       entity: 'payment',
@@ -115,6 +140,252 @@ export class MockPaymentService {
     };
   }
 
+  /**
+   * Get mock payment details (same shape as PaymentService.getPaymentDetails)
+   * @param {string} paymentId - Payment ID
+   * @returns {Promise<Object>} Payment details
+   */
+  async getPaymentDetails(paymentId) {
+    const payment = await this.fetchPayment(paymentId);
+
+    return {
+      id: payment.id,
+      orderId: null,
+      amount: payment.amount / 100,
+      currency: payment.currency,
+      status: payment.status,
+      method: payment.method,
+      email: payment.email,
+      contact: payment.contact,
+      createdAt: payment.created_at,
+      captured: payment.captured
+    };
+  }
+
+  /**
+   * Mock payment attempts on a Razorpay order (none are ever made in mock mode)
+   * @param {string} razorpayOrderId - Razorpay order ID
+   * @returns {Promise<Array>} Payment details
+   */
+  async getOrderPayments(razorpayOrderId) {
+    console.log('[MockPayment] Fetching order payments (MOCK):', razorpayOrderId);
+    return [];
+  }
+
+  /**
+   * Create a mock UPI QR code (same shape as PaymentService.createUpiQr).
+   * Nothing pays it unless simulateUpiPayment is called or auto-pay is on.
+   * @param {Object} params - QR parameters
+   * @returns {Promise<Object>} UPI QR details
+   */
+  async createUpiQr({ amount, orderId, customer, expiresInMinutes = 15 }) {
+    console.log('[MockPayment] Creating mock UPI QR:', {
+      amount,
+      orderId,
+      customerName: customer.name
+    });
+
+    const id = `qr_mock_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+    const qrCode = {
+      id,
+      entity: 'qr_code',
+      type: 'upi_qr',
+      usage: 'single_use',
+      image_url: null,
+      image_content: `upi://pay?pa=stonepot.mock@upi&pn=Stonepot&am=${amount.toFixed(2)}&cu=INR&tr=${id}&tn=${encodeURIComponent(`Order ${orderId}`)}`,
+      payment_amount: Math.round(amount * 100),
+      status: 'active',
+      close_by: Math.floor(Date.now() / 1000) + expiresInMinutes * 60,
+      notes: {
+        orderId,
+        customerName: customer.name,
+        customerPhone: customer.phone
+      },
+      created_at: Math.floor(Date.now() / 1000),
+      payments: []
+    };
+    this.upiQrs.set(id, qrCode);
+
+    if (this.upiAutoPaySeconds > 0) {
+      setTimeout(() => {
+        if (this.upiQrs.get(id)?.status === 'active') {
+          this.simulateUpiPayment(id);
+        }
+      }, this.upiAutoPaySeconds * 1000).unref?.();
+    }
+
+    console.log('[MockPayment] Mock UPI QR created:', id);
+
+    return this.formatUpiQr(qrCode);
+  }
+
+  /**
+   * Simulate the customer paying a mock UPI QR. A captured payment closes the
+   * QR and comes with the qr_code.credited webhook Razorpay would send.
+   * @param {string} qrCodeId - Mock QR code ID
+   * @param {Object} [options] - { status: 'captured' | 'failed' }
+   * @returns {Object} { payment, event } - event is null for failed payments
+   */
+  simulateUpiPayment(qrCodeId, { status = 'captured' } = {}) {
+    const qrCode = this.upiQrs.get(qrCodeId);
+    if (!qrCode) {
+      throw new Error('UPI QR not found');
+    }
+    if (qrCode.status !== 'active') {
+      throw new Error(`UPI QR is ${qrCode.status}`);
+    }
+
+    const payment = {
+      id: `pay_mock_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`,
+      entity: 'payment',
+      amount: qrCode.payment_amount,
+      currency: 'INR',
+      status,
+      method: 'upi',
+      captured: status === 'captured',
+      vpa: 'customer@upi',
+      notes: qrCode.notes,
+      error_code: status === 'failed' ? 'BAD_REQUEST_ERROR' : null,
+      error_description: status === 'failed' ? 'Payment was declined by the customer\'s bank' : null,
+      created_at: Math.floor(Date.now() / 1000)
+    };
+    qrCode.payments.push(payment);
+
+    console.log('[MockPayment] Simulated UPI payment (MOCK):', { qrCodeId, paymentId: payment.id, status });
+
+    if (status !== 'captured') {
+      return { payment: this.formatPayment(payment), event: null };
+    }
+
+    qrCode.status = 'closed';
+    qrCode.close_reason = 'paid';
+    this.recordCapture(payment.id, payment.amount);
+
+    return {
+      payment: this.formatPayment(payment),
+      event: {
+        entity: 'event',
+        event: 'qr_code.credited',
+        payload: {
+          qr_code: { entity: { ...qrCode, payments: undefined } },
+          payment: { entity: payment }
+        },
+        created_at: payment.created_at
+      }
+    };
+  }
+
+  /**
+   * Payments made to a mock UPI QR code
+   * @param {string} qrCodeId - Mock QR code ID
+   * @returns {Promise<Array>} Payment details
+   */
+  async getUpiQrPayments(qrCodeId) {
+    const qrCode = this.upiQrs.get(qrCodeId);
+    return (qrCode?.payments || []).map(payment => this.formatPayment(payment));
+  }
+
+  /**
+   * Close a mock UPI QR code
+   * @param {string} qrCodeId - Mock QR code ID
+   * @returns {Promise<Object>} UPI QR details
+   */
+  async closeUpiQr(qrCodeId) {
+    const qrCode = this.upiQrs.get(qrCodeId);
+    if (!qrCode) {
+      throw new Error('UPI QR not found');
+    }
+
+    if (qrCode.status === 'active') {
+      qrCode.status = 'closed';
+      qrCode.close_reason = 'on_demand';
+    }
+
+    return this.formatUpiQr(qrCode);
+  }
+
+  formatUpiQr(qrCode) {
+    return {
+      id: qrCode.id,
+      imageUrl: qrCode.image_url,
+      intentUrl: qrCode.image_content,
+      amount: qrCode.payment_amount / 100,
+      status: qrCode.status,
+      closeBy: qrCode.close_by,
+      closeReason: qrCode.close_reason || null,
+      createdAt: qrCode.created_at
+    };
+  }
+
+  formatPayment(payment) {
+    return {
+      id: payment.id,
+      orderId: payment.order_id || null,
+      amount: payment.amount / 100,
+      currency: payment.currency,
+      status: payment.status,
+      method: payment.method,
+      createdAt: payment.created_at,
+      captured: payment.captured,
+      errorCode: payment.error_code,
+      errorDescription: payment.error_description
+    };
+  }
+
+  recordCapture(paymentId, amountInPaise) {
+    if (!this.payments.has(paymentId)) {
+      this.payments.set(paymentId, { amount: amountInPaise, refunded: 0 });
+    }
+  }
+
+  /**
+   * Refund a mock payment (same shape as PaymentService.refundPayment).
+   * Without an amount, what is left of the captured payment is refunded, as Razorpay does.
+   * @param {string} paymentId - Payment ID
+   * @param {number} [amount] - Amount in ₹ to refund (default: the rest of the payment)
+   * @param {Object} [notes] - Refund notes
+   * @returns {Promise<Object>} Refund details
+   */
+  async refundPayment(paymentId, amount = null, notes = {}) {
+    const payment = this.payments.get(paymentId);
+    const remaining = payment ? (payment.amount - payment.refunded) / 100 : null;
+
+    if (!amount && !payment) {
+      throw new Error(`Payment not found: ${paymentId}`);
+    }
+    if (payment && remaining <= 0) {
+      throw new Error('The payment has been fully refunded already');
+    }
+    if (payment && (amount || remaining) > remaining) {
+      throw new Error('The refund amount provided is greater than amount captured');
+    }
+
+    const refund = await this.createRefund(paymentId, amount || remaining);
+    if (payment) {
+      payment.refunded += refund.amount;
+    }
+
+    const result = {
+      id: refund.id,
+      paymentId: refund.payment_id,
+      amount: refund.amount / 100,
+      currency: refund.currency,
+      status: refund.status,
+      createdAt: refund.created_at,
+      notes
+    };
+
+    for (const listener of this.refundListeners) {
+      try {
+        await listener(result);
+      } catch (error) {
+        console.error('[MockPayment] Refund listener failed:', error);
+      }
+    }
+
+    return result;
+  }
+
   /**
    * Create mock refund
    * @param {string} paymentId - Payment ID
@@ -145,32 +416,69 @@ export class MockPaymentService {
   handleWebhookEvent(event) {
     console.log('[MockPayment] Webhook event received (MOCK):', event.event);
 
+    const payment = event.payload?.payment?.entity;
+    const order = event.payload?.order?.entity;
+    const refund = event.payload?.refund?.entity;
+    const refundResult = (status, refundStatus) => ({
+      processed: true,
+      action: 'update_refund_status',
+      refundId: refund?.id,
+      status,
+      orderId: refund?.notes?.orderId,
+      tenantId: refund?.notes?.tenantId,
+      razorpayPaymentId: refund?.payment_id,
+      amount: refund?.amount / 100,
+      refundStatus
+    });
+
+    // Same result shape as PaymentService.handleWebhookEvent
     const eventMap = {
       'payment.captured': {
         processed: true,
-        action: 'payment_captured',
-        orderId: event.payload?.payment?.entity?.notes?.orderId,
-        paymentId: event.payload?.payment?.entity?.id,
-        amount: event.payload?.payment?.entity?.amount,
-        status: 'captured'
+        action: 'update_order_status',
+        orderId: payment?.notes?.orderId,
+        razorpayOrderId: payment?.order_id,
+        razorpayPaymentId: payment?.id,
+        status: 'confirmed',
+        paymentStatus: 'paid',
+        amount: payment?.amount / 100
       },
       'payment.failed': {
         processed: true,
-        action: 'payment_failed',
-        orderId: event.payload?.payment?.entity?.notes?.orderId,
-        paymentId: event.payload?.payment?.entity?.id,
-        errorCode: event.payload?.payment?.entity?.error_code,
-        errorDescription: event.payload?.payment?.entity?.error_description,
-        status: 'failed'
+        action: 'update_order_status',
+        orderId: payment?.notes?.orderId,
+        razorpayOrderId: payment?.order_id,
+        razorpayPaymentId: payment?.id,
+        status: 'payment_failed',
+        paymentStatus: 'failed',
+        error: {
+          code: payment?.error_code,
+          description: payment?.error_description
+        }
+      },
+      'qr_code.credited': {
+        processed: true,
+        action: 'update_order_status',
+        orderId: event.payload?.qr_code?.entity?.notes?.orderId,
+        upiQrId: event.payload?.qr_code?.entity?.id,
+        razorpayPaymentId: payment?.id,
+        status: 'confirmed',
+        paymentStatus: 'paid',
+        amount: payment?.amount / 100
       },
       'order.paid': {
         processed: true,
-        action: 'order_paid',
-        orderId: event.payload?.order?.entity?.receipt,
-        razorpayOrderId: event.payload?.order?.entity?.id,
-        amountPaid: event.payload?.order?.entity?.amount_paid,
-        status: 'paid'
-      }
+        action: 'update_order_status',
+        orderId: order?.notes?.orderId || order?.receipt,
+        razorpayOrderId: order?.id,
+        razorpayPaymentId: payment?.id,
+        status: 'paid',
+        paymentStatus: 'paid',
+        amount: order?.amount_paid / 100
+      },
+      'refund.created': refundResult('created', refund?.status === 'processed' ? 'processed' : 'pending'),
+      'refund.processed': refundResult('processed', 'processed'),
+      'refund.failed': refundResult('failed', 'failed')
     };
 
     return eventMap[event.event] || {
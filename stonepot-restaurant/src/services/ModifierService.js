@@ -0,0 +1,258 @@
+/**
+ * Modifier Service
+ * Modifier groups on menu items (portion size, choice of side, priced add-ons):
+ * validates the groups a restaurant configures and the options a customer asks
+ * for, and prices cart lines on the server.
+ */
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const slugify = (text) => normalize(text).replace(/ /g, '-');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+export class ModifierService {
+  /**
+   * Modifier groups for a menu item. Items without `modifierGroups` get groups
+   * from the older fields: `variants` (pick one), `choices` (pick one, free)
+   * and `addons` (any number).
+   * @returns {Array} [{ id, name, minSelections, maxSelections, options: [{ id, name, price, available }] }]
+   */
+  getGroups(item) {
+    if (Array.isArray(item?.modifierGroups) && item.modifierGroups.length > 0) {
+      return item.modifierGroups.map(group => this.normalizeGroup(group));
+    }
+
+    const groups = [];
+
+    if (Array.isArray(item?.variants) && item.variants.length > 0) {
+      groups.push(this.normalizeGroup({
+        id: 'variant',
+        name: 'Size',
+        minSelections: 1,
+        maxSelections: 1,
+        options: item.variants.map(variant => ({ name: variant.name, price: variant.priceAdjustment || 0 }))
+      }));
+    }
+
+    if (Array.isArray(item?.choices) && item.choices.length > 0) {
+      groups.push(this.normalizeGroup({
+        id: 'choice',
+        name: 'Choice',
+        minSelections: 1,
+        maxSelections: 1,
+        options: item.choices.map(name => ({ name, price: 0 }))
+      }));
+    }
+
+    if (Array.isArray(item?.addons) && item.addons.length > 0) {
+      groups.push(this.normalizeGroup({
+        id: 'addons',
+        name: 'Add-ons',
+        minSelections: 0,
+        maxSelections: item.addons.length,
+        options: item.addons.map(addon => ({ name: addon.name, price: addon.price || 0 }))
+      }));
+    }
+
+    return groups;
+  }
+
+  /**
+   * Fill in ids and defaults for a stored or submitted group
+   */
+  normalizeGroup(group) {
+    const options = (group.options || []).map(option => ({
+      id: option.id || slugify(option.name),
+      name: String(option.name || '').trim(),
+      price: round2(Number(option.price) || 0),
+      available: option.available !== false
+    }));
+    const minSelections = Math.max(0, parseInt(group.minSelections ?? (group.required ? 1 : 0)) || 0);
+
+    return {
+      id: group.id || slugify(group.name),
+      name: String(group.name || '').trim(),
+      minSelections,
+      maxSelections: Math.max(minSelections, parseInt(group.maxSelections ?? 1) || 1),
+      options
+    };
+  }
+
+  /**
+   * Validate modifier groups before saving them on a menu item
+   */
+  validateGroups(groups) {
+    const errors = [];
+
+    if (!Array.isArray(groups)) {
+      return { valid: false, errors: ['modifierGroups must be an array'] };
+    }
+
+    const groupIds = new Set();
+    groups.forEach((group, index) => {
+      const label = group?.name || `Group ${index + 1}`;
+
+      if (!group?.name) {
+        errors.push(`Group ${index + 1}: name is required`);
+      }
+      if (!Array.isArray(group?.options) || group.options.length === 0) {
+        errors.push(`${label}: at least one option is required`);
+        return;
+      }
+
+      const normalized = this.normalizeGroup(group);
+      if (groupIds.has(normalized.id)) {
+        errors.push(`${label}: duplicate group`);
+      }
+      groupIds.add(normalized.id);
+
+      if (normalized.minSelections > normalized.options.length) {
+        errors.push(`${label}: minSelections is more than the number of options`);
+      }
+
+      const optionIds = new Set();
+      group.options.forEach((option, optionIndex) => {
+        if (!option?.name) {
+          errors.push(`${label}: option ${optionIndex + 1} needs a name`);
+        }
+        if (option?.price !== undefined && isNaN(Number(option.price))) {
+          errors.push(`${label}: price for ${option.name || `option ${optionIndex + 1}`} must be a number`);
+        }
+        const optionId = option?.id || slugify(option?.name);
+        if (optionIds.has(optionId)) {
+          errors.push(`${label}: duplicate option ${option.name}`);
+        }
+        optionIds.add(optionId);
+      });
+    });
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Match the options a customer asked for against the item's groups and
+   * price one unit of the line
+   * @param {Object} item - Menu item
+   * @param {Array} requested - Option names (or { group, option } pairs)
+   * @returns {Object} { valid, errors, missing: [{ group, options }], modifiers, basePrice, unitPrice }
+   */
+  resolve(item, requested = []) {
+    const groups = this.getGroups(item);
+    const listedPrice = item.variantPrice || item.price;
+    const basePrice = Number(listedPrice) || 0;
+    const errors = [];
+    const selected = new Map(groups.map(group => [group.id, []]));
+
+    (requested || []).forEach(request => {
+      const match = this.findOption(groups, request);
+      const label = typeof request === 'string' ? request : request?.option;
+
+      if (!match) {
+        errors.push(`"${label}" is not an option for ${item.name}`);
+      } else if (!match.option.available) {
+        errors.push(`${match.option.name} is not available right now`);
+      } else if (!selected.get(match.group.id).some(option => option.id === match.option.id)) {
+        selected.get(match.group.id).push(match.option);
+      }
+    });
+
+    const missing = [];
+    groups.forEach(group => {
+      const count = selected.get(group.id).length;
+      const available = group.options.filter(option => option.available).map(option => option.name);
+
+      if (count < group.minSelections) {
+        missing.push({ group: group.name, minSelections: group.minSelections, options: available });
+        errors.push(`${group.name}: choose ${group.minSelections === 1 ? 'one' : group.minSelections} of ${available.join(', ')}`);
+      }
+      if (count > group.maxSelections) {
+        errors.push(`Choose at most ${group.maxSelections} from ${group.name}`);
+      }
+    });
+
+    const modifiers = groups.flatMap(group =>
+      selected.get(group.id).map(option => ({
+        groupId: group.id,
+        groupName: group.name,
+        optionId: option.id,
+        name: option.name,
+        price: option.price
+      }))
+    );
+
+    const unitPrice = round2(basePrice + modifiers.reduce((sum, modifier) => sum + modifier.price, 0));
+    // Free items are fine, but not an item nobody priced
+    const unpriced = listedPrice === undefined || listedPrice === null || listedPrice === '';
+    if (errors.length === 0 && (unpriced || unitPrice < 0)) {
+      errors.push(`${item.name} has no price for this selection`);
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      missing,
+      modifiers,
+      basePrice,
+      unitPrice
+    };
+  }
+
+  /**
+   * Find a requested option by name, optionally within a named group.
+   * Exact names win over partial matches ("full" vs "full plate").
+   */
+  findOption(groups, request) {
+    const optionName = normalize(typeof request === 'string' ? request : request?.option);
+    const groupName = typeof request === 'object' ? normalize(request?.group) : null;
+    if (!optionName) return null;
+
+    const candidates = groups
+      .filter(group => !groupName || normalize(group.name) === groupName || group.id === request.group)
+      .flatMap(group => group.options.map(option => ({ group, option })));
+
+    return candidates.find(({ option }) => normalize(option.name) === optionName || option.id === optionName) ||
+      candidates.find(({ option }) => {
+        const name = normalize(option.name);
+        return name.includes(optionName) || optionName.includes(name);
+      }) ||
+      null;
+  }
+
+  /**
+   * Identity of a line's options, to merge repeat adds of the same configuration
+   */
+  getSignature(modifiers = []) {
+    return modifiers.map(modifier => `${modifier.groupId}:${modifier.optionId}`).sort().join('|');
+  }
+
+  /**
+   * Option names as printed on KOTs and invoices
+   */
+  describe(modifiers = []) {
+    return modifiers.map(modifier => modifier.name);
+  }
+
+  /**
+   * Groups as the voice agent reads them out
+   */
+  summarizeGroups(item) {
+    return this.getGroups(item).map(group => ({
+      name: group.name,
+      required: group.minSelections > 0,
+      minSelections: group.minSelections,
+      maxSelections: group.maxSelections,
+      options: group.options
+        .filter(option => option.available)
+        .map(option => {
+          if (!option.price) return option.name;
+          return `${option.name} (${option.price > 0 ? '+' : '-'}₹${Math.abs(option.price)})`;
+        })
+    }));
+  }
+}
+
+export default ModifierService;
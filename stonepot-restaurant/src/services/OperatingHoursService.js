@@ -0,0 +1,441 @@
+/**
+ * Operating Hours Service
+ * Whether a restaurant is taking orders right now: weekly opening hours and
+ * holiday overrides (restaurant local time) on the restaurant profile, a
+ * temporary "busy mode" pause staff switch on from the dashboard, and a cap
+ * on open kitchen orders. Tenants without hours configured are always open.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Orders the kitchen still has to cook, counted against maxOpenOrders
+const OPEN_STATUSES = ['confirmed', 'preparing'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+export class OperatingHoursService {
+  constructor(firebaseService, orderManagementService, availabilityService) {
+    this.firebaseService = firebaseService;
+    this.orderManagementService = orderManagementService;
+    // Restaurant clock, weekday parsing and HH:MM validation
+    this.availabilityService = availabilityService;
+
+    this.timeFormatter = new Intl.DateTimeFormat('en-IN', {
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true,
+      timeZone: availabilityService.timezone
+    });
+    this.dayFormatter = new Intl.DateTimeFormat('en-IN', {
+      weekday: 'long',
+      timeZone: availabilityService.timezone
+    });
+
+    // In-process listeners for open/closed changes made here (live voice sessions)
+    this.statusListeners = new Set();
+  }
+
+  // ==================== CONFIGURATION ====================
+
+  /**
+   * Get the tenant's opening hours, or null when none are configured (always open)
+   */
+  async getHours(tenantId) {
+    try {
+      const profile = await this.firebaseService.getRestaurantProfile(tenantId);
+      return profile?.operatingHours ? this.normalizeHours(profile.operatingHours) : null;
+    } catch (error) {
+      console.error('[OperatingHours] Failed to get hours:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hours stored on the profile, for editing
+   */
+  async getConfiguredHours(tenantId) {
+    const profile = await this.firebaseService.getRestaurantProfile(tenantId);
+    if (!profile) {
+      throw new Error('Restaurant profile not found');
+    }
+    return profile.operatingHours ? this.normalizeHours(profile.operatingHours) : null;
+  }
+
+  /**
+   * Replace the tenant's opening hours, holidays and order cap
+   */
+  async saveHours(tenantId, hours) {
+    const validation = this.validateHours(hours);
+    if (!validation.valid) {
+      throw new Error(`Invalid opening hours: ${validation.errors.join(', ')}`);
+    }
+
+    try {
+      const normalized = this.normalizeHours(hours);
+
+      await this.firebaseService.updateRestaurantProfile(tenantId, {
+        operatingHours: normalized
+      });
+
+      console.log('[OperatingHours] Saved hours', {
+        tenantId,
+        weekly: normalized.weekly.length,
+        holidays: normalized.holidays.length,
+        maxOpenOrders: normalized.maxOpenOrders
+      });
+
+      await this.notifyStatusChange(tenantId);
+
+      return normalized;
+    } catch (error) {
+      console.error('[OperatingHours] Failed to save hours:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Normalize opening hours. Weekly windows with no days apply every day;
+   * holidays without start and end are closed all day.
+   */
+  normalizeHours(hours) {
+    const window = (entry) => ({
+      start: entry.start,
+      end: entry.end,
+      days: this.availabilityService.normalizeSchedule({ days: entry.days })?.days || []
+    });
+
+    return {
+      weekly: (Array.isArray(hours.weekly) ? hours.weekly : []).map(window),
+      holidays: (Array.isArray(hours.holidays) ? hours.holidays : [])
+        .map(holiday => ({
+          date: holiday.date,
+          name: holiday.name ? String(holiday.name).trim() : null,
+          closed: !(holiday.start && holiday.end),
+          start: holiday.start && holiday.end ? holiday.start : null,
+          end: holiday.start && holiday.end ? holiday.end : null
+        }))
+        .sort((a, b) => a.date.localeCompare(b.date)),
+      maxOpenOrders: hours.maxOpenOrders ? parseInt(hours.maxOpenOrders) : null
+    };
+  }
+
+  /**
+   * Validate opening hours
+   */
+  validateHours(hours) {
+    const errors = [];
+
+    if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
+      return { valid: false, errors: ['hours must be an object'] };
+    }
+
+    if (!Array.isArray(hours.weekly) || hours.weekly.length === 0) {
+      errors.push('weekly must be a non-empty array of { start, end, days }');
+    } else {
+      hours.weekly.forEach((window, index) => {
+        const times = this.availabilityService.validateDayparts([
+          { name: `Weekly hours ${index + 1}`, start: window?.start, end: window?.end }
+        ]);
+        errors.push(...times.errors);
+        try {
+          this.availabilityService.normalizeSchedule({ days: window?.days });
+        } catch (error) {
+          errors.push(`Weekly hours ${index + 1}: ${error.message}`);
+        }
+      });
+    }
+
+    if (hours.holidays !== undefined) {
+      if (!Array.isArray(hours.holidays)) {
+        errors.push('holidays must be an array');
+      } else {
+        const dates = new Set();
+        hours.holidays.forEach((holiday, index) => {
+          const label = holiday?.name || `Holiday ${index + 1}`;
+          if (!DATE_PATTERN.test(holiday?.date || '') || isNaN(new Date(holiday.date).getTime())) {
+            errors.push(`${label}: date must be YYYY-MM-DD`);
+            return;
+          }
+          if (dates.has(holiday.date)) {
+            errors.push(`${label}: ${holiday.date} is listed twice`);
+          }
+          dates.add(holiday.date);
+
+          if (holiday.start || holiday.end) {
+            const times = this.availabilityService.validateDayparts([
+              { name: label, start: holiday.start, end: holiday.end }
+            ]);
+            errors.push(...times.errors);
+          }
+        });
+      }
+    }
+
+    if (hours.maxOpenOrders !== undefined && hours.maxOpenOrders !== null &&
+      (!Number.isInteger(Number(hours.maxOpenOrders)) || Number(hours.maxOpenOrders) < 1)) {
+      errors.push('maxOpenOrders must be a whole number of at least 1 (or null for no cap)');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  // ==================== BUSY MODE ====================
+
+  /**
+   * Stop taking new orders for a while (kitchen slammed, staff short...)
+   * @param {string} tenantId
+   * @param {Object} options - { minutes, reason, setBy }
+   * @returns {Promise<Object>} Stored busy mode { until, reason, setBy, setAt }
+   */
+  async setBusyMode(tenantId, { minutes, reason = null, setBy = 'staff' } = {}) {
+    const duration = Number(minutes);
+    if (!Number.isInteger(duration) || duration < 1 || duration > 720) {
+      throw new Error('Invalid busy mode: minutes must be a whole number from 1 to 720');
+    }
+
+    try {
+      const now = new Date();
+      const busyMode = {
+        until: new Date(now.getTime() + duration * MINUTE_MS).toISOString(),
+        reason: reason ? String(reason).trim() : null,
+        setBy,
+        setAt: now.toISOString()
+      };
+
+      await this.firebaseService.updateRestaurantProfile(tenantId, { busyMode });
+
+      console.log('[OperatingHours] Busy mode on', { tenantId, until: busyMode.until, reason: busyMode.reason });
+
+      await this.notifyStatusChange(tenantId);
+
+      return busyMode;
+    } catch (error) {
+      console.error('[OperatingHours] Failed to set busy mode:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start taking orders again before busy mode runs out
+   */
+  async clearBusyMode(tenantId) {
+    try {
+      await this.firebaseService.updateRestaurantProfile(tenantId, { busyMode: null });
+
+      console.log('[OperatingHours] Busy mode off', { tenantId });
+
+      await this.notifyStatusChange(tenantId);
+    } catch (error) {
+      console.error('[OperatingHours] Failed to clear busy mode:', error);
+      throw error;
+    }
+  }
+
+  // ==================== STATUS ====================
+
+  /**
+   * Whether the restaurant takes orders right now, and what to tell the customer if not
+   * @param {string} tenantId
+   * @param {Date} now - Reference time (defaults to now)
+   * @returns {Promise<Object>} { open, reason: 'busy'|'holiday'|'closed'|'at_capacity'|null,
+   *   message, opensAt, closesAt, busyUntil, holiday, openOrders, maxOpenOrders }
+   */
+  async getStatus(tenantId, now = new Date()) {
+    try {
+      const profile = await this.firebaseService.getRestaurantProfile(tenantId);
+      const hours = profile?.operatingHours ? this.normalizeHours(profile.operatingHours) : null;
+      const busyMode = profile?.busyMode && new Date(profile.busyMode.until) > now ? profile.busyMode : null;
+
+      const status = {
+        open: true,
+        reason: null,
+        message: null,
+        opensAt: null,
+        closesAt: null,
+        busyUntil: null,
+        holiday: null,
+        openOrders: null,
+        maxOpenOrders: hours?.maxOpenOrders || null
+      };
+
+      if (hours) {
+        const current = this.getCurrentWindow(hours, now);
+        const today = this.availabilityService.getLocalClock(now).date;
+        status.holiday = hours.holidays.find(holiday => holiday.date === today)?.name || null;
+
+        if (current) {
+          status.closesAt = current.closesAt.toISOString();
+        } else {
+          const opensAt = this.getNextOpening(hours, now);
+          const holidayClosed = hours.holidays.some(holiday => holiday.date === today && holiday.closed);
+
+          status.open = false;
+          status.reason = holidayClosed ? 'holiday' : 'closed';
+          status.opensAt = opensAt?.toISOString() || null;
+          status.message = [
+            holidayClosed ? `We're closed today${status.holiday ? ` for ${status.holiday}` : ''}` : 'We\'re closed right now',
+            opensAt ? `we open again ${this.describeTime(opensAt, now)}` : null
+          ].filter(Boolean).join('; ');
+          return status;
+        }
+      }
+
+      if (busyMode) {
+        const minutesLeft = Math.ceil((new Date(busyMode.until) - now) / MINUTE_MS);
+        status.open = false;
+        status.reason = 'busy';
+        status.busyUntil = busyMode.until;
+        status.message = `We're not taking new orders for the next ${minutesLeft} minutes${busyMode.reason ? ` (${busyMode.reason})` : ''}; please try again after ${this.timeFormatter.format(new Date(busyMode.until))}`;
+        return status;
+      }
+
+      if (hours?.maxOpenOrders) {
+        const results = await Promise.all(
+          OPEN_STATUSES.map(orderStatus => this.orderManagementService.getOrders(tenantId, {
+            status: orderStatus,
+            limit: hours.maxOpenOrders
+          }))
+        );
+        status.openOrders = results.flat().length;
+
+        if (status.openOrders >= hours.maxOpenOrders) {
+          status.open = false;
+          status.reason = 'at_capacity';
+          status.message = 'Our kitchen is at full capacity right now; please try again in a few minutes';
+        }
+      }
+
+      return status;
+    } catch (error) {
+      console.error('[OperatingHours] Failed to get status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Opening windows on a local date: the holiday's hours if it has an
+   * override, otherwise the weekly hours for that weekday
+   */
+  getWindowsForDate(hours, date, day) {
+    const holiday = hours.holidays.find(entry => entry.date === date);
+    if (holiday) {
+      return holiday.closed ? [] : [{ start: holiday.start, end: holiday.end }];
+    }
+    return hours.weekly.filter(window => window.days.length === 0 || window.days.includes(day));
+  }
+
+  /**
+   * The window the restaurant is open in at a time, with when it closes.
+   * Windows that run past midnight belong to the day they opened on.
+   * @returns {Object|null} { start, end, closesAt }
+   */
+  getCurrentWindow(hours, time) {
+    const clock = this.availabilityService.getLocalClock(time);
+    const yesterday = this.availabilityService.getLocalClock(new Date(time.getTime() - DAY_MS));
+    const minuteStart = Math.floor(time.getTime() / MINUTE_MS) * MINUTE_MS;
+
+    const candidates = [
+      ...this.getWindowsForDate(hours, clock.date, clock.day)
+        .filter(window => toMinutes(window.start) <= clock.minutes &&
+          (toMinutes(window.start) > toMinutes(window.end) || clock.minutes < toMinutes(window.end)))
+        .map(window => ({ window, minutesLeft: (toMinutes(window.end) - clock.minutes + 1440) % 1440 || 1440 })),
+      ...this.getWindowsForDate(hours, yesterday.date, yesterday.day)
+        .filter(window => toMinutes(window.start) > toMinutes(window.end) && clock.minutes < toMinutes(window.end))
+        .map(window => ({ window, minutesLeft: toMinutes(window.end) - clock.minutes }))
+    ];
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const latest = candidates.reduce((best, candidate) => candidate.minutesLeft > best.minutesLeft ? candidate : best);
+    return {
+      start: latest.window.start,
+      end: latest.window.end,
+      closesAt: new Date(minuteStart + latest.minutesLeft * MINUTE_MS)
+    };
+  }
+
+  /**
+   * Whether the restaurant is open at a time (hours and holidays only).
+   * Always true without configured hours.
+   */
+  isOpenAt(hours, time) {
+    return !hours || Boolean(this.getCurrentWindow(hours, time));
+  }
+
+  /**
+   * When the restaurant next opens, looking up to a week ahead
+   * @returns {Date|null}
+   */
+  getNextOpening(hours, now) {
+    const clock = this.availabilityService.getLocalClock(now);
+    const minuteStart = Math.floor(now.getTime() / MINUTE_MS) * MINUTE_MS;
+    let best = null;
+
+    for (let offset = 0; offset <= 7; offset++) {
+      const day = this.availabilityService.getLocalClock(new Date(now.getTime() + offset * DAY_MS));
+      this.getWindowsForDate(hours, day.date, day.day).forEach(window => {
+        const minutesAway = offset * 1440 + toMinutes(window.start) - clock.minutes;
+        if (minutesAway > 0 && (best === null || minutesAway < best)) {
+          best = minutesAway;
+        }
+      });
+      if (best !== null) {
+        break;
+      }
+    }
+
+    return best === null ? null : new Date(minuteStart + best * MINUTE_MS);
+  }
+
+  /**
+   * Spoken form of a time, e.g. "today at 7:00 pm", "tomorrow at 11:00 am", "on Monday at 11:00 am"
+   */
+  describeTime(time, now = new Date()) {
+    const date = this.availabilityService.getLocalClock(time).date;
+    const day = date === this.availabilityService.getLocalClock(now).date ? 'today'
+      : date === this.availabilityService.getLocalClock(new Date(now.getTime() + DAY_MS)).date ? 'tomorrow'
+        : `on ${this.dayFormatter.format(time)}`;
+
+    return `${day} at ${this.timeFormatter.format(time)}`;
+  }
+
+  // ==================== LISTENERS ====================
+
+  /**
+   * Subscribe to open/closed changes made on this server (hours saved, busy mode)
+   * @param {Function} listener - (tenantId, status) => void
+   * @returns {Function} Unsubscribe function
+   */
+  onStatusChange(listener) {
+    this.statusListeners.add(listener);
+    return () => this.statusListeners.delete(listener);
+  }
+
+  async notifyStatusChange(tenantId) {
+    if (this.statusListeners.size === 0) {
+      return;
+    }
+
+    const status = await this.getStatus(tenantId);
+    this.statusListeners.forEach(listener => {
+      try {
+        listener(tenantId, status);
+      } catch (error) {
+        console.error('[OperatingHours] Status listener failed:', error);
+      }
+    });
+  }
+}
+
+export default OperatingHoursService;
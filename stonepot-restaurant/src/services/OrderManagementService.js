@@ -4,14 +4,61 @@
  */
 
 import { KOTService } from './KOTService.js';
+import { KitchenStationService } from './KitchenStationService.js';
+import { TaxService } from './TaxService.js';
+import { CancellationPolicyService } from './CancellationPolicyService.js';
+import { CashSettlementService } from './CashSettlementService.js';
+import { ModifierService } from './ModifierService.js';
+import { TERMINAL_DELIVERY_STATUSES } from './CourierAdapter.js';
 
 export class OrderManagementService {
   constructor(firebaseService, config = {}) {
     this.firebaseService = firebaseService;
     this.kotService = new KOTService(config);
+    this.kitchenStationService = new KitchenStationService(firebaseService, config.menuService);
+    this.cancellationPolicyService = new CancellationPolicyService(firebaseService);
+    this.cashSettlementService = new CashSettlementService(firebaseService);
+    this.menuService = config.menuService || null;
+    this.modifierService = new ModifierService();
+    this.taxService = config.taxService || new TaxService(config.tax);
+    this.paymentService = config.paymentService || null;
+    this.courierService = config.courierService || null;
+    this.pricingService = config.pricingService || null;
 
     // WebSocket connections for real-time updates
     this.restaurantConnections = new Map(); // tenantId -> Set of WebSocket connections
+
+    // In-process listeners for order events (KDS, etc.)
+    this.orderListeners = new Set();
+
+    if (this.courierService) {
+      this.courierService.onDeliveryUpdate((update) => this.applyDeliveryUpdate(update));
+    }
+  }
+
+  /**
+   * Persist a newly placed order and notify restaurant dashboards
+   * @param {string} tenantId - Restaurant/tenant ID
+   * @param {string} customerPhone - Customer phone number
+   * @param {object} orderData - Order built by the ordering flow
+   * @returns {Promise<object>} Saved order
+   */
+  async createOrder(tenantId, customerPhone, orderData) {
+    try {
+      // Cash orders carry the amount the rider or counter should collect
+      const savedOrder = await this.firebaseService.createOrder(tenantId, customerPhone, orderData.paymentMethod === 'cash'
+        ? { ...orderData, cod: orderData.cod || this.cashSettlementService.createCodRecord(orderData) }
+        : orderData);
+
+      console.log('[OrderManagement] Order created:', savedOrder.orderId);
+
+      this.broadcastNewOrder(tenantId, savedOrder);
+
+      return savedOrder;
+    } catch (error) {
+      console.error('[OrderManagement] Failed to create order:', error);
+      throw error;
+    }
   }
 
   /**
@@ -22,7 +69,7 @@ export class OrderManagementService {
    */
   async getOrders(tenantId, filters = {}) {
     const {
-      status, // 'pending_payment', 'confirmed', 'preparing', 'ready', 'delivered', 'cancelled'
+      status, // 'pending_payment', 'scheduled', 'confirmed', 'preparing', 'ready', 'delivered', 'cancelled'
       orderType, // 'delivery', 'pickup', 'dine-in'
       startDate,
       endDate,
@@ -46,7 +93,7 @@ export class OrderManagementService {
       // Query Firestore
       let orders = await this.firebaseService.queryDocuments('orders', query, {
         orderBy: 'createdAt',
-        direction: 'desc',
+        order: 'desc',
         limit
       });
 
@@ -105,36 +152,44 @@ export class OrderManagementService {
   }
 
   /**
-   * Accept/confirm an order
+   * Accept/confirm an order. Scheduled orders are accepted when the
+   * scheduler releases them to the kitchen (or staff start them early).
    */
   async acceptOrder(orderId, tenantId, acceptedBy) {
     try {
       const order = await this.getOrderById(orderId, tenantId);
 
-      if (order.status !== 'confirmed' && order.status !== 'pending_payment') {
+      if (!['confirmed', 'pending_payment', 'scheduled'].includes(order.status)) {
         throw new Error(`Cannot accept order with status: ${order.status}`);
       }
 
-      // Generate KOT
-      const kot = this.kotService.generateKOT(order);
+      // Generate KOT using the tenant's station routing rules
+      const routing = await this.kitchenStationService.getRouting(tenantId);
+      const kot = this.kotService.generateKOT(order, routing);
 
       // Print KOT (if printer enabled)
       await this.kotService.printKOT(kot);
 
       // Update order status
+      const released = order.status === 'scheduled';
       const updatedOrder = await this.updateOrderStatus(orderId, tenantId, {
         status: 'preparing',
         acceptedBy,
         acceptedAt: new Date().toISOString(),
+        ...(released && { schedule: { ...order.schedule, releasedAt: new Date().toISOString() } }),
         kot: {
           kotNumber: kot.kotNumber,
           generatedAt: kot.timestamp.toISOString(),
-          estimatedPrepTime: kot.estimatedPrepTime
+          estimatedPrepTime: kot.estimatedPrepTime,
+          // Station each cart line was routed to, so the KDS matches the printed ticket
+          itemStations: Object.fromEntries(
+            order.cart.items.map((item, index) => [this.getItemKey(item, index), kot.items[index].station])
+          )
         }
       });
 
       // Broadcast update to all restaurant connections
-      this.broadcastOrderUpdate(tenantId, updatedOrder, 'order_accepted');
+      this.broadcastOrderUpdate(tenantId, updatedOrder, released ? 'order_released' : 'order_accepted');
 
       return {
         success: true,
@@ -150,7 +205,7 @@ export class OrderManagementService {
   /**
    * Update order status
    */
-  async updateOrderStatus(orderId, tenantId, updates) {
+  async updateOrderStatus(orderId, tenantId, updates, eventType = 'status_updated') {
     try {
       const order = await this.getOrderById(orderId, tenantId);
 
@@ -178,7 +233,7 @@ export class OrderManagementService {
       const updatedOrder = await this.getOrderById(orderId, tenantId);
 
       // Broadcast update
-      this.broadcastOrderUpdate(tenantId, updatedOrder, 'status_updated');
+      this.broadcastOrderUpdate(tenantId, updatedOrder, eventType);
 
       return updatedOrder;
     } catch (error) {
@@ -187,6 +242,480 @@ export class OrderManagementService {
     }
   }
 
+  /**
+   * Modify the items on a placed order (add, remove or change quantity).
+   * Recomputes tax and totals, prints a -MOD ticket for the affected
+   * stations once the order is in the kitchen, and adjusts online payments.
+   * @param {string} orderId - Order ID
+   * @param {string} tenantId - Restaurant/tenant ID
+   * @param {object} modification - { type: 'add'|'remove'|'update_quantity',
+   *   itemId, item, quantity, reason, modifiedBy }. Added items are looked up
+   *   on the menu by item.dishId ({ dishId, quantity, customizations }).
+   * @returns {Promise<object>} { success, order, modification, modificationKOT }
+   */
+  async modifyOrder(orderId, tenantId, modification) {
+    let stockReservationId = null;
+
+    try {
+      const order = await this.getOrderById(orderId, tenantId);
+
+      if (!['pending_payment', 'scheduled', 'confirmed', 'preparing'].includes(order.status)) {
+        throw new Error(`Cannot modify order with status: ${order.status}`);
+      }
+
+      // An issued invoice is final; changes after that go through credit notes
+      if (order.invoiceNumber) {
+        throw new Error(`Cannot modify order: invoice ${order.invoiceNumber} has already been issued`);
+      }
+
+      if (modification.type === 'add') {
+        modification = { ...modification, item: await this.resolveAddedItem(tenantId, modification.item) };
+      }
+
+      const { items, change } = this.applyItemChange(order.cart?.items || [], modification);
+
+      if (items.length === 0) {
+        throw new Error('Cannot remove the last item. Cancel the order instead');
+      }
+
+      const sequence = (order.modifications?.length || 0) + 1;
+
+      // Stock for what the change adds is taken before anything prints or is charged
+      stockReservationId = await this.reserveModificationStock(tenantId, order, change, sequence, modification.item?.menuItem);
+
+      const previousTotal = order.cart?.total || 0;
+      const cart = await this.recalculateOrderCart(tenantId, order, items);
+      const delta = Math.round((cart.total - previousTotal) * 100) / 100;
+      const modifiedAt = new Date().toISOString();
+
+      const updates = {
+        cart,
+        updatedBy: modification.modifiedBy || 'system'
+      };
+
+      // Orders already in the kitchen get a delta ticket for the affected stations
+      let modificationKOT = null;
+      let printResult = null;
+      if (order.kot?.kotNumber) {
+        const routing = await this.kitchenStationService.getRouting(tenantId);
+        change.station = order.kot.itemStations?.[change.itemKey] ||
+          this.kotService.getPreparationStation(change.item, routing);
+
+        modificationKOT = this.kotService.generateModificationKOT(order.kot, {
+          type: modification.type,
+          changes: [change],
+          reason: modification.reason,
+          sequence,
+          order
+        });
+        printResult = await this.kotService.printModificationKOT(modificationKOT);
+
+        const itemStations = { ...(order.kot.itemStations || {}) };
+        if (change.quantityAfter > 0) {
+          itemStations[change.itemKey] = change.station;
+        } else {
+          delete itemStations[change.itemKey];
+        }
+
+        updates.kot = {
+          ...order.kot,
+          itemStations,
+          lastModificationKOT: modificationKOT.kotNumber
+        };
+      }
+
+      const paymentAdjustment = await this.adjustPaymentForModification(order, cart, delta, sequence, modification.reason);
+      if (paymentAdjustment?.type === 'top_up') {
+        updates.pendingTopUp = {
+          razorpayOrderId: paymentAdjustment.razorpayOrderId,
+          amount: paymentAdjustment.amount,
+          sequence,
+          createdAt: modifiedAt
+        };
+      } else if (paymentAdjustment?.type === 'reissued') {
+        updates.razorpayOrderId = paymentAdjustment.razorpayOrderId;
+      }
+      if (order.pendingTopUp && paymentAdjustment && paymentAdjustment.type !== 'top_up') {
+        updates.pendingTopUp = null;
+      }
+      if (order.cod?.status === 'pending') {
+        updates.cod = { ...order.cod, expectedAmount: cart.total };
+      }
+
+      const { item, ...changeSummary } = change;
+      const record = {
+        sequence,
+        type: modification.type,
+        change: changeSummary,
+        reason: modification.reason || null,
+        modifiedBy: modification.modifiedBy || 'system',
+        modifiedAt,
+        previousTotal,
+        newTotal: cart.total,
+        delta,
+        kotNumber: modificationKOT?.kotNumber || null,
+        paymentAdjustment,
+        stockReservationId
+      };
+      updates.modifications = [...(order.modifications || []), record];
+
+      const updatedOrder = await this.updateOrderStatus(orderId, tenantId, updates, 'order_modified');
+      stockReservationId = null;
+
+      await this.releaseModificationStock(tenantId, order, change);
+
+      console.log('[OrderManagement] Order modified', {
+        orderId,
+        type: modification.type,
+        itemKey: change.itemKey,
+        delta,
+        kotNumber: record.kotNumber
+      });
+
+      return {
+        success: true,
+        order: updatedOrder,
+        modification: record,
+        modificationKOT,
+        printResult
+      };
+    } catch (error) {
+      console.error('[OrderManagement] Failed to modify order:', error);
+      if (stockReservationId) {
+        await this.menuService.availabilityService.releaseStock(tenantId, stockReservationId)
+          .catch(releaseError => console.error('[OrderManagement] Failed to release modification stock:', releaseError));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Build a line added to a placed order from the menu item: the dish,
+   * price and tax fields never come from the caller, and the options are
+   * checked against the dish's modifier groups and priced like the cart
+   * @param {object} item - { dishId, quantity, modifiers: option names or { group, option }, customizations }
+   */
+  async resolveAddedItem(tenantId, item) {
+    if (!item?.dishId) {
+      throw new Error('Item dishId is required');
+    }
+
+    const menuItem = await this.getMenuItem(tenantId, item.dishId);
+    if (menuItem.available === false) {
+      throw new Error(`Cannot add item: ${menuItem.name} is not on the menu right now`);
+    }
+
+    const selection = this.modifierService.resolve(menuItem, item.modifiers || []);
+    if (!selection.valid) {
+      throw new Error(`Cannot add item: ${selection.errors.join('. ')}`);
+    }
+
+    return {
+      dishId: menuItem.id,
+      dishName: menuItem.name,
+      nameLocal: menuItem.nameLocal || null,
+      category: menuItem.category || null,
+      taxCategory: menuItem.taxCategory || null,
+      hsnCode: menuItem.hsnCode || null,
+      gstRate: menuItem.gstRate ?? null,
+      basePrice: selection.basePrice,
+      price: selection.unitPrice,
+      quantity: item.quantity,
+      modifiers: selection.modifiers,
+      customizations: item.customizations || [],
+      menuItem
+    };
+  }
+
+  /**
+   * A tenant's menu item by ID
+   */
+  async getMenuItem(tenantId, itemId) {
+    if (!this.menuService) {
+      throw new Error('Cannot add items: menu is not configured');
+    }
+
+    const menuItem = await this.menuService.getMenuItem(itemId).catch(() => null);
+    if (!menuItem || menuItem.tenantId !== tenantId) {
+      throw new Error('Menu item not found');
+    }
+    return menuItem;
+  }
+
+  /**
+   * Check availability and take stock for what a modification adds (a new
+   * line or a higher quantity). The stock goes on a reservation of its own,
+   * recorded on the modification, which a cancellation gives back.
+   * @param {object} menuItem - The dish's menu item, when already loaded
+   * @returns {Promise<string|null>} Reservation ID, or null when no stock was taken
+   */
+  async reserveModificationStock(tenantId, order, change, sequence, menuItem = null) {
+    const availabilityService = this.menuService?.availabilityService;
+    if (!availabilityService || change.quantityDelta <= 0 || !change.item.dishId) {
+      return null;
+    }
+
+    const line = { ...change.item, quantity: change.quantityDelta };
+    const dish = menuItem || await this.getMenuItem(tenantId, change.item.dishId).catch(() => null);
+
+    const problems = await availabilityService.checkCart(tenantId, [line], dish ? [dish] : []);
+    if (problems.length > 0) {
+      throw new Error(`Cannot add item: ${problems[0].message}`);
+    }
+
+    const reservationId = `${order.orderId}-MOD${sequence}`;
+    try {
+      const reserved = await availabilityService.reserveStock(tenantId, reservationId, [line]);
+      return reserved.length > 0 ? reservationId : null;
+    } catch (error) {
+      if (error.message.startsWith('Not enough stock')) {
+        throw new Error(`Cannot add item: ${error.message.replace('Not enough stock: ', '')}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Give back the stock held for what a modification takes off (a line
+   * removed or lowered). Runs after the change is saved and only logs on
+   * failure: the order is already modified.
+   */
+  async releaseModificationStock(tenantId, order, change) {
+    const availabilityService = this.menuService?.availabilityService;
+    if (!availabilityService || change.quantityDelta >= 0 || !change.item.dishId) {
+      return;
+    }
+
+    const reservationIds = [
+      order.orderId,
+      ...(order.modifications || []).map(modification => modification.stockReservationId).filter(Boolean)
+    ];
+
+    await availabilityService.releaseStockItems(tenantId, reservationIds, [{ dishId: change.item.dishId, quantity: -change.quantityDelta }])
+      .catch(error => console.error('[OrderManagement] Failed to release modification stock:', error));
+  }
+
+  /**
+   * Apply one item change to a copy of the cart lines
+   * @returns {{ items: Array, change: object }} New lines and the change for the KOT
+   */
+  applyItemChange(cartItems, modification) {
+    const { type, itemId, item, quantity } = modification;
+    const items = cartItems.map(line => ({ ...line }));
+
+    if (type === 'add') {
+      if (!item?.dishName || !(Number(item.price) >= 0)) {
+        throw new Error('Item dishName and price are required');
+      }
+
+      const qty = parseInt(item.quantity || quantity) || 1;
+      const line = {
+        id: `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        dishId: item.dishId || null,
+        dishName: item.dishName,
+        nameLocal: item.nameLocal || null,
+        category: item.category || null,
+        taxCategory: item.taxCategory || null,
+        hsnCode: item.hsnCode || null,
+        gstRate: item.gstRate ?? null,
+        quantity: qty,
+        basePrice: item.basePrice ?? null,
+        price: Number(item.price),
+        itemTotal: Number(item.price) * qty,
+        modifiers: item.modifiers || [],
+        customizations: item.customizations || [],
+        addedAt: Date.now()
+      };
+      items.push(line);
+
+      return {
+        items,
+        change: this.describeItemChange(line, items.length - 1, 0, qty)
+      };
+    }
+
+    if (type !== 'remove' && type !== 'update_quantity') {
+      throw new Error(`Unknown modification type: ${type}`);
+    }
+
+    const index = items.findIndex((line, i) => this.getItemKey(line, i) === itemId);
+    if (index === -1) {
+      throw new Error('Order item not found');
+    }
+
+    const line = items[index];
+    const before = line.quantity;
+    const after = type === 'remove' ? 0 : parseInt(quantity);
+    if (isNaN(after) || after < 0) {
+      throw new Error('Quantity must be a non-negative number');
+    }
+    if (after === before) {
+      throw new Error('Quantity is unchanged');
+    }
+
+    const change = this.describeItemChange(line, index, before, after);
+
+    if (after === 0) {
+      items.splice(index, 1);
+    } else {
+      line.quantity = after;
+      line.itemTotal = line.price * after;
+    }
+
+    return { items, change };
+  }
+
+  /**
+   * Change entry in the shape KOTService.generateModificationKOT prints
+   */
+  describeItemChange(line, index, quantityBefore, quantityAfter) {
+    return {
+      itemKey: this.getItemKey(line, index),
+      dishName: line.dishName,
+      nameLocal: line.nameLocal || null,
+      modifiers: (line.modifiers || []).map(modifier => modifier.name),
+      customizations: line.customizations || [],
+      quantityBefore,
+      quantityAfter,
+      quantityDelta: quantityAfter - quantityBefore,
+      item: line
+    };
+  }
+
+  /**
+   * Rebuild cart totals for modified lines (delivery fee is kept as charged).
+   * Combos and promotions are re-priced, so removing part of a bundle drops
+   * its discount; the order's coupon stays applied if it still qualifies.
+   */
+  async recalculateOrderCart(tenantId, order, items) {
+    let pricing = {
+      combos: order.cart?.combos || [],
+      promotions: order.cart?.promotions || [],
+      coupon: order.cart?.coupon || null,
+      loyalty: order.cart?.loyalty || null
+    };
+    if (this.pricingService) {
+      const redeemed = (order.cart?.promotions || []).map(promotion => promotion.promotionId);
+      pricing = await this.pricingService.priceCart(tenantId, items, {
+        couponCode: order.cart?.coupon?.applied ? order.cart.coupon.code : null,
+        phone: order.customer?.phone,
+        orderType: order.orderType,
+        groupOrder: Boolean(order.collaborativeOrderId),
+        // Happy hours and promotion dates are judged at the time the order was placed
+        now: order.createdAt ? new Date(order.createdAt) : undefined,
+        redeemedPromotionIds: redeemed,
+        // Points were taken off the balance when the order was placed
+        redeemedLoyalty: order.cart?.loyalty?.applied ? order.cart.loyalty : null
+      });
+    }
+
+    const taxCalculation = this.taxService.calculateCartTax(items, {
+      deliveryFee: order.cart?.deliveryFee || 0,
+      orderType: order.orderType,
+      deliveryAddress: order.deliveryAddress,
+      customerGstin: order.customerGstin
+    });
+
+    return {
+      ...order.cart,
+      items,
+      combos: pricing.combos,
+      promotions: pricing.promotions,
+      coupon: pricing.coupon,
+      loyalty: pricing.loyalty,
+      ...this.taxService.toCartTotals(taxCalculation)
+    };
+  }
+
+  /**
+   * Settle the difference for an online order after a modification.
+   * Unpaid orders get a fresh Razorpay order for the new total; paid orders
+   * get a top-up payment order or a partial refund.
+   * @returns {Promise<object|null>} Payment adjustment, or null when none is needed
+   */
+  async adjustPaymentForModification(order, cart, delta, sequence, reason) {
+    if (order.paymentMethod !== 'online' || delta === 0) {
+      return null;
+    }
+
+    if (!this.paymentService) {
+      console.warn('[OrderManagement] No payment service, payment not adjusted for order:', order.orderId);
+      return { type: 'manual', amount: Math.abs(delta), status: 'pending' };
+    }
+
+    const isPaid = order.paymentStatus === 'paid' && order.razorpayPaymentId;
+
+    if (!isPaid) {
+      const razorpayOrder = await this.paymentService.createPaymentOrder({
+        amount: cart.total,
+        orderId: order.orderId,
+        customer: order.customer,
+        currency: 'INR'
+      });
+
+      return { type: 'reissued', amount: cart.total, razorpayOrderId: razorpayOrder.id, status: 'pending' };
+    }
+
+    // An unpaid earlier top-up is folded into this adjustment instead of being left open
+    const outstanding = Math.round(((order.pendingTopUp?.amount || 0) + delta) * 100) / 100;
+
+    if (outstanding > 0) {
+      const razorpayOrder = await this.paymentService.createPaymentOrder({
+        amount: outstanding,
+        orderId: `${order.orderId}-MOD${sequence}`,
+        customer: order.customer,
+        currency: 'INR'
+      });
+
+      return { type: 'top_up', amount: outstanding, razorpayOrderId: razorpayOrder.id, status: 'pending' };
+    }
+
+    if (outstanding === 0) {
+      return { type: 'top_up_cancelled', amount: order.pendingTopUp.amount, status: 'cancelled' };
+    }
+
+    const refund = await this.paymentService.refundPayment(order.razorpayPaymentId, -outstanding, {
+      orderId: order.orderId,
+      tenantId: order.tenantId,
+      reason: reason || 'Order modified'
+    });
+
+    return { type: 'refund', amount: -outstanding, refundId: refund.id, status: refund.status };
+  }
+
+  /**
+   * Record payment of a modification top-up
+   */
+  async settleTopUp(orderId, tenantId, { razorpayOrderId, razorpayPaymentId, paidBy }) {
+    try {
+      const order = await this.getOrderById(orderId, tenantId);
+
+      if (order.pendingTopUp?.razorpayOrderId !== razorpayOrderId) {
+        throw new Error('No pending top-up for this payment');
+      }
+
+      const updatedOrder = await this.updateOrderStatus(orderId, tenantId, {
+        pendingTopUp: null,
+        topUpPayments: [
+          ...(order.topUpPayments || []),
+          {
+            ...order.pendingTopUp,
+            razorpayPaymentId,
+            paidAt: new Date().toISOString()
+          }
+        ],
+        updatedBy: paidBy || 'customer'
+      });
+
+      console.log('[OrderManagement] Top-up settled', { orderId, razorpayPaymentId });
+
+      return updatedOrder;
+    } catch (error) {
+      console.error('[OrderManagement] Failed to settle top-up:', error);
+      throw error;
+    }
+  }
+
   /**
    * Mark order as ready
    */
@@ -198,29 +727,237 @@ export class OrderManagementService {
         readyAt: new Date().toISOString()
       });
 
-      // If delivery order, notify delivery partner
-      if (updatedOrder.orderType === 'delivery') {
-        // TODO: Integrate with Porter or delivery partner API
-        console.log('[OrderManagement] Order ready for delivery:', orderId);
+      // Delivery orders are booked with a courier by DispatchService on this update
+      return updatedOrder;
+    } catch (error) {
+      console.error('[OrderManagement] Failed to mark order ready:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Quote delivery for an order with every courier the tenant has enabled
+   * @returns {Promise<{quotes: Array, unavailable: Array}>} Quotes sorted cheapest first
+   */
+  async getDeliveryQuotes(orderId, tenantId) {
+    try {
+      const courierService = this.requireCourierService();
+      const order = await this.getOrderById(orderId, tenantId);
+      const request = await courierService.buildRequest(tenantId, order);
+
+      return await courierService.getQuotes(tenantId, request);
+    } catch (error) {
+      console.error('[OrderManagement] Failed to get delivery quotes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Book a courier for a delivery order (cheapest enabled courier unless one is given)
+   * @param {object} options - { courier, dispatchedBy, attempts } (attempts: bookings tried so far, including this one)
+   */
+  async dispatchDelivery(orderId, tenantId, { courier = null, dispatchedBy = 'system', attempts = 1 } = {}) {
+    try {
+      const courierService = this.requireCourierService();
+      const order = await this.getOrderById(orderId, tenantId);
+
+      if (order.orderType !== 'delivery') {
+        throw new Error('Cannot dispatch a non-delivery order');
+      }
+      if (!['confirmed', 'preparing', 'ready'].includes(order.status)) {
+        throw new Error(`Cannot dispatch order with status: ${order.status}`);
+      }
+      if (order.delivery && !TERMINAL_DELIVERY_STATUSES.includes(order.delivery.status)) {
+        throw new Error(`Cannot dispatch: delivery already ${order.delivery.status} with ${order.delivery.courier}`);
       }
 
+      const delivery = await courierService.createDelivery(tenantId, order, { courier });
+
+      const updatedOrder = await this.updateOrderStatus(orderId, tenantId, {
+        delivery: {
+          ...delivery,
+          dispatchedBy,
+          history: [{ status: delivery.status, at: delivery.requestedAt, event: 'dispatched' }]
+        },
+        deliveryHistory: order.delivery ? [...(order.deliveryHistory || []), order.delivery] : (order.deliveryHistory || []),
+        dispatch: {
+          ...(order.dispatch || {}),
+          attempts,
+          lastError: null,
+          nextRetryAt: null,
+          escalated: false
+        },
+        updatedBy: dispatchedBy
+      }, 'delivery_dispatched');
+
+      console.log('[OrderManagement] Delivery dispatched', {
+        orderId,
+        courier: delivery.courier,
+        deliveryId: delivery.deliveryId
+      });
+
       return updatedOrder;
     } catch (error) {
-      console.error('[OrderManagement] Failed to mark order ready:', error);
+      console.error('[OrderManagement] Failed to dispatch delivery:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh the stored delivery state from the courier
+   */
+  async refreshDelivery(orderId, tenantId) {
+    try {
+      const courierService = this.requireCourierService();
+      const order = await this.getOrderById(orderId, tenantId);
+
+      if (!order.delivery) {
+        throw new Error('Order has no delivery');
+      }
+
+      const tracking = await courierService.trackDelivery(order.delivery.courier, order.delivery.deliveryId);
+
+      return await this.applyDeliveryUpdate({
+        courier: order.delivery.courier,
+        deliveryId: order.delivery.deliveryId,
+        orderId,
+        tenantId,
+        event: 'tracked',
+        status: tracking.status,
+        driverDetails: tracking.driverDetails || null,
+        location: tracking.currentLocation || null,
+        occurredAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('[OrderManagement] Failed to refresh delivery:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel the active courier booking for an order
+   */
+  async cancelDelivery(orderId, tenantId, { reason = 'Cancelled by restaurant', cancelledBy = 'system' } = {}) {
+    try {
+      const courierService = this.requireCourierService();
+      const order = await this.getOrderById(orderId, tenantId);
+
+      if (!order.delivery || TERMINAL_DELIVERY_STATUSES.includes(order.delivery.status)) {
+        throw new Error('Order has no active delivery');
+      }
+
+      const result = await courierService.cancelDelivery(order.delivery.courier, order.delivery.deliveryId, reason);
+
+      return await this.applyDeliveryUpdate({
+        courier: order.delivery.courier,
+        deliveryId: order.delivery.deliveryId,
+        orderId,
+        tenantId,
+        event: 'cancelled_by_restaurant',
+        status: 'cancelled',
+        reason,
+        cancellationFee: result.cancellationFee || 0,
+        updatedBy: cancelledBy,
+        occurredAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('[OrderManagement] Failed to cancel delivery:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a courier delivery update on its order. Updates for an older
+   * booking (after a re-dispatch) are ignored; a delivered update completes the order.
+   * @param {object} update - Normalized update from CourierService
+   * @returns {Promise<object|null>} Updated order, or null when no order matches
+   */
+  async applyDeliveryUpdate(update) {
+    try {
+      const order = await this.findOrderByDelivery(update);
+      if (!order) {
+        console.warn('[OrderManagement] No order for delivery update:', update.courier, update.deliveryId);
+        return null;
+      }
+
+      const delivery = order.delivery;
+      const now = new Date().toISOString();
+      const updatedDelivery = {
+        ...delivery,
+        status: update.status,
+        driverDetails: update.driverDetails || delivery.driverDetails || null,
+        lastLocation: update.location || delivery.lastLocation || null,
+        history: [
+          ...(delivery.history || []),
+          { status: update.status, at: update.occurredAt || now, event: update.event || null, reason: update.reason || null }
+        ],
+        updatedAt: now
+      };
+      if (update.cancellationFee !== undefined) {
+        updatedDelivery.cancellationFee = update.cancellationFee;
+      }
+
+      const updates = { delivery: updatedDelivery, updatedBy: update.updatedBy || update.courier };
+      if (update.status === 'delivered' && order.status !== 'delivered') {
+        updates.status = 'delivered';
+        updates.deliveredBy = update.courier;
+        updates.deliveredAt = update.occurredAt || now;
+      }
+
+      const updatedOrder = await this.updateOrderStatus(order.orderId, order.tenantId, updates, 'delivery_updated');
+
+      console.log('[OrderManagement] Delivery updated', {
+        orderId: order.orderId,
+        courier: update.courier,
+        status: update.status
+      });
+
+      return updatedOrder;
+    } catch (error) {
+      console.error('[OrderManagement] Failed to apply delivery update:', error);
       throw error;
     }
   }
 
+  /**
+   * Find the order whose current delivery an update belongs to
+   */
+  async findOrderByDelivery(update) {
+    const orders = update.orderId && update.tenantId
+      ? await this.firebaseService.queryDocuments('orders', { orderId: update.orderId, tenantId: update.tenantId })
+      : await this.firebaseService.queryDocuments('orders', { 'delivery.deliveryId': update.deliveryId });
+
+    return orders.find(order =>
+      order.delivery?.deliveryId === update.deliveryId && order.delivery?.courier === update.courier
+    ) || null;
+  }
+
+  requireCourierService() {
+    if (!this.courierService) {
+      throw new Error('Courier dispatch is not configured');
+    }
+    return this.courierService;
+  }
+
   /**
    * Mark order as delivered/completed
+   * @param {object} cashCollection - For cash orders, the cash taken on handover:
+   *   { amount, collectorType: 'rider' | 'counter', collectorId, collectorName }
    */
-  async markOrderDelivered(orderId, tenantId, deliveredBy) {
+  async markOrderDelivered(orderId, tenantId, deliveredBy, cashCollection = null) {
     try {
-      const updatedOrder = await this.updateOrderStatus(orderId, tenantId, {
+      const updates = {
         status: 'delivered',
         deliveredBy,
         deliveredAt: new Date().toISOString()
-      });
+      };
+
+      if (cashCollection) {
+        const order = await this.getOrderById(orderId, tenantId);
+        updates.cod = await this.cashSettlementService.recordCollection(order, { collectedBy: deliveredBy, ...cashCollection });
+      }
+
+      const updatedOrder = await this.updateOrderStatus(orderId, tenantId, updates);
 
       return updatedOrder;
     } catch (error) {
@@ -230,30 +967,232 @@ export class OrderManagementService {
   }
 
   /**
-   * Cancel an order
+   * Record the cash collected for an order handed over some other way
+   * (an own-rider delivery completed from the rider flow)
+   * @param {object} collection - { amount, collectorType, collectorId, collectorName, collectedBy }
+   */
+  async recordCashCollection(orderId, tenantId, collection) {
+    try {
+      const order = await this.getOrderById(orderId, tenantId);
+      const cod = await this.cashSettlementService.recordCollection(order, collection);
+
+      return await this.updateOrderStatus(orderId, tenantId, { cod }, 'cash_collected');
+    } catch (error) {
+      console.error('[OrderManagement] Failed to record cash collection:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cash shift reports per rider and counter for a dashboard period
+   */
+  async getCashReconciliation(tenantId, period = 'today') {
+    const { startDate, endDate } = this.getDateRange(period);
+    return this.cashSettlementService.getReconciliation(tenantId, { startDate, endDate });
+  }
+
+  /**
+   * Cancel an order and refund what the tenant's cancellation policy allows
+   * for how far the order had got. The status check and the cancellation are
+   * one transaction, so a repeated or concurrent cancel cannot refund twice.
    */
   async cancelOrder(orderId, tenantId, reason, cancelledBy) {
     try {
-      const updatedOrder = await this.updateOrderStatus(orderId, tenantId, {
-        status: 'cancelled',
-        cancellationReason: reason,
-        cancelledBy,
-        cancelledAt: new Date().toISOString()
+      const { id } = await this.getOrderById(orderId, tenantId);
+      const policy = await this.cancellationPolicyService.getPolicy(tenantId);
+      const now = new Date().toISOString();
+
+      const { refunds, cancellation } = await this.firebaseService.runTransaction(async (tx) => {
+        const order = await tx.get('orders', id);
+        this.assertCancellable(order);
+
+        const { refunds, ...cancellation } = this.cancellationPolicyService.evaluate(order, policy);
+
+        tx.update('orders', id, {
+          status: 'cancelled',
+          cancellationReason: reason,
+          cancelledBy,
+          cancelledAt: now,
+          cancellation,
+          refundStatus: refunds.length > 0 ? 'pending' : 'none',
+          ...(order.cod?.status === 'pending' && { cod: { ...order.cod, status: 'cancelled' } }),
+          statusTimeline: [
+            ...(order.statusTimeline || []),
+            { status: 'cancelled', timestamp: now, updatedBy: cancelledBy || 'system' }
+          ],
+          updatedAt: now
+        });
+
+        return { refunds, cancellation };
       });
 
-      // If payment was made, initiate refund
-      if (updatedOrder.paymentMethod === 'online' && updatedOrder.paymentDetails) {
-        // TODO: Integrate refund through PaymentService
-        console.log('[OrderManagement] Refund needed for order:', orderId);
+      const updatedOrder = await this.getOrderById(orderId, tenantId);
+      this.broadcastOrderUpdate(tenantId, updatedOrder, 'order_cancelled');
+
+      console.log('[OrderManagement] Order cancelled', { orderId, ...cancellation });
+
+      // Only the call that made the transition gets here, so each payment is refunded once
+      let refundedOrder = updatedOrder;
+      for (const { paymentId, amount } of refunds) {
+        refundedOrder = await this.refundForCancellation(refundedOrder, paymentId, amount, reason) || refundedOrder;
       }
 
-      return updatedOrder;
+      return refundedOrder;
     } catch (error) {
       console.error('[OrderManagement] Failed to cancel order:', error);
       throw error;
     }
   }
 
+  /**
+   * Orders that are cancelled already, or were handed over, cannot be cancelled
+   */
+  assertCancellable(order) {
+    if (order.status === 'cancelled') {
+      throw new Error('Order is already cancelled');
+    }
+    if (order.status === 'delivered') {
+      throw new Error('Cannot cancel a delivered order');
+    }
+  }
+
+  /**
+   * What cancelling an order now would refund under the tenant's policy
+   * @returns {Promise<object>} { orderId, status, cancellable, stage, refundPercent, paidAmount, refundAmount, policy }
+   */
+  async quoteCancellation(orderId, tenantId) {
+    try {
+      const order = await this.getOrderById(orderId, tenantId);
+      const policy = await this.cancellationPolicyService.getPolicy(tenantId);
+      const cancellable = !['cancelled', 'delivered'].includes(order.status);
+      const { refunds, ...quote } = cancellable
+        ? this.cancellationPolicyService.evaluate(order, policy)
+        : { stage: null, refundPercent: 0, paidAmount: 0, refundAmount: 0 };
+
+      return {
+        orderId,
+        status: order.status,
+        cancellable,
+        ...quote,
+        policy: this.cancellationPolicyService.describePolicy(policy)
+      };
+    } catch (error) {
+      console.error('[OrderManagement] Failed to quote cancellation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refund one payment of a cancelled order. A refund Razorpay refuses is
+   * recorded as failed (and flagged for staff) rather than undoing the cancellation.
+   */
+  async refundForCancellation(order, paymentId, amount, reason) {
+    if (!this.paymentService) {
+      console.warn('[OrderManagement] No payment service, cancellation not refunded for order:', order.orderId);
+      return this.recordRefund(order.orderId, order.tenantId, {
+        refundId: null, paymentId, amount, status: 'failed', reason: 'cancellation', error: 'No payment service'
+      });
+    }
+
+    try {
+      const refund = await this.paymentService.refundPayment(paymentId, amount, {
+        orderId: order.orderId,
+        tenantId: order.tenantId,
+        reason: `Order cancelled: ${reason}`
+      });
+
+      return await this.recordRefund(order.orderId, order.tenantId, {
+        refundId: refund.id,
+        paymentId,
+        amount,
+        status: refund.status === 'processed' ? 'processed' : 'pending',
+        reason: 'cancellation'
+      });
+    } catch (error) {
+      console.error('[OrderManagement] Cancellation refund failed:', { orderId: order.orderId, paymentId, error: error.message });
+      return this.recordRefund(order.orderId, order.tenantId, {
+        refundId: null, paymentId, amount, status: 'failed', reason: 'cancellation', error: error.message
+      });
+    }
+  }
+
+  /**
+   * Add a refund to the order, or move a known one on (refund webhooks).
+   * A processed or failed refund never goes back to pending, whatever order
+   * the webhooks arrive in.
+   * @param {object} refund - { refundId, paymentId, amount, status: 'pending' | 'processed' | 'failed', reason, error }
+   * @returns {Promise<object|null>} Updated order, or null when the order is not found
+   */
+  async recordRefund(orderId, tenantId, refund) {
+    try {
+      const now = new Date().toISOString();
+      const result = await this.firebaseService.runTransaction(async (tx) => {
+        const order = await tx.get('orders', orderId);
+        if (!order || order.tenantId !== tenantId) {
+          return null;
+        }
+
+        const refunds = [...(order.refunds || [])];
+        const index = refund.refundId ? refunds.findIndex(entry => entry.refundId === refund.refundId) : -1;
+        const existing = index >= 0 ? refunds[index] : null;
+
+        if (existing && (existing.status === refund.status || (existing.status !== 'pending' && refund.status === 'pending'))) {
+          return { order, changed: false };
+        }
+
+        const entry = {
+          ...existing,
+          refundId: refund.refundId,
+          paymentId: refund.paymentId || existing?.paymentId || null,
+          amount: refund.amount ?? existing?.amount ?? null,
+          status: refund.status,
+          reason: existing?.reason || refund.reason || null,
+          ...(refund.error && { error: refund.error }),
+          createdAt: existing?.createdAt || now,
+          ...(refund.status !== 'pending' && { [`${refund.status}At`]: now })
+        };
+        if (existing) {
+          refunds[index] = entry;
+        } else {
+          refunds.push(entry);
+        }
+
+        const updates = { refunds, refundStatus: this.getRefundStatus(refunds), updatedAt: now };
+        tx.update('orders', orderId, updates);
+
+        return { order: { ...order, ...updates }, changed: true };
+      });
+
+      if (!result) {
+        console.warn('[OrderManagement] Refund for unknown order:', { orderId, refundId: refund.refundId });
+        return null;
+      }
+
+      if (result.changed) {
+        console.log('[OrderManagement] Refund recorded', { orderId, refundId: refund.refundId, status: refund.status });
+        this.broadcastOrderUpdate(tenantId, result.order, 'refund_updated');
+      }
+
+      return result.order;
+    } catch (error) {
+      console.error('[OrderManagement] Failed to record refund:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Overall refund state of an order from its refunds
+   */
+  getRefundStatus(refunds) {
+    if (refunds.length === 0) {
+      return 'none';
+    }
+    if (refunds.some(refund => refund.status === 'failed')) {
+      return 'failed';
+    }
+    return refunds.every(refund => refund.status === 'processed') ? 'processed' : 'pending';
+  }
+
   /**
    * Get order statistics for dashboard
    */
@@ -271,6 +1210,7 @@ export class OrderManagementService {
       const stats = {
         totalOrders: allOrders.length,
         pendingOrders: allOrders.filter(o => o.status === 'confirmed').length,
+        scheduledOrders: allOrders.filter(o => o.status === 'scheduled').length,
         preparingOrders: allOrders.filter(o => o.status === 'preparing').length,
         readyOrders: allOrders.filter(o => o.status === 'ready').length,
         deliveredOrders: allOrders.filter(o => o.status === 'delivered').length,
@@ -282,7 +1222,9 @@ export class OrderManagementService {
         deliveryOrders: allOrders.filter(o => o.orderType === 'delivery').length,
         pickupOrders: allOrders.filter(o => o.orderType === 'pickup').length,
         dineInOrders: allOrders.filter(o => o.orderType === 'dine-in').length,
-        urgentOrders: allOrders.filter(o => this.isOrderUrgent(o)).length
+        urgentOrders: allOrders.filter(o => this.isOrderUrgent(o)).length,
+        // Short or excess cash, and delivered cash orders with no cash recorded, are listed in discrepancies
+        cashOnDelivery: this.cashSettlementService.summarize(allOrders)
       };
 
       stats.averageOrderValue = stats.totalOrders > 0
@@ -324,6 +1266,8 @@ export class OrderManagementService {
    * Broadcast order update to all connected restaurant dashboards
    */
   broadcastOrderUpdate(tenantId, order, eventType) {
+    this.emitOrderEvent(tenantId, order, eventType);
+
     const connections = this.restaurantConnections.get(tenantId);
     if (!connections || connections.size === 0) {
       return;
@@ -344,6 +1288,29 @@ export class OrderManagementService {
     console.log(`[OrderManagement] Broadcasted ${eventType} to ${connections.size} connections`);
   }
 
+  /**
+   * Subscribe to order events in-process
+   * @param {Function} listener - (tenantId, order, eventType) => void
+   * @returns {Function} Unsubscribe function
+   */
+  onOrderEvent(listener) {
+    this.orderListeners.add(listener);
+    return () => this.orderListeners.delete(listener);
+  }
+
+  /**
+   * Notify in-process listeners of an order event
+   */
+  emitOrderEvent(tenantId, order, eventType) {
+    this.orderListeners.forEach(listener => {
+      try {
+        listener(tenantId, order, eventType);
+      } catch (error) {
+        console.error('[OrderManagement] Order listener failed:', error);
+      }
+    });
+  }
+
   /**
    * Broadcast new order notification
    */
@@ -355,9 +1322,7 @@ export class OrderManagementService {
    * Calculate elapsed time since order creation
    */
   calculateElapsedTime(createdAt) {
-    const now = new Date();
-    const created = new Date(createdAt);
-    const diffMinutes = Math.floor((now - created) / 1000 / 60);
+    const diffMinutes = this.getElapsedMinutes(createdAt);
 
     if (diffMinutes < 60) {
       return `${diffMinutes}m ago`;
@@ -367,13 +1332,33 @@ export class OrderManagementService {
     return `${diffHours}h ago`;
   }
 
+  /**
+   * Whole minutes elapsed since a timestamp
+   */
+  getElapsedMinutes(since) {
+    return Math.max(0, Math.floor((Date.now() - new Date(since).getTime()) / 1000 / 60));
+  }
+
+  /**
+   * Stable key for a cart line (item ID, or position for legacy orders)
+   */
+  getItemKey(item, index) {
+    return item.id || `line-${index}`;
+  }
+
   /**
    * Check if order is urgent (based on delivery time or elapsed time)
    */
   isOrderUrgent(order) {
+    // Scheduled orders wait for the scheduler to release them
+    if (order.status === 'scheduled') {
+      return false;
+    }
+
     // Check delivery time
-    if (order.deliveryTime) {
-      const deliveryDate = new Date(order.deliveryTime);
+    const dueAt = order.scheduledFor || order.deliveryTime;
+    if (dueAt) {
+      const deliveryDate = new Date(dueAt);
       const now = new Date();
       const minutesUntilDelivery = (deliveryDate - now) / 1000 / 60;
 
@@ -382,8 +1367,8 @@ export class OrderManagementService {
       }
     }
 
-    // Check elapsed time since creation
-    const created = new Date(order.createdAt);
+    // Check elapsed time since creation (or release, for scheduled orders)
+    const created = new Date(order.schedule?.releasedAt || order.createdAt);
     const now = new Date();
     const elapsedMinutes = (now - created) / 1000 / 60;
 
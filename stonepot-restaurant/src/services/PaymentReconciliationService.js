@@ -0,0 +1,576 @@
+/**
+ * Payment Reconciliation Service
+ * Razorpay webhooks are recorded in the `payment_events` ledger under their
+ * event ID, so a redelivered event is acknowledged without being applied
+ * twice; one whose processing failed or never finished is applied on its
+ * next delivery. Webhooks, checkout verification and the reconciliation job all
+ * settle an order's payment through one state machine: a payment only moves
+ * pending -> failed -> paid, so a late `payment.failed` cannot undo a capture.
+ * The reconciliation job asks Razorpay about online orders left in
+ * 'pending_payment' and confirms the ones that were paid, or flags the ones
+ * staff need to look at.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Payment states an order may move to from each state. A failed attempt can
+ * still be followed by a successful retry on the same Razorpay order; a paid
+ * order stays paid (refunds are tracked on the order separately).
+ */
+export const PAYMENT_TRANSITIONS = {
+  pending: ['failed', 'paid'],
+  failed: ['failed', 'paid'],
+  paid: []
+};
+
+/**
+ * Why an order was flagged for payment review
+ */
+export const REVIEW_REASONS = {
+  paid_after_cancel: 'Paid after the order was cancelled; refund the customer',
+  payment_authorized: 'Payment authorized but never captured',
+  payment_failed: 'Every payment attempt failed',
+  no_payment: 'No payment attempt was made',
+  missing_payment_reference: 'Order has no Razorpay order or payment to check',
+  split_unpaid: 'Group order shares were not paid, even after the initiator was asked to cover them',
+  split_paid_late: 'A participant paid after the initiator covered their share; refund them',
+  refund_failed: 'A cancellation refund could not be made; refund the customer by hand'
+};
+
+/**
+ * Review reasons that go away once the order is paid; the others (refunds
+ * owed) stay open until staff resolve them
+ */
+const RESOLVED_BY_PAYMENT = ['payment_authorized', 'payment_failed', 'no_payment', 'missing_payment_reference', 'split_unpaid'];
+
+export class PaymentReconciliationService {
+  constructor(firebaseService, orderManagementService, paymentService, config = {}) {
+    this.firebaseService = firebaseService;
+    this.orderManagementService = orderManagementService;
+    this.paymentService = paymentService;
+    // Group orders paid in shares (set once SplitPaymentService is created)
+    this.splitPaymentService = null;
+
+    this.pollInterval = config.pollInterval || 300; // Seconds between reconciliation runs
+    this.stuckAfterMinutes = config.stuckAfterMinutes || 15; // Pending orders younger than this are left to the webhook
+    this.flagAfterMinutes = config.flagAfterMinutes || 60; // Unpaid orders older than this are flagged for review
+    this.retryReceivedAfterMinutes = config.retryReceivedAfterMinutes || 5; // Events left unprocessed this long are retried
+    this.pollTimer = null;
+    this.reconciling = false;
+  }
+
+  setSplitPaymentService(splitPaymentService) {
+    this.splitPaymentService = splitPaymentService;
+  }
+
+  // ==================== WEBHOOK LEDGER ====================
+
+  /**
+   * Process a verified Razorpay webhook once. Deliveries of an event already
+   * in the ledger are acknowledged without being applied again; events whose
+   * processing failed, or stopped part way (left 'received' for
+   * retryReceivedAfterMinutes), are retried on redelivery.
+   * @param {Object} event - Webhook body
+   * @param {Object} headers - Request headers (x-razorpay-event-id)
+   * @returns {Promise<Object>} { eventId, duplicate, processed, outcome }
+   */
+  async handleWebhook(event, headers = {}) {
+    const eventId = this.getEventId(event, headers);
+
+    const { duplicate, entry } = await this.recordEvent(eventId, event);
+    if (duplicate) {
+      console.log('[PaymentReconciliation] Duplicate webhook ignored', { eventId, event: event.event });
+      return { eventId, duplicate: true, processed: false, outcome: entry.outcome || null };
+    }
+
+    try {
+      const result = await this.paymentService.handleWebhookEvent(event);
+
+      let outcome = { applied: false, reason: 'no_order_update' };
+      if (result.processed && result.action === 'update_refund_status' && result.orderId) {
+        outcome = await this.applyRefundResult(result);
+      } else if (result.processed && result.orderId && result.paymentStatus) {
+        outcome = await this.applyPaymentResult(result.orderId, {
+          paymentStatus: result.paymentStatus,
+          razorpayOrderId: result.razorpayOrderId,
+          razorpayPaymentId: result.razorpayPaymentId,
+          error: result.error,
+          source: 'webhook'
+        });
+      }
+
+      await this.firebaseService.updateDocument('payment_events', eventId, {
+        status: result.processed ? 'processed' : 'ignored',
+        outcome: { applied: outcome.applied, reason: outcome.reason || null },
+        processedAt: new Date().toISOString()
+      });
+
+      return { eventId, duplicate: false, processed: result.processed, outcome };
+    } catch (error) {
+      console.error('[PaymentReconciliation] Failed to process webhook:', error);
+      await this.firebaseService.updateDocument('payment_events', eventId, {
+        status: 'failed',
+        error: error.message,
+        processedAt: new Date().toISOString()
+      }).catch(ledgerError => console.error('[PaymentReconciliation] Failed to mark event failed:', ledgerError));
+      throw error;
+    }
+  }
+
+  /**
+   * Razorpay sends a unique ID per event in x-razorpay-event-id; payloads
+   * without it are keyed by event type, entity and creation time
+   */
+  getEventId(event, headers = {}) {
+    if (headers['x-razorpay-event-id']) {
+      return headers['x-razorpay-event-id'];
+    }
+
+    const entity = this.getEventEntity(event);
+    return `${event.event}_${entity?.id || 'unknown'}_${event.created_at || 0}`;
+  }
+
+  getEventEntity(event) {
+    const payload = event.payload || {};
+    return payload.payment?.entity || payload.refund?.entity || payload.order?.entity || payload.qr_code?.entity || null;
+  }
+
+  /**
+   * Add an event to the ledger unless it is already there
+   * @returns {Promise<Object>} { duplicate, entry }
+   */
+  async recordEvent(eventId, event, now = new Date()) {
+    const entity = this.getEventEntity(event);
+    const payment = event.payload?.payment?.entity;
+    const order = event.payload?.order?.entity;
+    const qrCode = event.payload?.qr_code?.entity;
+    const refund = event.payload?.refund?.entity;
+
+    return this.firebaseService.runTransaction(async (tx) => {
+      const existing = await tx.get('payment_events', eventId);
+      // A delivery still being processed is a duplicate; one abandoned mid-way is not
+      const abandoned = existing?.status === 'received' &&
+        now - new Date(existing.receivedAt) >= this.retryReceivedAfterMinutes * MINUTE_MS;
+      if (existing && existing.status !== 'failed' && !abandoned) {
+        return { duplicate: true, entry: existing };
+      }
+
+      const entry = {
+        eventId,
+        event: event.event,
+        entityId: entity?.id || null,
+        orderId: payment?.notes?.orderId || order?.notes?.orderId || qrCode?.notes?.orderId || refund?.notes?.orderId || null,
+        razorpayOrderId: payment?.order_id || order?.id || null,
+        razorpayPaymentId: payment?.id || refund?.payment_id || null,
+        upiQrId: qrCode?.id || null,
+        eventCreatedAt: event.created_at || null,
+        payload: event.payload || {},
+        status: 'received',
+        attempts: (existing?.attempts || 0) + 1,
+        receivedAt: now.toISOString()
+      };
+      tx.set('payment_events', eventId, entry);
+
+      return { duplicate: false, entry };
+    });
+  }
+
+  /**
+   * Record a refund webhook on the order it was made for
+   */
+  async applyRefundResult(result) {
+    const order = await this.orderManagementService.recordRefund(result.orderId, result.tenantId, {
+      refundId: result.refundId,
+      paymentId: result.razorpayPaymentId,
+      amount: result.amount,
+      status: result.refundStatus
+    });
+
+    return order
+      ? { applied: true, refundStatus: order.refundStatus }
+      : { applied: false, reason: 'order_not_found' };
+  }
+
+  // ==================== PAYMENT STATE MACHINE ====================
+
+  canTransition(from, to) {
+    return (PAYMENT_TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Apply a payment result to an order if its payment state allows it. Paid
+   * orders waiting on payment are confirmed (or scheduled); a payment that
+   * lands on a cancelled order is flagged for a refund. Failures leave the
+   * order in 'pending_payment' so the customer can retry.
+   * @param {string} orderId - Order ID (top-ups carry a -MOD suffix, group order shares -SPLIT)
+   * @param {Object} result - { paymentStatus, razorpayOrderId, razorpayPaymentId, paymentDetails, error, source }
+   * @returns {Promise<Object>} { applied, reason, from, to, order }
+   */
+  async applyPaymentResult(orderId, result) {
+    try {
+      // Modification top-ups are paid against their own Razorpay order
+      const topUp = orderId.match(/^(.+)-MOD\d+$/);
+      if (topUp) {
+        return await this.applyTopUpResult(topUp[1], result);
+      }
+
+      // Each participant in a group order pays their share on its own Razorpay order
+      const share = orderId.match(/^(.+)-SPLIT\d+$/);
+      if (share && this.splitPaymentService) {
+        return await this.splitPaymentService.applyShareResult(share[1], result);
+      }
+
+      const now = new Date();
+      const outcome = await this.firebaseService.runTransaction(async (tx) => {
+        const order = await tx.get('orders', orderId);
+        if (!order) {
+          return { applied: false, reason: 'order_not_found' };
+        }
+
+        const from = order.paymentStatus || 'pending';
+        if (!this.canTransition(from, result.paymentStatus)) {
+          return { applied: false, reason: 'invalid_transition', from, to: result.paymentStatus, order };
+        }
+
+        const updates = this.buildPaymentUpdates(order, result, now);
+        tx.update('orders', orderId, updates);
+
+        return { applied: true, from, to: result.paymentStatus, order: { ...order, ...updates } };
+      });
+
+      if (!outcome.applied) {
+        console.log('[PaymentReconciliation] Payment result not applied', {
+          orderId,
+          reason: outcome.reason,
+          from: outcome.from,
+          to: result.paymentStatus,
+          source: result.source
+        });
+        return outcome;
+      }
+
+      console.log('[PaymentReconciliation] Payment state changed', {
+        orderId,
+        from: outcome.from,
+        to: outcome.to,
+        status: outcome.order.status,
+        source: result.source
+      });
+
+      this.orderManagementService.broadcastOrderUpdate(
+        outcome.order.tenantId,
+        outcome.order,
+        result.paymentStatus === 'paid' ? 'payment_confirmed' : 'payment_failed'
+      );
+
+      return outcome;
+    } catch (error) {
+      console.error('[PaymentReconciliation] Failed to apply payment result:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Order fields written for a payment transition
+   */
+  buildPaymentUpdates(order, result, now) {
+    const timestamp = now.toISOString();
+    const updates = {
+      paymentStatus: result.paymentStatus,
+      ...(result.razorpayOrderId && { razorpayOrderId: result.razorpayOrderId }),
+      ...(result.razorpayPaymentId && { razorpayPaymentId: result.razorpayPaymentId }),
+      updatedAt: timestamp
+    };
+
+    if (result.paymentStatus === 'failed') {
+      updates.lastPaymentError = {
+        ...(result.error || {}),
+        razorpayPaymentId: result.razorpayPaymentId || null,
+        failedAt: timestamp
+      };
+      return updates;
+    }
+
+    updates.paidAt = now.getTime();
+    if (result.paymentDetails) {
+      updates.paymentDetails = result.paymentDetails;
+    }
+
+    // Orders cancelled while waiting on payment stay cancelled; staff refund them
+    if (order.status === 'cancelled') {
+      updates.paymentReview = this.buildReview('paid_after_cancel', result.source, now);
+      return updates;
+    }
+
+    // Earlier releases marked failed payments on the order status itself
+    if (['pending_payment', 'payment_failed'].includes(order.status)) {
+      // Paid orders for later wait for the scheduler to send them to the kitchen
+      updates.status = order.scheduledFor ? 'scheduled' : 'confirmed';
+      updates.statusTimeline = [
+        ...(order.statusTimeline || []),
+        { status: updates.status, timestamp, updatedBy: result.source || 'system' }
+      ];
+    }
+    if (RESOLVED_BY_PAYMENT.includes(order.paymentReview?.reason)) {
+      updates.paymentReview = null;
+    }
+
+    return updates;
+  }
+
+  /**
+   * Settle a modification top-up paid through a webhook. The checkout may
+   * already have settled it, in which case there is nothing left to do.
+   */
+  async applyTopUpResult(orderId, result) {
+    if (result.paymentStatus !== 'paid') {
+      return { applied: false, reason: 'top_up_not_paid' };
+    }
+
+    const order = await this.firebaseService.getDocument('orders', orderId);
+    if (!order) {
+      return { applied: false, reason: 'order_not_found' };
+    }
+    if (!result.razorpayOrderId || order.pendingTopUp?.razorpayOrderId !== result.razorpayOrderId) {
+      return { applied: false, reason: 'top_up_already_settled' };
+    }
+
+    const updatedOrder = await this.orderManagementService.settleTopUp(orderId, order.tenantId, {
+      razorpayOrderId: result.razorpayOrderId,
+      razorpayPaymentId: result.razorpayPaymentId,
+      paidBy: result.source
+    });
+
+    return { applied: true, reason: 'top_up_settled', order: updatedOrder };
+  }
+
+  // ==================== RECONCILIATION ====================
+
+  /**
+   * Start reconciling pending payments on a timer
+   */
+  start() {
+    if (this.pollTimer) {
+      return;
+    }
+
+    this.pollTimer = setInterval(() => this.reconcilePendingPayments(), this.pollInterval * 1000);
+    this.pollTimer.unref?.();
+
+    console.log('[PaymentReconciliation] Reconciliation started', { pollInterval: this.pollInterval });
+  }
+
+  stop() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * Check online orders that have waited on payment for longer than the
+   * webhook should take against Razorpay
+   * @param {Object} [options] - { tenantId, now }
+   * @returns {Promise<Array>} Per-order results { orderId, action, reason }
+   */
+  async reconcilePendingPayments({ tenantId = null, now = new Date() } = {}) {
+    if (this.reconciling) {
+      return [];
+    }
+    this.reconciling = true;
+
+    try {
+      const orders = await this.firebaseService.queryDocuments('orders', {
+        status: 'pending_payment',
+        ...(tenantId && { tenantId })
+      });
+
+      const cutoff = now.getTime() - this.stuckAfterMinutes * MINUTE_MS;
+      // Group orders paid in shares are followed up by SplitPaymentService
+      const stuck = orders.filter(order =>
+        order.paymentMethod === 'online' && !order.splitPayment && new Date(order.createdAt).getTime() <= cutoff
+      );
+
+      const results = [];
+      for (const order of stuck) {
+        try {
+          results.push(await this.reconcileOrder(order, now));
+        } catch (error) {
+          // Razorpay being unreachable for one order should not stop the run
+          console.error('[PaymentReconciliation] Failed to reconcile order:', order.orderId, error);
+          results.push({ orderId: order.orderId, action: 'error', reason: error.message });
+        }
+      }
+
+      if (stuck.length > 0) {
+        console.log('[PaymentReconciliation] Reconciled pending payments', {
+          checked: stuck.length,
+          confirmed: results.filter(result => result.action === 'confirmed').length,
+          flagged: results.filter(result => result.action === 'flagged').length
+        });
+      }
+
+      return results;
+    } catch (error) {
+      console.error('[PaymentReconciliation] Failed to reconcile pending payments:', error);
+      throw error;
+    } finally {
+      this.reconciling = false;
+    }
+  }
+
+  /**
+   * Confirm an order Razorpay says was paid; otherwise flag it once it has
+   * waited longer than flagAfterMinutes
+   */
+  async reconcileOrder(order, now = new Date()) {
+    const payments = await this.getOrderPayments(order);
+    const captured = payments.find(payment => payment.status === 'captured');
+
+    if (captured) {
+      const outcome = await this.applyPaymentResult(order.orderId, {
+        paymentStatus: 'paid',
+        razorpayOrderId: captured.orderId || order.razorpayOrderId,
+        razorpayPaymentId: captured.id,
+        paymentDetails: captured,
+        source: 'reconciliation'
+      });
+      return { orderId: order.orderId, action: outcome.applied ? 'confirmed' : 'unchanged', reason: outcome.reason || null };
+    }
+
+    const failed = payments.filter(payment => payment.status === 'failed');
+    const lastFailed = failed[failed.length - 1];
+    if (lastFailed && lastFailed.id !== order.lastPaymentError?.razorpayPaymentId) {
+      await this.applyPaymentResult(order.orderId, {
+        paymentStatus: 'failed',
+        razorpayOrderId: lastFailed.orderId || order.razorpayOrderId,
+        razorpayPaymentId: lastFailed.id,
+        error: { code: lastFailed.errorCode, description: lastFailed.errorDescription },
+        source: 'reconciliation'
+      });
+    }
+
+    const ageMinutes = (now.getTime() - new Date(order.createdAt).getTime()) / MINUTE_MS;
+    if (ageMinutes < this.flagAfterMinutes) {
+      return { orderId: order.orderId, action: 'waiting', reason: null };
+    }
+
+    const reason = !order.razorpayOrderId && !order.razorpayPaymentId && !order.upi?.qrId ? 'missing_payment_reference'
+      : payments.some(payment => payment.status === 'authorized') ? 'payment_authorized'
+        : failed.length > 0 ? 'payment_failed'
+          : 'no_payment';
+
+    // Flagged (or already resolved by staff) for this reason on an earlier run
+    if (order.paymentReview?.reason === reason) {
+      return { orderId: order.orderId, action: 'unchanged', reason };
+    }
+
+    await this.flagOrder(order, reason, 'reconciliation', now);
+
+    return { orderId: order.orderId, action: 'flagged', reason };
+  }
+
+  /**
+   * Order event listener: flag an order whose cancellation refund failed,
+   * unless staff already have it open for review or have dealt with it
+   */
+  handleOrderEvent(tenantId, order) {
+    if (order.refundStatus !== 'failed' || order.paymentReview?.open || order.paymentReview?.reason === 'refund_failed') {
+      return;
+    }
+
+    this.flagOrder(order, 'refund_failed', 'refund')
+      .catch(error => console.error('[PaymentReconciliation] Failed to flag failed refund:', error));
+  }
+
+  /**
+   * Flag an order for staff to sort out its payment
+   */
+  async flagOrder(order, reason, source, now = new Date()) {
+    const updatedOrder = await this.orderManagementService.updateOrderStatus(order.orderId, order.tenantId, {
+      paymentReview: this.buildReview(reason, source, now)
+    }, 'payment_review');
+
+    console.log('[PaymentReconciliation] Order flagged for payment review', { orderId: order.orderId, reason });
+
+    return updatedOrder;
+  }
+
+  /**
+   * Payment attempts Razorpay has for an order, through its Razorpay order
+   * when known, else the one payment recorded on it, plus any made to the
+   * order's UPI QR
+   */
+  async getOrderPayments(order) {
+    const payments = order.razorpayOrderId
+      ? await this.paymentService.getOrderPayments(order.razorpayOrderId)
+      : order.razorpayPaymentId
+        ? [await this.paymentService.getPaymentDetails(order.razorpayPaymentId)]
+        : [];
+
+    if (order.upi?.qrId) {
+      const known = new Set(payments.map(payment => payment.id));
+      const upiPayments = await this.paymentService.getUpiQrPayments(order.upi.qrId);
+      payments.push(...upiPayments.filter(payment => !known.has(payment.id)));
+    }
+
+    return payments;
+  }
+
+  buildReview(reason, source, now) {
+    return {
+      open: true,
+      reason,
+      message: REVIEW_REASONS[reason],
+      flaggedBy: source || 'system',
+      flaggedAt: now.toISOString()
+    };
+  }
+
+  // ==================== PAYMENT REVIEW ====================
+
+  /**
+   * Orders flagged for payment review and not yet resolved
+   */
+  async getFlaggedOrders(tenantId) {
+    try {
+      const orders = await this.firebaseService.queryDocuments('orders', {
+        tenantId,
+        'paymentReview.open': true
+      });
+
+      return orders.sort((a, b) => a.paymentReview.flaggedAt.localeCompare(b.paymentReview.flaggedAt));
+    } catch (error) {
+      console.error('[PaymentReconciliation] Failed to get flagged orders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close a payment review once staff have dealt with it (refunded,
+   * cancelled, or confirmed the payment with the customer)
+   */
+  async resolveReview(orderId, tenantId, { resolvedBy, note = null }) {
+    try {
+      const order = await this.orderManagementService.getOrderById(orderId, tenantId);
+
+      if (!order.paymentReview?.open) {
+        throw new Error('Order has no open payment review');
+      }
+
+      return await this.orderManagementService.updateOrderStatus(orderId, tenantId, {
+        paymentReview: {
+          ...order.paymentReview,
+          open: false,
+          resolvedBy: resolvedBy || 'staff',
+          resolvedAt: new Date().toISOString(),
+          note
+        }
+      }, 'payment_review');
+    } catch (error) {
+      console.error('[PaymentReconciliation] Failed to resolve payment review:', error);
+      throw error;
+    }
+  }
+}
+
+export default PaymentReconciliationService;
@@ -23,6 +23,32 @@ export class PaymentService {
     }
 
     this.webhookSecret = this.config.webhookSecret;
+
+    // In-process listeners notified after a refund is created (credit notes, etc.)
+    this.refundListeners = new Set();
+  }
+
+  /**
+   * Subscribe to refunds created through refundPayment
+   * @param {Function} listener - (refund) => void, refund includes the notes passed in
+   * @returns {Function} Unsubscribe function
+   */
+  onRefund(listener) {
+    this.refundListeners.add(listener);
+    return () => this.refundListeners.delete(listener);
+  }
+
+  /**
+   * Notify refund listeners without letting them fail the refund
+   */
+  async emitRefund(refund) {
+    for (const listener of this.refundListeners) {
+      try {
+        await listener(refund);
+      } catch (error) {
+        console.error('[Payment] Refund listener failed:', error);
+      }
+    }
   }
 
   /**
@@ -135,27 +161,161 @@ export class PaymentService {
 
       const payment = await this.client.payments.fetch(paymentId);
 
-      return {
-        id: payment.id,
-        orderId: payment.order_id,
-        amount: payment.amount / 100, // Convert paise to rupees
-        currency: payment.currency,
-        status: payment.status,
-        method: payment.method,
-        email: payment.email,
-        contact: payment.contact,
-        createdAt: payment.created_at,
-        captured: payment.captured,
-        description: payment.description,
-        errorCode: payment.error_code,
-        errorDescription: payment.error_description
-      };
+      return this.formatPayment(payment);
     } catch (error) {
       console.error('[Payment] Failed to fetch payment details:', error);
       throw new Error(`Failed to fetch payment: ${error.message}`);
     }
   }
 
+  /**
+   * Fetch every payment attempt made against a Razorpay order
+   * @param {string} razorpayOrderId - Razorpay order ID
+   * @returns {Promise<Array>} Payment details, same shape as getPaymentDetails
+   */
+  async getOrderPayments(razorpayOrderId) {
+    if (!this.enabled) {
+      throw new Error('Razorpay payment is not configured');
+    }
+
+    try {
+      console.log('[Payment] Fetching order payments:', razorpayOrderId);
+
+      const { items = [] } = await this.client.orders.fetchPayments(razorpayOrderId);
+
+      return items.map(payment => this.formatPayment(payment));
+    } catch (error) {
+      console.error('[Payment] Failed to fetch order payments:', error);
+      throw new Error(`Failed to fetch order payments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Razorpay payment entity as returned to callers (amounts in ₹)
+   */
+  formatPayment(payment) {
+    return {
+      id: payment.id,
+      orderId: payment.order_id,
+      amount: payment.amount / 100, // Convert paise to rupees
+      currency: payment.currency,
+      status: payment.status,
+      method: payment.method,
+      email: payment.email,
+      contact: payment.contact,
+      createdAt: payment.created_at,
+      captured: payment.captured,
+      description: payment.description,
+      errorCode: payment.error_code,
+      errorDescription: payment.error_description
+    };
+  }
+
+  /**
+   * Create a single-use UPI QR code for the exact order amount. Its UPI
+   * string doubles as an intent link that opens the customer's UPI app.
+   * @param {Object} params - QR parameters
+   * @param {number} params.amount - Amount in ₹ (will be converted to paise)
+   * @param {string} params.orderId - Internal order ID
+   * @param {Object} params.customer - Customer details
+   * @param {number} [params.expiresInMinutes=15] - Minutes before Razorpay closes the QR
+   * @returns {Promise<Object>} UPI QR details
+   */
+  async createUpiQr({ amount, orderId, customer, expiresInMinutes = 15 }) {
+    if (!this.enabled) {
+      throw new Error('Razorpay payment is not configured');
+    }
+
+    try {
+      console.log('[Payment] Creating UPI QR:', {
+        amount,
+        orderId,
+        customer: customer.name
+      });
+
+      const qrCode = await this.client.qrCode.create({
+        type: 'upi_qr',
+        name: `Order ${orderId}`.slice(0, 30),
+        usage: 'single_use',
+        fixed_amount: true,
+        payment_amount: Math.round(amount * 100), // Convert to paise
+        description: `Payment for order ${orderId}`,
+        close_by: Math.floor(Date.now() / 1000) + expiresInMinutes * 60,
+        notes: {
+          orderId,
+          customerName: customer.name,
+          customerPhone: customer.phone
+        }
+      });
+
+      console.log('[Payment] UPI QR created:', {
+        id: qrCode.id,
+        amount: qrCode.payment_amount / 100
+      });
+
+      return this.formatUpiQr(qrCode);
+    } catch (error) {
+      console.error('[Payment] UPI QR creation failed:', error);
+      throw new Error(`Failed to create UPI QR: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch every payment made to a UPI QR code
+   * @param {string} qrCodeId - Razorpay QR code ID
+   * @returns {Promise<Array>} Payment details, same shape as getPaymentDetails
+   */
+  async getUpiQrPayments(qrCodeId) {
+    if (!this.enabled) {
+      throw new Error('Razorpay payment is not configured');
+    }
+
+    try {
+      const { items = [] } = await this.client.qrCode.fetchAllPayments(qrCodeId);
+
+      return items.map(payment => this.formatPayment(payment));
+    } catch (error) {
+      console.error('[Payment] Failed to fetch UPI QR payments:', error);
+      throw new Error(`Failed to fetch UPI QR payments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Close a UPI QR code so it can no longer be paid
+   * @param {string} qrCodeId - Razorpay QR code ID
+   * @returns {Promise<Object>} UPI QR details
+   */
+  async closeUpiQr(qrCodeId) {
+    if (!this.enabled) {
+      throw new Error('Razorpay payment is not configured');
+    }
+
+    try {
+      console.log('[Payment] Closing UPI QR:', qrCodeId);
+
+      return this.formatUpiQr(await this.client.qrCode.close(qrCodeId));
+    } catch (error) {
+      console.error('[Payment] Failed to close UPI QR:', error);
+      throw new Error(`Failed to close UPI QR: ${error.message}`);
+    }
+  }
+
+  /**
+   * Razorpay QR code entity as returned to callers (amounts in ₹)
+   */
+  formatUpiQr(qrCode) {
+    return {
+      id: qrCode.id,
+      imageUrl: qrCode.image_url,
+      intentUrl: qrCode.image_content || null, // upi://pay?... string encoded in the QR
+      amount: qrCode.payment_amount / 100,
+      status: qrCode.status,
+      closeBy: qrCode.close_by,
+      closeReason: qrCode.close_reason || null,
+      createdAt: qrCode.created_at
+    };
+  }
+
   /**
    * Refund a payment
    * @param {string} paymentId - Razorpay payment ID
@@ -190,14 +350,19 @@ export class PaymentService {
         status: refund.status
       });
 
-      return {
+      const result = {
         id: refund.id,
         paymentId: refund.payment_id,
         amount: refund.amount / 100,
         currency: refund.currency,
         status: refund.status,
-        createdAt: refund.created_at
+        createdAt: refund.created_at,
+        notes
       };
+
+      await this.emitRefund(result);
+
+      return result;
     } catch (error) {
       console.error('[Payment] Refund failed:', error);
       throw new Error(`Failed to refund payment: ${error.message}`);
@@ -250,7 +415,10 @@ export class PaymentService {
         return await this.handlePaymentFailed(payload.payment.entity);
 
       case 'order.paid':
-        return await this.handleOrderPaid(payload.order.entity);
+        return await this.handleOrderPaid(payload.order.entity, payload.payment?.entity);
+
+      case 'qr_code.credited':
+        return await this.handleQrCodeCredited(payload.qr_code.entity, payload.payment.entity);
 
       case 'refund.created':
         return await this.handleRefundCreated(payload.refund.entity);
@@ -258,6 +426,9 @@ export class PaymentService {
       case 'refund.processed':
         return await this.handleRefundProcessed(payload.refund.entity);
 
+      case 'refund.failed':
+        return await this.handleRefundFailed(payload.refund.entity);
+
       default:
         console.log('[Payment] Unhandled webhook event:', eventType);
         return { processed: false, eventType };
@@ -282,8 +453,10 @@ export class PaymentService {
       processed: true,
       action: 'update_order_status',
       orderId: payment.notes?.orderId,
+      razorpayOrderId: payment.order_id,
       razorpayPaymentId: payment.id,
       status: 'confirmed',
+      paymentStatus: 'paid',
       amount: payment.amount / 100
     };
   }
@@ -305,8 +478,10 @@ export class PaymentService {
       processed: true,
       action: 'update_order_status',
       orderId: payment.notes?.orderId,
+      razorpayOrderId: payment.order_id,
       razorpayPaymentId: payment.id,
       status: 'payment_failed',
+      paymentStatus: 'failed',
       error: {
         code: payment.error_code,
         description: payment.error_description
@@ -317,9 +492,10 @@ export class PaymentService {
   /**
    * Handle order.paid event
    * @param {Object} order - Order entity
+   * @param {Object} [payment] - Payment entity that paid the order
    * @returns {Promise<Object>} Processing result
    */
-  async handleOrderPaid(order) {
+  async handleOrderPaid(order, payment) {
     console.log('[Payment] Order paid:', {
       id: order.id,
       amount: order.amount / 100
@@ -330,7 +506,35 @@ export class PaymentService {
       action: 'update_order_status',
       orderId: order.notes?.orderId,
       razorpayOrderId: order.id,
-      status: 'paid'
+      razorpayPaymentId: payment?.id,
+      status: 'paid',
+      paymentStatus: 'paid',
+      amount: order.amount_paid / 100
+    };
+  }
+
+  /**
+   * Handle qr_code.credited event (a UPI QR payment)
+   * @param {Object} qrCode - QR code entity
+   * @param {Object} payment - Payment entity
+   * @returns {Promise<Object>} Processing result
+   */
+  async handleQrCodeCredited(qrCode, payment) {
+    console.log('[Payment] UPI QR credited:', {
+      id: qrCode.id,
+      paymentId: payment.id,
+      amount: payment.amount / 100
+    });
+
+    return {
+      processed: true,
+      action: 'update_order_status',
+      orderId: qrCode.notes?.orderId,
+      upiQrId: qrCode.id,
+      razorpayPaymentId: payment.id,
+      status: 'confirmed',
+      paymentStatus: 'paid',
+      amount: payment.amount / 100
     };
   }
 
@@ -350,7 +554,9 @@ export class PaymentService {
       processed: true,
       action: 'update_refund_status',
       refundId: refund.id,
-      status: 'created'
+      status: 'created',
+      ...this.getRefundReference(refund),
+      refundStatus: refund.status === 'processed' ? 'processed' : 'pending'
     };
   }
 
@@ -370,7 +576,43 @@ export class PaymentService {
       processed: true,
       action: 'update_refund_status',
       refundId: refund.id,
-      status: 'processed'
+      status: 'processed',
+      ...this.getRefundReference(refund),
+      refundStatus: 'processed'
+    };
+  }
+
+  /**
+   * Handle refund.failed event
+   * @param {Object} refund - Refund entity
+   * @returns {Promise<Object>} Processing result
+   */
+  async handleRefundFailed(refund) {
+    console.log('[Payment] Refund failed:', {
+      id: refund.id,
+      paymentId: refund.payment_id,
+      amount: refund.amount / 100
+    });
+
+    return {
+      processed: true,
+      action: 'update_refund_status',
+      refundId: refund.id,
+      status: 'failed',
+      ...this.getRefundReference(refund),
+      refundStatus: 'failed'
+    };
+  }
+
+  /**
+   * Order and payment a refund belongs to (refundPayment puts the order in its notes)
+   */
+  getRefundReference(refund) {
+    return {
+      orderId: refund.notes?.orderId,
+      tenantId: refund.notes?.tenantId,
+      razorpayPaymentId: refund.payment_id,
+      amount: refund.amount / 100
     };
   }
 
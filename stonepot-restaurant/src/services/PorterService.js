@@ -7,11 +7,27 @@
  * Contact Porter Enterprise at https://porter.in/api-integrations for API access.
  */
 
-export class PorterService {
+import crypto from 'crypto';
+import { CourierAdapter } from './CourierAdapter.js';
+
+/**
+ * Porter webhook events and the delivery status each one means
+ */
+const WEBHOOK_EVENT_STATUSES = {
+  'order.created': 'requested',
+  'driver.assigned': 'assigned',
+  'order.picked_up': 'picked_up',
+  'order.delivered': 'delivered',
+  'order.cancelled': 'cancelled'
+};
+
+export class PorterService extends CourierAdapter {
   constructor(config) {
+    super('porter', 'Porter');
     this.config = config.porter || {};
     this.apiKey = this.config.apiKey;
     this.baseUrl = this.config.baseUrl || 'https://api.porter.in'; // Placeholder URL
+    this.webhookSecret = this.config.webhookSecret;
     this.enabled = !!this.apiKey;
 
     if (!this.enabled) {
@@ -37,6 +53,7 @@ export class PorterService {
       drop,
       orderDetails: items,
       vehicleType = 'bike',
+      fareQuoteId = null,
       deliveryInstructions
     } = orderDetails;
 
@@ -66,8 +83,8 @@ export class PorterService {
                   street_address1: pickup.address,
                   street_address2: '',
                   landmark: pickup.instructions || '',
-                  city: 'Bangalore', // TODO: Extract from address
-                  pincode: '',
+                  city: pickup.city || 'Bangalore',
+                  pincode: pickup.pincode || '',
                   lat: pickup.lat,
                   lng: pickup.lng,
                   contact_details: {
@@ -84,8 +101,8 @@ export class PorterService {
                   street_address1: drop.address,
                   street_address2: '',
                   landmark: drop.instructions || '',
-                  city: 'Bangalore', // TODO: Extract from address
-                  pincode: '',
+                  city: drop.city || 'Bangalore',
+                  pincode: drop.pincode || '',
                   lat: drop.lat,
                   lng: drop.lng,
                   contact_details: {
@@ -104,7 +121,7 @@ export class PorterService {
             }
           },
           vehicle_type: vehicleType, // 'bike', 'bicycle', 'tempo', 'mini_truck'
-          fare_quote_id: null, // Optional: from fare estimation
+          fare_quote_id: fareQuoteId, // Optional: from fare estimation
           additional_comments: deliveryInstructions || '',
           // Order item details (optional)
           items: items?.items?.map(item => ({
@@ -132,11 +149,14 @@ export class PorterService {
 
       return {
         success: true,
+        courier: this.name,
+        deliveryId: data.order_id,
         porterOrderId: data.order_id,
-        status: data.status,
+        status: this.mapStatus(data.status),
         estimatedDeliveryTime: data.estimated_delivery_time,
         trackingUrl: data.tracking_url,
         driverDetails: data.driver_details,
+        fare: data.fare_details?.estimated_fare ?? null,
         fareDetails: data.fare_details,
         rawResponse: data
       };
@@ -184,6 +204,7 @@ export class PorterService {
 
       return {
         success: true,
+        courier: this.name,
         fareQuoteId: data.fare_quote_id,
         estimatedFare: data.estimated_fare,
         estimatedDistance: data.estimated_distance_km,
@@ -223,8 +244,11 @@ export class PorterService {
 
       return {
         success: true,
+        courier: this.name,
+        deliveryId: data.order_id,
         orderId: data.order_id,
-        status: data.status,
+        status: this.mapStatus(data.status),
+        rawStatus: data.status,
         currentLocation: data.current_location,
         driverDetails: data.driver_details,
         estimatedDeliveryTime: data.estimated_delivery_time,
@@ -273,8 +297,10 @@ export class PorterService {
 
       return {
         success: true,
+        courier: this.name,
+        deliveryId: porterOrderId,
         orderId: data.order_id,
-        status: data.status,
+        status: 'cancelled',
         cancellationFee: data.cancellation_fee,
         rawResponse: data
       };
@@ -351,6 +377,59 @@ export class PorterService {
     }
   }
 
+  /**
+   * Verify a Porter webhook signature (HMAC-SHA256 of the body, X-Porter-Signature header).
+   * Webhooks move orders to picked up and delivered, so without a secret none are accepted.
+   * @param {string} rawBody - Raw webhook body
+   * @param {Object} headers - Request headers
+   * @returns {boolean} True if signature is valid
+   */
+  verifyWebhook(rawBody, headers) {
+    if (!this.webhookSecret) {
+      console.warn('[Porter] Webhook rejected: PORTER_WEBHOOK_SECRET not configured');
+      return false;
+    }
+
+    try {
+      const expected = Buffer.from(crypto
+        .createHmac('sha256', this.webhookSecret)
+        .update(rawBody)
+        .digest('hex'));
+      const received = Buffer.from(String(headers?.['x-porter-signature'] || ''));
+
+      return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    } catch (error) {
+      console.error('[Porter] Webhook signature verification error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Normalize a Porter webhook into a courier-neutral delivery update
+   * @param {Object} webhookData - Webhook payload
+   * @returns {Object|null} Delivery update, or null for events that don't change the delivery
+   */
+  normalizeWebhook(webhookData) {
+    const { event_type, order_id, status, data = {} } = webhookData || {};
+    const normalizedStatus = WEBHOOK_EVENT_STATUSES[event_type] || (status ? this.mapStatus(status) : null);
+
+    if (!order_id || !normalizedStatus || normalizedStatus === 'unknown') {
+      console.log('[Porter] Ignoring webhook event:', event_type);
+      return null;
+    }
+
+    return {
+      courier: this.name,
+      deliveryId: order_id,
+      event: event_type,
+      status: normalizedStatus,
+      driverDetails: data.driver_details || null,
+      location: data.current_location || null,
+      reason: data.cancellation_reason || null,
+      occurredAt: data.delivered_at || data.timestamp || new Date().toISOString()
+    };
+  }
+
   /**
    * Get available vehicle types
    * @returns {Array} Vehicle type configurations
@@ -410,20 +489,20 @@ export class PorterService {
   }
 
   /**
-   * Map Porter status to internal order status
+   * Map Porter status to a normalized delivery status (see DELIVERY_STATUSES)
    * @param {string} porterStatus - Porter delivery status
-   * @returns {string} Internal status
+   * @returns {string} Delivery status
    */
   mapStatus(porterStatus) {
     const statusMap = {
-      'open': 'pending',
+      'open': 'requested',
       'assigned': 'assigned',
-      'driver_assigned': 'driver_assigned',
-      'pickup_arrived': 'driver_arrived',
+      'driver_assigned': 'assigned',
+      'pickup_arrived': 'arrived_at_pickup',
       'picked_up': 'picked_up',
       'in_transit': 'in_transit',
-      'nearby': 'nearby',
-      'arrived': 'arrived',
+      'nearby': 'in_transit',
+      'arrived': 'in_transit',
       'delivered': 'delivered',
       'cancelled': 'cancelled',
       'failed': 'failed'
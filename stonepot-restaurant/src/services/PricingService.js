@@ -0,0 +1,175 @@
+/**
+ * Pricing Service
+ * Server-side pricing pass over a cart: works out which combos and
+ * promotions the cart qualifies for, takes off any loyalty points being
+ * redeemed and writes the resulting discounts onto the lines, so TaxService
+ * charges GST on the discounted amount
+ */
+
+import { ComboService } from './ComboService.js';
+import { PromotionService } from './PromotionService.js';
+import { LoyaltyService } from './LoyaltyService.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+export class PricingService {
+  constructor(firebaseService, { availabilityService = null } = {}) {
+    this.comboService = new ComboService(firebaseService);
+    this.promotionService = new PromotionService(firebaseService, availabilityService);
+    this.loyaltyService = new LoyaltyService(firebaseService);
+  }
+
+  /**
+   * Re-price cart lines in place. Discounts from an earlier pass are replaced.
+   * Combos go first; promotions discount what is left, then loyalty points.
+   * @param {string} tenantId
+   * @param {Array} items - Cart lines
+   * @param {Object} [context] - { couponCode, phone, orderType, groupOrder, now, redeemedPromotionIds,
+   *   loyaltyPoints, redeemedLoyalty (points already taken for a placed order: { points, amount }) }
+   * @returns {Promise<Object>} { items, combos: [{ comboId, name, price, regularPrice, savings, itemIds }],
+   *   promotions: [{ promotionId, name, code, type, discount, itemIds }], coupon: { code, applied, message } | null,
+   *   loyalty: { points, amount, applied, message } | null, discount }
+   */
+  async priceCart(tenantId, items = [], context = {}) {
+    try {
+      items.forEach(line => {
+        line.discounts = [];
+        line.discount = 0;
+      });
+
+      if (items.length === 0) {
+        return { items, combos: [], promotions: [], coupon: null, loyalty: null, discount: 0 };
+      }
+
+      const combos = await this.comboService.getActiveCombos(tenantId);
+      const applied = this.comboService.detectCombos(combos, items);
+
+      applied.forEach(instance => this.allocateSavings(items, instance));
+      this.sumLineDiscounts(items);
+
+      const { applied: promotions, coupon } = await this.promotionService.evaluate(tenantId, items, context);
+      promotions.forEach(({ promotion, amounts }) => {
+        amounts.forEach((amount, lineIndex) => {
+          items[lineIndex].discounts.push({ type: 'promotion', id: promotion.id, name: promotion.name, amount });
+        });
+      });
+      this.sumLineDiscounts(items);
+
+      const loyalty = await this.applyLoyalty(tenantId, items, context);
+      this.sumLineDiscounts(items);
+
+      const discount = round2(items.reduce((sum, line) => sum + line.discount, 0));
+
+      if (applied.length > 0 || promotions.length > 0 || loyalty?.applied) {
+        console.log('[Pricing] Discounts applied', {
+          tenantId,
+          combos: applied.map(instance => instance.combo.name),
+          promotions: promotions.map(({ promotion }) => promotion.name),
+          loyaltyPoints: loyalty?.points || 0,
+          discount
+        });
+      }
+
+      return {
+        items,
+        combos: applied.map(instance => ({
+          comboId: instance.combo.id,
+          name: instance.combo.name,
+          price: instance.combo.price,
+          regularPrice: instance.regularPrice,
+          savings: instance.savings,
+          itemIds: [...new Set(instance.units.map(unit => items[unit.lineIndex].id))]
+        })),
+        promotions: promotions.map(({ promotion, amounts, discount: amount }) => ({
+          promotionId: promotion.id,
+          name: promotion.name,
+          code: promotion.code,
+          type: promotion.type,
+          discount: amount,
+          itemIds: Array.from(amounts.keys()).map(lineIndex => items[lineIndex].id)
+        })),
+        coupon,
+        loyalty,
+        discount
+      };
+    } catch (error) {
+      console.error('[Pricing] Failed to price cart:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take redeemed loyalty points off what is left to pay, spread over the
+   * lines by value. A placed order keeps the points it already spent, up to
+   * what the order now comes to.
+   * @returns {Promise<Object|null>} { points, amount, applied, message }, or null when no points were asked for
+   */
+  async applyLoyalty(tenantId, items, context) {
+    const net = items.map(line => round2((line.itemTotal ?? line.price * line.quantity) - line.discount));
+    const payable = round2(net.reduce((sum, value) => sum + value, 0));
+
+    let loyalty = null;
+    if (context.redeemedLoyalty) {
+      loyalty = {
+        ...context.redeemedLoyalty,
+        amount: Math.min(context.redeemedLoyalty.amount, payable),
+        applied: true
+      };
+    } else if (context.loyaltyPoints) {
+      loyalty = await this.loyaltyService.quoteRedemption(
+        tenantId,
+        context.phone,
+        context.loyaltyPoints,
+        payable,
+        context.now
+      );
+    }
+
+    if (!loyalty?.applied || payable <= 0) {
+      return loyalty;
+    }
+
+    let remaining = loyalty.amount;
+    const lines = net.map((value, lineIndex) => ({ value, lineIndex })).filter(({ value }) => value > 0);
+    lines.forEach(({ value, lineIndex }, index) => {
+      const amount = index === lines.length - 1
+        ? round2(remaining)
+        : round2(loyalty.amount * value / payable);
+      remaining = round2(remaining - amount);
+      items[lineIndex].discounts.push({ type: 'loyalty', id: 'loyalty', name: 'Loyalty points', amount });
+    });
+
+    return loyalty;
+  }
+
+  sumLineDiscounts(items) {
+    items.forEach(line => {
+      line.discount = round2(line.discounts.reduce((sum, entry) => sum + entry.amount, 0));
+    });
+  }
+
+  /**
+   * Spread a combo's saving over the units it bundles, in proportion to their
+   * price, so each line's taxable value stays right when lines have different GST
+   */
+  allocateSavings(items, instance) {
+    let remaining = instance.savings;
+
+    instance.units.forEach((unit, index) => {
+      const amount = index === instance.units.length - 1
+        ? round2(remaining)
+        : round2(instance.savings * unit.price / instance.regularPrice);
+      remaining = round2(remaining - amount);
+
+      const line = items[unit.lineIndex];
+      const entry = line.discounts.find(d => d.type === 'combo' && d.id === instance.combo.id);
+      if (entry) {
+        entry.amount = round2(entry.amount + amount);
+      } else {
+        line.discounts.push({ type: 'combo', id: instance.combo.id, name: instance.combo.name, amount });
+      }
+    });
+  }
+}
+
+export default PricingService;
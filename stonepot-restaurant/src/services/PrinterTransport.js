@@ -0,0 +1,115 @@
+/**
+ * Printer Transports
+ * Deliver raw ESC/POS byte streams to network (raw TCP/9100) or file/spool printers
+ */
+
+import net from 'net';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Raw TCP transport (JetDirect / AppSocket, usually port 9100)
+ */
+export class NetworkPrinterTransport {
+  constructor(options = {}) {
+    this.host = options.host;
+    this.port = options.port || 9100;
+    this.timeout = options.timeout || 5000;
+  }
+
+  describe() {
+    return `tcp://${this.host}:${this.port}`;
+  }
+
+  /**
+   * Send bytes and resolve once the printer connection is closed
+   * @param {Buffer} data - ESC/POS byte stream
+   */
+  send(data) {
+    if (!this.host) {
+      return Promise.reject(new Error('Printer host not configured'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      let settled = false;
+
+      const finish = (error) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        if (error) {
+          reject(error);
+        } else {
+          resolve({ bytes: data.length });
+        }
+      };
+
+      socket.setTimeout(this.timeout, () => {
+        finish(new Error(`Printer ${this.describe()} timed out`));
+      });
+      socket.on('error', (error) => finish(error));
+      socket.on('connect', () => {
+        socket.end(data, () => finish());
+      });
+    });
+  }
+}
+
+/**
+ * File transport for device nodes (e.g. /dev/usb/lp0) or spool directories.
+ * With `path` the bytes are appended to that file/device; with `spoolDir`
+ * each job is written to its own file for a print spooler to pick up.
+ */
+export class FilePrinterTransport {
+  constructor(options = {}) {
+    this.path = options.path;
+    this.spoolDir = options.spoolDir;
+  }
+
+  describe() {
+    return this.spoolDir ? `spool://${this.spoolDir}` : `file://${this.path}`;
+  }
+
+  /**
+   * Write bytes to the device or a new spool file
+   * @param {Buffer} data - ESC/POS byte stream
+   */
+  async send(data) {
+    if (this.spoolDir) {
+      const jobFile = path.join(
+        this.spoolDir,
+        `job-${Date.now()}-${Math.random().toString(36).substring(2, 8)}.bin`
+      );
+      await fs.writeFile(jobFile, data);
+      return { bytes: data.length, file: jobFile };
+    }
+
+    if (!this.path) {
+      throw new Error('Printer path not configured');
+    }
+
+    await fs.appendFile(this.path, data);
+    return { bytes: data.length, file: this.path };
+  }
+}
+
+/**
+ * Create a transport from a printer config entry
+ * @param {object} printer - { type: 'network'|'file'|'spool', host, port, path, spoolDir, timeout }
+ */
+export function createPrinterTransport(printer = {}) {
+  switch (printer.type) {
+    case 'file':
+    case 'spool':
+      return new FilePrinterTransport(printer);
+    case 'network':
+    case 'tcp':
+    case undefined:
+      return new NetworkPrinterTransport(printer);
+    default:
+      throw new Error(`Unsupported printer type: ${printer.type}`);
+  }
+}
+
+export default createPrinterTransport;
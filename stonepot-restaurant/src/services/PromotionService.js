@@ -0,0 +1,594 @@
+/**
+ * Promotion Service
+ * Rules-based promotions stored on the restaurant profile: coupon codes and
+ * automatic offers (percentage or flat off, buy-X-get-Y, first order, happy
+ * hour, group orders). Usage is counted per promotion and per customer phone
+ * when an order is placed, and given back if the order is cancelled.
+ */
+
+export const PROMOTION_TYPES = ['percentage', 'flat', 'bogo'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const normalizeCode = (code) => String(code || '').toUpperCase().replace(/\s+/g, '');
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const slugify = (text) => normalize(text).replace(/ /g, '-');
+
+export class PromotionService {
+  constructor(firebaseService, availabilityService = null) {
+    this.firebaseService = firebaseService;
+    // Restaurant clock and weekday parsing for happy hours
+    this.availabilityService = availabilityService;
+  }
+
+  // ==================== CONFIGURATION ====================
+
+  /**
+   * Get the tenant's promotions (empty when none configured)
+   */
+  async getPromotions(tenantId) {
+    try {
+      const profile = await this.firebaseService.getRestaurantProfile(tenantId);
+      return Array.isArray(profile?.promotions) ? profile.promotions : [];
+    } catch (error) {
+      console.error('[Promotion] Failed to get promotions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Promotions switched on and inside their start/end dates
+   */
+  async getActivePromotions(tenantId, now = new Date()) {
+    const promotions = await this.getPromotions(tenantId);
+    return promotions.filter(promotion =>
+      promotion.active !== false &&
+      (!promotion.startsAt || new Date(promotion.startsAt) <= now) &&
+      (!promotion.endsAt || new Date(promotion.endsAt) > now)
+    );
+  }
+
+  /**
+   * Replace the tenant's promotions
+   */
+  async savePromotions(tenantId, promotions) {
+    const validation = this.validatePromotions(promotions);
+    if (!validation.valid) {
+      throw new Error(`Invalid promotions: ${validation.errors.join(', ')}`);
+    }
+
+    try {
+      const normalized = promotions.map(promotion => this.normalizePromotion(promotion));
+
+      await this.firebaseService.updateRestaurantProfile(tenantId, {
+        promotions: normalized
+      });
+
+      console.log('[Promotion] Saved promotions', { tenantId, count: normalized.length });
+
+      return normalized;
+    } catch (error) {
+      console.error('[Promotion] Failed to save promotions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add or replace a single promotion (matched by id)
+   */
+  async upsertPromotion(tenantId, promotion) {
+    const current = await this.getConfiguredPromotions(tenantId);
+    const normalized = this.normalizePromotion(promotion);
+    const index = current.findIndex(p => p.id === normalized.id);
+
+    if (index >= 0) {
+      current[index] = normalized;
+    } else {
+      current.push(normalized);
+    }
+
+    return this.savePromotions(tenantId, current);
+  }
+
+  /**
+   * Remove a promotion by id
+   */
+  async deletePromotion(tenantId, promotionId) {
+    const current = await this.getConfiguredPromotions(tenantId);
+    const remaining = current.filter(p => p.id !== promotionId);
+
+    if (remaining.length === current.length) {
+      throw new Error('Promotion not found');
+    }
+
+    return this.savePromotions(tenantId, remaining);
+  }
+
+  /**
+   * Promotions stored on the profile, for editing
+   */
+  async getConfiguredPromotions(tenantId) {
+    const profile = await this.firebaseService.getRestaurantProfile(tenantId);
+    if (!profile) {
+      throw new Error('Restaurant profile not found');
+    }
+    return Array.isArray(profile.promotions) ? [...profile.promotions] : [];
+  }
+
+  /**
+   * Normalize a promotion definition
+   */
+  normalizePromotion(promotion) {
+    const toList = (value) => (Array.isArray(value) ? value : [])
+      .map(v => String(v).trim())
+      .filter(Boolean);
+    const toNumber = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+    const conditions = promotion.conditions || {};
+    const schedule = conditions.schedule;
+
+    return {
+      id: promotion.id || slugify(promotion.code || promotion.name),
+      name: promotion.name.trim(),
+      description: promotion.description || null,
+      code: promotion.code ? normalizeCode(promotion.code) : null,
+      type: promotion.type,
+      // For BOGO, the percentage off the free items
+      value: round2(Number(promotion.value) || (promotion.type === 'bogo' ? 100 : 0)),
+      maxDiscount: toNumber(promotion.maxDiscount),
+      buyQuantity: promotion.type === 'bogo' ? Math.max(1, parseInt(promotion.buyQuantity) || 1) : null,
+      getQuantity: promotion.type === 'bogo' ? Math.max(1, parseInt(promotion.getQuantity) || 1) : null,
+      appliesTo: {
+        itemIds: toList(promotion.appliesTo?.itemIds),
+        categories: toList(promotion.appliesTo?.categories)
+      },
+      conditions: {
+        minOrderValue: toNumber(conditions.minOrderValue),
+        firstOrderOnly: conditions.firstOrderOnly === true,
+        groupOrderOnly: conditions.groupOrderOnly === true,
+        orderTypes: toList(conditions.orderTypes),
+        schedule: schedule
+          ? {
+            start: schedule.start,
+            end: schedule.end,
+            days: this.availabilityService?.normalizeSchedule({ days: schedule.days })?.days || []
+          }
+          : null
+      },
+      usageLimit: toNumber(promotion.usageLimit),
+      perCustomerLimit: toNumber(promotion.perCustomerLimit),
+      startsAt: promotion.startsAt || null,
+      endsAt: promotion.endsAt || null,
+      active: promotion.active !== false
+    };
+  }
+
+  /**
+   * Validate a list of promotion definitions
+   */
+  validatePromotions(promotions) {
+    const errors = [];
+
+    if (!Array.isArray(promotions)) {
+      return { valid: false, errors: ['promotions must be an array'] };
+    }
+
+    const codes = new Set();
+    promotions.forEach((promotion, index) => {
+      if (!promotion?.name || typeof promotion.name !== 'string') {
+        errors.push(`Promotion ${index + 1}: name is required`);
+        return;
+      }
+      const label = promotion.name;
+
+      if (!PROMOTION_TYPES.includes(promotion.type)) {
+        errors.push(`${label}: type must be one of ${PROMOTION_TYPES.join(', ')}`);
+      }
+
+      const value = Number(promotion.value);
+      if (promotion.type === 'percentage' && (isNaN(value) || value <= 0 || value > 100)) {
+        errors.push(`${label}: value must be a percentage between 0 and 100`);
+      }
+      if (promotion.type === 'flat' && (isNaN(value) || value <= 0)) {
+        errors.push(`${label}: value must be a positive amount`);
+      }
+      if (promotion.type === 'bogo' && promotion.value !== undefined && (isNaN(value) || value <= 0 || value > 100)) {
+        errors.push(`${label}: value is the percentage off the free items (100 when omitted)`);
+      }
+
+      if (promotion.code) {
+        const code = normalizeCode(promotion.code);
+        if (codes.has(code)) {
+          errors.push(`${label}: duplicate code ${code}`);
+        }
+        codes.add(code);
+      }
+
+      ['maxDiscount', 'usageLimit', 'perCustomerLimit'].forEach(field => {
+        const fieldValue = promotion[field];
+        if (fieldValue !== undefined && fieldValue !== null && (isNaN(fieldValue) || fieldValue <= 0)) {
+          errors.push(`${label}: ${field} must be a positive number`);
+        }
+      });
+
+      ['startsAt', 'endsAt'].forEach(field => {
+        if (promotion[field] && isNaN(new Date(promotion[field]).getTime())) {
+          errors.push(`${label}: ${field} must be a date`);
+        }
+      });
+
+      const schedule = promotion.conditions?.schedule;
+      if (schedule) {
+        const times = this.availabilityService?.validateDayparts([
+          { name: `${label} schedule`, start: schedule.start, end: schedule.end }
+        ]);
+        if (times && !times.valid) {
+          errors.push(...times.errors);
+        }
+        try {
+          this.availabilityService?.normalizeSchedule({ days: schedule.days });
+        } catch (error) {
+          errors.push(`${label}: ${error.message}`);
+        }
+      }
+    });
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  // ==================== PRICING ====================
+
+  /**
+   * Work out which promotions apply to a cart. Automatic promotions apply
+   * first, then the coupon; each one discounts what is left after combos and
+   * earlier promotions.
+   * @param {string} tenantId
+   * @param {Array} items - Cart lines (discount holds combo savings so far)
+   * @param {Object} context - { couponCode, phone, orderType, groupOrder, now,
+   *   redeemedPromotionIds (when re-pricing a placed order) }
+   * @returns {Promise<Object>} { applied: [{ promotion, amounts: Map(lineIndex -> amount), discount }], coupon }
+   */
+  async evaluate(tenantId, items, context = {}) {
+    const now = context.now || new Date();
+    const promotions = await this.getActivePromotions(tenantId, now);
+    const code = normalizeCode(context.couponCode);
+
+    const coupon = code ? { code, applied: false, message: null } : null;
+    const couponPromotion = code ? promotions.find(promotion => promotion.code === code) : null;
+    if (coupon && !couponPromotion) {
+      coupon.message = `${code} is not a valid coupon`;
+    }
+
+    const candidates = [
+      ...promotions.filter(promotion => !promotion.code),
+      ...(couponPromotion ? [couponPromotion] : [])
+    ];
+
+    const net = items.map(line => round2((line.itemTotal ?? line.price * line.quantity) - (line.discount || 0)));
+    const applied = [];
+
+    for (const promotion of candidates) {
+      const subtotal = round2(net.reduce((sum, value) => sum + value, 0));
+      const reason = await this.checkConditions(tenantId, promotion, { ...context, now, subtotal });
+      if (reason) {
+        if (promotion === couponPromotion) coupon.message = reason;
+        continue;
+      }
+
+      const amounts = this.computeDiscount(promotion, items, net);
+      const discount = round2(Array.from(amounts.values()).reduce((sum, amount) => sum + amount, 0));
+      if (discount <= 0) {
+        if (promotion === couponPromotion) {
+          coupon.message = `${promotion.code} doesn't apply to anything in the cart`;
+        }
+        continue;
+      }
+
+      amounts.forEach((amount, lineIndex) => {
+        net[lineIndex] = round2(net[lineIndex] - amount);
+      });
+      applied.push({ promotion, amounts, discount });
+
+      if (promotion === couponPromotion) {
+        coupon.applied = true;
+        coupon.message = `${promotion.code} applied: ₹${discount} off`;
+      }
+    }
+
+    return { applied, coupon };
+  }
+
+  /**
+   * Why a promotion doesn't apply, or null when it does
+   */
+  async checkConditions(tenantId, promotion, context) {
+    const { conditions } = promotion;
+    const label = promotion.code || promotion.name;
+
+    if (conditions.minOrderValue && context.subtotal < conditions.minOrderValue) {
+      return `${label} needs an order of at least ₹${conditions.minOrderValue} (₹${round2(conditions.minOrderValue - context.subtotal)} more)`;
+    }
+
+    if (conditions.orderTypes.length > 0 && context.orderType && !conditions.orderTypes.includes(context.orderType)) {
+      return `${label} is only for ${conditions.orderTypes.join(' or ')} orders`;
+    }
+
+    if (conditions.groupOrderOnly && !context.groupOrder) {
+      return `${label} is only for group orders`;
+    }
+
+    if (conditions.schedule && this.availabilityService) {
+      const clock = this.availabilityService.getLocalClock(context.now);
+      const { start, end, days } = conditions.schedule;
+      if ((days.length > 0 && !days.includes(clock.day)) || !this.availabilityService.isInDaypart({ start, end }, clock.minutes)) {
+        return `${label} is only on ${days.length > 0 ? `${days.join(', ')} ` : ''}between ${start} and ${end}`;
+      }
+    }
+
+    // Already counted against its limits for the order being re-priced
+    if ((context.redeemedPromotionIds || []).includes(promotion.id)) {
+      return null;
+    }
+
+    if ((conditions.firstOrderOnly || promotion.perCustomerLimit) && !context.phone) {
+      return `${label} needs the customer's phone number`;
+    }
+
+    if (conditions.firstOrderOnly && await this.hasPreviousOrders(tenantId, context.phone)) {
+      return `${label} is only for a customer's first order`;
+    }
+
+    if (promotion.usageLimit || promotion.perCustomerLimit) {
+      const [total, customer] = await Promise.all([
+        this.firebaseService.getDocument('promotion_usage', this.getUsageId(tenantId, promotion.id)),
+        context.phone
+          ? this.firebaseService.getDocument('promotion_usage', this.getUsageId(tenantId, promotion.id, context.phone))
+          : null
+      ]);
+
+      if (promotion.usageLimit && (total?.count || 0) >= promotion.usageLimit) {
+        return `${label} has been fully redeemed`;
+      }
+      if (promotion.perCustomerLimit && (customer?.count || 0) >= promotion.perCustomerLimit) {
+        return `${label} has already been used the maximum number of times on this phone number`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Discount per cart line for a promotion, from each line's remaining value
+   * @returns {Map} lineIndex -> amount
+   */
+  computeDiscount(promotion, items, net) {
+    const eligible = items
+      .map((line, lineIndex) => ({ line, lineIndex }))
+      .filter(({ line, lineIndex }) => net[lineIndex] > 0 && this.isEligible(promotion, line));
+    const amounts = new Map();
+
+    if (promotion.type === 'bogo') {
+      // Cheapest units are the free ones: sort dearest first and take the
+      // last getQuantity of every buyQuantity + getQuantity
+      const units = eligible
+        .flatMap(({ line, lineIndex }) => {
+          const quantity = line.quantity || 1;
+          return Array.from({ length: quantity }, () => ({ lineIndex, price: net[lineIndex] / quantity }));
+        })
+        .sort((a, b) => b.price - a.price);
+      const size = promotion.buyQuantity + promotion.getQuantity;
+      const percent = promotion.value || 100;
+
+      units.forEach((unit, index) => {
+        if (index % size >= promotion.buyQuantity && index - (index % size) + size <= units.length) {
+          amounts.set(unit.lineIndex, round2((amounts.get(unit.lineIndex) || 0) + unit.price * percent / 100));
+        }
+      });
+      return amounts;
+    }
+
+    const eligibleTotal = round2(eligible.reduce((sum, { lineIndex }) => sum + net[lineIndex], 0));
+    if (eligibleTotal <= 0) {
+      return amounts;
+    }
+
+    let total = promotion.type === 'percentage'
+      ? round2(eligibleTotal * promotion.value / 100)
+      : Math.min(promotion.value, eligibleTotal);
+    if (promotion.maxDiscount) {
+      total = Math.min(total, promotion.maxDiscount);
+    }
+
+    // Spread over the eligible lines by value, so each line's GST is on what it really costs
+    let remaining = total;
+    eligible.forEach(({ lineIndex }, index) => {
+      const amount = index === eligible.length - 1
+        ? round2(remaining)
+        : round2(total * net[lineIndex] / eligibleTotal);
+      remaining = round2(remaining - amount);
+      amounts.set(lineIndex, amount);
+    });
+
+    return amounts;
+  }
+
+  /**
+   * Whether a cart line is in the promotion's scope (everything when unscoped)
+   */
+  isEligible(promotion, line) {
+    const { itemIds, categories } = promotion.appliesTo;
+    if (itemIds.length === 0 && categories.length === 0) {
+      return true;
+    }
+    const category = normalize(line.category);
+    return itemIds.includes(line.dishId) || (Boolean(category) && categories.some(c => normalize(c) === category));
+  }
+
+  /**
+   * Whether the phone has ordered from the tenant before (cancelled orders don't count)
+   */
+  async hasPreviousOrders(tenantId, phone) {
+    const orders = await this.firebaseService.queryDocuments('orders', {
+      customerId: `${tenantId}_${phone}`
+    }, { limit: 10 });
+    return orders.some(order => order.status !== 'cancelled');
+  }
+
+  // ==================== REDEMPTION ====================
+
+  /**
+   * Count an order's promotions against their limits. Idempotent per order.
+   * @param {Array} applied - cart.promotions ({ promotionId, code })
+   * @throws {Error} 'Promotion limit reached: ...' when a limit was hit since the cart was priced
+   */
+  async redeem(tenantId, orderId, phone, applied = []) {
+    if (applied.length === 0) {
+      return null;
+    }
+
+    const promotions = await this.getPromotions(tenantId);
+    const entries = applied.map(entry => ({
+      entry,
+      promotion: promotions.find(promotion => promotion.id === entry.promotionId) || {}
+    }));
+
+    try {
+      const redemption = await this.firebaseService.runTransaction(async (tx) => {
+        const redemptionId = this.getDocumentId(tenantId, orderId);
+        const existing = await tx.get('promotion_redemptions', redemptionId);
+        if (existing) {
+          return existing;
+        }
+
+        const counters = await Promise.all(entries.map(({ entry }) => Promise.all([
+          tx.get('promotion_usage', this.getUsageId(tenantId, entry.promotionId)),
+          phone ? tx.get('promotion_usage', this.getUsageId(tenantId, entry.promotionId, phone)) : null
+        ])));
+
+        const exhausted = [];
+        entries.forEach(({ entry, promotion }, index) => {
+          const [total, customer] = counters[index];
+          const label = entry.code || entry.name;
+          if (promotion.usageLimit && (total?.count || 0) >= promotion.usageLimit) {
+            exhausted.push(`${label} has been fully redeemed`);
+          } else if (promotion.perCustomerLimit && (customer?.count || 0) >= promotion.perCustomerLimit) {
+            exhausted.push(`${label} has already been used on this phone number`);
+          }
+        });
+
+        if (exhausted.length > 0) {
+          throw new Error(`Promotion limit reached: ${exhausted.join(', ')}`);
+        }
+
+        const now = new Date().toISOString();
+        entries.forEach(({ entry }, index) => {
+          const [total, customer] = counters[index];
+          tx.set('promotion_usage', this.getUsageId(tenantId, entry.promotionId), {
+            tenantId,
+            promotionId: entry.promotionId,
+            phone: null,
+            count: (total?.count || 0) + 1,
+            updatedAt: now
+          });
+          if (phone) {
+            tx.set('promotion_usage', this.getUsageId(tenantId, entry.promotionId, phone), {
+              tenantId,
+              promotionId: entry.promotionId,
+              phone,
+              count: (customer?.count || 0) + 1,
+              updatedAt: now
+            });
+          }
+        });
+
+        const record = {
+          tenantId,
+          orderId,
+          phone: phone || null,
+          promotionIds: entries.map(({ entry }) => entry.promotionId),
+          status: 'redeemed',
+          createdAt: now
+        };
+        tx.create('promotion_redemptions', redemptionId, record);
+
+        return record;
+      });
+
+      console.log('[Promotion] Promotions redeemed', { tenantId, orderId, promotions: redemption.promotionIds });
+
+      return redemption;
+    } catch (error) {
+      console.error('[Promotion] Failed to redeem promotions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Give an order's promotion uses back. Idempotent per order.
+   */
+  async release(tenantId, orderId) {
+    try {
+      const released = await this.firebaseService.runTransaction(async (tx) => {
+        const redemptionId = this.getDocumentId(tenantId, orderId);
+        const redemption = await tx.get('promotion_redemptions', redemptionId);
+        if (!redemption || redemption.status !== 'redeemed') {
+          return false;
+        }
+
+        const ids = redemption.promotionIds.flatMap(promotionId => [
+          this.getUsageId(tenantId, promotionId),
+          ...(redemption.phone ? [this.getUsageId(tenantId, promotionId, redemption.phone)] : [])
+        ]);
+        const counters = await Promise.all(ids.map(id => tx.get('promotion_usage', id)));
+
+        const now = new Date().toISOString();
+        counters.forEach((counter, index) => {
+          if (counter) {
+            tx.update('promotion_usage', ids[index], { count: Math.max(0, counter.count - 1), updatedAt: now });
+          }
+        });
+        tx.update('promotion_redemptions', redemptionId, { status: 'released', releasedAt: now });
+
+        return true;
+      });
+
+      if (released) {
+        console.log('[Promotion] Promotions released', { tenantId, orderId });
+      }
+
+      return released;
+    } catch (error) {
+      console.error('[Promotion] Failed to release promotions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Order event listener: give promotion uses back when an order is cancelled
+   */
+  async handleOrderEvent(tenantId, order) {
+    if (order?.status !== 'cancelled') {
+      return;
+    }
+
+    try {
+      await this.release(tenantId, order.orderId);
+    } catch (error) {
+      console.error('[Promotion] Failed to handle order event:', error);
+    }
+  }
+
+  getUsageId(tenantId, promotionId, phone = null) {
+    return phone ? `${tenantId}_${promotionId}_${phone}` : `${tenantId}_${promotionId}`;
+  }
+
+  getDocumentId(tenantId, id) {
+    return `${tenantId}_${id}`;
+  }
+}
+
+export default PromotionService;
@@ -0,0 +1,599 @@
+/**
+ * Scheduling Service
+ * Orders placed for a later time. Customers pick a slot inside the
+ * restaurant's ordering hours (restaurant local time) while it is open;
+ * each slot takes a limited number of orders, counted in `scheduled_slots`.
+ * Scheduled orders wait in the 'scheduled' status until the scheduler
+ * releases them to the kitchen, far enough ahead of the slot to cook (and
+ * deliver) them on time.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Ordering hours for tenants that have not configured any (every day)
+ */
+export const DEFAULT_ORDERING_HOURS = [
+  { start: '11:00', end: '23:00', days: [] }
+];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+export class SchedulingService {
+  constructor(firebaseService, orderManagementService, { availabilityService, etaService, operatingHoursService = null }, config = {}) {
+    this.firebaseService = firebaseService;
+    this.orderManagementService = orderManagementService;
+    // Restaurant clock and weekday parsing
+    this.availabilityService = availabilityService;
+    // Prep time estimates that decide when an order goes to the kitchen
+    this.etaService = etaService;
+    // Opening hours and holidays; slots only fall when the restaurant is open
+    this.operatingHoursService = operatingHoursService;
+
+    this.pollInterval = config.pollInterval || 60; // Seconds between scheduler runs
+    this.lookaheadMinutes = config.lookaheadMinutes || 180; // Orders further out are not considered yet
+    this.pollTimer = null;
+    this.releasing = false;
+
+    const timeZone = availabilityService.timezone;
+    this.dateFormatter = new Intl.DateTimeFormat('en-CA', {
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      timeZone
+    });
+    this.dayFormatter = new Intl.DateTimeFormat('en-IN', {
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+      timeZone
+    });
+    this.timeFormatter = new Intl.DateTimeFormat('en-IN', {
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true,
+      timeZone
+    });
+  }
+
+  // ==================== CONFIGURATION ====================
+
+  /**
+   * Get the tenant's scheduling settings, or null when scheduled orders are off
+   */
+  async getSettings(tenantId) {
+    try {
+      const profile = await this.firebaseService.getRestaurantProfile(tenantId);
+      const settings = profile?.scheduling;
+      return settings && settings.enabled !== false ? this.normalizeSettings(settings) : null;
+    } catch (error) {
+      console.error('[Scheduling] Failed to get settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Settings stored on the profile, for editing
+   */
+  async getConfiguredSettings(tenantId) {
+    const profile = await this.firebaseService.getRestaurantProfile(tenantId);
+    if (!profile) {
+      throw new Error('Restaurant profile not found');
+    }
+    return profile.scheduling ? this.normalizeSettings(profile.scheduling) : null;
+  }
+
+  /**
+   * Replace the tenant's scheduling settings
+   */
+  async saveSettings(tenantId, settings) {
+    const validation = this.validateSettings(settings);
+    if (!validation.valid) {
+      throw new Error(`Invalid scheduling settings: ${validation.errors.join(', ')}`);
+    }
+
+    try {
+      const normalized = this.normalizeSettings(settings);
+
+      await this.firebaseService.updateRestaurantProfile(tenantId, {
+        scheduling: normalized
+      });
+
+      console.log('[Scheduling] Saved settings', {
+        tenantId,
+        enabled: normalized.enabled,
+        slotMinutes: normalized.slotMinutes,
+        slotCapacity: normalized.slotCapacity
+      });
+
+      return normalized;
+    } catch (error) {
+      console.error('[Scheduling] Failed to save settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Normalize scheduling settings. Hours with no days apply every day.
+   */
+  normalizeSettings(settings) {
+    const hours = Array.isArray(settings.hours) && settings.hours.length > 0
+      ? settings.hours
+      : DEFAULT_ORDERING_HOURS;
+
+    return {
+      enabled: settings.enabled !== false,
+      hours: hours.map(window => ({
+        start: window.start,
+        end: window.end,
+        days: this.availabilityService.normalizeSchedule({ days: window.days })?.days || []
+      })),
+      slotMinutes: parseInt(settings.slotMinutes) || 30,
+      slotCapacity: parseInt(settings.slotCapacity) || 10,
+      minLeadMinutes: settings.minLeadMinutes === undefined ? 60 : Math.max(0, parseInt(settings.minLeadMinutes) || 0),
+      maxDaysAhead: parseInt(settings.maxDaysAhead) || 7
+    };
+  }
+
+  /**
+   * Validate scheduling settings
+   */
+  validateSettings(settings) {
+    const errors = [];
+
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      return { valid: false, errors: ['settings must be an object'] };
+    }
+
+    if (settings.hours !== undefined) {
+      if (!Array.isArray(settings.hours)) {
+        errors.push('hours must be an array');
+      } else {
+        settings.hours.forEach((window, index) => {
+          const times = this.availabilityService.validateDayparts([
+            { name: `Hours ${index + 1}`, start: window?.start, end: window?.end }
+          ]);
+          errors.push(...times.errors);
+          try {
+            this.availabilityService.normalizeSchedule({ days: window?.days });
+          } catch (error) {
+            errors.push(`Hours ${index + 1}: ${error.message}`);
+          }
+        });
+      }
+    }
+
+    const positiveInteger = (field, max) => {
+      const value = settings[field];
+      if (value !== undefined && (!Number.isInteger(Number(value)) || Number(value) < 1 || Number(value) > max)) {
+        errors.push(`${field} must be a whole number from 1 to ${max}`);
+      }
+    };
+    positiveInteger('slotMinutes', 240);
+    positiveInteger('slotCapacity', 1000);
+    positiveInteger('maxDaysAhead', 60);
+
+    if (settings.slotMinutes !== undefined && 1440 % Number(settings.slotMinutes) !== 0) {
+      errors.push('slotMinutes must divide a day evenly (e.g. 15, 30 or 60)');
+    }
+
+    if (settings.minLeadMinutes !== undefined &&
+      (isNaN(settings.minLeadMinutes) || Number(settings.minLeadMinutes) < 0)) {
+      errors.push('minLeadMinutes cannot be negative');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  // ==================== SLOTS ====================
+
+  /**
+   * Slots that can still take an order
+   * @param {string} tenantId
+   * @param {Object} options - { date: 'today', 'tomorrow', a weekday or YYYY-MM-DD; limit; now }
+   * @returns {Promise<Array>} [{ start, end, date, label, remaining }]
+   */
+  async getAvailableSlots(tenantId, { date = null, limit = null, now = new Date() } = {}) {
+    try {
+      const settings = await this.getSettings(tenantId);
+      if (!settings) {
+        return [];
+      }
+
+      const hours = await this.getOpeningHours(tenantId);
+      let slots = this.listSlots(settings, now, hours);
+      if (date) {
+        const localDate = this.resolveDate(date, settings, now);
+        slots = slots.filter(slot => slot.date === localDate);
+      }
+
+      const bookings = await this.getBookings(tenantId, [...new Set(slots.map(slot => slot.date))]);
+      const available = slots
+        .map(slot => ({
+          ...slot,
+          label: this.describeSlot(new Date(slot.start), now),
+          remaining: settings.slotCapacity - (bookings.get(slot.start) || 0)
+        }))
+        .filter(slot => slot.remaining > 0);
+
+      return limit ? available.slice(0, limit) : available;
+    } catch (error) {
+      console.error('[Scheduling] Failed to get available slots:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check that an order can be placed for a slot
+   * @param {string} tenantId
+   * @param {string} scheduledFor - Slot start (ISO time, as returned by getAvailableSlots)
+   * @returns {Promise<Object>} { available, slot, message, alternatives }
+   */
+  async checkSlot(tenantId, scheduledFor, now = new Date()) {
+    try {
+      const settings = await this.getSettings(tenantId);
+      if (!settings) {
+        return { available: false, message: 'This restaurant is not taking scheduled orders' };
+      }
+
+      const start = new Date(scheduledFor);
+      if (isNaN(start.getTime())) {
+        return { available: false, message: 'The requested time is not a valid date and time' };
+      }
+
+      const slot = this.buildSlot(start, settings);
+      const hours = await this.getOpeningHours(tenantId);
+      let message = null;
+      if (start.getTime() < now.getTime() + settings.minLeadMinutes * MINUTE_MS) {
+        message = `Scheduled orders need at least ${settings.minLeadMinutes} minutes' notice`;
+      } else if (start.getTime() > now.getTime() + settings.maxDaysAhead * DAY_MS) {
+        message = `Orders can be scheduled up to ${settings.maxDaysAhead} days ahead`;
+      } else if (!this.isSlotStart(start, settings) || !this.isOpen(start, settings, hours)) {
+        message = `We don't take orders for ${this.describeSlot(start, now)}`;
+      } else {
+        const bookings = await this.getBookings(tenantId, [slot.date]);
+        if ((bookings.get(slot.start) || 0) >= settings.slotCapacity) {
+          message = `${this.describeSlot(start, now)} is fully booked`;
+        }
+      }
+
+      if (!message) {
+        return { available: true, slot: { ...slot, label: this.describeSlot(start, now) } };
+      }
+
+      // Offer the next free slots after the one asked for
+      const alternatives = (await this.getAvailableSlots(tenantId, { now }))
+        .filter(candidate => candidate.start > slot.start)
+        .slice(0, 3);
+
+      return { available: false, message, alternatives };
+    } catch (error) {
+      console.error('[Scheduling] Failed to check slot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count an order against its slot's capacity and work out when it goes to the kitchen
+   * @param {string} tenantId
+   * @param {Object} order - Order being placed, with scheduledFor
+   * @returns {Promise<Object>} Schedule stored on the order
+   *   { slotStart, slotEnd, label, prepMinutes, travelMinutes, releaseAt, bookedAt }
+   */
+  async bookSlot(tenantId, order) {
+    const settings = await this.getSettings(tenantId);
+    if (!settings) {
+      throw new Error('Slot unavailable: scheduled orders are off');
+    }
+
+    const start = new Date(order.scheduledFor);
+    const slot = this.buildSlot(start, settings);
+
+    try {
+      await this.firebaseService.runTransaction(async (tx) => {
+        const slotId = this.getSlotId(tenantId, slot.start);
+        const booking = await tx.get('scheduled_slots', slotId);
+        const orderIds = booking?.orderIds || [];
+        if (orderIds.includes(order.orderId)) {
+          return;
+        }
+
+        if (orderIds.length >= settings.slotCapacity) {
+          throw new Error(`Slot unavailable: ${this.describeSlot(start)} is fully booked`);
+        }
+
+        tx.set('scheduled_slots', slotId, {
+          tenantId,
+          date: slot.date,
+          slotStart: slot.start,
+          slotEnd: slot.end,
+          orderIds: [...orderIds, order.orderId],
+          count: orderIds.length + 1,
+          updatedAt: new Date().toISOString()
+        });
+      });
+
+      const lead = await this.getLeadTime(tenantId, order);
+      const schedule = {
+        slotStart: slot.start,
+        slotEnd: slot.end,
+        label: this.describeSlot(start),
+        prepMinutes: lead.prepMinutes,
+        travelMinutes: lead.travelMinutes,
+        releaseAt: new Date(start.getTime() - lead.leadMinutes * MINUTE_MS).toISOString(),
+        bookedAt: new Date().toISOString()
+      };
+
+      console.log('[Scheduling] Booked slot', { tenantId, orderId: order.orderId, slot: slot.start, releaseAt: schedule.releaseAt });
+
+      return schedule;
+    } catch (error) {
+      console.error('[Scheduling] Failed to book slot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Give an order's place in its slot back (order cancelled or never placed)
+   */
+  async releaseSlot(tenantId, orderId, slotStart) {
+    try {
+      const released = await this.firebaseService.runTransaction(async (tx) => {
+        const slotId = this.getSlotId(tenantId, slotStart);
+        const booking = await tx.get('scheduled_slots', slotId);
+        if (!booking?.orderIds?.includes(orderId)) {
+          return false;
+        }
+
+        const orderIds = booking.orderIds.filter(id => id !== orderId);
+        tx.update('scheduled_slots', slotId, {
+          orderIds,
+          count: orderIds.length,
+          updatedAt: new Date().toISOString()
+        });
+        return true;
+      });
+
+      if (released) {
+        console.log('[Scheduling] Released slot', { tenantId, orderId, slotStart });
+      }
+      return released;
+    } catch (error) {
+      console.error('[Scheduling] Failed to release slot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Order event listener: a cancelled scheduled order frees its slot
+   */
+  async handleOrderEvent(tenantId, order) {
+    try {
+      if (order?.status === 'cancelled' && order.schedule?.slotStart) {
+        await this.releaseSlot(tenantId, order.orderId, order.schedule.slotStart);
+      }
+    } catch (error) {
+      console.error('[Scheduling] Failed to handle order event:', error);
+    }
+  }
+
+  /**
+   * Every slot start between the lead time and the last bookable day
+   * that falls inside ordering hours
+   */
+  listSlots(settings, now, hours = null) {
+    const slotMs = settings.slotMinutes * MINUTE_MS;
+    const earliest = Math.ceil((now.getTime() + settings.minLeadMinutes * MINUTE_MS) / MINUTE_MS) * MINUTE_MS;
+    const latest = now.getTime() + settings.maxDaysAhead * DAY_MS;
+
+    // Line the first slot up with the local clock (e.g. :00 and :30)
+    const { minutes } = this.availabilityService.getLocalClock(new Date(earliest));
+    const offset = (settings.slotMinutes - (minutes % settings.slotMinutes)) % settings.slotMinutes;
+
+    const slots = [];
+    for (let time = earliest + offset * MINUTE_MS; time <= latest; time += slotMs) {
+      const start = new Date(time);
+      if (this.isOpen(start, settings, hours)) {
+        slots.push(this.buildSlot(start, settings));
+      }
+    }
+    return slots;
+  }
+
+  /**
+   * Whether the restaurant takes orders for a time: inside ordering hours
+   * and open that day (see OperatingHoursService). Hours that run past
+   * midnight belong to the day they opened on.
+   */
+  isOpen(time, settings, hours = null) {
+    if (this.operatingHoursService && !this.operatingHoursService.isOpenAt(hours, time)) {
+      return false;
+    }
+
+    const clock = this.availabilityService.getLocalClock(time);
+    const previousDay = this.availabilityService.getLocalClock(new Date(time.getTime() - DAY_MS)).day;
+
+    return settings.hours.some(window => {
+      if (!this.availabilityService.isInDaypart(window, clock.minutes)) {
+        return false;
+      }
+      const overnight = toMinutes(window.start) > toMinutes(window.end) && clock.minutes < toMinutes(window.end);
+      const day = overnight ? previousDay : clock.day;
+      return window.days.length === 0 || window.days.includes(day);
+    });
+  }
+
+  /**
+   * Tenant's opening hours and holidays (null when not configured or not wired in)
+   */
+  async getOpeningHours(tenantId) {
+    return this.operatingHoursService ? this.operatingHoursService.getHours(tenantId) : null;
+  }
+
+  /**
+   * Whether a time is on the slot grid (local clock, whole minutes)
+   */
+  isSlotStart(time, settings) {
+    return time.getTime() % MINUTE_MS === 0 &&
+      this.availabilityService.getLocalClock(time).minutes % settings.slotMinutes === 0;
+  }
+
+  buildSlot(start, settings) {
+    return {
+      start: start.toISOString(),
+      end: new Date(start.getTime() + settings.slotMinutes * MINUTE_MS).toISOString(),
+      date: this.dateFormatter.format(start)
+    };
+  }
+
+  /**
+   * Orders booked per slot start on the given local dates
+   * @returns {Promise<Map>} slotStart -> count
+   */
+  async getBookings(tenantId, dates) {
+    const results = await Promise.all(
+      dates.map(date => this.firebaseService.queryDocuments('scheduled_slots', { tenantId, date }))
+    );
+    return new Map(results.flat().map(booking => [booking.slotStart, booking.orderIds?.length || 0]));
+  }
+
+  /**
+   * Local date (YYYY-MM-DD) for 'today', 'tomorrow', a weekday or a date
+   */
+  resolveDate(text, settings, now) {
+    const value = String(text).toLowerCase().trim();
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return value;
+    }
+    if (value === 'today') {
+      return this.dateFormatter.format(now);
+    }
+    if (value === 'tomorrow') {
+      return this.dateFormatter.format(new Date(now.getTime() + DAY_MS));
+    }
+
+    const [weekday] = this.availabilityService.expandDays(value) || [];
+    for (let offset = 0; weekday && offset <= settings.maxDaysAhead; offset++) {
+      const day = new Date(now.getTime() + offset * DAY_MS);
+      if (this.availabilityService.getLocalClock(day).day === weekday) {
+        return this.dateFormatter.format(day);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Spoken form of a slot, e.g. "Tomorrow, 7:30 pm"
+   */
+  describeSlot(start, now = new Date()) {
+    const date = this.dateFormatter.format(start);
+    const day = date === this.dateFormatter.format(now) ? 'Today'
+      : date === this.dateFormatter.format(new Date(now.getTime() + DAY_MS)) ? 'Tomorrow'
+        : this.dayFormatter.format(start);
+
+    return `${day}, ${this.timeFormatter.format(start)}`;
+  }
+
+  getSlotId(tenantId, slotStart) {
+    return `${tenantId}_${new Date(slotStart).getTime()}`;
+  }
+
+  // ==================== KITCHEN RELEASE ====================
+
+  /**
+   * Minutes before the slot an order has to go to the kitchen: prep time
+   * for its items at the kitchen's current load, plus travel and buffer for
+   * deliveries (from the ETA quoted when the address was verified)
+   * @returns {Promise<Object>} { prepMinutes, travelMinutes, leadMinutes }
+   */
+  async getLeadTime(tenantId, order, now = new Date()) {
+    const items = order.cart?.items || [];
+    const prep = await this.etaService.estimatePrepTime(tenantId, items, now);
+    const eta = order.estimatedDeliveryTime;
+    const travelMinutes = order.orderType === 'delivery'
+      ? (eta?.travelTime || 0) + (eta?.bufferMinutes || 0)
+      : 0;
+
+    return {
+      prepMinutes: prep.prepMinutes,
+      travelMinutes,
+      leadMinutes: prep.prepMinutes + travelMinutes
+    };
+  }
+
+  /**
+   * Start releasing scheduled orders on a timer
+   */
+  start() {
+    if (this.pollTimer) {
+      return;
+    }
+
+    this.pollTimer = setInterval(() => this.releaseDueOrders(), this.pollInterval * 1000);
+    this.pollTimer.unref?.();
+
+    console.log('[Scheduling] Scheduler started', { pollInterval: this.pollInterval });
+  }
+
+  stop() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * Send every scheduled order whose release time has come to the kitchen.
+   * The lead time is worked out again on each run, so a busy kitchen gets
+   * orders earlier.
+   * @returns {Promise<Array>} Order IDs released
+   */
+  async releaseDueOrders(now = new Date()) {
+    if (this.releasing) {
+      return [];
+    }
+    this.releasing = true;
+
+    try {
+      const orders = await this.firebaseService.queryDocuments('orders', { status: 'scheduled' });
+      const released = [];
+
+      for (const order of orders) {
+        try {
+          const slotStart = new Date(order.scheduledFor).getTime();
+          if (slotStart - now.getTime() > this.lookaheadMinutes * MINUTE_MS) {
+            continue;
+          }
+
+          const lead = await this.getLeadTime(order.tenantId, order, now);
+          if (now.getTime() < slotStart - lead.leadMinutes * MINUTE_MS) {
+            continue;
+          }
+
+          await this.orderManagementService.acceptOrder(order.orderId, order.tenantId, 'scheduler');
+          released.push(order.orderId);
+        } catch (error) {
+          console.error('[Scheduling] Failed to release order:', order.orderId, error);
+        }
+      }
+
+      if (released.length > 0) {
+        console.log('[Scheduling] Released scheduled orders to the kitchen', { released });
+      }
+
+      return released;
+    } catch (error) {
+      console.error('[Scheduling] Failed to release due orders:', error);
+      return [];
+    } finally {
+      this.releasing = false;
+    }
+  }
+}
+
+export default SchedulingService;
@@ -0,0 +1,269 @@
+/**
+ * Self Delivery Adapter
+ * Courier adapter for the restaurant's own riders. Deliveries wait in the
+ * admin app until a rider is assigned; riders then move them through pickup to drop.
+ */
+
+import { CourierAdapter, DELIVERY_STATUSES, TERMINAL_DELIVERY_STATUSES } from './CourierAdapter.js';
+
+const RIDER_STATUSES = ['arrived_at_pickup', 'picked_up', 'in_transit', 'delivered', 'failed'];
+
+export class SelfDeliveryAdapter extends CourierAdapter {
+  constructor(firebaseService, config = {}) {
+    super('self', 'Own riders');
+    this.firebaseService = firebaseService;
+
+    // Internal cost of a rider trip, used to compare against partner quotes
+    this.baseCost = config.baseCost ?? 30;
+    this.perKmCost = config.perKmCost ?? 5;
+    this.averageSpeed = config.averageSpeed || 20; // km/h
+  }
+
+  /**
+   * Riders configured on the restaurant profile
+   */
+  async getRiders(tenantId, { activeOnly = false } = {}) {
+    const profile = await this.firebaseService.getRestaurantProfile(tenantId);
+    const riders = Array.isArray(profile?.deliveryRiders) ? profile.deliveryRiders : [];
+    return activeOnly ? riders.filter(rider => rider.active !== false) : riders;
+  }
+
+  /**
+   * Replace the tenant's rider list
+   */
+  async saveRiders(tenantId, riders) {
+    const validation = this.validateRiders(riders);
+    if (!validation.valid) {
+      throw new Error(`Invalid riders: ${validation.errors.join(', ')}`);
+    }
+
+    try {
+      const normalized = riders.map(rider => ({
+        id: rider.id || rider.phone.replace(/\D/g, ''),
+        name: rider.name.trim(),
+        phone: rider.phone.trim(),
+        vehicleNumber: rider.vehicleNumber || null,
+        active: rider.active !== false
+      }));
+
+      await this.firebaseService.updateRestaurantProfile(tenantId, { deliveryRiders: normalized });
+
+      console.log('[SelfDelivery] Saved riders', { tenantId, count: normalized.length });
+
+      return normalized;
+    } catch (error) {
+      console.error('[SelfDelivery] Failed to save riders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate a rider list
+   */
+  validateRiders(riders) {
+    const errors = [];
+
+    if (!Array.isArray(riders)) {
+      return { valid: false, errors: ['riders must be an array'] };
+    }
+
+    riders.forEach((rider, index) => {
+      if (!rider?.name) {
+        errors.push(`Rider ${index + 1}: name is required`);
+      }
+      if (!rider?.phone || !/^\+?\d[\d\s-]{7,}$/.test(rider.phone)) {
+        errors.push(`Rider ${index + 1}: a valid phone number is required`);
+      }
+    });
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Quote an own-rider trip (only when the tenant has active riders)
+   */
+  async getFareEstimate(request) {
+    const riders = await this.getRiders(request.tenantId, { activeOnly: true });
+    if (riders.length === 0) {
+      throw new Error('No active riders');
+    }
+
+    const distance = this.estimateDistance(request.pickup, request.drop);
+
+    return {
+      success: true,
+      courier: this.name,
+      fareQuoteId: null,
+      estimatedFare: this.baseCost + Math.ceil(distance) * this.perKmCost,
+      estimatedDistance: distance,
+      estimatedDuration: Math.ceil((distance / this.averageSpeed) * 60),
+      currency: 'INR'
+    };
+  }
+
+  /**
+   * Create an unassigned delivery for the admin app
+   */
+  async createDelivery(request) {
+    try {
+      const quote = await this.getFareEstimate(request);
+      const now = new Date().toISOString();
+
+      const delivery = await this.firebaseService.createDocument('self_deliveries', {
+        tenantId: request.tenantId,
+        orderId: request.orderDetails.orderId,
+        requestId: request.requestId,
+        status: 'requested',
+        rider: null,
+        pickup: request.pickup,
+        drop: request.drop,
+        fare: quote.estimatedFare,
+        statusHistory: [{ status: 'requested', at: now }],
+        createdAt: now,
+        updatedAt: now
+      });
+
+      console.log('[SelfDelivery] Delivery created', { deliveryId: delivery.id, orderId: request.orderDetails.orderId });
+
+      return {
+        success: true,
+        courier: this.name,
+        deliveryId: delivery.id,
+        status: 'requested',
+        trackingUrl: null,
+        driverDetails: null,
+        estimatedDeliveryTime: null,
+        fare: quote.estimatedFare
+      };
+    } catch (error) {
+      console.error('[SelfDelivery] Failed to create delivery:', error);
+      throw error;
+    }
+  }
+
+  async trackDelivery(deliveryId) {
+    const delivery = await this.getDelivery(deliveryId);
+
+    return {
+      success: true,
+      courier: this.name,
+      deliveryId,
+      status: delivery.status,
+      currentLocation: delivery.lastLocation || null,
+      driverDetails: delivery.rider,
+      estimatedDeliveryTime: null,
+      statusHistory: delivery.statusHistory
+    };
+  }
+
+  async cancelDelivery(deliveryId, reason = 'Cancelled by restaurant') {
+    const delivery = await this.getDelivery(deliveryId);
+
+    if (TERMINAL_DELIVERY_STATUSES.includes(delivery.status)) {
+      throw new Error(`Cannot cancel delivery with status: ${delivery.status}`);
+    }
+
+    await this.setStatus(delivery, 'cancelled', { reason });
+
+    return {
+      success: true,
+      courier: this.name,
+      deliveryId,
+      status: 'cancelled',
+      cancellationFee: 0
+    };
+  }
+
+  /**
+   * Assign (or reassign) a rider from the admin app
+   */
+  async assignRider(deliveryId, riderId, assignedBy) {
+    const delivery = await this.getDelivery(deliveryId);
+
+    if (!['requested', 'assigned'].includes(delivery.status)) {
+      throw new Error(`Cannot assign a rider to delivery with status: ${delivery.status}`);
+    }
+
+    const riders = await this.getRiders(delivery.tenantId, { activeOnly: true });
+    const rider = riders.find(r => r.id === riderId);
+    if (!rider) {
+      throw new Error('Rider not found');
+    }
+
+    return this.setStatus(delivery, 'assigned', {
+      rider: { id: rider.id, name: rider.name, phone: rider.phone, vehicleNumber: rider.vehicleNumber || null },
+      updatedBy: assignedBy
+    });
+  }
+
+  /**
+   * Rider progress update (arrived, picked up, delivered...)
+   */
+  async updateRiderStatus(deliveryId, status, { location = null, updatedBy = null, reason = null } = {}) {
+    if (!RIDER_STATUSES.includes(status)) {
+      throw new Error(`Invalid delivery status: ${status}`);
+    }
+
+    const delivery = await this.getDelivery(deliveryId);
+
+    if (!delivery.rider) {
+      throw new Error('Cannot update a delivery before a rider is assigned');
+    }
+    if (TERMINAL_DELIVERY_STATUSES.includes(delivery.status)) {
+      throw new Error(`Cannot update delivery with status: ${delivery.status}`);
+    }
+    if (status !== 'failed' && DELIVERY_STATUSES.indexOf(status) < DELIVERY_STATUSES.indexOf(delivery.status)) {
+      throw new Error(`Cannot move delivery from ${delivery.status} to ${status}`);
+    }
+
+    return this.setStatus(delivery, status, { location, updatedBy, reason });
+  }
+
+  /**
+   * Persist a status change and emit it as a delivery update
+   */
+  async setStatus(delivery, status, { rider, location = null, updatedBy = null, reason = null } = {}) {
+    const now = new Date().toISOString();
+    const updates = {
+      status,
+      statusHistory: [...(delivery.statusHistory || []), { status, at: now, by: updatedBy, reason }],
+      updatedAt: now
+    };
+    if (rider) updates.rider = rider;
+    if (location) updates.lastLocation = location;
+
+    await this.firebaseService.updateDocument('self_deliveries', delivery.id, updates);
+
+    const update = {
+      courier: this.name,
+      deliveryId: delivery.id,
+      orderId: delivery.orderId,
+      tenantId: delivery.tenantId,
+      event: `rider.${status}`,
+      status,
+      driverDetails: rider || delivery.rider,
+      location,
+      reason,
+      occurredAt: now
+    };
+
+    console.log('[SelfDelivery] Status updated', { deliveryId: delivery.id, status });
+
+    await this.emitUpdate(update);
+
+    return update;
+  }
+
+  async getDelivery(deliveryId) {
+    const delivery = await this.firebaseService.getDocument('self_deliveries', deliveryId);
+    if (!delivery) {
+      throw new Error('Delivery not found');
+    }
+    return delivery;
+  }
+}
+
+export default SelfDeliveryAdapter;
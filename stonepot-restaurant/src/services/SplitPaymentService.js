@@ -0,0 +1,487 @@
+/**
+ * Split Payment Service
+ * Online group (collaborative) orders are paid in shares: each participant
+ * gets their own Razorpay order for their part of the final total, worked
+ * out from the finalized room's split (equal, by items, or custom). The
+ * order stays in 'pending_payment' until every share is paid. Participants
+ * who have not paid are reminded; when the split times out, the initiator
+ * gets one payment for whatever is still unpaid.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+export class SplitPaymentService {
+  constructor(firebaseService, orderManagementService, paymentService, { circleService, paymentReconciliationService, displayClient = null }, config = {}) {
+    this.firebaseService = firebaseService;
+    this.orderManagementService = orderManagementService;
+    this.paymentService = paymentService;
+    // Collaborative orders and the room's split
+    this.circleService = circleService;
+    // Confirms the order once every share is paid
+    this.paymentReconciliationService = paymentReconciliationService;
+    // Reminders and progress on the group order's display
+    this.displayClient = displayClient;
+
+    this.timeoutMinutes = config.timeoutMinutes || 20; // Time everyone has to pay before the initiator is asked to cover the rest
+    this.reminderMinutes = config.reminderMinutes || 5; // Minutes between reminders to a participant who has not paid
+    this.pollInterval = config.pollInterval || 60; // Seconds between checks
+    this.pollTimer = null;
+    this.processing = false;
+  }
+
+  // ==================== SHARES ====================
+
+  /**
+   * Create one Razorpay order per participant for a group order paid online
+   * @param {Object} order - Saved order with collaborativeOrderId
+   * @returns {Promise<Object|null>} splitPayment, or null when only one person pays
+   */
+  async createSplitPayments(order) {
+    try {
+      let collaborativeOrder = await this.firebaseService.getDocument('collaborative_orders', order.collaborativeOrderId);
+      if (!collaborativeOrder) {
+        throw new Error('Collaborative order not found');
+      }
+
+      // Orders placed before the room was finalized use the split as it stands
+      if (collaborativeOrder.status !== 'finalized') {
+        ({ order: collaborativeOrder } = await this.circleService.finalizeCollaborativeOrder(order.collaborativeOrderId));
+      }
+
+      const { shares } = this.circleService.calculateSplit(
+        collaborativeOrder,
+        collaborativeOrder.splitDetails?.customSplits
+      );
+      const allocated = this.allocate(order.cart.total, shares, collaborativeOrder.initiatedBy)
+        .filter(share => share.amount > 0);
+
+      if (allocated.length < 2) {
+        return null;
+      }
+
+      const now = new Date();
+      const splitShares = [];
+      for (const [index, share] of allocated.entries()) {
+        splitShares.push(await this.createShare(order, share, index + 1, now));
+      }
+
+      const splitPayment = {
+        collaborativeOrderId: order.collaborativeOrderId,
+        splitType: collaborativeOrder.splitType,
+        status: 'collecting',
+        initiatedBy: collaborativeOrder.initiatedBy,
+        shares: splitShares,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + this.timeoutMinutes * MINUTE_MS).toISOString()
+      };
+
+      await this.orderManagementService.updateOrderStatus(order.orderId, order.tenantId, { splitPayment }, 'split_payment_updated');
+      await this.firebaseService.updateDocument('collaborative_orders', order.collaborativeOrderId, {
+        orderId: order.orderId
+      });
+
+      console.log('[SplitPayment] Split payments created', {
+        orderId: order.orderId,
+        splitType: splitPayment.splitType,
+        shares: splitShares.map(share => share.amount)
+      });
+
+      return splitPayment;
+    } catch (error) {
+      console.error('[SplitPayment] Failed to create split payments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Scale the room's shares to the order total (tax, fees and discounts are
+   * shared in the same proportion). Rounding paise go to the initiator.
+   * @returns {Array} Shares with amount in ₹
+   */
+  allocate(total, shares, initiatedBy) {
+    const totalPaise = Math.round(total * 100);
+    const weightTotal = shares.reduce((sum, share) => sum + share.amount, 0);
+    const weight = (share) => weightTotal > 0 ? share.amount / weightTotal : 1 / shares.length;
+
+    const paise = shares.map(share => Math.floor(totalPaise * weight(share)));
+    const remainder = totalPaise - paise.reduce((sum, amount) => sum + amount, 0);
+    const initiator = Math.max(0, shares.findIndex(share => share.customerId === initiatedBy));
+    paise[initiator] += remainder;
+
+    return shares.map((share, index) => ({ ...share, amount: paise[index] / 100 }));
+  }
+
+  async createShare(order, share, number, now) {
+    const shareId = `${order.orderId}-SPLIT${number}`;
+    const razorpayOrder = await this.paymentService.createPaymentOrder({
+      amount: share.amount,
+      orderId: shareId,
+      customer: { name: share.name, phone: share.phone, email: null },
+      currency: 'INR'
+    });
+
+    return {
+      shareId,
+      customerId: share.customerId,
+      name: share.name,
+      phone: share.phone,
+      amount: share.amount,
+      razorpayOrderId: razorpayOrder.id,
+      status: 'pending',
+      remindersSent: 0,
+      lastRemindedAt: null,
+      createdAt: now.toISOString()
+    };
+  }
+
+  /**
+   * Split payment for an order, for participants to find their share
+   */
+  async getSplitPayment(orderId) {
+    const order = await this.firebaseService.getDocument('orders', orderId);
+    if (!order) {
+      throw new Error('Order not found');
+    }
+    if (!order.splitPayment) {
+      throw new Error('Order is not paid in shares');
+    }
+
+    return { orderId, total: order.cart?.total, ...order.splitPayment };
+  }
+
+  /**
+   * Record a payment result for one share (webhook, checkout or the
+   * Razorpay check). The order is confirmed once every share is paid.
+   * @param {string} orderId - Order ID
+   * @param {Object} result - { paymentStatus, razorpayOrderId, razorpayPaymentId, error, source }
+   * @returns {Promise<Object>} { applied, reason, share, splitPayment }
+   */
+  async applyShareResult(orderId, result) {
+    try {
+      const now = new Date();
+      const outcome = await this.firebaseService.runTransaction(async (tx) => {
+        const order = await tx.get('orders', orderId);
+        const shares = order?.splitPayment?.shares || [];
+        const index = shares.findIndex(share => share.razorpayOrderId === result.razorpayOrderId);
+        if (index === -1) {
+          return { applied: false, reason: 'share_not_found' };
+        }
+
+        const share = shares[index];
+        if (share.status === 'paid' || share.status === 'refund_due') {
+          return { applied: false, reason: 'share_already_paid', share, order };
+        }
+
+        const updated = result.paymentStatus === 'paid'
+          ? {
+            ...share,
+            // Paid after the initiator was asked to cover it: the participant is owed a refund
+            status: share.status === 'cancelled' ? 'refund_due' : 'paid',
+            razorpayPaymentId: result.razorpayPaymentId || null,
+            paidAt: now.toISOString()
+          }
+          : {
+            ...share,
+            lastError: { ...(result.error || {}), razorpayPaymentId: result.razorpayPaymentId || null, failedAt: now.toISOString() }
+          };
+
+        const nextShares = shares.map((entry, i) => (i === index ? updated : entry));
+        const splitPayment = {
+          ...order.splitPayment,
+          shares: nextShares,
+          status: this.isFullyPaid(nextShares) ? 'paid' : order.splitPayment.status,
+          ...(this.isFullyPaid(nextShares) && !order.splitPayment.paidAt && { paidAt: now.toISOString() })
+        };
+        tx.update('orders', orderId, { splitPayment, updatedAt: now.toISOString() });
+
+        return { applied: true, share: updated, order: { ...order, splitPayment } };
+      });
+
+      if (!outcome.applied) {
+        return outcome;
+      }
+
+      const { order, share } = outcome;
+      console.log('[SplitPayment] Share updated', {
+        orderId,
+        shareId: share.shareId,
+        status: share.status,
+        source: result.source
+      });
+
+      this.orderManagementService.broadcastOrderUpdate(order.tenantId, order, 'split_payment_updated');
+      await this.sendProgress(order);
+
+      if (share.status === 'refund_due') {
+        await this.paymentReconciliationService.flagOrder(order, 'split_paid_late', result.source, now);
+      } else if (order.splitPayment.status === 'paid' && share.status === 'paid') {
+        await this.paymentReconciliationService.applyPaymentResult(orderId, {
+          paymentStatus: 'paid',
+          source: 'split'
+        });
+      }
+
+      return { applied: true, share, splitPayment: order.splitPayment };
+    } catch (error) {
+      console.error('[SplitPayment] Failed to apply share result:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Every share still owed has been paid (cancelled shares were covered)
+   */
+  isFullyPaid(shares) {
+    return shares.every(share => share.status !== 'pending');
+  }
+
+  // ==================== FALLBACK ====================
+
+  /**
+   * Put every unpaid share on one payment for the initiator. Runs when the
+   * split times out, or earlier when the initiator offers to pay the rest.
+   * @returns {Promise<Object>} Updated splitPayment
+   */
+  async coverRemainder(orderId, { coveredBy = 'system', now = new Date() } = {}) {
+    try {
+      const order = await this.firebaseService.getDocument('orders', orderId);
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      const splitPayment = order.splitPayment;
+      if (!splitPayment) {
+        throw new Error('Order is not paid in shares');
+      }
+      if (splitPayment.status !== 'collecting') {
+        throw new Error(`Split payment is already ${splitPayment.status}`);
+      }
+
+      const unpaid = splitPayment.shares.filter(share => share.status === 'pending');
+      const initiator = splitPayment.shares.find(share => share.customerId === splitPayment.initiatedBy) || splitPayment.shares[0];
+      const amount = Math.round(unpaid.reduce((sum, share) => sum + share.amount * 100, 0)) / 100;
+
+      const cover = await this.createShare(order, {
+        customerId: initiator.customerId,
+        name: initiator.name,
+        phone: initiator.phone,
+        amount
+      }, splitPayment.shares.length + 1, now);
+
+      const nextSplitPayment = {
+        ...splitPayment,
+        status: 'covering',
+        shares: [
+          ...splitPayment.shares.map(share => (share.status === 'pending'
+            ? { ...share, status: 'cancelled', cancelledAt: now.toISOString() }
+            : share)),
+          { ...cover, covers: unpaid.map(share => share.shareId) }
+        ],
+        coveredBy,
+        coveredAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + this.timeoutMinutes * MINUTE_MS).toISOString()
+      };
+
+      const updatedOrder = await this.orderManagementService.updateOrderStatus(orderId, order.tenantId, {
+        splitPayment: nextSplitPayment
+      }, 'split_payment_updated');
+
+      console.log('[SplitPayment] Initiator covering unpaid shares', {
+        orderId,
+        covers: unpaid.map(share => share.shareId),
+        amount,
+        coveredBy
+      });
+
+      await this.sendProgress(updatedOrder);
+
+      return nextSplitPayment;
+    } catch (error) {
+      console.error('[SplitPayment] Failed to cover unpaid shares:', error);
+      throw error;
+    }
+  }
+
+  // ==================== JOB ====================
+
+  /**
+   * Start checking split payments on a timer
+   */
+  start() {
+    if (this.pollTimer) {
+      return;
+    }
+
+    this.pollTimer = setInterval(() => this.processSplitPayments(), this.pollInterval * 1000);
+    this.pollTimer.unref?.();
+
+    console.log('[SplitPayment] Split payment checks started', { pollInterval: this.pollInterval });
+  }
+
+  stop() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * For every group order still being paid: pick up payments Razorpay has
+   * that we missed, remind participants who have not paid, and fall back to
+   * the initiator (or flag the order) when time runs out
+   * @returns {Promise<Array>} Per-order results { orderId, action }
+   */
+  async processSplitPayments(now = new Date()) {
+    if (this.processing) {
+      return [];
+    }
+    this.processing = true;
+
+    try {
+      const orders = (await Promise.all(
+        ['collecting', 'covering'].map(status =>
+          this.firebaseService.queryDocuments('orders', { 'splitPayment.status': status })
+        )
+      )).flat();
+
+      const results = [];
+      for (const order of orders) {
+        try {
+          results.push({ orderId: order.orderId, action: await this.processOrder(order, now) });
+        } catch (error) {
+          console.error('[SplitPayment] Failed to process split payment:', order.orderId, error);
+          results.push({ orderId: order.orderId, action: 'error' });
+        }
+      }
+
+      return results;
+    } catch (error) {
+      console.error('[SplitPayment] Failed to process split payments:', error);
+      throw error;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async processOrder(order, now) {
+    const pending = order.splitPayment.shares.filter(share => share.status === 'pending');
+
+    // Payments whose webhook never arrived
+    let settled = 0;
+    for (const share of pending) {
+      const payments = await this.paymentService.getOrderPayments(share.razorpayOrderId);
+      const captured = payments.find(payment => payment.status === 'captured');
+      if (captured) {
+        await this.applyShareResult(order.orderId, {
+          paymentStatus: 'paid',
+          razorpayOrderId: share.razorpayOrderId,
+          razorpayPaymentId: captured.id,
+          source: 'reconciliation'
+        });
+        settled++;
+      }
+    }
+    if (settled === pending.length) {
+      return 'paid';
+    }
+
+    const current = await this.firebaseService.getDocument('orders', order.orderId);
+    const splitPayment = current.splitPayment;
+
+    if (now >= new Date(splitPayment.expiresAt)) {
+      if (splitPayment.status === 'collecting') {
+        await this.coverRemainder(order.orderId, { coveredBy: 'timeout', now });
+        return 'covered';
+      }
+
+      await this.orderManagementService.updateOrderStatus(order.orderId, current.tenantId, {
+        splitPayment: { ...splitPayment, status: 'expired', expiredAt: now.toISOString() }
+      }, 'split_payment_updated');
+      await this.paymentReconciliationService.flagOrder(current, 'split_unpaid', 'split', now);
+      return 'expired';
+    }
+
+    const due = splitPayment.shares.filter(share =>
+      share.status === 'pending' &&
+      now - new Date(share.lastRemindedAt || share.createdAt) >= this.reminderMinutes * MINUTE_MS
+    );
+    if (due.length === 0) {
+      return 'waiting';
+    }
+
+    await this.remind(current, due, now);
+    return 'reminded';
+  }
+
+  /**
+   * Remind participants who have not paid, on the group order's display
+   */
+  async remind(order, shares, now) {
+    const remindedIds = new Set(shares.map(share => share.shareId));
+    const splitPayment = {
+      ...order.splitPayment,
+      shares: order.splitPayment.shares.map(share => (remindedIds.has(share.shareId)
+        ? { ...share, remindersSent: (share.remindersSent || 0) + 1, lastRemindedAt: now.toISOString() }
+        : share))
+    };
+
+    await this.firebaseService.updateDocument('orders', order.orderId, { splitPayment });
+
+    console.log('[SplitPayment] Reminded participants', {
+      orderId: order.orderId,
+      shares: shares.map(share => share.shareId)
+    });
+
+    if (!this.displayClient || !order.sessionId) {
+      return;
+    }
+
+    try {
+      await this.displayClient.sendUpdate(order.sessionId, {
+        type: 'split_payment_reminder',
+        data: {
+          orderId: order.orderId,
+          expiresAt: splitPayment.expiresAt,
+          unpaid: shares.map(share => ({
+            shareId: share.shareId,
+            name: share.name,
+            amount: share.amount,
+            razorpayOrderId: share.razorpayOrderId
+          })),
+          message: `Still waiting on ${shares.map(share => `${share.name} (₹${share.amount})`).join(', ')}`
+        }
+      });
+    } catch (error) {
+      console.warn('[SplitPayment] Could not send reminder to display:', error.message);
+    }
+  }
+
+  /**
+   * Who has paid so far, on the group order's display
+   */
+  async sendProgress(order) {
+    if (!this.displayClient || !order.sessionId) {
+      return;
+    }
+
+    try {
+      await this.displayClient.sendUpdate(order.sessionId, {
+        type: 'split_payment_status',
+        data: {
+          orderId: order.orderId,
+          status: order.splitPayment.status,
+          expiresAt: order.splitPayment.expiresAt,
+          shares: order.splitPayment.shares.map(share => ({
+            shareId: share.shareId,
+            name: share.name,
+            amount: share.amount,
+            status: share.status,
+            razorpayOrderId: share.razorpayOrderId
+          }))
+        }
+      });
+    } catch (error) {
+      console.warn('[SplitPayment] Could not update display:', error.message);
+    }
+  }
+}
+
+export default SplitPaymentService;
@@ -0,0 +1,453 @@
+/**
+ * Table Service
+ * Dine-in tables and areas on the restaurant profile, QR codes that start
+ * an ordering session bound to a table, and running tabs. Every order a
+ * table places is a round: its own dine-in order and KOT, linked to the
+ * table's open tab (`table_tabs`). Closing the tab bills every round on a
+ * single invoice and frees the table (`table_status`) for the next guests.
+ */
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Rounds the kitchen hasn't finished yet; a tab can't close over them
+const KITCHEN_STATUSES = ['confirmed', 'preparing'];
+
+const SETTLEMENT_METHODS = ['cash', 'card', 'upi'];
+
+const toId = (name) => String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+export class TableService {
+  constructor(firebaseService, orderManagementService, invoiceService, config = {}) {
+    this.firebaseService = firebaseService;
+    this.orderManagementService = orderManagementService;
+    this.invoiceService = invoiceService;
+
+    // Ordering app the table QR codes open
+    this.qrBaseUrl = (config.qrBaseUrl || 'http://localhost:3000').replace(/\/$/, '');
+  }
+
+  // ==================== TABLES ====================
+
+  /**
+   * Tables and areas for a tenant (empty when none are set up)
+   * @returns {Promise<Object>} { areas: [{ id, name }], tables: [{ id, name, areaId, seats }] }
+   */
+  async getTables(tenantId) {
+    try {
+      const profile = await this.firebaseService.getRestaurantProfile(tenantId);
+      return this.normalizeTables(profile?.tables || {});
+    } catch (error) {
+      console.error('[Table] Failed to get tables:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tables stored on the profile, for editing
+   */
+  async getConfiguredTables(tenantId) {
+    const profile = await this.firebaseService.getRestaurantProfile(tenantId);
+    if (!profile) {
+      throw new Error('Restaurant profile not found');
+    }
+    return this.normalizeTables(profile.tables || {});
+  }
+
+  /**
+   * Replace the tenant's tables and areas
+   */
+  async saveTables(tenantId, tables) {
+    const validation = this.validateTables(tables);
+    if (!validation.valid) {
+      throw new Error(`Invalid tables: ${validation.errors.join(', ')}`);
+    }
+
+    try {
+      const normalized = this.normalizeTables(tables);
+
+      await this.firebaseService.updateRestaurantProfile(tenantId, {
+        tables: normalized
+      });
+
+      console.log('[Table] Saved tables', {
+        tenantId,
+        areas: normalized.areas.length,
+        tables: normalized.tables.length
+      });
+
+      return normalized;
+    } catch (error) {
+      console.error('[Table] Failed to save tables:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A table with its area name, or null when the tenant has no such table
+   */
+  async getTable(tenantId, tableId) {
+    const { areas, tables } = await this.getTables(tenantId);
+    const table = tables.find(entry => entry.id === tableId);
+    if (!table) {
+      return null;
+    }
+
+    return {
+      ...table,
+      areaName: areas.find(area => area.id === table.areaId)?.name || null
+    };
+  }
+
+  /**
+   * Session start URL for every table, to print as QR codes
+   * @returns {Promise<Array>} [{ tableId, name, areaName, url }]
+   */
+  async getQrCodes(tenantId) {
+    const { areas, tables } = await this.getTables(tenantId);
+
+    return tables.map(table => ({
+      tableId: table.id,
+      name: table.name,
+      areaName: areas.find(area => area.id === table.areaId)?.name || null,
+      url: this.getQrUrl(tenantId, table.id)
+    }));
+  }
+
+  /**
+   * Ordering app URL that starts a session bound to the table
+   */
+  getQrUrl(tenantId, tableId) {
+    return `${this.qrBaseUrl}/?${new URLSearchParams({ tenant: tenantId, table: tableId })}`;
+  }
+
+  /**
+   * Normalize tables and areas. IDs default to the name in lower-case-dashes.
+   */
+  normalizeTables(config) {
+    const areas = (Array.isArray(config.areas) ? config.areas : []).map(area => ({
+      id: area.id || toId(area.name),
+      name: String(area.name).trim()
+    }));
+
+    const tables = (Array.isArray(config.tables) ? config.tables : []).map(table => ({
+      id: table.id || toId(table.name),
+      name: String(table.name).trim(),
+      areaId: table.areaId || null,
+      seats: table.seats ? parseInt(table.seats) : null
+    }));
+
+    return { areas, tables };
+  }
+
+  /**
+   * Validate tables and areas
+   */
+  validateTables(config) {
+    const errors = [];
+
+    if (!config || typeof config !== 'object') {
+      return { valid: false, errors: ['tables must be an object of { areas, tables }'] };
+    }
+    if (config.areas !== undefined && !Array.isArray(config.areas)) {
+      errors.push('areas must be an array');
+    }
+    if (!Array.isArray(config.tables)) {
+      return { valid: false, errors: [...errors, 'tables must be an array of { name, areaId, seats }'] };
+    }
+
+    const areaIds = new Set();
+    (Array.isArray(config.areas) ? config.areas : []).forEach((area, index) => {
+      if (!area?.name || typeof area.name !== 'string' || !area.name.trim()) {
+        errors.push(`Area ${index + 1}: name is required`);
+        return;
+      }
+      const id = area.id || toId(area.name);
+      if (areaIds.has(id)) {
+        errors.push(`Area ${index + 1}: duplicate area "${area.name}"`);
+      }
+      areaIds.add(id);
+    });
+
+    const tableIds = new Set();
+    config.tables.forEach((table, index) => {
+      if (table?.name === undefined || table.name === null || !String(table.name).trim()) {
+        errors.push(`Table ${index + 1}: name is required`);
+        return;
+      }
+
+      const id = table.id || toId(table.name);
+      if (!id) {
+        errors.push(`Table ${index + 1}: name must contain letters or digits`);
+      } else if (tableIds.has(id)) {
+        errors.push(`Table ${index + 1}: duplicate table "${table.name}"`);
+      }
+      tableIds.add(id);
+
+      if (table.areaId && !areaIds.has(table.areaId)) {
+        errors.push(`Table ${index + 1}: unknown area "${table.areaId}"`);
+      }
+      if (table.seats !== undefined && table.seats !== null &&
+          (!Number.isInteger(Number(table.seats)) || Number(table.seats) < 1)) {
+        errors.push(`Table ${index + 1}: seats must be a whole number of at least 1`);
+      }
+    });
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  // ==================== TABS ====================
+
+  /**
+   * The table's open tab, or null when nobody is seated
+   */
+  async getOpenTab(tenantId, tableId) {
+    try {
+      const status = await this.firebaseService.getDocument('table_status', this.getStatusId(tenantId, tableId));
+      if (!status?.tabId) {
+        return null;
+      }
+
+      const tab = await this.firebaseService.getDocument('table_tabs', status.tabId);
+      return tab?.status === 'open' ? tab : null;
+    } catch (error) {
+      console.error('[Table] Failed to get open tab:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open tabs for a tenant, oldest first
+   */
+  async getOpenTabs(tenantId) {
+    try {
+      const tabs = await this.firebaseService.queryDocuments('table_tabs', { tenantId, status: 'open' });
+      return tabs.sort((a, b) => a.openedAt.localeCompare(b.openedAt));
+    } catch (error) {
+      console.error('[Table] Failed to get open tabs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a round to the kitchen: a dine-in order on the table's open tab
+   * (opened with this round when the table has none), accepted straight
+   * away so it prints its own KOT.
+   * @param {string} tenantId
+   * @param {Object} table - Table from getTable
+   * @param {Object} orderData - Order built by the ordering flow (orderId, customer, cart...)
+   * @returns {Promise<Object>} { tab, order, kot }
+   */
+  async addRound(tenantId, table, orderData) {
+    try {
+      const now = new Date().toISOString();
+      const statusId = this.getStatusId(tenantId, table.id);
+
+      const tab = await this.firebaseService.runTransaction(async (tx) => {
+        const status = await tx.get('table_status', statusId);
+        const current = status?.tabId ? await tx.get('table_tabs', status.tabId) : null;
+        const open = current?.status === 'open' ? current : null;
+
+        const round = {
+          round: (open?.rounds.length || 0) + 1,
+          orderId: orderData.orderId,
+          sessionId: orderData.sessionId || null,
+          placedAt: now
+        };
+        const customer = open?.customer || (orderData.customer?.phone ? orderData.customer : null);
+
+        if (open) {
+          const updates = { rounds: [...open.rounds, round], customer, updatedAt: now };
+          tx.update('table_tabs', open.id, updates);
+          return { ...open, ...updates };
+        }
+
+        const tabId = `TAB-${Date.now()}-${Math.random().toString(36).substring(2, 7).toUpperCase()}`;
+        const created = {
+          tabId,
+          tenantId,
+          tableId: table.id,
+          tableName: table.name,
+          areaName: table.areaName || null,
+          status: 'open',
+          rounds: [round],
+          customer,
+          billRequestedAt: null,
+          openedAt: now,
+          updatedAt: now
+        };
+        tx.create('table_tabs', tabId, created);
+        tx.set('table_status', statusId, { tenantId, tableId: table.id, tabId, updatedAt: now });
+        return { id: tabId, ...created };
+      });
+
+      const roundNumber = tab.rounds[tab.rounds.length - 1].round;
+      await this.orderManagementService.createOrder(tenantId, orderData.customer?.phone || null, {
+        ...orderData,
+        orderType: 'dine-in',
+        paymentMethod: 'tab',
+        status: 'confirmed',
+        tableId: table.id,
+        tableNumber: table.name,
+        tabId: tab.tabId,
+        tabRound: roundNumber
+      });
+
+      const { order, kot } = await this.orderManagementService.acceptOrder(orderData.orderId, tenantId, 'table');
+
+      console.log('[Table] Round sent to the kitchen', {
+        tenantId,
+        tableId: table.id,
+        tabId: tab.tabId,
+        round: roundNumber,
+        orderId: orderData.orderId
+      });
+
+      return { tab, order, kot };
+    } catch (error) {
+      console.error('[Table] Failed to add round:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The running bill: every round that wasn't cancelled, with combined totals
+   * @returns {Promise<Object>} { tab, rounds, items, subtotal, discount, tax, total }
+   */
+  async getTabBill(tenantId, tabId) {
+    try {
+      const tab = await this.firebaseService.getDocument('table_tabs', tabId);
+      if (!tab || tab.tenantId !== tenantId) {
+        throw new Error('Tab not found');
+      }
+
+      const orders = await this.getTabOrders(tenantId, tabId);
+      const rounds = orders.map(order => ({
+        round: order.tabRound,
+        orderId: order.orderId,
+        status: order.status,
+        items: order.cart.items,
+        total: order.cart.total
+      }));
+      const billed = orders.filter(order => order.status !== 'cancelled');
+      const sum = (field) => round2(billed.reduce((total, order) => total + (order.cart[field] || 0), 0));
+
+      return {
+        tab,
+        rounds,
+        items: billed.flatMap(order => order.cart.items),
+        subtotal: sum('subtotal'),
+        discount: sum('discount'),
+        tax: sum('tax'),
+        total: sum('total')
+      };
+    } catch (error) {
+      console.error('[Table] Failed to get tab bill:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark that the table asked for the bill, so staff can bring it over
+   */
+  async requestBill(tenantId, tabId) {
+    try {
+      const bill = await this.getTabBill(tenantId, tabId);
+      if (bill.tab.status !== 'open') {
+        throw new Error('Tab is already closed');
+      }
+
+      const billRequestedAt = bill.tab.billRequestedAt || new Date().toISOString();
+      await this.firebaseService.updateDocument('table_tabs', tabId, { billRequestedAt });
+
+      console.log('[Table] Bill requested', { tenantId, tabId, tableId: bill.tab.tableId });
+
+      return { ...bill, tab: { ...bill.tab, billRequestedAt } };
+    } catch (error) {
+      console.error('[Table] Failed to request bill:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Settle and close a tab: served rounds are marked delivered, all of them
+   * go on one invoice and the table is free again
+   * @param {Object} options - { paymentMethod: 'cash'|'card'|'upi', closedBy }
+   * @returns {Promise<Object>} { tab, invoice, bill }
+   */
+  async closeTab(tenantId, tabId, { paymentMethod, closedBy = 'staff' } = {}) {
+    if (!SETTLEMENT_METHODS.includes(paymentMethod)) {
+      throw new Error(`Invalid payment method: use one of ${SETTLEMENT_METHODS.join(', ')}`);
+    }
+
+    try {
+      const bill = await this.getTabBill(tenantId, tabId);
+      if (bill.tab.status !== 'open') {
+        throw new Error('Tab is already closed');
+      }
+
+      const cooking = bill.rounds.filter(round => KITCHEN_STATUSES.includes(round.status));
+      if (cooking.length > 0) {
+        throw new Error(`Tab has rounds still in the kitchen: ${cooking.map(round => `round ${round.round}`).join(', ')}`);
+      }
+
+      for (const round of bill.rounds.filter(entry => entry.status === 'ready')) {
+        await this.orderManagementService.markOrderDelivered(round.orderId, tenantId, closedBy);
+      }
+
+      const orders = (await this.getTabOrders(tenantId, tabId)).filter(order => order.status !== 'cancelled');
+      const invoice = orders.length > 0
+        ? await this.invoiceService.issueTabInvoice(bill.tab, orders, { issuedBy: closedBy })
+        : null;
+
+      const now = new Date().toISOString();
+      const updates = {
+        status: 'closed',
+        total: bill.total,
+        payment: { method: paymentMethod, amount: bill.total, settledBy: closedBy, settledAt: now },
+        invoiceNumber: invoice?.documentNumber || null,
+        closedBy,
+        closedAt: now,
+        updatedAt: now
+      };
+
+      const statusId = this.getStatusId(tenantId, bill.tab.tableId);
+      await this.firebaseService.runTransaction(async (tx) => {
+        const status = await tx.get('table_status', statusId);
+        tx.update('table_tabs', tabId, updates);
+        if (status?.tabId === tabId) {
+          tx.update('table_status', statusId, { tabId: null, updatedAt: now });
+        }
+      });
+
+      console.log('[Table] Tab closed', {
+        tenantId,
+        tabId,
+        tableId: bill.tab.tableId,
+        total: bill.total,
+        invoiceNumber: updates.invoiceNumber
+      });
+
+      return { tab: { ...bill.tab, ...updates }, invoice, bill };
+    } catch (error) {
+      console.error('[Table] Failed to close tab:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Round orders on a tab, in order
+   */
+  async getTabOrders(tenantId, tabId) {
+    const orders = await this.firebaseService.queryDocuments('orders', { tenantId, tabId });
+    return orders.sort((a, b) => a.tabRound - b.tabRound);
+  }
+
+  /**
+   * `table_status` document ID for a table
+   */
+  getStatusId(tenantId, tableId) {
+    return `${tenantId}_${tableId}`;
+  }
+}
+
+export default TableService;
@@ -3,6 +3,87 @@
  * Handles GST calculation based on current Indian tax laws
  */
 
+/**
+ * GST treatment per tax category. `rate` is the combined GST rate and `code`
+ * the default SAC (services) or HSN (goods) code printed on invoices.
+ * Alcoholic liquor for human consumption is outside GST (state excise/VAT).
+ */
+export const GST_CATEGORIES = {
+  restaurant: { rate: 0.05, code: '996331', description: 'Restaurant service' },
+  outdoor_catering: { rate: 0.18, code: '996334', description: 'Outdoor catering' },
+  packaged_beverage: { rate: 0.18, code: '2202', description: 'Packaged beverage' },
+  packaged_beverage_12: { rate: 0.12, code: '220299', description: 'Packaged fruit/milk beverage' },
+  alcohol: { rate: 0, code: '2208', description: 'Alcoholic liquor (outside GST)', exempt: true }
+};
+
+/**
+ * GST slabs in percent. A menu item's `gstRate` override is stored in percent
+ * and must be one of these.
+ */
+export const GST_SLABS = [0, 5, 12, 18, 28];
+
+// Menu categories treated as alcohol when an item has no explicit taxCategory
+const ALCOHOL_MENU_CATEGORIES = ['alcohol', 'liquor', 'beer', 'wine', 'spirits', 'cocktails', 'bar'];
+
+/**
+ * GST state codes (first two digits of a GSTIN)
+ */
+export const STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory'
+};
+
+const STATE_NAME_ALIASES = {
+  'new delhi': '07',
+  'nct of delhi': '07',
+  'orissa': '21',
+  'pondicherry': '34',
+  'jammu & kashmir': '01',
+  'andaman & nicobar islands': '35'
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const hasGstRate = (item) => item.gstRate !== undefined && item.gstRate !== null && item.gstRate !== '';
+
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
 export class TaxService {
   constructor(config = {}) {
     // GST Rates for Restaurant Services in India (as of 2024)
@@ -17,12 +98,23 @@ export class TaxService {
       // Food delivery/takeaway
       delivery: 0.05, // 5% GST
 
+      // Outdoor catering
+      outdoor_catering: 0.18, // 18% GST
+
       // Default rate for food items
       default: 0.05 // 5% GST
     };
 
     // Configure which rate to use (can be overridden)
-    this.defaultRate = config.taxRate || this.taxRates.default;
+    this.defaultRate = config.gstRate || config.taxRate || this.taxRates.default;
+
+    this.categories = {
+      ...GST_CATEGORIES,
+      restaurant: { ...GST_CATEGORIES.restaurant, rate: this.defaultRate }
+    };
+
+    // Restaurant's GST state code (decides CGST/SGST vs IGST)
+    this.stateCode = this.resolveStateCode(config.stateCode);
 
     console.log('[TaxService] Initialized with default GST rate:', this.defaultRate * 100 + '%');
   }
@@ -31,51 +123,351 @@ export class TaxService {
    * Calculate GST on an amount
    * @param {number} amount - Base amount (excluding tax)
    * @param {string} category - Tax category (optional)
+   * @param {boolean} interState - Charge IGST instead of CGST + SGST
    * @returns {Object} Tax breakdown
    */
-  calculateGST(amount, category = 'default') {
-    const taxRate = this.taxRates[category] || this.defaultRate;
-
-    // Calculate GST
-    const gstAmount = Math.round(amount * taxRate * 100) / 100;
+  calculateGST(amount, category = 'default', interState = false) {
+    const taxRate = this.categories[category]?.rate ?? this.taxRates[category] ?? this.defaultRate;
+    const { cgst, sgst, igst, gstAmount } = this.splitTax(amount, taxRate, interState);
+    const percentage = taxRate * 100;
 
-    // GST is split equally between CGST and SGST (for intra-state)
-    const cgst = Math.round(gstAmount * 50) / 100; // 50% of total GST
-    const sgst = Math.round(gstAmount * 50) / 100; // 50% of total GST
+    const breakdown = interState
+      ? { 'Subtotal': amount, [`IGST (${percentage}%)`]: igst }
+      : { 'Subtotal': amount, [`CGST (${percentage / 2}%)`]: cgst, [`SGST (${percentage / 2}%)`]: sgst };
 
     return {
       subtotal: amount,
+      taxableAmount: amount,
       gstRate: taxRate,
-      gstPercentage: taxRate * 100,
+      gstPercentage: percentage,
       gstAmount,
       cgst, // Central GST
       sgst, // State GST
-      igst: 0, // Inter-state GST (not applicable for intra-state)
-      totalWithTax: amount + gstAmount,
+      igst, // Integrated GST (inter-state supply)
+      interState,
+      totalWithTax: round2(amount + gstAmount),
       breakdown: {
-        'Subtotal': amount,
-        'CGST (2.5%)': cgst,
-        'SGST (2.5%)': sgst,
-        'Total GST (5%)': gstAmount,
-        'Grand Total': amount + gstAmount
+        ...breakdown,
+        [`Total GST (${percentage}%)`]: gstAmount,
+        'Grand Total': round2(amount + gstAmount)
+      }
+    };
+  }
+
+  /**
+   * Split GST into CGST + SGST (intra-state) or IGST (inter-state)
+   */
+  splitTax(taxableValue, rate, interState = false) {
+    if (interState) {
+      const igst = round2(taxableValue * rate);
+      return { cgst: 0, sgst: 0, igst, gstAmount: igst };
+    }
+
+    const half = round2(taxableValue * rate / 2);
+    return { cgst: half, sgst: half, igst: 0, gstAmount: round2(half * 2) };
+  }
+
+  /**
+   * Calculate item-level GST for a cart. This is the single tax calculation
+   * used by ordering, order modification and invoicing.
+   * @param {Array} items - Cart items ({ id, dishName, price, quantity, itemTotal,
+   *   discount, taxCategory, hsnCode, gstRate, category })
+   * @param {Object} options
+   * @param {number} [options.deliveryFee=0] - Delivery charge (taxed at the principal supply rate)
+   * @param {string} [options.orderType='delivery'] - delivery/pickup/dine-in/catering
+   * @param {Object} [options.deliveryAddress] - Used for place of supply (state/stateCode)
+   * @param {string} [options.customerStateCode] - Customer state code or name
+   * @param {string} [options.customerGstin] - B2B customer GSTIN (its state wins)
+   * @param {string} [options.supplierStateCode] - Overrides the configured restaurant state
+   * @returns {Object} Per-line tax, per-slab totals and order totals
+   */
+  calculateCartTax(items = [], options = {}) {
+    const {
+      deliveryFee = 0,
+      orderType = 'delivery',
+      deliveryAddress = null,
+      customerStateCode = null,
+      customerGstin = null
+    } = options;
+
+    const supplierStateCode = this.resolveStateCode(options.supplierStateCode) || this.stateCode;
+    const placeOfSupply = this.getPlaceOfSupply(orderType, supplierStateCode, {
+      customerGstin,
+      customerStateCode: customerStateCode || deliveryAddress?.stateCode || deliveryAddress?.state
+    });
+    const interState = !!(supplierStateCode && placeOfSupply && supplierStateCode !== placeOfSupply);
+
+    const lines = items.map(item => {
+      const quantity = item.quantity || 1;
+      const grossAmount = round2(item.itemTotal ?? (item.price || 0) * quantity);
+      const discount = round2(Math.min(Math.max(item.discount || 0, 0), grossAmount));
+      const taxableValue = round2(grossAmount - discount);
+      const taxCategory = this.getTaxCategory(item, orderType);
+      const category = this.categories[taxCategory];
+      const gstRate = category.exempt ? 0 : this.getItemGstRate(item, taxCategory);
+
+      return {
+        itemId: item.id || null,
+        description: item.modifiers?.length
+          ? `${item.dishName} (${item.modifiers.map(modifier => modifier.name).join(', ')})`
+          : item.dishName,
+        hsnCode: item.hsnCode || category.code,
+        taxCategory,
+        quantity,
+        rate: item.price,
+        grossAmount,
+        discount,
+        taxableValue,
+        gstRate,
+        exempt: !!category.exempt,
+        ...this.splitTax(taxableValue, gstRate, interState),
+        total: 0
+      };
+    });
+    lines.forEach(line => {
+      line.total = round2(line.taxableValue + line.gstAmount);
+    });
+
+    // Delivery is part of the composite supply and follows the principal supply's rate
+    const charges = [];
+    if (deliveryFee > 0) {
+      const taxCategory = orderType === 'catering' ? 'outdoor_catering' : 'restaurant';
+      const gstRate = this.categories[taxCategory].rate;
+      const tax = this.splitTax(deliveryFee, gstRate, interState);
+      charges.push({
+        type: 'delivery',
+        description: 'Delivery charges',
+        hsnCode: this.categories[taxCategory].code,
+        taxCategory,
+        taxableValue: round2(deliveryFee),
+        gstRate,
+        exempt: false,
+        ...tax,
+        total: round2(deliveryFee + tax.gstAmount)
+      });
+    }
+
+    const all = [...lines, ...charges];
+    const sum = (list, field) => round2(list.reduce((total, entry) => total + entry[field], 0));
+
+    const slabMap = new Map();
+    all.forEach(entry => {
+      const key = entry.exempt ? 'exempt' : String(entry.gstRate);
+      if (!slabMap.has(key)) {
+        slabMap.set(key, {
+          gstRate: entry.gstRate,
+          gstPercentage: round2(entry.gstRate * 100),
+          exempt: entry.exempt,
+          taxableValue: 0,
+          cgst: 0,
+          sgst: 0,
+          igst: 0,
+          gstAmount: 0
+        });
+      }
+      const slab = slabMap.get(key);
+      ['taxableValue', 'cgst', 'sgst', 'igst', 'gstAmount'].forEach(field => {
+        slab[field] = round2(slab[field] + entry[field]);
+      });
+    });
+    const slabs = Array.from(slabMap.values()).sort((a, b) => a.gstRate - b.gstRate);
+
+    const taxable = all.filter(entry => !entry.exempt);
+    const taxableAmount = sum(taxable, 'taxableValue');
+    const gstAmount = sum(all, 'gstAmount');
+    const taxedSlabs = slabs.filter(slab => !slab.exempt);
+    const gstRate = taxedSlabs.length === 1 ? taxedSlabs[0].gstRate : null;
+
+    return {
+      lines,
+      charges,
+      slabs,
+      subtotal: sum(lines, 'grossAmount'),
+      discount: sum(lines, 'discount'),
+      deliveryFee: round2(deliveryFee),
+      taxableAmount,
+      exemptAmount: sum(all.filter(entry => entry.exempt), 'taxableValue'),
+      cgst: sum(all, 'cgst'),
+      sgst: sum(all, 'sgst'),
+      igst: sum(all, 'igst'),
+      gstAmount,
+      gstRate,
+      gstPercentage: gstRate !== null
+        ? round2(gstRate * 100)
+        : (taxableAmount > 0 ? round2(gstAmount / taxableAmount * 100) : 0),
+      interState,
+      supplierStateCode,
+      placeOfSupply,
+      orderType,
+      totalWithTax: round2(sum(all, 'taxableValue') + gstAmount)
+    };
+  }
+
+  /**
+   * Cart fields stored on orders and sessions from a calculateCartTax result
+   */
+  toCartTotals(taxResult) {
+    return {
+      subtotal: taxResult.subtotal,
+      discount: taxResult.discount,
+      tax: taxResult.gstAmount,
+      cgst: taxResult.cgst,
+      sgst: taxResult.sgst,
+      igst: taxResult.igst,
+      deliveryFee: taxResult.deliveryFee,
+      total: taxResult.totalWithTax,
+      taxBreakdown: {
+        interState: taxResult.interState,
+        supplierStateCode: taxResult.supplierStateCode,
+        placeOfSupply: taxResult.placeOfSupply,
+        slabs: taxResult.slabs
       }
     };
   }
 
+  /**
+   * Resolve an item's tax category: explicit taxCategory, alcohol menu
+   * categories, then outdoor catering or restaurant service by order type
+   */
+  getTaxCategory(item, orderType = 'delivery') {
+    if (item.taxCategory && this.categories[item.taxCategory]) {
+      return item.taxCategory;
+    }
+
+    const menuCategory = String(item.category || '').toLowerCase();
+    if (ALCOHOL_MENU_CATEGORIES.includes(menuCategory)) {
+      return 'alcohol';
+    }
+
+    return orderType === 'catering' ? 'outdoor_catering' : 'restaurant';
+  }
+
+  /**
+   * GST rate for an item as a fraction: the item's override (a slab in
+   * percent, e.g. 12), else the category rate
+   */
+  getItemGstRate(item, taxCategory) {
+    if (hasGstRate(item)) {
+      const percent = Number(item.gstRate);
+      if (GST_SLABS.includes(percent)) {
+        return percent / 100;
+      }
+      console.warn('[TaxService] Ignoring GST rate that is not a slab', { item: item.dishName || item.name, gstRate: item.gstRate });
+    }
+    return this.categories[taxCategory].rate;
+  }
+
+  /**
+   * Validate a menu item's GST fields before it is saved: a known tax
+   * category, and a rate override in percent on one of the GST slabs
+   * @param {Object} item - { taxCategory, gstRate }
+   * @returns {Object} { valid, errors }
+   */
+  validateItemTax(item = {}) {
+    const errors = [];
+    const category = item.taxCategory ? this.categories[item.taxCategory] : null;
+
+    if (item.taxCategory && !category) {
+      errors.push(`unknown tax category "${item.taxCategory}" (expected ${Object.keys(GST_CATEGORIES).join(', ')})`);
+    }
+
+    if (hasGstRate(item)) {
+      const percent = Number(item.gstRate);
+      if (!GST_SLABS.includes(percent)) {
+        errors.push(`GST rate ${item.gstRate} is not a GST slab (${GST_SLABS.join(', ')} percent)`);
+      } else if (category?.exempt && percent > 0) {
+        errors.push(`${item.taxCategory} is outside GST and cannot have a GST rate`);
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Place of supply state code. Dine-in and pickup are supplied at the
+   * restaurant; delivery and catering at the customer's location.
+   */
+  getPlaceOfSupply(orderType, supplierStateCode, { customerGstin, customerStateCode } = {}) {
+    const customerState = this.resolveStateCode(customerGstin) || this.resolveStateCode(customerStateCode);
+
+    if (orderType === 'delivery' || orderType === 'catering') {
+      return customerState || supplierStateCode;
+    }
+
+    // B2B customers registered in another state still get IGST
+    return this.resolveStateCode(customerGstin) || supplierStateCode;
+  }
+
+  /**
+   * Normalize a state code, GSTIN or state name to a two-digit GST state code
+   * @returns {string|null}
+   */
+  resolveStateCode(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const text = String(value).trim();
+
+    if (/^\d{1,2}$/.test(text)) {
+      const code = text.padStart(2, '0');
+      return STATE_CODES[code] ? code : null;
+    }
+
+    // GSTIN: first two digits are the state code
+    if (/^\d{2}[A-Z0-9]{13}$/i.test(text)) {
+      return STATE_CODES[text.slice(0, 2)] ? text.slice(0, 2) : null;
+    }
+
+    const name = text.toLowerCase();
+    if (STATE_NAME_ALIASES[name]) {
+      return STATE_NAME_ALIASES[name];
+    }
+
+    const match = Object.entries(STATE_CODES).find(([, stateName]) => stateName.toLowerCase() === name);
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Validate a GSTIN: format, state code and the mod-36 check digit
+   * @param {string} gstin - 15 character GSTIN
+   * @returns {boolean}
+   */
+  isValidGSTIN(gstin) {
+    if (typeof gstin !== 'string') {
+      return false;
+    }
+
+    const value = gstin.trim().toUpperCase();
+    if (!GSTIN_PATTERN.test(value) || !STATE_CODES[value.slice(0, 2)]) {
+      return false;
+    }
+
+    let sum = 0;
+    for (let i = 0; i < 14; i++) {
+      const product = GSTIN_CHARSET.indexOf(value[i]) * (i % 2 === 0 ? 1 : 2);
+      sum += Math.floor(product / 36) + (product % 36);
+    }
+
+    return GSTIN_CHARSET[(36 - (sum % 36)) % 36] === value[14];
+  }
+
   /**
    * Calculate tax on order with delivery
+   * Kept for callers that only have a subtotal; item-level carts should use calculateCartTax.
    * @param {number} subtotal - Cart subtotal
    * @param {number} deliveryFee - Delivery charges
    * @param {string} orderType - Order type (delivery/pickup/dine-in)
    * @returns {Object} Complete tax calculation
    */
   calculateOrderTax(subtotal, deliveryFee = 0, orderType = 'delivery') {
-    // Determine tax category based on order type
-    const category = orderType === 'dine-in' ? 'restaurant_ac' : 'delivery';
-
-    // Calculate GST on subtotal + delivery fee (both are taxable)
-    const taxableAmount = subtotal + deliveryFee;
-    const taxCalculation = this.calculateGST(taxableAmount, category);
+    const taxCalculation = this.calculateCartTax(
+      [{ dishName: 'Items', price: subtotal, quantity: 1 }],
+      { deliveryFee, orderType }
+    );
 
     return {
       ...taxCalculation,
@@ -84,10 +476,11 @@ export class TaxService {
       details: {
         itemsSubtotal: subtotal,
         deliveryFee: deliveryFee,
-        taxableAmount: taxableAmount,
+        taxableAmount: taxCalculation.taxableAmount,
         gstAmount: taxCalculation.gstAmount,
         cgst: taxCalculation.cgst,
         sgst: taxCalculation.sgst,
+        igst: taxCalculation.igst,
         grandTotal: taxCalculation.totalWithTax
       }
     };
@@ -96,9 +489,10 @@ export class TaxService {
   /**
    * Generate GST invoice/bill details
    * @param {Object} order - Order details
+   * @param {Object} [seller] - Restaurant details ({ name, gstin, address, phone, email, stateCode })
    * @returns {Object} Invoice data
    */
-  generateInvoice(order) {
+  generateInvoice(order, seller = null) {
     const {
       orderId,
       customer,
@@ -108,12 +502,14 @@ export class TaxService {
       createdAt
     } = order;
 
-    // Calculate tax
-    const taxCalc = this.calculateOrderTax(
-      cart.subtotal || 0,
-      cart.deliveryFee || 0,
-      orderType
-    );
+    // Calculate item-level tax
+    const taxCalc = this.calculateCartTax(cart.items, {
+      deliveryFee: cart.deliveryFee || 0,
+      orderType,
+      deliveryAddress,
+      customerGstin: order.customerGstin || customer.gstin,
+      supplierStateCode: seller?.stateCode || seller?.gstin
+    });
 
     // Generate invoice
     const invoice = {
@@ -125,45 +521,68 @@ export class TaxService {
         name: customer.name,
         phone: customer.phone,
         email: customer.email || '',
-        address: deliveryAddress?.formatted || 'N/A'
+        address: deliveryAddress?.formatted || 'N/A',
+        gstin: order.customerGstin || customer.gstin || null
       },
 
       // Restaurant details (GSTIN required for actual business)
       billFrom: {
-        name: 'The Coorg Food Company',
-        gstin: 'GSTIN_TO_BE_ADDED', // Replace with actual GSTIN
-        address: 'Restaurant Address',
-        phone: 'Restaurant Phone',
-        email: 'restaurant@example.com'
+        name: seller?.name || 'The Coorg Food Company',
+        gstin: seller?.gstin || 'GSTIN_TO_BE_ADDED', // Set gstin on the restaurant profile
+        address: seller?.address || 'Restaurant Address',
+        phone: seller?.phone || 'Restaurant Phone',
+        email: seller?.email || 'restaurant@example.com'
       },
 
       // Order items
-      items: cart.items.map(item => ({
-        description: item.dishName,
-        quantity: item.quantity,
-        rate: item.price,
-        amount: item.price * item.quantity,
-        taxRate: taxCalc.gstPercentage
+      items: taxCalc.lines.map(line => ({
+        description: line.description,
+        hsnCode: line.hsnCode,
+        quantity: line.quantity,
+        rate: line.rate,
+        amount: line.grossAmount,
+        discount: line.discount,
+        taxableValue: line.taxableValue,
+        taxRate: line.exempt ? 'Exempt' : line.gstRate * 100,
+        cgst: line.cgst,
+        sgst: line.sgst,
+        igst: line.igst
       })),
 
+      // Combos, promotions and loyalty points behind the discount
+      discounts: [
+        ...(cart.combos || []).map(combo => ({ description: `Combo: ${combo.name}`, amount: combo.savings })),
+        ...(cart.promotions || []).map(promotion => ({
+          description: promotion.code ? `Coupon ${promotion.code}` : promotion.name,
+          amount: promotion.discount
+        })),
+        ...(cart.loyalty?.applied ? [{
+          description: `Loyalty points (${cart.loyalty.points})`,
+          amount: cart.loyalty.amount
+        }] : [])
+      ],
+
       // Charges breakdown
       charges: {
-        subtotal: cart.subtotal,
-        deliveryFee: cart.deliveryFee || 0,
+        subtotal: taxCalc.subtotal,
+        discount: taxCalc.discount,
+        deliveryFee: taxCalc.deliveryFee,
         taxableAmount: taxCalc.taxableAmount,
+        exemptAmount: taxCalc.exemptAmount,
         cgst: taxCalc.cgst,
         sgst: taxCalc.sgst,
+        igst: taxCalc.igst,
         totalGst: taxCalc.gstAmount,
         grandTotal: taxCalc.totalWithTax
       },
 
-      // Tax details
+      // Tax details (one entry per GST slab)
       taxDetails: {
-        gstRate: `${taxCalc.gstPercentage}%`,
-        cgstRate: `${taxCalc.gstPercentage / 2}%`,
-        sgstRate: `${taxCalc.gstPercentage / 2}%`,
-        cgstAmount: taxCalc.cgst,
-        sgstAmount: taxCalc.sgst,
+        interState: taxCalc.interState,
+        placeOfSupply: taxCalc.placeOfSupply
+          ? `${taxCalc.placeOfSupply}-${STATE_CODES[taxCalc.placeOfSupply]}`
+          : null,
+        slabs: taxCalc.slabs,
         totalGstAmount: taxCalc.gstAmount
       },
 
@@ -178,8 +597,8 @@ export class TaxService {
       summary: {
         totalItems: cart.items.length,
         totalQuantity: cart.items.reduce((sum, item) => sum + item.quantity, 0),
-        subtotal: cart.subtotal,
-        deliveryCharges: cart.deliveryFee || 0,
+        subtotal: taxCalc.subtotal,
+        deliveryCharges: taxCalc.deliveryFee,
         gst: taxCalc.gstAmount,
         grandTotal: taxCalc.totalWithTax
       }
@@ -206,6 +625,9 @@ export class TaxService {
     text += '───────────────────────────────────────────────\n';
     text += `Invoice: ${invoice.invoiceNumber}\n`;
     text += `Date: ${new Date(invoice.invoiceDate).toLocaleString('en-IN')}\n`;
+    if (taxDetails.placeOfSupply) {
+      text += `Place of Supply: ${taxDetails.placeOfSupply}\n`;
+    }
     text += '───────────────────────────────────────────────\n';
     text += 'BILL TO:\n';
     text += `${billTo.name}\n`;
@@ -218,21 +640,39 @@ export class TaxService {
     text += '───────────────────────────────────────────────\n';
 
     items.forEach((item, index) => {
-      text += `${index + 1}. ${item.description}\n`;
+      text += `${index + 1}. ${item.description}${item.hsnCode ? ` (HSN/SAC ${item.hsnCode})` : ''}\n`;
       text += `   ${item.quantity} x ₹${item.rate} = ₹${item.amount.toFixed(2)}\n`;
+      if (item.discount > 0) {
+        text += `   Discount: -₹${item.discount.toFixed(2)}\n`;
+      }
     });
 
     text += '═══════════════════════════════════════════════\n';
     text += `Subtotal:                        ₹${charges.subtotal.toFixed(2)}\n`;
 
+    (invoice.discounts || []).forEach(discount => {
+      text += `${`${discount.description}:`.padEnd(33)}-₹${discount.amount.toFixed(2)}\n`;
+    });
+    if (charges.discount > 0 && !invoice.discounts?.length) {
+      text += `Discount:                       -₹${charges.discount.toFixed(2)}\n`;
+    }
+
     if (charges.deliveryFee > 0) {
       text += `Delivery Charges:                ₹${charges.deliveryFee.toFixed(2)}\n`;
     }
 
-    text += `CGST (${taxDetails.cgstRate}):                      ₹${charges.cgst.toFixed(2)}\n`;
-    text += `SGST (${taxDetails.sgstRate}):                      ₹${charges.sgst.toFixed(2)}\n`;
+    taxDetails.slabs.forEach(slab => {
+      if (slab.exempt) {
+        text += `Exempt / non-GST supply:         ₹${slab.taxableValue.toFixed(2)}\n`;
+      } else if (taxDetails.interState) {
+        text += `IGST (${slab.gstPercentage}%):                      ₹${slab.igst.toFixed(2)}\n`;
+      } else {
+        text += `CGST (${slab.gstPercentage / 2}%):                      ₹${slab.cgst.toFixed(2)}\n`;
+        text += `SGST (${slab.gstPercentage / 2}%):                      ₹${slab.sgst.toFixed(2)}\n`;
+      }
+    });
     text += '───────────────────────────────────────────────\n';
-    text += `Total GST (${taxDetails.gstRate}):                 ₹${charges.totalGst.toFixed(2)}\n`;
+    text += `Total GST:                       ₹${charges.totalGst.toFixed(2)}\n`;
     text += '═══════════════════════════════════════════════\n';
     text += `GRAND TOTAL:                     ₹${charges.grandTotal.toFixed(2)}\n`;
     text += '═══════════════════════════════════════════════\n';
@@ -255,6 +695,8 @@ export class TaxService {
   getGSTInfo() {
     return {
       rates: this.taxRates,
+      categories: this.categories,
+      stateCode: this.stateCode,
       currentRate: this.defaultRate,
       currentPercentage: this.defaultRate * 100,
       description: 'GST rates for restaurant services in India',
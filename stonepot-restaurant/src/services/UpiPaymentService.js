@@ -0,0 +1,269 @@
+/**
+ * UPI Payment Service
+ * UPI-first collection for online orders: a single-use Razorpay UPI QR for
+ * the exact order amount goes on the customer display, and its UPI string
+ * doubles as an intent link that opens the customer's UPI app. Orders with
+ * an open QR are watched until Razorpay reports the payment (by webhook or
+ * by polling the QR), the QR expires, or the order is cancelled. Payments
+ * settle through the payment state machine, so the 'payment_confirmed'
+ * order event fires whichever way the payment is noticed first.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+export class UpiPaymentService {
+  constructor(firebaseService, orderManagementService, paymentService, paymentReconciliationService, config = {}) {
+    this.firebaseService = firebaseService;
+    this.orderManagementService = orderManagementService;
+    this.paymentService = paymentService;
+    // Settles the order's payment state
+    this.paymentReconciliationService = paymentReconciliationService;
+
+    this.expiresInMinutes = config.expiresInMinutes || 15; // Razorpay closes the QR after this
+    this.pollInterval = config.pollInterval || 5; // Seconds between checks on open QRs
+    // Orders with an open QR, by order ID: { tenantId, upi, failedPaymentIds }
+    this.watching = new Map();
+    this.pollTimer = null;
+    this.processing = false;
+  }
+
+  // ==================== COLLECTION ====================
+
+  /**
+   * Create a UPI QR / intent link for an order waiting on payment, or return
+   * the open one if it is still for the right amount
+   * @param {Object} order - Saved order
+   * @returns {Promise<Object>} upi: { qrId, imageUrl, intentUrl, amount, status, createdAt, expiresAt }
+   */
+  async createUpiCollection(order, now = new Date()) {
+    try {
+      if (order.paymentStatus === 'paid') {
+        throw new Error('Order is already paid');
+      }
+      if (!['pending_payment', 'payment_failed'].includes(order.status)) {
+        throw new Error('Order is not waiting on payment');
+      }
+      // Group orders are paid share by share; a QR for the full amount would charge twice
+      if (order.splitPayment) {
+        throw new Error('Order is paid in shares');
+      }
+
+      const amount = order.cart.total;
+      if (order.upi?.status === 'active') {
+        // A QR about to close is not worth scanning; replace it
+        const usable = new Date(order.upi.expiresAt).getTime() - now.getTime() > MINUTE_MS;
+        if (usable && order.upi.amount === amount) {
+          this.watch(order.orderId, order.tenantId, order.upi);
+          return order.upi;
+        }
+        await this.closeQr(order.upi.qrId);
+      }
+
+      const qrCode = await this.paymentService.createUpiQr({
+        amount,
+        orderId: order.orderId,
+        customer: order.customer,
+        expiresInMinutes: this.expiresInMinutes
+      });
+
+      const upi = {
+        qrId: qrCode.id,
+        imageUrl: qrCode.imageUrl,
+        intentUrl: qrCode.intentUrl,
+        amount: qrCode.amount,
+        status: 'active',
+        createdAt: now.toISOString(),
+        expiresAt: new Date(qrCode.closeBy * 1000).toISOString()
+      };
+
+      await this.orderManagementService.updateOrderStatus(order.orderId, order.tenantId, { upi }, 'upi_payment_requested');
+      this.watch(order.orderId, order.tenantId, upi);
+
+      console.log('[UpiPayment] UPI collection created', {
+        orderId: order.orderId,
+        qrId: upi.qrId,
+        amount,
+        expiresAt: upi.expiresAt
+      });
+
+      return upi;
+    } catch (error) {
+      console.error('[UpiPayment] Failed to create UPI collection:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * UPI collection state for an order
+   * @returns {Promise<Object>} { orderId, status, paymentStatus, upi }
+   */
+  async getUpiCollection(orderId) {
+    const order = await this.firebaseService.getDocument('orders', orderId);
+    if (!order) {
+      throw new Error('Order not found');
+    }
+    if (!order.upi) {
+      throw new Error('Order has no UPI payment');
+    }
+
+    return {
+      orderId,
+      status: order.status,
+      paymentStatus: order.paymentStatus || 'pending',
+      upi: order.upi
+    };
+  }
+
+  // ==================== WATCHING ====================
+
+  watch(orderId, tenantId, upi) {
+    const entry = this.watching.get(orderId);
+    this.watching.set(orderId, {
+      tenantId,
+      upi,
+      failedPaymentIds: entry?.upi.qrId === upi.qrId ? entry.failedPaymentIds : new Set()
+    });
+  }
+
+  /**
+   * Order event listener: stop watching orders paid some other way (webhook,
+   * checkout) and close the QR of orders cancelled before they were paid
+   */
+  handleOrderEvent(tenantId, order) {
+    const entry = this.watching.get(order.orderId);
+    if (!entry) {
+      return;
+    }
+
+    if (order.paymentStatus === 'paid') {
+      this.watching.delete(order.orderId);
+      this.markUpi(order.orderId, entry.upi, 'paid')
+        .catch(error => console.error('[UpiPayment] Failed to mark UPI payment paid:', error));
+    } else if (order.status === 'cancelled') {
+      this.watching.delete(order.orderId);
+      this.closeQr(entry.upi.qrId)
+        .then(() => this.markUpi(order.orderId, entry.upi, 'closed'))
+        .catch(error => console.error('[UpiPayment] Failed to close UPI payment:', error));
+    }
+  }
+
+  start() {
+    if (this.pollTimer) {
+      return;
+    }
+
+    this.pollTimer = setInterval(() => this.processUpiPayments(), this.pollInterval * 1000);
+    this.pollTimer.unref?.();
+
+    // QRs left open when the server last stopped
+    this.loadOpenCollections()
+      .catch(error => console.error('[UpiPayment] Failed to load open UPI payments:', error));
+
+    console.log('[UpiPayment] UPI payment checks started', { pollInterval: this.pollInterval });
+  }
+
+  stop() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  async loadOpenCollections() {
+    const orders = await this.firebaseService.queryDocuments('orders', { 'upi.status': 'active' });
+    for (const order of orders) {
+      this.watch(order.orderId, order.tenantId, order.upi);
+    }
+    return orders.length;
+  }
+
+  /**
+   * Ask Razorpay about every open QR: settle the ones that were paid and
+   * close the ones that ran out of time
+   * @returns {Promise<Array>} Per-order results { orderId, action }
+   */
+  async processUpiPayments(now = new Date()) {
+    if (this.processing) {
+      return [];
+    }
+    this.processing = true;
+
+    try {
+      const results = [];
+      for (const [orderId, entry] of this.watching) {
+        try {
+          results.push({ orderId, action: await this.checkUpiPayment(orderId, entry, now) });
+        } catch (error) {
+          console.error('[UpiPayment] Failed to check UPI payment:', orderId, error);
+          results.push({ orderId, action: 'error' });
+        }
+      }
+
+      return results;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async checkUpiPayment(orderId, entry, now) {
+    const payments = await this.paymentService.getUpiQrPayments(entry.upi.qrId);
+
+    const captured = payments.find(payment => payment.status === 'captured');
+    if (captured) {
+      this.watching.delete(orderId);
+      await this.paymentReconciliationService.applyPaymentResult(orderId, {
+        paymentStatus: 'paid',
+        razorpayPaymentId: captured.id,
+        paymentDetails: captured,
+        source: 'upi'
+      });
+      await this.markUpi(orderId, entry.upi, 'paid');
+      return 'paid';
+    }
+
+    // The QR stays open after a failed attempt so the customer can try again
+    const failed = payments.filter(payment => payment.status === 'failed' && !entry.failedPaymentIds.has(payment.id));
+    for (const payment of failed) {
+      entry.failedPaymentIds.add(payment.id);
+      await this.paymentReconciliationService.applyPaymentResult(orderId, {
+        paymentStatus: 'failed',
+        razorpayPaymentId: payment.id,
+        error: { code: payment.errorCode, description: payment.errorDescription },
+        source: 'upi'
+      });
+    }
+
+    if (now.getTime() >= new Date(entry.upi.expiresAt).getTime()) {
+      this.watching.delete(orderId);
+      await this.closeQr(entry.upi.qrId);
+      await this.orderManagementService.updateOrderStatus(orderId, entry.tenantId, {
+        upi: { ...entry.upi, status: 'expired', expiredAt: now.toISOString() }
+      }, 'upi_payment_expired');
+
+      console.log('[UpiPayment] UPI payment expired', { orderId, qrId: entry.upi.qrId });
+      return 'expired';
+    }
+
+    return failed.length > 0 ? 'failed' : 'waiting';
+  }
+
+  /**
+   * Record how the QR ended; the order event for it was already broadcast
+   */
+  async markUpi(orderId, upi, status) {
+    await this.firebaseService.updateDocument('orders', orderId, {
+      upi: { ...upi, status, [`${status}At`]: new Date().toISOString() }
+    });
+  }
+
+  /**
+   * Razorpay refuses to close a QR that is already closed (paid or expired)
+   */
+  async closeQr(qrId) {
+    try {
+      await this.paymentService.closeUpiQr(qrId);
+    } catch (error) {
+      console.warn('[UpiPayment] Could not close UPI QR:', qrId, error.message);
+    }
+  }
+}
+
+export default UpiPaymentService;
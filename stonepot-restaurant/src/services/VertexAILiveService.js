@@ -15,6 +15,7 @@ import { DeliveryService } from './DeliveryService.js';
 import { PaymentService } from './PaymentService.js';
 import { MockPaymentService } from './MockPaymentService.js';
 import { TaxService } from './TaxService.js';
+import { ModifierService } from './ModifierService.js';
 import { FileSearchService } from './FileSearchService.ts';
 
 export class VertexAILiveService {
@@ -50,7 +51,7 @@ export class VertexAILiveService {
     // Initialize Payment Service (Mock or Real based on config)
     if (config.razorpay.useMock) {
       console.log('[VertexAILive] Using MOCK Payment Service for testing');
-      this.paymentService = new MockPaymentService();
+      this.paymentService = new MockPaymentService(config.razorpay);
     } else {
       console.log('[VertexAILive] Using Real Razorpay Payment Service');
       this.paymentService = new PaymentService(config);
@@ -58,6 +59,18 @@ export class VertexAILiveService {
 
     // Initialize Tax Service
     this.taxService = new TaxService(config.tax);
+    this.modifierService = new ModifierService();
+
+    // Order Management Service (injected by routes - shared with restaurant dashboards)
+    this.orderManagementService = null;
+    this.etaService = null;
+    this.availabilityService = null;
+    this.pricingService = null;
+    this.schedulingService = null;
+    this.operatingHoursService = null;
+    this.tableService = null;
+    this.splitPaymentService = null;
+    this.upiPaymentService = null;
   }
 
   async initialize() {
@@ -205,6 +218,10 @@ export class VertexAILiveService {
 
           // Store order history for returning customers
           customerOrderHistory: customerContext?.orderHistory || [],
+          customerLoyalty: customerContext?.loyalty || null,
+
+          // Dine-in table the session was started from (QR code), if any
+          table: sessionConfig.table || null,
 
           cart: {
             items: [],
@@ -214,6 +231,7 @@ export class VertexAILiveService {
             lastUpdated: null
           },
           dishCardCache: new Map(),  // Track shown dishes
+          comboCache: new Map(),  // Combos shown on the display, by name
           pendingConfirmations: new Set()  // Track awaiting confirmation
         },
 
@@ -352,6 +370,16 @@ export class VertexAILiveService {
       facts.push(`- OFFER TO REORDER their favorite dishes`);
     }
 
+    // Loyalty balance for returning customers
+    const loyalty = session.orderState?.customerLoyalty;
+    if (loyalty?.enabled && loyalty.balance > 0) {
+      facts.push(`\n**LOYALTY POINTS:**`);
+      facts.push(`- Balance: ${loyalty.balance} points (worth ₹${loyalty.value})${loyalty.tier ? ` - ${loyalty.tier.name} member` : ''}`);
+      if (loyalty.expiringSoon) {
+        facts.push(`- ${loyalty.expiringSoon.points} points expire on ${new Date(loyalty.expiringSoon.expiresAt).toLocaleDateString()}`);
+      }
+    }
+
     // Current cart
     if (cart && cart.items && cart.items.length > 0) {
       facts.push(`\n**CURRENT CART:**`);
@@ -388,6 +416,9 @@ export class VertexAILiveService {
     // Build menu context - prioritize File Search results over static menu
     let menuContext = '';
 
+    // Dishes that can't be ordered right now (86'd, sold out, outside their daypart)
+    const unavailableItems = (sessionConfig.menuItems || []).filter(item => item.availability?.available === false);
+
     if (sessionConfig.menuContext) {
       // Use File Search pre-loaded menu context (already formatted)
       console.log('[VertexAILive] Using File Search menu context');
@@ -399,7 +430,7 @@ export class VertexAILiveService {
 
       // Group by category for better organization
       const byCategory = {};
-      sessionConfig.menuItems.forEach(item => {
+      sessionConfig.menuItems.filter(item => item.availability?.available !== false).forEach(item => {
         const cat = item.category || item.dishType || 'Other';
         if (!byCategory[cat]) byCategory[cat] = [];
         byCategory[cat].push(item);
@@ -423,6 +454,33 @@ export class VertexAILiveService {
       console.warn('[VertexAILive] No menu context available - neither File Search nor static menu provided');
     }
 
+    if (menuContext && unavailableItems.length > 0) {
+      menuContext += '\n\n**NOT AVAILABLE RIGHT NOW (do not offer these; if asked, say so and suggest something else):**\n';
+      menuContext += unavailableItems.map(item => `- ${item.availability.message}`).join('\n');
+    }
+
+    // Opening hours, holidays, busy mode and the order cap, as of session start
+    let hoursContext = '';
+    const storeStatus = sessionConfig.storeStatus;
+    if (storeStatus && !storeStatus.open) {
+      hoursContext = `\n\n**NOT TAKING ORDERS FOR NOW:** ${storeStatus.message}.
+- Tell the customer this warmly at the start, in your own words
+- You can still answer questions about the menu
+- Only take an order if they want it for later: call get_available_slots and pass the chosen time as scheduledFor`;
+    } else if (storeStatus?.closesAt && this.operatingHoursService) {
+      hoursContext = `\n\n**OPENING HOURS:** We're open until ${this.operatingHoursService.timeFormatter.format(new Date(storeStatus.closesAt))}. If the customer is still browsing close to that time, let them know gently.`;
+    }
+
+    // Sessions started from a table's QR code order rounds onto the table's tab
+    let tableContext = '';
+    const table = sessionConfig.table;
+    if (table) {
+      tableContext = `\n\n**DINE-IN AT TABLE ${table.name}${table.areaName ? ` (${table.areaName})` : ''}:**
+- The customer is seated in the restaurant. Everything they order is dine-in and goes on the table's running tab: don't ask about delivery, pickup, addresses or payment
+- Call finalize_order with orderType dine-in whenever they're ready for a round; it goes straight to the kitchen, and they can keep ordering more rounds
+- When they ask what they've ordered so far or what the total is, call get_table_tab; when they want to pay, call it with requestBill=true and tell them staff will bring the bill`;
+    }
+
     const basePrompts = {
       en: `You are a warm, friendly ordering assistant for The Coorg Food Company (CFC), specializing in authentic Coorg cuisine.
 
@@ -457,6 +515,25 @@ export class VertexAILiveService {
 - If customer asks "what's in my order?" or wants to review, call show_cart_summary to display it visually
 - After removing an item, ask if they want to add anything else
 
+**Combos & Meal Deals:**
+- When the customer asks about combos, meals or deals, call show_combos and offer what fits
+- To add a combo, call add_combo_to_cart with the combo name and the dishes they picked for each choice; if it returns needsSelections, ask for the missing choices and call again
+- Combo prices are applied automatically when the cart qualifies, so never quote a discount yourself - use the savings the functions return
+
+**Offers & Coupons:**
+- When the customer gives a coupon code, call apply_coupon; if it doesn't apply, tell them the reason it returns
+- Automatic offers (happy hour, first order, group orders, buy-one-get-one) show up in the cart on their own - mention them when they do
+
+**Loyalty Points:**
+- Returning customers earn points on every delivered order. When they ask about points, rewards or their balance, call get_loyalty_balance
+- Mention the balance when greeting a returning customer who has points, especially points that expire soon
+- When the customer wants to use their points, call redeem_loyalty_points (leave out points to use as many as allowed); call it with remove=true if they change their mind
+
+**Ordering for Later:**
+- If the customer wants the food at a later time (tonight, tomorrow, for a party on the weekend), call get_available_slots with the day they mention and offer a few of the free times
+- Pass the chosen slot's time as scheduledFor when calling finalize_order; never make up a time that get_available_slots didn't return
+- If the slot is no longer free, finalize_order returns alternatives - offer those
+
 **Collaborative Ordering & Circles:**
 - When customer wants to create a family/friends group, call create_circle with circleName and circleType ('family' or 'friends')
   Example: "Create a family circle called Sharma Family" → call create_circle with circleName="Sharma Family", circleType="family"
@@ -465,6 +542,7 @@ export class VertexAILiveService {
   Example: "Start a group order with Sharma Family" → call start_collaborative_order with circleName="Sharma Family"
 - During collaborative orders, all add_item calls automatically sync to all participants in real-time
 - When ready to finalize, call finalize_collaborative_order to complete the group order
+- A group order paid online is split: everyone pays their own share (as split in the group room), and the order goes to the kitchen once all shares are paid
 
 **Collecting Customer Information:**
 - When collecting phone numbers, ask the customer to say each digit clearly
@@ -481,6 +559,7 @@ export class VertexAILiveService {
   * Greet returning customers warmly: "Welcome back! I see you enjoyed our [dish] last time"
   * Make personalized recommendations based on their previous orders
   * Offer to reorder their favorite dishes: "Would you like to order the [dish] again?"
+  * When they ask for "the same as last time" or "my usual", call repeat_order (which='last' or 'usual'), read out the preview with any sold-out items and price changes, and call repeat_order with confirm=true only after they say yes
   * Build a rapport by remembering their preferences
 - If it's a new customer (no order history), focus on helping them discover the menu
 - ALWAYS use the order history context provided by capture_customer_info to personalize the experience
@@ -512,8 +591,9 @@ export class VertexAILiveService {
    - Review the complete order with customer (items, delivery details, total)
    - Call finalize_order with orderType, paymentMethod, and any special instructions
    - For online payment:
-     * System will create Razorpay order
-     * Display will show payment interface for customer to complete
+     * System will create Razorpay order and a UPI QR for the exact amount
+     * Display will show the UPI QR (and a button that opens their UPI app), with card/wallet checkout as a fallback
+     * Don't ask the customer to confirm they paid: you'll get a [Payment update] note the moment the payment comes through
      * Confirm once payment is successful
    - For cash payment:
      * Order is confirmed immediately
@@ -522,6 +602,7 @@ export class VertexAILiveService {
 **Handling Order Flow Issues:**
 - If customer wants delivery but address cannot be verified, offer pickup/dine-in
 - If payment fails, offer to retry or switch to cash payment
+- If the customer asks about cancelling or refunds, call get_cancellation_policy and quote it (with what they'd get back for their order right now); the restaurant's staff make the cancellation itself
 - Always provide order confirmation with order ID and estimated time
 - If customer seems confused about next steps, guide them gently
 
@@ -532,7 +613,7 @@ When dietary restrictions or allergies come up, remind customers to inform our k
 - Speak numbers and prices naturally: "three ninety-nine rupees" not "₹399"
 - Keep responses concise and conversational
 - Match their energy and pace
-${menuContext}
+${hoursContext}${tableContext}${menuContext}
 
 ${configInstructions}`,
 
@@ -551,7 +632,7 @@ ${configInstructions}`,
 - आवश्यकतानुसार स्पष्टीकरण प्रश्न पूछें
 - महत्वपूर्ण: आहार प्रतिबंध या एलर्जी पर चर्चा करते समय, ग्राहकों को सुरक्षित भोजन तैयारी के लिए स्टाफ को सूचित करने की याद दिलाएं
 - संख्याओं और कीमतों का शब्दों में अनुवाद करें
-${menuContext}
+${hoursContext}${tableContext}${menuContext}
 
 ${configInstructions}`,
 
@@ -570,7 +651,7 @@ ${configInstructions}`,
 - தேவைப்பட்டால் தெளிவுபடுத்தும் கேள்விகளைக் கேளுங்கள்
 - முக்கியமானது: உணவு கட்டுப்பாடுகள் அல்லது ஒவ்வாமைகள் பற்றி விவாதிக்கும் போது, பாதுகாப்பான உணவு தயாரிப்புக்காக ஊழியர்களுக்கு தெரிவிக்குமாறு வாடிக்கையாளர்களுக்கு நினைவூட்டவும்
 - எண்கள் மற்றும் விலைகளை சொற்களில் மொழிபெயர்க்கவும்
-${menuContext}
+${hoursContext}${tableContext}${menuContext}
 
 ${configInstructions}`,
 
@@ -589,7 +670,7 @@ ${configInstructions}`,
 - అవసరమైతే స్పష్టీకరణ ప్రశ్నలను అడగండి
 - క్లిష్టమైనది: ఆహార పరిమితులు లేదా అలర్జీల గురించి చర్చించేటప్పుడు, సురక్షితమైన ఆహార తయారీ కోసం సిబ్బందికి తెలియజేయమని కస్టమర్లకు గుర్తు చేయండి
 - సంఖ్యలు మరియు ధరలను పదాలలో అనువదించండి
-${menuContext}
+${hoursContext}${tableContext}${menuContext}
 
 ${configInstructions}`,
 
@@ -608,7 +689,7 @@ ${configInstructions}`,
 - প্রয়োজনে স্পষ্টীকরণ প্রশ্ন জিজ্ঞাসা করুন
 - সমালোচনামূলক: খাদ্য বিধিনিষেধ বা অ্যালার্জি নিয়ে আলোচনা করার সময়, নিরাপদ খাদ্য প্রস্তুতির জন্য কর্মীদের জানাতে গ্রাহকদের মনে করিয়ে দিন
 - সংখ্যা এবং মূল্য শব্দে অনুবাদ করুন
-${menuContext}
+${hoursContext}${tableContext}${menuContext}
 
 ${configInstructions}`,
     };
@@ -657,10 +738,29 @@ ${configInstructions}`,
         }
       },
 
+      {
+        name: 'repeat_order',
+        description: 'Rebuild a returning customer\'s previous order at today\'s menu prices and show it on the display. The first call only previews it: read it out, including anything unavailable or re-priced, and call again with confirm=true once the customer says yes to add it to the cart.',
+        parameters: {
+          type: 'object',
+          properties: {
+            which: {
+              type: 'string',
+              enum: ['last', 'usual'],
+              description: 'last = their most recent order; usual = the order they place most often ("my usual")'
+            },
+            confirm: {
+              type: 'boolean',
+              description: 'Add the previewed order to the cart (only after the customer agrees)'
+            }
+          }
+        }
+      },
+
       // Dish Display
       {
         name: 'show_dish_details',
-        description: 'Search menu and display dish card with image and "Add to Cart" button when customer mentions a dish',
+        description: 'Search menu and display dish card with image and "Add to Cart" button when customer mentions a dish. If the result has needsClarification, ask the customer which of the candidates they meant.',
         parameters: {
           type: 'object',
           properties: {
@@ -676,7 +776,7 @@ ${configInstructions}`,
       // Cart Operations
       {
         name: 'add_to_cart_verbal',
-        description: 'Add item to cart when customer verbally confirms after seeing dish card',
+        description: 'Add item to cart when customer verbally confirms after seeing dish card. If the result has needsClarification, nothing was added: ask which of the candidates they meant and call again with that name. If it has needsModifiers, ask for the missing choices and call again with them.',
         parameters: {
           type: 'object',
           properties: {
@@ -688,10 +788,15 @@ ${configInstructions}`,
               type: 'number',
               description: 'Quantity to add (default 1)'
             },
+            modifiers: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Options chosen from the dish\'s modifier groups, e.g. ["Full", "Extra egg"]. Priced by the server.'
+            },
             customizations: {
               type: 'array',
               items: { type: 'string' },
-              description: 'Special requests or modifications'
+              description: 'Free-text kitchen requests that are not menu options (e.g. "less spicy")'
             }
           },
           required: ['dishName', 'quantity']
@@ -700,7 +805,7 @@ ${configInstructions}`,
 
       {
         name: 'update_cart_item',
-        description: 'Immediately modify quantity or remove item from cart when customer requests it. Execute the action directly without asking for confirmation.',
+        description: 'Immediately modify quantity, change options or remove item from cart when customer requests it. Execute the action directly without asking for confirmation.',
         parameters: {
           type: 'object',
           properties: {
@@ -710,18 +815,114 @@ ${configInstructions}`,
             },
             action: {
               type: 'string',
-              enum: ['increase', 'decrease', 'remove'],
-              description: 'Action to perform: increase (add 1), decrease (subtract 1), remove (delete completely)'
+              enum: ['increase', 'decrease', 'remove', 'set_modifiers'],
+              description: 'Action to perform: increase (add 1), decrease (subtract 1), remove (delete completely), set_modifiers (replace the item\'s options with modifiers)'
             },
             newQuantity: {
               type: 'number',
               description: 'New quantity (for direct quantity update)'
+            },
+            modifiers: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'All options the item should have, for set_modifiers (e.g. ["Full"])'
             }
           },
           required: ['itemId', 'action']
         }
       },
 
+      {
+        name: 'show_combos',
+        description: 'List the restaurant\'s combos and meal deals with their price and the choices in each, and show them on the display. Use when the customer asks about combos, meals or deals.',
+        parameters: {
+          type: 'object',
+          properties: {}
+        }
+      },
+
+      {
+        name: 'add_combo_to_cart',
+        description: 'Add a combo or meal deal to the cart by name. The cart is charged the bundle price automatically. If the result has needsSelections, nothing was added: ask the customer for the missing choices and call again with them. If it has needsModifiers, ask for the missing options.',
+        parameters: {
+          type: 'object',
+          properties: {
+            comboName: {
+              type: 'string',
+              description: 'Name of the combo the customer wants'
+            },
+            quantity: {
+              type: 'number',
+              description: 'Number of combos (default 1)'
+            },
+            selections: {
+              type: 'array',
+              description: 'Dishes the customer picked for the combo\'s choices. Not needed for fixed combos.',
+              items: {
+                type: 'object',
+                properties: {
+                  group: { type: 'string', description: 'Choice the dish is for (e.g. "Main"), if known' },
+                  dishName: { type: 'string', description: 'Dish the customer picked' },
+                  modifiers: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Options for that dish, e.g. ["Half"]'
+                  }
+                },
+                required: ['dishName']
+              }
+            }
+          },
+          required: ['comboName']
+        }
+      },
+
+      {
+        name: 'apply_coupon',
+        description: 'Apply a coupon code the customer gives and show the discount in the cart. If it does not apply, tell the customer why. Call with remove=true to take the coupon off.',
+        parameters: {
+          type: 'object',
+          properties: {
+            couponCode: {
+              type: 'string',
+              description: 'Coupon code, spelled as the customer said it (e.g. "WELCOME50")'
+            },
+            remove: {
+              type: 'boolean',
+              description: 'Remove the applied coupon instead'
+            }
+          },
+          required: ['couponCode']
+        }
+      },
+
+      {
+        name: 'get_loyalty_balance',
+        description: 'Look up the customer\'s loyalty points: balance, its rupee value, tier and points expiring soon. Needs the customer\'s phone number (call capture_customer_info first).',
+        parameters: {
+          type: 'object',
+          properties: {}
+        }
+      },
+
+      {
+        name: 'redeem_loyalty_points',
+        description: 'Use the customer\'s loyalty points as a discount on this order and show it in the cart. Call with remove=true to stop using them.',
+        parameters: {
+          type: 'object',
+          properties: {
+            points: {
+              type: 'number',
+              description: 'Points to use - optional; leave out to use as many as allowed'
+            },
+            remove: {
+              type: 'boolean',
+              description: 'Stop using points on this order'
+            }
+          }
+        }
+      },
+
       {
         name: 'get_cart_items',
         description: 'Silently retrieve current cart items with their IDs. Use this before update_cart_item to get the correct itemId. Does not display anything to the customer.',
@@ -860,6 +1061,46 @@ ${configInstructions}`,
         }
       },
 
+      // Scheduled Orders
+      {
+        name: 'get_available_slots',
+        description: 'List the times an order can be scheduled for. Call this when the customer wants their order later (tonight, tomorrow, for a party on Saturday).',
+        parameters: {
+          type: 'object',
+          properties: {
+            day: {
+              type: 'string',
+              description: 'Day the customer asked for: "today", "tomorrow", a weekday like "saturday", or YYYY-MM-DD - optional (all upcoming slots when omitted)'
+            }
+          }
+        }
+      },
+
+      // Dine-in Tables
+      {
+        name: 'get_table_tab',
+        description: 'Read the running tab for the customer\'s table: every round ordered so far and the total. Call with requestBill=true when they want to pay, so staff bring the bill. Only for sessions started at a table.',
+        parameters: {
+          type: 'object',
+          properties: {
+            requestBill: {
+              type: 'boolean',
+              description: 'True when the customer asks for the bill - optional'
+            }
+          }
+        }
+      },
+
+      // Cancellations
+      {
+        name: 'get_cancellation_policy',
+        description: 'Read the restaurant\'s cancellation and refund policy, and what the customer would get back if their order were cancelled now. Call this when the customer asks about cancelling or refunds.',
+        parameters: {
+          type: 'object',
+          properties: {}
+        }
+      },
+
       // Order Finalization & Payment
       {
         name: 'finalize_order',
@@ -881,9 +1122,17 @@ ${configInstructions}`,
               type: 'string',
               description: 'Preferred delivery/pickup time (e.g., "ASAP", "7:00 PM", "in 1 hour") - optional'
             },
+            scheduledFor: {
+              type: 'string',
+              description: 'For orders placed for later: the time of the slot the customer chose, exactly as returned by get_available_slots - optional (omit for orders wanted now)'
+            },
             specialInstructions: {
               type: 'string',
               description: 'Any special instructions (e.g., "ring the bell", "contactless delivery", "extra spicy") - optional'
+            },
+            couponCode: {
+              type: 'string',
+              description: 'Coupon code the customer gave, if any and not already applied with apply_coupon - optional'
             }
           },
           required: ['orderType', 'paymentMethod']
@@ -1090,6 +1339,7 @@ ${configInstructions}`,
               customer: session.orderState.customer,
               orderHistory: session.orderState.customerOrderHistory || [],
               orderHistoryCount: session.orderState.customerOrderHistory?.length || 0,
+              loyalty: session.orderState.customerLoyalty,
               isReturningCustomer: true
             };
             break;
@@ -1167,12 +1417,57 @@ ${configInstructions}`,
           };
           break;
 
+        case 'repeat_order':
+          result = await this.repeatOrder(session, args);
+          break;
+
         case 'show_dish_details':
           result = await this.showDishDetails(session, args.dishName);
           break;
 
-        case 'add_to_cart_verbal':
-          result = await this.addItemToCart(session, args, 'voice');
+        case 'add_to_cart_verbal': {
+          // The display's combo card adds combos by name
+          const combo = session.orderState.comboCache?.get(args.dishName?.toLowerCase());
+          result = combo
+            ? await this.addComboToCart(session, {
+              comboName: combo.name,
+              quantity: args.quantity,
+              selections: [].concat(args.customizations || []).map(dishName => ({ dishName }))
+            })
+            : await this.addItemToCart(session, args, 'voice');
+          break;
+        }
+
+        case 'show_combos':
+          result = await this.showCombos(session);
+          break;
+
+        case 'add_combo_to_cart':
+          result = await this.addComboToCart(session, args);
+          break;
+
+        case 'apply_coupon':
+          result = await this.applyCoupon(session, args);
+          break;
+
+        case 'get_loyalty_balance':
+          result = await this.getLoyaltyBalance(session);
+          break;
+
+        case 'redeem_loyalty_points':
+          result = await this.redeemLoyaltyPoints(session, args);
+          break;
+
+        case 'get_available_slots':
+          result = await this.getAvailableSlots(session, args);
+          break;
+
+        case 'get_table_tab':
+          result = await this.getTableTab(session, args);
+          break;
+
+        case 'get_cancellation_policy':
+          result = await this.getCancellationPolicy(session);
           break;
 
         case 'update_cart_item':
@@ -1383,6 +1678,53 @@ ${configInstructions}`,
             const city = this.googleMapsService.extractCity(geocodeResult.addressComponents);
             const state = this.googleMapsService.extractState(geocodeResult.addressComponents);
 
+            // Check the address against the restaurant's delivery zones
+            const restaurantLocation = {
+              lat: this.config.restaurant?.location?.lat || 12.9716,
+              lng: this.config.restaurant?.location?.lng || 77.5946
+            };
+            const deliveryCheck = await this.deliveryService.checkDeliveryZone(
+              restaurantLocation,
+              { lat: geocodeResult.lat, lng: geocodeResult.lng },
+              { tenantId: session.tenantId, pincode }
+            );
+
+            if (!deliveryCheck.eligible) {
+              if (session.tenantId) {
+                await this.displayClient.sendUpdate(session.id, {
+                  type: 'address_verification',
+                  data: {
+                    address: geocodeResult.formattedAddress,
+                    coordinates: {
+                      lat: geocodeResult.lat,
+                      lng: geocodeResult.lng
+                    },
+                    verified: true,
+                    deliverable: false,
+                    message: deliveryCheck.message
+                  }
+                });
+              }
+
+              result = {
+                success: true,
+                eligible: false,
+                address: {
+                  formatted: geocodeResult.formattedAddress,
+                  pincode,
+                  city
+                },
+                message: `${deliveryCheck.message} Offer pickup instead.`
+              };
+              break;
+            }
+
+            const cartTotal = session.orderState.cart?.subtotal || 0;
+            const feeResult = this.deliveryService.calculateDeliveryFee(deliveryCheck.distance, cartTotal, deliveryCheck.zone);
+            const estimatedTime = await this.estimateDeliveryTime(session, deliveryCheck.distance, deliveryCheck.zone);
+            const minimumOrder = this.deliveryService.checkMinimumOrder(deliveryCheck.zone, cartTotal);
+            this.deliveryService.applyToOrderState(session.orderState, deliveryCheck, feeResult, estimatedTime);
+
             // Store verified address in session
             session.orderState.deliveryAddress = {
               formatted: geocodeResult.formattedAddress,
@@ -1411,6 +1753,8 @@ ${configInstructions}`,
                   },
                   verified: true,
                   deliverable: true,
+                  deliveryFee: feeResult.fee,
+                  estimatedTime: estimatedTime.timeRange,
                   message: `Address verified: ${geocodeResult.formattedAddress}. We'll arrange delivery through our partner.`
                 }
               });
@@ -1426,7 +1770,12 @@ ${configInstructions}`,
                 city,
                 state
               },
-              message: `Address verified: ${geocodeResult.formattedAddress}. Delivery will be arranged through Porter.`
+              deliveryFee: feeResult.fee,
+              feeBreakdown: feeResult.breakdown,
+              estimatedTime: estimatedTime.timeRange,
+              minOrderValue: minimumOrder.minOrderValue,
+              message: `Address verified: ${geocodeResult.formattedAddress}. ${feeResult.isFree ? 'Delivery is free' : `Delivery fee is ₹${feeResult.fee}`}, arriving in about ${estimatedTime.timeRange}.` +
+                (minimumOrder.valid ? '' : ` ${minimumOrder.message}`)
             };
           } catch (error) {
             console.error('[VertexAILive] Address verification error:', error);
@@ -1455,6 +1804,12 @@ ${configInstructions}`,
 
         case 'finalize_order':
           try {
+            // At a table every order is a dine-in round for now, paid when the tab closes
+            const table = session.orderState.table;
+            if (table) {
+              Object.assign(args, { orderType: 'dine-in', paymentMethod: 'tab', scheduledFor: null });
+            }
+
             // Validate cart
             if (!session.orderState.cart.items || session.orderState.cart.items.length === 0) {
               result = {
@@ -1482,19 +1837,102 @@ ${configInstructions}`,
               break;
             }
 
+            // Orders for later need a free slot inside the restaurant's ordering hours
+            let slot = null;
+            if (args.scheduledFor) {
+              const check = this.schedulingService
+                ? await this.schedulingService.checkSlot(session.tenantId, args.scheduledFor)
+                : { available: false, message: 'Orders can\'t be scheduled right now' };
+
+              if (!check.available) {
+                const alternatives = check.alternatives || [];
+                result = {
+                  success: false,
+                  message: alternatives.length > 0
+                    ? `${check.message}. Offer these times instead: ${alternatives.map(alternative => alternative.label).join('; ')}.`
+                    : `${check.message}. Call get_available_slots to find another time, or offer to place the order for now.`,
+                  alternatives: alternatives.map(alternative => ({ time: alternative.start, label: alternative.label }))
+                };
+                break;
+              }
+              slot = check.slot;
+            }
+
+            // Orders for now need the restaurant open, not paused and under its order cap
+            if (!slot && this.operatingHoursService && session.tenantId) {
+              const storeStatus = await this.operatingHoursService.getStatus(session.tenantId);
+              if (!storeStatus.open) {
+                result = {
+                  success: false,
+                  reason: storeStatus.reason,
+                  message: `${storeStatus.message}. Explain this kindly to the customer and offer to place the order for later (call get_available_slots).`,
+                  opensAt: storeStatus.opensAt,
+                  busyUntil: storeStatus.busyUntil
+                };
+                break;
+              }
+            }
+
             console.log('[VertexAILive] Finalizing order:', {
               orderType: args.orderType,
               paymentMethod: args.paymentMethod,
+              scheduledFor: slot?.start,
               items: session.orderState.cart.items.length
             });
 
-            // Calculate totals using TaxService
-            const subtotal = session.orderState.cart.subtotal || 0;
-            const deliveryFee = args.orderType === 'delivery' ? (session.orderState.deliveryFee || 0) : 0;
+            // Delivery fee from the zone matched when the address was verified
+            let deliveryFee = 0;
+            if (args.orderType === 'delivery') {
+              const deliveryCharge = this.deliveryService.getOrderDeliveryCharge(
+                session.orderState,
+                session.orderState.cart.subtotal || 0
+              );
+
+              if (!deliveryCharge.minimumOrder.valid) {
+                result = {
+                  success: false,
+                  message: deliveryCharge.minimumOrder.message
+                };
+                break;
+              }
+
+              deliveryFee = deliveryCharge.fee;
+
+              // Re-quote the ETA for the final cart and the kitchen's current load
+              if (session.orderState.deliveryZone) {
+                session.orderState.estimatedDeliveryTime = await this.estimateDeliveryTime(
+                  session,
+                  session.orderState.deliveryDistance || 0,
+                  session.orderState.deliveryZone
+                );
+              }
+            }
 
-            // Calculate GST using TaxService
-            const taxCalculation = this.taxService.calculateOrderTax(subtotal, deliveryFee, args.orderType);
-            const tax = taxCalculation.gstAmount;
+            // Re-price the final cart with the coupon, then calculate item-level GST using TaxService
+            if (args.couponCode) {
+              session.orderState.couponCode = args.couponCode;
+            }
+            const pricing = await this.applyPricing(session, { orderType: args.orderType });
+            if (pricing?.coupon && !pricing.coupon.applied) {
+              result = {
+                success: false,
+                couponRejected: true,
+                message: `${pricing.coupon.message}. Tell the customer, and place the order without it only if they agree (call apply_coupon with remove=true first).`
+              };
+              break;
+            }
+            if (pricing?.loyalty && !pricing.loyalty.applied) {
+              result = {
+                success: false,
+                message: `${pricing.loyalty.message}. Tell the customer, and place the order without points only if they agree (call redeem_loyalty_points with remove=true first).`
+              };
+              break;
+            }
+            const taxCalculation = this.taxService.calculateCartTax(session.orderState.cart.items, {
+              deliveryFee,
+              orderType: args.orderType,
+              deliveryAddress: session.orderState.deliveryAddress
+            });
             const total = taxCalculation.totalWithTax;
 
             // Prepare order data
@@ -1508,33 +1946,84 @@ ${configInstructions}`,
               },
               cart: {
                 items: session.orderState.cart.items,
-                subtotal,
-                tax,
-                deliveryFee,
-                total
+                combos: session.orderState.cart.combos || [],
+                promotions: session.orderState.cart.promotions || [],
+                coupon: session.orderState.cart.coupon || null,
+                loyalty: session.orderState.cart.loyalty || null,
+                ...this.taxService.toCartTotals(taxCalculation)
               },
+              collaborativeOrderId: session.orderState.collaborativeOrderId || null,
               orderType: args.orderType,
               paymentMethod: args.paymentMethod,
               deliveryAddress: args.orderType === 'delivery' ? session.orderState.deliveryAddress : null,
-              deliveryTime: args.deliveryTime || null,
+              deliveryZone: args.orderType === 'delivery' ? (session.orderState.deliveryZone?.id || null) : null,
+              deliveryTime: slot?.label || args.deliveryTime || null,
+              scheduledFor: slot?.start || null,
               specialInstructions: args.specialInstructions || null,
               estimatedDeliveryTime: args.orderType === 'delivery' ? session.orderState.estimatedDeliveryTime : null,
-              status: args.paymentMethod === 'online' ? 'pending_payment' : 'confirmed',
+              status: args.paymentMethod === 'online' ? 'pending_payment' : (slot ? 'scheduled' : 'confirmed'),
               createdAt: Date.now()
             };
 
-            // Create order in Firebase
+            // Stock, offers, points and the slot are taken now; any that fail are given back
+            const { unavailable, exhausted, pointsError, slotError } = await this.holdCart(session, orderData);
+
+            // Nothing in the cart may have sold out or gone off the menu since it was added
+            if (unavailable.length > 0) {
+              result = {
+                success: false,
+                unavailable: true,
+                message: `${unavailable.join('. ')}. Ask the customer to remove or change ${unavailable.length === 1 ? 'it' : 'them'}, then place the order.`
+              };
+              break;
+            }
+
+            // Coupons and offers with usage limits are counted now
+            if (exhausted.length > 0) {
+              result = {
+                success: false,
+                message: `${exhausted.join('. ')}. Tell the customer the offer can't be used; the cart has been re-priced without it. Confirm the new total before placing the order again.`
+              };
+              break;
+            }
+
+            // Loyalty points come off the customer's balance now
+            if (pointsError) {
+              result = {
+                success: false,
+                message: `${pointsError}. Tell the customer their points can't be used; the cart has been re-priced without them. Confirm the new total before placing the order again.`
+              };
+              break;
+            }
+
+            // Scheduled orders take their place in the slot last
+            if (slotError) {
+              result = {
+                success: false,
+                message: `${slotError}. Call get_available_slots and offer the customer another time.`
+              };
+              break;
+            }
+
+            // Table rounds go straight to the kitchen on the table's tab
+            if (table) {
+              result = await this.placeTableRound(session, orderData);
+              break;
+            }
+
+            // Create order in Firebase and notify restaurant dashboards
             let savedOrder;
             try {
-              savedOrder = await this.customerService.createOrder(
-                session.tenantId,
-                session.orderState.customer.phone,
-                orderData
-              );
+              savedOrder = await this.saveCartOrder(session, orderData);
               console.log('[VertexAILive] Order saved to Firebase:', savedOrder.orderId);
             } catch (error) {
               console.error('[VertexAILive] Error saving order to Firebase:', error);
-              // Continue with order even if Firebase save fails
+              result = {
+                success: false,
+                message: 'The order could not be placed. Apologise and ask the customer to try again in a moment; nothing was charged.',
+                error: error.message
+              };
+              break;
             }
 
             // Store order in session
@@ -1549,13 +2038,18 @@ ${configInstructions}`,
                   orderId: orderData.orderId,
                   items: orderData.cart.items,
                   subtotal: orderData.cart.subtotal,
+                  discount: orderData.cart.discount,
+                  combos: orderData.cart.combos,
+                  promotions: orderData.cart.promotions,
+                  loyalty: orderData.cart.loyalty,
                   deliveryFee: orderData.cart.deliveryFee,
                   tax: orderData.cart.tax,
                   total: orderData.cart.total,
                   orderType: orderData.orderType,
                   paymentMethod: orderData.paymentMethod,
                   deliveryAddress: orderData.deliveryAddress?.formatted,
-                  estimatedTime: orderData.estimatedDeliveryTime?.timeRange
+                  scheduledFor: orderData.scheduledFor,
+                  estimatedTime: slot?.label || orderData.estimatedDeliveryTime?.timeRange
                 }
               });
             }
@@ -1563,6 +2057,45 @@ ${configInstructions}`,
             // If online payment, create Razorpay order
             if (args.paymentMethod === 'online') {
               try {
+                // Group orders are paid in shares, one Razorpay order per participant
+                const splitPayment = savedOrder.collaborativeOrderId && this.splitPaymentService
+                  ? await this.splitPaymentService.createSplitPayments(savedOrder)
+                  : null;
+
+                if (splitPayment) {
+                  if (session.tenantId) {
+                    await this.displayClient.sendUpdate(session.id, {
+                      type: 'payment_pending',
+                      data: {
+                        orderId: orderData.orderId,
+                        amount: total,
+                        currency: 'INR',
+                        customer: orderData.customer,
+                        splitPayment: {
+                          splitType: splitPayment.splitType,
+                          expiresAt: splitPayment.expiresAt,
+                          shares: splitPayment.shares.map(share => ({
+                            shareId: share.shareId,
+                            name: share.name,
+                            amount: share.amount,
+                            razorpayOrderId: share.razorpayOrderId
+                          }))
+                        }
+                      }
+                    });
+                  }
+
+                  result = {
+                    success: true,
+                    order: orderData,
+                    splitPayment,
+                    message: `Your group order is ready for checkout. Everyone pays their own share: ${splitPayment.shares
+                      .map(share => `${share.name} ₹${share.amount}`).join(', ')}. The order goes to the kitchen once every share is paid.`,
+                    nextStep: 'split_payment'
+                  };
+                  break;
+                }
+
                 const razorpayOrder = await this.paymentService.createPaymentOrder({
                   amount: total,
                   orderId: orderData.orderId,
@@ -1573,6 +2106,25 @@ ${configInstructions}`,
                 session.orderState.razorpayOrderId = razorpayOrder.id;
                 await this.persistSessionState(session);
 
+                // Webhooks and reconciliation find the payment through the Razorpay order
+                try {
+                  await this.orderManagementService.updateOrderStatus(orderData.orderId, session.tenantId, {
+                    razorpayOrderId: razorpayOrder.id
+                  });
+                } catch (error) {
+                  console.error('[VertexAILive] Error saving Razorpay order on order:', error);
+                }
+
+                // UPI first: a QR / intent link for the exact amount, with checkout as the fallback
+                let upi = null;
+                if (this.upiPaymentService) {
+                  try {
+                    upi = await this.upiPaymentService.createUpiCollection(savedOrder);
+                  } catch (error) {
+                    console.error('[VertexAILive] Error creating UPI payment, falling back to checkout:', error);
+                  }
+                }
+
                 // Send payment pending display
                 if (session.tenantId) {
                   await this.displayClient.sendUpdate(session.id, {
@@ -1582,7 +2134,15 @@ ${configInstructions}`,
                       razorpayOrderId: razorpayOrder.id,
                       amount: total,
                       currency: 'INR',
-                      customer: orderData.customer
+                      customer: orderData.customer,
+                      ...(upi && {
+                        upi: {
+                          qrId: upi.qrId,
+                          imageUrl: upi.imageUrl,
+                          intentUrl: upi.intentUrl,
+                          expiresAt: upi.expiresAt
+                        }
+                      })
                     }
                   });
                 }
@@ -1595,8 +2155,10 @@ ${configInstructions}`,
                     amount: razorpayOrder.amount,
                     currency: razorpayOrder.currency
                   },
-                  message: `Great! Your order is ready for checkout. Please complete the payment of ₹${total}.`,
-                  nextStep: 'payment'
+                  message: upi
+                    ? `Great! Your order is ready. Scan the UPI QR on your screen, or tap Pay with UPI, to pay ₹${total}. I'll let you know as soon as the payment comes through.`
+                    : `Great! Your order is ready for checkout. Please complete the payment of ₹${total}.`,
+                  nextStep: upi ? 'upi_payment' : 'payment'
                 };
               } catch (error) {
                 console.error('[VertexAILive] Razorpay order creation error:', error);
@@ -1627,8 +2189,9 @@ ${configInstructions}`,
                     orderType: orderData.orderType,
                     paymentMethod: 'cash',
                     total: total,
-                    estimatedTime: orderData.estimatedDeliveryTime?.timeRange || '30-40 mins',
-                    message: 'Your order has been confirmed!',
+                    estimatedTime: slot?.label || orderData.estimatedDeliveryTime?.timeRange || '30-40 mins',
+                    scheduledFor: orderData.scheduledFor,
+                    message: slot ? `Your order is scheduled for ${slot.label}` : 'Your order has been confirmed!',
                     invoice: invoice, // Include invoice data
                     billText: billText // Include formatted bill text
                   }
@@ -1639,7 +2202,9 @@ ${configInstructions}`,
                 success: true,
                 order: orderData,
                 invoice: invoice,
-                message: `Thank you for your order! Total is ₹${total} including GST. ${args.orderType === 'delivery' ? `Your food will be delivered in ${orderData.estimatedDeliveryTime?.timeRange || '30 to 40 minutes'}` : 'Please collect from the counter'}. You can pay cash on ${args.orderType === 'delivery' ? 'delivery' : 'pickup'}.`,
+                message: `Thank you for your order! Total is ₹${total} including GST. ${slot
+                  ? `It's scheduled for ${slot.label}`
+                  : args.orderType === 'delivery' ? `Your food will be delivered in ${orderData.estimatedDeliveryTime?.timeRange || '30 to 40 minutes'}` : 'Please collect from the counter'}. You can pay cash on ${args.orderType === 'delivery' ? 'delivery' : 'pickup'}.`,
                 nextStep: 'confirmed'
               };
             }
@@ -1802,21 +2367,17 @@ ${configInstructions}`,
         };
       }
 
-      // Search for dish in menu
-      const dishes = await session.menuService.searchMenuItems(
-        session.tenantId,
-        dishName
-      );
+      // Search for dish in menu; ask the customer when the match isn't confident
+      const { dish, search } = await this.findDish(session, dishName);
 
-      if (dishes.length === 0) {
-        return {
-          success: false,
-          message: `Dish "${dishName}" not found in menu`
-        };
+      if (!dish) {
+        return this.getDishNotResolvedResult(dishName, search);
       }
 
-      // Get best match (first result)
-      const dish = dishes[0];
+      const availability = await this.getDishAvailability(session, dish);
+      if (!availability.available) {
+        return this.getDishUnavailableResult(dish, availability, search);
+      }
 
       // Cache dish for future reference
       session.orderState.dishCardCache.set(dish.id, dish);
@@ -1833,6 +2394,7 @@ ${configInstructions}`,
           dietary: dish.dietaryTags || dish.dietary || [],
           spiceLevel: dish.spiceLevel || 0,
           available: dish.available !== false,
+          modifierGroups: this.modifierService.getGroups(dish),
           actions: [
             {
               id: 'add_to_cart',
@@ -1845,11 +2407,17 @@ ${configInstructions}`,
         console.log('[VertexAILive] Sent dish card for:', dish.name, 'to session:', session.id);
       }
 
+      const options = this.modifierService.summarizeGroups(dish);
+      const required = options.filter(group => group.required);
+
       return {
         success: true,
         dish: dish.name,
         price: dish.variantPrice || dish.price,
-        message: `Showing ${dish.name}`
+        options,
+        message: required.length > 0
+          ? `Showing ${dish.name}. Ask the customer to choose ${required.map(group => `${group.name.toLowerCase()} (${group.options.join(', ')})`).join(' and ')}.`
+          : `Showing ${dish.name}`
       };
     } catch (error) {
       console.error('[VertexAILive] Show dish details error:', error);
@@ -1861,30 +2429,129 @@ ${configInstructions}`,
   }
 
   /**
-   * Add item to cart
+   * Resolve a spoken dish name to a menu item. The dish is only returned for a
+   * confident match; otherwise `search` carries the candidates to offer.
    */
-  async addItemToCart(session, itemData, source = 'voice') {
-    try {
-      const { dishName, quantity, customizations } = itemData;
+  async findDish(session, dishName) {
+    const search = await session.menuService.rankMenuItems(session.tenantId, dishName);
+
+    // Don't offer sold-out or off-schedule dishes as "did you mean"
+    if (search.confidence !== 'high') {
+      const unavailable = new Set(search.matches
+        .filter(match => match.item.availability?.available === false)
+        .map(match => match.item.name));
+      search.suggestions = search.suggestions.filter(name => !unavailable.has(name));
+    }
 
-      // Find dish in cache or search menu
-      let dish = null;
+    return {
+      dish: search.confidence === 'high' ? search.matches[0].item : null,
+      search
+    };
+  }
 
-      // Check cache first
-      for (const [id, cachedDish] of session.orderState.dishCardCache) {
-        if (cachedDish.name.toLowerCase() === dishName.toLowerCase()) {
-          dish = cachedDish;
-          break;
-        }
-      }
+  /**
+   * Menu item for a cart line (dish card cache first, then the menu)
+   */
+  async getDishById(session, dishId) {
+    if (session.orderState.dishCardCache.has(dishId)) {
+      return session.orderState.dishCardCache.get(dishId);
+    }
+    if (!session.menuService) {
+      return null;
+    }
+
+    const items = await session.menuService.listMenuItems(session.tenantId);
+    return items.find(item => item.id === dishId) || null;
+  }
+
+  /**
+   * Whether a dish can be ordered right now (86 list, stock, schedule)
+   */
+  async getDishAvailability(session, dish) {
+    if (!this.availabilityService || !session.tenantId) {
+      const available = dish.available !== false;
+      return {
+        available,
+        reason: available ? null : 'unavailable',
+        message: available ? null : `${dish.name} is not on the menu right now`
+      };
+    }
+
+    const context = await this.availabilityService.getContext(session.tenantId);
+    return this.availabilityService.getItemStatus(dish, context);
+  }
+
+  /**
+   * Tool result for a dish that matched but can't be ordered right now
+   */
+  getDishUnavailableResult(dish, availability, search = null) {
+    const alternatives = (search?.matches || [])
+      .filter(match => match.item.id !== dish.id && match.item.availability?.available !== false)
+      .map(match => match.item.name)
+      .slice(0, 3);
+
+    return {
+      success: false,
+      unavailable: true,
+      dish: dish.name,
+      reason: availability.reason,
+      alternatives,
+      message: `${availability.message}. Tell the customer and ${alternatives.length > 0
+        ? `offer ${alternatives.join(' or ')} instead`
+        : 'suggest something else'}.`
+    };
+  }
+
+  /**
+   * Tool result for a dish name that didn't match confidently
+   */
+  getDishNotResolvedResult(dishName, search) {
+    if (search.suggestions.length === 0) {
+      return {
+        success: false,
+        message: `Dish "${dishName}" not found in menu`
+      };
+    }
+
+    const options = search.suggestions.length > 1
+      ? `${search.suggestions.slice(0, -1).join(', ')} or ${search.suggestions[search.suggestions.length - 1]}`
+      : search.suggestions[0];
+
+    return {
+      success: false,
+      needsClarification: true,
+      candidates: search.suggestions,
+      message: `Not sure which dish "${dishName}" means. Ask the customer: did you mean ${options}?`
+    };
+  }
+
+  /**
+   * Add item to cart
+   */
+  async addItemToCart(session, itemData, source = 'voice') {
+    try {
+      const { dishName, quantity, customizations, modifiers } = itemData;
+
+      // Find dish in cache or search menu
+      let dish = null;
+      let search = null;
+
+      // Check cache first
+      for (const [id, cachedDish] of session.orderState.dishCardCache) {
+        if (cachedDish.name.toLowerCase() === dishName.toLowerCase()) {
+          dish = cachedDish;
+          break;
+        }
+      }
 
       // If not in cache, search menu
       if (!dish && session.menuService) {
-        const results = await session.menuService.searchMenuItems(
-          session.tenantId,
-          dishName
-        );
-        dish = results[0];
+        const found = await this.findDish(session, dishName);
+        if (!found.dish) {
+          return this.getDishNotResolvedResult(dishName, found.search);
+        }
+        dish = found.dish;
+        search = found.search;
       }
 
       if (!dish) {
@@ -1894,9 +2561,29 @@ ${configInstructions}`,
         };
       }
 
+      // A dish shown earlier may have sold out since
+      const availability = await this.getDishAvailability(session, dish);
+      if (!availability.available) {
+        return this.getDishUnavailableResult(dish, availability, search);
+      }
+
+      // Validate the requested options and price the line server-side
+      const selection = this.modifierService.resolve(dish, modifiers || []);
+      if (!selection.valid) {
+        return {
+          success: false,
+          needsModifiers: true,
+          dish: dish.name,
+          missing: selection.missing,
+          message: `${selection.errors.join('. ')}. Ask the customer, then add ${dish.name} again with their choice.`
+        };
+      }
+
       // Check for recent duplicate (within 5 seconds)
+      const signature = this.modifierService.getSignature(selection.modifiers);
       const recentDuplicate = session.orderState.cart.items.find(
         item => item.dishId === dish.id &&
+                this.modifierService.getSignature(item.modifiers) === signature &&
                 Date.now() - item.addedAt < 5000
       );
 
@@ -1911,23 +2598,13 @@ ${configInstructions}`,
         });
       } else {
         // Add new cart item
-        const cartItem = {
-          id: `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          dishId: dish.id,
-          dishName: dish.name,
-          quantity: quantity || 1,
-          price: dish.variantPrice || dish.price,
-          itemTotal: (dish.variantPrice || dish.price) * (quantity || 1),
-          customizations: customizations || [],
-          addedAt: Date.now(),
-          confirmedBy: source
-        };
-
-        session.orderState.cart.items.push(cartItem);
+        session.orderState.cart.items.push(
+          this.buildCartLine(dish, selection, quantity || 1, customizations, source)
+        );
       }
 
       // Recalculate cart totals
-      this.recalculateCartTotals(session);
+      await this.recalculateCartTotals(session);
 
       // Persist to Firebase
       await this.persistSessionState(session);
@@ -1941,7 +2618,8 @@ ${configInstructions}`,
             item: {
               dishName: dish.name,
               quantity: quantity || 1,
-              itemTotal: (dish.variantPrice || dish.price) * (quantity || 1)
+              modifiers: this.modifierService.describe(selection.modifiers),
+              itemTotal: selection.unitPrice * (quantity || 1)
             },
             cart: session.orderState.cart
           }
@@ -1954,9 +2632,11 @@ ${configInstructions}`,
         });
       }
 
+      const optionNames = this.modifierService.describe(selection.modifiers);
+
       return {
         success: true,
-        message: `Added ${quantity || 1}x ${dish.name}`,
+        message: `Added ${quantity || 1}x ${dish.name}${optionNames.length > 0 ? ` (${optionNames.join(', ')})` : ''} at ₹${selection.unitPrice} each`,
         cartTotal: session.orderState.cart.total,
         itemCount: session.orderState.cart.items.length
       };
@@ -1970,76 +2650,239 @@ ${configInstructions}`,
   }
 
   /**
-   * Update cart item (quantity or remove)
+   * Cart line for a dish priced by ModifierService.resolve
    */
-  async updateCartItem(session, updateData) {
+  buildCartLine(dish, selection, quantity, customizations, source) {
+    return {
+      id: `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      dishId: dish.id,
+      dishName: dish.name,
+      category: dish.category || null,
+      taxCategory: dish.taxCategory || null,
+      hsnCode: dish.hsnCode || null,
+      gstRate: dish.gstRate ?? null,
+      quantity,
+      basePrice: selection.basePrice,
+      modifiers: selection.modifiers,
+      price: selection.unitPrice,
+      itemTotal: selection.unitPrice * quantity,
+      customizations: customizations || [],
+      addedAt: Date.now(),
+      confirmedBy: source
+    };
+  }
+
+  /**
+   * Menu items that can be ordered right now (86 list, stock, schedule)
+   */
+  async getOrderableMenuItems(session) {
+    const items = await session.menuService.listMenuItems(session.tenantId);
+    const annotated = this.availabilityService
+      ? await this.availabilityService.annotateItems(session.tenantId, items)
+      : items;
+
+    return annotated.filter(item => item.available !== false && item.availability?.available !== false);
+  }
+
+  /**
+   * List the tenant's combos for the agent and show them on the display
+   */
+  async showCombos(session) {
     try {
-      const { itemId, action, newQuantity } = updateData;
+      if (!this.pricingService || !session.menuService || !session.tenantId) {
+        return {
+          success: false,
+          message: 'There are no combos on offer right now'
+        };
+      }
 
-      const itemIndex = session.orderState.cart.items.findIndex(
-        item => item.id === itemId
-      );
+      const comboService = this.pricingService.comboService;
+      const combos = await comboService.getActiveCombos(session.tenantId);
+      const menuItems = combos.length > 0 ? await this.getOrderableMenuItems(session) : [];
 
-      if (itemIndex === -1) {
+      // A combo with a choice that has nothing left to pick can't be offered
+      const offered = combos
+        .map(combo => comboService.summarizeCombo(combo, menuItems))
+        .filter(summary => summary.available);
+
+      if (offered.length === 0) {
+        return {
+          success: true,
+          combos: [],
+          message: 'There are no combos on offer right now'
+        };
+      }
+
+      for (const summary of offered) {
+        session.orderState.comboCache?.set(summary.name.toLowerCase(), summary);
+        await this.displayClient.sendComboCard(session.id, summary);
+      }
+
+      return {
+        success: true,
+        combos: offered.map(summary => ({
+          name: summary.name,
+          price: summary.price,
+          description: summary.description,
+          groups: summary.groups.map(group => ({
+            name: group.name,
+            quantity: group.quantity,
+            options: group.options
+          }))
+        })),
+        message: `Combos on offer: ${offered.map(summary => `${summary.name} (₹${summary.price})`).join(', ')}`
+      };
+    } catch (error) {
+      console.error('[VertexAILive] Show combos error:', error);
+      return {
+        success: false,
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Add a combo's dishes to the cart. The pricing pass then charges the bundle
+   * price, the same as when the customer adds the dishes one by one.
+   */
+  async addComboToCart(session, comboData) {
+    try {
+      const { comboName, selections } = comboData;
+      const count = Math.max(1, parseInt(comboData.quantity) || 1);
+
+      if (!this.pricingService || !session.menuService || !session.tenantId) {
         return {
           success: false,
-          message: 'Item not found in cart'
+          message: 'Combos are not available right now'
         };
       }
 
-      const item = session.orderState.cart.items[itemIndex];
+      const comboService = this.pricingService.comboService;
+      const combos = await comboService.getActiveCombos(session.tenantId);
+      const combo = comboService.findCombo(combos, comboName);
 
-      switch (action) {
-        case 'increase':
-          item.quantity += 1;
-          item.itemTotal = item.price * item.quantity;
-          break;
+      if (!combo) {
+        return {
+          success: false,
+          combos: combos.map(c => c.name),
+          message: combos.length > 0
+            ? `No combo called "${comboName}". Combos on offer: ${combos.map(c => c.name).join(', ')}.`
+            : 'There are no combos on offer right now.'
+        };
+      }
 
-        case 'decrease':
-          if (item.quantity > 1) {
-            item.quantity -= 1;
-            item.itemTotal = item.price * item.quantity;
-          } else {
-            // Remove if quantity would be 0
-            session.orderState.cart.items.splice(itemIndex, 1);
+      // Fill each group from the customer's picks; fixed groups fill themselves
+      const menuItems = await this.getOrderableMenuItems(session);
+      const remaining = [...(selections || [])];
+      const picks = [];
+      const missing = [];
+      const unavailable = [];
+
+      combo.groups.forEach(group => {
+        const eligible = comboService.getEligibleItems(group, menuItems);
+        let needed = group.quantity;
+
+        for (let index = 0; index < remaining.length && needed > 0; index++) {
+          const selection = remaining[index];
+          const groupName = selection.group?.toLowerCase();
+          if (groupName && !group.name.toLowerCase().includes(groupName) && !groupName.includes(group.name.toLowerCase())) {
+            continue;
           }
-          break;
 
-        case 'remove':
-          session.orderState.cart.items.splice(itemIndex, 1);
-          break;
+          const dish = this.matchComboDish(eligible, selection.dishName);
+          if (dish) {
+            picks.push({ dish, modifiers: selection.modifiers || [] });
+            remaining.splice(index--, 1);
+            needed--;
+          }
+        }
 
-        default:
-          if (newQuantity !== undefined && newQuantity > 0) {
-            item.quantity = newQuantity;
-            item.itemTotal = item.price * item.quantity;
+        if (needed > 0 && eligible.length === 1) {
+          for (; needed > 0; needed--) {
+            picks.push({ dish: eligible[0], modifiers: [] });
           }
+        }
+
+        if (needed > 0 && eligible.length === 0) {
+          unavailable.push(group.name);
+        } else if (needed > 0) {
+          missing.push({ group: group.name, choose: needed, options: eligible.map(item => item.name) });
+        }
+      });
+
+      if (unavailable.length > 0) {
+        return {
+          success: false,
+          unavailable: true,
+          combo: combo.name,
+          message: `${combo.name} can't be ordered right now: nothing is left for ${unavailable.join(', ')}. Tell the customer and suggest something else.`
+        };
       }
 
-      // Recalculate totals
-      this.recalculateCartTotals(session);
+      if (missing.length > 0) {
+        return {
+          success: false,
+          needsSelections: true,
+          combo: combo.name,
+          missing,
+          message: `Nothing was added. Ask the customer to choose ${missing.map(m => `${m.choose === 1 ? 'one' : m.choose} ${m.group.toLowerCase()} (${m.options.join(', ')})`).join(' and ')}, then add ${combo.name} again with their picks.`
+        };
+      }
 
-      // Persist
+      // Price every dish before adding any, so a missing option adds nothing
+      const lines = [];
+      for (const pick of picks) {
+        const selection = this.modifierService.resolve(pick.dish, pick.modifiers);
+        if (!selection.valid) {
+          return {
+            success: false,
+            needsModifiers: true,
+            combo: combo.name,
+            dish: pick.dish.name,
+            missing: selection.missing,
+            message: `Nothing was added. ${selection.errors.join('. ')}. Ask the customer, then add ${combo.name} again with the ${pick.dish.name} options in its selection.`
+          };
+        }
+
+        const signature = this.modifierService.getSignature(selection.modifiers);
+        const existing = lines.find(line =>
+          line.dishId === pick.dish.id && this.modifierService.getSignature(line.modifiers) === signature
+        );
+        if (existing) {
+          existing.quantity += count;
+          existing.itemTotal = existing.price * existing.quantity;
+        } else {
+          lines.push(this.buildCartLine(pick.dish, selection, count, [], 'voice_combo'));
+        }
+      }
+
+      // Report what the cart saves overall; the combo may have taken a dish from another deal
+      const savedBefore = session.orderState.cart.discount || 0;
+
+      session.orderState.cart.items.push(...lines);
+      await this.recalculateCartTotals(session);
       await this.persistSessionState(session);
 
-      // Send update
       if (session.tenantId) {
         await this.displayClient.sendUpdate(session.id, {
           type: 'cart_updated',
-          data: {
-            cart: session.orderState.cart,
-            action
-          }
+          data: session.orderState.cart
         });
       }
 
+      const savings = Math.round(((session.orderState.cart.discount || 0) - savedBefore) * 100) / 100;
+      const dishes = lines.map(line => `${line.quantity}x ${line.dishName}`).join(', ');
+
       return {
         success: true,
-        message: 'Cart updated',
-        cart: session.orderState.cart
+        message: savings > 0
+          ? `Added ${count}x ${combo.name} (${dishes}) at ₹${combo.price} each, saving ₹${savings}`
+          : `Added ${dishes}. Together they cost less than the ${combo.name} price, so they are charged at menu prices.`,
+        cartTotal: session.orderState.cart.total,
+        itemCount: session.orderState.cart.items.length
       };
     } catch (error) {
-      console.error('[VertexAILive] Update cart error:', error);
+      console.error('[VertexAILive] Add combo error:', error);
       return {
         success: false,
         message: error.message
@@ -2048,98 +2891,1388 @@ ${configInstructions}`,
   }
 
   /**
-   * Recalculate cart totals
+   * Dish the customer picked for a combo group, by name
    */
-  recalculateCartTotals(session) {
-    const cart = session.orderState.cart;
-
-    cart.subtotal = cart.items.reduce((sum, item) => sum + item.itemTotal, 0);
-    cart.tax = Math.round(cart.subtotal * 0.05);  // 5% tax
-    cart.total = cart.subtotal + cart.tax;
-    cart.lastUpdated = Date.now();
-
-    console.log('[VertexAILive] Cart totals recalculated', {
-      sessionId: session.id,
-      items: cart.items.length,
-      total: cart.total
-    });
+  matchComboDish(eligible, dishName) {
+    const wanted = String(dishName || '').toLowerCase().trim();
+    if (!wanted) return null;
+
+    return eligible.find(item => item.name.toLowerCase() === wanted) ||
+      eligible.find(item => {
+        const name = item.name.toLowerCase();
+        return name.includes(wanted) || wanted.includes(name);
+      }) ||
+      null;
   }
 
   /**
-   * Persist session state to Firebase
+   * Rebuild a past order against the current menu. Without confirm, the
+   * order is re-priced and previewed on the display and kept on the session;
+   * with confirm, the previewed lines go into the cart.
    */
-  async persistSessionState(session) {
+  async repeatOrder(session, { which = 'last', confirm = false } = {}) {
     try {
-      if (!session.firebaseService) {
-        console.warn('[VertexAILive] Firebase service not available for persistence');
-        return;
+      if (confirm) {
+        return await this.confirmRepeatOrder(session);
       }
 
-      const sessionData = {
-        tenantId: session.tenantId,
-        userId: session.userId,
-        orderState: {
-          customer: session.orderState.customer,
-          cart: session.orderState.cart
-        },
-        conversation: session.conversation, // Save conversation history
-        updatedAt: new Date().toISOString(),
-        status: session.isActive ? 'active' : 'inactive'
+      const phone = session.orderState.customer?.phone;
+      if (!phone || !session.tenantId || !session.menuService) {
+        return {
+          success: false,
+          message: 'Get the customer\'s phone number first (capture_customer_info) so their past orders can be found'
+        };
+      }
+
+      const previous = await this.customerService.getRepeatableOrder(session.tenantId, phone, which);
+      if (!previous) {
+        return {
+          success: false,
+          message: 'No previous orders to repeat. Help the customer choose from the menu.'
+        };
+      }
+
+      const menuItems = await session.menuService.listMenuItems(session.tenantId);
+      const lines = [];
+      const unavailable = [];
+      const priceChanges = [];
+
+      for (const item of previous.items) {
+        const dishName = item.dishName || item.name;
+        const dish = menuItems.find(menuItem => menuItem.id === item.dishId) ||
+          menuItems.find(menuItem => menuItem.name?.toLowerCase() === dishName?.toLowerCase());
+
+        if (!dish) {
+          unavailable.push({ dishName, reason: `${dishName} is no longer on the menu` });
+          continue;
+        }
+
+        const availability = await this.getDishAvailability(session, dish);
+        if (!availability.available) {
+          unavailable.push({ dishName: dish.name, reason: availability.message });
+          continue;
+        }
+
+        // The same options as last time, by name, so renamed ids don't matter
+        const selection = this.modifierService.resolve(
+          dish,
+          (item.modifiers || []).map(modifier => ({ group: modifier.groupId, option: modifier.name }))
+        );
+        if (!selection.valid) {
+          unavailable.push({ dishName: dish.name, reason: `${dish.name} options have changed (${selection.errors.join('; ')})` });
+          continue;
+        }
+
+        const quantity = item.quantity || 1;
+        if (item.price !== undefined && selection.unitPrice !== item.price) {
+          priceChanges.push({ dishName: dish.name, was: item.price, now: selection.unitPrice });
+        }
+        lines.push(this.buildCartLine(dish, selection, quantity, item.customizations, 'voice_repeat'));
+      }
+
+      if (lines.length === 0) {
+        return {
+          success: false,
+          unavailable,
+          message: `None of that order can be made right now: ${unavailable.map(u => u.reason).join('. ')}. Tell the customer and help them choose something else.`
+        };
+      }
+
+      // Menu prices and GST only; combos and offers are worked out once it is in the cart
+      const taxCalculation = this.taxService.calculateCartTax(lines, {
+        orderType: session.orderState.deliveryAddress ? 'delivery' : 'pickup',
+        deliveryAddress: session.orderState.deliveryAddress
+      });
+      const totals = this.taxService.toCartTotals(taxCalculation);
+      const placedAt = previous.order.createdAt ? new Date(previous.order.createdAt).toISOString() : null;
+
+      session.orderState.pendingRepeatOrder = {
+        orderId: previous.order.orderId || previous.order.id,
+        lines,
+        createdAt: Date.now()
       };
 
-      await session.firebaseService.createDocument(
-        'sessions',
-        sessionData,
-        session.id
-      );
+      if (session.tenantId) {
+        await this.displayClient.sendRepeatOrderPreview(session.id, {
+          title: which === 'usual' ? 'Your usual' : 'Your last order',
+          orderId: session.orderState.pendingRepeatOrder.orderId,
+          placedAt,
+          items: lines,
+          subtotal: totals.subtotal,
+          tax: totals.tax,
+          total: totals.total,
+          unavailable,
+          priceChanges
+        });
+      }
 
-      console.log('[VertexAILive] Session persisted to Firebase', {
-        sessionId: session.id,
-        cartItems: session.orderState.cart.items.length
+      const notes = [
+        ...unavailable.map(u => `${u.reason}, so it was left out`),
+        ...priceChanges.map(change => `${change.dishName} is now ₹${change.now} (was ₹${change.was})`)
+      ];
+      const dishes = lines.map(line => {
+        const options = this.modifierService.describe(line.modifiers);
+        return `${line.quantity}x ${line.dishName}${options.length > 0 ? ` (${options.join(', ')})` : ''}`;
       });
+
+      return {
+        success: true,
+        needsConfirmation: true,
+        items: dishes,
+        unavailable,
+        priceChanges,
+        timesOrdered: previous.timesOrdered,
+        total: totals.total,
+        message: `${which === 'usual' ? `Their usual (ordered ${previous.timesOrdered} time${previous.timesOrdered === 1 ? '' : 's'})` : 'Their last order'}: ${dishes.join(', ')} - ₹${totals.total} at today's prices.${notes.length > 0 ? ` ${notes.join('. ')}.` : ''} Read this out and ask if they want it; call repeat_order with confirm=true only after they say yes.`
+      };
     } catch (error) {
-      console.error('[VertexAILive] Persist session error:', error);
-      // Don't throw - persistence failure shouldn't break the session
+      console.error('[VertexAILive] Repeat order error:', error);
+      return {
+        success: false,
+        message: error.message
+      };
     }
   }
 
   /**
-   * Restore session state from Firebase
+   * Put the previewed repeat order into the cart
    */
-  async restoreSessionState(sessionId, firebaseService) {
-    try {
-      const sessionData = await firebaseService.getDocument('sessions', sessionId);
+  async confirmRepeatOrder(session) {
+    const pending = session.orderState.pendingRepeatOrder;
+    if (!pending) {
+      return {
+        success: false,
+        message: 'There is no order waiting for confirmation. Call repeat_order without confirm first.'
+      };
+    }
 
-      if (!sessionData) {
-        console.log('[VertexAILive] No stored session found', { sessionId });
-        return null;
+    // Stock can run out between the preview and the yes
+    const menuItems = await session.menuService.listMenuItems(session.tenantId);
+    const added = [];
+    const skipped = [];
+    for (const line of pending.lines) {
+      const dish = menuItems.find(item => item.id === line.dishId);
+      const availability = dish
+        ? await this.getDishAvailability(session, dish)
+        : { available: false, message: `${line.dishName} is no longer on the menu` };
+      if (availability.available) {
+        added.push({ ...line, id: `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`, addedAt: Date.now() });
+      } else {
+        skipped.push(availability.message);
       }
+    }
 
-      console.log('[VertexAILive] Session restored from Firebase', {
-        sessionId,
-        cartItems: sessionData.orderState?.cart?.items?.length || 0,
-        customer: sessionData.orderState?.customer?.name || 'N/A'
+    session.orderState.pendingRepeatOrder = null;
+    const alreadyInCart = session.orderState.cart.items.length;
+    session.orderState.cart.items.push(...added);
+    await this.recalculateCartTotals(session);
+    await this.persistSessionState(session);
+
+    if (session.tenantId) {
+      await this.displayClient.sendUpdate(session.id, {
+        type: 'cart_updated',
+        data: session.orderState.cart
       });
+    }
 
-      return sessionData;
+    console.log('[VertexAILive] Repeat order added to cart', {
+      sessionId: session.id,
+      orderId: pending.orderId,
+      items: added.length
+    });
+
+    return {
+      success: added.length > 0,
+      message: added.length > 0
+        ? `Added ${added.map(line => `${line.quantity}x ${line.dishName}`).join(', ')}${alreadyInCart > 0 ? ` to the ${alreadyInCart} item(s) already in the cart` : ''}. Cart total is ₹${session.orderState.cart.total}.${skipped.length > 0 ? ` ${skipped.join('. ')} since the preview, so it was left out.` : ''}`
+        : `${skipped.join('. ')}. Nothing was added; help the customer choose something else.`,
+      cartTotal: session.orderState.cart.total,
+      itemCount: session.orderState.cart.items.length
+    };
+  }
+
+  /**
+   * Update cart item (quantity or remove)
+   */
+  async updateCartItem(session, updateData) {
+    try {
+      const { itemId, action, newQuantity } = updateData;
+
+      // Once the order is placed, changes go through order management
+      if (session.orderState.finalizedOrder) {
+        return await this.modifyPlacedOrder(session, updateData);
+      }
+
+      const itemIndex = session.orderState.cart.items.findIndex(
+        item => item.id === itemId
+      );
+
+      if (itemIndex === -1) {
+        return {
+          success: false,
+          message: 'Item not found in cart'
+        };
+      }
+
+      const item = session.orderState.cart.items[itemIndex];
+
+      if (action === 'set_modifiers') {
+        const dish = await this.getDishById(session, item.dishId);
+        if (!dish) {
+          return {
+            success: false,
+            message: `${item.dishName} is no longer on the menu`
+          };
+        }
+
+        const selection = this.modifierService.resolve(dish, updateData.modifiers || []);
+        if (!selection.valid) {
+          return {
+            success: false,
+            needsModifiers: true,
+            missing: selection.missing,
+            message: `${selection.errors.join('. ')}. Nothing was changed.`
+          };
+        }
+
+        item.basePrice = selection.basePrice;
+        item.modifiers = selection.modifiers;
+        item.price = selection.unitPrice;
+      }
+
+      switch (action) {
+        case 'increase':
+          item.quantity += 1;
+          item.itemTotal = item.price * item.quantity;
+          break;
+
+        case 'decrease':
+          if (item.quantity > 1) {
+            item.quantity -= 1;
+            item.itemTotal = item.price * item.quantity;
+          } else {
+            // Remove if quantity would be 0
+            session.orderState.cart.items.splice(itemIndex, 1);
+          }
+          break;
+
+        case 'remove':
+          session.orderState.cart.items.splice(itemIndex, 1);
+          break;
+
+        default:
+          if (newQuantity !== undefined && newQuantity > 0) {
+            item.quantity = newQuantity;
+          }
+          item.itemTotal = item.price * item.quantity;
+      }
+
+      // Recalculate totals
+      await this.recalculateCartTotals(session);
+
+      // Persist
+      await this.persistSessionState(session);
+
+      // Send update
+      if (session.tenantId) {
+        await this.displayClient.sendUpdate(session.id, {
+          type: 'cart_updated',
+          data: {
+            cart: session.orderState.cart,
+            action
+          }
+        });
+      }
+
+      return {
+        success: true,
+        message: 'Cart updated',
+        cart: session.orderState.cart
+      };
     } catch (error) {
-      console.error('[VertexAILive] Restore session error:', error);
+      console.error('[VertexAILive] Update cart error:', error);
+      return {
+        success: false,
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Apply an update_cart_item change to an order that has already been placed
+   * (recomputes totals, prints a -MOD KOT and adjusts payment server-side)
+   */
+  async modifyPlacedOrder(session, updateData) {
+    const { itemId, action, newQuantity } = updateData;
+    const order = session.orderState.finalizedOrder;
+
+    if (action === 'set_modifiers') {
+      return {
+        success: false,
+        message: 'Options can\'t be changed on a placed order. Remove the item and add it again with the new options.'
+      };
+    }
+
+    if (!this.orderManagementService) {
+      return {
+        success: false,
+        message: 'Your order has already been placed and cannot be changed right now.'
+      };
+    }
+
+    const item = order.cart.items.find(line => line.id === itemId);
+    if (!item) {
+      return {
+        success: false,
+        message: 'Item not found in your order'
+      };
+    }
+
+    let quantity = newQuantity;
+    if (action === 'increase') quantity = item.quantity + 1;
+    if (action === 'decrease') quantity = item.quantity - 1;
+
+    try {
+      const result = await this.orderManagementService.modifyOrder(order.orderId, session.tenantId, {
+        type: action === 'remove' || quantity === 0 ? 'remove' : 'update_quantity',
+        itemId,
+        quantity,
+        reason: 'Customer request',
+        modifiedBy: 'customer'
+      });
+
+      const updatedCart = result.order.cart;
+      session.orderState.cart = { ...session.orderState.cart, ...updatedCart };
+      session.orderState.finalizedOrder = { ...order, cart: updatedCart };
+
+      const adjustment = result.modification.paymentAdjustment;
+      if (adjustment?.razorpayOrderId) {
+        session.orderState.razorpayOrderId = adjustment.razorpayOrderId;
+      }
+
+      await this.persistSessionState(session);
+
+      if (session.tenantId) {
+        await this.displayClient.sendUpdate(session.id, {
+          type: 'order_modified',
+          data: {
+            orderId: order.orderId,
+            cart: updatedCart,
+            delta: result.modification.delta,
+            paymentAdjustment: adjustment
+          }
+        });
+
+        if (adjustment?.razorpayOrderId) {
+          await this.displayClient.sendUpdate(session.id, {
+            type: 'payment_pending',
+            data: {
+              orderId: order.orderId,
+              razorpayOrderId: adjustment.razorpayOrderId,
+              amount: adjustment.amount,
+              currency: 'INR',
+              customer: order.customer
+            }
+          });
+        }
+      }
+
+      let message = `Order updated. New total is ₹${updatedCart.total}.`;
+      if (adjustment?.type === 'top_up') {
+        message += ` Please pay the additional ₹${adjustment.amount}.`;
+      } else if (adjustment?.type === 'refund') {
+        message += ` ₹${adjustment.amount} will be refunded to your original payment method.`;
+      } else if (adjustment?.type === 'reissued') {
+        message += ` Please complete the payment of ₹${adjustment.amount}.`;
+      }
+
+      return {
+        success: true,
+        message,
+        cart: updatedCart,
+        paymentAdjustment: adjustment
+      };
+    } catch (error) {
+      console.error('[VertexAILive] Order modification error:', error);
+      let message = error.message;
+      if (message.startsWith('Cannot modify order: invoice')) {
+        message = 'Your bill has already been issued, so the order can\'t be changed here. Please ask our staff for help.';
+      } else if (message.startsWith('Cannot modify order')) {
+        message = 'Your order is already being finished and can no longer be changed.';
+      }
+      return {
+        success: false,
+        message
+      };
+    }
+  }
+
+  /**
+   * Recalculate cart totals
+   */
+  async recalculateCartTotals(session) {
+    const cart = session.orderState.cart;
+
+    await this.applyPricing(session);
+
+    // Delivery fee is added at checkout; the running cart shows item GST only
+    const taxCalculation = this.taxService.calculateCartTax(cart.items, {
+      orderType: session.orderState.deliveryAddress ? 'delivery' : 'pickup',
+      deliveryAddress: session.orderState.deliveryAddress
+    });
+
+    Object.assign(cart, this.taxService.toCartTotals(taxCalculation));
+    cart.lastUpdated = Date.now();
+
+    console.log('[VertexAILive] Cart totals recalculated', {
+      sessionId: session.id,
+      items: cart.items.length,
+      total: cart.total
+    });
+  }
+
+  /**
+   * Run the pricing pass over the cart: combo, promotion and loyalty discounts
+   * go on the lines, and what was applied is kept on the cart
+   * @param {Object} [options] - { orderType } once the customer has chosen one
+   * @returns {Promise<Object|null>} PricingService.priceCart result
+   */
+  async applyPricing(session, { orderType = null } = {}) {
+    const cart = session.orderState.cart;
+    if (!this.pricingService || !session.tenantId) {
       return null;
     }
+
+    const pricing = await this.pricingService.priceCart(session.tenantId, cart.items, {
+      couponCode: session.orderState.couponCode || null,
+      phone: session.orderState.customer?.phone || null,
+      orderType,
+      groupOrder: Boolean(session.orderState.collaborativeOrderId),
+      loyaltyPoints: session.orderState.loyaltyPoints || null
+    });
+    cart.combos = pricing.combos;
+    cart.promotions = pricing.promotions;
+    cart.coupon = pricing.coupon;
+    cart.loyalty = pricing.loyalty;
+
+    return pricing;
   }
 
   /**
-   * Inject service dependencies into session
+   * Apply (or remove) the customer's coupon code and re-price the cart
    */
-  setSessionServices(sessionId, menuService, firebaseService) {
-    const session = this.activeSessions.get(sessionId);
-    if (session) {
-      session.menuService = menuService;
-      session.firebaseService = firebaseService;
-      console.log('[VertexAILive] Services injected into session', { sessionId });
+  async applyCoupon(session, { couponCode, remove = false }) {
+    try {
+      if (!this.pricingService || !session.tenantId) {
+        return {
+          success: false,
+          message: 'Coupons can\'t be used right now'
+        };
+      }
+
+      session.orderState.couponCode = remove ? null : couponCode;
+      await this.recalculateCartTotals(session);
+
+      const cart = session.orderState.cart;
+      const coupon = cart.coupon;
+
+      // A code that doesn't apply isn't kept on the cart
+      if (coupon && !coupon.applied) {
+        session.orderState.couponCode = null;
+        await this.recalculateCartTotals(session);
+      }
+
+      await this.persistSessionState(session);
+
+      if (session.tenantId) {
+        await this.displayClient.sendUpdate(session.id, {
+          type: 'cart_updated',
+          data: cart
+        });
+      }
+
+      if (remove) {
+        return {
+          success: true,
+          message: `Coupon removed. Cart total is ₹${cart.total}`,
+          cartTotal: cart.total
+        };
+      }
+
+      return {
+        success: Boolean(coupon?.applied),
+        message: coupon?.applied
+          ? `${coupon.message}. Cart total is now ₹${cart.total}`
+          : `${coupon?.message || 'The coupon could not be applied'}. Tell the customer.`,
+        discount: cart.discount,
+        cartTotal: cart.total
+      };
+    } catch (error) {
+      console.error('[VertexAILive] Apply coupon error:', error);
+      return {
+        success: false,
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Customer's loyalty balance, for the agent to read out
+   */
+  async getLoyaltyBalance(session) {
+    try {
+      const phone = session.orderState.customer?.phone;
+      if (!this.pricingService || !session.tenantId || !phone) {
+        return {
+          success: false,
+          message: phone ? 'Loyalty points aren\'t available right now' : 'Get the customer\'s phone number first (capture_customer_info)'
+        };
+      }
+
+      const account = await this.pricingService.loyaltyService.getAccount(session.tenantId, phone);
+      session.orderState.customerLoyalty = account;
+
+      if (!account.enabled) {
+        return {
+          success: false,
+          message: 'This restaurant doesn\'t have a loyalty programme'
+        };
+      }
+
+      const parts = [`${account.balance} points, worth ₹${account.value}`];
+      if (account.tier) {
+        parts.push(`${account.tier.name} tier (${account.tier.multiplier}x points)`);
+      }
+      if (account.nextTier) {
+        parts.push(`₹${account.nextTier.spendNeeded} more spend reaches ${account.nextTier.name}`);
+      }
+      if (account.expiringSoon) {
+        parts.push(`${account.expiringSoon.points} points expire on ${new Date(account.expiringSoon.expiresAt).toLocaleDateString()}`);
+      }
+
+      return {
+        success: true,
+        message: `Loyalty balance: ${parts.join('; ')}`,
+        loyalty: account
+      };
+    } catch (error) {
+      console.error('[VertexAILive] Loyalty balance error:', error);
+      return {
+        success: false,
+        message: 'Could not look up loyalty points'
+      };
     }
   }
 
+  /**
+   * Use (or stop using) loyalty points on the cart and re-price it
+   */
+  async redeemLoyaltyPoints(session, { points = null, remove = false } = {}) {
+    try {
+      if (!this.pricingService || !session.tenantId) {
+        return {
+          success: false,
+          message: 'Loyalty points can\'t be used right now'
+        };
+      }
+      if (!remove && !session.orderState.customer?.phone) {
+        return {
+          success: false,
+          message: 'Get the customer\'s phone number first (capture_customer_info)'
+        };
+      }
+
+      // Any positive number asks for that many points; true means "as many as allowed"
+      session.orderState.loyaltyPoints = remove ? null : (Number(points) > 0 ? Number(points) : true);
+      await this.recalculateCartTotals(session);
+
+      const cart = session.orderState.cart;
+      const loyalty = cart.loyalty;
+
+      if (loyalty && !loyalty.applied) {
+        session.orderState.loyaltyPoints = null;
+        await this.recalculateCartTotals(session);
+      }
+
+      await this.persistSessionState(session);
+
+      if (session.tenantId) {
+        await this.displayClient.sendUpdate(session.id, {
+          type: 'cart_updated',
+          data: cart
+        });
+      }
+
+      if (remove) {
+        return {
+          success: true,
+          message: `Points removed. Cart total is ₹${cart.total}`,
+          cartTotal: cart.total
+        };
+      }
+
+      return {
+        success: Boolean(loyalty?.applied),
+        message: loyalty?.applied
+          ? `${loyalty.message}. Cart total is now ₹${cart.total}`
+          : `${loyalty?.message || 'Points could not be used'}. Tell the customer.`,
+        discount: cart.discount,
+        cartTotal: cart.total
+      };
+    } catch (error) {
+      console.error('[VertexAILive] Redeem loyalty points error:', error);
+      return {
+        success: false,
+        message: 'Could not use loyalty points'
+      };
+    }
+  }
+
+  /**
+   * Free slots for a scheduled order, for the agent to offer
+   */
+  async getAvailableSlots(session, { day = null } = {}) {
+    try {
+      if (!this.schedulingService || !session.tenantId) {
+        return {
+          success: false,
+          message: 'Orders can\'t be scheduled right now'
+        };
+      }
+
+      const settings = await this.schedulingService.getSettings(session.tenantId);
+      if (!settings) {
+        return {
+          success: false,
+          message: 'This restaurant doesn\'t take orders for later. Offer to place it for now instead.'
+        };
+      }
+
+      const slots = await this.schedulingService.getAvailableSlots(session.tenantId, { date: day, limit: 12 });
+      if (slots.length === 0) {
+        return {
+          success: false,
+          message: day
+            ? `No free slots ${day}. Offer another day (up to ${settings.maxDaysAhead} days ahead).`
+            : 'No free slots in the coming days'
+        };
+      }
+
+      return {
+        success: true,
+        message: `Free slots: ${slots.map(slot => slot.label).join('; ')}. Offer a few, and pass the chosen slot's time as scheduledFor to finalize_order.`,
+        slots: slots.map(slot => ({ time: slot.start, label: slot.label }))
+      };
+    } catch (error) {
+      console.error('[VertexAILive] Available slots error:', error);
+      return {
+        success: false,
+        message: 'Could not look up available times'
+      };
+    }
+  }
+
+  /**
+   * Persist session state to Firebase
+   */
+  async persistSessionState(session) {
+    try {
+      if (!session.firebaseService) {
+        console.warn('[VertexAILive] Firebase service not available for persistence');
+        return;
+      }
+
+      const sessionData = {
+        tenantId: session.tenantId,
+        userId: session.userId,
+        orderState: {
+          customer: session.orderState.customer,
+          cart: session.orderState.cart
+        },
+        conversation: session.conversation, // Save conversation history
+        updatedAt: new Date().toISOString(),
+        status: session.isActive ? 'active' : 'inactive'
+      };
+
+      await session.firebaseService.createDocument(
+        'sessions',
+        sessionData,
+        session.id
+      );
+
+      console.log('[VertexAILive] Session persisted to Firebase', {
+        sessionId: session.id,
+        cartItems: session.orderState.cart.items.length
+      });
+    } catch (error) {
+      console.error('[VertexAILive] Persist session error:', error);
+      // Don't throw - persistence failure shouldn't break the session
+    }
+  }
+
+  /**
+   * Restore session state from Firebase
+   */
+  async restoreSessionState(sessionId, firebaseService) {
+    try {
+      const sessionData = await firebaseService.getDocument('sessions', sessionId);
+
+      if (!sessionData) {
+        console.log('[VertexAILive] No stored session found', { sessionId });
+        return null;
+      }
+
+      console.log('[VertexAILive] Session restored from Firebase', {
+        sessionId,
+        cartItems: sessionData.orderState?.cart?.items?.length || 0,
+        customer: sessionData.orderState?.customer?.name || 'N/A'
+      });
+
+      return sessionData;
+    } catch (error) {
+      console.error('[VertexAILive] Restore session error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Inject service dependencies into session
+   */
+  setSessionServices(sessionId, menuService, firebaseService) {
+    const session = this.activeSessions.get(sessionId);
+    if (session) {
+      session.menuService = menuService;
+      session.firebaseService = firebaseService;
+      console.log('[VertexAILive] Services injected into session', { sessionId });
+    }
+  }
+
+  /**
+   * Inject the shared OrderManagementService used to place and manage orders
+   */
+  setOrderManagementService(orderManagementService) {
+    this.orderManagementService = orderManagementService;
+  }
+
+  /**
+   * Inject the EtaService used to quote load-aware delivery times
+   */
+  setEtaService(etaService) {
+    this.etaService = etaService;
+  }
+
+  /**
+   * Inject the AvailabilityService that holds the 86 list and stock counts
+   */
+  setAvailabilityService(availabilityService) {
+    this.availabilityService = availabilityService;
+  }
+
+  /**
+   * Inject the PricingService that applies combo prices to carts
+   */
+  setPricingService(pricingService) {
+    this.pricingService = pricingService;
+  }
+
+  /**
+   * Inject the SchedulingService that books slots for orders placed for later
+   */
+  setSchedulingService(schedulingService) {
+    this.schedulingService = schedulingService;
+  }
+
+  /**
+   * Inject the OperatingHoursService that decides whether orders for now are taken
+   */
+  setOperatingHoursService(operatingHoursService) {
+    this.operatingHoursService = operatingHoursService;
+  }
+
+  /**
+   * Inject the TableService that keeps dine-in tables' running tabs
+   */
+  setTableService(tableService) {
+    this.tableService = tableService;
+  }
+
+  /**
+   * Inject the SplitPaymentService that takes online group orders in shares
+   */
+  setSplitPaymentService(splitPaymentService) {
+    this.splitPaymentService = splitPaymentService;
+  }
+
+  /**
+   * Inject the UpiPaymentService that puts a UPI QR / intent link on the display
+   */
+  setUpiPaymentService(upiPaymentService) {
+    this.upiPaymentService = upiPaymentService;
+  }
+
+  /**
+   * Check the cart against the 86 list and schedules, then take stock for the order
+   * @returns {Promise<Array>} Problems with the cart (empty when the order can go ahead)
+   */
+  async reserveCartItems(session, orderId) {
+    if (!this.availabilityService || !session.tenantId) {
+      return [];
+    }
+
+    const items = session.orderState.cart.items;
+    const menuItems = session.menuService ? await session.menuService.listMenuItems(session.tenantId) : [];
+    const problems = await this.availabilityService.checkCart(session.tenantId, items, menuItems);
+
+    if (problems.length > 0) {
+      return problems.map(problem => problem.message);
+    }
+
+    try {
+      await this.availabilityService.reserveStock(session.tenantId, orderId, items);
+      return [];
+    } catch (error) {
+      if (error.message.startsWith('Not enough stock')) {
+        return [error.message];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Count the cart's promotions against their usage limits for a new order.
+   * When a limit was reached since the cart was priced, the stock taken for
+   * the order goes back and the cart is re-priced without the offer.
+   * @returns {Promise<Array>} Offers that could not be used (empty when the order can go ahead)
+   */
+  async redeemCartPromotions(session, orderId) {
+    const promotions = session.orderState.cart.promotions || [];
+    if (!this.pricingService || !session.tenantId || promotions.length === 0) {
+      return [];
+    }
+
+    try {
+      await this.pricingService.promotionService.redeem(
+        session.tenantId,
+        orderId,
+        session.orderState.customer?.phone,
+        promotions
+      );
+      return [];
+    } catch (error) {
+      if (!error.message.startsWith('Promotion limit reached')) {
+        throw error;
+      }
+
+      if (this.availabilityService) {
+        await this.availabilityService.releaseStock(session.tenantId, orderId);
+      }
+      await this.recalculateCartTotals(session);
+      if (session.orderState.cart.coupon?.applied === false) {
+        session.orderState.couponCode = null;
+        await this.recalculateCartTotals(session);
+      }
+
+      return [error.message.replace('Promotion limit reached: ', '')];
+    }
+  }
+
+  /**
+   * Take the cart's loyalty points off the customer's balance for a new order.
+   * When the balance no longer covers them, the stock and offers taken for
+   * the order go back and the cart is re-priced without points.
+   * @returns {Promise<string|null>} Why the points could not be used, or null when the order can go ahead
+   */
+  async redeemCartPoints(session, orderId) {
+    const loyalty = session.orderState.cart.loyalty;
+    if (!this.pricingService || !session.tenantId || !loyalty?.applied) {
+      return null;
+    }
+
+    try {
+      await this.pricingService.loyaltyService.redeem(
+        session.tenantId,
+        orderId,
+        session.orderState.customer?.phone,
+        loyalty.points
+      );
+      return null;
+    } catch (error) {
+      if (!error.message.startsWith('Not enough loyalty points')) {
+        throw error;
+      }
+
+      if (this.availabilityService) {
+        await this.availabilityService.releaseStock(session.tenantId, orderId);
+      }
+      await this.pricingService.promotionService.release(session.tenantId, orderId);
+      session.orderState.loyaltyPoints = null;
+      await this.recalculateCartTotals(session);
+
+      return error.message;
+    }
+  }
+
+  /**
+   * Count a scheduled order against its slot's capacity. When the slot filled
+   * up since it was offered, the stock, offers and points taken for the
+   * order go back.
+   * @returns {Promise<string|null>} Why the slot could not be booked, or null when the order can go ahead
+   */
+  async bookCartSlot(session, orderData) {
+    if (!orderData.scheduledFor || !this.schedulingService) {
+      return null;
+    }
+
+    try {
+      orderData.schedule = await this.schedulingService.bookSlot(session.tenantId, orderData);
+      return null;
+    } catch (error) {
+      if (!error.message.startsWith('Slot unavailable')) {
+        throw error;
+      }
+
+      await this.releaseCartHolds(session, orderData.orderId);
+
+      return error.message.replace('Slot unavailable: ', '');
+    }
+  }
+
+  /**
+   * Take everything a checked-out cart needs before the order is saved:
+   * stock, offer uses, loyalty points, then the slot. Stops at the first
+   * hold that can't be had (that step gives back what it needs to). If a
+   * step fails outright, every hold already taken goes back before the
+   * error is rethrown.
+   * @returns {Promise<Object>} { unavailable, exhausted, pointsError, slotError } (all empty when the order can go ahead)
+   */
+  async holdCart(session, orderData) {
+    const holds = { unavailable: [], exhausted: [], pointsError: null, slotError: null };
+
+    try {
+      holds.unavailable = await this.reserveCartItems(session, orderData.orderId);
+      if (holds.unavailable.length > 0) {
+        return holds;
+      }
+
+      holds.exhausted = await this.redeemCartPromotions(session, orderData.orderId);
+      if (holds.exhausted.length > 0) {
+        return holds;
+      }
+
+      holds.pointsError = await this.redeemCartPoints(session, orderData.orderId);
+      if (holds.pointsError) {
+        return holds;
+      }
+
+      holds.slotError = await this.bookCartSlot(session, orderData);
+      return holds;
+    } catch (error) {
+      console.error('[VertexAILive] Failed to take cart holds, releasing them:', error);
+      await this.releaseCartHolds(session, orderData.orderId);
+      throw error;
+    }
+  }
+
+  /**
+   * Give back the stock, offer uses and points taken for an order that
+   * couldn't be placed
+   */
+  async releaseCartHolds(session, orderId) {
+    if (this.availabilityService) {
+      await this.availabilityService.releaseStock(session.tenantId, orderId);
+    }
+    if (this.pricingService) {
+      await this.pricingService.promotionService.release(session.tenantId, orderId);
+      await this.pricingService.loyaltyService.reverse(session.tenantId, orderId);
+    }
+  }
+
+  /**
+   * Save a checked-out order. When the save fails the stock, offer uses,
+   * points and slot taken for it go back, as no cancellation will ever
+   * release them.
+   * @returns {Promise<Object>} Saved order
+   */
+  async saveCartOrder(session, orderData) {
+    try {
+      return await this.orderManagementService.createOrder(
+        session.tenantId,
+        session.orderState.customer.phone,
+        orderData
+      );
+    } catch (error) {
+      await this.releaseCartHolds(session, orderData.orderId);
+      if (orderData.schedule && this.schedulingService) {
+        await this.schedulingService.releaseSlot(session.tenantId, orderData.orderId, orderData.schedule.slotStart);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Send the cart to the kitchen as the next round on the session's table
+   * tab, then empty the cart for the next round
+   * @returns {Promise<Object>} Function result for the agent
+   */
+  async placeTableRound(session, orderData) {
+    const table = session.orderState.table;
+
+    let placed;
+    try {
+      placed = await this.tableService.addRound(session.tenantId, table, orderData);
+    } catch (error) {
+      await this.releaseCartHolds(session, orderData.orderId);
+      throw error;
+    }
+
+    const { tab, order } = placed;
+    const bill = await this.tableService.getTabBill(session.tenantId, tab.tabId);
+
+    session.orderState.cart = { items: [], subtotal: 0, tax: 0, total: 0, lastUpdated: Date.now() };
+    session.orderState.couponCode = null;
+    session.orderState.loyaltyPoints = null;
+    session.orderState.lastRound = { orderId: order.orderId, tabId: tab.tabId, round: order.tabRound };
+    await this.persistSessionState(session);
+
+    if (session.tenantId) {
+      await this.displayClient.sendUpdate(session.id, {
+        type: 'order_confirmed',
+        data: {
+          orderId: order.orderId,
+          orderType: 'dine-in',
+          paymentMethod: 'tab',
+          table: table.name,
+          tabId: tab.tabId,
+          round: order.tabRound,
+          total: order.cart.total,
+          tabTotal: bill.total,
+          message: `Round ${order.tabRound} is on its way to the kitchen`
+        }
+      });
+      await this.displayClient.sendUpdate(session.id, {
+        type: 'cart_updated',
+        data: session.orderState.cart
+      });
+    }
+
+    return {
+      success: true,
+      order: { orderId: order.orderId, round: order.tabRound, total: order.cart.total },
+      tab: { tabId: tab.tabId, table: table.name, rounds: bill.rounds.length, total: bill.total },
+      message: `Round ${order.tabRound} (₹${order.cart.total}) has gone to the kitchen. The table's tab is now ₹${bill.total} including GST; it's paid when they ask for the bill.`,
+      nextStep: 'tab'
+    };
+  }
+
+  /**
+   * The running tab for the session's table, optionally asking staff for the bill
+   */
+  async getTableTab(session, { requestBill = false } = {}) {
+    try {
+      const table = session.orderState.table;
+      if (!table || !this.tableService) {
+        return {
+          success: false,
+          message: 'This isn\'t a table order. Tabs are only for customers ordering from a table\'s QR code.'
+        };
+      }
+
+      const tab = await this.tableService.getOpenTab(session.tenantId, table.id);
+      if (!tab) {
+        return {
+          success: true,
+          message: `Nothing has been ordered at table ${table.name} yet.`,
+          rounds: [],
+          total: 0
+        };
+      }
+
+      const bill = requestBill
+        ? await this.tableService.requestBill(session.tenantId, tab.tabId)
+        : await this.tableService.getTabBill(session.tenantId, tab.tabId);
+      const rounds = bill.rounds.filter(round => round.status !== 'cancelled');
+      const summary = rounds.map(round =>
+        `Round ${round.round}: ${round.items.map(item => `${item.quantity} ${item.dishName}`).join(', ')}`
+      ).join('. ');
+
+      return {
+        success: true,
+        message: `${summary}. Total ₹${bill.total} including GST.${requestBill ? ' Staff have been asked to bring the bill.' : ''}`,
+        rounds: rounds.map(round => ({ round: round.round, items: round.items.length, total: round.total })),
+        total: bill.total,
+        billRequested: !!bill.tab.billRequestedAt
+      };
+    } catch (error) {
+      console.error('[VertexAILive] Table tab error:', error);
+      return {
+        success: false,
+        message: 'Could not look up the table\'s tab'
+      };
+    }
+  }
+
+  /**
+   * Cancellation policy, quoted against the session's order when there is one
+   */
+  async getCancellationPolicy(session) {
+    try {
+      if (!this.orderManagementService || !session.tenantId) {
+        return {
+          success: false,
+          message: 'Could not look up the cancellation policy'
+        };
+      }
+
+      const policyService = this.orderManagementService.cancellationPolicyService;
+      const policy = await policyService.getPolicy(session.tenantId);
+      const description = policyService.describePolicy(policy);
+
+      const orderId = session.orderState.finalizedOrder?.orderId;
+      if (!orderId) {
+        return { success: true, policy: description, message: description };
+      }
+
+      const quote = await this.orderManagementService.quoteCancellation(orderId, session.tenantId);
+      const now = quote.status === 'cancelled' ? `Order ${orderId} is already cancelled.`
+        : quote.status === 'delivered' ? `Order ${orderId} has been delivered, so it can no longer be cancelled.`
+        : quote.paidAmount === 0 ? `Nothing has been paid online for order ${orderId}, so there is nothing to refund.`
+          : `If order ${orderId} were cancelled now, ₹${quote.refundAmount} of the ₹${quote.paidAmount} paid would be refunded.`;
+
+      return {
+        success: true,
+        policy: description,
+        quote: {
+          orderId,
+          stage: quote.stage,
+          refundPercent: quote.refundPercent,
+          paidAmount: quote.paidAmount,
+          refundAmount: quote.refundAmount
+        },
+        message: `${description} ${now}`
+      };
+    } catch (error) {
+      console.error('[VertexAILive] Cancellation policy error:', error);
+      return {
+        success: false,
+        message: 'Could not look up the cancellation policy'
+      };
+    }
+  }
+
+  /**
+   * Availability change listener: tell live sessions for the tenant that a dish
+   * sold out or came back, so the agent stops (or starts) offering it
+   */
+  async handleAvailabilityChange(tenantId, change) {
+    for (const session of this.activeSessions.values()) {
+      if (session.tenantId !== tenantId || !session.isActive) {
+        continue;
+      }
+
+      const inCart = session.orderState.cart.items.some(item => item.dishId === change.itemId);
+      const note = change.available
+        ? `[Kitchen update] ${change.itemName} is available again.`
+        : `[Kitchen update] ${change.itemName} just sold out. Don't offer it.${inCart
+          ? ' It is in the customer\'s cart: let them know and help them pick something else.'
+          : ''}`;
+
+      if (session.ws?.readyState === 1) { // 1 = OPEN
+        session.ws.send(JSON.stringify({
+          clientContent: {
+            turns: [{ role: 'user', parts: [{ text: note }] }],
+            turnComplete: false
+          }
+        }));
+      }
+
+      try {
+        await this.displayClient.sendMenuAvailability(session.id, { ...change, inCart });
+      } catch (error) {
+        console.warn('[VertexAILive] Could not update display with availability:', error.message);
+      }
+
+      console.log('[VertexAILive] Availability change sent to session', {
+        sessionId: session.id,
+        itemId: change.itemId,
+        available: change.available
+      });
+    }
+  }
+
+  /**
+   * Store status listener: tell live sessions for the tenant that the restaurant
+   * paused or resumed orders, or that its hours changed
+   */
+  async handleStoreStatusChange(tenantId, status) {
+    for (const session of this.activeSessions.values()) {
+      if (session.tenantId !== tenantId || !session.isActive) {
+        continue;
+      }
+
+      const note = status.open
+        ? '[Restaurant update] We\'re taking orders for now again.'
+        : `[Restaurant update] ${status.message}. Orders for now can't be placed: let the customer know kindly, and offer to schedule the order for later.`;
+
+      if (session.ws?.readyState === 1) { // 1 = OPEN
+        session.ws.send(JSON.stringify({
+          clientContent: {
+            turns: [{ role: 'user', parts: [{ text: note }] }],
+            turnComplete: false
+          }
+        }));
+      }
+
+      console.log('[VertexAILive] Store status change sent to session', {
+        sessionId: session.id,
+        open: status.open,
+        reason: status.reason
+      });
+    }
+  }
+
+  /**
+   * Order event listener: when an order placed in a live session is paid
+   * (UPI, checkout, webhook or reconciliation), fails to be paid, or its UPI
+   * QR runs out, tell the agent so it can speak up, and confirm paid orders
+   * on the display
+   */
+  async handlePaymentUpdate(tenantId, order, eventType) {
+    if (!['payment_confirmed', 'payment_failed', 'upi_payment_expired'].includes(eventType)) {
+      return;
+    }
+
+    for (const session of this.activeSessions.values()) {
+      if (session.tenantId !== tenantId || !session.isActive || session.orderState.finalizedOrder?.orderId !== order.orderId) {
+        continue;
+      }
+
+      let note;
+      if (eventType === 'payment_confirmed') {
+        if (order.status === 'cancelled') {
+          continue; // Flagged for a refund; nothing to announce
+        }
+
+        const scheduled = order.status === 'scheduled';
+        note = `[Payment update] Payment of ₹${order.cart?.total} received for order ${order.orderId}. Tell the customer their payment came through and the order is ${scheduled ? 'booked for its slot' : 'confirmed and going to the kitchen'}.`;
+
+        session.orderState.finalizedOrder = { ...session.orderState.finalizedOrder, status: order.status, paymentStatus: 'paid' };
+        await this.persistSessionState(session);
+
+        try {
+          await this.displayClient.sendUpdate(session.id, {
+            type: 'order_confirmed',
+            data: {
+              orderId: order.orderId,
+              orderType: order.orderType,
+              paymentMethod: 'online',
+              total: order.cart?.total,
+              estimatedTime: order.estimatedDeliveryTime?.timeRange || '30-40 mins',
+              scheduledFor: order.scheduledFor,
+              message: scheduled ? 'Payment received. Your order is scheduled!' : 'Payment received. Your order has been confirmed!'
+            }
+          });
+        } catch (error) {
+          console.warn('[VertexAILive] Could not update display with payment confirmation:', error.message);
+        }
+      } else if (eventType === 'payment_failed') {
+        note = `[Payment update] The payment for order ${order.orderId} failed${order.lastPaymentError?.description ? ` (${order.lastPaymentError.description})` : ''}. Let the customer know, and offer to try again or pay cash.`;
+      } else {
+        note = `[Payment update] The UPI QR for order ${order.orderId} expired before it was paid. Let the customer know; they can still pay from the payment screen or choose cash.`;
+      }
+
+      if (session.ws?.readyState === 1) { // 1 = OPEN
+        session.ws.send(JSON.stringify({
+          clientContent: {
+            turns: [{ role: 'user', parts: [{ text: note }] }],
+            turnComplete: true // Speak up now rather than on the customer's next turn
+          }
+        }));
+      }
+
+      console.log('[VertexAILive] Payment update sent to session', {
+        sessionId: session.id,
+        orderId: order.orderId,
+        eventType
+      });
+    }
+  }
+
+  /**
+   * Order event listener: tell the customer's display when their order is
+   * cancelled and when its refund goes through (or fails), and the agent
+   * too if the customer is still on the call
+   */
+  async handleCancellationUpdate(tenantId, order, eventType) {
+    const refundSettled = eventType === 'refund_updated' && ['processed', 'failed'].includes(order.refundStatus);
+    if (order.status !== 'cancelled' || (eventType !== 'order_cancelled' && !refundSettled) || !order.sessionId) {
+      return;
+    }
+
+    const refundAmount = order.cancellation?.refundAmount || 0;
+    let message;
+    if (refundSettled) {
+      message = order.refundStatus === 'processed'
+        ? `Your refund of ₹${refundAmount} has been processed. It can take 5-7 working days to reach your account.`
+        : 'We couldn\'t process your refund automatically. The restaurant has been told and will sort it out.';
+    } else if (refundAmount > 0) {
+      message = `Your order has been cancelled. ₹${refundAmount} will be refunded to your original payment method.`;
+    } else if (order.cancellation?.paidAmount > 0) {
+      message = `Your order has been cancelled. As ${order.cancellation.stage === 'dispatched' ? 'it was already on its way' : 'the kitchen had already started on it'}, no refund applies under the restaurant's cancellation policy.`;
+    } else {
+      message = 'Your order has been cancelled.';
+    }
+
+    try {
+      await this.displayClient.sendUpdate(order.sessionId, {
+        type: 'order_cancelled',
+        data: {
+          orderId: order.orderId,
+          reason: order.cancellationReason || null,
+          refundAmount,
+          refundStatus: order.refundStatus || 'none',
+          message
+        }
+      });
+    } catch (error) {
+      console.warn('[VertexAILive] Could not update display with cancellation:', error.message);
+    }
+
+    const session = this.activeSessions.get(order.sessionId);
+    if (eventType === 'order_cancelled' && session?.isActive && session.ws?.readyState === 1) { // 1 = OPEN
+      session.ws.send(JSON.stringify({
+        clientContent: {
+          turns: [{
+            role: 'user',
+            parts: [{ text: `[Order update] The restaurant cancelled order ${order.orderId}${order.cancellationReason ? ` (${order.cancellationReason})` : ''}. Tell the customer: ${message}` }]
+          }],
+          turnComplete: true
+        }
+      }));
+    }
+
+    console.log('[VertexAILive] Cancellation update sent to customer', {
+      sessionId: order.sessionId,
+      orderId: order.orderId,
+      eventType,
+      refundStatus: order.refundStatus
+    });
+  }
+
+  /**
+   * Delivery ETA for the session's cart: load-aware when an EtaService is set
+   */
+  async estimateDeliveryTime(session, distance, zone) {
+    if (this.etaService && session.tenantId) {
+      return this.etaService.estimateDeliveryTime(session.tenantId, {
+        items: session.orderState.cart?.items || [],
+        distance,
+        zone
+      });
+    }
+
+    return this.deliveryService.calculateEstimatedDeliveryTime(distance, 20, zone);
+  }
+
   /**
    * Cleanup
    */
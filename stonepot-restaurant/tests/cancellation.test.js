@@ -0,0 +1,132 @@
+/**
+ * Cancelling orders under the tenant's cancellation policy
+ */
+
+import { describe, test, expect, mock, beforeEach } from 'bun:test';
+import { FakeFirebaseService } from './helpers/FakeFirebaseService.js';
+import { OrderManagementService } from '../src/services/OrderManagementService.js';
+
+const TENANT = 'tenant-1';
+
+let firebase;
+let paymentService;
+let orderManagementService;
+
+const placePaidOrder = (orderId, extra = {}) => firebase.createOrder(TENANT, '9876543210', {
+  orderId,
+  customer: { name: 'Asha', phone: '9876543210' },
+  cart: {
+    items: [{ id: 'line-1', dishId: 'dish-thali', dishName: 'Veg Thali', quantity: 2, price: 250, itemTotal: 500 }],
+    subtotal: 500,
+    total: 500
+  },
+  orderType: 'delivery',
+  paymentMethod: 'online',
+  paymentStatus: 'paid',
+  razorpayPaymentId: 'pay_1',
+  status: 'confirmed',
+  createdAt: new Date().toISOString(),
+  ...extra
+});
+
+const cancel = (orderId) => orderManagementService.cancelOrder(orderId, TENANT, 'Customer changed their mind', 'dashboard');
+
+const refundedAmounts = () => paymentService.refundPayment.mock.calls.map(([paymentId, amount]) => [paymentId, amount]);
+
+beforeEach(() => {
+  firebase = new FakeFirebaseService();
+  let refunds = 0;
+  paymentService = {
+    refundPayment: mock(async () => ({ id: `rfnd_${++refunds}`, status: 'processed' }))
+  };
+  orderManagementService = new OrderManagementService(firebase, { paymentService });
+});
+
+describe('cancelOrder refunds by stage', () => {
+  test('refunds everything before the kitchen accepts the order', async () => {
+    await placePaidOrder('ORD-1');
+
+    const order = await cancel('ORD-1');
+
+    expect(refundedAmounts()).toEqual([['pay_1', 500]]);
+    expect(order.cancellation).toEqual({ stage: 'before_acceptance', refundPercent: 100, paidAmount: 500, refundAmount: 500 });
+    expect(order).toMatchObject({ status: 'cancelled', refundStatus: 'processed' });
+    expect(order.statusTimeline.at(-1)).toMatchObject({ status: 'cancelled', updatedBy: 'dashboard' });
+  });
+
+  test('refunds half once the kitchen is preparing it', async () => {
+    await placePaidOrder('ORD-2', { status: 'preparing', acceptedAt: new Date().toISOString() });
+
+    const order = await cancel('ORD-2');
+
+    expect(refundedAmounts()).toEqual([['pay_1', 250]]);
+    expect(order.cancellation).toMatchObject({ stage: 'preparing', refundAmount: 250 });
+  });
+
+  test('refunds nothing once a rider has picked it up', async () => {
+    await placePaidOrder('ORD-3', { status: 'ready', acceptedAt: new Date().toISOString(), delivery: { courier: 'mock', status: 'picked_up' } });
+
+    const order = await cancel('ORD-3');
+
+    expect(paymentService.refundPayment).not.toHaveBeenCalled();
+    expect(order).toMatchObject({ status: 'cancelled', refundStatus: 'none', cancellation: { stage: 'dispatched', refundAmount: 0 } });
+  });
+
+  test('uses the tenant\'s policy and refunds each share of a group order', async () => {
+    await firebase.createDocument('organizations', {
+      cancellationPolicy: { preparing: { refundPercent: 80 } }
+    }, TENANT);
+    await placePaidOrder('ORD-4', {
+      status: 'preparing',
+      acceptedAt: new Date().toISOString(),
+      razorpayPaymentId: null,
+      splitPayment: {
+        status: 'paid',
+        shares: [
+          { status: 'paid', razorpayPaymentId: 'pay_a', amount: 300 },
+          { status: 'paid', razorpayPaymentId: 'pay_b', amount: 200 }
+        ]
+      }
+    });
+
+    const order = await cancel('ORD-4');
+
+    expect(refundedAmounts()).toEqual([['pay_a', 240], ['pay_b', 160]]);
+    expect(order.cancellation).toMatchObject({ refundPercent: 80, paidAmount: 500, refundAmount: 400 });
+    expect(order.refunds).toHaveLength(2);
+  });
+});
+
+describe('cancelOrder refusals', () => {
+  test('refuses a delivered order', async () => {
+    await placePaidOrder('ORD-5', { status: 'delivered', delivery: { courier: 'mock', status: 'delivered' } });
+
+    await expect(cancel('ORD-5')).rejects.toThrow('Cannot cancel a delivered order');
+    expect(paymentService.refundPayment).not.toHaveBeenCalled();
+    expect((await orderManagementService.getOrderById('ORD-5', TENANT)).status).toBe('delivered');
+
+    const quote = await orderManagementService.quoteCancellation('ORD-5', TENANT);
+    expect(quote).toMatchObject({ cancellable: false, refundAmount: 0 });
+  });
+
+  test('refunds once when two cancels race', async () => {
+    await placePaidOrder('ORD-6');
+
+    const results = await Promise.allSettled([cancel('ORD-6'), cancel('ORD-6')]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.message).toBe('Order is already cancelled');
+    expect(refundedAmounts()).toEqual([['pay_1', 500]]);
+
+    const order = await orderManagementService.getOrderById('ORD-6', TENANT);
+    expect(order.refunds).toHaveLength(1);
+  });
+
+  test('refuses a repeated cancel', async () => {
+    await placePaidOrder('ORD-7');
+    await cancel('ORD-7');
+
+    await expect(cancel('ORD-7')).rejects.toThrow('Order is already cancelled');
+    expect(paymentService.refundPayment).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Cash on delivery: the amount to collect, collections on rider and counter shifts, and shift reconciliation
+ */
+
+import { describe, test, expect, beforeEach } from 'bun:test';
+import { FakeFirebaseService } from './helpers/FakeFirebaseService.js';
+import { OrderManagementService } from '../src/services/OrderManagementService.js';
+
+const TENANT = 'tenant-1';
+const RIDER = { id: 'rider-1', name: 'Suresh', phone: '9000000001' };
+
+let firebase;
+let orderManagementService;
+let cashSettlementService;
+
+const placeOrder = (orderId, total, extra = {}) => orderManagementService.createOrder(TENANT, '9876543210', {
+  orderId,
+  customer: { name: 'Asha', phone: '9876543210' },
+  cart: {
+    items: [{ id: 'line-1', dishId: 'dish-thali', dishName: 'Veg Thali', quantity: 1, price: total, itemTotal: total }],
+    subtotal: total,
+    total
+  },
+  orderType: 'delivery',
+  paymentMethod: 'cash',
+  status: 'confirmed',
+  delivery: { courier: 'self', status: 'picked_up', driverDetails: RIDER },
+  createdAt: new Date().toISOString(),
+  ...extra
+});
+
+const deliver = (orderId, amount, collection = {}) =>
+  orderManagementService.markOrderDelivered(orderId, TENANT, 'Suresh', { amount, ...collection });
+
+beforeEach(() => {
+  firebase = new FakeFirebaseService();
+  orderManagementService = new OrderManagementService(firebase, {});
+  cashSettlementService = orderManagementService.cashSettlementService;
+});
+
+describe('createOrder', () => {
+  test('gives cash orders the amount to collect, and online orders nothing', async () => {
+    const cash = await placeOrder('ORD-1', 525);
+    const online = await placeOrder('ORD-2', 300, { paymentMethod: 'online' });
+
+    expect(cash.cod).toEqual({ expectedAmount: 525, collectedAmount: null, status: 'pending' });
+    expect(online.cod).toBeUndefined();
+  });
+});
+
+describe('collecting cash', () => {
+  test('puts the own rider\'s collections on one shift and flags a short handover', async () => {
+    await placeOrder('ORD-1', 525);
+    await placeOrder('ORD-2', 300);
+
+    const first = await deliver('ORD-1', 525);
+    const second = await deliver('ORD-2', 280);
+
+    expect(first).toMatchObject({ status: 'delivered', cod: { status: 'collected', difference: 0, collector: { type: 'rider', id: 'rider-1', name: 'Suresh' } } });
+    expect(second.cod).toMatchObject({ status: 'short', expectedAmount: 300, collectedAmount: 280, difference: -20 });
+    expect(second.cod.shiftId).toBe(first.cod.shiftId);
+
+    const report = await cashSettlementService.getShiftReport(TENANT, first.cod.shiftId);
+    expect(report).toMatchObject({ status: 'open', orderCount: 2, expectedAmount: 825, collectedAmount: 805, difference: -20, cashVariance: null, flagged: true });
+    expect(report.discrepancies).toEqual([{
+      orderId: 'ORD-2',
+      status: 'short',
+      expectedAmount: 300,
+      collectedAmount: 280,
+      difference: -20,
+      collector: { type: 'rider', id: 'rider-1', name: 'Suresh' },
+      shiftId: first.cod.shiftId
+    }]);
+  });
+
+  test('records cash once, and not for cancelled or online orders', async () => {
+    await placeOrder('ORD-1', 525);
+    await deliver('ORD-1', 525);
+    await expect(orderManagementService.recordCashCollection('ORD-1', TENANT, { amount: 525 }))
+      .rejects.toThrow('Cash is already recorded for this order');
+
+    await placeOrder('ORD-2', 300, { status: 'confirmed', delivery: null });
+    const cancelled = await orderManagementService.cancelOrder('ORD-2', TENANT, 'Customer changed their mind', 'dashboard');
+    expect(cancelled.cod.status).toBe('cancelled');
+    await expect(orderManagementService.recordCashCollection('ORD-2', TENANT, { amount: 300 }))
+      .rejects.toThrow('Cannot record cash: order is cancelled');
+
+    await placeOrder('ORD-3', 300, { paymentMethod: 'online' });
+    await expect(orderManagementService.recordCashCollection('ORD-3', TENANT, { amount: 300 }))
+      .rejects.toThrow('Cannot record cash: order is not cash on delivery');
+  });
+});
+
+describe('settling shifts', () => {
+  test('compares the cash handed in with the float plus collections', async () => {
+    const shift = await cashSettlementService.openShift(TENANT, { collectorType: 'counter', collectorId: 'main', openingFloat: 500 });
+    await expect(cashSettlementService.openShift(TENANT, { collectorType: 'counter', collectorId: 'main' }))
+      .rejects.toThrow('Collector already has an open shift');
+
+    await placeOrder('ORD-1', 240, { orderType: 'pickup', delivery: null });
+    const collected = await deliver('ORD-1', 250, { collectorType: 'counter' });
+    expect(collected.cod).toMatchObject({ status: 'excess', difference: 10, shiftId: shift.shiftId, collector: { type: 'counter', id: 'main' } });
+
+    const report = await cashSettlementService.closeShift(TENANT, shift.shiftId, { declaredAmount: 740, closedBy: 'manager' });
+    expect(report).toMatchObject({ status: 'closed', expectedCash: 750, declaredAmount: 740, cashVariance: -10, flagged: true });
+    await expect(cashSettlementService.closeShift(TENANT, shift.shiftId, { declaredAmount: 740 })).rejects.toThrow('Shift is already closed');
+
+    // The next collection opens a fresh shift
+    await placeOrder('ORD-2', 100, { orderType: 'pickup', delivery: null });
+    const next = await deliver('ORD-2', 100, { collectorType: 'counter' });
+    expect(next.cod.shiftId).not.toBe(shift.shiftId);
+  });
+
+  test('reports riders and counters separately with period totals', async () => {
+    await placeOrder('ORD-1', 525);
+    await placeOrder('ORD-2', 240, { orderType: 'pickup', delivery: null });
+    await deliver('ORD-1', 500);
+    await deliver('ORD-2', 240, { collectorType: 'counter' });
+
+    const reconciliation = await orderManagementService.getCashReconciliation(TENANT, 'today');
+
+    expect(reconciliation.riders.map(report => [report.collector.id, report.collectedAmount])).toEqual([['rider-1', 500]]);
+    expect(reconciliation.counters.map(report => [report.collector.id, report.collectedAmount])).toEqual([['main', 240]]);
+    expect(reconciliation.totals).toMatchObject({ shifts: 2, openShifts: 2, orderCount: 2, expectedAmount: 765, collectedAmount: 740, difference: -25, flaggedShifts: 1 });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Checkout: taking the cart's holds and saving a checked-out order
+ */
+
+import { describe, test, expect, mock } from 'bun:test';
+import { VertexAILiveService } from '../src/services/VertexAILiveService.js';
+
+const createService = (createOrder) => {
+  const service = Object.create(VertexAILiveService.prototype);
+  service.orderManagementService = { createOrder: mock(createOrder) };
+  service.availabilityService = {
+    checkCart: mock(async () => []),
+    reserveStock: mock(async () => {}),
+    releaseStock: mock(async () => [])
+  };
+  service.pricingService = {
+    promotionService: { redeem: mock(async () => {}), release: mock(async () => {}) },
+    loyaltyService: { redeem: mock(async () => {}), reverse: mock(async () => {}) }
+  };
+  service.schedulingService = {
+    bookSlot: mock(async (tenantId, orderData) => ({ slotStart: orderData.scheduledFor })),
+    releaseSlot: mock(async () => true)
+  };
+  service.recalculateCartTotals = mock(async () => {});
+  return service;
+};
+
+const session = { tenantId: 'tenant-1', orderState: { customer: { phone: '9876543210' } } };
+
+const cartSession = () => ({
+  tenantId: 'tenant-1',
+  orderState: {
+    customer: { phone: '9876543210' },
+    cart: {
+      items: [{ id: 'line-1', dishId: 'dish-thali', dishName: 'Veg Thali', quantity: 1, price: 250 }],
+      promotions: [{ promotionId: 'flat50', code: 'FLAT50' }],
+      loyalty: { points: 40, amount: 40, applied: true }
+    }
+  }
+});
+
+const expectReleased = (service, orderId) => {
+  expect(service.availabilityService.releaseStock).toHaveBeenCalledWith('tenant-1', orderId);
+  expect(service.pricingService.promotionService.release).toHaveBeenCalledWith('tenant-1', orderId);
+  expect(service.pricingService.loyaltyService.reverse).toHaveBeenCalledWith('tenant-1', orderId);
+};
+
+describe('holdCart', () => {
+  test('takes stock, offers, points and the slot', async () => {
+    const service = createService(async () => ({}));
+    const orderData = { orderId: 'ORD-1', scheduledFor: '2026-10-19T13:00:00.000Z' };
+
+    const holds = await service.holdCart(cartSession(), orderData);
+
+    expect(holds).toEqual({ unavailable: [], exhausted: [], pointsError: null, slotError: null });
+    expect(service.availabilityService.reserveStock).toHaveBeenCalledTimes(1);
+    expect(service.pricingService.promotionService.redeem).toHaveBeenCalledWith('tenant-1', 'ORD-1', '9876543210', [{ promotionId: 'flat50', code: 'FLAT50' }]);
+    expect(service.pricingService.loyaltyService.redeem).toHaveBeenCalledWith('tenant-1', 'ORD-1', '9876543210', 40);
+    expect(orderData.schedule).toEqual({ slotStart: '2026-10-19T13:00:00.000Z' });
+    expect(service.availabilityService.releaseStock).not.toHaveBeenCalled();
+  });
+
+  test('stops at an offer that ran out and gives the stock back', async () => {
+    const service = createService(async () => ({}));
+    service.pricingService.promotionService.redeem = mock(async () => {
+      throw new Error('Promotion limit reached: FLAT50 has been fully redeemed');
+    });
+
+    const holds = await service.holdCart(cartSession(), { orderId: 'ORD-2' });
+
+    expect(holds.exhausted).toEqual(['FLAT50 has been fully redeemed']);
+    expect(service.availabilityService.releaseStock).toHaveBeenCalledWith('tenant-1', 'ORD-2');
+    expect(service.pricingService.loyaltyService.redeem).not.toHaveBeenCalled();
+  });
+
+  test('gives back stock and offers when taking the points fails', async () => {
+    const service = createService(async () => ({}));
+    service.pricingService.loyaltyService.redeem = mock(async () => {
+      throw new Error('DEADLINE_EXCEEDED');
+    });
+
+    await expect(service.holdCart(cartSession(), { orderId: 'ORD-3' })).rejects.toThrow('DEADLINE_EXCEEDED');
+
+    expectReleased(service, 'ORD-3');
+  });
+
+  test('gives back stock, offers and points when booking the slot fails', async () => {
+    const service = createService(async () => ({}));
+    service.schedulingService.bookSlot = mock(async () => {
+      throw new Error('UNAVAILABLE');
+    });
+
+    await expect(service.holdCart(cartSession(), { orderId: 'ORD-4', scheduledFor: '2026-10-19T13:00:00.000Z' }))
+      .rejects.toThrow('UNAVAILABLE');
+
+    expectReleased(service, 'ORD-4');
+  });
+
+  test('gives back what was taken when counting the offers fails', async () => {
+    const service = createService(async () => ({}));
+    service.pricingService.promotionService.redeem = mock(async () => {
+      throw new Error('ABORTED: too much contention on transaction documents');
+    });
+
+    await expect(service.holdCart(cartSession(), { orderId: 'ORD-5' })).rejects.toThrow('ABORTED');
+
+    expectReleased(service, 'ORD-5');
+    expect(service.pricingService.loyaltyService.redeem).not.toHaveBeenCalled();
+  });
+});
+
+describe('saveCartOrder', () => {
+  test('returns the saved order', async () => {
+    const service = createService(async (tenantId, phone, orderData) => ({ ...orderData, tenantId }));
+
+    const saved = await service.saveCartOrder(session, { orderId: 'ORD-1' });
+
+    expect(saved).toEqual({ orderId: 'ORD-1', tenantId: 'tenant-1' });
+    expect(service.availabilityService.releaseStock).not.toHaveBeenCalled();
+  });
+
+  test('gives back stock, offers, points and the slot when the save fails', async () => {
+    const service = createService(async () => {
+      throw new Error('DEADLINE_EXCEEDED');
+    });
+    const orderData = {
+      orderId: 'ORD-2',
+      schedule: { slotStart: '2026-10-19T13:00:00.000Z' }
+    };
+
+    await expect(service.saveCartOrder(session, orderData)).rejects.toThrow('DEADLINE_EXCEEDED');
+
+    expect(service.availabilityService.releaseStock).toHaveBeenCalledWith('tenant-1', 'ORD-2');
+    expect(service.pricingService.promotionService.release).toHaveBeenCalledWith('tenant-1', 'ORD-2');
+    expect(service.pricingService.loyaltyService.reverse).toHaveBeenCalledWith('tenant-1', 'ORD-2');
+    expect(service.schedulingService.releaseSlot).toHaveBeenCalledWith('tenant-1', 'ORD-2', '2026-10-19T13:00:00.000Z');
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Automatic courier dispatch with the mock courier
+ */
+
+import { describe, test, expect, mock, beforeEach } from 'bun:test';
+import crypto from 'crypto';
+import { FakeFirebaseService } from './helpers/FakeFirebaseService.js';
+import { OrderManagementService } from '../src/services/OrderManagementService.js';
+import { CourierService } from '../src/services/CourierService.js';
+import { DeliveryService } from '../src/services/DeliveryService.js';
+import { DispatchService } from '../src/services/DispatchService.js';
+import { MockCourierAdapter } from '../src/services/MockCourierAdapter.js';
+import { PorterService } from '../src/services/PorterService.js';
+
+const TENANT = 'tenant-1';
+const WEBHOOK_SECRET = 'mock-secret';
+
+let firebase;
+let courierService;
+let orderManagementService;
+let displayClient;
+
+/**
+ * Order listeners are not awaited; poll until the order gets where the test expects
+ */
+const waitForOrder = async (orderId, check, timeout = 2000) => {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const order = await orderManagementService.getOrderById(orderId, TENANT);
+    if (check(order)) return order;
+    if (Date.now() > deadline) {
+      throw new Error(`Order ${orderId} did not reach the expected state: ${JSON.stringify(order.delivery)}`);
+    }
+    await Bun.sleep(5);
+  }
+};
+
+const placeDeliveryOrder = (orderId) => firebase.createOrder(TENANT, '9876543210', {
+  orderId,
+  sessionId: 'session-1',
+  customer: { name: 'Asha', phone: '9876543210' },
+  cart: {
+    items: [{ id: 'line-1', dishId: 'dish-dal', dishName: 'Dal Makhani', quantity: 1, price: 220, itemTotal: 220 }],
+    subtotal: 220,
+    deliveryFee: 40,
+    total: 271
+  },
+  orderType: 'delivery',
+  deliveryAddress: { formatted: '12 MG Road, Bengaluru', coordinates: { lat: 12.9756, lng: 77.6050 } },
+  paymentMethod: 'online',
+  status: 'preparing',
+  createdAt: new Date().toISOString()
+});
+
+beforeEach(() => {
+  firebase = new FakeFirebaseService();
+  courierService = new CourierService({
+    courier: { mockEnabled: true, defaultCouriers: ['mock'], mock: { webhookSecret: WEBHOOK_SECRET } }
+  }, { firebaseService: firebase, deliveryService: new DeliveryService({}, null, firebase) });
+  orderManagementService = new OrderManagementService(firebase, { courierService });
+  displayClient = { sendDeliveryStatus: mock(async () => {}) };
+
+  const dispatchService = new DispatchService(orderManagementService, { retryDelays: [0.05], maxAttempts: 3 }, displayClient);
+  orderManagementService.onOrderEvent((tenantId, order, eventType) =>
+    dispatchService.handleOrderEvent(tenantId, order, eventType)
+  );
+});
+
+describe('DispatchService with the mock courier', () => {
+  test('books a rider when the order is ready and completes it on delivery', async () => {
+    await placeDeliveryOrder('ORD-1');
+    await orderManagementService.markOrderReady('ORD-1', TENANT, 'kitchen');
+
+    const dispatched = await waitForOrder('ORD-1', order => order.delivery?.status === 'requested');
+    expect(dispatched.delivery).toMatchObject({ courier: 'mock', status: 'requested', dispatchedBy: 'auto_dispatch' });
+    expect(dispatched.delivery.deliveryId).toStartWith('MOCK-ORD-1_');
+    expect(dispatched.dispatch.attempts).toBe(1);
+
+    const courier = courierService.getAdapter('mock');
+    for (const status of ['assigned', 'arrived_at_pickup', 'picked_up', 'in_transit', 'delivered']) {
+      const update = await courier.advance(dispatched.delivery.deliveryId);
+      expect(update.status).toBe(status);
+    }
+
+    const delivered = await waitForOrder('ORD-1', order => order.status === 'delivered');
+    expect(delivered.deliveredBy).toBe('mock');
+    expect(delivered.delivery.driverDetails).toEqual({ name: 'Mock Rider', phone: '9000000000' });
+    expect(delivered.delivery.history.map(entry => entry.status)).toEqual(
+      ['requested', 'assigned', 'arrived_at_pickup', 'picked_up', 'in_transit', 'delivered']
+    );
+
+    await Bun.sleep(0);
+    const shown = displayClient.sendDeliveryStatus.mock.calls.map(([, status]) => status.status);
+    expect(shown).toContain('delivered');
+  });
+
+  test('books again when the courier drops the booking', async () => {
+    await placeDeliveryOrder('ORD-2');
+    await orderManagementService.markOrderReady('ORD-2', TENANT, 'kitchen');
+    const first = await waitForOrder('ORD-2', order => order.delivery?.status === 'requested');
+
+    // The courier cancels the booking by webhook
+    const courier = courierService.getAdapter('mock');
+    const payload = courier.buildWebhookPayload(first.delivery.deliveryId, 'cancelled', { reason: 'No riders nearby' });
+    expect(courierService.verifyWebhook('mock', JSON.stringify(payload), { 'x-mock-courier-secret': WEBHOOK_SECRET })).toBe(true);
+    await courierService.handleWebhook('mock', payload);
+
+    const retried = await waitForOrder('ORD-2', order =>
+      order.delivery?.status === 'requested' && order.delivery.deliveryId !== first.delivery.deliveryId
+    );
+    expect(retried.dispatch).toMatchObject({ attempts: 2, droppedDeliveryId: first.delivery.deliveryId, escalated: false });
+    expect(retried.deliveryHistory).toHaveLength(1);
+    expect(retried.deliveryHistory[0]).toMatchObject({ deliveryId: first.delivery.deliveryId, status: 'cancelled' });
+  });
+});
+
+describe('mock courier webhooks', () => {
+  test('need the shared secret', () => {
+    const body = JSON.stringify({ delivery_id: 'MOCK-1', status: 'delivered' });
+
+    expect(courierService.verifyWebhook('mock', body, { 'x-mock-courier-secret': WEBHOOK_SECRET })).toBe(true);
+    expect(courierService.verifyWebhook('mock', body, { 'x-mock-courier-secret': 'guess' })).toBe(false);
+    expect(courierService.verifyWebhook('mock', body, {})).toBe(false);
+    expect(new MockCourierAdapter().verifyWebhook(body, { 'x-mock-courier-secret': '' })).toBe(false);
+  });
+
+  test('are refused in production', () => {
+    const production = new CourierService({
+      server: { env: 'production' },
+      courier: { mockEnabled: true, mock: { webhookSecret: WEBHOOK_SECRET } }
+    }, { firebaseService: firebase, deliveryService: null });
+
+    expect(production.verifyWebhook('mock', '{}', { 'x-mock-courier-secret': WEBHOOK_SECRET })).toBe(false);
+  });
+
+  test('are refused for couriers that do not send webhooks', () => {
+    expect(courierService.verifyWebhook('self', '{}', {})).toBe(false);
+  });
+});
+
+describe('Porter webhooks', () => {
+  const body = JSON.stringify({ event_type: 'order.delivered', order_id: 'CRN-1' });
+
+  test('are refused while no webhook secret is configured', () => {
+    const porter = new PorterService({ porter: { apiKey: 'key' } });
+
+    expect(porter.verifyWebhook(body, {})).toBe(false);
+    expect(porter.verifyWebhook(body, { 'x-porter-signature': 'anything' })).toBe(false);
+  });
+
+  test('need the body\'s HMAC signature', () => {
+    const porter = new PorterService({ porter: { apiKey: 'key', webhookSecret: 'porter-secret' } });
+    const signature = crypto.createHmac('sha256', 'porter-secret').update(body).digest('hex');
+
+    expect(porter.verifyWebhook(body, { 'x-porter-signature': signature })).toBe(true);
+    expect(porter.verifyWebhook(body.replace('delivered', 'cancelled'), { 'x-porter-signature': signature })).toBe(false);
+    expect(porter.verifyWebhook(body, {})).toBe(false);
+  });
+});
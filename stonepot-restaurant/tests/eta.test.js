@@ -0,0 +1,108 @@
+/**
+ * Load-aware ETAs: the open kitchen queue and each tenant's prep history
+ */
+
+import { describe, test, expect, beforeEach } from 'bun:test';
+import { FakeFirebaseService } from './helpers/FakeFirebaseService.js';
+import { OrderManagementService } from '../src/services/OrderManagementService.js';
+import { DeliveryService } from '../src/services/DeliveryService.js';
+import { EtaService } from '../src/services/EtaService.js';
+
+const TENANT = 'tenant-1';
+// 12:40 in the restaurant's timezone (Asia/Kolkata)
+const NOW = new Date('2026-10-19T07:10:00.000Z');
+
+let firebase;
+let orderManagementService;
+let etaService;
+
+const minutesBefore = (minutes, from = NOW) => new Date(from.getTime() - minutes * 60000).toISOString();
+
+const placeOrder = (orderId, extra = {}) => firebase.createOrder(TENANT, '9876543210', {
+  orderId,
+  customer: { name: 'Asha', phone: '9876543210' },
+  cart: { items: [{ id: 'line-1', dishName: 'Veg Thali', quantity: 1, price: 250, preparationTime: 15 }] },
+  orderType: 'delivery',
+  paymentMethod: 'cash',
+  createdAt: minutesBefore(30),
+  ...extra
+});
+
+/**
+ * Completed orders from the day before, each taking `actualMinutes` against a 20 minute estimate
+ */
+const placeHistory = async (count, actualMinutes, acceptedAt = '2026-10-18T07:00:00.000Z') => {
+  for (let index = 0; index < count; index++) {
+    await placeOrder(`ORD-H${actualMinutes}-${index}`, {
+      status: 'delivered',
+      kot: { estimatedPrepTime: 20 },
+      acceptedAt,
+      readyAt: new Date(new Date(acceptedAt).getTime() + actualMinutes * 60000).toISOString()
+    });
+  }
+};
+
+beforeEach(() => {
+  firebase = new FakeFirebaseService();
+  orderManagementService = new OrderManagementService(firebase, {});
+  etaService = new EtaService(orderManagementService, new DeliveryService({}, null));
+});
+
+describe('getQueueLoad', () => {
+  test('counts what is left of preparing orders and all of confirmed ones, spread over the kitchen', async () => {
+    await placeOrder('ORD-1', { status: 'preparing', acceptedAt: minutesBefore(10), kot: { estimatedPrepTime: 25 } });
+    await placeOrder('ORD-2', { status: 'confirmed' });
+    await placeOrder('ORD-3', { status: 'preparing', acceptedAt: minutesBefore(40), kot: { estimatedPrepTime: 25 } });
+    await placeOrder('ORD-4', { status: 'ready', kot: { estimatedPrepTime: 25 } });
+
+    const queue = await etaService.getQueueLoad(TENANT, null, NOW);
+
+    // 15 left of ORD-1, 20 for ORD-2, nothing for the overdue ORD-3
+    expect(queue).toEqual({ openOrders: 3, outstandingMinutes: 35, queueMinutes: 9 });
+  });
+});
+
+describe('getHistoricalFactor', () => {
+  test('scales by how long orders at this hour really took', async () => {
+    await placeHistory(5, 30);
+    // Left open for hours: not a prep time
+    await placeHistory(1, 200);
+
+    expect(await etaService.getHistoricalFactor(TENANT, NOW)).toEqual({ factor: 1.5, samples: 5, hour: 12 });
+    // Another hour falls back to every hour
+    expect(await etaService.getHistoricalFactor(TENANT, new Date('2026-10-19T14:00:00.000Z')))
+      .toEqual({ factor: 1.5, samples: 5, hour: null });
+  });
+
+  test('trusts no history until there are enough samples, and caps the factor', async () => {
+    await placeHistory(4, 30);
+    expect(await etaService.getHistoricalFactor(TENANT, NOW)).toEqual({ factor: 1, samples: 4, hour: null });
+
+    etaService.historyCache.flushAll();
+    await placeHistory(6, 100);
+    expect((await etaService.getHistoricalFactor(TENANT, NOW)).factor).toBe(2);
+  });
+});
+
+describe('estimatePrepTime', () => {
+  test('adds the queue to the cart\'s estimate scaled by history', async () => {
+    await placeHistory(5, 30);
+    await placeOrder('ORD-1', { status: 'confirmed' });
+
+    const estimate = await etaService.estimatePrepTime(TENANT, [{ dishName: 'Biryani', quantity: 1, preparationTime: 15 }], NOW);
+
+    expect(estimate).toEqual({ prepMinutes: 35, basePrepMinutes: 20, queueMinutes: 5, openOrders: 1, historicalFactor: 1.5, samples: 5 });
+  });
+});
+
+describe('estimateDeliveryTime', () => {
+  test('falls back to the static estimate when orders can\'t be read', async () => {
+    orderManagementService.getOrders = async () => {
+      throw new Error('UNAVAILABLE');
+    };
+
+    const eta = await etaService.estimateDeliveryTime(TENANT, { distance: 4 });
+
+    expect(eta).toEqual({ estimatedMinutes: 37, timeRange: '32-42 mins', preparationTime: 20, travelTime: 12, bufferMinutes: 5 });
+  });
+});
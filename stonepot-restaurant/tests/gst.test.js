@@ -0,0 +1,144 @@
+/**
+ * Item-level GST: slabs, exempt items and CGST/SGST vs IGST
+ */
+
+import { describe, test, expect, mock, beforeEach } from 'bun:test';
+import { TaxService } from '../src/services/TaxService.js';
+import { MenuManagementService } from '../src/services/MenuManagementService.js';
+
+let taxService;
+
+const line = (dishName, price, extra = {}) => ({ id: dishName, dishName, price, quantity: 1, itemTotal: price, ...extra });
+
+beforeEach(() => {
+  taxService = new TaxService({ stateCode: '29' });
+});
+
+describe('calculateCartTax', () => {
+  test('taxes each line at its own slab and totals per slab', () => {
+    const result = taxService.calculateCartTax([
+      line('Paneer Tikka', 200),
+      line('Cola', 100, { taxCategory: 'packaged_beverage' }),
+      line('Mango Lassi', 100, { taxCategory: 'packaged_beverage_12' }),
+      line('Cigar', 100, { gstRate: 28 })
+    ], { orderType: 'pickup' });
+
+    expect(result.lines.map(entry => entry.gstRate)).toEqual([0.05, 0.18, 0.12, 0.28]);
+    expect(result.slabs.map(slab => [slab.gstPercentage, slab.taxableValue, slab.gstAmount])).toEqual([
+      [5, 200, 10],
+      [12, 100, 12],
+      [18, 100, 18],
+      [28, 100, 28]
+    ]);
+    expect(result.gstRate).toBeNull();
+    expect(result).toMatchObject({ taxableAmount: 500, gstAmount: 68, totalWithTax: 568 });
+  });
+
+  test('reads a gstRate override as a percent', () => {
+    const result = taxService.calculateCartTax([line('Water', 20, { gstRate: 0 }), line('Fries', 100, { gstRate: 18 })]);
+
+    expect(result.lines.map(entry => entry.gstRate)).toEqual([0, 0.18]);
+    expect(result.gstAmount).toBe(18);
+  });
+
+  test('leaves exempt lines out of the taxable amount', () => {
+    const result = taxService.calculateCartTax([
+      line('Dal Makhani', 200),
+      line('Beer', 300, { category: 'Beer' }),
+      line('Whisky', 500, { taxCategory: 'alcohol', gstRate: 18 })
+    ], { orderType: 'dine-in' });
+
+    expect(result.lines.map(entry => [entry.taxCategory, entry.exempt, entry.gstAmount])).toEqual([
+      ['restaurant', false, 10],
+      ['alcohol', true, 0],
+      ['alcohol', true, 0]
+    ]);
+    expect(result).toMatchObject({ taxableAmount: 200, exemptAmount: 800, gstAmount: 10, gstRate: 0.05, totalWithTax: 1010 });
+  });
+
+  test('charges CGST and SGST within the restaurant\'s state', () => {
+    const result = taxService.calculateCartTax([line('Biryani', 300)], {
+      deliveryFee: 40,
+      deliveryAddress: { state: 'Karnataka' }
+    });
+
+    expect(result).toMatchObject({ interState: false, placeOfSupply: '29', cgst: 8.5, sgst: 8.5, igst: 0, gstAmount: 17 });
+    expect(result.charges[0]).toMatchObject({ type: 'delivery', gstRate: 0.05, cgst: 1, sgst: 1 });
+  });
+
+  test('charges IGST on a delivery to another state', () => {
+    const result = taxService.calculateCartTax([line('Biryani', 300)], {
+      deliveryFee: 40,
+      deliveryAddress: { state: 'Maharashtra' }
+    });
+
+    expect(result).toMatchObject({ interState: true, placeOfSupply: '27', cgst: 0, sgst: 0, igst: 17, gstAmount: 17 });
+  });
+
+  test('keeps dine-in in the restaurant\'s state unless a B2B customer is registered elsewhere', () => {
+    const items = [line('Biryani', 300)];
+
+    expect(taxService.calculateCartTax(items, { orderType: 'dine-in', customerStateCode: '27' }).interState).toBe(false);
+    expect(taxService.calculateCartTax(items, { orderType: 'dine-in', customerGstin: '27AAPFU0939F1ZV' })).toMatchObject({
+      interState: true,
+      igst: 15
+    });
+  });
+});
+
+describe('validateItemTax', () => {
+  test('accepts the GST slabs in percent', () => {
+    for (const gstRate of [0, 5, 12, 18, 28, '12']) {
+      expect(taxService.validateItemTax({ gstRate }).valid).toBe(true);
+    }
+    expect(taxService.validateItemTax({ taxCategory: 'alcohol', gstRate: 0 }).valid).toBe(true);
+  });
+
+  test('rejects fractions, off-slab rates, unknown categories and rates on exempt items', () => {
+    expect(taxService.validateItemTax({ gstRate: 0.05 }).errors[0]).toContain('is not a GST slab');
+    expect(taxService.validateItemTax({ gstRate: 15 }).valid).toBe(false);
+    expect(taxService.validateItemTax({ taxCategory: 'restaurant_food' }).errors[0]).toContain('unknown tax category');
+    expect(taxService.validateItemTax({ taxCategory: 'alcohol', gstRate: 18 }).errors[0]).toContain('outside GST');
+  });
+});
+
+describe('saving menu items', () => {
+  let menuService;
+
+  beforeEach(() => {
+    menuService = new MenuManagementService({ useStaticMenu: false });
+    menuService.firebase = {
+      createMenuItem: mock(async (tenantId, item) => ({ id: 'dish-1', tenantId, ...item })),
+      getDocument: mock(async (collection, itemId) => ({
+        id: itemId,
+        tenantId: 'tenant-1',
+        type: 'menu_item',
+        name: 'Cola',
+        taxCategory: 'packaged_beverage',
+        gstRate: null
+      })),
+      updateMenuItem: mock(async (itemId, updates) => ({ id: itemId, ...updates }))
+    };
+  });
+
+  test('stores the GST rate as a number in percent', async () => {
+    const item = await menuService.createMenuItem('tenant-1', { name: 'Fries', price: 120, category: 'Sides', gstRate: '18' });
+
+    expect(item).toMatchObject({ taxCategory: null, gstRate: 18 });
+  });
+
+  test('refuses a rate that is not a GST slab', async () => {
+    await expect(menuService.createMenuItem('tenant-1', { name: 'Fries', price: 120, category: 'Sides', gstRate: 0.18 }))
+      .rejects.toThrow('Invalid GST: GST rate 0.18 is not a GST slab');
+    await expect(menuService.updateMenuItem('dish-1', { gstRate: 15 })).rejects.toThrow('Invalid GST');
+    expect(menuService.firebase.createMenuItem).not.toHaveBeenCalled();
+    expect(menuService.firebase.updateMenuItem).not.toHaveBeenCalled();
+  });
+
+  test('checks an updated category against the stored rate', async () => {
+    await expect(menuService.updateMenuItem('dish-1', { taxCategory: 'restaurant_food' })).rejects.toThrow('unknown tax category');
+
+    const updated = await menuService.updateMenuItem('dish-1', { gstRate: 12 });
+    expect(updated).toMatchObject({ taxCategory: 'packaged_beverage', gstRate: 12 });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Fake Firebase Service
+ * In-memory stand-in for FirebaseService with the same document, query and
+ * transaction API, so services can be tested without Firestore. Documents
+ * are cloned on the way in and out, like real reads and writes.
+ * Transactions retry when a document they read was written before they
+ * commit, like Firestore's optimistic transactions.
+ */
+
+export class FakeFirebaseService {
+  constructor() {
+    this.collections = new Map();
+    this.nextId = 0;
+    // Write count per 'collection/id', to detect transaction conflicts
+    this.versions = new Map();
+  }
+
+  bumpVersion(collection, documentId) {
+    const key = `${collection}/${documentId}`;
+    this.versions.set(key, (this.versions.get(key) || 0) + 1);
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+    return this.collections.get(name);
+  }
+
+  async initialize() {}
+
+  async getDocument(collection, documentId) {
+    const data = this.collection(collection).get(documentId);
+    return data ? { id: documentId, ...structuredClone(data) } : null;
+  }
+
+  async createDocument(collection, data, documentId = null) {
+    const id = documentId || `doc${++this.nextId}`;
+    this.collection(collection).set(id, structuredClone(data));
+    this.bumpVersion(collection, id);
+    return { id, ...data };
+  }
+
+  async updateDocument(collection, documentId, updates) {
+    const data = this.collection(collection).get(documentId);
+    if (!data) {
+      throw new Error(`NOT_FOUND: ${collection}/${documentId}`);
+    }
+    Object.assign(data, structuredClone(updates), { updatedAt: new Date().toISOString() });
+    this.bumpVersion(collection, documentId);
+    return this.getDocument(collection, documentId);
+  }
+
+  async deleteDocument(collection, documentId) {
+    this.collection(collection).delete(documentId);
+    this.bumpVersion(collection, documentId);
+    return { success: true, id: documentId };
+  }
+
+  /**
+   * Equality filters; keys may be dotted paths ('upi.status')
+   */
+  async queryDocuments(collection, filters = {}, options = {}) {
+    let documents = [...this.collection(collection)]
+      .map(([id, data]) => ({ id, ...structuredClone(data) }))
+      .filter(document => Object.entries(filters).every(([path, value]) =>
+        path.split('.').reduce((field, key) => field?.[key], document) === value
+      ));
+
+    if (options.orderBy) {
+      const direction = options.order === 'desc' ? -1 : 1;
+      documents.sort((a, b) => (a[options.orderBy] > b[options.orderBy] ? 1 : -1) * direction);
+    }
+    if (options.limit) {
+      documents = documents.slice(0, options.limit);
+    }
+
+    return documents;
+  }
+
+  async documentExists(collection, documentId) {
+    return this.collection(collection).has(documentId);
+  }
+
+  async getRestaurantProfile(tenantId) {
+    return this.getDocument('organizations', tenantId);
+  }
+
+  async updateRestaurantProfile(tenantId, updates) {
+    return this.updateDocument('organizations', tenantId, updates);
+  }
+
+  async createOrder(tenantId, customerPhone, orderData) {
+    return this.createDocument('orders', {
+      ...orderData,
+      tenantId,
+      customerId: `${tenantId}_${customerPhone}`,
+      statusTimeline: orderData.statusTimeline || []
+    }, orderData.orderId);
+  }
+
+  async updateOrderStatus(orderId, updates) {
+    return this.updateDocument('orders', orderId, updates);
+  }
+
+  async getMenuItems() {
+    return [];
+  }
+
+  /**
+   * Writes are applied after the update function returns, as in Firestore.
+   * If a document the transaction read changed meanwhile, it runs again.
+   */
+  async runTransaction(updateFunction, maxAttempts = 5) {
+    for (let attempt = 1; ; attempt++) {
+      const reads = new Map();
+      const writes = [];
+      const write = (collection, documentId, apply) => writes.push(() => {
+        apply(this.collection(collection));
+        this.bumpVersion(collection, documentId);
+      });
+
+      const result = await updateFunction({
+        get: (collection, documentId) => {
+          const key = `${collection}/${documentId}`;
+          if (!reads.has(key)) {
+            reads.set(key, this.versions.get(key) || 0);
+          }
+          return this.getDocument(collection, documentId);
+        },
+        set: (collection, documentId, data) => write(collection, documentId, documents =>
+          documents.set(documentId, structuredClone(data))
+        ),
+        update: (collection, documentId, updates) => write(collection, documentId, documents => {
+          const data = documents.get(documentId);
+          if (!data) {
+            throw new Error(`NOT_FOUND: ${collection}/${documentId}`);
+          }
+          Object.assign(data, structuredClone(updates));
+        }),
+        create: (collection, documentId, data) => write(collection, documentId, documents => {
+          if (documents.has(documentId)) {
+            throw new Error(`ALREADY_EXISTS: ${collection}/${documentId}`);
+          }
+          documents.set(documentId, structuredClone(data));
+        })
+      });
+
+      const conflict = [...reads].some(([key, version]) => (this.versions.get(key) || 0) !== version);
+      if (!conflict) {
+        writes.forEach(apply => apply());
+        return result;
+      }
+      if (attempt >= maxAttempts) {
+        throw new Error('ABORTED: too much contention on transaction documents');
+      }
+    }
+  }
+}
+
+export default FakeFirebaseService;
@@ -0,0 +1,95 @@
+/**
+ * Fake TCP Printer
+ * Listens like a raw port-9100 printer and captures received bytes (for testing)
+ */
+
+import net from 'net';
+
+export class FakeTcpPrinter {
+  constructor() {
+    this.server = null;
+    this.jobs = [];
+    this.waiters = [];
+  }
+
+  /**
+   * Start listening (port 0 picks a free port)
+   * @returns {Promise<{host: string, port: number}>}
+   */
+  start(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server = net.createServer((socket) => {
+        const chunks = [];
+        socket.on('data', (chunk) => chunks.push(chunk));
+        socket.on('end', () => {
+          this.jobs.push(Buffer.concat(chunks));
+          this.notifyWaiters();
+        });
+        socket.on('error', () => {});
+      });
+
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        const address = this.server.address();
+        console.log('[FakeTcpPrinter] Listening on', `${address.address}:${address.port}`);
+        resolve({ host: address.address, port: address.port });
+      });
+    });
+  }
+
+  /**
+   * Resolve once at least `count` jobs were received
+   */
+  waitForJobs(count = 1, timeout = 2000) {
+    if (this.jobs.length >= count) {
+      return Promise.resolve(this.jobs);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        count,
+        resolve: (jobs) => {
+          clearTimeout(timer);
+          resolve(jobs);
+        }
+      };
+      const timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(w => w !== waiter);
+        reject(new Error(`Expected ${count} print jobs, received ${this.jobs.length}`));
+      }, timeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  notifyWaiters() {
+    this.waiters = this.waiters.filter(waiter => {
+      if (this.jobs.length >= waiter.count) {
+        waiter.resolve(this.jobs);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  getJobs() {
+    return this.jobs;
+  }
+
+  getLastJob() {
+    return this.jobs[this.jobs.length - 1] || null;
+  }
+
+  reset() {
+    this.jobs = [];
+  }
+
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+}
+
+export default FakeTcpPrinter;
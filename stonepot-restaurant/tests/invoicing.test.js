@@ -0,0 +1,92 @@
+/**
+ * GST invoice numbering and credit notes for refunds
+ */
+
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { FakeFirebaseService } from './helpers/FakeFirebaseService.js';
+import { InvoiceService } from '../src/services/InvoiceService.js';
+import { TaxService } from '../src/services/TaxService.js';
+import { MockPaymentService } from '../src/services/MockPaymentService.js';
+
+const TENANT = 'tenant-1';
+
+let firebase;
+let invoiceService;
+
+const placeDeliveredOrder = (orderId, extra = {}) => firebase.createOrder(TENANT, '9876543210', {
+  orderId,
+  customer: { name: 'Asha', phone: '9876543210' },
+  cart: {
+    items: [{ id: 'line-1', dishId: 'dish-thali', dishName: 'Veg Thali', quantity: 2, price: 250, itemTotal: 500 }],
+    subtotal: 500,
+    total: 525
+  },
+  orderType: 'pickup',
+  paymentMethod: 'online',
+  status: 'delivered',
+  createdAt: new Date().toISOString(),
+  ...extra
+});
+
+beforeEach(() => {
+  firebase = new FakeFirebaseService();
+  invoiceService = new InvoiceService(firebase, new TaxService());
+});
+
+afterEach(() => setSystemTime());
+
+describe('getFinancialYear', () => {
+  test('turns over at midnight on 1 April in India, not UTC', () => {
+    // 23:59:59 IST on 31 March
+    expect(invoiceService.getFinancialYear(new Date('2027-03-31T18:29:59.999Z'))).toEqual({ label: '2026-27', code: '2627', endYear: 2027 });
+    // 00:00 and 05:29 IST on 1 April, still 31 March in UTC
+    expect(invoiceService.getFinancialYear(new Date('2027-03-31T18:30:00.000Z')).code).toBe('2728');
+    expect(invoiceService.getFinancialYear(new Date('2027-03-31T23:59:00.000Z')).code).toBe('2728');
+    // 31 December and 1 January stay in the same financial year
+    expect(invoiceService.getFinancialYear(new Date('2026-12-31T20:00:00.000Z')).code).toBe('2627');
+  });
+
+  test('numbers an invoice issued early on 1 April IST in the new year\'s series', async () => {
+    await placeDeliveredOrder('ORD-1');
+    setSystemTime(new Date('2027-03-31T16:00:00.000Z')); // 21:30 IST, 31 March
+    const { invoice: march } = await invoiceService.getInvoiceForOrder(TENANT, 'ORD-1');
+
+    await placeDeliveredOrder('ORD-2');
+    setSystemTime(new Date('2027-03-31T20:30:00.000Z')); // 02:00 IST, 1 April
+    const { invoice: april } = await invoiceService.getInvoiceForOrder(TENANT, 'ORD-2');
+
+    expect(march).toMatchObject({ documentNumber: 'INV/2627/000001', financialYear: '2026-27' });
+    expect(april).toMatchObject({ documentNumber: 'INV/2728/000001', financialYear: '2027-28' });
+  });
+});
+
+describe('credit notes for mock refunds', () => {
+  test('a refund without an amount credits the whole payment', async () => {
+    const paymentService = new MockPaymentService();
+    paymentService.onRefund(refund => invoiceService.handleRefund(refund));
+
+    const qr = await paymentService.createUpiQr({ amount: 525, orderId: 'ORD-3', customer: { name: 'Asha', phone: '9876543210' } });
+    const { payment } = paymentService.simulateUpiPayment(qr.id);
+    await placeDeliveredOrder('ORD-3', { paymentStatus: 'paid', razorpayPaymentId: payment.id });
+    const { invoice } = await invoiceService.getInvoiceForOrder(TENANT, 'ORD-3');
+
+    const refund = await paymentService.refundPayment(payment.id, null, { tenantId: TENANT, orderId: 'ORD-3', reason: 'Wrong order' });
+    expect(refund.amount).toBe(525);
+
+    const { creditNotes } = await invoiceService.getInvoiceForOrder(TENANT, 'ORD-3');
+    expect(creditNotes).toHaveLength(1);
+    expect(creditNotes[0].total).toBe(invoice.total);
+
+    await expect(paymentService.refundPayment(payment.id)).rejects.toThrow('fully refunded');
+  });
+
+  test('a partial refund leaves the rest for a later full refund', async () => {
+    const paymentService = new MockPaymentService();
+    const qr = await paymentService.createUpiQr({ amount: 525, orderId: 'ORD-4', customer: { name: 'Asha', phone: '9876543210' } });
+    const { payment } = paymentService.simulateUpiPayment(qr.id);
+
+    expect((await paymentService.refundPayment(payment.id, 125)).amount).toBe(125);
+    await expect(paymentService.refundPayment(payment.id, 450)).rejects.toThrow('greater than amount captured');
+    expect((await paymentService.refundPayment(payment.id)).amount).toBe(400);
+  });
+});
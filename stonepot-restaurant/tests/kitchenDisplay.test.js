@@ -0,0 +1,104 @@
+/**
+ * Kitchen display: per-station boards, bumping items and recalling them
+ */
+
+import { describe, test, expect, beforeEach } from 'bun:test';
+import { FakeFirebaseService } from './helpers/FakeFirebaseService.js';
+import { OrderManagementService } from '../src/services/OrderManagementService.js';
+import { KitchenDisplayService } from '../src/services/KitchenDisplayService.js';
+
+const TENANT = 'tenant-1';
+
+let firebase;
+let orderManagementService;
+let kitchenDisplayService;
+
+const placeOrder = (orderId, extra = {}) => firebase.createOrder(TENANT, '9876543210', {
+  orderId,
+  customer: { name: 'Asha', phone: '9876543210' },
+  cart: {
+    items: [
+      { id: 'line-1', dishId: 'dish-paneer', dishName: 'Paneer Tikka', quantity: 2, price: 280, itemTotal: 560 },
+      { id: 'line-2', dishId: 'dish-dal', dishName: 'Dal Makhani', quantity: 1, price: 220, itemTotal: 220 }
+    ],
+    subtotal: 780,
+    total: 819
+  },
+  orderType: 'pickup',
+  paymentMethod: 'cash',
+  status: 'preparing',
+  acceptedAt: new Date().toISOString(),
+  createdAt: new Date().toISOString(),
+  ...extra
+});
+
+beforeEach(async () => {
+  firebase = new FakeFirebaseService();
+  await firebase.createDocument('organizations', { name: 'Stonepot' }, TENANT);
+  orderManagementService = new OrderManagementService(firebase, {});
+  kitchenDisplayService = new KitchenDisplayService(orderManagementService);
+});
+
+describe('getBoard', () => {
+  test('puts each item on its station with all-day counts', async () => {
+    await placeOrder('ORD-1', { acceptedAt: new Date(Date.now() - 60000).toISOString() });
+    await placeOrder('ORD-2', { cart: { items: [{ id: 'line-1', dishName: 'Paneer Tikka', quantity: 1, price: 280 }] } });
+
+    const board = await kitchenDisplayService.getBoard(TENANT);
+
+    expect(Object.keys(board.stations).sort()).toEqual(['Main Kitchen', 'Tandoor']);
+    expect(board.stations.Tandoor.tickets.map(ticket => ticket.orderId)).toEqual(['ORD-1', 'ORD-2']);
+    expect(board.stations.Tandoor.allDay).toEqual([{ dishName: 'Paneer Tikka', quantity: 3 }]);
+    expect(board.stations.Tandoor.tickets[0]).toMatchObject({ color: 'green', completed: false });
+
+    const tandoor = await kitchenDisplayService.getBoard(TENANT, { station: 'Tandoor' });
+    expect(Object.keys(tandoor.stations)).toEqual(['Tandoor']);
+  });
+});
+
+describe('bumpItem', () => {
+  test('clears a station, then marks the order ready once every item is bumped', async () => {
+    await placeOrder('ORD-1');
+
+    const first = await kitchenDisplayService.bumpItem(TENANT, 'ORD-1', 'line-1', 'chef');
+    expect(first).toMatchObject({ station: 'Tandoor', stationCompleted: true, orderCompleted: false });
+    expect((await kitchenDisplayService.getBoard(TENANT)).stations.Tandoor).toBeUndefined();
+
+    const last = await kitchenDisplayService.bumpItem(TENANT, 'ORD-1', 'line-2', 'chef');
+    expect(last).toMatchObject({ orderCompleted: true, order: { status: 'ready', readyBy: 'chef' } });
+
+    await expect(kitchenDisplayService.bumpItem(TENANT, 'ORD-1', 'line-2', 'chef'))
+      .rejects.toThrow('Cannot bump items on order with status: ready');
+  });
+});
+
+describe('recallItem', () => {
+  test('puts a bumped item back and reopens a ready order', async () => {
+    await placeOrder('ORD-1');
+    await kitchenDisplayService.bumpItem(TENANT, 'ORD-1', 'line-1', 'chef');
+    await kitchenDisplayService.bumpItem(TENANT, 'ORD-1', 'line-2', 'chef');
+
+    const { order } = await kitchenDisplayService.recallItem(TENANT, 'ORD-1', 'line-1', 'chef');
+
+    expect(order).toMatchObject({ status: 'preparing', readyAt: null });
+    expect((await kitchenDisplayService.getBoard(TENANT)).stations.Tandoor.allDay).toEqual([{ dishName: 'Paneer Tikka', quantity: 2 }]);
+    await expect(kitchenDisplayService.recallItem(TENANT, 'ORD-1', 'line-1', 'chef')).rejects.toThrow('Order item is not bumped');
+  });
+
+  test('is refused while a courier is booked for the order', async () => {
+    await placeOrder('ORD-1', {
+      orderType: 'delivery',
+      status: 'ready',
+      kds: { items: { 'line-1': { station: 'Tandoor', bumpedAt: new Date().toISOString(), bumpedBy: 'chef' } } },
+      delivery: { courier: 'porter', deliveryId: 'PORTER-1', status: 'assigned' }
+    });
+
+    await expect(kitchenDisplayService.recallItem(TENANT, 'ORD-1', 'line-1', 'chef'))
+      .rejects.toThrow('Cannot recall items: delivery already assigned with porter');
+    expect((await orderManagementService.getOrderById('ORD-1', TENANT)).status).toBe('ready');
+
+    await orderManagementService.updateOrderStatus('ORD-1', TENANT, { delivery: { courier: 'porter', deliveryId: 'PORTER-1', status: 'cancelled' } });
+    const { order } = await kitchenDisplayService.recallItem(TENANT, 'ORD-1', 'line-1', 'chef');
+    expect(order.status).toBe('preparing');
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Kitchen stations: saving station rules and the routing context for KOTs
+ */
+
+import { describe, test, expect, mock, beforeEach } from 'bun:test';
+import { FakeFirebaseService } from './helpers/FakeFirebaseService.js';
+import { KitchenStationService, DEFAULT_KITCHEN_STATIONS } from '../src/services/KitchenStationService.js';
+
+const TENANT = 'tenant-1';
+
+let firebase;
+let menuService;
+let kitchenStationService;
+
+beforeEach(async () => {
+  firebase = new FakeFirebaseService();
+  await firebase.createDocument('organizations', { name: 'Stonepot' }, TENANT);
+  menuService = {
+    listMenuItems: mock(async () => [{ id: 'dish-paneer', name: 'Paneer Tikka', category: 'Starters' }])
+  };
+  kitchenStationService = new KitchenStationService(firebase, menuService);
+});
+
+describe('upsertStation', () => {
+  test('refuses a station whose name is not text', async () => {
+    await expect(kitchenStationService.upsertStation(TENANT, { name: 42 }))
+      .rejects.toThrow('Invalid kitchen stations: Station 1: name is required');
+    await expect(kitchenStationService.upsertStation(TENANT, { name: ['Tandoor'] }))
+      .rejects.toThrow('Invalid kitchen stations');
+
+    expect(await kitchenStationService.getStations(TENANT)).toBe(DEFAULT_KITCHEN_STATIONS);
+  });
+
+  test('adds a station with an id from its name', async () => {
+    const stations = await kitchenStationService.upsertStation(TENANT, { name: ' Chinese Wok ', rules: { categories: ['Chinese'] } });
+
+    expect(stations).toEqual([expect.objectContaining({ id: 'chinese-wok', name: 'Chinese Wok' })]);
+  });
+});
+
+describe('getRouting', () => {
+  test('loads the menu once and again after it changes', async () => {
+    const first = await kitchenStationService.getRouting(TENANT);
+    await kitchenStationService.getRouting(TENANT);
+
+    expect(first.menuItemsById.get('dish-paneer').category).toBe('Starters');
+    expect(menuService.listMenuItems).toHaveBeenCalledTimes(1);
+
+    kitchenStationService.invalidateMenu(TENANT);
+    await kitchenStationService.getRouting(TENANT);
+    expect(menuService.listMenuItems).toHaveBeenCalledTimes(2);
+  });
+
+  test('routes on cart data alone when the menu can\'t be read, and retries next time', async () => {
+    menuService.listMenuItems = mock(async () => {
+      throw new Error('UNAVAILABLE');
+    });
+
+    const routing = await kitchenStationService.getRouting(TENANT);
+    await kitchenStationService.getRouting(TENANT);
+
+    expect(routing.menuItemsById.size).toBe(0);
+    expect(menuService.listMenuItems).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Printing KOTs as ESC/POS to a network kitchen printer
+ */
+
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from 'bun:test';
+import { FakeTcpPrinter } from './helpers/FakeTcpPrinter.js';
+import { KOTService } from '../src/services/KOTService.js';
+
+const ESC_INIT = Buffer.from([0x1b, 0x40]);
+const ESC_T_PC437 = Buffer.from([0x1b, 0x74, 0x00]);
+const FS_UTF8 = Buffer.from([0x1c, 0x28, 0x43, 0x02, 0x00, 0x30, 0x02]);
+const BOLD_ON = Buffer.from([0x1b, 0x45, 0x01]);
+const BOLD_OFF = Buffer.from([0x1b, 0x45, 0x00]);
+const CUT = Buffer.from([0x1d, 0x56, 0x41, 0x03]);
+
+const order = {
+  orderId: 'ORD-1760860800000-ab12cd',
+  orderType: 'pickup',
+  customer: { name: 'Asha', phone: '9876543210' },
+  specialInstructions: 'Keep ₹50 change ready',
+  cart: {
+    items: [{ dishId: 'dish-paneer', dishName: 'Paneer Tikka', nameLocal: 'पनीर टिक्का', category: 'Starters', quantity: 2, price: 280 }]
+  }
+};
+
+let printer;
+let address;
+
+const printTo = async (codePage) => {
+  const kotService = new KOTService({
+    kitchenPrinterEnabled: true,
+    kitchenPrinter: { codePage, default: { type: 'network', ...address } }
+  });
+  const result = await kotService.printKOT(kotService.generateKOT(order));
+  const [ticket] = await printer.waitForJobs(1);
+  return { result, ticket };
+};
+
+beforeAll(async () => {
+  printer = new FakeTcpPrinter();
+  address = await printer.start();
+});
+
+afterAll(() => printer.stop());
+
+beforeEach(() => printer.reset());
+
+describe('printKOT over raw TCP', () => {
+  test('sends an initialised, bold-headed ticket ending in a cut', async () => {
+    const { result, ticket } = await printTo('pc437');
+
+    expect(result.success).toBe(true);
+    expect(result.jobs[0]).toMatchObject({ printer: `tcp://${address.host}:${address.port}`, bytes: ticket.length });
+
+    expect(ticket.subarray(0, 5)).toEqual(Buffer.concat([ESC_INIT, ESC_T_PC437]));
+    expect(ticket.includes(Buffer.concat([BOLD_ON, Buffer.from('KOT #: '), BOLD_OFF]))).toBe(true);
+    expect(ticket.includes(Buffer.from('2 x Paneer Tikka\n'))).toBe(true);
+    expect(ticket.subarray(-CUT.length)).toEqual(CUT);
+  });
+
+  test('prints ₹ as Rs. and leaves out Indic names on a single-byte code page', async () => {
+    const { ticket } = await printTo('pc437');
+
+    expect(ticket.includes(Buffer.from('Keep Rs.50 change ready\n'))).toBe(true);
+    expect(ticket.every(byte => byte <= 0x7f)).toBe(true);
+    expect(ticket.includes(Buffer.from('पनीर', 'utf8'))).toBe(false);
+  });
+
+  test('prints ₹ and Indic names as UTF-8 on a UTF-8 printer', async () => {
+    const { ticket } = await printTo('utf8');
+
+    expect(ticket.subarray(0, 9)).toEqual(Buffer.concat([ESC_INIT, FS_UTF8]));
+    expect(ticket.includes(Buffer.from('    पनीर टिक्का\n', 'utf8'))).toBe(true);
+    expect(ticket.includes(Buffer.from('Keep ₹50 change ready\n', 'utf8'))).toBe(true);
+    expect(ticket.subarray(-CUT.length)).toEqual(CUT);
+  });
+});
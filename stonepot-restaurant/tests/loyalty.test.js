@@ -0,0 +1,113 @@
+/**
+ * Loyalty points: earning, redemption at checkout and rollback when an order fails or is cancelled
+ */
+
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import { FakeFirebaseService } from './helpers/FakeFirebaseService.js';
+import { PricingService } from '../src/services/PricingService.js';
+
+const TENANT = 'tenant-1';
+const PHONE = '9876543210';
+
+let firebase;
+let pricingService;
+let loyaltyService;
+
+const deliveredOrder = (orderId, subtotal) => ({
+  orderId,
+  status: 'delivered',
+  customer: { name: 'Asha', phone: PHONE },
+  cart: { subtotal, discount: 0 }
+});
+
+const balance = async () => (await loyaltyService.getAccount(TENANT, PHONE)).balance;
+
+beforeEach(async () => {
+  setSystemTime(new Date('2026-10-19T08:00:00.000Z'));
+  firebase = new FakeFirebaseService();
+  await firebase.createDocument('organizations', { name: 'Stonepot' }, TENANT);
+  pricingService = new PricingService(firebase);
+  loyaltyService = pricingService.loyaltyService;
+
+  await loyaltyService.saveSettings(TENANT, {
+    pointsPerRupee: 0.1,
+    pointValue: 1,
+    maxRedeemPercent: 50,
+    expiryDays: 90,
+    tiers: [{ name: 'Gold', minSpend: 1000, multiplier: 2 }]
+  });
+  await loyaltyService.handleOrderEvent(TENANT, deliveredOrder('ORD-1', 1000));
+});
+
+afterEach(() => setSystemTime());
+
+describe('earning', () => {
+  test('credits points on delivery, once, at the tier the customer was in', async () => {
+    await loyaltyService.handleOrderEvent(TENANT, deliveredOrder('ORD-1', 1000));
+    await loyaltyService.handleOrderEvent(TENANT, deliveredOrder('ORD-2', 500));
+
+    const account = await loyaltyService.getAccount(TENANT, PHONE);
+    // 100 points at 1x, then 100 points at Gold's 2x
+    expect(account).toMatchObject({ balance: 200, lifetimePoints: 200, lifetimeSpend: 1500, tier: { name: 'Gold', multiplier: 2 } });
+  });
+});
+
+describe('redemption', () => {
+  test('caps the points at the balance and the share of the cart they may pay for', async () => {
+    const items = [
+      { id: 'line-1', dishName: 'Chicken Biryani', quantity: 1, price: 90, itemTotal: 90 },
+      { id: 'line-2', dishName: 'Coke', quantity: 1, price: 30, itemTotal: 30 }
+    ];
+
+    const priced = await pricingService.priceCart(TENANT, items, { phone: PHONE, loyaltyPoints: 500 });
+
+    expect(priced.loyalty).toEqual({ points: 60, amount: 60, applied: true, message: '60 points redeemed: ₹60 off' });
+    expect(items.map(line => line.discount)).toEqual([45, 15]);
+
+    const none = await loyaltyService.quoteRedemption(TENANT, '9000000000', 50, 500);
+    expect(none).toMatchObject({ applied: false, message: 'No loyalty points to redeem' });
+  });
+
+  test('takes the points once per order and refuses more than the balance', async () => {
+    await loyaltyService.redeem(TENANT, 'ORD-2', PHONE, 60);
+    await loyaltyService.redeem(TENANT, 'ORD-2', PHONE, 60);
+    expect(await balance()).toBe(40);
+
+    await expect(loyaltyService.redeem(TENANT, 'ORD-3', PHONE, 50)).rejects.toThrow('Not enough loyalty points: balance is 40');
+    expect(await balance()).toBe(40);
+  });
+});
+
+describe('rollback', () => {
+  test('gives redeemed points back with their expiry when the order fails or is cancelled', async () => {
+    await loyaltyService.redeem(TENANT, 'ORD-2', PHONE, 60);
+
+    expect(await loyaltyService.reverse(TENANT, 'ORD-2')).toEqual([{ type: 'refund', points: 60 }]);
+    expect(await loyaltyService.reverse(TENANT, 'ORD-2')).toEqual([]);
+    await loyaltyService.handleOrderEvent(TENANT, { orderId: 'ORD-2', status: 'cancelled' });
+
+    const customer = await firebase.getDocument('customers', `${TENANT}_${PHONE}`);
+    expect(customer.loyalty.balance).toBe(100);
+    expect(customer.loyalty.lots).toEqual([
+      { id: `${TENANT}_ORD-1_earn`, points: 100, remaining: 100, expiresAt: '2027-01-17T08:00:00.000Z' }
+    ]);
+  });
+
+  test('does not give back points that expired while the order was open', async () => {
+    await loyaltyService.redeem(TENANT, 'ORD-2', PHONE, 60);
+
+    setSystemTime(new Date('2027-01-18T08:00:00.000Z'));
+    expect(await loyaltyService.reverse(TENANT, 'ORD-2')).toEqual([{ type: 'refund', points: 0 }]);
+    expect(await balance()).toBe(0);
+  });
+
+  test('takes back the points a cancelled order earned, and its tier', async () => {
+    await loyaltyService.handleOrderEvent(TENANT, { ...deliveredOrder('ORD-1', 1000), status: 'cancelled' });
+
+    const account = await loyaltyService.getAccount(TENANT, PHONE);
+    expect(account).toMatchObject({ balance: 0, lifetimePoints: 0, lifetimeSpend: 0, tier: null });
+
+    const ledger = await loyaltyService.getTransactions(TENANT, PHONE);
+    expect(ledger.map(entry => [entry.type, entry.points]).sort()).toEqual([['earn', 100], ['reversal', -100]]);
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * Changing the items on a placed order
+ */
+
+import { describe, test, expect, beforeEach } from 'bun:test';
+import { FakeFirebaseService } from './helpers/FakeFirebaseService.js';
+import { OrderManagementService } from '../src/services/OrderManagementService.js';
+import { AvailabilityService } from '../src/services/AvailabilityService.js';
+import { InvoiceService } from '../src/services/InvoiceService.js';
+import { VertexAILiveService } from '../src/services/VertexAILiveService.js';
+
+const TENANT = 'tenant-1';
+
+const PANEER_TIKKA = {
+  id: 'dish-paneer',
+  tenantId: TENANT,
+  type: 'menu_item',
+  name: 'Paneer Tikka',
+  category: 'Starters',
+  price: 280,
+  gstRate: 5,
+  taxCategory: 'restaurant',
+  hsnCode: '996331'
+};
+
+let firebase;
+let availabilityService;
+let orderManagementService;
+
+const menuItems = new Map();
+
+const placeOrder = (orderId, extra = {}) => firebase.createOrder(TENANT, '9876543210', {
+  orderId,
+  customer: { name: 'Asha', phone: '9876543210' },
+  cart: {
+    items: [{ id: 'line-1', dishId: 'dish-dal', dishName: 'Dal Makhani', quantity: 1, price: 220, itemTotal: 220 }],
+    subtotal: 220,
+    total: 231
+  },
+  orderType: 'pickup',
+  paymentMethod: 'cash',
+  status: 'confirmed',
+  createdAt: new Date().toISOString(),
+  ...extra
+});
+
+const addItem = (orderId, item) => orderManagementService.modifyOrder(orderId, TENANT, {
+  type: 'add',
+  item,
+  modifiedBy: 'dashboard'
+});
+
+beforeEach(() => {
+  firebase = new FakeFirebaseService();
+  availabilityService = new AvailabilityService(firebase);
+  menuItems.clear();
+  menuItems.set(PANEER_TIKKA.id, PANEER_TIKKA);
+
+  orderManagementService = new OrderManagementService(firebase, {
+    menuService: {
+      availabilityService,
+      getMenuItem: async (itemId) => {
+        if (!menuItems.has(itemId)) {
+          throw new Error('Menu item not found');
+        }
+        return structuredClone(menuItems.get(itemId));
+      },
+      listMenuItems: async () => [...menuItems.values()]
+    }
+  });
+  orderManagementService.onOrderEvent((tenantId, order) => availabilityService.handleOrderEvent(tenantId, order));
+});
+
+describe('modifyOrder add', () => {
+  test('prices the line from the menu item, not the request', async () => {
+    await placeOrder('ORD-1');
+
+    const { order } = await addItem('ORD-1', {
+      dishId: PANEER_TIKKA.id,
+      dishName: 'Anything',
+      price: 1,
+      gstRate: 0,
+      quantity: 2
+    });
+
+    const line = order.cart.items[1];
+    expect(line).toMatchObject({
+      dishId: PANEER_TIKKA.id,
+      dishName: 'Paneer Tikka',
+      price: 280,
+      itemTotal: 560,
+      gstRate: 5,
+      taxCategory: 'restaurant',
+      hsnCode: '996331'
+    });
+    expect(order.cart.subtotal).toBe(780);
+  });
+
+  test('checks and prices the options against the dish\'s modifier groups', async () => {
+    await placeOrder('ORD-6');
+    menuItems.set('dish-biryani', {
+      ...PANEER_TIKKA,
+      id: 'dish-biryani',
+      name: 'Chicken Biryani',
+      price: 250,
+      modifierGroups: [
+        { id: 'portion', name: 'Portion', minSelections: 1, maxSelections: 1, options: [{ name: 'Half', price: 0 }, { name: 'Full', price: 100 }] },
+        { id: 'extras', name: 'Extras', minSelections: 0, maxSelections: 2, options: [{ name: 'Extra raita', price: 30 }] }
+      ]
+    });
+
+    await expect(addItem('ORD-6', { dishId: 'dish-biryani' })).rejects.toThrow('Cannot add item: Portion: choose one of Half, Full');
+    await expect(addItem('ORD-6', { dishId: 'dish-biryani', modifiers: ['Full', 'Gold leaf'] }))
+      .rejects.toThrow('Cannot add item: "Gold leaf" is not an option for Chicken Biryani');
+
+    const { order } = await addItem('ORD-6', {
+      dishId: 'dish-biryani',
+      quantity: 2,
+      modifiers: ['Full', { group: 'Extras', option: 'Extra raita', price: 0 }]
+    });
+
+    const line = order.cart.items[1];
+    expect(line).toMatchObject({ basePrice: 250, price: 380, itemTotal: 760 });
+    expect(line.modifiers).toEqual([
+      { groupId: 'portion', groupName: 'Portion', optionId: 'full', name: 'Full', price: 100 },
+      { groupId: 'extras', groupName: 'Extras', optionId: 'extra-raita', name: 'Extra raita', price: 30 }
+    ]);
+  });
+
+  test('needs a dish on the tenant\'s menu', async () => {
+    await placeOrder('ORD-2');
+    menuItems.set('dish-other', { ...PANEER_TIKKA, id: 'dish-other', tenantId: 'tenant-2' });
+
+    await expect(addItem('ORD-2', { quantity: 1 })).rejects.toThrow('Item dishId is required');
+    await expect(addItem('ORD-2', { dishId: 'dish-missing' })).rejects.toThrow('Menu item not found');
+    await expect(addItem('ORD-2', { dishId: 'dish-other' })).rejects.toThrow('Menu item not found');
+  });
+
+  test('refuses a sold-out dish', async () => {
+    await placeOrder('ORD-3');
+    await availabilityService.setItemAvailability(TENANT, PANEER_TIKKA, { soldOut: true });
+
+    await expect(addItem('ORD-3', { dishId: PANEER_TIKKA.id })).rejects.toThrow('Cannot add item: Paneer Tikka is sold out');
+
+    const order = await orderManagementService.getOrderById('ORD-3', TENANT);
+    expect(order.cart.items).toHaveLength(1);
+  });
+
+  test('takes stock for the added quantity and gives it back on cancel', async () => {
+    await placeOrder('ORD-4');
+    await availabilityService.setItemAvailability(TENANT, PANEER_TIKKA, { stock: 3 });
+
+    await expect(addItem('ORD-4', { dishId: PANEER_TIKKA.id, quantity: 4 })).rejects.toThrow('Only 3 Paneer Tikka left');
+
+    const { order, modification } = await addItem('ORD-4', { dishId: PANEER_TIKKA.id, quantity: 2 });
+    expect(modification.stockReservationId).toBe('ORD-4-MOD1');
+    expect((await availabilityService.getOverrides(TENANT)).get(PANEER_TIKKA.id).stock).toBe(1);
+
+    // Raising the quantity takes the difference
+    await orderManagementService.modifyOrder('ORD-4', TENANT, {
+      type: 'update_quantity',
+      itemId: order.cart.items[1].id,
+      quantity: 3,
+      modifiedBy: 'dashboard'
+    });
+    expect((await availabilityService.getOverrides(TENANT)).get(PANEER_TIKKA.id).stock).toBe(0);
+
+    await orderManagementService.cancelOrder('ORD-4', TENANT, 'Customer changed their mind', 'dashboard');
+    await Bun.sleep(0);
+    expect((await availabilityService.getOverrides(TENANT)).get(PANEER_TIKKA.id).stock).toBe(3);
+  });
+
+  test('adds a free item', async () => {
+    await placeOrder('ORD-6');
+    menuItems.set('dish-onions', { id: 'dish-onions', tenantId: TENANT, type: 'menu_item', name: 'Sliced Onions', category: 'Extras', price: 0 });
+
+    const { order, modification } = await addItem('ORD-6', { dishId: 'dish-onions' });
+
+    expect(order.cart.items[1]).toMatchObject({ dishName: 'Sliced Onions', price: 0, itemTotal: 0 });
+    expect(modification.delta).toBe(0);
+  });
+
+  test('gives the stock back when the modification fails', async () => {
+    await placeOrder('ORD-5');
+    await availabilityService.setItemAvailability(TENANT, PANEER_TIKKA, { stock: 5 });
+    orderManagementService.recalculateOrderCart = async () => {
+      throw new Error('Tax service unavailable');
+    };
+
+    await expect(addItem('ORD-5', { dishId: PANEER_TIKKA.id, quantity: 2 })).rejects.toThrow('Tax service unavailable');
+    expect((await availabilityService.getOverrides(TENANT)).get(PANEER_TIKKA.id).stock).toBe(5);
+  });
+});
+
+describe('modifyOrder remove and update_quantity', () => {
+  test('gives back the stock a lowered or removed line held, and only the rest on cancel', async () => {
+    await placeOrder('ORD-8');
+    await availabilityService.setItemAvailability(TENANT, PANEER_TIKKA, { stock: 5 });
+    const { order } = await addItem('ORD-8', { dishId: PANEER_TIKKA.id, quantity: 3 });
+    const itemId = order.cart.items[1].id;
+
+    await orderManagementService.modifyOrder('ORD-8', TENANT, { type: 'update_quantity', itemId, quantity: 1, modifiedBy: 'dashboard' });
+    expect((await availabilityService.getOverrides(TENANT)).get(PANEER_TIKKA.id).stock).toBe(4);
+    expect((await firebase.getDocument('stock_reservations', `${TENANT}_ORD-8-MOD1`)).items).toEqual([{ itemId: PANEER_TIKKA.id, quantity: 1 }]);
+
+    await orderManagementService.cancelOrder('ORD-8', TENANT, 'Customer changed their mind', 'dashboard');
+    await Bun.sleep(0);
+    expect((await availabilityService.getOverrides(TENANT)).get(PANEER_TIKKA.id).stock).toBe(5);
+  });
+
+  test('takes removed stock off the order\'s own reservation', async () => {
+    await placeOrder('ORD-9', {
+      cart: {
+        items: [
+          { id: 'line-1', dishId: 'dish-dal', dishName: 'Dal Makhani', quantity: 1, price: 220, itemTotal: 220 },
+          { id: 'line-2', dishId: PANEER_TIKKA.id, dishName: 'Paneer Tikka', quantity: 2, price: 280, itemTotal: 560 }
+        ],
+        subtotal: 780,
+        total: 819
+      }
+    });
+    await availabilityService.setItemAvailability(TENANT, PANEER_TIKKA, { stock: 5 });
+    await availabilityService.reserveStock(TENANT, 'ORD-9', [{ dishId: PANEER_TIKKA.id, quantity: 2 }]);
+
+    await orderManagementService.modifyOrder('ORD-9', TENANT, { type: 'remove', itemId: 'line-2', modifiedBy: 'dashboard' });
+
+    expect((await availabilityService.getOverrides(TENANT)).get(PANEER_TIKKA.id).stock).toBe(5);
+    expect(await firebase.getDocument('stock_reservations', `${TENANT}_ORD-9`)).toMatchObject({ items: [], status: 'released' });
+  });
+
+  test('notifies order listeners once, as order_modified', async () => {
+    await placeOrder('ORD-10');
+    const events = [];
+    orderManagementService.onOrderEvent((tenantId, order, eventType) => events.push(eventType));
+
+    await addItem('ORD-10', { dishId: PANEER_TIKKA.id });
+
+    expect(events).toEqual(['order_modified']);
+  });
+});
+
+describe('modifyOrder on an invoiced order', () => {
+  test('is refused once the invoice number has been issued', async () => {
+    await placeOrder('ORD-7', { status: 'preparing' });
+    const invoiceService = new InvoiceService(firebase, orderManagementService.taxService);
+
+    const { invoice } = await invoiceService.getInvoiceForOrder(TENANT, 'ORD-7');
+
+    await expect(addItem('ORD-7', { dishId: PANEER_TIKKA.id }))
+      .rejects.toThrow(`Cannot modify order: invoice ${invoice.documentNumber} has already been issued`);
+    await expect(orderManagementService.modifyOrder('ORD-7', TENANT, {
+      type: 'remove',
+      itemId: 'line-1',
+      modifiedBy: 'dashboard'
+    })).rejects.toThrow('Cannot modify order: invoice');
+
+    const order = await orderManagementService.getOrderById('ORD-7', TENANT);
+    expect(order.cart.items).toHaveLength(1);
+    expect(order.cart.total).toBe(invoice.total);
+  });
+
+  test('tells a voice customer to ask the staff', async () => {
+    await placeOrder('ORD-11', { status: 'preparing' });
+    await new InvoiceService(firebase, orderManagementService.taxService).getInvoiceForOrder(TENANT, 'ORD-11');
+    const voice = Object.create(VertexAILiveService.prototype);
+    voice.orderManagementService = orderManagementService;
+    const order = await orderManagementService.getOrderById('ORD-11', TENANT);
+
+    const result = await voice.modifyPlacedOrder(
+      { tenantId: TENANT, orderState: { finalizedOrder: order } },
+      { itemId: 'line-1', action: 'increase' }
+    );
+
+    expect(result).toEqual({
+      success: false,
+      message: 'Your bill has already been issued, so the order can\'t be changed here. Please ask our staff for help.'
+    });
+  });
+});
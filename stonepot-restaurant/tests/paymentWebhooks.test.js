@@ -0,0 +1,140 @@
+/**
+ * Razorpay webhooks through the payment_events ledger: duplicates, out-of-order events and retries
+ */
+
+import { describe, test, expect, mock, beforeEach } from 'bun:test';
+import { FakeFirebaseService } from './helpers/FakeFirebaseService.js';
+import { OrderManagementService } from '../src/services/OrderManagementService.js';
+import { MockPaymentService } from '../src/services/MockPaymentService.js';
+import { PaymentReconciliationService } from '../src/services/PaymentReconciliationService.js';
+
+const TENANT = 'tenant-1';
+
+let firebase;
+let paymentService;
+let orderManagementService;
+let paymentReconciliationService;
+let events;
+
+const placeOnlineOrder = (orderId) => firebase.createOrder(TENANT, '9876543210', {
+  orderId,
+  customer: { name: 'Asha', phone: '9876543210' },
+  cart: { items: [], subtotal: 220, total: 231 },
+  orderType: 'pickup',
+  paymentMethod: 'online',
+  paymentStatus: 'pending',
+  status: 'pending_payment',
+  razorpayOrderId: `order_${orderId}`,
+  createdAt: new Date().toISOString()
+});
+
+const paymentEvent = (type, orderId, paymentId) => ({
+  event: type,
+  created_at: 1760860800,
+  payload: {
+    payment: {
+      entity: {
+        id: paymentId,
+        order_id: `order_${orderId}`,
+        amount: 23100,
+        notes: { orderId },
+        ...(type === 'payment.failed' && { error_code: 'BAD_REQUEST_ERROR', error_description: 'Payment declined' })
+      }
+    }
+  }
+});
+
+const deliver = (event, eventId) => paymentReconciliationService.handleWebhook(event, { 'x-razorpay-event-id': eventId });
+
+beforeEach(() => {
+  firebase = new FakeFirebaseService();
+  paymentService = new MockPaymentService();
+  orderManagementService = new OrderManagementService(firebase, { paymentService });
+  paymentReconciliationService = new PaymentReconciliationService(firebase, orderManagementService, paymentService);
+  events = [];
+  orderManagementService.onOrderEvent((tenantId, order, eventType) => events.push(eventType));
+});
+
+describe('duplicate deliveries', () => {
+  test('applies an event once and acknowledges its redelivery', async () => {
+    await placeOnlineOrder('ORD-1');
+    const captured = paymentEvent('payment.captured', 'ORD-1', 'pay_1');
+
+    const first = await deliver(captured, 'evt_1');
+    const second = await deliver(captured, 'evt_1');
+
+    expect(first).toMatchObject({ duplicate: false, processed: true, outcome: { applied: true } });
+    expect(second).toEqual({ eventId: 'evt_1', duplicate: true, processed: false, outcome: { applied: true, reason: null } });
+    expect(events).toEqual(['payment_confirmed']);
+    expect(await firebase.getDocument('payment_events', 'evt_1')).toMatchObject({ status: 'processed', attempts: 1 });
+  });
+});
+
+describe('out-of-order events', () => {
+  test('a late payment.failed does not undo a capture', async () => {
+    await placeOnlineOrder('ORD-2');
+
+    await deliver(paymentEvent('payment.captured', 'ORD-2', 'pay_2'), 'evt_2');
+    const late = await deliver(paymentEvent('payment.failed', 'ORD-2', 'pay_1'), 'evt_1');
+
+    expect(late.outcome).toMatchObject({ applied: false, reason: 'invalid_transition' });
+    expect(await orderManagementService.getOrderById('ORD-2', TENANT)).toMatchObject({
+      status: 'confirmed',
+      paymentStatus: 'paid',
+      razorpayPaymentId: 'pay_2'
+    });
+  });
+
+  test('a capture after a failed attempt confirms the order', async () => {
+    await placeOnlineOrder('ORD-3');
+
+    await deliver(paymentEvent('payment.failed', 'ORD-3', 'pay_1'), 'evt_1');
+    expect(await orderManagementService.getOrderById('ORD-3', TENANT)).toMatchObject({
+      status: 'pending_payment',
+      paymentStatus: 'failed',
+      lastPaymentError: { description: 'Payment declined' }
+    });
+
+    await deliver(paymentEvent('payment.captured', 'ORD-3', 'pay_2'), 'evt_2');
+    expect(await orderManagementService.getOrderById('ORD-3', TENANT)).toMatchObject({ status: 'confirmed', paymentStatus: 'paid' });
+  });
+});
+
+describe('retries', () => {
+  test('processes an event again after its processing failed', async () => {
+    await placeOnlineOrder('ORD-4');
+    const captured = paymentEvent('payment.captured', 'ORD-4', 'pay_1');
+    const handle = paymentService.handleWebhookEvent.bind(paymentService);
+    paymentService.handleWebhookEvent = mock(async () => {
+      throw new Error('DEADLINE_EXCEEDED');
+    });
+
+    await expect(deliver(captured, 'evt_1')).rejects.toThrow('DEADLINE_EXCEEDED');
+    expect(await firebase.getDocument('payment_events', 'evt_1')).toMatchObject({ status: 'failed', error: 'DEADLINE_EXCEEDED' });
+
+    paymentService.handleWebhookEvent = handle;
+    expect((await deliver(captured, 'evt_1')).outcome.applied).toBe(true);
+    expect(await firebase.getDocument('payment_events', 'evt_1')).toMatchObject({ status: 'processed', attempts: 2 });
+  });
+
+  test('processes an event left unfinished once it has been received for a while', async () => {
+    await placeOnlineOrder('ORD-5');
+    const captured = paymentEvent('payment.captured', 'ORD-5', 'pay_1');
+    // The server stopped between recording the event and applying it
+    await firebase.createDocument('payment_events', {
+      eventId: 'evt_1',
+      status: 'received',
+      attempts: 1,
+      receivedAt: new Date(Date.now() - 60 * 1000).toISOString()
+    }, 'evt_1');
+
+    expect((await deliver(captured, 'evt_1')).duplicate).toBe(true);
+
+    await firebase.updateDocument('payment_events', 'evt_1', { receivedAt: new Date(Date.now() - 10 * 60 * 1000).toISOString() });
+    const retried = await deliver(captured, 'evt_1');
+
+    expect(retried).toMatchObject({ duplicate: false, outcome: { applied: true } });
+    expect(await firebase.getDocument('payment_events', 'evt_1')).toMatchObject({ status: 'processed', attempts: 2 });
+    expect(await orderManagementService.getOrderById('ORD-5', TENANT)).toMatchObject({ status: 'confirmed', paymentStatus: 'paid' });
+  });
+});
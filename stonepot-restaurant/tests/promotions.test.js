@@ -0,0 +1,135 @@
+/**
+ * Promotions and coupons: stacking with combos, allocation to lines and usage limits
+ */
+
+import { describe, test, expect, beforeEach } from 'bun:test';
+import { FakeFirebaseService } from './helpers/FakeFirebaseService.js';
+import { PricingService } from '../src/services/PricingService.js';
+
+const TENANT = 'tenant-1';
+const PHONE = '9876543210';
+
+let firebase;
+let pricingService;
+let promotionService;
+
+const cart = () => [
+  { id: 'line-1', dishId: 'dish-biryani', dishName: 'Chicken Biryani', category: 'Mains', quantity: 1, price: 300, itemTotal: 300 },
+  { id: 'line-2', dishId: 'dish-coke', dishName: 'Coke', category: 'Drinks', quantity: 1, price: 100, itemTotal: 100 },
+  { id: 'line-3', dishId: 'dish-dal', dishName: 'Dal Makhani', category: 'Mains', quantity: 1, price: 200, itemTotal: 200 }
+];
+
+const lineDiscounts = (items, type) => items.map(line =>
+  line.discounts.filter(entry => entry.type === type).reduce((sum, entry) => sum + entry.amount, 0)
+);
+
+beforeEach(async () => {
+  firebase = new FakeFirebaseService();
+  await firebase.createDocument('organizations', { name: 'Stonepot' }, TENANT);
+  pricingService = new PricingService(firebase);
+  promotionService = pricingService.promotionService;
+
+  await pricingService.comboService.saveCombos(TENANT, [{
+    name: 'Biryani Meal',
+    price: 340,
+    groups: [{ name: 'Biryani', itemIds: ['dish-biryani'] }, { name: 'Drink', itemIds: ['dish-coke'] }]
+  }]);
+  await promotionService.savePromotions(TENANT, [
+    { id: 'mains-10', name: '10% off mains', type: 'percentage', value: 10, appliesTo: { categories: ['Mains'] } },
+    { name: 'Flat 50', code: 'flat50', type: 'flat', value: 50, perCustomerLimit: 1 },
+    { name: 'Big order', code: 'BIG', type: 'percentage', value: 20, conditions: { minOrderValue: 1000 } }
+  ]);
+});
+
+describe('priceCart stacking', () => {
+  test('applies combos, then automatic promotions, then the coupon, each on what is left', async () => {
+    const items = cart();
+
+    const priced = await pricingService.priceCart(TENANT, items, { couponCode: 'flat 50', phone: PHONE });
+
+    expect(lineDiscounts(items, 'combo')).toEqual([45, 15, 0]);
+    expect(lineDiscounts(items, 'promotion')).toEqual([25.5 + 23.21, 8.59, 20 + 18.2]);
+    expect(items.map(line => line.discount)).toEqual([93.71, 23.59, 38.2]);
+    expect(priced.discount).toBe(155.5);
+
+    expect(priced.promotions).toEqual([
+      { promotionId: 'mains-10', name: '10% off mains', code: null, type: 'percentage', discount: 45.5, itemIds: ['line-1', 'line-3'] },
+      { promotionId: 'flat50', name: 'Flat 50', code: 'FLAT50', type: 'flat', discount: 50, itemIds: ['line-1', 'line-2', 'line-3'] }
+    ]);
+    expect(priced.coupon).toEqual({ code: 'FLAT50', applied: true, message: 'FLAT50 applied: ₹50 off' });
+  });
+
+  test('replaces the discounts from an earlier pass', async () => {
+    const items = cart();
+    await pricingService.priceCart(TENANT, items, { couponCode: 'FLAT50', phone: PHONE });
+
+    const priced = await pricingService.priceCart(TENANT, items, { phone: PHONE });
+
+    expect(priced.discount).toBe(105.5);
+    expect(priced.coupon).toBeNull();
+    expect(items.every(line => line.discounts.every(entry => entry.id !== 'flat50'))).toBe(true);
+  });
+
+  test('says why a coupon does not apply', async () => {
+    const unknown = await pricingService.priceCart(TENANT, cart(), { couponCode: 'NOPE' });
+    expect(unknown.coupon).toEqual({ code: 'NOPE', applied: false, message: 'NOPE is not a valid coupon' });
+
+    const small = await pricingService.priceCart(TENANT, cart(), { couponCode: 'BIG' });
+    expect(small.coupon.applied).toBe(false);
+    expect(small.coupon.message).toStartWith('BIG needs an order of at least ₹1000');
+    expect(small.discount).toBe(105.5);
+  });
+
+  test('gives the free item of a buy-one-get-one to the cheapest unit', async () => {
+    await promotionService.savePromotions(TENANT, [
+      { name: 'Mains BOGO', type: 'bogo', appliesTo: { categories: ['Mains'] } }
+    ]);
+    const items = [
+      { id: 'line-1', dishId: 'dish-dal', dishName: 'Dal Makhani', category: 'Mains', quantity: 2, price: 200, itemTotal: 400 },
+      { id: 'line-2', dishId: 'dish-paneer', dishName: 'Paneer Tikka', category: 'Mains', quantity: 1, price: 280, itemTotal: 280 }
+    ];
+
+    const priced = await pricingService.priceCart(TENANT, items, {});
+
+    // Paneer 280 + dal 200 are bought, the second dal is free
+    expect(items.map(line => line.discount)).toEqual([200, 0]);
+    expect(priced.discount).toBe(200);
+  });
+});
+
+describe('promotion usage', () => {
+  test('counts a coupon per customer and gives it back when the order is cancelled', async () => {
+    const first = await pricingService.priceCart(TENANT, cart(), { couponCode: 'FLAT50', phone: PHONE });
+    await promotionService.redeem(TENANT, 'ORD-1', PHONE, first.promotions);
+    // Redeeming the same order again is a no-op
+    await promotionService.redeem(TENANT, 'ORD-1', PHONE, first.promotions);
+
+    const second = await pricingService.priceCart(TENANT, cart(), { couponCode: 'FLAT50', phone: PHONE });
+    expect(second.coupon).toMatchObject({ applied: false, message: 'FLAT50 has already been used the maximum number of times on this phone number' });
+
+    // The limit is checked again when the order is placed
+    await expect(promotionService.redeem(TENANT, 'ORD-2', PHONE, first.promotions))
+      .rejects.toThrow('Promotion limit reached: FLAT50 has already been used on this phone number');
+
+    await promotionService.handleOrderEvent(TENANT, { orderId: 'ORD-1', status: 'cancelled' });
+    expect(await promotionService.release(TENANT, 'ORD-1')).toBe(false);
+
+    const third = await pricingService.priceCart(TENANT, cart(), { couponCode: 'FLAT50', phone: PHONE });
+    expect(third.coupon.applied).toBe(true);
+    expect((await firebase.getDocument('promotion_usage', `${TENANT}_flat50`)).count).toBe(0);
+  });
+
+  test('keeps an order\'s coupon when the placed order is re-priced', async () => {
+    const priced = await pricingService.priceCart(TENANT, cart(), { couponCode: 'FLAT50', phone: PHONE });
+    await promotionService.redeem(TENANT, 'ORD-1', PHONE, priced.promotions);
+
+    const repriced = await pricingService.priceCart(TENANT, cart(), {
+      couponCode: 'FLAT50',
+      phone: PHONE,
+      redeemedPromotionIds: ['mains-10', 'flat50']
+    });
+
+    expect(repriced.coupon.applied).toBe(true);
+    expect(repriced.discount).toBe(155.5);
+  });
+});
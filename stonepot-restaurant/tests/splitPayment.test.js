@@ -0,0 +1,161 @@
+/**
+ * Group orders paid in shares: one payment per participant
+ */
+
+import { describe, test, expect, mock, beforeEach } from 'bun:test';
+import { FakeFirebaseService } from './helpers/FakeFirebaseService.js';
+import { OrderManagementService } from '../src/services/OrderManagementService.js';
+import { PaymentReconciliationService } from '../src/services/PaymentReconciliationService.js';
+import { SplitPaymentService } from '../src/services/SplitPaymentService.js';
+import CircleService from '../src/services/CircleService.js';
+
+const TENANT = 'tenant-1';
+
+const PARTICIPANTS = [
+  { customerId: 'cust-asha', name: 'Asha', phone: '9876543210' },
+  { customerId: 'cust-ravi', name: 'Ravi', phone: '9876543211' },
+  { customerId: 'cust-meera', name: 'Meera', phone: '9876543212' }
+];
+
+let firebase;
+let paymentService;
+let orderManagementService;
+let paymentReconciliationService;
+let splitPaymentService;
+
+const sum = (shares) => Math.round(shares.reduce((total, share) => total + share.amount * 100, 0)) / 100;
+
+const placeGroupOrder = async (orderId, total, room = {}) => {
+  await firebase.createDocument('collaborative_orders', {
+    status: 'finalized',
+    splitType: 'equal',
+    initiatedBy: 'cust-asha',
+    participants: PARTICIPANTS,
+    total: 600,
+    ...room
+  }, `room-${orderId}`);
+  await firebase.createOrder(TENANT, '9876543210', {
+    orderId,
+    collaborativeOrderId: `room-${orderId}`,
+    customer: { name: 'Asha', phone: '9876543210' },
+    cart: { items: [], subtotal: 600, total },
+    orderType: 'delivery',
+    paymentMethod: 'online',
+    paymentStatus: 'pending',
+    status: 'pending_payment',
+    createdAt: new Date().toISOString()
+  });
+  return orderManagementService.getOrderById(orderId, TENANT);
+};
+
+const payShare = (share) => paymentReconciliationService.applyPaymentResult(share.shareId, {
+  paymentStatus: 'paid',
+  razorpayOrderId: share.razorpayOrderId,
+  razorpayPaymentId: `pay_${share.shareId}`,
+  source: 'webhook'
+});
+
+beforeEach(() => {
+  firebase = new FakeFirebaseService();
+  paymentService = {
+    createPaymentOrder: mock(async ({ amount, orderId }) => ({ id: `order_${orderId}`, amount: Math.round(amount * 100) })),
+    getOrderPayments: mock(async () => [])
+  };
+  orderManagementService = new OrderManagementService(firebase, { paymentService });
+  paymentReconciliationService = new PaymentReconciliationService(firebase, orderManagementService, paymentService);
+  splitPaymentService = new SplitPaymentService(firebase, orderManagementService, paymentService, {
+    circleService: Object.create(CircleService.prototype),
+    paymentReconciliationService
+  }, { timeoutMinutes: 20 });
+  paymentReconciliationService.setSplitPaymentService(splitPaymentService);
+});
+
+describe('createSplitPayments', () => {
+  test('shares add up to the order total, with the rounding on the initiator', async () => {
+    const order = await placeGroupOrder('ORD-1', 631.01);
+
+    const splitPayment = await splitPaymentService.createSplitPayments(order);
+
+    expect(splitPayment.shares.map(share => [share.customerId, share.amount])).toEqual([
+      ['cust-asha', 210.35],
+      ['cust-ravi', 210.33],
+      ['cust-meera', 210.33]
+    ]);
+    expect(sum(splitPayment.shares)).toBe(631.01);
+    expect(paymentService.createPaymentOrder.mock.calls.map(([params]) => [params.orderId, params.amount])).toEqual([
+      ['ORD-1-SPLIT1', 210.35],
+      ['ORD-1-SPLIT2', 210.33],
+      ['ORD-1-SPLIT3', 210.33]
+    ]);
+
+    const saved = await orderManagementService.getOrderById('ORD-1', TENANT);
+    expect(saved.splitPayment).toMatchObject({ status: 'collecting', splitType: 'equal', initiatedBy: 'cust-asha' });
+  });
+
+  test('scales each person\'s items to the total and leaves out people with nothing to pay', async () => {
+    const order = await placeGroupOrder('ORD-2', 420, {
+      splitType: 'itemized',
+      total: 400,
+      items: [
+        { id: 'item-1', addedBy: 'cust-asha', price: 300, quantity: 1 },
+        { id: 'item-2', addedBy: 'cust-ravi', price: 50, quantity: 2 }
+      ]
+    });
+
+    const splitPayment = await splitPaymentService.createSplitPayments(order);
+
+    expect(splitPayment.shares.map(share => [share.name, share.amount])).toEqual([['Asha', 315], ['Ravi', 105]]);
+  });
+
+  test('skips the split when one person pays for everything', async () => {
+    const order = await placeGroupOrder('ORD-3', 420, {
+      splitType: 'custom',
+      total: 400,
+      splitDetails: { customSplits: [{ customerId: 'cust-asha', amount: 400 }] }
+    });
+
+    expect(await splitPaymentService.createSplitPayments(order)).toBeNull();
+    expect(paymentService.createPaymentOrder).not.toHaveBeenCalled();
+  });
+});
+
+describe('paying shares', () => {
+  test('confirms the order once every share is paid, counting each payment once', async () => {
+    const { shares } = await splitPaymentService.createSplitPayments(await placeGroupOrder('ORD-4', 631.01));
+
+    await payShare(shares[0]);
+    expect(await payShare(shares[0])).toMatchObject({ applied: false, reason: 'share_already_paid' });
+    await payShare(shares[1]);
+
+    let order = await orderManagementService.getOrderById('ORD-4', TENANT);
+    expect(order).toMatchObject({ status: 'pending_payment', paymentStatus: 'pending', splitPayment: { status: 'collecting' } });
+
+    await payShare(shares[2]);
+
+    order = await orderManagementService.getOrderById('ORD-4', TENANT);
+    expect(order).toMatchObject({ status: 'confirmed', paymentStatus: 'paid', splitPayment: { status: 'paid' } });
+    expect(sum(order.splitPayment.shares.filter(share => share.status === 'paid'))).toBe(631.01);
+  });
+
+  test('asks the initiator to cover unpaid shares when time runs out', async () => {
+    const { shares, expiresAt } = await splitPaymentService.createSplitPayments(await placeGroupOrder('ORD-5', 631.01));
+    await payShare(shares[1]);
+
+    const later = new Date(new Date(expiresAt).getTime() + 1000);
+    expect(await splitPaymentService.processSplitPayments(later)).toEqual([{ orderId: 'ORD-5', action: 'covered' }]);
+
+    const covering = (await orderManagementService.getOrderById('ORD-5', TENANT)).splitPayment;
+    const cover = covering.shares.at(-1);
+    expect(covering.status).toBe('covering');
+    expect(cover).toMatchObject({ shareId: 'ORD-5-SPLIT4', customerId: 'cust-asha', amount: 420.68, covers: ['ORD-5-SPLIT1', 'ORD-5-SPLIT3'] });
+    expect(sum(covering.shares.filter(share => ['paid', 'pending'].includes(share.status)))).toBe(631.01);
+
+    // Meera pays after Asha was asked to cover her: she is owed a refund
+    await payShare(shares[2]);
+    await payShare(cover);
+
+    const order = await orderManagementService.getOrderById('ORD-5', TENANT);
+    expect(order.splitPayment.shares.map(share => share.status)).toEqual(['cancelled', 'paid', 'refund_due', 'paid']);
+    expect(order).toMatchObject({ status: 'confirmed', paymentReview: { reason: 'split_paid_late' } });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * UPI QR collection with the mock payment service
+ */
+
+import { describe, test, expect, beforeEach } from 'bun:test';
+import { FakeFirebaseService } from './helpers/FakeFirebaseService.js';
+import { OrderManagementService } from '../src/services/OrderManagementService.js';
+import { MockPaymentService } from '../src/services/MockPaymentService.js';
+import { PaymentReconciliationService } from '../src/services/PaymentReconciliationService.js';
+import { UpiPaymentService } from '../src/services/UpiPaymentService.js';
+
+const TENANT = 'tenant-1';
+
+let firebase;
+let paymentService;
+let orderManagementService;
+let paymentReconciliationService;
+let upiPaymentService;
+
+const placeOnlineOrder = async (orderId, extra = {}) => {
+  await firebase.createOrder(TENANT, '9876543210', {
+    orderId,
+    customer: { name: 'Asha', phone: '9876543210' },
+    cart: {
+      items: [{ id: 'line-1', dishId: 'dish-dal', dishName: 'Dal Makhani', quantity: 1, price: 220, itemTotal: 220 }],
+      subtotal: 220,
+      total: 231
+    },
+    orderType: 'pickup',
+    paymentMethod: 'online',
+    paymentStatus: 'pending',
+    status: 'pending_payment',
+    createdAt: new Date().toISOString(),
+    ...extra
+  });
+  return orderManagementService.getOrderById(orderId, TENANT);
+};
+
+beforeEach(() => {
+  firebase = new FakeFirebaseService();
+  paymentService = new MockPaymentService();
+  orderManagementService = new OrderManagementService(firebase, { paymentService });
+  paymentReconciliationService = new PaymentReconciliationService(firebase, orderManagementService, paymentService);
+  upiPaymentService = new UpiPaymentService(firebase, orderManagementService, paymentService, paymentReconciliationService, {
+    expiresInMinutes: 15
+  });
+  orderManagementService.onOrderEvent((tenantId, order) => upiPaymentService.handleOrderEvent(tenantId, order));
+});
+
+describe('createUpiCollection', () => {
+  test('shows a QR for the order total and reuses it while it is open', async () => {
+    const order = await placeOnlineOrder('ORD-1');
+
+    const upi = await upiPaymentService.createUpiCollection(order);
+
+    expect(upi).toMatchObject({ amount: 231, status: 'active' });
+    expect(upi.intentUrl).toStartWith('upi://pay?');
+    expect(upi.intentUrl).toContain('am=231.00');
+
+    const saved = await orderManagementService.getOrderById('ORD-1', TENANT);
+    expect(saved.upi.qrId).toBe(upi.qrId);
+    expect((await upiPaymentService.createUpiCollection(saved)).qrId).toBe(upi.qrId);
+  });
+
+  test('refuses group orders paid in shares', async () => {
+    const order = await placeOnlineOrder('ORD-2', {
+      collaborativeOrderId: 'room-1',
+      splitPayment: { status: 'collecting', shares: [] }
+    });
+
+    await expect(upiPaymentService.createUpiCollection(order)).rejects.toThrow('Order is paid in shares');
+    expect(paymentService.upiQrs.size).toBe(0);
+  });
+});
+
+describe('UPI payments', () => {
+  test('a paid QR confirms the order on the next check', async () => {
+    const order = await placeOnlineOrder('ORD-3');
+    const upi = await upiPaymentService.createUpiCollection(order);
+
+    expect(await upiPaymentService.processUpiPayments()).toEqual([{ orderId: 'ORD-3', action: 'waiting' }]);
+
+    const { payment } = paymentService.simulateUpiPayment(upi.qrId);
+    expect(await upiPaymentService.processUpiPayments()).toEqual([{ orderId: 'ORD-3', action: 'paid' }]);
+
+    const paid = await orderManagementService.getOrderById('ORD-3', TENANT);
+    expect(paid).toMatchObject({ status: 'confirmed', paymentStatus: 'paid', razorpayPaymentId: payment.id });
+    expect(paid.upi.status).toBe('paid');
+    expect(upiPaymentService.watching.has('ORD-3')).toBe(false);
+  });
+
+  test('a paid QR confirms the order through the qr_code.credited webhook', async () => {
+    const order = await placeOnlineOrder('ORD-4');
+    const upi = await upiPaymentService.createUpiCollection(order);
+
+    const { event } = paymentService.simulateUpiPayment(upi.qrId);
+    const { outcome } = await paymentReconciliationService.handleWebhook(event);
+    expect(outcome.applied).toBe(true);
+
+    const paid = await orderManagementService.getOrderById('ORD-4', TENANT);
+    expect(paid).toMatchObject({ status: 'confirmed', paymentStatus: 'paid' });
+
+    // The watcher stopped on the payment event, so the poll has nothing left to settle
+    expect(await upiPaymentService.processUpiPayments()).toEqual([]);
+  });
+
+  test('a QR nobody pays expires and is closed', async () => {
+    const order = await placeOnlineOrder('ORD-5');
+    const upi = await upiPaymentService.createUpiCollection(order);
+
+    const later = new Date(new Date(upi.expiresAt).getTime() + 1000);
+    expect(await upiPaymentService.processUpiPayments(later)).toEqual([{ orderId: 'ORD-5', action: 'expired' }]);
+
+    const expired = await orderManagementService.getOrderById('ORD-5', TENANT);
+    expect(expired).toMatchObject({ status: 'pending_payment', paymentStatus: 'pending' });
+    expect(expired.upi).toMatchObject({ qrId: upi.qrId, status: 'expired' });
+    expect(paymentService.upiQrs.get(upi.qrId).status).toBe('closed');
+    expect(() => paymentService.simulateUpiPayment(upi.qrId)).toThrow('UPI QR is closed');
+
+    // A fresh QR replaces the expired one
+    const fresh = await upiPaymentService.createUpiCollection(expired);
+    expect(fresh.qrId).not.toBe(upi.qrId);
+  });
+});